@@ -8,6 +8,7 @@ import { mkdir, writeFile } from "node:fs/promises";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
 import { createApp } from "../server/app.js";
+import { getDefaultUserPassword } from "../server/auth.js";
 
 /**
  * 符号：__filename（const）
@@ -58,6 +59,7 @@ const PORT = Number(process.env.DEMO_E2E_PORT || 8799);
  */
 const BASE_URL = `http://127.0.0.1:${PORT}/api`;
 
+let authToken = null;
 /**
  * 符号：api（arrow-function）
  * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
@@ -69,7 +71,10 @@ const api = async (pathname, options = {}) => {
   // 步骤 1：等待异步步骤完成，确保后续逻辑基于最新结果继续执行。
   const response = await fetch(`${BASE_URL}${pathname}`, {
     method: options.method || "GET",
-    headers: { "Content-Type": "application/json" },
+    headers: {
+      "Content-Type": "application/json",
+      ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
+    },
     body: options.body ? JSON.stringify(options.body) : undefined,
   });
 
@@ -83,6 +88,24 @@ const api = async (pathname, options = {}) => {
   return payload;
 };
 
+/**
+ * 符号：signIn（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含异步等待，调用方需要关注超时、重试和并发控制。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：由 npm scripts 触发执行，用于离线生成资产或文档。
+ */
+const signIn = async () => {
+  authToken = null;
+  const session = await api("/auth/login", {
+    method: "POST",
+    body: {
+      email: process.env.DEMO_E2E_EMAIL || "admin@example.com",
+      password: process.env.DEMO_E2E_PASSWORD || getDefaultUserPassword(),
+    },
+  });
+  authToken = session.token;
+};
 /**
  * 符号：withServer（arrow-function）
  * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
@@ -164,7 +187,9 @@ const run = async () => {
 
   // 步骤 2：等待异步步骤完成，确保后续逻辑基于最新结果继续执行。
   const result = await withServer(async () => {
+    await signIn();
     await api("/demo/reset", { method: "POST" });
+    await signIn();
 
     const phase1 = await api("/demo/simulate", {
       method: "POST",
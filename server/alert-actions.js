@@ -0,0 +1,219 @@
+/**
+ * @file server/alert-actions.js
+ * 文件作用：后端业务模块，参与 API 接入、规则评估、告警流转与通知链路。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import { createHmac, randomBytes, timingSafeEqual } from "node:crypto";
+import { getSecretValue } from "./credential-secrets.js";
+import { getPublicBaseUrl } from "./templates.js";
+import { escapeHtml } from "./utils.js";
+
+/**
+ * 符号：ALERT_ACTIONS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const ALERT_ACTIONS = ["ack", "resolve", "silence"];
+
+/**
+ * 符号：ALERT_ACTION_LABELS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const ALERT_ACTION_LABELS = { ack: "确认", resolve: "解决", silence: "静默 1 小时" };
+
+/**
+ * 符号：SILENCE_ACTION_MINUTES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const SILENCE_ACTION_MINUTES = 60;
+
+/**
+ * 符号：DEFAULT_TTL_MINUTES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const DEFAULT_TTL_MINUTES = 24 * 60;
+/**
+ * 符号：SLACK_SIGNATURE_MAX_SKEW_SECONDS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// Slack 要求拒绝时间戳与服务器时间相差超过 5 分钟的回调，防止重放。
+const SLACK_SIGNATURE_MAX_SKEW_SECONDS = 5 * 60;
+
+let fallbackSecret = null;
+
+/**
+ * 符号：getActionSecret（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 签名密钥按 secretRef 规则读取 ALERT_ACTION_SECRET；未配置时使用进程内随机密钥，重启后旧链接失效。
+const getActionSecret = () => {
+  const configured = getSecretValue("ALERT_ACTION_SECRET");
+  if (configured) return configured;
+  if (!fallbackSecret) {
+    fallbackSecret = randomBytes(32).toString("hex");
+    console.warn("[alert-actions] ALERT_ACTION_SECRET is not set, action links will expire on restart.");
+  }
+  return fallbackSecret;
+};
+
+/**
+ * 符号：getTtlMinutes（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const getTtlMinutes = () => {
+  const value = Number(process.env.ALERT_ACTION_TTL_MINUTES);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_TTL_MINUTES;
+};
+
+/**
+ * 符号：getPublicApiBaseUrl（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 操作链接指向后端接口，默认与前端同源（开发环境由 Vite 代理 /api），可用 PUBLIC_API_BASE_URL 单独指定。
+const getPublicApiBaseUrl = () =>
+  process.env.PUBLIC_API_BASE_URL ? String(process.env.PUBLIC_API_BASE_URL).replace(/\/+$/, "") : getPublicBaseUrl();
+
+/**
+ * 符号：sign（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const sign = (text) => createHmac("sha256", getActionSecret()).update(text).digest("base64url");
+
+/**
+ * 符号：safeEqual（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const safeEqual = (left, right) => {
+  const a = Buffer.from(String(left));
+  const b = Buffer.from(String(right));
+  return a.length === b.length && timingSafeEqual(a, b);
+};
+
+/**
+ * 符号：createActionToken（const）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 令牌为 "<base64url(JSON)>.<HMAC>"，载荷包含告警、动作、通知对象（by）与过期时间，不落库。
+export const createActionToken = ({ alertId, action, by, ttlMinutes = getTtlMinutes(), nowMs = Date.now() }) => {
+  const body = Buffer.from(
+    JSON.stringify({ a: alertId, x: action, b: by || null, e: Math.floor(nowMs / 1_000 + ttlMinutes * 60) }),
+  ).toString("base64url");
+  return `${body}.${sign(body)}`;
+};
+
+/**
+ * 符号：verifyActionToken（const）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const verifyActionToken = (token, nowMs = Date.now()) => {
+  const [body, signature, extra] = String(token || "").split(".");
+  if (!body || !signature || extra !== undefined || !safeEqual(sign(body), signature)) {
+    throw new Error("invalid_action_token");
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+  } catch {
+    throw new Error("invalid_action_token");
+  }
+  if (!ALERT_ACTIONS.includes(payload.x) || !payload.a) throw new Error("invalid_action_token");
+  if (!Number.isFinite(payload.e) || payload.e * 1_000 < nowMs) throw new Error("action_token_expired");
+
+  return { alertId: payload.a, action: payload.x, by: payload.b, expiresAt: new Date(payload.e * 1_000).toISOString() };
+};
+
+/**
+ * 符号：buildActionTokens（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 只为仍在处理中的告警生成链接；by 记录这条通知发给了谁，作为点击链接时的操作人。
+export const buildActionTokens = (alert, by) => {
+  if (!alert?.id || !["open", "acknowledged"].includes(alert.status)) return null;
+  return Object.fromEntries(ALERT_ACTIONS.map((action) => [action, createActionToken({ alertId: alert.id, action, by })]));
+};
+
+/**
+ * 符号：getActionUrl（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const getActionUrl = (token) => `${getPublicApiBaseUrl()}/api/actions/${token}`;
+
+/**
+ * 符号：verifySlackSignature（const）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// Slack 交互回调签名：v0=HMAC_SHA256(signingSecret, "v0:<timestamp>:<原始请求体>")。
+export const verifySlackSignature = ({ rawBody, timestamp, signature, secret, nowMs = Date.now() }) => {
+  const seconds = Number(timestamp);
+  if (!secret || !Number.isFinite(seconds) || Math.abs(nowMs / 1_000 - seconds) > SLACK_SIGNATURE_MAX_SKEW_SECONDS) {
+    return false;
+  }
+  const expected = `v0=${createHmac("sha256", secret).update(`v0:${timestamp}:${rawBody}`).digest("hex")}`;
+  return safeEqual(expected, signature || "");
+};
+
+/**
+ * 符号：renderActionPage（arrow-function）
+ * 作用说明：该组件是页面级入口，负责拼装子组件与组织页面状态。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 操作链接落地页：GET 只展示确认按钮（避免聊天工具预览、邮件安全扫描误触发），POST 才真正执行。
+export const renderActionPage = ({ title, message, confirmLabel = null }) =>
+  [
+    '<!doctype html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">',
+    `<title>${escapeHtml(title)}</title></head>`,
+    '<body style="font-family:sans-serif;max-width:480px;margin:48px auto;padding:0 16px;color:#1e293b">',
+    `<h2>${escapeHtml(title)}</h2><p style="line-height:1.6">${escapeHtml(message)}</p>`,
+    confirmLabel
+      ? `<form method="post"><button type="submit" style="padding:8px 20px;font-size:15px">${escapeHtml(confirmLabel)}</button></form>`
+      : "",
+    "</body></html>",
+  ].join("");
@@ -45,6 +45,51 @@ const normalizeEscalations = (value) => {
     .filter((item) => item.actions.length > 0);
 };
 
+/**
+ * 符号：INCIDENT_GROUP_KEYS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const INCIDENT_GROUP_KEYS = ["service", "rule", "api", "environment", "tag"];
+
+/**
+ * 符号：createDefaultIncidentGrouping（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const createDefaultIncidentGrouping = () => ({
+  enabled: true,
+  groupBy: ["service"],
+  windowMinutes: 30,
+});
+
+/**
+ * 符号：normalizeIncidentGrouping（const）
+ * 作用说明：该函数用于输入标准化，先把不稳定入参转为稳定结构。
+ * 实现说明：实现中使用 map/filter/reduce 等数组操作，强调声明式数据变换。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const normalizeIncidentGrouping = (input, fallback = createDefaultIncidentGrouping()) => {
+  const base = fallback && typeof fallback === "object" ? fallback : createDefaultIncidentGrouping();
+  const source = input && typeof input === "object" ? input : {};
+  const groupBy = Array.isArray(source.groupBy ?? base.groupBy)
+    ? [...new Set((source.groupBy ?? base.groupBy).map((item) => String(item)))].filter((item) =>
+        INCIDENT_GROUP_KEYS.includes(item),
+      )
+    : [];
+
+  return {
+    enabled: source.enabled ?? base.enabled ?? true,
+    groupBy: groupBy.length ? groupBy : ["service"],
+    windowMinutes: toPositiveInt(source.windowMinutes, base.windowMinutes ?? 30, 0, 10_080),
+  };
+};
+
 /**
  * 符号：createDefaultAlertPolicy（arrow-function）
  * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
@@ -63,6 +108,7 @@ export const createDefaultAlertPolicy = () => ({
   escalationEnabled: true,
   escalateRequiresPrimary: true,
   escalations: [],
+  incidentGrouping: createDefaultIncidentGrouping(),
 });
 
 /**
@@ -107,6 +153,7 @@ export const normalizeAlertPolicy = (input, fallback = createDefaultAlertPolicy(
     escalationEnabled: source.escalationEnabled ?? base.escalationEnabled ?? true,
     escalateRequiresPrimary: source.escalateRequiresPrimary ?? base.escalateRequiresPrimary ?? true,
     escalations: normalizeEscalations(source.escalations ?? base.escalations ?? []),
+    incidentGrouping: normalizeIncidentGrouping(source.incidentGrouping, base.incidentGrouping),
   };
 };
 
@@ -14,23 +14,94 @@ import {
   dispatchAlertNotifications,
   dispatchAlertRecoveryNotifications,
   dispatchChannelTest,
+  getFailureReason,
+  planAlertNotificationTargets,
   processNotificationQueueTick,
+  replayNotification,
+  summarizeDeadLetters,
 } from "./notifications.js";
+import { getChannelDeliveryStats } from "./notification-throttle.js";
 import { normalizeAlertPolicy } from "./alert-policy.js";
+import {
+  normalizeNotificationRouting,
+  ROUTE_EVENT_TYPES,
+  validateNotificationRouting,
+} from "./notification-routes.js";
+import {
+  ALERT_ACTION_LABELS,
+  renderActionPage,
+  SILENCE_ACTION_MINUTES,
+  verifyActionToken,
+  verifySlackSignature,
+} from "./alert-actions.js";
+import {
+  appendIncidentEvent,
+  createManualIncident,
+  detachIncidentAlerts,
+  findIncident,
+  getIncidentAlerts,
+  INCIDENT_STATUS_VALUES,
+  isIncidentActive,
+  mergeAlertsIntoIncident,
+  publishIncidentEvent,
+  serializeIncident,
+} from "./incidents.js";
+import {
+  createSilence,
+  ensureSilences,
+  getSilenceStatus,
+  normalizeSilenceInput,
+  serializeSilence,
+  SILENCE_KIND_VALUES,
+  validateSilence,
+} from "./silences.js";
+import {
+  addScheduleOverride,
+  createSchedule,
+  ensureOncallSchedules,
+  findOncallSchedule,
+  findScheduleReferences,
+  getOncallScheduleId,
+  normalizeScheduleInput,
+  normalizeUserContactsInput,
+  serializeOncallWho,
+  validateSchedule,
+} from "./oncall.js";
+import {
+  buildTemplateContext,
+  getChannelTemplate,
+  getDefaultTemplates,
+  renderWithTemplate,
+  TEMPLATE_EVENT_TYPES,
+  validateTemplate,
+} from "./templates.js";
 import { enqueueMetrics } from "./metric-queue.js";
 import { ingestMetricsBatch } from "./metric-ingest.js";
 import { parseRuleDsl } from "./rule-dsl.js";
 import {
+  buildScopeTarget,
   computeApiStatus,
   getActiveAlertCountByApi,
   getHighestActiveAlertLevelByApi,
   getLatestMetricForApi,
   ingestMetric,
+  isScopeAggregateRule,
   previewRuleEvaluation,
+  previewScopeRuleEvaluation,
   refreshAllApiStatuses,
+  resolveAlertTarget,
   runRuleEvaluationSweep,
+  updateApiStatus,
 } from "./rule-engine.js";
 import { mutateState, resetState, getState } from "./store.js";
+import { METRIC_ROLLUP_TIERS, queryMetricPoints, removeApiMetrics } from "./metric-store.js";
+import {
+  EVENT_TOPICS,
+  getEventsSince,
+  parseEventTopics,
+  publishAlertEvent,
+  subscribeEvents,
+} from "./event-bus.js";
 import { createSeededRandom, runHistoricalSimulation, runSimulationTick } from "./simulator.js";
 import { avg, nowIso, round, safeSortByTimeDesc, toNumber, uid } from "./utils.js";
 import {
@@ -49,11 +120,43 @@ import {
   collectCredentialSecretRefs,
   getSecretEnvName,
   getSecretPrefix,
+  getSecretValue,
   resolveCredentialSecrets,
   resolveSecretRefStatus,
   sanitizeCredentialConfigForStorage,
   validateCredentialConfig,
 } from "./credential-secrets.js";
+import {
+  allowsBeforePasswordChange,
+  allowsQueryToken,
+  assignInitialPassword,
+  authenticateWithPassword,
+  clearLoginFailures,
+  createApiToken,
+  createSession,
+  generateInitialPassword,
+  getLoginLockRemainingMs,
+  getRolePermissions,
+  hashPassword,
+  hasPermission,
+  isAuthEnabled,
+  isPublicRoute,
+  parseBearerToken,
+  recordLoginFailure,
+  redactAccessToken,
+  refreshPrincipal,
+  resolvePrincipal,
+  resolveRoutePermission,
+  revokeSession,
+  sanitizeApiToken,
+  sanitizeUser,
+  shouldTouchPrincipal,
+  validatePasswordStrength,
+  verifyPassword,
+} from "./auth.js";
+
+// SSE 通过 access_token 查询参数传令牌，morgan 默认的 :url 会把它原样写进访问日志。
+morgan.token("url", (req) => redactAccessToken(req.originalUrl || req.url));
 
 /**
  * 符号：MAX_AUDIT_LOGS（const）
@@ -71,6 +174,45 @@ const MAX_AUDIT_LOGS = 3_000;
  * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
  */
 const ROUTE_CACHE_TTL_MS = 3_000;
+
+/**
+ * 符号：SSE_HEARTBEAT_MS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const SSE_HEARTBEAT_MS = Math.max(5_000, Number(process.env.SSE_HEARTBEAT_MS || 25_000));
+
+/**
+ * 符号：SSE_RETRY_MS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const SSE_RETRY_MS = 3_000;
+/**
+ * 符号：openEventStreams（const）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 已建立的 SSE 连接，每项是一个复核函数：身份失效时结束该连接。
+const openEventStreams = new Set();
+
+/**
+ * 符号：closeRevokedEventStreams（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 注销会话、改密/重置密码、吊销 API Token 之后立即复核，过期与用户停用则由心跳复核兜底。
+const closeRevokedEventStreams = () => {
+  for (const recheck of [...openEventStreams]) recheck();
+};
 /**
  * 符号：ROUTE_CACHE_MAX_KEYS（const）
  * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
@@ -118,7 +260,63 @@ const RULE_OPERATOR_VALUES = [">", ">=", "<", "<=", "==", "!="];
  * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
  * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
  */
-const RULE_TYPE_VALUES = ["threshold", "consecutive_failures", "missing_data", "burn_rate"];
+const RULE_TYPE_VALUES = ["threshold", "consecutive_failures", "missing_data", "burn_rate", "anomaly", "change"];
+/**
+ * 符号：ANOMALY_METHOD_VALUES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const ANOMALY_METHOD_VALUES = ["zscore", "mad"];
+/**
+ * 符号：ANOMALY_SEASONALITY_VALUES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const ANOMALY_SEASONALITY_VALUES = ["none", "hour_of_day", "day_of_week"];
+/**
+ * 符号：ANOMALY_DIRECTION_VALUES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const ANOMALY_DIRECTION_VALUES = ["both", "up", "down"];
+/**
+ * 符号：CHANGE_MODE_VALUES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const CHANGE_MODE_VALUES = ["percent", "absolute"];
+/**
+ * 符号：CHANGE_DIRECTION_VALUES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const CHANGE_DIRECTION_VALUES = ["increase", "decrease", "either"];
+/**
+ * 符号：RULE_CONDITION_TYPE_VALUES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const RULE_CONDITION_TYPE_VALUES = ["threshold", "change"];
+/**
+ * 符号：RULE_SCOPE_AGGREGATION_VALUES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const RULE_SCOPE_AGGREGATION_VALUES = ["per_api", "combined", "breach_ratio"];
 /**
  * 符号：RULE_CONDITION_LOGIC_VALUES（const）
  * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
@@ -141,6 +339,12 @@ const RULE_METRICS = [
   "latencyP99",
   "availability",
   "statusCode5xx",
+  "dnsMs",
+  "connectMs",
+  "tlsMs",
+  "ttfbMs",
+  "downloadMs",
+  "certDaysRemaining",
 ];
 /**
  * 符号：RULE_AGGREGATION_VALUES（const）
@@ -198,7 +402,7 @@ const ACTIVE_ALERT_STATUSES = new Set(["open", "acknowledged"]);
  * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
  * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
  */
-const getActor = (payload) => payload?.actor || payload?.operator || "system";
+const getActor = (req) => req?.auth?.actor || "system";
 /**
  * 符号：routeCache（const）
  * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
@@ -310,8 +514,7 @@ const addAuditLog = (state, payload) => {
  * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
  */
 const serializeAlert = (state, alert) => {
-  // 步骤 1：执行当前后端业务子步骤，推进规则评估或告警处理主流程。
-  const api = state.apis.find((item) => item.id === alert.apiId);
+  const api = resolveAlertTarget(state, alert);
   // 步骤 1：执行当前后端业务子步骤，推进规则评估或告警处理主流程。
   const rule = state.rules.find((item) => item.id === alert.ruleId);
 
@@ -466,32 +669,37 @@ const buildTrendSeries = (state, hours, bucketMinutes) => {
     const bucketStart = startMs + index * bucketMs;
     return {
       timestamp: new Date(bucketStart).toISOString(),
-      qpsValues: [],
-      errorRateValues: [],
-      latencyValues: [],
-      availabilityValues: [],
+      weight: 0,
+      qpsSum: 0,
+      errorRateSum: 0,
+      latencySum: 0,
+      availabilitySum: 0,
       alertCount: 0,
     };
   });
 
-  // 步骤 2：遍历数据集合并逐项处理，累计中间结果或执行批量动作。
-  for (const metric of state.metrics) {
-    const metricMs = new Date(metric.timestamp).getTime();
-
-    if (metricMs < startMs || metricMs > endMs) {
-      continue;
-    }
+  // 长窗口自动落到 1m/5m/1h 汇总层，汇总点按样本数加权，结果与逐点平均保持一致。
+  const { points } = queryMetricPoints(state, {
+    startMs,
+    endMs,
+    maxBucketMs: bucketMs,
+    prefer: "coarsest",
+  });
 
+  for (const metric of points) {
+    const metricMs = new Date(metric.timestamp).getTime();
     const bucketIndex = Math.min(
       buckets.length - 1,
       Math.floor((metricMs - startMs) / bucketMs),
     );
 
     const bucket = buckets[bucketIndex];
-    bucket.qpsValues.push(metric.qps);
-    bucket.errorRateValues.push(metric.errorRate);
-    bucket.latencyValues.push(metric.latencyP95);
-    bucket.availabilityValues.push(metric.availability);
+    const weight = metric.sampleCount ?? 1;
+    bucket.weight += weight;
+    bucket.qpsSum += metric.qps * weight;
+    bucket.errorRateSum += metric.errorRate * weight;
+    bucket.latencySum += metric.latencyP95 * weight;
+    bucket.availabilitySum += metric.availability * weight;
   }
 
   // 步骤 3：遍历数据集合并逐项处理，累计中间结果或执行批量动作。
@@ -510,12 +718,14 @@ const buildTrendSeries = (state, hours, bucketMinutes) => {
   }
 
   // 步骤 4：返回当前结果并结束函数，明确本路径的输出语义。
+  const weightedAvg = (sumValue, weight) => (weight > 0 ? sumValue / weight : 0);
+
   return buckets.map((bucket) => ({
     timestamp: bucket.timestamp,
-    qps: round(avg(bucket.qpsValues), 2),
-    errorRate: round(avg(bucket.errorRateValues), 3),
-    latencyP95: round(avg(bucket.latencyValues), 2),
-    availability: round(avg(bucket.availabilityValues), 3),
+    qps: round(weightedAvg(bucket.qpsSum, bucket.weight), 2),
+    errorRate: round(weightedAvg(bucket.errorRateSum, bucket.weight), 3),
+    latencyP95: round(weightedAvg(bucket.latencySum, bucket.weight), 2),
+    availability: round(weightedAvg(bucket.availabilitySum, bucket.weight), 3),
     alerts: bucket.alertCount,
   }));
 };
@@ -613,11 +823,161 @@ const findCredentialForApi = (state, api) => {
  * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
  */
 const updateApiStatusInState = (state, apiId) => {
-  // 步骤 1：执行当前后端业务子步骤，推进规则评估或告警处理主流程。
   const api = state.apis.find((item) => item.id === apiId);
-  // 步骤 1：按条件分支处理不同场景，确保每条路径都符合业务约束。
   if (!api) return;
-  api.status = computeApiStatus(state, api.id);
+  updateApiStatus(state, api);
+};
+
+/**
+ * 符号：applyAlertStatusChange（arrow-function）
+ * 作用说明：该函数偏流程编排职责，通常伴随状态更新或副作用。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 事件状态变更时级联到成员告警，沿用单条告警状态接口的事件记录与恢复通知逻辑。
+const applyAlertStatusChange = (state, alert, status, actor, note) => {
+  const previousStatus = alert.status;
+  alert.status = status;
+  alert.updatedAt = nowIso();
+
+  if (status === "acknowledged") {
+    alert.acknowledgedBy = actor;
+  }
+
+  if (status === "resolved" || status === "closed") {
+    alert.resolvedAt = alert.updatedAt;
+  }
+
+  appendAlertEvent(alert, "status_change", actor, note || `${previousStatus} -> ${status}`);
+  publishAlertEvent("alert.status_changed", alert, { previousStatus, by: actor });
+
+  if (
+    (status === "resolved" || status === "closed") &&
+    (previousStatus === "open" || previousStatus === "acknowledged")
+  ) {
+    const rule = state.rules.find((item) => item.id === alert.ruleId);
+    const api = resolveAlertTarget(state, alert);
+    if (rule && api) {
+      dispatchAlertRecoveryNotifications(state, alert, rule, api);
+    }
+  }
+};
+
+/**
+ * 符号：applyAlertAction（arrow-function）
+ * 作用说明：该函数偏流程编排职责，通常伴随状态更新或副作用。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 通知内快捷操作（操作链接或聊天工具回调）：告警已处于目标状态或静默已生效时不再重复变更，返回 false。
+const applyAlertAction = (state, alert, action, actor, source) => {
+  if (action === "ack") {
+    if (alert.status !== "open") return false;
+    applyAlertStatusChange(state, alert, "acknowledged", actor, `open -> acknowledged via ${source}`);
+  } else if (action === "resolve") {
+    if (alert.status !== "open" && alert.status !== "acknowledged") return false;
+    applyAlertStatusChange(state, alert, "resolved", actor, `${alert.status} -> resolved via ${source}`);
+  } else if (action === "silence") {
+    const nowMs = Date.now();
+    const active = ensureSilences(state).find(
+      (silence) => silence.sourceAlertId === alert.id && getSilenceStatus(silence, nowMs) === "active",
+    );
+    if (active) return false;
+
+    const normalized = normalizeSilenceInput({
+      name: `静默 ${alert.title}`,
+      matchers: { apiId: alert.apiId ? [alert.apiId] : [], ruleId: alert.ruleId ? [alert.ruleId] : [] },
+      startsAt: new Date(nowMs).toISOString(),
+      endsAt: new Date(nowMs + SILENCE_ACTION_MINUTES * 60_000).toISOString(),
+      comment: `Created from alert ${alert.id} via ${source}`,
+    });
+    if (validateSilence(normalized)) return false;
+    const silence = createSilence(state, { ...normalized, sourceAlertId: alert.id }, actor);
+    appendAlertEvent(alert, "silenced", actor, `${silence.id} until ${silence.endsAt} via ${source}`);
+  } else {
+    return false;
+  }
+
+  updateApiStatusInState(state, alert.apiId);
+  addAuditLog(state, {
+    user: actor,
+    action: "alert_action",
+    target: alert.id,
+    detail: `${action} via ${source}`,
+  });
+  return true;
+};
+
+/**
+ * 符号：ACTION_TOKEN_ERROR_STATUS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const ACTION_TOKEN_ERROR_STATUS = { invalid_action_token: 400, action_token_expired: 410 };
+
+/**
+ * 符号：runAlertActionToken（arrow-function）
+ * 作用说明：该函数偏流程编排职责，通常伴随状态更新或副作用。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 校验失败时返回 { status, error }，成功时返回令牌载荷与告警快照，供链接与回调路由共用。
+const runAlertActionToken = (rawToken, resolveActor, source) => {
+  let token;
+  try {
+    token = verifyActionToken(rawToken);
+  } catch (error) {
+    return { status: ACTION_TOKEN_ERROR_STATUS[error.message] ?? 400, error: error.message };
+  }
+
+  const result = { token };
+  mutateState((state) => {
+    const alert = state.alerts.find((item) => item.id === token.alertId);
+    if (!alert) return;
+    result.actor = resolveActor(token);
+    result.changed = applyAlertAction(state, alert, token.action, result.actor, source);
+    result.alert = alert;
+  });
+
+  if (!result.alert) {
+    return { status: 404, error: `Alert not found: ${token.alertId}` };
+  }
+  return result;
+};
+
+/**
+ * 符号：respondActionPage（arrow-function）
+ * 作用说明：该组件是页面级入口，负责拼装子组件与组织页面状态。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 链接落地页默认返回 HTML；显式要求 JSON（Accept: application/json）时返回结构化结果。
+const respondActionPage = (req, res, status, title, message, payload = {}) => {
+  if (req.accepts(["html", "json"]) === "json") {
+    res.status(status).json(status >= 400 ? { error: message, ...payload } : { message, ...payload });
+    return;
+  }
+  res.status(status).type("html").send(renderActionPage({ title, message, confirmLabel: payload.confirmLabel }));
+};
+
+/**
+ * 符号：describeActionResult（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const describeActionResult = (result) => {
+  const label = ALERT_ACTION_LABELS[result.token.action];
+  return result.changed
+    ? `已${label}：${result.alert.title}（当前状态 ${result.alert.status}）`
+    : `无需重复操作：${result.alert.title}（当前状态 ${result.alert.status}）`;
 };
 
 /**
@@ -707,8 +1067,7 @@ const removeApiFromState = (state, apiId, options = {}) => {
 
   // 步骤 7：按条件分支处理不同场景，确保每条路径都符合业务约束。
   if (cascade) {
-    removedMetrics = state.metrics.filter((item) => item.apiId === apiId).length;
-    state.metrics = state.metrics.filter((item) => item.apiId !== apiId);
+    removedMetrics = removeApiMetrics(state, apiId);
 
     removedRuleHits = state.ruleHits.filter((item) => item.apiId === apiId).length;
     state.ruleHits = state.ruleHits.filter((item) => item.apiId !== apiId);
@@ -811,8 +1170,8 @@ const validateRulePayload = (payload) => {
   const hasConditions = Array.isArray(payload.conditions) && payload.conditions.length > 0;
 
   // 步骤 2：按条件分支处理不同场景，确保每条路径都符合业务约束。
-  if (hasConditions && ruleType !== "threshold") {
-    return "conditions only supported for threshold rules.";
+  if (hasConditions && !RULE_CONDITION_TYPE_VALUES.includes(ruleType)) {
+    return `conditions only supported for rule types: ${RULE_CONDITION_TYPE_VALUES.join(", ")}`;
   }
 
   // 步骤 5：按条件分支处理不同场景，确保每条路径都符合业务约束。
@@ -821,7 +1180,8 @@ const validateRulePayload = (payload) => {
       return `Rule metric must be one of: ${RULE_METRICS.join(", ")}`;
     }
 
-    if (!RULE_OPERATOR_VALUES.includes(payload.operator)) {
+    // 异常检测规则的比较方向和阈值由基线推导，不要求调用方给出 operator/threshold。
+    if (ruleType !== "anomaly" && !RULE_OPERATOR_VALUES.includes(payload.operator)) {
       return `Rule operator must be one of: ${RULE_OPERATOR_VALUES.join(", ")}`;
     }
   }
@@ -837,7 +1197,7 @@ const validateRulePayload = (payload) => {
   }
 
   // 步骤 8：按条件分支处理不同场景，确保每条路径都符合业务约束。
-  if (!hasConditions) {
+  if (!hasConditions && ruleType !== "anomaly") {
     if (!Number.isFinite(Number(payload.threshold))) {
       return "Rule threshold must be numeric.";
     }
@@ -867,6 +1227,10 @@ const validateRulePayload = (payload) => {
       if ("minSamples" in condition && !Number.isFinite(Number(condition.minSamples))) {
         return "Condition minSamples must be numeric.";
       }
+      const changeError = validateChangeConditionInput(condition);
+      if (changeError) {
+        return changeError;
+      }
     }
 
     if (
@@ -901,103 +1265,291 @@ const validateRulePayload = (payload) => {
     }
   }
 
-  // 步骤 4：返回当前结果并结束函数，明确本路径的输出语义。
+  if (ruleType === "change") {
+    const changeError = validateChangeFieldsInput(payload, "change rule");
+    if (changeError) {
+      return changeError;
+    }
+  }
+
+  const scopeAggregationError = validateScopeAggregationInput(payload, {
+    ruleType,
+    hasConditions,
+    scope: normalizeRuleScope(payload.scope),
+  });
+  if (scopeAggregationError) {
+    return scopeAggregationError;
+  }
+
+  if (ruleType === "anomaly") {
+    if ("anomalyMethod" in payload && !ANOMALY_METHOD_VALUES.includes(payload.anomalyMethod)) {
+      return `anomaly rule method must be one of: ${ANOMALY_METHOD_VALUES.join(", ")}`;
+    }
+    if ("seasonality" in payload && !ANOMALY_SEASONALITY_VALUES.includes(payload.seasonality)) {
+      return `anomaly rule seasonality must be one of: ${ANOMALY_SEASONALITY_VALUES.join(", ")}`;
+    }
+    if ("anomalyDirection" in payload && !ANOMALY_DIRECTION_VALUES.includes(payload.anomalyDirection)) {
+      return `anomaly rule direction must be one of: ${ANOMALY_DIRECTION_VALUES.join(", ")}`;
+    }
+    if ("sensitivity" in payload && (!Number.isFinite(Number(payload.sensitivity)) || Number(payload.sensitivity) < 0.5)) {
+      return "anomaly rule requires sensitivity >= 0.5.";
+    }
+    if (
+      "baselineWindowMinutes" in payload &&
+      (!Number.isFinite(Number(payload.baselineWindowMinutes)) ||
+        Number(payload.baselineWindowMinutes) < 2 * Math.max(1, toNumber(payload.windowMinutes, 5)))
+    ) {
+      return "anomaly rule requires baselineWindowMinutes >= 2 * windowMinutes.";
+    }
+    if ("minBaselineSamples" in payload && (!Number.isFinite(Number(payload.minBaselineSamples)) || Number(payload.minBaselineSamples) < 2)) {
+      return "anomaly rule requires minBaselineSamples >= 2.";
+    }
+  }
+
   return null;
 };
 
 /**
- * 符号：normalizeRuleActionsInput（arrow-function）
- * 作用说明：该函数用于输入标准化，先把不稳定入参转为稳定结构。
+ * 符号：pickEnumField（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
  * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
  * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
  * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
  */
-const normalizeRuleActionsInput = (actionsInput) => {
-  // 步骤 1：按条件分支处理不同场景，确保每条路径都符合业务约束。
-  if (!Array.isArray(actionsInput)) return [];
-  // 步骤 1：返回当前结果并结束函数，明确本路径的输出语义。
-  return actionsInput
-    .map((item) => String(item || "").trim())
-    .filter(Boolean);
+// 创建与 PATCH 共用：入参里合法的值优先，其次沿用规则已有的值，最后才落到默认值。
+const pickEnumField = (input, current, key, allowed, fallback) => {
+  if (key in input && allowed.includes(input[key])) return input[key];
+  return allowed.includes(current[key]) ? current[key] : fallback;
 };
 
 /**
- * 符号：normalizeRuleConditions（arrow-function）
- * 作用说明：该函数用于输入标准化，先把不稳定入参转为稳定结构。
- * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 符号：pickNumberField（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
  * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
  * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
  */
-const normalizeRuleConditions = (conditions) => {
-  // 步骤 1：按条件分支处理不同场景，确保每条路径都符合业务约束。
-  if (!Array.isArray(conditions)) return [];
-  // 步骤 1：返回当前结果并结束函数，明确本路径的输出语义。
-  return conditions
-    .map((condition) => {
-      if (!condition || typeof condition !== "object") return null;
-      return {
-        metric: condition.metric,
-        operator: condition.operator,
-        threshold: toNumber(condition.threshold, 0),
-        aggregation: condition.aggregation,
-        windowMinutes:
-          condition.windowMinutes === undefined ? undefined : toNumber(condition.windowMinutes, 0),
-        minSamples: condition.minSamples === undefined ? undefined : toNumber(condition.minSamples, 0),
-      };
-    })
-    .filter(Boolean);
-};
+const pickNumberField = (input, current, key, fallback) =>
+  toNumber(key in input ? input[key] : current[key], fallback);
 
 /**
- * 符号：validateRuleConditionsInput（arrow-function）
- * 作用说明：该函数用于前置校验，尽早拦截非法输入并缩短错误路径。
- * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 符号：normalizeAnomalyRuleFields（arrow-function）
+ * 作用说明：该函数用于输入标准化，先把不稳定入参转为稳定结构。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
  * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
  * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
  */
-const validateRuleConditionsInput = (conditions) => {
-  // 步骤 1：按条件分支处理不同场景，确保每条路径都符合业务约束。
-  if (!Array.isArray(conditions)) return null;
-  // 步骤 1：按条件分支处理不同场景，确保每条路径都符合业务约束。
-  if (!conditions.length) return null;
-
-  // 步骤 2：遍历数据集合并逐项处理，累计中间结果或执行批量动作。
-  for (const condition of conditions) {
-    if (!condition || typeof condition !== "object") {
-      return "Each condition must be an object.";
-    }
-    if (!RULE_METRICS.includes(condition.metric)) {
-      return `Condition metric must be one of: ${RULE_METRICS.join(", ")}`;
-    }
-    if (!RULE_OPERATOR_VALUES.includes(condition.operator)) {
-      return `Condition operator must be one of: ${RULE_OPERATOR_VALUES.join(", ")}`;
-    }
-    if (!Number.isFinite(Number(condition.threshold))) {
-      return "Condition threshold must be numeric.";
-    }
-    if ("aggregation" in condition && !RULE_AGGREGATION_VALUES.includes(condition.aggregation)) {
-      return `Condition aggregation must be one of: ${RULE_AGGREGATION_VALUES.join(", ")}`;
-    }
-    if ("windowMinutes" in condition && !Number.isFinite(Number(condition.windowMinutes))) {
-      return "Condition windowMinutes must be numeric.";
-    }
-    if ("minSamples" in condition && !Number.isFinite(Number(condition.minSamples))) {
-      return "Condition minSamples must be numeric.";
-    }
-  }
+const normalizeAnomalyRuleFields = (input, current = {}) => {
+  const pick = (key, allowed, fallback) => pickEnumField(input, current, key, allowed, fallback);
+  const number = (key, fallback) => pickNumberField(input, current, key, fallback);
 
-  // 步骤 3：返回当前结果并结束函数，明确本路径的输出语义。
-  return null;
+  return {
+    anomalyMethod: pick("anomalyMethod", ANOMALY_METHOD_VALUES, "zscore"),
+    sensitivity: Math.max(0.5, number("sensitivity", 3)),
+    baselineWindowMinutes: Math.max(2, number("baselineWindowMinutes", 7 * 24 * 60)),
+    seasonality: pick("seasonality", ANOMALY_SEASONALITY_VALUES, "none"),
+    anomalyDirection: pick("anomalyDirection", ANOMALY_DIRECTION_VALUES, "both"),
+    minBaselineSamples: Math.max(2, number("minBaselineSamples", 10)),
+  };
 };
 
 /**
- * 符号：validateRuleActionsAgainstChannels（arrow-function）
- * 作用说明：该函数用于前置校验，尽早拦截非法输入并缩短错误路径。
- * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 符号：normalizeChangeRuleFields（arrow-function）
+ * 作用说明：该函数用于输入标准化，先把不稳定入参转为稳定结构。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
  * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
  * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
  */
-const validateRuleActionsAgainstChannels = (state, actionsInput) => {
+const normalizeChangeRuleFields = (input, current = {}) => ({
+  changeMode: pickEnumField(input, current, "changeMode", CHANGE_MODE_VALUES, "percent"),
+  changeDirection: pickEnumField(input, current, "changeDirection", CHANGE_DIRECTION_VALUES, "increase"),
+  compareOffsetMinutes: Math.max(
+    1,
+    pickNumberField(input, current, "compareOffsetMinutes", pickNumberField(input, current, "windowMinutes", 5)),
+  ),
+});
+
+/**
+ * 符号：validateChangeFieldsInput（arrow-function）
+ * 作用说明：该函数用于前置校验，尽早拦截非法输入并缩短错误路径。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const validateChangeFieldsInput = (input, label) => {
+  if ("changeMode" in input && !CHANGE_MODE_VALUES.includes(input.changeMode)) {
+    return `${label} changeMode must be one of: ${CHANGE_MODE_VALUES.join(", ")}`;
+  }
+  if ("changeDirection" in input && !CHANGE_DIRECTION_VALUES.includes(input.changeDirection)) {
+    return `${label} changeDirection must be one of: ${CHANGE_DIRECTION_VALUES.join(", ")}`;
+  }
+  if (
+    "compareOffsetMinutes" in input &&
+    (!Number.isFinite(Number(input.compareOffsetMinutes)) || Number(input.compareOffsetMinutes) < 1)
+  ) {
+    return `${label} compareOffsetMinutes must be >= 1.`;
+  }
+  return null;
+};
+
+/**
+ * 符号：normalizeScopeAggregationFields（arrow-function）
+ * 作用说明：该函数用于输入标准化，先把不稳定入参转为稳定结构。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const normalizeScopeAggregationFields = (input, current = {}) => ({
+  scopeAggregation: pickEnumField(input, current, "scopeAggregation", RULE_SCOPE_AGGREGATION_VALUES, "per_api"),
+  minBreachPercent: Math.min(Math.max(pickNumberField(input, current, "minBreachPercent", 50), 0), 100),
+});
+
+/**
+ * 符号：validateScopeAggregationInput（arrow-function）
+ * 作用说明：该函数用于前置校验，尽早拦截非法输入并缩短错误路径。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 聚合模式只对 service/global 范围有意义；combined 直接合并单个指标，因此仅支持不带组合条件的阈值规则。
+const validateScopeAggregationInput = (input, target) => {
+  if (!("scopeAggregation" in input) && !("minBreachPercent" in input)) {
+    return null;
+  }
+  const mode = "scopeAggregation" in input ? input.scopeAggregation : "per_api";
+  if (!RULE_SCOPE_AGGREGATION_VALUES.includes(mode)) {
+    return `Rule scopeAggregation must be one of: ${RULE_SCOPE_AGGREGATION_VALUES.join(", ")}`;
+  }
+  if (mode !== "per_api" && target.scope.type === "api") {
+    return "scopeAggregation requires a service or global scope.";
+  }
+  if (mode === "combined" && (target.ruleType !== "threshold" || target.hasConditions)) {
+    return "combined scopeAggregation only supports threshold rules without conditions.";
+  }
+  if (
+    "minBreachPercent" in input &&
+    (!Number.isFinite(Number(input.minBreachPercent)) || Number(input.minBreachPercent) < 0 || Number(input.minBreachPercent) > 100)
+  ) {
+    return "minBreachPercent must be in [0, 100].";
+  }
+  return null;
+};
+
+/**
+ * 符号：validateChangeConditionInput（arrow-function）
+ * 作用说明：该函数用于前置校验，尽早拦截非法输入并缩短错误路径。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const validateChangeConditionInput = (condition) => {
+  if ("conditionType" in condition && !RULE_CONDITION_TYPE_VALUES.includes(condition.conditionType)) {
+    return `Condition conditionType must be one of: ${RULE_CONDITION_TYPE_VALUES.join(", ")}`;
+  }
+  return validateChangeFieldsInput(condition, "Condition");
+};
+
+/**
+ * 符号：normalizeRuleActionsInput（arrow-function）
+ * 作用说明：该函数用于输入标准化，先把不稳定入参转为稳定结构。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const normalizeRuleActionsInput = (actionsInput) => {
+  // 步骤 1：按条件分支处理不同场景，确保每条路径都符合业务约束。
+  if (!Array.isArray(actionsInput)) return [];
+  // 步骤 1：返回当前结果并结束函数，明确本路径的输出语义。
+  return actionsInput
+    .map((item) => String(item || "").trim())
+    .filter(Boolean);
+};
+
+/**
+ * 符号：normalizeRuleConditions（arrow-function）
+ * 作用说明：该函数用于输入标准化，先把不稳定入参转为稳定结构。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const normalizeRuleConditions = (conditions) => {
+  // 步骤 1：按条件分支处理不同场景，确保每条路径都符合业务约束。
+  if (!Array.isArray(conditions)) return [];
+  // 步骤 1：返回当前结果并结束函数，明确本路径的输出语义。
+  return conditions
+    .map((condition) => {
+      if (!condition || typeof condition !== "object") return null;
+      return {
+        metric: condition.metric,
+        operator: condition.operator,
+        threshold: toNumber(condition.threshold, 0),
+        aggregation: condition.aggregation,
+        windowMinutes:
+          condition.windowMinutes === undefined ? undefined : toNumber(condition.windowMinutes, 0),
+        minSamples: condition.minSamples === undefined ? undefined : toNumber(condition.minSamples, 0),
+        conditionType: RULE_CONDITION_TYPE_VALUES.includes(condition.conditionType) ? condition.conditionType : undefined,
+        changeMode: CHANGE_MODE_VALUES.includes(condition.changeMode) ? condition.changeMode : undefined,
+        changeDirection: CHANGE_DIRECTION_VALUES.includes(condition.changeDirection) ? condition.changeDirection : undefined,
+        compareOffsetMinutes:
+          condition.compareOffsetMinutes === undefined ? undefined : toNumber(condition.compareOffsetMinutes, 0),
+      };
+    })
+    .filter(Boolean);
+};
+
+/**
+ * 符号：validateRuleConditionsInput（arrow-function）
+ * 作用说明：该函数用于前置校验，尽早拦截非法输入并缩短错误路径。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const validateRuleConditionsInput = (conditions) => {
+  // 步骤 1：按条件分支处理不同场景，确保每条路径都符合业务约束。
+  if (!Array.isArray(conditions)) return null;
+  // 步骤 1：按条件分支处理不同场景，确保每条路径都符合业务约束。
+  if (!conditions.length) return null;
+
+  // 步骤 2：遍历数据集合并逐项处理，累计中间结果或执行批量动作。
+  for (const condition of conditions) {
+    if (!condition || typeof condition !== "object") {
+      return "Each condition must be an object.";
+    }
+    if (!RULE_METRICS.includes(condition.metric)) {
+      return `Condition metric must be one of: ${RULE_METRICS.join(", ")}`;
+    }
+    if (!RULE_OPERATOR_VALUES.includes(condition.operator)) {
+      return `Condition operator must be one of: ${RULE_OPERATOR_VALUES.join(", ")}`;
+    }
+    if (!Number.isFinite(Number(condition.threshold))) {
+      return "Condition threshold must be numeric.";
+    }
+    if ("aggregation" in condition && !RULE_AGGREGATION_VALUES.includes(condition.aggregation)) {
+      return `Condition aggregation must be one of: ${RULE_AGGREGATION_VALUES.join(", ")}`;
+    }
+    if ("windowMinutes" in condition && !Number.isFinite(Number(condition.windowMinutes))) {
+      return "Condition windowMinutes must be numeric.";
+    }
+    if ("minSamples" in condition && !Number.isFinite(Number(condition.minSamples))) {
+      return "Condition minSamples must be numeric.";
+    }
+    const changeError = validateChangeConditionInput(condition);
+    if (changeError) {
+      return changeError;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * 符号：validateRuleActionsAgainstChannels（arrow-function）
+ * 作用说明：该函数用于前置校验，尽早拦截非法输入并缩短错误路径。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const validateRuleActionsAgainstChannels = (state, actionsInput) => {
   // 步骤 1：执行当前后端业务子步骤，推进规则评估或告警处理主流程。
   const actions = normalizeRuleActionsInput(actionsInput);
   // 步骤 1：按条件分支处理不同场景，确保每条路径都符合业务约束。
@@ -1092,9 +1644,10 @@ const createAutoRuleCandidates = (state, options = {}) => {
   const scopedApis = state.apis.filter(matchApi);
   // 步骤 3：执行当前后端业务子步骤，推进规则评估或告警处理主流程。
   const scopedApiIds = new Set(scopedApis.map((api) => api.id));
-  const scopedMetrics = state.metrics.filter(
-    (item) => scopedApiIds.has(item.apiId) && new Date(item.timestamp).getTime() >= sinceMs,
-  );
+  const { points: scopedMetrics } = queryMetricPoints(state, {
+    apiIds: [...scopedApiIds],
+    startMs: sinceMs,
+  });
 
   const avgBaseline = {
     errorRate: avg(scopedApis.map((api) => toNumber(api.baseline?.errorRate, 1))) || 1,
@@ -1235,7 +1788,7 @@ const getDefaultChannelConfig = (type) => {
   if (type === "sms") {
     return {
       deliveryMode: "mock",
-      provider: "mock-provider",
+      provider: "generic_json",
       recipients: ["+10000000000"],
     };
   }
@@ -1256,7 +1809,7 @@ const matchesAlertQualityFilters = (state, alert, filters) => {
   // 步骤 1：按条件分支处理不同场景，确保每条路径都符合业务约束。
   if (filters.ruleId && alert.ruleId !== filters.ruleId) return false;
   if (filters.service) {
-    const api = state.apis.find((item) => item.id === alert.apiId);
+    const api = resolveAlertTarget(state, alert);
     if (!api || api.service !== filters.service) return false;
   }
   // 步骤 2：返回当前结果并结束函数，明确本路径的输出语义。
@@ -1679,6 +2232,77 @@ const buildConclusionText = (compare) => {
     `当前窗口告警 ${compare.current.totals.alerts} 条，误报率 ${compare.current.quality.falsePositiveRate}%，重复率 ${compare.current.quality.duplicateRate}%，通知失败率 ${compare.current.quality.notificationFailureRate}% 。`;
 };
 
+/**
+ * 符号：createAuthMiddleware（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const createAuthMiddleware = () => (req, res, next) => {
+  if (!req.path.startsWith("/api/")) {
+    next();
+    return;
+  }
+
+  if (!isAuthEnabled()) {
+    req.auth = {
+      kind: "disabled",
+      user: { id: "system", name: "system", email: null, role: "admin" },
+      actor: "system",
+    };
+    next();
+    return;
+  }
+
+  if (isPublicRoute(req.method, req.path)) {
+    next();
+    return;
+  }
+
+  // EventSource 无法自定义请求头，SSE 路由额外允许通过 access_token 查询参数携带令牌。
+  const queryToken = allowsQueryToken(req.method, req.path) ? String(req.query.access_token || "") : "";
+  const token = parseBearerToken(req.get("authorization")) || queryToken || null;
+  const principal = resolvePrincipal(getState(), token);
+  if (!principal) {
+    res.status(401).json({ error: "unauthorized", message: "Valid session or API token is required." });
+    return;
+  }
+
+  if (principal.user.mustChangePassword && !allowsBeforePasswordChange(req.method, req.path)) {
+    res.status(403).json({
+      error: "password_change_required",
+      message: "Change the initial or reset password via PATCH /api/auth/password first.",
+    });
+    return;
+  }
+
+  const permission = resolveRoutePermission(req.method, req.path);
+  if (!hasPermission(principal.user.role, permission)) {
+    res.status(403).json({
+      error: "forbidden",
+      message: `Role ${principal.user.role} lacks permission ${permission}.`,
+    });
+    return;
+  }
+
+  if (shouldTouchPrincipal(principal)) {
+    mutateState(
+      () => {
+        if (principal.kind === "session") {
+          principal.session.lastSeenAt = nowIso();
+        } else {
+          principal.apiToken.lastUsedAt = nowIso();
+        }
+      },
+      { skipTimestamp: true },
+    );
+  }
+
+  req.auth = principal;
+  next();
+};
+
 /**
  * 符号：createApp（arrow-function）
  * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
@@ -1693,6 +2317,7 @@ export const createApp = () => {
   app.use(cors());
   app.use(express.json({ limit: "1mb" }));
   app.use(morgan("dev"));
+  app.use(createAuthMiddleware());
 
   app.get("/api/health", (_req, res) => {
     const state = getState();
@@ -1707,76 +2332,323 @@ export const createApp = () => {
     });
   });
 
-  app.get("/api/dashboard/summary", (_req, res) => {
-    const state = getState();
-    const payload = withRouteCache(state, "dashboard:summary", () => {
-      const indices = buildDerivedApiIndices(state);
-      const apiViews = state.apis.map((api) => buildApiListItem(state, api, indices));
+  app.post("/api/auth/login", (req, res) => {
+    const body = req.body ?? {};
+    const lockRemainingMs = getLoginLockRemainingMs(body.email, req.ip);
+    if (lockRemainingMs > 0) {
+      const retryAfterSeconds = Math.ceil(lockRemainingMs / 1000);
+      res.set("Retry-After", String(retryAfterSeconds));
+      res.status(429).json({
+        error: "too_many_login_attempts",
+        message: `Too many failed logins, retry after ${retryAfterSeconds}s.`,
+      });
+      return;
+    }
 
-      const latestMetrics = apiViews
-        .map((api) => api.latestMetrics)
-        .filter((metric) => Boolean(metric));
+    const user = authenticateWithPassword(getState(), body.email, body.password);
+    if (!user) {
+      if (recordLoginFailure(body.email, req.ip)) {
+        mutateState((state) => {
+          addAuditLog(state, {
+            user: "system",
+            action: "user_login_locked",
+            target: String(body.email || "").trim().toLowerCase() || "unknown",
+            detail: `Login locked after repeated failures from ${req.ip || "unknown"}`,
+          });
+        });
+      }
+      res.status(401).json({ error: "invalid_credentials", message: "Email or password is incorrect." });
+      return;
+    }
+    clearLoginFailures(body.email, req.ip);
 
-      const activeAlerts = state.alerts.filter((alert) => ACTIVE_ALERT_STATUSES.has(alert.status));
+    const issued = {};
+    mutateState((state) => {
+      const target = state.users.find((item) => item.id === user.id);
+      const { token, session } = createSession(state, target);
+      target.lastLoginAt = nowIso();
+      issued.token = token;
+      issued.session = session;
 
-      return {
-        meta: {
-          generatedAt: nowIso(),
-        },
-        kpis: {
-          apiTotal: state.apis.length,
-          apiCritical: apiViews.filter((api) => api.status === "critical").length,
-          apiWarning: apiViews.filter((api) => api.status === "warning").length,
-          ruleTotal: state.rules.length,
-          ruleEnabled: state.rules.filter((rule) => rule.enabled).length,
-          alertActive: activeAlerts.length,
-          alertP1Active: activeAlerts.filter((alert) => alert.level === "P1").length,
-          notificationsToday: state.notifications.filter((item) => {
-            const today = new Date().toISOString().slice(0, 10);
-            return item.createdAt.startsWith(today);
-          }).length,
-        },
-        runtime: {
-          qpsAvg: round(avg(latestMetrics.map((item) => item.qps)), 2),
-          errorRateAvg: round(avg(latestMetrics.map((item) => item.errorRate)), 3),
-          latencyP95Avg: round(avg(latestMetrics.map((item) => item.latencyP95)), 2),
-          availabilityAvg: round(avg(latestMetrics.map((item) => item.availability)), 3),
-        },
-        topRiskApis: apiViews
-          .sort((left, right) => right.activeAlertCount - left.activeAlertCount)
-          .slice(0, 5),
-        recentAlerts: safeSortByTimeDesc(state.alerts, (item) => item.triggeredAt)
-          .slice(0, 8)
-          .map((alert) => serializeAlert(state, alert)),
-      };
+      addAuditLog(state, {
+        user: target.name || target.email,
+        action: "user_login",
+        target: target.id,
+        detail: `User ${target.email} signed in`,
+      });
+    });
+
+    res.json({
+      token: issued.token,
+      expiresAt: issued.session.expiresAt,
+      user: sanitizeUser(user),
+      permissions: getRolePermissions(user.role),
     });
-    res.json(payload);
   });
 
-  app.get("/api/dashboard/trends", (req, res) => {
-    const state = getState();
-    const hours = req.query.hours;
-    const bucketMinutes = req.query.bucketMinutes;
-    const key = `dashboard:trends:${toNumber(hours, 24)}:${toNumber(bucketMinutes, 30)}`;
-    const payload = withRouteCache(state, key, () => ({
-      series: buildTrendSeries(state, hours, bucketMinutes),
-    }));
-    res.json(payload);
+  app.post("/api/auth/logout", (req, res) => {
+    if (req.auth?.kind === "session") {
+      const sessionId = req.auth.session.id;
+      mutateState((state) => {
+        revokeSession(state, sessionId);
+      });
+      closeRevokedEventStreams();
+    }
+    res.json({ ok: true });
   });
 
-  app.get("/api/apis", (req, res) => {
-    const state = getState();
+  app.get("/api/auth/me", (req, res) => {
+    res.json({
+      authEnabled: isAuthEnabled(),
+      kind: req.auth.kind,
+      user: sanitizeUser(req.auth.user),
+      permissions: getRolePermissions(req.auth.user.role),
+    });
+  });
 
-    const search = String(req.query.search || "").trim().toLowerCase();
-    const owner = String(req.query.owner || "").trim().toLowerCase();
-    const status = String(req.query.status || "").trim().toLowerCase();
-    const monitorMode = String(req.query.monitorMode || "").trim().toLowerCase();
-    const method = String(req.query.method || "").trim().toUpperCase();
-    const limit = Math.max(1, Math.min(toNumber(req.query.limit, 1_000), 1_000));
-    const offset = Math.max(0, toNumber(req.query.offset, 0));
-    const key = `apis:list:${search}:${owner}:${status}:${monitorMode}:${method}:${limit}:${offset}`;
-    const payload = withRouteCache(state, key, () => {
-      const indices = buildDerivedApiIndices(state);
+  app.patch("/api/auth/password", (req, res) => {
+    const body = req.body ?? {};
+    if (req.auth.kind === "disabled") {
+      res.status(400).json({ error: "Password change is unavailable when AUTH_ENABLED=false." });
+      return;
+    }
+    if (!verifyPassword(body.currentPassword, req.auth.user.passwordHash)) {
+      res.status(400).json({ error: "currentPassword is incorrect." });
+      return;
+    }
+    const strengthError = validatePasswordStrength(body.newPassword);
+    if (strengthError) {
+      res.status(400).json({ error: strengthError });
+      return;
+    }
+    if (body.newPassword === body.currentPassword) {
+      res.status(400).json({ error: "newPassword must differ from currentPassword." });
+      return;
+    }
+
+    const userId = req.auth.user.id;
+    const keepSessionId = req.auth.kind === "session" ? req.auth.session.id : null;
+    mutateState((state) => {
+      const user = state.users.find((item) => item.id === userId);
+      user.passwordHash = hashPassword(body.newPassword);
+      user.mustChangePassword = false;
+      state.authSessions = state.authSessions.filter(
+        (session) => session.userId !== userId || session.id === keepSessionId,
+      );
+
+      addAuditLog(state, {
+        user: getActor(req),
+        action: "user_password_changed",
+        target: userId,
+        detail: "Password changed, other sessions revoked",
+      });
+    });
+
+    closeRevokedEventStreams();
+    res.json({ ok: true });
+  });
+
+  app.get("/api/auth/tokens", (req, res) => {
+    const state = getState();
+    const isAdmin = hasPermission(req.auth.user.role, "users:admin");
+    const items = safeSortByTimeDesc(
+      state.apiTokens.filter((item) => isAdmin || item.userId === req.auth.user.id),
+      (item) => item.createdAt,
+    ).map(sanitizeApiToken);
+    res.json({ items, total: items.length });
+  });
+
+  app.post("/api/auth/tokens", (req, res) => {
+    const body = req.body ?? {};
+    if (req.auth.kind === "disabled") {
+      res.status(400).json({ error: "API tokens are unavailable when AUTH_ENABLED=false." });
+      return;
+    }
+    if (req.auth.kind === "api_token") {
+      res.status(403).json({ error: "forbidden", message: "API tokens cannot issue new API tokens." });
+      return;
+    }
+
+    const issued = {};
+    mutateState((state) => {
+      const user = state.users.find((item) => item.id === req.auth.user.id);
+      const { token, item } = createApiToken(state, user, {
+        name: body.name,
+        expiresInDays: body.expiresInDays,
+      });
+      issued.token = token;
+      issued.item = item;
+
+      addAuditLog(state, {
+        user: getActor(req),
+        action: "api_token_created",
+        target: item.id,
+        detail: `Created API token ${item.name}`,
+      });
+    });
+
+    res.status(201).json({ token: issued.token, item: sanitizeApiToken(issued.item) });
+  });
+
+  app.delete("/api/auth/tokens/:tokenId", (req, res) => {
+    const target = getState().apiTokens.find((item) => item.id === req.params.tokenId);
+    const isAdmin = hasPermission(req.auth.user.role, "users:admin");
+    if (!target || (!isAdmin && target.userId !== req.auth.user.id)) {
+      res.status(404).json({ error: "API token not found." });
+      return;
+    }
+
+    const updated = {};
+    mutateState((state) => {
+      const item = state.apiTokens.find((token) => token.id === target.id);
+      item.revokedAt = item.revokedAt || nowIso();
+      updated.item = item;
+
+      addAuditLog(state, {
+        user: getActor(req),
+        action: "api_token_revoked",
+        target: item.id,
+        detail: `Revoked API token ${item.name}`,
+      });
+    });
+
+    closeRevokedEventStreams();
+    res.json({ item: sanitizeApiToken(updated.item) });
+  });
+
+  app.get("/api/events", (req, res) => {
+    const { topics, invalid } = parseEventTopics(req.query.topics);
+    if (invalid.length || !topics.length) {
+      res.status(400).json({ error: `topics must be a comma separated subset of: ${EVENT_TOPICS.join(", ")}` });
+      return;
+    }
+
+    const apiIdFilter = String(req.query.apiId || "").trim() || null;
+    // 连接期间会话可能被注销或过期、令牌被吊销、用户被停用：写事件与心跳前都复核身份，失效即结束连接，不再推送数据。
+    let closed = false;
+    let heartbeat = null;
+    let unsubscribe = () => {};
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      unsubscribe();
+      openEventStreams.delete(recheck);
+      res.end();
+    };
+    const isAuthorized = () => {
+      const principal = refreshPrincipal(getState(), req.auth);
+      return Boolean(principal && hasPermission(principal.user.role, resolveRoutePermission(req.method, req.path)));
+    };
+    const recheck = () => {
+      if (!closed && !isAuthorized()) close();
+      return !closed;
+    };
+    const writeEvent = (event) => {
+      if (apiIdFilter && event.data?.apiId !== apiIdFilter) return;
+      if (!recheck()) return;
+      const payload = { id: event.id, topic: event.topic, type: event.type, at: event.at, data: event.data };
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(payload)}\n\n`);
+    };
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+    // 断线重连时浏览器会带上 Last-Event-ID，先补发缓冲区里错过的事件，再挂到实时订阅上。
+    const lastEventId = req.get("last-event-id") || req.query.lastEventId || null;
+    const { events, resync } = getEventsSince(lastEventId, topics);
+    if (resync) {
+      res.write(`event: resync\ndata: ${JSON.stringify({ reason: "event_history_unavailable" })}\n\n`);
+    }
+    for (const event of events) {
+      writeEvent(event);
+    }
+
+    unsubscribe = subscribeEvents(topics, writeEvent);
+    heartbeat = setInterval(() => {
+      if (recheck()) res.write(": heartbeat\n\n");
+    }, SSE_HEARTBEAT_MS);
+    openEventStreams.add(recheck);
+
+    req.on("close", close);
+  });
+
+  app.get("/api/dashboard/summary", (_req, res) => {
+    const state = getState();
+    const payload = withRouteCache(state, "dashboard:summary", () => {
+      const indices = buildDerivedApiIndices(state);
+      const apiViews = state.apis.map((api) => buildApiListItem(state, api, indices));
+
+      const latestMetrics = apiViews
+        .map((api) => api.latestMetrics)
+        .filter((metric) => Boolean(metric));
+
+      const activeAlerts = state.alerts.filter((alert) => ACTIVE_ALERT_STATUSES.has(alert.status));
+
+      return {
+        meta: {
+          generatedAt: nowIso(),
+        },
+        kpis: {
+          apiTotal: state.apis.length,
+          apiCritical: apiViews.filter((api) => api.status === "critical").length,
+          apiWarning: apiViews.filter((api) => api.status === "warning").length,
+          ruleTotal: state.rules.length,
+          ruleEnabled: state.rules.filter((rule) => rule.enabled).length,
+          alertActive: activeAlerts.length,
+          alertP1Active: activeAlerts.filter((alert) => alert.level === "P1").length,
+          notificationsToday: state.notifications.filter((item) => {
+            const today = new Date().toISOString().slice(0, 10);
+            return item.createdAt.startsWith(today);
+          }).length,
+        },
+        runtime: {
+          qpsAvg: round(avg(latestMetrics.map((item) => item.qps)), 2),
+          errorRateAvg: round(avg(latestMetrics.map((item) => item.errorRate)), 3),
+          latencyP95Avg: round(avg(latestMetrics.map((item) => item.latencyP95)), 2),
+          availabilityAvg: round(avg(latestMetrics.map((item) => item.availability)), 3),
+        },
+        topRiskApis: apiViews
+          .sort((left, right) => right.activeAlertCount - left.activeAlertCount)
+          .slice(0, 5),
+        recentAlerts: safeSortByTimeDesc(state.alerts, (item) => item.triggeredAt)
+          .slice(0, 8)
+          .map((alert) => serializeAlert(state, alert)),
+      };
+    });
+    res.json(payload);
+  });
+
+  app.get("/api/dashboard/trends", (req, res) => {
+    const state = getState();
+    const hours = req.query.hours;
+    const bucketMinutes = req.query.bucketMinutes;
+    const key = `dashboard:trends:${toNumber(hours, 24)}:${toNumber(bucketMinutes, 30)}`;
+    const payload = withRouteCache(state, key, () => ({
+      series: buildTrendSeries(state, hours, bucketMinutes),
+    }));
+    res.json(payload);
+  });
+
+  app.get("/api/apis", (req, res) => {
+    const state = getState();
+
+    const search = String(req.query.search || "").trim().toLowerCase();
+    const owner = String(req.query.owner || "").trim().toLowerCase();
+    const status = String(req.query.status || "").trim().toLowerCase();
+    const monitorMode = String(req.query.monitorMode || "").trim().toLowerCase();
+    const method = String(req.query.method || "").trim().toUpperCase();
+    const limit = Math.max(1, Math.min(toNumber(req.query.limit, 1_000), 1_000));
+    const offset = Math.max(0, toNumber(req.query.offset, 0));
+    const key = `apis:list:${search}:${owner}:${status}:${monitorMode}:${method}:${limit}:${offset}`;
+    const payload = withRouteCache(state, key, () => {
+      const indices = buildDerivedApiIndices(state);
       const preFiltered = state.apis.filter((api) => {
         if (search) {
           const matched =
@@ -1869,7 +2741,7 @@ export const createApp = () => {
         created.api = api;
 
         addAuditLog(state, {
-          user: getActor(body),
+          user: getActor(req),
           action: "api_created",
           target: api.id,
           detail: `Created API ${api.method} ${api.path}`,
@@ -1885,7 +2757,7 @@ export const createApp = () => {
 
   app.post("/api/apis/import-openapi", async (req, res) => {
     const body = req.body ?? {};
-    const actor = getActor(body);
+    const actor = getActor(req);
 
     try {
       const doc = await parseOpenApiDocument(body);
@@ -1934,7 +2806,7 @@ export const createApp = () => {
   app.post("/api/apis/bulk-delete", (req, res) => {
     const ids = toUniqueIdList(req.body?.ids);
     const cascade = Boolean(req.body?.cascade);
-    const actor = getActor(req.body);
+    const actor = getActor(req);
 
     if (!ids.length) {
       res.status(400).json({ error: "ids is required and cannot be empty." });
@@ -2037,7 +2909,7 @@ export const createApp = () => {
   app.patch("/api/apis/:apiId", (req, res) => {
     const body = req.body ?? {};
     const apiId = req.params.apiId;
-    const operator = getActor(body);
+    const operator = getActor(req);
 
     const updated = {};
 
@@ -2127,7 +2999,7 @@ export const createApp = () => {
 
   app.post("/api/apis/:apiId/check-now", async (req, res) => {
     const apiId = req.params.apiId;
-    const actor = getActor(req.body);
+    const actor = getActor(req);
     const snapshot = getState();
     const api = snapshot.apis.find((item) => item.id === apiId);
 
@@ -2200,7 +3072,7 @@ export const createApp = () => {
   app.delete("/api/apis/:apiId", (req, res) => {
     const apiId = req.params.apiId;
     const cascade = Boolean(req.body?.cascade) || req.query.cascade === "true";
-    const actor = getActor(req.body);
+    const actor = getActor(req);
     let responsePayload = null;
 
     mutateState((state) => {
@@ -2243,14 +3115,31 @@ export const createApp = () => {
     if (!api) return;
 
     const limit = Math.max(1, Math.min(toNumber(req.query.limit, 200), 2_000));
-    const items = safeSortByTimeDesc(
-      state.metrics.filter((metric) => metric.apiId === api.id),
-      (item) => item.timestamp,
-    )
+    const tierQuery = String(req.query.tier || "").trim();
+    const allowedTiers = ["auto", "raw", ...METRIC_ROLLUP_TIERS.map((tier) => tier.name)];
+    if (tierQuery && !allowedTiers.includes(tierQuery)) {
+      res.status(400).json({ error: `tier must be one of ${allowedTiers.join(", ")}.` });
+      return;
+    }
+
+    // 不带 hours/tier 时保持旧行为：返回最近 limit 个原始点。
+    const hours = req.query.hours === undefined ? null : toNumber(req.query.hours, NaN);
+    if (hours !== null && (!Number.isFinite(hours) || hours <= 0)) {
+      res.status(400).json({ error: "hours must be a positive number." });
+      return;
+    }
+    const startMs = hours === null ? undefined : Date.now() - hours * 3_600_000;
+    const { tier, points } = queryMetricPoints(state, {
+      apiId: api.id,
+      startMs,
+      tier: tierQuery || (hours === null ? "raw" : "auto"),
+    });
+
+    const items = safeSortByTimeDesc(points, (item) => item.timestamp)
       .slice(0, limit)
       .reverse();
 
-    res.json({ items, total: items.length });
+    res.json({ items, total: items.length, tier });
   });
 
   app.get("/api/apis/:apiId/rule-hits", (req, res) => {
@@ -2333,7 +3222,6 @@ export const createApp = () => {
 
   app.post("/api/rules/create-dsl", (req, res) => {
     const dsl = String(req.body?.dsl || "").trim();
-    const actor = String(req.body?.actor || "system");
     if (!dsl) {
       res.status(400).json({ error: "dsl is required" });
       return;
@@ -2343,7 +3231,7 @@ export const createApp = () => {
       res.status(400).json({ error: parsed.error, warnings: parsed.warnings || [] });
       return;
     }
-    const body = { ...parsed.rule, actor };
+    const body = parsed.rule;
     const validationError = validateRulePayload(body);
     if (validationError) {
       res.status(400).json({ error: validationError, warnings: parsed.warnings || [] });
@@ -2378,6 +3266,9 @@ export const createApp = () => {
         longWindowMinutes: Math.max(2, toNumber(body.longWindowMinutes, 60)),
         burnRateThreshold: Math.max(1, toNumber(body.burnRateThreshold, 2)),
         sloTarget: Math.min(Math.max(toNumber(body.sloTarget, 99.9), 90), 100),
+        ...normalizeAnomalyRuleFields(body),
+        ...normalizeChangeRuleFields(body),
+        ...normalizeScopeAggregationFields(body),
           cooldownMinutes: Math.max(0, toNumber(body.cooldownMinutes, 10)),
           conditions: normalizeRuleConditions(body.conditions),
           conditionLogic:
@@ -2394,7 +3285,7 @@ export const createApp = () => {
       created.rule = rule;
 
       addAuditLog(state, {
-        user: getActor(body),
+        user: getActor(req),
         action: "rule_created",
         target: rule.id,
         detail: `Created rule ${rule.name}`,
@@ -2467,6 +3358,9 @@ export const createApp = () => {
         longWindowMinutes: Math.max(2, toNumber(body.longWindowMinutes, 60)),
         burnRateThreshold: Math.max(1, toNumber(body.burnRateThreshold, 2)),
         sloTarget: Math.min(Math.max(toNumber(body.sloTarget, 99.9), 90), 100),
+        ...normalizeAnomalyRuleFields(body),
+        ...normalizeChangeRuleFields(body),
+        ...normalizeScopeAggregationFields(body),
           cooldownMinutes: Math.max(0, toNumber(body.cooldownMinutes, 10)),
           conditions: normalizeRuleConditions(body.conditions),
           conditionLogic:
@@ -2483,7 +3377,7 @@ export const createApp = () => {
       created.rule = rule;
 
       addAuditLog(state, {
-        user: getActor(body),
+        user: getActor(req),
         action: "rule_created",
         target: rule.id,
         detail: `Created rule ${rule.name}`,
@@ -2568,7 +3462,7 @@ export const createApp = () => {
       }
 
       addAuditLog(mutable, {
-        user: getActor(body),
+        user: getActor(req),
         action: "rules_auto_created",
         target: "rules",
         detail: `created=${created.length}, skipped=${skipped.length}, scope=${auto.scope.type}`,
@@ -2592,7 +3486,7 @@ export const createApp = () => {
   app.post("/api/rules/bulk-toggle", (req, res) => {
     const ids = toUniqueIdList(req.body?.ids);
     const enabled = Boolean(req.body?.enabled);
-    const actor = getActor(req.body);
+    const actor = getActor(req);
 
     if (!ids.length) {
       res.status(400).json({ error: "ids is required and cannot be empty." });
@@ -2633,7 +3527,7 @@ export const createApp = () => {
 
   app.post("/api/rules/bulk-delete", (req, res) => {
     const ids = toUniqueIdList(req.body?.ids);
-    const actor = getActor(req.body);
+    const actor = getActor(req);
 
     if (!ids.length) {
       res.status(400).json({ error: "ids is required and cannot be empty." });
@@ -2688,7 +3582,7 @@ export const createApp = () => {
       if ("enabled" in body) rule.enabled = Boolean(body.enabled);
       if ("ruleType" in body && RULE_TYPE_VALUES.includes(String(body.ruleType))) {
         rule.ruleType = String(body.ruleType);
-        if (rule.ruleType !== "threshold") {
+        if (!RULE_CONDITION_TYPE_VALUES.includes(rule.ruleType)) {
           rule.conditions = [];
           rule.conditionLogic = "all";
         }
@@ -2707,8 +3601,8 @@ export const createApp = () => {
       }
       if ("conditions" in body) {
         const targetRuleType = "ruleType" in body ? String(body.ruleType) : String(rule.ruleType || "threshold");
-        if (targetRuleType !== "threshold") {
-          res.status(400).json({ error: "conditions only supported for threshold rules." });
+        if (!RULE_CONDITION_TYPE_VALUES.includes(targetRuleType)) {
+          res.status(400).json({ error: `conditions only supported for rule types: ${RULE_CONDITION_TYPE_VALUES.join(", ")}` });
           return;
         }
         const conditionError = validateRuleConditionsInput(body.conditions);
@@ -2734,6 +3628,27 @@ export const createApp = () => {
       if ("sloTarget" in body) {
         rule.sloTarget = Math.min(Math.max(toNumber(body.sloTarget, rule.sloTarget || 99.9), 90), 100);
       }
+      if (rule.ruleType === "anomaly") {
+        Object.assign(rule, normalizeAnomalyRuleFields(body, rule));
+      }
+      if (rule.ruleType === "change") {
+        Object.assign(rule, normalizeChangeRuleFields(body, rule));
+      }
+      if ("scopeAggregation" in body || "minBreachPercent" in body) {
+        const scopeAggregationError = validateScopeAggregationInput(
+          { scopeAggregation: rule.scopeAggregation || "per_api", ...body },
+          {
+            ruleType: String(rule.ruleType || "threshold"),
+            hasConditions: Array.isArray(rule.conditions) && rule.conditions.length > 0,
+            scope: normalizeRuleScope("scope" in body ? body.scope : rule.scope),
+          },
+        );
+        if (scopeAggregationError) {
+          res.status(400).json({ error: scopeAggregationError });
+          return;
+        }
+        Object.assign(rule, normalizeScopeAggregationFields(body, rule));
+      }
       if ("cooldownMinutes" in body) {
         rule.cooldownMinutes = Math.max(0, toNumber(body.cooldownMinutes, rule.cooldownMinutes));
       }
@@ -2751,7 +3666,7 @@ export const createApp = () => {
       updated.rule = rule;
 
       addAuditLog(state, {
-        user: getActor(body),
+        user: getActor(req),
         action: "rule_updated",
         target: rule.id,
         detail: `Updated rule ${rule.name}`,
@@ -2779,7 +3694,7 @@ export const createApp = () => {
       state.rules.splice(index, 1);
 
       addAuditLog(state, {
-        user: getActor(req.body),
+        user: getActor(req),
         action: "rule_deleted",
         target: removed.id,
         detail: `Deleted rule ${removed.name}`,
@@ -2809,7 +3724,7 @@ export const createApp = () => {
       updated.rule = rule;
 
       addAuditLog(state, {
-        user: getActor(req.body),
+        user: getActor(req),
         action: "rule_toggled",
         target: rule.id,
         detail: `Rule ${rule.name} enabled=${enabled}`,
@@ -2841,6 +3756,30 @@ export const createApp = () => {
           return false;
         });
 
+    if (isScopeAggregateRule(rule)) {
+      const target = buildScopeTarget(rule.scope);
+      const evaluation = previewScopeRuleEvaluation(state, rule, nowIso());
+      res.json({
+        ruleId: rule.id,
+        generatedAt: nowIso(),
+        items: [
+          {
+            apiId: target.id,
+            apiPath: target.path,
+            matched: evaluation.matched,
+            evaluable: evaluation.evaluable,
+            value: evaluation.value,
+            sampleCount: evaluation.sampleCount,
+            reason: evaluation.reason ?? null,
+            message: evaluation.message ?? null,
+            expected: null,
+            contributors: evaluation.contributors,
+          },
+        ],
+      });
+      return;
+    }
+
     const items = targets.map((api) => {
       const evaluation = previewRuleEvaluation(state, rule, api.id, nowIso());
       return {
@@ -2851,6 +3790,8 @@ export const createApp = () => {
         value: evaluation.value,
         sampleCount: evaluation.sampleCount,
         reason: evaluation.reason ?? null,
+        message: evaluation.message ?? null,
+        expected: evaluation.expected ?? null,
       };
     });
 
@@ -2867,8 +3808,9 @@ export const createApp = () => {
     const status = String(req.query.status || "").trim();
     const level = String(req.query.level || "").trim();
     const apiId = String(req.query.apiId || "").trim();
+    const incidentId = String(req.query.incidentId || "").trim();
     const limit = Math.max(1, Math.min(toNumber(req.query.limit, 200), 1_000));
-    const key = `alerts:list:${status}:${level}:${apiId}:${limit}`;
+    const key = `alerts:list:${status}:${level}:${apiId}:${incidentId}:${limit}`;
     const payload = withRouteCache(state, key, () => {
       let items = state.alerts;
 
@@ -2884,6 +3826,10 @@ export const createApp = () => {
         items = items.filter((alert) => alert.apiId === apiId);
       }
 
+      if (incidentId) {
+        items = items.filter((alert) => alert.incidentId === incidentId);
+      }
+
       items = safeSortByTimeDesc(items, (item) => item.triggeredAt).slice(0, limit);
 
       return {
@@ -2898,7 +3844,7 @@ export const createApp = () => {
   app.post("/api/alerts/bulk-status", (req, res) => {
     const ids = toUniqueIdList(req.body?.ids);
     const status = req.body?.status;
-    const actor = getActor(req.body);
+    const actor = getActor(req);
     const note = String(req.body?.note || "");
 
     if (!ids.length) {
@@ -2943,6 +3889,7 @@ export const createApp = () => {
         }
 
         appendAlertEvent(alert, "status_change", actor, note || `${previousStatus} -> ${status}`);
+        publishAlertEvent("alert.status_changed", alert, { previousStatus, by: actor });
         touchedApiIds.add(alert.apiId);
         summary.updatedCount += 1;
         summary.updatedIds.push(alertId);
@@ -2953,7 +3900,7 @@ export const createApp = () => {
         ) {
           const before = state.notifications.length;
           const rule = state.rules.find((item) => item.id === alert.ruleId);
-          const api = state.apis.find((item) => item.id === alert.apiId);
+          const api = resolveAlertTarget(state, alert);
           if (rule && api) {
             dispatchAlertRecoveryNotifications(state, alert, rule, api);
             const created = state.notifications.length - before;
@@ -2981,7 +3928,7 @@ export const createApp = () => {
 
   app.post("/api/alerts/bulk-delete", (req, res) => {
     const ids = toUniqueIdList(req.body?.ids);
-    const actor = getActor(req.body);
+    const actor = getActor(req);
 
     if (!ids.length) {
       res.status(400).json({ error: "ids is required and cannot be empty." });
@@ -3054,7 +4001,7 @@ export const createApp = () => {
 
   app.patch("/api/alerts/:alertId/status", (req, res) => {
     const status = req.body?.status;
-    const operator = getActor(req.body);
+    const operator = getActor(req);
     const note = req.body?.note || "";
 
     if (!ALERT_STATUS_VALUES.includes(status)) {
@@ -3085,74 +4032,718 @@ export const createApp = () => {
       }
 
       appendAlertEvent(alert, "status_change", operator, note || `${previousStatus} -> ${status}`);
+      publishAlertEvent("alert.status_changed", alert, { previousStatus, by: operator });
 
       updated.alert = alert;
 
       addAuditLog(state, {
-        user: operator,
-        action: "alert_status_updated",
-        target: alert.id,
-        detail: `${previousStatus} -> ${status}`,
+        user: operator,
+        action: "alert_status_updated",
+        target: alert.id,
+        detail: `${previousStatus} -> ${status}`,
+      });
+
+      if (
+        (status === "resolved" || status === "closed") &&
+        (previousStatus === "open" || previousStatus === "acknowledged")
+      ) {
+        const rule = state.rules.find((item) => item.id === alert.ruleId);
+        const api = resolveAlertTarget(state, alert);
+        if (rule && api) {
+          dispatchAlertRecoveryNotifications(state, alert, rule, api);
+        }
+      }
+
+      const api = state.apis.find((item) => item.id === alert.apiId);
+      if (api) {
+        updateApiStatus(state, api);
+      }
+    });
+
+    if (!updated.alert) return;
+
+    res.json({ item: updated.alert });
+  });
+
+  app.get("/api/actions/:token", (req, res) => {
+    let token;
+    try {
+      token = verifyActionToken(req.params.token);
+    } catch (error) {
+      respondActionPage(req, res, ACTION_TOKEN_ERROR_STATUS[error.message] ?? 400, "链接无效", error.message);
+      return;
+    }
+
+    const alert = getState().alerts.find((item) => item.id === token.alertId);
+    if (!alert) {
+      respondActionPage(req, res, 404, "告警不存在", `Alert not found: ${token.alertId}`);
+      return;
+    }
+
+    const label = ALERT_ACTION_LABELS[token.action];
+    respondActionPage(req, res, 200, `${label}告警`, `[${alert.level}] ${alert.title}，当前状态 ${alert.status}。`, {
+      action: token.action,
+      alertId: alert.id,
+      expiresAt: token.expiresAt,
+      confirmLabel: label,
+    });
+  });
+
+  app.post("/api/actions/:token", (req, res) => {
+    const result = runAlertActionToken(req.params.token, (token) => token.by || "action-link", "link");
+    if (result.error) {
+      respondActionPage(req, res, result.status, "操作失败", result.error);
+      return;
+    }
+    respondActionPage(req, res, 200, "操作完成", describeActionResult(result), {
+      action: result.token.action,
+      changed: result.changed,
+      item: result.alert,
+    });
+  });
+
+  // Slack 交互回调：校验 Signing Secret 签名后执行按钮中携带的操作令牌，操作人记为点击按钮的 Slack 用户。
+  app.post(
+    "/api/inbound/slack",
+    express.urlencoded({
+      extended: false,
+      verify: (req, _res, buffer) => {
+        req.rawBody = buffer.toString("utf8");
+      },
+    }),
+    (req, res) => {
+      const secret = getSecretValue("SLACK_SIGNING_SECRET");
+      if (!secret) {
+        res.status(503).json({ error: "SLACK_SIGNING_SECRET is not configured." });
+        return;
+      }
+      const verified = verifySlackSignature({
+        rawBody: req.rawBody ?? "",
+        timestamp: req.get("x-slack-request-timestamp"),
+        signature: req.get("x-slack-signature"),
+        secret,
+      });
+      if (!verified) {
+        res.status(401).json({ error: "invalid_slack_signature" });
+        return;
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(String(req.body?.payload || ""));
+      } catch {
+        res.status(400).json({ error: "payload must be a JSON string." });
+        return;
+      }
+
+      // 链接按钮（查看告警等）点击时 Slack 同样会回调，但不带 value，直接忽略。
+      const action = (payload.actions || []).find((item) => item.value);
+      if (!action) {
+        res.json({ ok: true, ignored: true });
+        return;
+      }
+
+      const user = payload.user || {};
+      const slackUser = user.username || user.name || user.id || "unknown";
+      const result = runAlertActionToken(action.value, () => `slack:${slackUser}`, "slack");
+      if (result.error) {
+        res.status(result.status).json({ error: result.error });
+        return;
+      }
+      res.json({ ok: true, action: result.token.action, changed: result.changed, text: describeActionResult(result) });
+    },
+  );
+
+  // 通用聊天回调：其他聊天工具的机器人把按钮中的令牌与点击人转发到此处，令牌本身即授权凭据。
+  app.post("/api/inbound/chat", (req, res) => {
+    const token = String(req.body?.token || "");
+    const user = String(req.body?.user || "").trim();
+    if (!token) {
+      res.status(400).json({ error: "token is required." });
+      return;
+    }
+
+    const result = runAlertActionToken(token, (payload) => user || payload.by || "chat", "chat");
+    if (result.error) {
+      res.status(result.status).json({ error: result.error });
+      return;
+    }
+    res.json({ ok: true, action: result.token.action, changed: result.changed, item: result.alert });
+  });
+
+  app.delete("/api/alerts/:alertId", (req, res) => {
+    const alertId = req.params.alertId;
+    const actor = getActor(req);
+    let removed = null;
+    let removedNotifications = 0;
+
+    mutateState((state) => {
+      const index = state.alerts.findIndex((item) => item.id === alertId);
+      if (index === -1) {
+        res.status(404).json({ error: `Alert not found: ${alertId}` });
+        return;
+      }
+
+      removed = state.alerts[index];
+      state.alerts.splice(index, 1);
+
+      removedNotifications = state.notifications.filter((item) => item.alertId === alertId).length;
+      state.notifications = state.notifications.filter((item) => item.alertId !== alertId);
+
+      updateApiStatusInState(state, removed.apiId);
+
+      addAuditLog(state, {
+        user: actor,
+        action: "alert_deleted",
+        target: alertId,
+        detail: `Deleted alert for api=${removed.apiId}`,
+      });
+    });
+
+    if (!removed) return;
+    res.json({ item: removed, removedNotifications });
+  });
+
+  app.get("/api/incidents", (req, res) => {
+    const state = getState();
+    const status = String(req.query.status || "").trim();
+    const level = String(req.query.level || "").trim();
+    const service = String(req.query.service || "").trim();
+    const limit = Math.max(1, Math.min(toNumber(req.query.limit, 200), 1_000));
+
+    let items = state.incidents || [];
+    if (status === "active") {
+      items = items.filter((incident) => isIncidentActive(incident));
+    } else if (status) {
+      items = items.filter((incident) => incident.status === status);
+    }
+    if (level) {
+      items = items.filter((incident) => incident.level === level);
+    }
+    if (service) {
+      items = items.filter((incident) => incident.service === service);
+    }
+
+    items = safeSortByTimeDesc(items, (item) => item.updatedAt).slice(0, limit);
+    res.json({ items: items.map((incident) => serializeIncident(state, incident)), total: items.length });
+  });
+
+  app.get("/api/incidents/:incidentId", (req, res) => {
+    const state = getState();
+    const incident = findIncident(state, req.params.incidentId);
+
+    if (!incident) {
+      res.status(404).json({ error: `Incident not found: ${req.params.incidentId}` });
+      return;
+    }
+
+    const notificationHistory = state.notifications.filter((item) => item.incidentId === incident.id);
+
+    res.json({
+      item: serializeIncident(state, incident),
+      alerts: safeSortByTimeDesc(getIncidentAlerts(state, incident), (item) => item.triggeredAt).map((alert) =>
+        serializeAlert(state, alert),
+      ),
+      notifications: safeSortByTimeDesc(notificationHistory, (item) => item.createdAt).slice(0, 50),
+    });
+  });
+
+  app.post("/api/incidents", (req, res) => {
+    const body = req.body ?? {};
+    const alertIds = toUniqueIdList(body.alertIds);
+    const actor = getActor(req);
+
+    if (!alertIds.length) {
+      res.status(400).json({ error: "alertIds is required and cannot be empty." });
+      return;
+    }
+    if (body.owner !== undefined && body.owner !== null && typeof body.owner !== "string") {
+      res.status(400).json({ error: "owner must be a string or null." });
+      return;
+    }
+
+    const created = {};
+    mutateState((state) => {
+      const alerts = alertIds.map((id) => state.alerts.find((item) => item.id === id));
+      const missingIds = alertIds.filter((_id, index) => !alerts[index]);
+      if (missingIds.length) {
+        res.status(404).json({ error: `Alert not found: ${missingIds.join(", ")}` });
+        return;
+      }
+
+      const title = String(body.title || "").trim() || `Manual incident (${alerts.length} alerts)`;
+      const incident = createManualIncident(state, {
+        title,
+        alerts,
+        owner: String(body.owner || "").trim(),
+        by: actor,
+      });
+      if (body.note) {
+        appendIncidentEvent(incident, "note", actor, String(body.note));
+      }
+      created.item = serializeIncident(state, incident);
+
+      addAuditLog(state, {
+        user: actor,
+        action: "incident_created",
+        target: incident.id,
+        detail: `Created incident ${title} with ${alerts.length} alerts`,
+      });
+    });
+
+    if (!created.item) return;
+    res.status(201).json({ item: created.item });
+  });
+
+  app.patch("/api/incidents/:incidentId", (req, res) => {
+    const body = req.body ?? {};
+    const actor = getActor(req);
+    const note = String(body.note || "");
+    const addAlertIds = toUniqueIdList(body.addAlertIds);
+
+    if (body.status !== undefined && !INCIDENT_STATUS_VALUES.includes(body.status)) {
+      res.status(400).json({ error: `status must be one of: ${INCIDENT_STATUS_VALUES.join(", ")}` });
+      return;
+    }
+    if (body.title !== undefined && !String(body.title).trim()) {
+      res.status(400).json({ error: "title cannot be empty." });
+      return;
+    }
+    if (body.owner !== undefined && body.owner !== null && typeof body.owner !== "string") {
+      res.status(400).json({ error: "owner must be a string or null." });
+      return;
+    }
+
+    const updated = {};
+    mutateState((state) => {
+      const incident = findIncident(state, req.params.incidentId);
+      if (!incident) {
+        res.status(404).json({ error: `Incident not found: ${req.params.incidentId}` });
+        return;
+      }
+
+      const addedAlerts = addAlertIds.map((id) => state.alerts.find((item) => item.id === id));
+      const missingIds = addAlertIds.filter((_id, index) => !addedAlerts[index]);
+      if (missingIds.length) {
+        res.status(404).json({ error: `Alert not found: ${missingIds.join(", ")}` });
+        return;
+      }
+
+      const changes = [];
+      if (addedAlerts.length) {
+        mergeAlertsIntoIncident(state, incident, addedAlerts, actor);
+        changes.push(`alerts+${addedAlerts.length}`);
+      }
+
+      if (body.title !== undefined && String(body.title).trim() !== incident.title) {
+        incident.title = String(body.title).trim();
+        appendIncidentEvent(incident, "title_changed", actor, incident.title);
+        changes.push("title");
+      }
+
+      if (body.owner !== undefined) {
+        const owner = String(body.owner || "").trim() || null;
+        if (owner !== incident.owner) {
+          incident.owner = owner;
+          appendIncidentEvent(incident, "owner_changed", actor, owner ? `Owner set to ${owner}` : "Owner cleared");
+          changes.push(`owner=${owner ?? "-"}`);
+        }
+      }
+
+      const status = body.status;
+      if (status && status !== incident.status) {
+        const previousStatus = incident.status;
+        const touchedApiIds = new Set();
+        // 确认只作用于待处理告警；恢复/关闭会把仍活跃的成员告警一并结束，最后一条结束时由通知模块发送事件级恢复。
+        const cascadeFrom =
+          status === "acknowledged"
+            ? ["open"]
+            : status === "resolved" || status === "closed"
+              ? ["open", "acknowledged"]
+              : [];
+        for (const alert of getIncidentAlerts(state, incident)) {
+          if (!cascadeFrom.includes(alert.status)) continue;
+          applyAlertStatusChange(state, alert, status, actor, note || `incident ${incident.id} ${status}`);
+          touchedApiIds.add(alert.apiId);
+        }
+        for (const apiId of touchedApiIds) {
+          updateApiStatusInState(state, apiId);
+        }
+
+        incident.status = status;
+        if (status === "acknowledged") {
+          incident.acknowledgedAt = nowIso();
+        }
+        incident.resolvedAt = status === "resolved" || status === "closed" ? incident.resolvedAt || nowIso() : null;
+        appendIncidentEvent(incident, "status_change", actor, `${previousStatus} -> ${status}`);
+        changes.push(`${previousStatus}->${status}`);
+      }
+
+      if (note) {
+        appendIncidentEvent(incident, "note", actor, note);
+        changes.push("note");
+      }
+
+      publishIncidentEvent("incident.updated", incident, { by: actor });
+      updated.item = serializeIncident(state, incident);
+
+      addAuditLog(state, {
+        user: actor,
+        action: "incident_updated",
+        target: incident.id,
+        detail: changes.join(" ") || "no changes",
+      });
+    });
+
+    if (!updated.item) return;
+    res.json({ item: updated.item });
+  });
+
+  app.delete("/api/incidents/:incidentId", (req, res) => {
+    const actor = getActor(req);
+    let removed = null;
+
+    mutateState((state) => {
+      const index = (state.incidents || []).findIndex((item) => item.id === req.params.incidentId);
+      if (index === -1) {
+        res.status(404).json({ error: `Incident not found: ${req.params.incidentId}` });
+        return;
+      }
+
+      removed = state.incidents[index];
+      detachIncidentAlerts(state, removed);
+      state.incidents.splice(index, 1);
+
+      addAuditLog(state, {
+        user: actor,
+        action: "incident_deleted",
+        target: removed.id,
+        detail: `Deleted incident ${removed.title}`,
+      });
+    });
+
+    if (!removed) return;
+    res.json({ item: removed });
+  });
+
+  app.get("/api/silences", (req, res) => {
+    const state = getState();
+    const status = String(req.query.status || "").trim();
+    const kind = String(req.query.kind || "").trim();
+    const nowMs = Date.now();
+
+    const items = ensureSilences(state)
+      .filter((silence) => !kind || silence.kind === kind)
+      .map((silence) => serializeSilence(silence, nowMs))
+      .filter((silence) => !status || silence.status === status);
+
+    res.json({ items, total: items.length });
+  });
+
+  app.post("/api/silences", (req, res) => {
+    const body = req.body ?? {};
+    if ("kind" in body && !SILENCE_KIND_VALUES.includes(String(body.kind))) {
+      res.status(400).json({ error: `kind must be one of: ${SILENCE_KIND_VALUES.join(", ")}` });
+      return;
+    }
+
+    const normalized = normalizeSilenceInput(body);
+    const errorMessage = validateSilence(normalized);
+    if (errorMessage) {
+      res.status(400).json({ error: errorMessage });
+      return;
+    }
+
+    const actor = getActor(req);
+    const created = {};
+    mutateState((state) => {
+      created.item = createSilence(state, normalized, actor);
+
+      addAuditLog(state, {
+        user: actor,
+        action: "silence_created",
+        target: created.item.id,
+        detail: `Created ${created.item.kind} ${created.item.name} (${created.item.mode})`,
+      });
+    });
+
+    res.status(201).json({ item: serializeSilence(created.item) });
+  });
+
+  app.patch("/api/silences/:silenceId", (req, res) => {
+    const silenceId = req.params.silenceId;
+    const body = req.body ?? {};
+    const actor = getActor(req);
+    const updated = {};
+
+    if ("kind" in body && !SILENCE_KIND_VALUES.includes(String(body.kind))) {
+      res.status(400).json({ error: `kind must be one of: ${SILENCE_KIND_VALUES.join(", ")}` });
+      return;
+    }
+
+    mutateState((state) => {
+      const silence = ensureSilences(state).find((item) => item.id === silenceId);
+      if (!silence) {
+        res.status(404).json({ error: `Silence not found: ${silenceId}` });
+        return;
+      }
+
+      const normalized = normalizeSilenceInput(body, silence);
+      const errorMessage = validateSilence(normalized);
+      if (errorMessage) {
+        res.status(400).json({ error: errorMessage });
+        return;
+      }
+
+      Object.assign(silence, normalized, { updatedAt: nowIso() });
+      updated.item = silence;
+
+      addAuditLog(state, {
+        user: actor,
+        action: "silence_updated",
+        target: silence.id,
+        detail: `Updated ${silence.kind} ${silence.name}, enabled=${silence.enabled}`,
+      });
+    });
+
+    if (!updated.item) return;
+    res.json({ item: serializeSilence(updated.item) });
+  });
+
+  app.delete("/api/silences/:silenceId", (req, res) => {
+    const silenceId = req.params.silenceId;
+    const actor = getActor(req);
+    let removed = null;
+
+    mutateState((state) => {
+      const silences = ensureSilences(state);
+      const index = silences.findIndex((item) => item.id === silenceId);
+      if (index === -1) {
+        res.status(404).json({ error: `Silence not found: ${silenceId}` });
+        return;
+      }
+
+      removed = silences[index];
+      silences.splice(index, 1);
+
+      addAuditLog(state, {
+        user: actor,
+        action: "silence_deleted",
+        target: silenceId,
+        detail: `Deleted ${removed.kind} ${removed.name}`,
+      });
+    });
+
+    if (!removed) return;
+    res.json({ item: removed });
+  });
+
+  app.get("/api/oncall/schedules", (_req, res) => {
+    const state = getState();
+    const schedules = ensureOncallSchedules(state);
+    const items = schedules.map((schedule) => ({
+      ...schedule,
+      current: serializeOncallWho(state, schedule).oncall,
+      referencedBy: findScheduleReferences(state, schedule.id),
+    }));
+    res.json({ items, total: items.length });
+  });
+
+  app.get("/api/oncall/who", (req, res) => {
+    const state = getState();
+    const scheduleId = String(req.query.scheduleId || "").trim();
+    const atMs = req.query.at ? Date.parse(String(req.query.at)) : Date.now();
+    if (!Number.isFinite(atMs)) {
+      res.status(400).json({ error: "at must be a valid ISO timestamp." });
+      return;
+    }
+
+    const schedules = scheduleId
+      ? ensureOncallSchedules(state).filter((item) => item.id === scheduleId)
+      : ensureOncallSchedules(state);
+    if (scheduleId && !schedules.length) {
+      res.status(404).json({ error: `On-call schedule not found: ${scheduleId}` });
+      return;
+    }
+
+    const items = schedules.map((schedule) => serializeOncallWho(state, schedule, atMs));
+    res.json({ items, total: items.length });
+  });
+
+  app.post("/api/oncall/schedules", (req, res) => {
+    const actor = getActor(req);
+    const created = {};
+
+    mutateState((state) => {
+      const normalized = normalizeScheduleInput(req.body);
+      const errorMessage = validateSchedule(state, normalized);
+      if (errorMessage) {
+        res.status(400).json({ error: errorMessage });
+        return;
+      }
+
+      created.item = createSchedule(state, normalized);
+      addAuditLog(state, {
+        user: actor,
+        action: "oncall_schedule_created",
+        target: created.item.id,
+        detail: `Created on-call schedule ${created.item.name} with ${created.item.layers.length} layers`,
+      });
+    });
+
+    if (!created.item) return;
+    res.status(201).json({ item: created.item });
+  });
+
+  app.patch("/api/oncall/schedules/:scheduleId", (req, res) => {
+    const scheduleId = req.params.scheduleId;
+    const actor = getActor(req);
+    const updated = {};
+
+    mutateState((state) => {
+      const schedule = findOncallSchedule(state, scheduleId);
+      if (!schedule) {
+        res.status(404).json({ error: `On-call schedule not found: ${scheduleId}` });
+        return;
+      }
+
+      const normalized = normalizeScheduleInput(req.body, schedule);
+      const errorMessage = validateSchedule(state, normalized);
+      if (errorMessage) {
+        res.status(400).json({ error: errorMessage });
+        return;
+      }
+
+      Object.assign(schedule, normalized, { updatedAt: nowIso() });
+      updated.item = schedule;
+      addAuditLog(state, {
+        user: actor,
+        action: "oncall_schedule_updated",
+        target: schedule.id,
+        detail: `Updated on-call schedule ${schedule.name}`,
+      });
+    });
+
+    if (!updated.item) return;
+    res.json({ item: updated.item });
+  });
+
+  app.delete("/api/oncall/schedules/:scheduleId", (req, res) => {
+    const scheduleId = req.params.scheduleId;
+    const force = Boolean(req.body?.force) || req.query.force === "true";
+    const actor = getActor(req);
+    let removed = null;
+
+    mutateState((state) => {
+      const schedules = ensureOncallSchedules(state);
+      const index = schedules.findIndex((item) => item.id === scheduleId);
+      if (index === -1) {
+        res.status(404).json({ error: `On-call schedule not found: ${scheduleId}` });
+        return;
+      }
+
+      const referencedBy = findScheduleReferences(state, scheduleId);
+      if (referencedBy.length && !force) {
+        res.status(409).json({
+          error: "Schedule is referenced by escalation levels, use force=true to detach and delete.",
+          referencedBy,
+        });
+        return;
+      }
+
+      if (referencedBy.length) {
+        state.alertPolicy = normalizeAlertPolicy(
+          {
+            escalations: state.alertPolicy.escalations.map((escalation) => ({
+              ...escalation,
+              actions: escalation.actions.filter((action) => getOncallScheduleId(action) !== scheduleId),
+            })),
+          },
+          state.alertPolicy,
+        );
+      }
+
+      removed = schedules[index];
+      schedules.splice(index, 1);
+      addAuditLog(state, {
+        user: actor,
+        action: "oncall_schedule_deleted",
+        target: scheduleId,
+        detail: `Deleted on-call schedule ${removed.name}, detachedEscalations=${referencedBy.length}`,
       });
+    });
 
-      if (
-        (status === "resolved" || status === "closed") &&
-        (previousStatus === "open" || previousStatus === "acknowledged")
-      ) {
-        const rule = state.rules.find((item) => item.id === alert.ruleId);
-        const api = state.apis.find((item) => item.id === alert.apiId);
-        if (rule && api) {
-          dispatchAlertRecoveryNotifications(state, alert, rule, api);
-        }
+    if (!removed) return;
+    res.json({ item: removed });
+  });
+
+  app.post("/api/oncall/schedules/:scheduleId/overrides", (req, res) => {
+    const scheduleId = req.params.scheduleId;
+    const actor = getActor(req);
+    const created = {};
+
+    mutateState((state) => {
+      const schedule = findOncallSchedule(state, scheduleId);
+      if (!schedule) {
+        res.status(404).json({ error: `On-call schedule not found: ${scheduleId}` });
+        return;
       }
 
-      const api = state.apis.find((item) => item.id === alert.apiId);
-      if (api) {
-        api.status = computeApiStatus(state, api.id);
+      const result = addScheduleOverride(state, schedule, req.body, actor);
+      if (result.error) {
+        res.status(400).json({ error: result.error });
+        return;
       }
-    });
 
-    if (!updated.alert) return;
+      created.item = result.override;
+      addAuditLog(state, {
+        user: actor,
+        action: "oncall_override_created",
+        target: schedule.id,
+        detail: `Override ${result.override.userId} ${result.override.startsAt} ~ ${result.override.endsAt}`,
+      });
+    });
 
-    res.json({ item: updated.alert });
+    if (!created.item) return;
+    res.status(201).json({ item: created.item });
   });
 
-  app.delete("/api/alerts/:alertId", (req, res) => {
-    const alertId = req.params.alertId;
-    const actor = getActor(req.body);
+  app.delete("/api/oncall/schedules/:scheduleId/overrides/:overrideId", (req, res) => {
+    const { scheduleId, overrideId } = req.params;
+    const actor = getActor(req);
     let removed = null;
-    let removedNotifications = 0;
 
     mutateState((state) => {
-      const index = state.alerts.findIndex((item) => item.id === alertId);
-      if (index === -1) {
-        res.status(404).json({ error: `Alert not found: ${alertId}` });
+      const schedule = findOncallSchedule(state, scheduleId);
+      const index = (schedule?.overrides || []).findIndex((item) => item.id === overrideId);
+      if (!schedule || index === -1) {
+        res.status(404).json({ error: `Override not found: ${overrideId}` });
         return;
       }
 
-      removed = state.alerts[index];
-      state.alerts.splice(index, 1);
-
-      removedNotifications = state.notifications.filter((item) => item.alertId === alertId).length;
-      state.notifications = state.notifications.filter((item) => item.alertId !== alertId);
-
-      updateApiStatusInState(state, removed.apiId);
-
+      removed = schedule.overrides[index];
+      schedule.overrides.splice(index, 1);
+      schedule.updatedAt = nowIso();
       addAuditLog(state, {
         user: actor,
-        action: "alert_deleted",
-        target: alertId,
-        detail: `Deleted alert for api=${removed.apiId}`,
+        action: "oncall_override_deleted",
+        target: schedule.id,
+        detail: `Removed override ${overrideId} for ${removed.userId}`,
       });
     });
 
     if (!removed) return;
-    res.json({ item: removed, removedNotifications });
+    res.json({ item: removed });
   });
 
   app.get("/api/channels", (_req, res) => {
     const state = getState();
-    res.json({ items: state.channels, total: state.channels.length });
+    const sinceMs = Date.now() - 24 * 60 * 60_000;
+    const items = state.channels.map((channel) => ({
+      ...channel,
+      deliveryStats: getChannelDeliveryStats(state.notifications, channel.id, sinceMs),
+    }));
+    res.json({ items, total: items.length });
   });
 
   app.post("/api/channels", (req, res) => {
@@ -3194,7 +4785,7 @@ export const createApp = () => {
       created.item = channel;
 
       addAuditLog(state, {
-        user: getActor(body),
+        user: getActor(req),
         action: "channel_created",
         target: channel.id,
         detail: `Created channel ${channel.name}`,
@@ -3208,7 +4799,7 @@ export const createApp = () => {
   app.post("/api/channels/bulk-toggle", (req, res) => {
     const ids = toUniqueIdList(req.body?.ids);
     const enabled = Boolean(req.body?.enabled);
-    const actor = getActor(req.body);
+    const actor = getActor(req);
 
     if (!ids.length) {
       res.status(400).json({ error: "ids is required and cannot be empty." });
@@ -3249,7 +4840,7 @@ export const createApp = () => {
   app.post("/api/channels/bulk-delete", (req, res) => {
     const ids = toUniqueIdList(req.body?.ids);
     const force = Boolean(req.body?.force);
-    const actor = getActor(req.body);
+    const actor = getActor(req);
 
     if (!ids.length) {
       res.status(400).json({ error: "ids is required and cannot be empty." });
@@ -3357,7 +4948,7 @@ export const createApp = () => {
       updated.channel = channel;
 
       addAuditLog(state, {
-        user: getActor(body),
+        user: getActor(req),
         action: "channel_updated",
         target: channel.id,
         detail: `Updated channel ${channel.name}`,
@@ -3370,7 +4961,6 @@ export const createApp = () => {
   });
 
   app.post("/api/channels/:channelId/test", (req, res) => {
-    const body = req.body ?? {};
     const output = {};
 
     mutateState((state) => {
@@ -3381,12 +4971,12 @@ export const createApp = () => {
         return;
       }
 
-      const record = dispatchChannelTest(state, channel, getActor(body));
+      const record = dispatchChannelTest(state, channel, getActor(req));
 
       output.record = record;
 
       addAuditLog(state, {
-        user: getActor(body),
+        user: getActor(req),
         action: "channel_tested",
         target: channel.id,
         detail: `Tested channel ${channel.name}`,
@@ -3398,9 +4988,149 @@ export const createApp = () => {
     res.json({ item: output.record });
   });
 
+  app.get("/api/notification-templates", (req, res) => {
+    const state = getState();
+    const channelId = String(req.query.channelId || "").trim();
+    const channels = channelId ? state.channels.filter((item) => item.id === channelId) : state.channels;
+    if (channelId && !channels.length) {
+      res.status(404).json({ error: `Channel not found: ${channelId}` });
+      return;
+    }
+
+    const items = channels.flatMap((channel) =>
+      TEMPLATE_EVENT_TYPES.map((eventType) => {
+        const template = getChannelTemplate(channel, eventType);
+        const fallback = getDefaultTemplates(channel.type)[eventType];
+        return {
+          channelId: channel.id,
+          channelName: channel.name,
+          channelType: channel.type,
+          eventType,
+          title: template.title,
+          body: template.body,
+          source: template.source,
+          defaultTitle: fallback.title,
+          defaultBody: fallback.body,
+        };
+      }),
+    );
+    res.json({ items, total: items.length, eventTypes: TEMPLATE_EVENT_TYPES });
+  });
+
+  app.post("/api/notification-templates/preview", (req, res) => {
+    const state = getState();
+    const body = req.body ?? {};
+    const channel = state.channels.find((item) => item.id === body.channelId);
+    if (!channel) {
+      res.status(404).json({ error: `Channel not found: ${body.channelId}` });
+      return;
+    }
+
+    const eventType = String(body.eventType || "trigger");
+    if (!TEMPLATE_EVENT_TYPES.includes(eventType)) {
+      res.status(400).json({ error: `eventType must be one of: ${TEMPLATE_EVENT_TYPES.join(", ")}` });
+      return;
+    }
+
+    // 未指定告警时取最近一条告警（恢复模板优先取已恢复的），让预览贴近真实数据。
+    const alert = body.alertId
+      ? state.alerts.find((item) => item.id === body.alertId)
+      : (eventType === "recovery" && state.alerts.find((item) => item.status === "resolved")) || state.alerts[0];
+    if (body.alertId && !alert) {
+      res.status(404).json({ error: `Alert not found: ${body.alertId}` });
+      return;
+    }
+
+    const template =
+      "title" in body || "body" in body
+        ? { title: String(body.title ?? ""), body: String(body.body ?? "") }
+        : getChannelTemplate(channel, eventType);
+    const errorMessage = validateTemplate(template);
+    if (errorMessage) {
+      res.status(400).json({ error: errorMessage });
+      return;
+    }
+
+    const lastRecord = alert
+      ? state.notifications.find((item) => item.alertId === alert.id && item.eventType === eventType)
+      : null;
+    const context = buildTemplateContext(state, {
+      channel,
+      eventType,
+      alert,
+      rule: alert ? state.rules.find((item) => item.id === alert.ruleId) : null,
+      api: alert ? resolveAlertTarget(state, alert) : null,
+      payload: lastRecord?.payload ?? (eventType === "test" ? { operator: getActor(req) } : {}),
+    });
+    res.json({ item: { ...renderWithTemplate(template, context), alertId: alert?.id ?? null, context } });
+  });
+
+  app.put("/api/channels/:channelId/templates/:eventType", (req, res) => {
+    const { channelId, eventType } = req.params;
+    const body = req.body ?? {};
+    const updated = {};
+
+    mutateState((state) => {
+      const channel = state.channels.find((item) => item.id === channelId);
+      if (!channel) {
+        res.status(404).json({ error: `Channel not found: ${channelId}` });
+        return;
+      }
+      if (!TEMPLATE_EVENT_TYPES.includes(eventType)) {
+        res.status(400).json({ error: `eventType must be one of: ${TEMPLATE_EVENT_TYPES.join(", ")}` });
+        return;
+      }
+
+      const template = { title: String(body.title ?? ""), body: String(body.body ?? "") };
+      const errorMessage = !template.body.trim() ? "body is required." : validateTemplate(template);
+      if (errorMessage) {
+        res.status(400).json({ error: errorMessage });
+        return;
+      }
+
+      channel.templates = { ...(channel.templates || {}), [eventType]: { ...template, updatedAt: nowIso() } };
+      updated.item = channel;
+      addAuditLog(state, {
+        user: getActor(req),
+        action: "channel_template_updated",
+        target: channel.id,
+        detail: `Updated ${eventType} template of ${channel.name}`,
+      });
+    });
+
+    if (!updated.item) return;
+    res.json({ item: updated.item });
+  });
+
+  app.delete("/api/channels/:channelId/templates/:eventType", (req, res) => {
+    const { channelId, eventType } = req.params;
+    const updated = {};
+
+    mutateState((state) => {
+      const channel = state.channels.find((item) => item.id === channelId);
+      if (!channel || !channel.templates?.[eventType]) {
+        res.status(404).json({ error: `Custom ${eventType} template not found on channel ${channelId}` });
+        return;
+      }
+
+      const { [eventType]: _removed, ...rest } = channel.templates;
+      channel.templates = rest;
+      updated.item = channel;
+      addAuditLog(state, {
+        user: getActor(req),
+        action: "channel_template_reset",
+        target: channel.id,
+        detail: `Reset ${eventType} template of ${channel.name} to default`,
+      });
+    });
+
+    if (!updated.item) return;
+    res.json({ item: updated.item });
+  });
+
   app.delete("/api/channels/:channelId", (req, res) => {
     const channelId = req.params.channelId;
-    const actor = getActor(req.body);
+    const actor = getActor(req);
     const force = Boolean(req.body?.force) || req.query.force === "true";
     let removed = null;
     let affectedRules = 0;
@@ -3458,7 +5188,7 @@ export const createApp = () => {
     const alertId = req.params.alertId;
     const label = String(req.body?.label || "unknown");
     const note = String(req.body?.note || "");
-    const actor = getActor(req.body);
+    const actor = getActor(req);
 
     if (!ALERT_FEEDBACK_VALUES.includes(label)) {
       res.status(400).json({
@@ -3536,7 +5266,7 @@ export const createApp = () => {
       created.item = credential;
 
       addAuditLog(state, {
-        user: getActor(body),
+        user: getActor(req),
         action: "credential_created",
         target: credential.id,
         detail: `Created credential ${credential.name}`,
@@ -3549,7 +5279,7 @@ export const createApp = () => {
   app.post("/api/credentials/bulk-toggle", (req, res) => {
     const ids = toUniqueIdList(req.body?.ids);
     const enabled = Boolean(req.body?.enabled);
-    const actor = getActor(req.body);
+    const actor = getActor(req);
 
     if (!ids.length) {
       res.status(400).json({ error: "ids is required and cannot be empty." });
@@ -3591,7 +5321,7 @@ export const createApp = () => {
   app.post("/api/credentials/bulk-delete", (req, res) => {
     const ids = toUniqueIdList(req.body?.ids);
     const force = Boolean(req.body?.force);
-    const actor = getActor(req.body);
+    const actor = getActor(req);
 
     if (!ids.length) {
       res.status(400).json({ error: "ids is required and cannot be empty." });
@@ -3605,6 +5335,7 @@ export const createApp = () => {
       deletedIds: [],
       notFoundIds: [],
       detachedApis: 0,
+      detachedChannels: 0,
       conflicts: [],
     };
 
@@ -3620,11 +5351,14 @@ export const createApp = () => {
           (api) => api.monitor?.checkConfig?.credentialId === credentialId,
         );
 
-        if (refApis.length > 0 && !force) {
+        const refChannels = state.channels.filter((channel) => channel.config?.credentialId === credentialId);
+
+        if ((refApis.length > 0 || refChannels.length > 0) && !force) {
           summary.conflicts.push({
             id: credentialId,
-            reason: "referenced_by_apis",
+            reason: refApis.length > 0 ? "referenced_by_apis" : "referenced_by_channels",
             referencedByApis: refApis.map((api) => ({ id: api.id, name: api.name, path: api.path })),
+            referencedByChannels: refChannels.map((channel) => ({ id: channel.id, name: channel.name, type: channel.type })),
           });
           continue;
         }
@@ -3639,6 +5373,11 @@ export const createApp = () => {
           summary.detachedApis += refApis.length;
         }
 
+        for (const channel of refChannels) {
+          channel.config.credentialId = null;
+        }
+        summary.detachedChannels += refChannels.length;
+
         state.credentials.splice(index, 1);
         summary.deletedCount += 1;
         summary.deletedIds.push(credentialId);
@@ -3696,7 +5435,7 @@ export const createApp = () => {
       updated.item = credential;
 
       addAuditLog(state, {
-        user: getActor(body),
+        user: getActor(req),
         action: "credential_updated",
         target: credential.id,
         detail: `Updated credential ${credential.name}`,
@@ -3710,9 +5449,10 @@ export const createApp = () => {
   app.delete("/api/credentials/:credentialId", (req, res) => {
     const credentialId = req.params.credentialId;
     const force = Boolean(req.body?.force) || req.query.force === "true";
-    const actor = getActor(req.body);
+    const actor = getActor(req);
     let removed = null;
     let detachedApis = 0;
+    let detachedChannels = 0;
 
     mutateState((state) => {
       const index = state.credentials.findIndex((item) => item.id === credentialId);
@@ -3725,10 +5465,14 @@ export const createApp = () => {
         (api) => api.monitor?.checkConfig?.credentialId === credentialId,
       );
 
-      if (refApis.length && !force) {
+      // 短信渠道通过 config.credentialId 引用网关凭据，与 API 引用一样需要 force 才解绑。
+      const refChannels = state.channels.filter((channel) => channel.config?.credentialId === credentialId);
+
+      if ((refApis.length || refChannels.length) && !force) {
         res.status(409).json({
-          error: "Credential is referenced by APIs, use force=true to detach and delete.",
+          error: "Credential is referenced by APIs or channels, use force=true to detach and delete.",
           referencedByApis: refApis.map((api) => ({ id: api.id, name: api.name, path: api.path })),
+          referencedByChannels: refChannels.map((channel) => ({ id: channel.id, name: channel.name, type: channel.type })),
         });
         return;
       }
@@ -3743,6 +5487,11 @@ export const createApp = () => {
         detachedApis = refApis.length;
       }
 
+      for (const channel of refChannels) {
+        channel.config.credentialId = null;
+      }
+      detachedChannels = refChannels.length;
+
       removed = state.credentials[index];
       state.credentials.splice(index, 1);
 
@@ -3750,12 +5499,12 @@ export const createApp = () => {
         user: actor,
         action: "credential_deleted",
         target: credentialId,
-        detail: `Deleted credential ${removed.name}, detachedApis=${detachedApis}`,
+        detail: `Deleted credential ${removed.name}, detachedApis=${detachedApis}, detachedChannels=${detachedChannels}`,
       });
     });
 
     if (!removed) return;
-    res.json({ item: sanitizeCredential(removed), detachedApis });
+    res.json({ item: sanitizeCredential(removed), detachedApis, detachedChannels });
   });
 
   app.post("/api/credentials/:credentialId/verify", (req, res) => {
@@ -3797,11 +5546,20 @@ export const createApp = () => {
 
   app.patch("/api/alert-policy", (req, res) => {
     const body = req.body ?? {};
-    const actor = getActor(body);
+    const actor = getActor(req);
     const updated = {};
 
     mutateState((state) => {
-      state.alertPolicy = normalizeAlertPolicy(body, state.alertPolicy);
+      const normalized = normalizeAlertPolicy(body, state.alertPolicy);
+      const missingScheduleId = normalized.escalations
+        .flatMap((escalation) => escalation.actions.map(getOncallScheduleId))
+        .find((scheduleId) => scheduleId && !findOncallSchedule(state, scheduleId));
+      if (missingScheduleId) {
+        res.status(400).json({ error: `On-call schedule not found: ${missingScheduleId}` });
+        return;
+      }
+
+      state.alertPolicy = normalized;
       updated.item = state.alertPolicy;
 
       addAuditLog(state, {
@@ -3822,11 +5580,130 @@ export const createApp = () => {
       });
     });
 
+    if (!updated.item) return;
+    res.json({ item: updated.item });
+  });
+
+  app.get("/api/notification-routing", (_req, res) => {
+    const state = getState();
+    res.json({ item: state.notificationRouting });
+  });
+
+  app.patch("/api/notification-routing", (req, res) => {
+    const body = req.body ?? {};
+    const actor = getActor(req);
+    const updated = {};
+
+    mutateState((state) => {
+      const normalized = normalizeNotificationRouting(body, state.notificationRouting);
+      const errorMessage = validateNotificationRouting(normalized, state);
+      if (errorMessage) {
+        res.status(400).json({ error: errorMessage });
+        return;
+      }
+
+      state.notificationRouting = normalized;
+      updated.item = state.notificationRouting;
+
+      addAuditLog(state, {
+        user: actor,
+        action: "notification_routing_updated",
+        target: "notification-routing",
+        detail: `enabled=${normalized.enabled} routes=${normalized.routes.length} default=${normalized.defaultRoute.channels.join(",") || "rule-actions"}`,
+      });
+    });
+
+    if (!updated.item) return;
     res.json({ item: updated.item });
   });
+
+  // 路由试算：给定告警（或规则 + API + 优先级）与事件类型，返回会命中的路由与最终渠道；body.routing 可传未保存的草稿。
+  app.post("/api/notification-routing/dry-run", (req, res) => {
+    const state = getState();
+    const body = req.body ?? {};
+    const eventType = String(body.eventType || "trigger");
+    if (!ROUTE_EVENT_TYPES.includes(eventType)) {
+      res.status(400).json({ error: `eventType must be one of: ${ROUTE_EVENT_TYPES.join(", ")}` });
+      return;
+    }
+
+    const atMs = body.at ? new Date(body.at).getTime() : Date.now();
+    if (!Number.isFinite(atMs)) {
+      res.status(400).json({ error: "at must be an ISO timestamp." });
+      return;
+    }
+
+    let alert = null;
+    if (body.alertId) {
+      alert = state.alerts.find((item) => item.id === body.alertId);
+      if (!alert) {
+        res.status(404).json({ error: `Alert not found: ${body.alertId}` });
+        return;
+      }
+    }
+    const ruleId = alert?.ruleId ?? body.ruleId;
+    const apiId = alert ? null : body.apiId;
+    const rule = ruleId ? state.rules.find((item) => item.id === ruleId) : null;
+    // 服务级告警的 apiId 是 scope 标识，需按告警解析出聚合目标。
+    const api = alert ? resolveAlertTarget(state, alert) : apiId ? state.apis.find((item) => item.id === apiId) : null;
+    if (ruleId && !rule) {
+      res.status(404).json({ error: `Rule not found: ${ruleId}` });
+      return;
+    }
+    if (apiId && !api) {
+      res.status(404).json({ error: `API not found: ${apiId}` });
+      return;
+    }
+    if (!alert && !rule && !api) {
+      res.status(400).json({ error: "alertId, ruleId or apiId is required." });
+      return;
+    }
+
+    let routing = state.notificationRouting;
+    if (body.routing !== undefined) {
+      routing = normalizeNotificationRouting(body.routing, state.notificationRouting);
+      const errorMessage = validateNotificationRouting(routing, state);
+      if (errorMessage) {
+        res.status(400).json({ error: errorMessage });
+        return;
+      }
+    }
+
+    const subjectAlert = alert ?? { level: body.priority ? String(body.priority) : rule?.priority };
+    const plan = planAlertNotificationTargets(
+      { ...state, notificationRouting: routing },
+      subjectAlert,
+      rule,
+      api,
+      eventType,
+      atMs,
+    );
+    res.json({
+      item: {
+        eventType,
+        at: new Date(atMs).toISOString(),
+        alertId: alert?.id ?? null,
+        ruleId: rule?.id ?? null,
+        apiId: alert?.apiId ?? api?.id ?? null,
+        routingEnabled: plan.enabled,
+        matchedRoutes: plan.matchedRoutes,
+        usedDefault: plan.usedDefault,
+        useRuleActions: plan.useRuleActions,
+        targets: plan.targets.map(({ action, channel, routeId }) => ({
+          action,
+          routeId: routeId ?? null,
+          channelId: channel?.id ?? null,
+          channelName: channel?.name ?? null,
+          channelType: channel?.type ?? null,
+          channelEnabled: channel ? channel.enabled !== false : false,
+        })),
+      },
+    });
+  });
+
   app.get("/api/settings/users", (_req, res) => {
     const state = getState();
-    res.json({ items: state.users, total: state.users.length });
+    res.json({ items: state.users.map(sanitizeUser), total: state.users.length });
   });
 
   app.get("/api/settings/overview", (req, res) => {
@@ -3836,7 +5713,7 @@ export const createApp = () => {
     const key = `settings:overview:${auditLimit}:${notificationLimit}`;
     const payload = withRouteCache(state, key, () => ({
       users: {
-        items: state.users,
+        items: state.users.map(sanitizeUser),
         total: state.users.length,
       },
       auditLogs: {
@@ -3856,6 +5733,62 @@ export const createApp = () => {
     res.json(payload);
   });
 
+  // 管理员重置密码：生成一次性临时密码并只在响应中返回，撤销该用户全部会话，下次登录必须修改。
+  app.post("/api/settings/users/:userId/reset-password", (req, res) => {
+    if (!getState().users.some((item) => item.id === req.params.userId)) {
+      res.status(404).json({ error: "User not found." });
+      return;
+    }
+
+    const temporaryPassword = generateInitialPassword();
+    const updated = {};
+    mutateState((state) => {
+      const user = state.users.find((item) => item.id === req.params.userId);
+      assignInitialPassword(user, temporaryPassword);
+      state.authSessions = state.authSessions.filter((session) => session.userId !== user.id);
+      updated.user = user;
+
+      addAuditLog(state, {
+        user: getActor(req),
+        action: "user_password_reset",
+        target: user.id,
+        detail: `Reset password for ${user.email}, sessions revoked`,
+      });
+    });
+
+    closeRevokedEventStreams();
+    res.json({ ok: true, temporaryPassword, user: sanitizeUser(updated.user) });
+  });
+
+  // 值班升级按渠道类型取这些联系方式：短信用 phone，Slack / 企业微信按成员 ID 做 @ 提醒。
+  app.patch("/api/settings/users/:userId/contacts", (req, res) => {
+    if (!getState().users.some((item) => item.id === req.params.userId)) {
+      res.status(404).json({ error: "User not found." });
+      return;
+    }
+    const { contacts, error } = normalizeUserContactsInput(req.body);
+    if (error) {
+      res.status(400).json({ error });
+      return;
+    }
+
+    const updated = {};
+    mutateState((state) => {
+      const user = state.users.find((item) => item.id === req.params.userId);
+      Object.assign(user, contacts);
+      updated.user = user;
+
+      addAuditLog(state, {
+        user: getActor(req),
+        action: "user_contacts_updated",
+        target: user.id,
+        detail: `Updated contacts for ${user.email}: ${Object.keys(contacts).join(", ") || "none"}`,
+      });
+    });
+
+    res.json({ ok: true, user: sanitizeUser(updated.user) });
+  });
+
   app.delete("/api/settings/users/:userId", (_req, res) => {
     res.status(405).json({
       error: "users_are_readonly",
@@ -3881,6 +5814,86 @@ export const createApp = () => {
     res.json({ items, total: items.length });
   });
 
+  // 死信：重试耗尽或永久失败的通知（status=failed），groups 按渠道 + 失败原因聚合，不受 channelId/reason 过滤影响。
+  app.get("/api/notifications/dead-letters", (req, res) => {
+    const state = getState();
+    const limit = Math.max(1, Math.min(toNumber(req.query.limit, 200), 1_000));
+    const channelId = String(req.query.channelId || "").trim();
+    const reason = String(req.query.reason || "").trim();
+
+    const failed = state.notifications.filter((item) => item.status === "failed");
+    const matched = failed.filter(
+      (item) => (!channelId || item.channelId === channelId) && (!reason || getFailureReason(item) === reason),
+    );
+    const items = safeSortByTimeDesc(matched, (item) => item.lastAttemptAt || item.createdAt)
+      .slice(0, limit)
+      .map((item) => ({ ...item, failureReason: getFailureReason(item) }));
+
+    res.json({ items, total: matched.length, groups: summarizeDeadLetters(state, failed) });
+  });
+
+  // 重放死信：不传 channelId 时在原渠道立即重试，传入时改投指定渠道。
+  app.post("/api/notifications/replay", (req, res) => {
+    const ids = toUniqueIdList(req.body?.ids);
+    const targetChannelId = String(req.body?.channelId || "").trim() || null;
+    const actor = getActor(req);
+
+    if (!ids.length) {
+      res.status(400).json({ error: "ids is required and cannot be empty." });
+      return;
+    }
+
+    const summary = {
+      requested: ids.length,
+      replayedCount: 0,
+      items: [],
+      skipped: [],
+      notFoundIds: [],
+    };
+    let targetMissing = false;
+
+    mutateState((state) => {
+      const target = targetChannelId ? state.channels.find((item) => item.id === targetChannelId) : null;
+      if (targetChannelId && !target) {
+        targetMissing = true;
+        return;
+      }
+
+      for (const notificationId of ids) {
+        const record = state.notifications.find((item) => item.id === notificationId);
+        if (!record) {
+          summary.notFoundIds.push(notificationId);
+          continue;
+        }
+        if (record.status !== "failed") {
+          summary.skipped.push({ id: notificationId, reason: `status_${record.status}` });
+          continue;
+        }
+        const channel = target ?? state.channels.find((item) => item.id === record.channelId);
+        if (!channel) {
+          summary.skipped.push({ id: notificationId, reason: "channel_missing" });
+          continue;
+        }
+
+        summary.items.push(replayNotification(state, record, channel, actor));
+        summary.replayedCount += 1;
+      }
+
+      addAuditLog(state, {
+        user: actor,
+        action: "notifications_replayed",
+        target: targetChannelId ?? "notifications",
+        detail: `requested=${summary.requested} replayed=${summary.replayedCount} channel=${targetChannelId ?? "original"}`,
+      });
+    });
+
+    if (targetMissing) {
+      res.status(404).json({ error: `Channel not found: ${targetChannelId}` });
+      return;
+    }
+    res.json(summary);
+  });
+
   app.post("/api/notifications/dispatch-now", async (req, res) => {
     const state = getState();
     const limit = Math.max(1, Math.min(toNumber(req.body?.limit, 30), 200));
@@ -3896,7 +5909,7 @@ export const createApp = () => {
 
   app.post("/api/notifications/bulk-delete", (req, res) => {
     const ids = toUniqueIdList(req.body?.ids);
-    const actor = getActor(req.body);
+    const actor = getActor(req);
 
     if (!ids.length) {
       res.status(400).json({ error: "ids is required and cannot be empty." });
@@ -3935,7 +5948,7 @@ export const createApp = () => {
 
   app.delete("/api/notifications/:notificationId", (req, res) => {
     const notificationId = req.params.notificationId;
-    const actor = getActor(req.body);
+    const actor = getActor(req);
     let removed = null;
 
     mutateState((state) => {
@@ -3999,7 +6012,7 @@ export const createApp = () => {
         refreshAllApiStatuses(state);
 
         addAuditLog(state, {
-          user: getActor(req.body),
+          user: getActor(req),
           action: "demo_simulation",
           target: "historical",
           detail: `Simulated ${result.minutes}m with ${result.stepSeconds}s step`,
@@ -4147,13 +6160,13 @@ export const createApp = () => {
         id: uid("marker"),
         name: String(body.name || "quality-marker"),
         note: String(body.note || ""),
-        createdBy: getActor(body),
+        createdBy: getActor(req),
         createdAt: nowIso(),
       };
       state.qualityMarkers.unshift(marker);
       created.item = marker;
       addAuditLog(state, {
-        user: getActor(body),
+        user: getActor(req),
         action: "quality_marker_created",
         target: marker.id,
         detail: marker.name,
@@ -4174,7 +6187,7 @@ export const createApp = () => {
       removed = state.qualityMarkers[index];
       state.qualityMarkers.splice(index, 1);
       addAuditLog(state, {
-        user: getActor(req.body),
+        user: getActor(req),
         action: "quality_marker_deleted",
         target: markerId,
         detail: removed.name,
@@ -4347,7 +6360,7 @@ export const createApp = () => {
           ruleId: item.rule.id,
           ruleName: item.rule.name,
           patch: item.recommendation,
-          createdBy: getActor(req.body),
+          createdBy: getActor(req),
           createdAt: nowIso(),
           status: "draft",
         };
@@ -4355,7 +6368,7 @@ export const createApp = () => {
         createdItems.push(draft);
       }
       addAuditLog(mutable, {
-        user: getActor(req.body),
+        user: getActor(req),
         action: "rule_drafts_created_from_suggestions",
         target: "rule-drafts",
         detail: `count=${createdItems.length}`,
@@ -4386,11 +6399,11 @@ export const createApp = () => {
       rule.updatedAt = nowIso();
       draft.status = "applied";
       draft.appliedAt = nowIso();
-      draft.appliedBy = getActor(req.body);
+      draft.appliedBy = getActor(req);
       updatedRule = rule;
       updatedDraft = draft;
       addAuditLog(state, {
-        user: getActor(req.body),
+        user: getActor(req),
         action: "rule_draft_applied",
         target: draft.id,
         detail: `rule=${rule.id}`,
@@ -4412,7 +6425,7 @@ export const createApp = () => {
       removed = state.ruleDrafts[index];
       state.ruleDrafts.splice(index, 1);
       addAuditLog(state, {
-        user: getActor(req.body),
+        user: getActor(req),
         action: "rule_draft_deleted",
         target: draftId,
         detail: removed.ruleName || removed.ruleId,
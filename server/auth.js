@@ -0,0 +1,718 @@
+/**
+ * @file server/auth.js
+ * 文件作用：后端业务模块，参与 API 接入、规则评估、告警流转与通知链路。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import crypto from "node:crypto";
+import { nowIso, uid } from "./utils.js";
+
+/**
+ * 符号：AUTH_ROLE_VALUES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const AUTH_ROLE_VALUES = ["admin", "ops", "developer"];
+
+/**
+ * 符号：SESSION_TOKEN_PREFIX（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const SESSION_TOKEN_PREFIX = "ses_";
+
+/**
+ * 符号：API_TOKEN_PREFIX（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const API_TOKEN_PREFIX = "aat_";
+
+/**
+ * 符号：SESSION_TTL_HOURS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const SESSION_TTL_HOURS = Math.max(1, Number(process.env.AUTH_SESSION_TTL_HOURS || 12));
+
+/**
+ * 符号：MAX_SESSIONS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const MAX_SESSIONS = 1_000;
+
+/**
+ * 符号：TOUCH_INTERVAL_MS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const TOUCH_INTERVAL_MS = 60_000;
+
+/**
+ * 符号：SCRYPT_KEY_LENGTH（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const SCRYPT_KEY_LENGTH = 32;
+
+/**
+ * 符号：ROLE_PERMISSIONS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const ROLE_PERMISSIONS = {
+  admin: ["read", "alerts:write", "metrics:write", "config:write", "users:admin"],
+  ops: ["read", "alerts:write", "metrics:write", "config:write"],
+  developer: ["read", "alerts:write", "metrics:write"],
+};
+
+/**
+ * 符号：PUBLIC_ROUTES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const PUBLIC_ROUTES = [
+  { methods: ["GET"], pattern: /^\/api\/health$/ },
+  { methods: ["POST"], pattern: /^\/api\/auth\/login$/ },
+  // 通知内的操作链接与聊天工具回调不携带登录令牌，由路由自行校验操作令牌或回调签名。
+  { methods: ["GET", "POST"], pattern: /^\/api\/actions\/[^/]+$/ },
+  { methods: ["POST"], pattern: /^\/api\/inbound\/(slack|chat)$/ },
+];
+
+/**
+ * 符号：QUERY_TOKEN_ROUTES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const QUERY_TOKEN_ROUTES = [
+  { methods: ["GET"], pattern: /^\/api\/events$/ },
+];
+
+/**
+ * 符号：ROUTE_PERMISSION_RULES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const ROUTE_PERMISSION_RULES = [
+  { methods: ["POST"], pattern: /^\/api\/auth\/(logout|tokens)$/, permission: "read" },
+  { methods: ["DELETE"], pattern: /^\/api\/auth\/tokens\/[^/]+$/, permission: "read" },
+  { methods: ["PATCH"], pattern: /^\/api\/auth\/password$/, permission: "read" },
+  { methods: ["POST"], pattern: /^\/api\/rules\/parse-dsl$/, permission: "read" },
+  { methods: ["POST"], pattern: /^\/api\/rules\/[^/]+\/simulate$/, permission: "read" },
+  { methods: ["POST"], pattern: /^\/api\/notification-templates\/preview$/, permission: "read" },
+  { methods: ["POST"], pattern: /^\/api\/notification-routing\/dry-run$/, permission: "read" },
+  { methods: ["POST"], pattern: /^\/api\/metrics$/, permission: "metrics:write" },
+  { methods: ["POST"], pattern: /^\/api\/alerts\/bulk-status$/, permission: "alerts:write" },
+  { methods: ["PATCH"], pattern: /^\/api\/alerts\/[^/]+\/(status|feedback)$/, permission: "alerts:write" },
+  { methods: ["POST", "PATCH"], pattern: /^\/api\/incidents(\/[^/]+)?$/, permission: "alerts:write" },
+  { methods: ["POST", "PATCH", "DELETE"], pattern: /^\/api\/settings\/users(\/.*)?$/, permission: "users:admin" },
+];
+
+/**
+ * 符号：READ_METHODS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const READ_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+
+/**
+ * 符号：PASSWORD_CHANGE_ROUTES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 必须修改初始密码（或被管理员重置）的账号只能访问这些接口。
+const PASSWORD_CHANGE_ROUTES = [
+  { methods: ["GET"], pattern: /^\/api\/auth\/me$/ },
+  { methods: ["PATCH"], pattern: /^\/api\/auth\/password$/ },
+  { methods: ["POST"], pattern: /^\/api\/auth\/logout$/ },
+];
+
+/**
+ * 符号：LOGIN_MAX_FAILURES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const LOGIN_MAX_FAILURES = Math.max(1, Number(process.env.AUTH_LOGIN_MAX_FAILURES || 5));
+/**
+ * 符号：LOGIN_LOCK_MS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const LOGIN_LOCK_MS = Math.max(1, Number(process.env.AUTH_LOGIN_LOCK_MINUTES || 15)) * 60_000;
+/**
+ * 符号：MAX_LOGIN_THROTTLE_KEYS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const MAX_LOGIN_THROTTLE_KEYS = 10_000;
+/**
+ * 符号：loginFailures（const）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 登录失败计数只放内存：重启后清零可以接受，也避免每次失败都写存储。
+const loginFailures = new Map();
+
+/**
+ * 符号：isAuthEnabled（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const isAuthEnabled = () => process.env.AUTH_ENABLED !== "false";
+
+/**
+ * 符号：generateInitialPassword（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 随机初始密码，同时满足 validatePasswordStrength 的字母 + 数字要求。
+export const generateInitialPassword = () =>
+  `Init-${crypto.randomBytes(9).toString("base64url")}-${crypto.randomInt(10, 100)}`;
+
+/**
+ * 符号：hashToken（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+/**
+ * 符号：generateToken（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const generateToken = (prefix) => `${prefix}${crypto.randomBytes(24).toString("base64url")}`;
+
+/**
+ * 符号：hashPassword（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16);
+  const derived = crypto.scryptSync(String(password), salt, SCRYPT_KEY_LENGTH);
+  return `scrypt$${salt.toString("hex")}$${derived.toString("hex")}`;
+};
+
+/**
+ * 符号：verifyPassword（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const verifyPassword = (password, storedHash) => {
+  const [scheme, saltHex, hashHex] = String(storedHash || "").split("$");
+  if (scheme !== "scrypt" || !saltHex || !hashHex) {
+    return false;
+  }
+
+  const expected = Buffer.from(hashHex, "hex");
+  const derived = crypto.scryptSync(String(password ?? ""), Buffer.from(saltHex, "hex"), expected.length);
+  return expected.length === derived.length && crypto.timingSafeEqual(expected, derived);
+};
+
+/**
+ * 符号：validatePasswordStrength（arrow-function）
+ * 作用说明：该函数用于前置校验，尽早拦截非法输入并缩短错误路径。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const validatePasswordStrength = (password) => {
+  const text = String(password ?? "");
+  if (text.length < 8) {
+    return "password must be at least 8 characters.";
+  }
+  if (!/[A-Za-z]/.test(text) || !/\d/.test(text)) {
+    return "password must contain both letters and digits.";
+  }
+  return null;
+};
+
+/**
+ * 符号：assignInitialPassword（const）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 写入初始密码并要求首次登录后修改；未传 password 时优先用 AUTH_DEFAULT_PASSWORD，否则随机生成。
+export const assignInitialPassword = (user, password = process.env.AUTH_DEFAULT_PASSWORD || generateInitialPassword()) => {
+  user.passwordHash = hashPassword(password);
+  user.mustChangePassword = true;
+  return password;
+};
+
+/**
+ * 符号：ensureInitialPasswords（arrow-function）
+ * 作用说明：该函数用于前置校验，尽早拦截非法输入并缩短错误路径。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 为还没有密码的用户发放初始密码。随机生成的明文只在服务日志里出现这一次，首次登录后必须修改。
+export const ensureInitialPasswords = (users) => {
+  for (const user of users || []) {
+    if (user.passwordHash) continue;
+    const password = assignInitialPassword(user);
+    if (!process.env.AUTH_DEFAULT_PASSWORD) {
+      console.warn(`[auth] initial password for ${user.email}: ${password} (must be changed after first login)`);
+    }
+  }
+  return users;
+};
+
+/**
+ * 符号：sanitizeUser（arrow-function）
+ * 作用说明：该函数用于输入标准化，先把不稳定入参转为稳定结构。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const sanitizeUser = (user) => {
+  if (!user) return null;
+  const { passwordHash: _passwordHash, ...rest } = user;
+  return rest;
+};
+
+/**
+ * 符号：sanitizeApiToken（arrow-function）
+ * 作用说明：该函数用于输入标准化，先把不稳定入参转为稳定结构。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const sanitizeApiToken = (item) => {
+  if (!item) return null;
+  const { tokenHash: _tokenHash, ...rest } = item;
+  return rest;
+};
+
+/**
+ * 符号：getRolePermissions（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+/**
+ * 符号：hasPermission（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const hasPermission = (role, permission) => getRolePermissions(role).includes(permission);
+
+/**
+ * 符号：isPublicRoute（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const isPublicRoute = (method, pathname) => {
+  const upper = String(method || "GET").toUpperCase();
+  return PUBLIC_ROUTES.some((route) => route.methods.includes(upper) && route.pattern.test(pathname));
+};
+
+/**
+ * 符号：allowsQueryToken（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const allowsQueryToken = (method, pathname) => {
+  const upper = String(method || "GET").toUpperCase();
+  return QUERY_TOKEN_ROUTES.some((route) => route.methods.includes(upper) && route.pattern.test(pathname));
+};
+
+/**
+ * 符号：redactAccessToken（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 访问日志只保留 access_token 参数名，令牌值替换为 [redacted]。
+export const redactAccessToken = (url) =>
+  String(url || "").replace(/([?&]access_token=)[^&#]*/gi, "$1[redacted]");
+
+/**
+ * 符号：allowsBeforePasswordChange（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const allowsBeforePasswordChange = (method, pathname) =>
+  PASSWORD_CHANGE_ROUTES.some((route) => route.methods.includes(method) && route.pattern.test(pathname));
+
+/**
+ * 符号：resolveRoutePermission（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const resolveRoutePermission = (method, pathname) => {
+  const upper = String(method || "GET").toUpperCase();
+  const matched = ROUTE_PERMISSION_RULES.find(
+    (rule) => rule.methods.includes(upper) && rule.pattern.test(pathname),
+  );
+  if (matched) {
+    return matched.permission;
+  }
+
+  // 默认拒绝：未显式声明的写操作一律视为配置变更，仅 ops/admin 可执行。
+  return READ_METHODS.has(upper) ? "read" : "config:write";
+};
+
+/**
+ * 符号：parseBearerToken（arrow-function）
+ * 作用说明：该函数用于输入标准化，先把不稳定入参转为稳定结构。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const parseBearerToken = (headerValue) => {
+  const match = /^Bearer\s+(\S+)$/i.exec(String(headerValue || "").trim());
+  return match ? match[1] : null;
+};
+
+/**
+ * 符号：findUserByEmail（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const findUserByEmail = (state, email) => {
+  const target = String(email || "").trim().toLowerCase();
+  if (!target) return null;
+  return (state.users || []).find((user) => String(user.email || "").toLowerCase() === target) || null;
+};
+
+/**
+ * 符号：authenticateWithPassword（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const authenticateWithPassword = (state, email, password) => {
+  const user = findUserByEmail(state, email);
+  if (!user || user.status !== "active" || !verifyPassword(password, user.passwordHash)) {
+    return null;
+  }
+  return user;
+};
+
+/**
+ * 符号：getLoginThrottleKeys（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 同一邮箱 + 来源 IP 连续失败 LOGIN_MAX_FAILURES 次后锁定；同一 IP 跨邮箱的失败按 4 倍阈值单独计数，防撞库。
+const getLoginThrottleKeys = (email, ip) => {
+  const source = String(ip || "unknown");
+  return [
+    { key: `${String(email || "").trim().toLowerCase()}|${source}`, limit: LOGIN_MAX_FAILURES },
+    { key: `*|${source}`, limit: LOGIN_MAX_FAILURES * 4 },
+  ];
+};
+
+/**
+ * 符号：getLoginLockRemainingMs（const）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 返回剩余锁定毫秒数，0 表示允许尝试登录。
+export const getLoginLockRemainingMs = (email, ip, nowMs = Date.now()) => {
+  let remaining = 0;
+  for (const { key } of getLoginThrottleKeys(email, ip)) {
+    const entry = loginFailures.get(key);
+    if (!entry?.lockedUntil) continue;
+    if (entry.lockedUntil <= nowMs) {
+      loginFailures.delete(key);
+      continue;
+    }
+    remaining = Math.max(remaining, entry.lockedUntil - nowMs);
+  }
+  return remaining;
+};
+
+/**
+ * 符号：recordLoginFailure（const）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 记录一次失败，返回本次是否触发了锁定；失败次数在一个锁定时长的窗口内累计。
+export const recordLoginFailure = (email, ip, nowMs = Date.now()) => {
+  let locked = false;
+  for (const { key, limit } of getLoginThrottleKeys(email, ip)) {
+    const entry = loginFailures.get(key);
+    const next =
+      !entry || nowMs - entry.firstFailedAt > LOGIN_LOCK_MS
+        ? { count: 1, firstFailedAt: nowMs, lockedUntil: null }
+        : { ...entry, count: entry.count + 1 };
+    if (next.count >= limit && !next.lockedUntil) {
+      next.lockedUntil = nowMs + LOGIN_LOCK_MS;
+      locked = true;
+    }
+    loginFailures.delete(key);
+    loginFailures.set(key, next);
+  }
+  while (loginFailures.size > MAX_LOGIN_THROTTLE_KEYS) {
+    loginFailures.delete(loginFailures.keys().next().value);
+  }
+  return locked;
+};
+
+/**
+ * 符号：clearLoginFailures（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 登录成功只清除该邮箱的计数，同一 IP 的跨邮箱计数继续保留。
+export const clearLoginFailures = (email, ip) => {
+  loginFailures.delete(getLoginThrottleKeys(email, ip)[0].key);
+};
+
+/**
+ * 符号：pruneExpiredSessions（const）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收入参后会写入状态或外部资源，输出通常是更新后的对象、状态码或副作用结果。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const pruneExpiredSessions = (state, nowMs = Date.now()) => {
+  state.authSessions = (state.authSessions || []).filter(
+    (session) => new Date(session.expiresAt).getTime() > nowMs,
+  );
+  if (state.authSessions.length > MAX_SESSIONS) {
+    state.authSessions.splice(0, state.authSessions.length - MAX_SESSIONS);
+  }
+};
+
+/**
+ * 符号：createSession（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const createSession = (state, user, options = {}) => {
+  const nowMs = options.nowMs ?? Date.now();
+  const token = generateToken(SESSION_TOKEN_PREFIX);
+  const session = {
+    id: uid("ses"),
+    userId: user.id,
+    tokenHash: hashToken(token),
+    createdAt: new Date(nowMs).toISOString(),
+    lastSeenAt: new Date(nowMs).toISOString(),
+    expiresAt: new Date(nowMs + SESSION_TTL_HOURS * 3_600_000).toISOString(),
+  };
+
+  pruneExpiredSessions(state, nowMs);
+  state.authSessions.push(session);
+  return { token, session };
+};
+
+/**
+ * 符号：revokeSession（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中存在状态写入，属于有副作用函数，测试时应关注前后状态变化。
+ * 输入输出：接收入参后会写入状态或外部资源，输出通常是更新后的对象、状态码或副作用结果。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const revokeSession = (state, sessionId) => {
+  const before = (state.authSessions || []).length;
+  state.authSessions = (state.authSessions || []).filter((session) => session.id !== sessionId);
+  return state.authSessions.length !== before;
+};
+
+/**
+ * 符号：createApiToken（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收入参后会写入状态或外部资源，输出通常是更新后的对象、状态码或副作用结果。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const createApiToken = (state, user, options = {}) => {
+  const token = generateToken(API_TOKEN_PREFIX);
+  const expiresInDays = Number(options.expiresInDays);
+  const item = {
+    id: uid("tok"),
+    name: String(options.name || "api-token").trim() || "api-token",
+    userId: user.id,
+    tokenHash: hashToken(token),
+    tokenPreview: `${token.slice(0, API_TOKEN_PREFIX.length + 4)}...`,
+    createdAt: nowIso(),
+    lastUsedAt: null,
+    expiresAt:
+      Number.isFinite(expiresInDays) && expiresInDays > 0
+        ? new Date(Date.now() + expiresInDays * 86_400_000).toISOString()
+        : null,
+    revokedAt: null,
+  };
+
+  if (!Array.isArray(state.apiTokens)) {
+    state.apiTokens = [];
+  }
+  state.apiTokens.push(item);
+  return { token, item };
+};
+
+/**
+ * 符号：findActiveUser（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const findActiveUser = (state, userId) =>
+  (state.users || []).find((user) => user.id === userId && user.status === "active") || null;
+
+/**
+ * 符号：isLiveSession（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const isLiveSession = (session, nowMs) => Boolean(session) && new Date(session.expiresAt).getTime() > nowMs;
+
+/**
+ * 符号：isLiveApiToken（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const isLiveApiToken = (apiToken, nowMs) =>
+  Boolean(apiToken) && !apiToken.revokedAt && !(apiToken.expiresAt && new Date(apiToken.expiresAt).getTime() <= nowMs);
+
+/**
+ * 符号：resolvePrincipal（const）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const resolvePrincipal = (state, token, nowMs = Date.now()) => {
+  if (!token) return null;
+  const tokenHash = hashToken(token);
+
+  if (token.startsWith(SESSION_TOKEN_PREFIX)) {
+    const session = (state.authSessions || []).find((item) => item.tokenHash === tokenHash);
+    if (!isLiveSession(session, nowMs)) return null;
+    const user = findActiveUser(state, session.userId);
+    if (!user) return null;
+    return { kind: "session", user, session, actor: user.name || user.email };
+  }
+
+  if (token.startsWith(API_TOKEN_PREFIX)) {
+    const apiToken = (state.apiTokens || []).find((item) => item.tokenHash === tokenHash);
+    if (!isLiveApiToken(apiToken, nowMs)) return null;
+    const user = findActiveUser(state, apiToken.userId);
+    if (!user) return null;
+    return {
+      kind: "api_token",
+      user,
+      apiToken,
+      actor: `${user.name || user.email} (token:${apiToken.name})`,
+    };
+  }
+
+  return null;
+};
+
+/**
+ * 符号：refreshPrincipal（const）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// SSE 这类长连接建立后按 ID 复核身份：会话被注销或过期、API Token 被吊销或过期、用户被停用时返回 null。
+export const refreshPrincipal = (state, principal, nowMs = Date.now()) => {
+  if (principal?.kind !== "session" && principal?.kind !== "api_token") return principal;
+  const user = findActiveUser(state, principal.user.id);
+  if (!user) return null;
+  if (principal.kind === "session") {
+    const session = (state.authSessions || []).find((item) => item.id === principal.session.id);
+    return isLiveSession(session, nowMs) ? { ...principal, user, session } : null;
+  }
+  const apiToken = (state.apiTokens || []).find((item) => item.id === principal.apiToken.id);
+  return isLiveApiToken(apiToken, nowMs) ? { ...principal, user, apiToken } : null;
+};
+
+/**
+ * 符号：shouldTouchPrincipal（const）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const shouldTouchPrincipal = (principal, nowMs = Date.now()) => {
+  const lastSeen = principal.kind === "session" ? principal.session.lastSeenAt : principal.apiToken.lastUsedAt;
+  return !lastSeen || nowMs - new Date(lastSeen).getTime() >= TOUCH_INTERVAL_MS;
+};
@@ -0,0 +1,342 @@
+/**
+ * @file server/chat-messages.js
+ * 文件作用：后端业务模块，参与 API 接入、规则评估、告警流转与通知链路。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import { ALERT_ACTION_LABELS, ALERT_ACTIONS } from "./alert-actions.js";
+
+/**
+ * 符号：SLACK_MESSAGE_FORMATS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const SLACK_MESSAGE_FORMATS = ["blocks", "text"];
+/**
+ * 符号：WECHAT_MESSAGE_FORMATS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const WECHAT_MESSAGE_FORMATS = ["markdown", "card", "text"];
+
+/**
+ * 符号：LEVEL_COLORS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const LEVEL_COLORS = { P1: "#dc2626", P2: "#ea580c", P3: "#ca8a04", P4: "#2563eb" };
+/**
+ * 符号：DEFAULT_COLOR（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const DEFAULT_COLOR = "#64748b";
+/**
+ * 符号：RESOLVED_COLOR（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const RESOLVED_COLOR = "#16a34a";
+
+/**
+ * 符号：WECHAT_LEVEL_FONTS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 企业微信 markdown 只支持 info（绿）/ comment（灰）/ warning（橙红）三种字体颜色。
+const WECHAT_LEVEL_FONTS = { P1: "warning", P2: "warning", P3: "comment", P4: "comment" };
+/**
+ * 符号：WECHAT_CARD_COLORS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 模板卡片 source.desc_color：0 灰、1 黑、2 红、3 绿。
+const WECHAT_CARD_COLORS = { P1: 2, P2: 2, P3: 1, P4: 0 };
+/**
+ * 符号：WECHAT_MARKDOWN_MAX_BYTES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const WECHAT_MARKDOWN_MAX_BYTES = 4_096;
+
+/**
+ * 符号：EVENT_LABELS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const EVENT_LABELS = {
+  trigger: "告警触发",
+  recovery: "已恢复",
+  escalation: "告警升级",
+  incident_update: "事件更新",
+  test: "测试消息",
+};
+
+/**
+ * 符号：truncateText（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const truncateText = (text, maxLength) => {
+  const chars = [...String(text ?? "")];
+  return chars.length > maxLength ? `${chars.slice(0, maxLength - 1).join("")}…` : chars.join("");
+};
+
+/**
+ * 符号：truncateBytes（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const truncateBytes = (text, maxBytes) => {
+  let output = "";
+  let bytes = 0;
+  for (const char of String(text ?? "")) {
+    bytes += Buffer.byteLength(char);
+    if (bytes > maxBytes - 3) return `${output}…`;
+    output += char;
+  }
+  return output;
+};
+
+/**
+ * 符号：isResolved（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const isResolved = (context) => context.event?.type === "recovery" || context.alert?.status === "resolved";
+
+/**
+ * 符号：getEventLabel（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const getEventLabel = (context) => {
+  const type = context.event?.type;
+  if (type === "escalation" && context.escalation?.level) return `${EVENT_LABELS.escalation} ${context.escalation.level}`;
+  return EVENT_LABELS[type] || EVENT_LABELS.trigger;
+};
+
+/**
+ * 符号：getAlertFacts（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 组装消息卡片上的关键事实：API、观测值与阈值、统计窗口。缺字段的行直接省略。
+export const getAlertFacts = (context) => {
+  const alert = context.alert || {};
+  const api = context.api || {};
+  const facts = [];
+  if (api.path) facts.push({ label: "API", value: `${api.method || "GET"} ${api.path}` });
+  if (alert.observedValue !== undefined && alert.observedValue !== null) {
+    const comparison = alert.threshold !== undefined ? `（阈值 ${alert.operator || ">"} ${alert.threshold}）` : "";
+    facts.push({ label: "观测值", value: `${alert.metric ? `${alert.metric} ` : ""}${alert.observedValue}${comparison}` });
+  }
+  const windowMinutes = alert.windowMinutes ?? context.rule?.windowMinutes;
+  if (windowMinutes) {
+    facts.push({ label: "窗口", value: `${alert.aggregation ? `${alert.aggregation} · ` : ""}${windowMinutes} 分钟` });
+  }
+  if (context.oncall?.assignee) facts.push({ label: "值班", value: context.oncall.assignee });
+  return facts;
+};
+
+/**
+ * 符号：getLinkButtons（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现中使用 map/filter/reduce 等数组操作，强调声明式数据变换。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const getLinkButtons = (context) =>
+  [
+    { label: "查看告警", url: context.links?.alert },
+    { label: "查看 API", url: context.links?.api },
+    { label: "查看事件", url: context.links?.incident },
+  ].filter((item) => item.url);
+
+/**
+ * 符号：getActionButtons（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现中使用 map/filter/reduce 等数组操作，强调声明式数据变换。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const getActionButtons = (context) =>
+  ALERT_ACTIONS.filter((action) => context.actions?.[action]).map((action) => ({
+    action,
+    label: ALERT_ACTION_LABELS[action],
+    url: context.actions[action],
+    token: context.actionTokens?.[action],
+  }));
+
+/**
+ * 符号：buildSlackMessage（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// Block Kit 消息放在 attachment 中以显示优先级色条；text 作为通知栏与不支持 blocks 客户端的回退文本。
+// interactive 为 true 时处理按钮携带令牌走 Slack 交互回调（/api/inbound/slack），否则是打开确认页的链接按钮。
+export const buildSlackMessage = (context, rendered, { interactive = false } = {}) => {
+  const level = context.notification?.level || "info";
+  const resolved = isResolved(context);
+  const title = rendered?.title || context.notification?.title || "API Alert";
+  const body = rendered?.body || "";
+  const facts = getAlertFacts(context);
+  const buttons = getLinkButtons(context);
+
+  const blocks = [
+    {
+      type: "header",
+      text: { type: "plain_text", text: truncateText(`${resolved ? "✅" : "🚨"} ${title}`, 150), emoji: true },
+    },
+  ];
+  if (body) {
+    blocks.push({ type: "section", text: { type: "mrkdwn", text: truncateText(body, 3_000) } });
+  }
+  blocks.push({
+    type: "section",
+    fields: [{ label: "优先级", value: level }, ...facts]
+      .slice(0, 10)
+      .map((fact) => ({ type: "mrkdwn", text: truncateText(`*${fact.label}*\n${fact.value}`, 2_000) })),
+  });
+  blocks.push({
+    type: "context",
+    elements: [
+      {
+        type: "mrkdwn",
+        text: [getEventLabel(context), context.api?.service, context.api?.environment].filter(Boolean).join(" · "),
+      },
+    ],
+  });
+  const actionButtons = getActionButtons(context).map((button) => ({
+    type: "button",
+    action_id: `alert_${button.action}`,
+    text: { type: "plain_text", text: button.label },
+    ...(interactive && button.token ? { value: button.token } : { url: button.url }),
+    ...(button.action === "resolve" ? { style: "primary" } : {}),
+  }));
+  if (buttons.length || actionButtons.length) {
+    blocks.push({
+      type: "actions",
+      elements: [
+        ...buttons.map((button, index) => ({
+          type: "button",
+          text: { type: "plain_text", text: button.label },
+          url: button.url,
+          ...(index === 0 && !resolved ? { style: "danger" } : {}),
+        })),
+        ...actionButtons,
+      ],
+    });
+  }
+
+  return {
+    text: [title, body].filter(Boolean).join("\n"),
+    attachments: [{ color: resolved ? RESOLVED_COLOR : LEVEL_COLORS[level] || DEFAULT_COLOR, blocks }],
+  };
+};
+
+/**
+ * 符号：buildWechatMarkdown（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const buildWechatMarkdown = (context, rendered) => {
+  const level = context.notification?.level || "info";
+  const resolved = isResolved(context);
+  const font = resolved ? "info" : WECHAT_LEVEL_FONTS[level] || "comment";
+  const title = rendered?.title || context.notification?.title || "API Alert";
+  const lines = [
+    `### <font color="${font}">${title}</font>`,
+    `> 事件：${getEventLabel(context)}`,
+    ...getAlertFacts(context).map((fact) => `> ${fact.label}：${fact.value}`),
+  ];
+  if (rendered?.body) lines.push("", rendered.body);
+  const links = [...getLinkButtons(context), ...getActionButtons(context)].map(
+    (button) => `[${button.label}](${button.url})`,
+  );
+  if (links.length) lines.push("", links.join("  "));
+
+  return { msgtype: "markdown", markdown: { content: truncateBytes(lines.join("\n"), WECHAT_MARKDOWN_MAX_BYTES) } };
+};
+
+/**
+ * 符号：buildWechatCard（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现中使用 map/filter/reduce 等数组操作，强调声明式数据变换。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 文本通知型模板卡片，各字段长度按企业微信接口上限截断。
+export const buildWechatCard = (context, rendered) => {
+  const level = context.notification?.level || "info";
+  const resolved = isResolved(context);
+  const alert = context.alert || {};
+  const facts = getAlertFacts(context).filter((fact) => fact.label !== "观测值");
+  const buttons = getLinkButtons(context);
+
+  return {
+    msgtype: "template_card",
+    template_card: {
+      card_type: "text_notice",
+      source: { desc: "API Alert", desc_color: resolved ? 3 : WECHAT_CARD_COLORS[level] ?? 0 },
+      main_title: {
+        title: truncateText(rendered?.title || context.notification?.title || "API Alert", 26),
+        desc: truncateText(`${resolved ? "已恢复" : level} · ${getEventLabel(context)}`, 30),
+      },
+      ...(alert.observedValue !== undefined && alert.observedValue !== null
+        ? {
+            emphasis_content: {
+              title: truncateText(String(alert.observedValue), 10),
+              desc: truncateText(
+                `${alert.metric || "observed"}${alert.threshold !== undefined ? ` ${alert.operator || ">"} ${alert.threshold}` : ""}`,
+                15,
+              ),
+            },
+          }
+        : {}),
+      sub_title_text: truncateText(rendered?.body || "", 112),
+      horizontal_content_list: facts.slice(0, 6).map((fact) => ({
+        keyname: truncateText(fact.label, 5),
+        value: truncateText(fact.value, 26),
+      })),
+      // 跳转列表最多 3 项：优先放告警详情与确认、解决操作。
+      jump_list: [buttons[0], ...getActionButtons(context), ...buttons.slice(1)]
+        .filter(Boolean)
+        .slice(0, 3)
+        .map((button) => ({ type: 1, title: button.label, url: button.url })),
+      card_action: { type: 1, url: context.links?.alert },
+    },
+  };
+};
@@ -0,0 +1,278 @@
+/**
+ * @file server/check-assertions.js
+ * 文件作用：后端业务模块，参与 API 接入、规则评估、告警流转与通知链路。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import { readJsonPath } from "./utils.js";
+
+/**
+ * 符号：ASSERTION_SOURCES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const ASSERTION_SOURCES = ["json", "header", "body", "bodySize", "contentType"];
+
+/**
+ * 符号：ASSERTION_OPERATORS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const ASSERTION_OPERATORS = ["exists", "equals", "contains", "matches", "min", "max", "schema"];
+
+/**
+ * 符号：parseJsonBody（arrow-function）
+ * 作用说明：该函数用于输入标准化，先把不稳定入参转为稳定结构。
+ * 实现说明：实现中包含 try/catch，说明该路径显式处理异常。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const parseJsonBody = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+};
+
+/**
+ * 符号：readHeader（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const readHeader = (headers, name) => {
+  const target = String(name || "").toLowerCase();
+  const entry = Object.entries(headers || {}).find(([key]) => key.toLowerCase() === target);
+  return entry ? entry[1] : undefined;
+};
+
+/**
+ * 符号：readResponseValue（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 从响应里按 source 取值：json 取 JSONPath，header 取响应头（不区分大小写），body 取原文，
+// bodySize 为响应体字节数，contentType 为 content-type 响应头。
+export const readResponseValue = (response, source, path) => {
+  if (source === "header") return readHeader(response.headers, path);
+  if (source === "body") return response.bodyText;
+  if (source === "bodySize") return Buffer.byteLength(response.bodyText ?? "");
+  if (source === "contentType") return readHeader(response.headers, "content-type");
+  return readJsonPath(response.json, path);
+};
+
+/**
+ * 符号：formatValue（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const formatValue = (value) => (typeof value === "string" ? value : JSON.stringify(value));
+
+/**
+ * 符号：describeType（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const describeType = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+};
+
+/**
+ * 符号：matchesSchemaType（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const matchesSchemaType = (value, type) => {
+  if (type === "integer") return Number.isInteger(value);
+  if (type === "number") return typeof value === "number" && Number.isFinite(value);
+  return describeType(value) === type;
+};
+
+/**
+ * 符号：validateJsonSchema（arrow-function）
+ * 作用说明：该函数用于前置校验，尽早拦截非法输入并缩短错误路径。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// JSON Schema 子集：type/enum/const/required/properties/additionalProperties/items、
+// 长度与数值范围、pattern；不支持 $ref 与组合关键字，未知关键字忽略。
+export const validateJsonSchema = (value, schema, pointer = "$", errors = []) => {
+  if (!schema || typeof schema !== "object" || errors.length >= 10) return errors;
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesSchemaType(value, type))) {
+      errors.push(`${pointer} should be ${types.join("|")}, got ${describeType(value)}`);
+      return errors;
+    }
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.some((item) => formatValue(item) === formatValue(value))) {
+    errors.push(`${pointer} should be one of ${formatValue(schema.enum)}`);
+  }
+  if (schema.const !== undefined && formatValue(schema.const) !== formatValue(value)) {
+    errors.push(`${pointer} should equal ${formatValue(schema.const)}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${pointer} is shorter than ${schema.minLength}`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${pointer} is longer than ${schema.maxLength}`);
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) errors.push(`${pointer} should match ${schema.pattern}`);
+  }
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${pointer} should be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${pointer} should be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${pointer} should have >= ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${pointer} should have <= ${schema.maxItems} items`);
+    if (schema.items && typeof schema.items === "object") {
+      value.forEach((item, index) => validateJsonSchema(item, schema.items, `${pointer}[${index}]`, errors));
+    }
+  }
+
+  if (describeType(value) === "object") {
+    for (const key of Array.isArray(schema.required) ? schema.required : []) {
+      if (!Object.hasOwn(value, key)) errors.push(`${pointer}.${key} is required`);
+    }
+    const properties = schema.properties && typeof schema.properties === "object" ? schema.properties : {};
+    for (const [key, child] of Object.entries(value)) {
+      if (Object.hasOwn(properties, key)) {
+        validateJsonSchema(child, properties[key], `${pointer}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${pointer}.${key} is not allowed`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+        validateJsonSchema(child, schema.additionalProperties, `${pointer}.${key}`, errors);
+      }
+    }
+  }
+  return errors;
+};
+
+/**
+ * 符号：collectSchemaPatterns（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 按 validateJsonSchema 下钻的路径（properties / items / additionalProperties）收集各层 pattern。
+const collectSchemaPatterns = (schema, patterns = []) => {
+  if (!schema || typeof schema !== "object") return patterns;
+  if (schema.pattern !== undefined) patterns.push(schema.pattern);
+  const properties = schema.properties && typeof schema.properties === "object" ? Object.values(schema.properties) : [];
+  for (const child of [...properties, schema.items, schema.additionalProperties]) collectSchemaPatterns(child, patterns);
+  return patterns;
+};
+
+/**
+ * 符号：validateAssertions（arrow-function）
+ * 作用说明：该函数用于前置校验，尽早拦截非法输入并缩短错误路径。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 保存探测配置时校验断言：未知 source、没有任何判定条件、正则写错都直接拒绝，避免探测时才暴露。
+export const validateAssertions = (assertions, label = "assertion") => {
+  if (!Array.isArray(assertions)) return `${label}s must be an array`;
+  for (const [index, assertion] of assertions.entries()) {
+    const name = `${label} #${index + 1}`;
+    if (!assertion || typeof assertion !== "object") return `${name} must be an object`;
+    if (assertion.source !== undefined && !ASSERTION_SOURCES.includes(assertion.source)) {
+      return `${name} has unknown source: ${assertion.source}`;
+    }
+    if (!ASSERTION_OPERATORS.some((operator) => assertion[operator] !== undefined)) {
+      return `${name} requires one of ${ASSERTION_OPERATORS.join("/")}`;
+    }
+    for (const pattern of [assertion.matches, ...collectSchemaPatterns(assertion.schema)]) {
+      if (pattern === undefined) continue;
+      try {
+        new RegExp(pattern);
+      } catch {
+        return `${name} has invalid regex: ${pattern}`;
+      }
+    }
+    if (assertion.schema !== undefined && (!assertion.schema || typeof assertion.schema !== "object")) {
+      return `${name} schema must be an object`;
+    }
+    for (const bound of ["min", "max"]) {
+      if (assertion[bound] !== undefined && !Number.isFinite(Number(assertion[bound]))) {
+        return `${name} ${bound} must be a number`;
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * 符号：checkAssertion（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 单条断言按 exists → equals → contains → matches → min/max → schema 依次判定，只报告第一个不满足的条件。
+const checkAssertion = (assertion, actual) => {
+  if (assertion.exists !== undefined && (actual !== undefined) !== Boolean(assertion.exists)) {
+    return { expected: assertion.exists ? "exists" : "absent", actual: formatValue(actual) };
+  }
+  if (assertion.equals !== undefined && formatValue(actual) !== formatValue(assertion.equals)) {
+    return { expected: `equals ${formatValue(assertion.equals)}`, actual: formatValue(actual) };
+  }
+  if (assertion.contains !== undefined && !String(formatValue(actual) ?? "").includes(String(assertion.contains))) {
+    return { expected: `contains ${assertion.contains}`, actual: formatValue(actual)?.slice(0, 120) };
+  }
+  if (assertion.matches !== undefined && !new RegExp(assertion.matches).test(String(formatValue(actual) ?? ""))) {
+    return { expected: `matches /${assertion.matches}/`, actual: formatValue(actual)?.slice(0, 120) };
+  }
+  const numeric = Number(actual);
+  if (assertion.min !== undefined && !(Number.isFinite(numeric) && numeric >= Number(assertion.min))) {
+    return { expected: `>= ${assertion.min}`, actual: formatValue(actual)?.slice(0, 120) };
+  }
+  if (assertion.max !== undefined && !(Number.isFinite(numeric) && numeric <= Number(assertion.max))) {
+    return { expected: `<= ${assertion.max}`, actual: formatValue(actual)?.slice(0, 120) };
+  }
+  if (assertion.schema !== undefined) {
+    const errors = validateJsonSchema(actual, assertion.schema);
+    if (errors.length) return { expected: "matches schema", actual: errors.slice(0, 3).join("; ") };
+  }
+  return null;
+};
+
+/**
+ * 符号：evaluateAssertions（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 断言：{ source, path, equals | contains | exists | matches | min | max | schema }；返回失败项列表，空数组表示全部通过。
+export const evaluateAssertions = (assertions, response) => {
+  const failures = [];
+  for (const assertion of Array.isArray(assertions) ? assertions : []) {
+    const source = ASSERTION_SOURCES.includes(assertion?.source) ? assertion.source : "json";
+    const actual = readResponseValue(response, source, assertion.path);
+    const failure = checkAssertion(assertion, actual);
+    if (failure) {
+      failures.push({ target: `${source}${assertion.path ? `:${assertion.path}` : ""}`, ...failure });
+    }
+  }
+  return failures;
+};
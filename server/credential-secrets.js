@@ -30,7 +30,7 @@ export const getSecretPrefix = () =>
  * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
  * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
  */
-const getSecretValue = (ref) => {
+export const getSecretValue = (ref) => {
   // 步骤 1：执行当前后端业务子步骤，推进规则评估或告警处理主流程。
   const key = String(ref || "").trim();
   // 步骤 1：按条件分支处理不同场景，确保每条路径都符合业务约束。
@@ -7,6 +7,9 @@
 ﻿import { minutesAgoIso, nowIso, round, uid } from "./utils.js";
 import { createPushMonitor } from "./pull-monitor.js";
 import { createDefaultAlertNoiseState, createDefaultAlertPolicy } from "./alert-policy.js";
+import { createDefaultNotificationRouting } from "./notification-routes.js";
+import { ensureInitialPasswords } from "./auth.js";
+import { rebuildMetricRollups } from "./metric-store.js";
 
 /**
  * 符号：DEFAULT_USERS（const）
@@ -333,7 +336,7 @@ const DEFAULT_CHANNELS = [
     name: "SMS",
     enabled: false,
     config: {
-      provider: "mock-provider",
+      provider: "generic_json",
       recipients: ["+10000000000"],
     },
   },
@@ -679,20 +682,27 @@ export const createDefaultState = () => {
     createdAt: minutesAgoIso(5_000),
     updatedAt: createdAt,
   }));
+  const metrics = generateInitialMetrics(apis);
 
   // 步骤 2：返回当前结果并结束函数，明确本路径的输出语义。
   return {
     meta: {
       version: 1,
-      schemaVersion: 4,
+      schemaVersion: 6,
       createdAt,
       updatedAt: createdAt,
     },
-    users: DEFAULT_USERS,
+    users: ensureInitialPasswords(DEFAULT_USERS.map((user) => ({ ...user }))),
+    authSessions: [],
+    apiTokens: [],
     apis,
     rules: DEFAULT_RULES,
-    metrics: generateInitialMetrics(apis),
+    metrics,
+    metricRollups: rebuildMetricRollups({ metrics }),
     alerts: INITIAL_ALERTS,
+    incidents: [],
+    silences: [],
+    oncallSchedules: [],
     ruleHits: INITIAL_RULE_HITS,
     channels: DEFAULT_CHANNELS,
     credentials: [],
@@ -700,6 +710,7 @@ export const createDefaultState = () => {
     qualityMarkers: [],
     notifications: [],
     alertPolicy: createDefaultAlertPolicy(),
+    notificationRouting: createDefaultNotificationRouting(),
     alertNoiseState: createDefaultAlertNoiseState(),
     auditLogs: INITIAL_AUDIT_LOGS,
     simulator: {
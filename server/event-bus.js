@@ -0,0 +1,236 @@
+/**
+ * @file server/event-bus.js
+ * 文件作用：后端业务模块，参与 API 接入、规则评估、告警流转与通知链路。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import { randomBytes } from "node:crypto";
+import { nowIso } from "./utils.js";
+
+/**
+ * 符号：EVENT_TOPICS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const EVENT_TOPICS = ["alerts", "metrics", "notifications", "apis"];
+
+/**
+ * 符号：EVENT_BUFFER_SIZE（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const EVENT_BUFFER_SIZE = Math.max(100, Number(process.env.SSE_EVENT_BUFFER_SIZE || 1_000));
+/**
+ * 符号：METRIC_EVENT_THROTTLE_MS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const METRIC_EVENT_THROTTLE_MS = Math.max(0, Number(process.env.SSE_METRIC_THROTTLE_MS || 2_000));
+
+// 事件 ID 形如 `<bootId>-<seq>`：进程重启后 bootId 变化，客户端带旧 ID 续传时可以识别出需要全量重拉。
+let bootId = randomBytes(4).toString("hex");
+let sequence = 0;
+let recentEvents = [];
+/**
+ * 符号：subscribers（const）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const subscribers = new Set();
+/**
+ * 符号：lastMetricEventAtByApi（const）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const lastMetricEventAtByApi = new Map();
+
+/**
+ * 符号：parseEventId（arrow-function）
+ * 作用说明：该函数用于输入标准化，先把不稳定入参转为稳定结构。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const parseEventId = (eventId) => {
+  const match = /^([0-9a-f]+)-(\d+)$/i.exec(String(eventId || "").trim());
+  return match ? { bootId: match[1], seq: Number(match[2]) } : null;
+};
+
+/**
+ * 符号：parseEventTopics（arrow-function）
+ * 作用说明：该函数用于输入标准化，先把不稳定入参转为稳定结构。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const parseEventTopics = (input) => {
+  const raw = String(input || "").trim();
+  if (!raw) {
+    return { topics: [...EVENT_TOPICS], invalid: [] };
+  }
+
+  const requested = [...new Set(raw.split(",").map((item) => item.trim()).filter(Boolean))];
+  return {
+    topics: requested.filter((topic) => EVENT_TOPICS.includes(topic)),
+    invalid: requested.filter((topic) => !EVENT_TOPICS.includes(topic)),
+  };
+};
+
+/**
+ * 符号：publishEvent（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const publishEvent = (topic, type, data) => {
+  sequence += 1;
+  const event = {
+    id: `${bootId}-${sequence}`,
+    seq: sequence,
+    topic,
+    type,
+    at: nowIso(),
+    data,
+  };
+
+  recentEvents.push(event);
+  if (recentEvents.length > EVENT_BUFFER_SIZE) {
+    recentEvents.splice(0, recentEvents.length - EVENT_BUFFER_SIZE);
+  }
+
+  for (const subscriber of subscribers) {
+    if (!subscriber.topics.has(topic)) continue;
+    try {
+      subscriber.listener(event);
+    } catch (error) {
+      console.error("Event subscriber failed.", error);
+    }
+  }
+  return event;
+};
+
+/**
+ * 符号：publishMetricEvent（const）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 指标事件按 API 节流：同一 API 在节流窗口内只推送第一条，避免模拟器或批量写入把连接打满。
+export const publishMetricEvent = (metric, nowMs = Date.now()) => {
+  const lastSentAt = lastMetricEventAtByApi.get(metric.apiId) ?? -Infinity;
+  if (nowMs - lastSentAt < METRIC_EVENT_THROTTLE_MS) {
+    return null;
+  }
+  lastMetricEventAtByApi.set(metric.apiId, nowMs);
+  return publishEvent("metrics", "metric.ingested", metric);
+};
+
+/**
+ * 符号：publishAlertEvent（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const publishAlertEvent = (type, alert, extra = {}) =>
+  publishEvent("alerts", type, {
+    id: alert.id,
+    apiId: alert.apiId,
+    ruleId: alert.ruleId,
+    level: alert.level,
+    title: alert.title,
+    status: alert.status,
+    observedValue: alert.observedValue,
+    triggeredAt: alert.triggeredAt,
+    updatedAt: alert.updatedAt,
+    resolvedAt: alert.resolvedAt,
+    ...extra,
+  });
+
+/**
+ * 符号：publishNotificationEvent（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const publishNotificationEvent = (record) =>
+  publishEvent("notifications", "notification.status_changed", {
+    id: record.id,
+    alertId: record.alertId,
+    apiId: record.apiId,
+    channelId: record.channelId,
+    channelType: record.channelType,
+    status: record.status,
+    attempts: record.attempts,
+    lastError: record.lastError,
+    nextRetryAt: record.nextRetryAt,
+  });
+
+/**
+ * 符号：getEventsSince（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const getEventsSince = (lastEventId, topics) => {
+  const parsed = parseEventId(lastEventId);
+  if (!parsed) {
+    return { events: [], resync: Boolean(lastEventId) };
+  }
+
+  const oldestSeq = recentEvents[0]?.seq ?? sequence + 1;
+  // 不是本进程发出的 ID，或者缓冲区已经滚过了断点，都无法精确补发，只能提示客户端重拉。
+  if (parsed.bootId !== bootId || parsed.seq > sequence || parsed.seq < oldestSeq - 1) {
+    return { events: [], resync: true };
+  }
+
+  const topicSet = new Set(topics);
+  return {
+    events: recentEvents.filter((event) => event.seq > parsed.seq && topicSet.has(event.topic)),
+    resync: false,
+  };
+};
+
+/**
+ * 符号：subscribeEvents（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const subscribeEvents = (topics, listener) => {
+  const subscriber = { topics: new Set(topics), listener };
+  subscribers.add(subscriber);
+  return () => {
+    subscribers.delete(subscriber);
+  };
+};
+
+/**
+ * 符号：resetEventBus（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const resetEventBus = () => {
+  bootId = randomBytes(4).toString("hex");
+  sequence = 0;
+  recentEvents = [];
+  subscribers.clear();
+  lastMetricEventAtByApi.clear();
+};
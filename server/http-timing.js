@@ -0,0 +1,205 @@
+/**
+ * @file server/http-timing.js
+ * 文件作用：后端业务模块，参与 API 接入、规则评估、告警流转与通知链路。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import http from "node:http";
+import https from "node:https";
+import { describeCertificate } from "./tls-certificate.js";
+import { round } from "./utils.js";
+
+/**
+ * 符号：HTTP_TIMING_FIELDS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const HTTP_TIMING_FIELDS = ["dnsMs", "connectMs", "tlsMs", "ttfbMs", "downloadMs"];
+
+/**
+ * 符号：MAX_REDIRECTS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const MAX_REDIRECTS = 5;
+/**
+ * 符号：REDIRECT_STATUS_CODES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const REDIRECT_STATUS_CODES = new Set([301, 302, 303, 307, 308]);
+/**
+ * 符号：CREDENTIAL_HEADERS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 跳到其它源后不再携带的请求头；调用方注入的凭据头（如 API Key）通过 options.sensitiveHeaders 追加。
+const CREDENTIAL_HEADERS = ["authorization", "proxy-authorization", "cookie"];
+
+/**
+ * 符号：now（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const now = () => process.hrtime.bigint();
+
+/**
+ * 符号：spanMs（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const spanMs = (from, to) => (from === null || to === null ? 0 : Math.max(Number(to - from) / 1e6, 0));
+
+/**
+ * 符号：flattenHeaders（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中使用 map/filter/reduce 等数组操作，强调声明式数据变换。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const flattenHeaders = (headers) =>
+  Object.fromEntries(
+    Object.entries(headers || {}).map(([key, value]) => [key, Array.isArray(value) ? value.join(", ") : String(value)]),
+  );
+
+/**
+ * 符号：requestOnce（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 单次请求。agent:false 保证每次新建连接，DNS / TCP / TLS 阶段才会真实发生并被计时；
+// 目标是 IP 字面量时没有 lookup 事件，DNS 记为 0。
+const requestOnce = (url, options) =>
+  new Promise((resolve, reject) => {
+    const transport = url.protocol === "https:" ? https : url.protocol === "http:" ? http : null;
+    if (!transport) {
+      reject(new Error(`unsupported_protocol:${url.protocol}`));
+      return;
+    }
+
+    const marks = { start: now(), lookup: null, connect: null, secure: null, firstByte: null, end: null };
+    let certificate = null;
+    const headers = { ...options.headers };
+    if (options.body && !Object.keys(headers).some((key) => key.toLowerCase() === "content-length")) {
+      headers["content-length"] = String(Buffer.byteLength(options.body));
+    }
+
+    const request = transport.request(
+      url,
+      { method: options.method, headers, agent: false, signal: options.signal },
+      (response) => {
+        marks.firstByte = now();
+        const chunks = [];
+        response.on("data", (chunk) => chunks.push(chunk));
+        response.on("error", reject);
+        response.on("end", () => {
+          marks.end = now();
+          const connectedAt = marks.secure ?? marks.connect ?? marks.start;
+          const lookedUpAt = marks.lookup ?? marks.start;
+          resolve({
+            status: response.statusCode,
+            headers: flattenHeaders(response.headers),
+            bodyText: Buffer.concat(chunks).toString("utf8"),
+            tls: certificate,
+            timings: {
+              dnsMs: spanMs(marks.start, marks.lookup),
+              connectMs: spanMs(lookedUpAt, marks.connect),
+              tlsMs: spanMs(marks.connect, marks.secure),
+              ttfbMs: spanMs(connectedAt, marks.firstByte),
+              downloadMs: spanMs(marks.firstByte, marks.end),
+              totalMs: spanMs(marks.start, marks.end),
+            },
+          });
+        });
+      },
+    );
+
+    request.on("socket", (socket) => {
+      socket.once("lookup", () => {
+        marks.lookup = now();
+      });
+      socket.once("connect", () => {
+        marks.connect = now();
+      });
+      socket.once("secureConnect", () => {
+        marks.secure = now();
+        certificate = describeCertificate(socket);
+      });
+    });
+    request.on("error", reject);
+    request.end(options.body || undefined);
+  });
+
+/**
+ * 符号：sumTimings（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const sumTimings = (items) => {
+  const valid = items.filter(Boolean);
+  if (!valid.length) return null;
+  return Object.fromEntries(
+    [...HTTP_TIMING_FIELDS, "totalMs"].map((field) => [
+      field,
+      round(valid.reduce((total, item) => total + (item[field] || 0), 0), 1),
+    ]),
+  );
+};
+
+/**
+ * 符号：requestWithTiming（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 用 http/https 模块代替 fetch 发请求，返回分阶段耗时（毫秒，保留 1 位小数）。
+// 跟随重定向时各跳的阶段耗时累加，tls 为最后一跳（HTTPS 时）的证书摘要；303 以及 301/302 的非 GET 请求按浏览器惯例改为无请求体的 GET。
+// 超时由调用方通过 signal 控制，中止时抛出 name 为 AbortError 的错误，与 fetch 一致。
+export const requestWithTiming = async (urlText, options = {}) => {
+  let url = new URL(urlText);
+  let method = String(options.method || "GET").toUpperCase();
+  let headers = options.headers || {};
+  let body = options.body;
+  const hops = [];
+
+  for (let redirects = 0; ; redirects += 1) {
+    const response = await requestOnce(url, { method, headers, body, signal: options.signal });
+    hops.push(response.timings);
+
+    const location = response.headers.location;
+    if (options.followRedirect === false || !REDIRECT_STATUS_CODES.has(response.status) || !location) {
+      return { ...response, timings: sumTimings(hops), redirects };
+    }
+    if (redirects >= MAX_REDIRECTS) {
+      throw new Error("too_many_redirects");
+    }
+    const next = new URL(location, url);
+    // 跳到其它源（协议、主机或端口任一不同，https→http 降级也算）时去掉认证头与 Cookie，之后各跳都不再恢复。
+    if (next.origin !== url.origin) {
+      const blocked = new Set([...CREDENTIAL_HEADERS, ...(options.sensitiveHeaders || [])].map((name) => name.toLowerCase()));
+      headers = Object.fromEntries(Object.entries(headers).filter(([key]) => !blocked.has(key.toLowerCase())));
+    }
+    url = next;
+    if (response.status === 303 || ([301, 302].includes(response.status) && method !== "GET" && method !== "HEAD")) {
+      method = "GET";
+      body = undefined;
+    }
+  }
+};
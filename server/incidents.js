@@ -0,0 +1,489 @@
+/**
+ * @file server/incidents.js
+ * 文件作用：后端业务模块，参与 API 接入、规则评估、告警流转与通知链路。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import { createDefaultIncidentGrouping, normalizeIncidentGrouping } from "./alert-policy.js";
+import { publishEvent } from "./event-bus.js";
+import { nowIso, uid } from "./utils.js";
+
+/**
+ * 符号：INCIDENT_STATUS_VALUES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const INCIDENT_STATUS_VALUES = ["open", "acknowledged", "resolved", "closed"];
+
+/**
+ * 符号：ACTIVE_STATUSES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const ACTIVE_STATUSES = new Set(["open", "acknowledged"]);
+/**
+ * 符号：LEVEL_WEIGHT（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const LEVEL_WEIGHT = { P1: 3, P2: 2, P3: 1 };
+/**
+ * 符号：MAX_INCIDENTS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const MAX_INCIDENTS = 2_000;
+/**
+ * 符号：MAX_TIMELINE_EVENTS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const MAX_TIMELINE_EVENTS = 200;
+/**
+ * 符号：SUMMARY_API_LIMIT（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const SUMMARY_API_LIMIT = 5;
+
+/**
+ * 符号：getIncidentGrouping（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const getIncidentGrouping = (state) =>
+  normalizeIncidentGrouping(state.alertPolicy?.incidentGrouping, createDefaultIncidentGrouping());
+
+/**
+ * 符号：ensureIncidents（arrow-function）
+ * 作用说明：该函数用于前置校验，尽早拦截非法输入并缩短错误路径。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收入参后会写入状态或外部资源，输出通常是更新后的对象、状态码或副作用结果。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const ensureIncidents = (state) => {
+  if (!Array.isArray(state.incidents)) {
+    state.incidents = [];
+  }
+  return state.incidents;
+};
+
+/**
+ * 符号：isIncidentActive（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const isIncidentActive = (incident) => Boolean(incident) && ACTIVE_STATUSES.has(incident.status);
+
+/**
+ * 符号：findIncident（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const findIncident = (state, incidentId) =>
+  ensureIncidents(state).find((item) => item.id === incidentId) ?? null;
+
+/**
+ * 符号：getIncidentForAlert（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const getIncidentForAlert = (state, alert) =>
+  alert?.incidentId ? findIncident(state, alert.incidentId) : null;
+
+/**
+ * 符号：appendIncidentEvent（const）
+ * 作用说明：该函数偏流程编排职责，通常伴随状态更新或副作用。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const appendIncidentEvent = (incident, type, by, note, at = nowIso()) => {
+  incident.timeline = Array.isArray(incident.timeline) ? incident.timeline : [];
+  incident.timeline.push({ id: uid("event"), type, by, note, at });
+  if (incident.timeline.length > MAX_TIMELINE_EVENTS) {
+    incident.timeline.splice(0, incident.timeline.length - MAX_TIMELINE_EVENTS);
+  }
+  incident.updatedAt = at;
+};
+
+/**
+ * 符号：publishIncidentEvent（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const publishIncidentEvent = (type, incident, extra = {}) =>
+  publishEvent("alerts", type, {
+    id: incident.id,
+    title: incident.title,
+    status: incident.status,
+    level: incident.level,
+    owner: incident.owner,
+    alertCount: incident.alertIds.length,
+    updatedAt: incident.updatedAt,
+    ...extra,
+  });
+
+/**
+ * 符号：buildGroupParts（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 分组键的每一段都带上维度名，方便在告警详情里直接看出是按什么聚到一起的。
+const buildGroupParts = (groupBy, alert, rule, api) =>
+  groupBy.map((dimension) => {
+    if (dimension === "service") {
+      const service = api?.service || "unknown";
+      return { dimension, value: service, label: service };
+    }
+    if (dimension === "rule") {
+      return { dimension, value: rule?.id || alert.ruleId, label: rule?.name || alert.ruleId };
+    }
+    if (dimension === "api") {
+      return { dimension, value: api?.id || alert.apiId, label: api?.path || alert.apiId };
+    }
+    if (dimension === "environment") {
+      const environment = api?.environment || "production";
+      return { dimension, value: environment, label: environment };
+    }
+    // tag 维度按完整标签集合分组：标签完全相同的 API 视为同一组。
+    const tags = Array.isArray(api?.tags) ? [...api.tags].map(String).sort() : [];
+    return {
+      dimension,
+      value: tags.join(",") || "untagged",
+      label: tags.length ? `#${tags.join(" #")}` : "untagged",
+    };
+  });
+
+/**
+ * 符号：buildIncidentKey（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现中使用 map/filter/reduce 等数组操作，强调声明式数据变换。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const buildIncidentKey = (groupBy, alert, rule, api) =>
+  buildGroupParts(groupBy, alert, rule, api)
+    .map((part) => `${part.dimension}=${part.value}`)
+    .join("|");
+
+/**
+ * 符号：raiseLevel（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const raiseLevel = (current, candidate) =>
+  (LEVEL_WEIGHT[candidate] || 0) > (LEVEL_WEIGHT[current] || 0) ? candidate : current;
+
+/**
+ * 符号：getIncidentAlerts（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现中使用 map/filter/reduce 等数组操作，强调声明式数据变换。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const getIncidentAlerts = (state, incident) => {
+  const ids = new Set(incident.alertIds);
+  return (state.alerts || []).filter((alert) => ids.has(alert.id));
+};
+
+/**
+ * 符号：refreshIncidentSummary（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中使用 map/filter/reduce 等数组操作，强调声明式数据变换。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const refreshIncidentSummary = (state, incident) => {
+  const alerts = getIncidentAlerts(state, incident);
+  const active = alerts.filter((alert) => ACTIVE_STATUSES.has(alert.status));
+  const apiIds = [...new Set(alerts.map((alert) => alert.apiId))];
+  const apiPaths = apiIds.map((apiId) => state.apis?.find((item) => item.id === apiId)?.path || apiId);
+  const shownPaths = apiPaths.slice(0, SUMMARY_API_LIMIT).join(", ");
+  const morePaths = apiPaths.length > SUMMARY_API_LIMIT ? ` (+${apiPaths.length - SUMMARY_API_LIMIT} more)` : "";
+
+  incident.apiIds = apiIds;
+  incident.ruleIds = [...new Set(alerts.map((alert) => alert.ruleId))];
+  incident.activeAlertCount = active.length;
+  incident.summary =
+    `${active.length}/${alerts.length} alerts active across ${apiIds.length} apis` +
+    (shownPaths ? `: ${shownPaths}${morePaths}` : "");
+  return incident;
+};
+
+/**
+ * 符号：createIncident（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const createIncident = (state, { key, title, level, service, groupBy, by, timestampIso }) => {
+  const incident = {
+    id: uid("incident"),
+    key,
+    groupBy,
+    title,
+    status: "open",
+    level,
+    owner: null,
+    service: service ?? null,
+    alertIds: [],
+    apiIds: [],
+    ruleIds: [],
+    activeAlertCount: 0,
+    summary: "",
+    notifiedChannels: [],
+    notifications: [],
+    timeline: [],
+    createdAt: timestampIso,
+    updatedAt: timestampIso,
+    lastAlertAt: timestampIso,
+    acknowledgedAt: null,
+    resolvedAt: null,
+  };
+  appendIncidentEvent(incident, "created", by, `Incident opened: ${title}`, timestampIso);
+
+  const incidents = ensureIncidents(state);
+  incidents.unshift(incident);
+  if (incidents.length > MAX_INCIDENTS) {
+    incidents.length = MAX_INCIDENTS;
+  }
+  return incident;
+};
+
+/**
+ * 符号：addAlertToIncident（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const addAlertToIncident = (incident, alert, timestampIso) => {
+  if (!incident.alertIds.includes(alert.id)) {
+    incident.alertIds.push(alert.id);
+  }
+  alert.incidentId = incident.id;
+  incident.lastAlertAt = timestampIso;
+  const previousLevel = incident.level;
+  incident.level = raiseLevel(incident.level, alert.level);
+  return incident.level !== previousLevel;
+};
+
+/**
+ * 符号：isWithinGroupWindow（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const isWithinGroupWindow = (incident, timestampIso, windowMinutes) => {
+  if (windowMinutes <= 0) return true;
+  const lastMs = new Date(incident.lastAlertAt || incident.createdAt).getTime();
+  const currentMs = new Date(timestampIso).getTime();
+  return Number.isFinite(lastMs) && currentMs - lastMs <= windowMinutes * 60_000;
+};
+
+/**
+ * 符号：attachAlertToIncident（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 新告警按分组键并入仍处于活跃状态、且在时间窗口内有过新告警的事件，找不到时新开一个事件；
+// 分组关闭时返回 null，调用方按单条告警的老逻辑处理。
+export const attachAlertToIncident = (state, alert, rule, api) => {
+  const grouping = getIncidentGrouping(state);
+  if (!grouping.enabled) {
+    return null;
+  }
+
+  const timestampIso = alert.triggeredAt || nowIso();
+  const existing = getIncidentForAlert(state, alert);
+  if (existing) {
+    return { incident: existing, created: false, levelRaised: false };
+  }
+
+  const key = buildIncidentKey(grouping.groupBy, alert, rule, api);
+  const candidate = ensureIncidents(state).find(
+    (item) =>
+      item.key === key && isIncidentActive(item) && isWithinGroupWindow(item, timestampIso, grouping.windowMinutes),
+  );
+
+  if (candidate) {
+    const levelRaised = addAlertToIncident(candidate, alert, timestampIso);
+    appendIncidentEvent(
+      candidate,
+      levelRaised ? "level_raised" : "alert_added",
+      "system",
+      `${alert.title} on ${api?.path || alert.apiId}` + (levelRaised ? ` raised level to ${candidate.level}` : ""),
+      timestampIso,
+    );
+    refreshIncidentSummary(state, candidate);
+    publishIncidentEvent("incident.updated", candidate);
+    return { incident: candidate, created: false, levelRaised };
+  }
+
+  const parts = buildGroupParts(grouping.groupBy, alert, rule, api);
+  const incident = createIncident(state, {
+    key,
+    title: `${parts.map((part) => part.label).join(" · ")} incident`,
+    level: alert.level,
+    service: api?.service,
+    groupBy: grouping.groupBy,
+    by: "system",
+    timestampIso,
+  });
+  addAlertToIncident(incident, alert, timestampIso);
+  refreshIncidentSummary(state, incident);
+  publishIncidentEvent("incident.created", incident);
+  return { incident, created: true, levelRaised: false };
+};
+
+/**
+ * 符号：syncIncidentOnAlertResolved（const）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 成员告警恢复或关闭后刷新事件；最后一条活跃告警结束时事件自动恢复，resolved=true 提示调用方发一次事件级恢复通知。
+export const syncIncidentOnAlertResolved = (state, alert, timestampIso = nowIso()) => {
+  const incident = getIncidentForAlert(state, alert);
+  if (!incident) {
+    return null;
+  }
+
+  refreshIncidentSummary(state, incident);
+  if (!isIncidentActive(incident)) {
+    return { incident, resolved: false };
+  }
+
+  appendIncidentEvent(incident, "alert_resolved", "system", `${alert.title} ${alert.status}`, timestampIso);
+  if (incident.activeAlertCount > 0) {
+    publishIncidentEvent("incident.updated", incident);
+    return { incident, resolved: false };
+  }
+
+  incident.status = "resolved";
+  incident.resolvedAt = timestampIso;
+  appendIncidentEvent(incident, "auto_resolved", "system", "All member alerts recovered.", timestampIso);
+  publishIncidentEvent("incident.resolved", incident);
+  return { incident, resolved: true };
+};
+
+/**
+ * 符号：createManualIncident（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现中使用 map/filter/reduce 等数组操作，强调声明式数据变换。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const createManualIncident = (state, { title, alerts, owner, by }) => {
+  const timestampIso = nowIso();
+  const level = alerts.reduce((current, alert) => raiseLevel(current, alert.level), "P3");
+  const incident = createIncident(state, {
+    key: `manual:${uid("group")}`,
+    title,
+    level,
+    service: null,
+    groupBy: [],
+    by,
+    timestampIso,
+  });
+  incident.owner = owner || null;
+  mergeAlertsIntoIncident(state, incident, alerts, by);
+  const services = [...new Set(alerts.map((alert) => state.apis?.find((api) => api.id === alert.apiId)?.service))];
+  incident.service = services.length === 1 ? services[0] ?? null : null;
+  publishIncidentEvent("incident.created", incident);
+  return incident;
+};
+
+/**
+ * 符号：mergeAlertsIntoIncident（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 手动合并：告警从原事件迁出，原事件没有剩余告警时标记为关闭，时间线里留下去向。
+export const mergeAlertsIntoIncident = (state, incident, alerts, by) => {
+  const timestampIso = nowIso();
+  for (const alert of alerts) {
+    const previous = getIncidentForAlert(state, alert);
+    if (previous?.id === incident.id) continue;
+
+    if (previous) {
+      previous.alertIds = previous.alertIds.filter((id) => id !== alert.id);
+      appendIncidentEvent(previous, "alert_moved", by, `${alert.title} moved to ${incident.id}`, timestampIso);
+      refreshIncidentSummary(state, previous);
+      if (!previous.alertIds.length && isIncidentActive(previous)) {
+        previous.status = "closed";
+        previous.resolvedAt = timestampIso;
+        appendIncidentEvent(previous, "merged", by, `Merged into ${incident.id}`, timestampIso);
+      }
+    }
+
+    addAlertToIncident(incident, alert, timestampIso);
+    appendIncidentEvent(incident, "alert_added", by, `${alert.title} added`, timestampIso);
+  }
+  refreshIncidentSummary(state, incident);
+  return incident;
+};
+
+/**
+ * 符号：detachIncidentAlerts（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const detachIncidentAlerts = (state, incident) => {
+  for (const alert of getIncidentAlerts(state, incident)) {
+    if (alert.incidentId === incident.id) {
+      delete alert.incidentId;
+    }
+  }
+};
+
+/**
+ * 符号：serializeIncident（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const serializeIncident = (state, incident) => {
+  const snapshot = refreshIncidentSummary(state, { ...incident });
+  return {
+    ...snapshot,
+    alertCount: snapshot.alertIds.length,
+  };
+};
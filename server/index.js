@@ -360,7 +360,7 @@ const runNotificationWorkerTick = async () => {
     if (summary.processed > 0) {
       mutateState(() => {});
       console.log(
-        `[notify-worker] processed=${summary.processed} sent=${summary.sent} retried=${summary.retried} failed=${summary.failed}`,
+        `[notify-worker] processed=${summary.processed} sent=${summary.sent} retried=${summary.retried} failed=${summary.failed} dropped=${summary.dropped} batched=${summary.batched}`,
       );
     }
   } catch (error) {
@@ -0,0 +1,283 @@
+/**
+ * @file server/metric-index.js
+ * 文件作用：后端业务模块，参与 API 接入、规则评估、告警流转与通知链路。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import { toTimeMs } from "./utils.js";
+
+/**
+ * 符号：INITIAL_RING_CAPACITY（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const INITIAL_RING_CAPACITY = 64;
+
+/**
+ * 符号：indexByState（const）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 索引只存在内存里，不参与持久化：state -> { source, total, byApi }。
+// source/total 用于发现 state.metrics 被整体替换或在索引之外被改写，届时惰性重建。
+const indexByState = new WeakMap();
+
+/**
+ * 符号：createMetricRing（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const createMetricRing = (capacity = INITIAL_RING_CAPACITY) => ({
+  items: new Array(capacity),
+  times: new Float64Array(capacity),
+  head: 0,
+  size: 0,
+});
+
+/**
+ * 符号：ringAt（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const ringAt = (ring, offset) => (ring.head + offset) % ring.items.length;
+
+/**
+ * 符号：growRing（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const growRing = (ring) => {
+  const capacity = ring.items.length * 2;
+  const items = new Array(capacity);
+  const times = new Float64Array(capacity);
+  for (let offset = 0; offset < ring.size; offset += 1) {
+    const slot = ringAt(ring, offset);
+    items[offset] = ring.items[slot];
+    times[offset] = ring.times[slot];
+  }
+  ring.items = items;
+  ring.times = times;
+  ring.head = 0;
+};
+
+/**
+ * 符号：lowerBound（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 返回第一个时间戳 >= timeMs 的偏移量（相对 head），不存在时返回 size。
+const lowerBound = (ring, timeMs) => {
+  let low = 0;
+  let high = ring.size;
+  while (low < high) {
+    const middle = (low + high) >>> 1;
+    if (ring.times[ringAt(ring, middle)] < timeMs) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+};
+
+/**
+ * 符号：upperBound（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 返回第一个时间戳 > timeMs 的偏移量（相对 head），不存在时返回 size。
+const upperBound = (ring, timeMs) => {
+  let low = 0;
+  let high = ring.size;
+  while (low < high) {
+    const middle = (low + high) >>> 1;
+    if (ring.times[ringAt(ring, middle)] <= timeMs) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+};
+
+/**
+ * 符号：pushToRing（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const pushToRing = (ring, metric) => {
+  if (ring.size === ring.items.length) {
+    growRing(ring);
+  }
+
+  const timeMs = toTimeMs(metric.timestamp) ?? Number.NaN;
+  // 乱序上报（时间戳早于队尾）时按时间插入，保持二分查找的前提；常规路径直接追加到队尾。
+  let offset = ring.size;
+  if (ring.size && ring.times[ringAt(ring, ring.size - 1)] > timeMs) {
+    offset = upperBound(ring, timeMs);
+    for (let cursor = ring.size; cursor > offset; cursor -= 1) {
+      const to = ringAt(ring, cursor);
+      const from = ringAt(ring, cursor - 1);
+      ring.items[to] = ring.items[from];
+      ring.times[to] = ring.times[from];
+    }
+  }
+
+  const slot = ringAt(ring, offset);
+  ring.items[slot] = metric;
+  ring.times[slot] = timeMs;
+  ring.size += 1;
+};
+
+/**
+ * 符号：shiftFromRing（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const shiftFromRing = (ring) => {
+  ring.items[ring.head] = undefined;
+  ring.head = (ring.head + 1) % ring.items.length;
+  ring.size -= 1;
+};
+
+/**
+ * 符号：rebuildMetricIndex（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const rebuildMetricIndex = (state) => {
+  const index = { source: state.metrics, total: 0, byApi: new Map() };
+  for (const metric of state.metrics || []) {
+    let ring = index.byApi.get(metric.apiId);
+    if (!ring) {
+      ring = createMetricRing();
+      index.byApi.set(metric.apiId, ring);
+    }
+    pushToRing(ring, metric);
+    index.total += 1;
+  }
+  indexByState.set(state, index);
+  return index;
+};
+
+/**
+ * 符号：getMetricIndex（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const getMetricIndex = (state) => {
+  const index = indexByState.get(state);
+  if (index && index.source === state.metrics && index.total === (state.metrics?.length || 0)) {
+    return index;
+  }
+  return rebuildMetricIndex(state);
+};
+
+/**
+ * 符号：indexAppendedMetric（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 仅在 metric 已经写入 state.metrics 之后调用，保证 total 与数组长度一致。
+export const indexAppendedMetric = (state, metric) => {
+  const index = indexByState.get(state);
+  if (!index || index.source !== state.metrics || index.total !== state.metrics.length - 1) {
+    rebuildMetricIndex(state);
+    return;
+  }
+
+  let ring = index.byApi.get(metric.apiId);
+  if (!ring) {
+    ring = createMetricRing();
+    index.byApi.set(metric.apiId, ring);
+  }
+  pushToRing(ring, metric);
+  index.total += 1;
+};
+
+/**
+ * 符号：indexEvictedMetrics（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 仅在 metrics 已经从 state.metrics 头部移除之后调用；被移除的点应是各自 API 最早的点，否则退回重建。
+export const indexEvictedMetrics = (state, evicted) => {
+  const index = indexByState.get(state);
+  if (!index || index.source !== state.metrics || index.total - evicted.length !== state.metrics.length) {
+    rebuildMetricIndex(state);
+    return;
+  }
+
+  for (const metric of evicted) {
+    const ring = index.byApi.get(metric.apiId);
+    if (!ring || !ring.size || ring.items[ring.head] !== metric) {
+      rebuildMetricIndex(state);
+      return;
+    }
+    shiftFromRing(ring);
+    index.total -= 1;
+    if (!ring.size) {
+      index.byApi.delete(metric.apiId);
+    }
+  }
+};
+
+/**
+ * 符号：getIndexedMetricsInRange（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const getIndexedMetricsInRange = (state, apiId, startMs = -Infinity, endMs = Infinity) => {
+  const ring = getMetricIndex(state).byApi.get(apiId);
+  if (!ring) {
+    return [];
+  }
+
+  const from = lowerBound(ring, startMs);
+  const to = upperBound(ring, endMs);
+  const points = [];
+  for (let offset = from; offset < to; offset += 1) {
+    points.push(ring.items[ringAt(ring, offset)]);
+  }
+  return points;
+};
+
+/**
+ * 符号：getIndexedLatestMetric（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const getIndexedLatestMetric = (state, apiId) => {
+  const ring = getMetricIndex(state).byApi.get(apiId);
+  return ring?.size ? ring.items[ringAt(ring, ring.size - 1)] : null;
+};
@@ -0,0 +1,515 @@
+/**
+ * @file server/metric-store.js
+ * 文件作用：后端业务模块，参与 API 接入、规则评估、告警流转与通知链路。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import { getIndexedMetricsInRange, indexAppendedMetric, indexEvictedMetrics } from "./metric-index.js";
+import { round } from "./utils.js";
+
+/**
+ * 符号：HOUR_MS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const HOUR_MS = 3_600_000;
+/**
+ * 符号：DAY_MS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * 符号：ROLLUP_FIELDS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const ROLLUP_FIELDS = [
+  "qps",
+  "errorRate",
+  "latencyP95",
+  "latencyP99",
+  "availability",
+  "statusCode5xx",
+  "dnsMs",
+  "connectMs",
+  "tlsMs",
+  "ttfbMs",
+  "downloadMs",
+  "certDaysRemaining",
+];
+
+/**
+ * 符号：MAX_RAW_METRICS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const MAX_RAW_METRICS = Math.max(1_000, Number(process.env.METRIC_RAW_MAX_POINTS || 30_000));
+
+/**
+ * 符号：RAW_RETENTION_MS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const RAW_RETENTION_MS = Math.max(1, Number(process.env.METRIC_RETENTION_RAW_HOURS || 24)) * HOUR_MS;
+
+/**
+ * 符号：METRIC_ROLLUP_TIERS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const METRIC_ROLLUP_TIERS = [
+  {
+    name: "1m",
+    bucketMs: 60_000,
+    retentionMs: Math.max(1, Number(process.env.METRIC_RETENTION_1M_HOURS || 48)) * HOUR_MS,
+  },
+  {
+    name: "5m",
+    bucketMs: 5 * 60_000,
+    retentionMs: Math.max(1, Number(process.env.METRIC_RETENTION_5M_DAYS || 14)) * DAY_MS,
+  },
+  {
+    name: "1h",
+    bucketMs: HOUR_MS,
+    retentionMs: Math.max(1, Number(process.env.METRIC_RETENTION_1H_DAYS || 90)) * DAY_MS,
+  },
+];
+
+/**
+ * 符号：PRUNE_INTERVAL_MS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const PRUNE_INTERVAL_MS = 60_000;
+
+/**
+ * 符号：bucketIndexCache（const）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 索引只存在内存里：按 tier 数组引用缓存「apiId|bucketStart -> bucket」与按 API 的分组，数组被替换后自动重建。
+const bucketIndexCache = new WeakMap();
+
+/**
+ * 符号：lastPrunedAtByState（const）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const lastPrunedAtByState = new WeakMap();
+
+/**
+ * 符号：getMetricRetentionConfig（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现中使用 map/filter/reduce 等数组操作，强调声明式数据变换。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const getMetricRetentionConfig = () => ({
+  rawRetentionHours: RAW_RETENTION_MS / HOUR_MS,
+  rawMaxPoints: MAX_RAW_METRICS,
+  tiers: METRIC_ROLLUP_TIERS.map((tier) => ({
+    name: tier.name,
+    bucketSeconds: tier.bucketMs / 1_000,
+    retentionHours: tier.retentionMs / HOUR_MS,
+  })),
+});
+
+/**
+ * 符号：createEmptyMetricRollups（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现中使用 map/filter/reduce 等数组操作，强调声明式数据变换。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const createEmptyMetricRollups = () =>
+  Object.fromEntries(METRIC_ROLLUP_TIERS.map((tier) => [tier.name, []]));
+
+/**
+ * 符号：normalizeMetricRollups（arrow-function）
+ * 作用说明：该函数用于输入标准化，先把不稳定入参转为稳定结构。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const normalizeMetricRollups = (input) => {
+  const rollups = createEmptyMetricRollups();
+  if (!input || typeof input !== "object") {
+    return rollups;
+  }
+  for (const tier of METRIC_ROLLUP_TIERS) {
+    if (Array.isArray(input[tier.name])) {
+      rollups[tier.name] = input[tier.name];
+    }
+  }
+  return rollups;
+};
+
+/**
+ * 符号：ensureRollups（arrow-function）
+ * 作用说明：该函数用于前置校验，尽早拦截非法输入并缩短错误路径。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收入参后会写入状态或外部资源，输出通常是更新后的对象、状态码或副作用结果。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const ensureRollups = (state) => {
+  if (!state.metricRollups || typeof state.metricRollups !== "object") {
+    state.metricRollups = createEmptyMetricRollups();
+  }
+  for (const tier of METRIC_ROLLUP_TIERS) {
+    if (!Array.isArray(state.metricRollups[tier.name])) {
+      state.metricRollups[tier.name] = [];
+    }
+  }
+  return state.metricRollups;
+};
+
+/**
+ * 符号：addBucketToApiGroup（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const addBucketToApiGroup = (index, bucket) => {
+  const group = index.byApi.get(bucket.apiId);
+  if (group) {
+    group.push(bucket);
+  } else {
+    index.byApi.set(bucket.apiId, [bucket]);
+  }
+};
+
+/**
+ * 符号：getBucketIndex（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const getBucketIndex = (buckets) => {
+  let index = bucketIndexCache.get(buckets);
+  if (index) {
+    return index;
+  }
+
+  index = { byKey: new Map(), byApi: new Map(), oldestMs: Infinity };
+  for (const bucket of buckets) {
+    index.byKey.set(`${bucket.apiId}|${bucket.start}`, bucket);
+    addBucketToApiGroup(index, bucket);
+    index.oldestMs = Math.min(index.oldestMs, new Date(bucket.start).getTime());
+  }
+  bucketIndexCache.set(buckets, index);
+  return index;
+};
+
+/**
+ * 符号：createBucket（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现中使用 map/filter/reduce 等数组操作，强调声明式数据变换。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const createBucket = (apiId, startIso) => ({
+  apiId,
+  start: startIso,
+  count: 0,
+  stats: Object.fromEntries(ROLLUP_FIELDS.map((field) => [field, { sum: 0, min: null, max: null, count: 0 }])),
+});
+
+/**
+ * 符号：addMetricToBucket（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const addMetricToBucket = (bucket, metric) => {
+  bucket.count += 1;
+  for (const field of ROLLUP_FIELDS) {
+    if (metric[field] === undefined || metric[field] === null) continue;
+    const value = Number(metric[field]);
+    if (!Number.isFinite(value)) continue;
+    // 旧版本持久化的桶没有后来新增的可选字段（阶段耗时、证书剩余天数），按需补齐。
+    bucket.stats[field] ??= { sum: 0, min: null, max: null, count: 0 };
+    const stat = bucket.stats[field];
+    stat.sum += value;
+    // 旧桶的字段没有 count，之前的样本都带该字段，以桶样本数（已含本条）接续计数。
+    stat.count = stat.count === undefined ? bucket.count : stat.count + 1;
+    stat.min = stat.min === null ? value : Math.min(stat.min, value);
+    stat.max = stat.max === null ? value : Math.max(stat.max, value);
+  }
+};
+
+/**
+ * 符号：recordMetricRollups（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const recordMetricRollups = (state, metric) => {
+  const rollups = ensureRollups(state);
+  const metricMs = new Date(metric.timestamp).getTime();
+  if (!Number.isFinite(metricMs)) {
+    return;
+  }
+
+  for (const tier of METRIC_ROLLUP_TIERS) {
+    const buckets = rollups[tier.name];
+    const index = getBucketIndex(buckets);
+    const startMs = Math.floor(metricMs / tier.bucketMs) * tier.bucketMs;
+    const startIso = new Date(startMs).toISOString();
+    const key = `${metric.apiId}|${startIso}`;
+
+    let bucket = index.byKey.get(key);
+    if (!bucket) {
+      bucket = createBucket(metric.apiId, startIso);
+      buckets.push(bucket);
+      index.byKey.set(key, bucket);
+      addBucketToApiGroup(index, bucket);
+      index.oldestMs = Math.min(index.oldestMs, startMs);
+    }
+    addMetricToBucket(bucket, metric);
+  }
+};
+
+/**
+ * 符号：rebuildMetricRollups（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中存在状态写入，属于有副作用函数，测试时应关注前后状态变化。
+ * 输入输出：接收入参后会写入状态或外部资源，输出通常是更新后的对象、状态码或副作用结果。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const rebuildMetricRollups = (state) => {
+  state.metricRollups = createEmptyMetricRollups();
+  for (const metric of state.metrics || []) {
+    recordMetricRollups(state, metric);
+  }
+  return state.metricRollups;
+};
+
+/**
+ * 符号：pruneMetricStore（const）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const pruneMetricStore = (state, nowMs = Date.now()) => {
+  const rawCutoffMs = nowMs - RAW_RETENTION_MS;
+  const firstKept = (state.metrics || []).findIndex(
+    (metric) => new Date(metric.timestamp).getTime() >= rawCutoffMs,
+  );
+  const removedRaw = firstKept === -1 ? state.metrics.length : firstKept;
+  if (removedRaw > 0) {
+    indexEvictedMetrics(state, state.metrics.splice(0, removedRaw));
+  }
+
+  const rollups = ensureRollups(state);
+  let removedBuckets = 0;
+  for (const tier of METRIC_ROLLUP_TIERS) {
+    const cutoffMs = nowMs - tier.retentionMs;
+    const buckets = rollups[tier.name];
+    const kept = buckets.filter((bucket) => new Date(bucket.start).getTime() >= cutoffMs);
+    if (kept.length !== buckets.length) {
+      removedBuckets += buckets.length - kept.length;
+      rollups[tier.name] = kept;
+    }
+  }
+
+  lastPrunedAtByState.set(state, nowMs);
+  return { removedRaw, removedBuckets };
+};
+
+/**
+ * 符号：appendRawMetric（const）
+ * 作用说明：该函数偏流程编排职责，通常伴随状态更新或副作用。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const appendRawMetric = (state, metric, nowMs = Date.now()) => {
+  state.metrics.push(metric);
+  indexAppendedMetric(state, metric);
+  recordMetricRollups(state, metric);
+
+  if (state.metrics.length > MAX_RAW_METRICS) {
+    indexEvictedMetrics(state, state.metrics.splice(0, state.metrics.length - MAX_RAW_METRICS));
+  }
+
+  const lastPrunedAt = lastPrunedAtByState.get(state) ?? 0;
+  if (nowMs - lastPrunedAt >= PRUNE_INTERVAL_MS) {
+    pruneMetricStore(state, nowMs);
+  }
+};
+
+/**
+ * 符号：getRawCoverageStartMs（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const getRawCoverageStartMs = (state) => {
+  const first = state.metrics?.[0];
+  return first ? new Date(first.timestamp).getTime() : Infinity;
+};
+
+/**
+ * 符号：selectMetricTier（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const selectMetricTier = (state, startMs, options = {}) => {
+  const maxBucketMs = Number.isFinite(options.maxBucketMs) ? options.maxBucketMs : Infinity;
+  const prefer = options.prefer === "coarsest" ? "coarsest" : "finest";
+  const rollups = ensureRollups(state);
+
+  const layers = [
+    { name: "raw", bucketMs: 0, coverageStartMs: getRawCoverageStartMs(state) },
+    ...METRIC_ROLLUP_TIERS.map((tier) => ({
+      name: tier.name,
+      bucketMs: tier.bucketMs,
+      coverageStartMs: getBucketIndex(rollups[tier.name]).oldestMs,
+    })),
+  ];
+
+  // 更粗的层级里没有比本层更早的数据时，说明本层从未被裁剪过，视为覆盖全部历史；
+  // 否则桶起点会早于首个原始点，短窗口反而会被误判成应读汇总层。
+  for (const [position, layer] of layers.entries()) {
+    if (!Number.isFinite(layer.coverageStartMs)) continue;
+    const complete = layers.slice(position + 1).every((coarser) =>
+      coarser.coverageStartMs >= Math.floor(layer.coverageStartMs / coarser.bucketMs) * coarser.bucketMs);
+    if (complete) {
+      layer.coverageStartMs = -Infinity;
+    }
+  }
+
+  const candidates = layers.filter((candidate) => candidate.bucketMs <= maxBucketMs);
+
+  const covering = candidates.filter((candidate) => candidate.coverageStartMs <= startMs);
+  if (covering.length) {
+    return prefer === "coarsest" ? covering[covering.length - 1].name : covering[0].name;
+  }
+
+  // 没有任何层级完整覆盖窗口时，选历史最长的层级，尽量减少数据截断。
+  return candidates.reduce(
+    (best, candidate) => (candidate.coverageStartMs < best.coverageStartMs ? candidate : best),
+    candidates[0],
+  ).name;
+};
+
+/**
+ * 符号：bucketToPoint（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const bucketToPoint = (bucket, tierName) => {
+  const point = {
+    apiId: bucket.apiId,
+    timestamp: bucket.start,
+    tier: tierName,
+    sampleCount: bucket.count,
+    min: {},
+    max: {},
+  };
+  for (const field of ROLLUP_FIELDS) {
+    const stat = bucket.stats[field];
+    // 阶段耗时等可选字段只在部分样本里出现，按字段自身的样本数求平均；旧桶没有 count，沿用桶样本数。
+    const count = stat?.count ?? bucket.count;
+    point[field] = stat && count ? round(stat.sum / count, 3) : null;
+    point.min[field] = stat?.min ?? null;
+    point.max[field] = stat?.max ?? null;
+  }
+  return point;
+};
+
+/**
+ * 符号：queryMetricPoints（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const queryMetricPoints = (state, options = {}) => {
+  const startMs = Number.isFinite(options.startMs) ? options.startMs : -Infinity;
+  const endMs = Number.isFinite(options.endMs) ? options.endMs : Infinity;
+  const apiIds = options.apiIds
+    ? new Set(options.apiIds)
+    : options.apiId
+      ? new Set([options.apiId])
+      : null;
+  const tier = options.tier && options.tier !== "auto"
+    ? options.tier
+    : selectMetricTier(state, startMs, options);
+
+  if (tier === "raw" && apiIds?.size === 1) {
+    // 单 API 查询走按 API 分桶的时间索引，避免每条规则都线性扫描全局数组。
+    const [apiId] = apiIds;
+    return { tier, points: getIndexedMetricsInRange(state, apiId, startMs, endMs) };
+  }
+
+  if (tier === "raw") {
+    const points = (state.metrics || []).filter((point) => {
+      if (apiIds && !apiIds.has(point.apiId)) return false;
+      const timeMs = new Date(point.timestamp).getTime();
+      return timeMs >= startMs && timeMs <= endMs;
+    });
+    return { tier, points };
+  }
+
+  const buckets = ensureRollups(state)[tier] || [];
+  // 单 API 查询只遍历该 API 自己的桶；基线类规则一次要读数天的汇总，全表扫描代价太高。
+  const candidates = apiIds?.size === 1 ? getBucketIndex(buckets).byApi.get([...apiIds][0]) || [] : buckets;
+  const points = candidates
+    .filter((bucket) => {
+      if (apiIds && !apiIds.has(bucket.apiId)) return false;
+      const timeMs = new Date(bucket.start).getTime();
+      return timeMs >= startMs && timeMs <= endMs;
+    })
+    .sort((left, right) => new Date(left.start).getTime() - new Date(right.start).getTime())
+    .map((bucket) => bucketToPoint(bucket, tier));
+  return { tier, points };
+};
+
+/**
+ * 符号：removeApiMetrics（arrow-function）
+ * 作用说明：该函数偏流程编排职责，通常伴随状态更新或副作用。
+ * 实现说明：实现中存在状态写入，属于有副作用函数，测试时应关注前后状态变化。
+ * 输入输出：接收入参后会写入状态或外部资源，输出通常是更新后的对象、状态码或副作用结果。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const removeApiMetrics = (state, apiId) => {
+  const before = state.metrics.length;
+  state.metrics = state.metrics.filter((item) => item.apiId !== apiId);
+
+  const rollups = ensureRollups(state);
+  for (const tier of METRIC_ROLLUP_TIERS) {
+    rollups[tier.name] = rollups[tier.name].filter((bucket) => bucket.apiId !== apiId);
+  }
+  return before - state.metrics.length;
+};
@@ -4,6 +4,9 @@
  * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
  */
 
+import { ensureInitialPasswords, verifyPassword } from "./auth.js";
+import { rebuildMetricRollups } from "./metric-store.js";
+import { createDefaultNotificationRouting } from "./notification-routes.js";
 import { nowIso } from "./utils.js";
 
 /**
@@ -13,7 +16,7 @@ import { nowIso } from "./utils.js";
  * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
  * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
  */
-export const CURRENT_SCHEMA_VERSION = 4;
+export const CURRENT_SCHEMA_VERSION = 11;
 
 /**
  * 符号：ensureMeta（arrow-function）
@@ -91,6 +94,106 @@ const migrateV3ToV4 = (state) => {
   }
 };
 
+/**
+ * 符号：migrateV4ToV5（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收入参后会写入状态或外部资源，输出通常是更新后的对象、状态码或副作用结果。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const migrateV4ToV5 = (state) => {
+  ensureInitialPasswords(state.users);
+  if (!Array.isArray(state.authSessions)) {
+    state.authSessions = [];
+  }
+  if (!Array.isArray(state.apiTokens)) {
+    state.apiTokens = [];
+  }
+};
+
+/**
+ * 符号：migrateV5ToV6（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收入参后会写入状态或外部资源，输出通常是更新后的对象、状态码或副作用结果。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const migrateV5ToV6 = (state) => {
+  // 历史原始点一次性回灌到 1m/5m/1h 汇总层，之后由 appendRawMetric 增量维护。
+  if (!Array.isArray(state.metrics)) {
+    state.metrics = [];
+  }
+  rebuildMetricRollups(state);
+};
+
+/**
+ * 符号：migrateV6ToV7（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收入参后会写入状态或外部资源，输出通常是更新后的对象、状态码或副作用结果。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const migrateV6ToV7 = (state) => {
+  if (!Array.isArray(state.incidents)) {
+    state.incidents = [];
+  }
+};
+
+/**
+ * 符号：migrateV7ToV8（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收入参后会写入状态或外部资源，输出通常是更新后的对象、状态码或副作用结果。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const migrateV7ToV8 = (state) => {
+  if (!Array.isArray(state.silences)) {
+    state.silences = [];
+  }
+};
+
+/**
+ * 符号：migrateV8ToV9（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收入参后会写入状态或外部资源，输出通常是更新后的对象、状态码或副作用结果。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const migrateV8ToV9 = (state) => {
+  if (!Array.isArray(state.oncallSchedules)) {
+    state.oncallSchedules = [];
+  }
+};
+
+/**
+ * 符号：migrateV9ToV10（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收入参后会写入状态或外部资源，输出通常是更新后的对象、状态码或副作用结果。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const migrateV9ToV10 = (state) => {
+  if (!state.notificationRouting || typeof state.notificationRouting !== "object") {
+    state.notificationRouting = createDefaultNotificationRouting();
+  }
+};
+
+/**
+ * 符号：migrateV10ToV11（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 旧版本所有内置用户共用 `ChangeMe123!`，仍在使用该密码的账号标记为必须改密。
+const migrateV10ToV11 = (state) => {
+  for (const user of state.users || []) {
+    if (user.passwordHash && verifyPassword("ChangeMe123!", user.passwordHash)) {
+      user.mustChangePassword = true;
+    }
+  }
+};
+
 /**
  * 符号：applyMigrations（arrow-function）
  * 作用说明：该函数偏流程编排职责，通常伴随状态更新或副作用。
@@ -122,6 +225,41 @@ export const applyMigrations = (state) => {
     schemaVersion = 4;
   }
 
+  if (schemaVersion < 5) {
+    migrateV4ToV5(state);
+    schemaVersion = 5;
+  }
+
+  if (schemaVersion < 6) {
+    migrateV5ToV6(state);
+    schemaVersion = 6;
+  }
+
+  if (schemaVersion < 7) {
+    migrateV6ToV7(state);
+    schemaVersion = 7;
+  }
+
+  if (schemaVersion < 8) {
+    migrateV7ToV8(state);
+    schemaVersion = 8;
+  }
+
+  if (schemaVersion < 9) {
+    migrateV8ToV9(state);
+    schemaVersion = 9;
+  }
+
+  if (schemaVersion < 10) {
+    migrateV9ToV10(state);
+    schemaVersion = 10;
+  }
+
+  if (schemaVersion < 11) {
+    migrateV10ToV11(state);
+    schemaVersion = 11;
+  }
+
   meta.schemaVersion = schemaVersion;
   // 步骤 5：返回当前结果并结束函数，明确本路径的输出语义。
   return state;
@@ -0,0 +1,314 @@
+/**
+ * @file server/notification-routes.js
+ * 文件作用：后端业务模块，参与 API 接入、规则评估、告警流转与通知链路。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import { matchesAny, toNumber, uid } from "./utils.js";
+
+/**
+ * 符号：ROUTE_MATCHER_FIELDS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const ROUTE_MATCHER_FIELDS = ["priority", "service", "environment", "tag", "eventType"];
+/**
+ * 符号：ROUTE_EVENT_TYPES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const ROUTE_EVENT_TYPES = ["trigger", "recovery", "incident_update"];
+
+/**
+ * 符号：MAX_ROUTES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const MAX_ROUTES = 100;
+/**
+ * 符号：TIME_PATTERN（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * 符号：createDefaultNotificationRouting（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 默认关闭：未开启路由策略时仍按规则自身的 actions 发送，兼容存量规则。
+export const createDefaultNotificationRouting = () => ({
+  enabled: false,
+  routes: [],
+  defaultRoute: { channels: [] },
+});
+
+/**
+ * 符号：normalizeValues（arrow-function）
+ * 作用说明：该函数用于输入标准化，先把不稳定入参转为稳定结构。
+ * 实现说明：实现中使用 map/filter/reduce 等数组操作，强调声明式数据变换。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const normalizeValues = (input) => {
+  const values = Array.isArray(input) ? input : typeof input === "string" ? input.split(",") : [];
+  return [...new Set(values.map((item) => String(item).trim()).filter(Boolean))];
+};
+
+/**
+ * 符号：normalizeMatchers（arrow-function）
+ * 作用说明：该函数用于输入标准化，先把不稳定入参转为稳定结构。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const normalizeMatchers = (input) => {
+  const source = input && typeof input === "object" ? input : {};
+  const matchers = {};
+  for (const field of ROUTE_MATCHER_FIELDS) {
+    matchers[field] = normalizeValues(source[field]);
+  }
+  return matchers;
+};
+
+/**
+ * 符号：normalizeActiveTime（arrow-function）
+ * 作用说明：该函数用于输入标准化，先把不稳定入参转为稳定结构。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const normalizeActiveTime = (input) => {
+  if (!input || typeof input !== "object") return null;
+  return {
+    days: normalizeValues(input.days).map(Number),
+    start: String(input.start || "00:00").trim(),
+    end: String(input.end || "24:00").trim(),
+    utcOffsetMinutes: Math.round(toNumber(input.utcOffsetMinutes, 0)),
+  };
+};
+
+/**
+ * 符号：normalizeRoute（arrow-function）
+ * 作用说明：该函数用于输入标准化，先把不稳定入参转为稳定结构。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const normalizeRoute = (input) => {
+  const source = input && typeof input === "object" ? input : {};
+  return {
+    id: String(source.id || "").trim() || uid("route"),
+    name: String(source.name || "").trim(),
+    enabled: Boolean(source.enabled ?? true),
+    matchers: normalizeMatchers(source.matchers),
+    activeTime: normalizeActiveTime(source.activeTime),
+    channels: normalizeValues(source.channels),
+    continue: Boolean(source.continue),
+  };
+};
+
+/**
+ * 符号：normalizeNotificationRouting（const）
+ * 作用说明：该函数用于输入标准化，先把不稳定入参转为稳定结构。
+ * 实现说明：实现中使用 map/filter/reduce 等数组操作，强调声明式数据变换。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const normalizeNotificationRouting = (input, fallback = createDefaultNotificationRouting()) => {
+  const base = fallback && typeof fallback === "object" ? fallback : createDefaultNotificationRouting();
+  const source = input && typeof input === "object" ? input : {};
+  const routes = Array.isArray(source.routes ?? base.routes) ? (source.routes ?? base.routes) : [];
+  const defaultRoute = source.defaultRoute ?? base.defaultRoute;
+
+  return {
+    enabled: Boolean(source.enabled ?? base.enabled ?? false),
+    routes: routes.map(normalizeRoute),
+    defaultRoute: { channels: normalizeValues(defaultRoute?.channels) },
+  };
+};
+
+/**
+ * 符号：toMinuteOfDay（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// "24:00" 只允许作为结束时间，表示当天结束。
+const toMinuteOfDay = (text, allowEndOfDay = false) => {
+  if (allowEndOfDay && text === "24:00") return 24 * 60;
+  const match = TIME_PATTERN.exec(text);
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+/**
+ * 符号：getChannelActionError（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const getChannelActionError = (state, action) => {
+  const exists = (state.channels || []).some((channel) => channel.id === action || channel.type === action);
+  return exists ? null : `Unknown channel: ${action}`;
+};
+
+/**
+ * 符号：validateNotificationRouting（arrow-function）
+ * 作用说明：该函数用于前置校验，尽早拦截非法输入并缩短错误路径。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const validateNotificationRouting = (routing, state) => {
+  if (routing.routes.length > MAX_ROUTES) {
+    return `At most ${MAX_ROUTES} routes are allowed.`;
+  }
+
+  const seenIds = new Set();
+  for (const [index, route] of routing.routes.entries()) {
+    const label = route.name || route.id || `#${index + 1}`;
+    if (seenIds.has(route.id)) return `Duplicate route id: ${route.id}`;
+    seenIds.add(route.id);
+
+    if (!route.channels.length) return `Route ${label} requires at least one channel.`;
+    const invalidEventType = route.matchers.eventType.find((item) => !ROUTE_EVENT_TYPES.includes(item));
+    if (invalidEventType) {
+      return `Route ${label} eventType must be one of: ${ROUTE_EVENT_TYPES.join(", ")}`;
+    }
+
+    const activeTime = route.activeTime;
+    if (activeTime) {
+      if (activeTime.days.some((day) => !Number.isInteger(day) || day < 0 || day > 6)) {
+        return `Route ${label} activeTime.days must be 0-6 (0 = Sunday).`;
+      }
+      const start = toMinuteOfDay(activeTime.start);
+      const end = toMinuteOfDay(activeTime.end, true);
+      if (start === null || end === null || start === end) {
+        return `Route ${label} activeTime needs distinct start/end in HH:mm.`;
+      }
+      if (Math.abs(activeTime.utcOffsetMinutes) > 14 * 60) {
+        return `Route ${label} activeTime.utcOffsetMinutes must be between -840 and 840.`;
+      }
+    }
+
+    for (const action of route.channels) {
+      const error = getChannelActionError(state, action);
+      if (error) return `Route ${label}: ${error}`;
+    }
+  }
+
+  for (const action of routing.defaultRoute.channels) {
+    const error = getChannelActionError(state, action);
+    if (error) return `Default route: ${error}`;
+  }
+  return null;
+};
+
+/**
+ * 符号：isWithinActiveTime（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 时间段按 utcOffsetMinutes 换算成本地时间；start > end 表示跨零点（如 22:00-08:00），星期按告警发生时刻的本地日期判断。
+const isWithinActiveTime = (activeTime, atMs) => {
+  if (!activeTime) return true;
+  const local = new Date(atMs + activeTime.utcOffsetMinutes * 60_000);
+  if (activeTime.days.length && !activeTime.days.includes(local.getUTCDay())) return false;
+
+  const minute = local.getUTCHours() * 60 + local.getUTCMinutes();
+  const start = toMinuteOfDay(activeTime.start) ?? 0;
+  const end = toMinuteOfDay(activeTime.end, true) ?? 24 * 60;
+  return start < end ? minute >= start && minute < end : minute >= start || minute < end;
+};
+
+/**
+ * 符号：buildRouteSubject（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现中使用 map/filter/reduce 等数组操作，强调声明式数据变换。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const buildRouteSubject = (alert, rule, api, eventType) => ({
+  priority: alert?.level || rule?.priority || null,
+  service: api?.service || null,
+  environment: api?.environment || "production",
+  tags: Array.isArray(api?.tags) ? api.tags.map(String) : [],
+  eventType,
+});
+
+/**
+ * 符号：routeMatchesSubject（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 与静默匹配一致：字段之间为“与”，同一字段内多个取值为“或”，空字段不限制。
+export const routeMatchesSubject = (route, subject, atMs) => {
+  if (route.enabled === false) return false;
+  const { matchers } = route;
+  return (
+    matchesAny(matchers.priority, [subject.priority].filter(Boolean)) &&
+    matchesAny(matchers.service, [subject.service].filter(Boolean)) &&
+    matchesAny(matchers.environment, [subject.environment].filter(Boolean)) &&
+    matchesAny(matchers.tag, subject.tags) &&
+    matchesAny(matchers.eventType, [subject.eventType]) &&
+    isWithinActiveTime(route.activeTime, atMs)
+  );
+};
+
+/**
+ * 符号：planNotificationRoutes（const）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 自上而下匹配：命中的路由都会贡献渠道，直到遇到 continue=false 的路由为止；一条都没命中时走默认路由，
+// 默认路由未配置渠道则沿用规则 actions。
+export const planNotificationRoutes = (routing, subject, atMs = Date.now()) => {
+  if (!routing?.enabled) {
+    return { enabled: false, matchedRoutes: [], usedDefault: false, useRuleActions: true, steps: [] };
+  }
+
+  const matchedRoutes = [];
+  for (const route of routing.routes || []) {
+    if (!routeMatchesSubject(route, subject, atMs)) continue;
+    matchedRoutes.push(route);
+    if (!route.continue) break;
+  }
+
+  if (matchedRoutes.length) {
+    return {
+      enabled: true,
+      matchedRoutes: matchedRoutes.map(({ id, name, continue: next }) => ({ id, name, continue: next })),
+      usedDefault: false,
+      useRuleActions: false,
+      steps: matchedRoutes.map((route) => ({ routeId: route.id, channels: route.channels })),
+    };
+  }
+
+  const defaultChannels = routing.defaultRoute?.channels || [];
+  return {
+    enabled: true,
+    matchedRoutes: [],
+    usedDefault: true,
+    useRuleActions: defaultChannels.length === 0,
+    steps: defaultChannels.length ? [{ routeId: "default", channels: defaultChannels }] : [],
+  };
+};
@@ -0,0 +1,304 @@
+/**
+ * @file server/notification-throttle.js
+ * 文件作用：后端业务模块，参与 API 接入、规则评估、告警流转与通知链路。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import { toTimeMs, uid } from "./utils.js";
+
+/**
+ * 符号：RATE_LIMIT_OVERFLOW_MODES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const RATE_LIMIT_OVERFLOW_MODES = ["drop", "defer"];
+
+/**
+ * 符号：MAX_RATE_PER_MINUTE（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const MAX_RATE_PER_MINUTE = 600;
+/**
+ * 符号：MIN_DIGEST_WINDOW_SECONDS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const MIN_DIGEST_WINDOW_SECONDS = 10;
+/**
+ * 符号：MAX_DIGEST_WINDOW_SECONDS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const MAX_DIGEST_WINDOW_SECONDS = 3_600;
+/**
+ * 符号：DEFAULT_DIGEST_MAX_ITEMS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const DEFAULT_DIGEST_MAX_ITEMS = 20;
+/**
+ * 符号：MAX_DIGEST_ITEMS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const MAX_DIGEST_ITEMS = 100;
+/**
+ * 符号：DIGEST_EVENT_LABELS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 只汇总告警类通知：测试消息用于验证连通性需即时发送，汇总通知本身也不会被再次汇总。
+const DIGEST_EVENT_LABELS = { trigger: "触发", recovery: "恢复", escalation: "升级", incident_update: "事件更新" };
+
+/**
+ * 符号：rateBuckets（const）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 令牌桶只保存在进程内，重启后按满桶重新计算，最多额外放行一个 burst。
+const rateBuckets = new Map();
+
+/**
+ * 符号：isPositiveInteger（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const isPositiveInteger = (value, max) => Number.isInteger(value) && value >= 1 && value <= max;
+
+/**
+ * 符号：validateThrottleConfig（arrow-function）
+ * 作用说明：该函数用于前置校验，尽早拦截非法输入并缩短错误路径。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// config.rateLimit: { perMinute, burst?, overflow? }；config.digest: { windowSeconds, maxItems? }；未配置或为 null 表示关闭。
+export const validateThrottleConfig = (config) => {
+  const { rateLimit, digest } = config;
+  if (rateLimit !== undefined && rateLimit !== null) {
+    if (typeof rateLimit !== "object") return "invalid_rate_limit";
+    const perMinute = Number(rateLimit.perMinute);
+    if (!Number.isFinite(perMinute) || perMinute <= 0 || perMinute > MAX_RATE_PER_MINUTE) return "invalid_rate_limit";
+    if (rateLimit.burst !== undefined && !isPositiveInteger(Number(rateLimit.burst), MAX_RATE_PER_MINUTE)) {
+      return "invalid_rate_limit";
+    }
+    if (rateLimit.overflow !== undefined && !RATE_LIMIT_OVERFLOW_MODES.includes(rateLimit.overflow)) {
+      return "invalid_rate_limit";
+    }
+  }
+
+  if (digest !== undefined && digest !== null) {
+    if (typeof digest !== "object") return "invalid_digest";
+    const windowSeconds = Number(digest.windowSeconds);
+    if (
+      !Number.isFinite(windowSeconds) ||
+      windowSeconds < MIN_DIGEST_WINDOW_SECONDS ||
+      windowSeconds > MAX_DIGEST_WINDOW_SECONDS
+    ) {
+      return "invalid_digest";
+    }
+    if (digest.maxItems !== undefined && !isPositiveInteger(Number(digest.maxItems), MAX_DIGEST_ITEMS)) {
+      return "invalid_digest";
+    }
+  }
+  return null;
+};
+
+/**
+ * 符号：getRateLimitOverflow（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const getRateLimitOverflow = (channel) => channel?.config?.rateLimit?.overflow ?? "drop";
+
+/**
+ * 符号：takeRateToken（const）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 每次真实投递（含重试）消耗一个令牌；桶容量为 burst（默认等于 perMinute），按 perMinute 匀速补充。
+export const takeRateToken = (channel, nowMs = Date.now()) => {
+  const rateLimit = channel?.config?.rateLimit;
+  if (!rateLimit) return { allowed: true };
+
+  const perMinute = Number(rateLimit.perMinute);
+  const burst = Number(rateLimit.burst ?? Math.max(1, Math.ceil(perMinute)));
+  const refillPerMs = perMinute / 60_000;
+  const bucket = rateBuckets.get(channel.id) ?? { tokens: burst, updatedAtMs: nowMs };
+  bucket.tokens = Math.min(burst, bucket.tokens + Math.max(0, nowMs - bucket.updatedAtMs) * refillPerMs);
+  bucket.updatedAtMs = nowMs;
+  rateBuckets.set(channel.id, bucket);
+
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    return { allowed: true };
+  }
+  return { allowed: false, waitSeconds: Math.max(1, Math.ceil((1 - bucket.tokens) / refillPerMs / 1_000)) };
+};
+
+/**
+ * 符号：isDigestCandidate（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const isDigestCandidate = (record, channel) =>
+  record.channelId === channel.id &&
+  record.status === "queued" &&
+  !Number(record.attempts || 0) &&
+  Object.hasOwn(DIGEST_EVENT_LABELS, record.eventType);
+
+/**
+ * 符号：pickHighestLevel（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中使用 map/filter/reduce 等数组操作，强调声明式数据变换。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// P1 最紧急；非 P 级别排在最后。
+const pickHighestLevel = (records) =>
+  records
+    .map((record) => String(record.payload?.level || "info"))
+    .sort((left, right) => (/^P\d$/.test(left) ? left : "P9").localeCompare(/^P\d$/.test(right) ? right : "P9"))[0];
+
+/**
+ * 符号：buildDigestRecord（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现中使用 map/filter/reduce 等数组操作，强调声明式数据变换。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 时间戳取本轮处理的 nowMs，保证汇总记录在同一轮内即可投递。
+const buildDigestRecord = (channel, records, digest, nowMs) => {
+  const timestamp = new Date(nowMs).toISOString();
+  const maxItems = Number(digest.maxItems ?? DEFAULT_DIGEST_MAX_ITEMS);
+  const level = pickHighestLevel(records);
+  // 按入队时间正序列出，读起来与故障发展顺序一致。
+  const ordered = [...records].sort((left, right) => (toTimeMs(left.createdAt) ?? 0) - (toTimeMs(right.createdAt) ?? 0));
+  const items = ordered.map((record) => ({
+    id: record.id,
+    alertId: record.alertId ?? null,
+    eventType: record.eventType,
+    level: record.payload?.level ?? null,
+    title: record.payload?.title || record.rendered?.title || "",
+  }));
+  const counts = Object.entries(DIGEST_EVENT_LABELS)
+    .map(([type, label]) => [label, items.filter((item) => item.eventType === type).length])
+    .filter(([, count]) => count > 0)
+    .map(([label, count]) => `${label} ${count}`);
+  const title = `[${level}] [汇总] ${records.length} 条告警通知`;
+  const body = [
+    `${digest.windowSeconds} 秒内共 ${records.length} 条通知（${counts.join(" / ")}）：`,
+    ...items
+      .slice(0, maxItems)
+      .map((item) => `- ${item.level ? `[${item.level}] ` : ""}${item.title}（${DIGEST_EVENT_LABELS[item.eventType]}）`),
+    ...(items.length > maxItems ? [`…另有 ${items.length - maxItems} 条，详见通知记录`] : []),
+  ].join("\n");
+
+  return {
+    id: uid("notify"),
+    alertId: null,
+    ruleId: null,
+    apiId: null,
+    channelType: records[0].channelType,
+    channelId: channel.id,
+    status: "queued",
+    response: "queued",
+    eventType: "digest",
+    createdAt: timestamp,
+    attempts: 0,
+    maxAttempts: Math.max(...records.map((record) => Number(record.maxAttempts || 1))),
+    nextRetryAt: timestamp,
+    lastAttemptAt: null,
+    sentAt: null,
+    lastError: null,
+    lastLatencyMs: null,
+    deliveryMode: records[0].deliveryMode,
+    batchedCount: records.length,
+    digestOf: items.map((item) => item.id),
+    payload: { title, message: body, level, items },
+    rendered: { title, body, template: "default" },
+  };
+};
+
+/**
+ * 符号：applyDigestWindows（const）
+ * 作用说明：该函数偏流程编排职责，通常伴随状态更新或副作用。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 开启汇总的渠道：首次投递前的通知先挂起，最早一条入队满 windowSeconds 后合并为一条汇总通知；
+// 窗口内只有一条时按原样发送。返回本轮需要跳过的记录与新建的汇总记录（由调用方入队）。
+export const applyDigestWindows = (state, nowMs = Date.now()) => {
+  const held = new Set();
+  const digests = [];
+
+  for (const channel of state.channels || []) {
+    const digest = channel.enabled !== false ? channel.config?.digest : null;
+    if (!digest) continue;
+
+    const pending = state.notifications.filter((record) => isDigestCandidate(record, channel));
+    if (!pending.length) continue;
+
+    const oldestMs = Math.min(...pending.map((record) => toTimeMs(record.createdAt) ?? nowMs));
+    if (oldestMs + Number(digest.windowSeconds) * 1_000 > nowMs) {
+      for (const record of pending) held.add(record);
+      continue;
+    }
+    if (pending.length === 1) continue;
+
+    const digestRecord = buildDigestRecord(channel, pending, digest, nowMs);
+    for (const record of pending) {
+      record.status = "batched";
+      record.digestId = digestRecord.id;
+      record.response = `batched:${digestRecord.id}`;
+      record.nextRetryAt = null;
+    }
+    digests.push(digestRecord);
+  }
+
+  return { held, digests };
+};
+
+/**
+ * 符号：getChannelDeliveryStats（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 渠道近一段时间的投递统计，供通知渠道页展示限流丢弃与汇总合并的数量。
+export const getChannelDeliveryStats = (notifications, channelId, sinceMs) => {
+  const stats = { sent: 0, failed: 0, queued: 0, dropped: 0, batched: 0, digests: 0 };
+  for (const record of notifications) {
+    if (record.channelId !== channelId || (toTimeMs(record.createdAt) ?? 0) < sinceMs) continue;
+    if (record.status in stats) stats[record.status] += 1;
+    if (record.eventType === "digest") stats.digests += 1;
+  }
+  return stats;
+};
@@ -4,7 +4,40 @@
  * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
  */
 
-import { nowIso, uid } from "./utils.js";
+import { createHmac } from "node:crypto";
+import { getSecretValue } from "./credential-secrets.js";
+import {
+  buildSlackMessage,
+  buildWechatCard,
+  buildWechatMarkdown,
+  SLACK_MESSAGE_FORMATS,
+  WECHAT_MESSAGE_FORMATS,
+} from "./chat-messages.js";
+import { publishNotificationEvent } from "./event-bus.js";
+import {
+  appendIncidentEvent,
+  attachAlertToIncident,
+  syncIncidentOnAlertResolved,
+} from "./incidents.js";
+import {
+  applyDigestWindows,
+  getRateLimitOverflow,
+  takeRateToken,
+  validateThrottleConfig,
+} from "./notification-throttle.js";
+import { buildRouteSubject, planNotificationRoutes } from "./notification-routes.js";
+import { findOncallSchedule, getOncallScheduleId, getUserChannelRecipients, resolveOncall } from "./oncall.js";
+import { resolveAlertTarget } from "./rule-engine.js";
+import { findActiveSilence, getActiveSilenceWindow, recordSilenceMatch } from "./silences.js";
+import { deliverSmsViaGateway, normalizePhoneNumber, validateSmsGatewayConfig } from "./sms-gateway.js";
+import { extractAddress, sendSmtpMail, SMTP_SECURITY_VALUES } from "./smtp-client.js";
+import {
+  buildRecordTemplateContext,
+  renderNotificationContent,
+  renderTemplateValue,
+  validateTemplateValue,
+} from "./templates.js";
+import { escapeHtml, nowIso, uid } from "./utils.js";
 
 /**
  * 符号：MAX_NOTIFICATIONS（const）
@@ -39,6 +72,50 @@ const MAX_ATTEMPTS = RETRY_DELAYS_SECONDS.length + 1;
  */
 const VALID_DELIVERY_MODES = new Set(["mock", "http"]);
 
+/**
+ * 符号：MAX_CUSTOM_RETRIES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 渠道自定义重试间隔的上限：最多 10 次重试，单次间隔不超过 1 天。
+const MAX_CUSTOM_RETRIES = 10;
+/**
+ * 符号：MAX_RETRY_DELAY_SECONDS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const MAX_RETRY_DELAY_SECONDS = 86_400;
+/**
+ * 符号：MAX_RETRY_AFTER_SECONDS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 429/503 的 Retry-After 最多等待 1 小时，避免对端给出超长值导致通知长期积压。
+const MAX_RETRY_AFTER_SECONDS = 3_600;
+/**
+ * 符号：RETRY_AFTER_STATUSES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const RETRY_AFTER_STATUSES = new Set([429, 503]);
+/**
+ * 符号：RETRYABLE_CLIENT_STATUSES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 4xx 中这些状态码表示稍后重试可能成功，其余 4xx 视为永久失败。
+const RETRYABLE_CLIENT_STATUSES = new Set([408, 425, 429]);
+
 /**
  * 符号：ensureNoiseState（arrow-function）
  * 作用说明：该函数用于前置校验，尽早拦截非法输入并缩短错误路径。
@@ -139,7 +216,6 @@ const makeNotificationRecord = (channel, action, alert, rule, api, eventType) =>
       : configError;
   const status = blockedReason ? "failed" : "queued";
 
-  // 步骤 2：返回当前结果并结束函数，明确本路径的输出语义。
   return {
     id: uid("notify"),
     alertId: alert.id,
@@ -152,7 +228,7 @@ const makeNotificationRecord = (channel, action, alert, rule, api, eventType) =>
     eventType,
     createdAt: timestamp,
     attempts: 0,
-    maxAttempts: MAX_ATTEMPTS,
+    maxAttempts: getMaxAttempts(channel),
     nextRetryAt: blockedReason ? null : timestamp,
     lastAttemptAt: null,
     sentAt: null,
@@ -170,6 +246,61 @@ const makeNotificationRecord = (channel, action, alert, rule, api, eventType) =>
   };
 };
 
+/**
+ * 符号：cloneRecordForChannel（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 转投备用渠道或换渠道重放时按目标渠道新建记录：沿用原通知的告警关联与 payload，正文按目标渠道模板重新渲染。
+const cloneRecordForChannel = (record, channel, extra = {}) => {
+  const timestamp = nowIso();
+  const blockedReason = channel.enabled === false ? "channel_disabled" : validateChannelConfig(channel);
+  // 收件人是按原渠道类型解析出的联系方式（邮箱、手机号或成员 ID），换到其它类型的渠道后不再适用，
+  // 改由目标渠道按自身配置投递；逐收件人结果（recipientResults）与聊天消息体（chatMessage）都属于原渠道的投递状态，不复制。
+  const { recipients, ...payload } = record.payload || {};
+
+  return {
+    id: uid("notify"),
+    alertId: record.alertId ?? null,
+    ruleId: record.ruleId ?? null,
+    apiId: record.apiId ?? null,
+    ...(record.incidentId ? { incidentId: record.incidentId } : {}),
+    ...(record.oncall ? { oncall: record.oncall } : {}),
+    channelType: channel.type,
+    channelId: channel.id,
+    status: blockedReason ? "failed" : "queued",
+    response: blockedReason || "queued",
+    eventType: record.eventType,
+    createdAt: timestamp,
+    attempts: 0,
+    maxAttempts: getMaxAttempts(channel),
+    nextRetryAt: blockedReason ? null : timestamp,
+    lastAttemptAt: null,
+    sentAt: null,
+    lastError: blockedReason,
+    lastLatencyMs: null,
+    deliveryMode: getDeliveryMode(channel),
+    payload: channel.type === record.channelType && recipients ? { ...payload, recipients } : payload,
+    ...extra,
+  };
+};
+
+/**
+ * 符号：enqueueRecord（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收入参后会写入状态或外部资源，输出通常是更新后的对象、状态码或副作用结果。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const enqueueRecord = (state, record) => {
+  state.notifications.unshift(record);
+  if (state.notifications.length > MAX_NOTIFICATIONS) {
+    state.notifications.length = MAX_NOTIFICATIONS;
+  }
+};
+
 /**
  * 符号：normalizeUrlText（arrow-function）
  * 作用说明：该函数用于输入标准化，先把不稳定入参转为稳定结构。
@@ -194,6 +325,40 @@ const getDeliveryMode = (channel) => {
   return VALID_DELIVERY_MODES.has(mode) ? mode : "mock";
 };
 
+/**
+ * 符号：getRetryDelays（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现中使用 map/filter/reduce 等数组操作，强调声明式数据变换。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// config.retryDelaysSeconds 按渠道覆盖默认重试间隔（空数组表示不重试），非法值由 validateChannelConfig 拦截。
+const getRetryDelays = (channel) => {
+  const delays = channel?.config?.retryDelaysSeconds;
+  return Array.isArray(delays) ? delays.map(Number) : RETRY_DELAYS_SECONDS;
+};
+
+/**
+ * 符号：getMaxAttempts（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const getMaxAttempts = (channel) => getRetryDelays(channel).length + 1;
+
+/**
+ * 符号：isValidRetryDelays（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const isValidRetryDelays = (delays) =>
+  Array.isArray(delays) &&
+  delays.length <= MAX_CUSTOM_RETRIES &&
+  delays.every((item) => Number.isFinite(Number(item)) && Number(item) > 0 && Number(item) <= MAX_RETRY_DELAY_SECONDS);
+
 /**
  * 符号：validateChannelConfig（arrow-function）
  * 作用说明：该函数用于前置校验，尽早拦截非法输入并缩短错误路径。
@@ -207,28 +372,64 @@ const validateChannelConfig = (channel) => {
   // 步骤 1：执行当前后端业务子步骤，推进规则评估或告警处理主流程。
   const config = channel.config && typeof channel.config === "object" ? channel.config : {};
   const type = String(channel.type || "").toLowerCase();
+  if (config.retryDelaysSeconds !== undefined && !isValidRetryDelays(config.retryDelaysSeconds)) {
+    return "invalid_retry_delays";
+  }
+  const throttleError = validateThrottleConfig(config);
+  if (throttleError) return throttleError;
+  if (config.fallbackChannelId !== undefined && config.fallbackChannelId !== null) {
+    const fallbackChannelId = String(config.fallbackChannelId).trim();
+    if (!fallbackChannelId || fallbackChannelId === channel.id) return "invalid_fallback_channel";
+  }
 
   // 步骤 2：按条件分支处理不同场景，确保每条路径都符合业务约束。
   if (type === "email") {
     if (!Array.isArray(config.recipients) || config.recipients.length === 0) {
       return "invalid_email_recipients";
     }
+    if (getDeliveryMode(channel) === "http") {
+      if (!String(config.smtpHost || "").trim()) return "invalid_smtp_host";
+      if (!extractAddress(config.from)) return "invalid_email_from";
+      if (config.security && !SMTP_SECURITY_VALUES.includes(config.security)) return "invalid_smtp_security";
+    }
     return null;
   }
   // 步骤 3：按条件分支处理不同场景，确保每条路径都符合业务约束。
   if (type === "sms") {
-    if (!Array.isArray(config.recipients) || config.recipients.length === 0) {
+    if (
+      !Array.isArray(config.recipients) ||
+      config.recipients.length === 0 ||
+      config.recipients.some((item) => !normalizePhoneNumber(item))
+    ) {
       return "invalid_sms_recipients";
     }
+    if (getDeliveryMode(channel) === "http") {
+      return validateSmsGatewayConfig(config);
+    }
     return null;
   }
   // 步骤 4：按条件分支处理不同场景，确保每条路径都符合业务约束。
   if (type === "webhook") {
     if (!normalizeUrlText(config.url)) return "invalid_webhook_url";
+    if (
+      config.bodyTemplate !== undefined &&
+      (!config.bodyTemplate || typeof config.bodyTemplate !== "object" || validateTemplateValue(config.bodyTemplate))
+    ) {
+      return "invalid_webhook_body_template";
+    }
+    if (config.signing && !String(config.signing.secretRef || "").trim()) return "invalid_webhook_signing";
     return null;
   }
   // 步骤 5：按条件分支处理不同场景，确保每条路径都符合业务约束。
   if (type === "slack" || type === "wechat") {
+    const formats = type === "slack" ? SLACK_MESSAGE_FORMATS : WECHAT_MESSAGE_FORMATS;
+    if (config.messageFormat !== undefined && !formats.includes(config.messageFormat)) {
+      return `invalid_${type}_message_format`;
+    }
+    // Slack 配置了 Bot Token 时走 Web API（需指定频道），否则走 Incoming Webhook。
+    if (type === "slack" && String(config.botTokenRef || "").trim()) {
+      return String(config.channel || "").trim() ? null : "invalid_slack_channel";
+    }
     if (!normalizeUrlText(config.webhookUrl)) return `invalid_${type}_webhook_url`;
     return null;
   }
@@ -288,6 +489,34 @@ const resolveDispatchTargets = (state, actions) => {
   return resolved;
 };
 
+/**
+ * 符号：planAlertNotificationTargets（const）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 告警通知的目标渠道：开启路由策略时由路由树决定（目标带 routeId），否则沿用规则 actions。
+// 多条路由命中同一渠道时只发一次，归属最先命中的路由。
+export const planAlertNotificationTargets = (state, alert, rule, api, eventType, atMs = Date.now()) => {
+  const plan = planNotificationRoutes(state.notificationRouting, buildRouteSubject(alert, rule, api, eventType), atMs);
+  if (plan.useRuleActions) {
+    return { ...plan, targets: resolveDispatchTargets(state, Array.isArray(rule?.actions) ? rule.actions : []) };
+  }
+
+  const seen = new Set();
+  const targets = [];
+  for (const step of plan.steps) {
+    for (const target of resolveDispatchTargets(state, step.channels)) {
+      const key = getTargetKey(target);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      targets.push({ ...target, routeId: step.routeId });
+    }
+  }
+  return { ...plan, targets };
+};
+
 /**
  * 符号：shouldSuppressTriggerNotification（arrow-function）
  * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
@@ -295,8 +524,14 @@ const resolveDispatchTargets = (state, actions) => {
  * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
  * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
  */
-const shouldSuppressTriggerNotification = (state, alert, policy) => {
-  // 步骤 1：按条件分支处理不同场景，确保每条路径都符合业务约束。
+const shouldSuppressTriggerNotification = (state, alert, rule, api, policy) => {
+  // 静默按告警触发时刻匹配；drop 窗口在建告警前已经拦截，这里兜住 mute 以及窗口边界上漏过的告警。
+  const silence = findActiveSilence(state, rule, api, alert.triggeredAt);
+  if (silence) {
+    recordSilenceMatch(silence);
+    return { suppress: true, reason: `silenced:${silence.id}`, silenceId: silence.id };
+  }
+
   if (!policy.enabled) {
     return { suppress: false, reason: null };
   }
@@ -419,15 +654,14 @@ const updateFingerprintOnResolved = (state, alert) => {
  * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
  */
 const dispatchToActions = (state, alert, rule, api, eventType) => {
-  // 步骤 1：执行当前后端业务子步骤，推进规则评估或告警处理主流程。
-  const actions = Array.isArray(rule.actions) ? rule.actions : [];
   // 步骤 1：执行当前后端业务子步骤，推进规则评估或告警处理主流程。
   const records = [];
-  const targets = resolveDispatchTargets(state, actions);
+  const { targets } = planAlertNotificationTargets(state, alert, rule, api, eventType);
 
   // 步骤 2：遍历数据集合并逐项处理，累计中间结果或执行批量动作。
-  for (const { action, channel } of targets) {
+  for (const { action, channel, routeId } of targets) {
     const record = makeNotificationRecord(channel, action, alert, rule, api, eventType);
+    if (routeId) record.routeId = routeId;
     records.push(record);
     state.notifications.unshift(record);
   }
@@ -442,6 +676,72 @@ const dispatchToActions = (state, alert, rule, api, eventType) => {
   return records;
 };
 
+/**
+ * 符号：getTargetKey（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const getTargetKey = ({ action, channel }) => (channel ? `channel:${channel.id}` : `missing:${action}`);
+
+/**
+ * 符号：getNotifiedKeys（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现中使用 map/filter/reduce 等数组操作，强调声明式数据变换。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const getNotifiedKeys = (incident) =>
+  new Set(
+    incident.notifiedChannels.map((item) => (item.channelId ? `channel:${item.channelId}` : `missing:${item.action}`)),
+  );
+
+/**
+ * 符号：dispatchIncidentNotifications（arrow-function）
+ * 作用说明：该函数偏流程编排职责，通常伴随状态更新或副作用。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收入参后会写入状态或外部资源，输出通常是更新后的对象、状态码或副作用结果。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 事件级通知：标题与正文换成事件摘要，记录挂上 incidentId，并把发过的渠道记到事件上，后续成员告警不再重复通知这些渠道。
+const dispatchIncidentNotifications = (state, incident, alert, rule, api, targets, eventType) => {
+  const records = [];
+  for (const target of targets) {
+    const record = makeNotificationRecord(target.channel, target.action, alert, rule, api, eventType);
+    record.incidentId = incident.id;
+    if (target.routeId) record.routeId = target.routeId;
+    record.payload = {
+      ...record.payload,
+      title: `[Incident] ${incident.title}`,
+      message: `${incident.summary}. Latest: ${alert.title} - ${alert.message}`,
+      level: incident.level,
+      incidentId: incident.id,
+      incidentStatus: incident.status,
+      alertCount: incident.alertIds.length,
+      activeAlertCount: incident.activeAlertCount,
+    };
+    records.push(record);
+    state.notifications.unshift(record);
+
+    if (!getNotifiedKeys(incident).has(getTargetKey(target))) {
+      incident.notifiedChannels.push({ action: target.action, channelId: target.channel?.id ?? null });
+    }
+  }
+
+  if (state.notifications.length > MAX_NOTIFICATIONS) {
+    state.notifications.length = MAX_NOTIFICATIONS;
+  }
+
+  if (records.length) {
+    const ids = records.map((item) => item.id);
+    alert.notifications = (alert.notifications ?? []).concat(ids);
+    incident.notifications = (incident.notifications ?? []).concat(ids);
+    appendIncidentEvent(incident, "notified", "system", `${eventType} sent to ${records.length} channels`);
+  }
+  return records;
+};
+
 /**
  * 符号：dispatchEscalationNotifications（arrow-function）
  * 作用说明：该函数偏流程编排职责，通常伴随状态更新或副作用。
@@ -454,7 +754,10 @@ const dispatchEscalationNotifications = (state, alert, rule, api, escalation) =>
   const actions = Array.isArray(escalation.actions) ? escalation.actions : [];
   // 步骤 1：执行当前后端业务子步骤，推进规则评估或告警处理主流程。
   const records = [];
-  const targets = resolveDispatchTargets(state, actions);
+  const targets = resolveDispatchTargets(
+    state,
+    actions.filter((action) => !getOncallScheduleId(action)),
+  );
 
   // 步骤 2：遍历数据集合并逐项处理，累计中间结果或执行批量动作。
   for (const { action, channel } of targets) {
@@ -468,6 +771,40 @@ const dispatchEscalationNotifications = (state, alert, rule, api, escalation) =>
     state.notifications.unshift(record);
   }
 
+  // `oncall:<scheduleId>` 在发送时才解析当班人，再经值班表配置的渠道送达，换班后自动找到新的人。
+  for (const action of actions) {
+    const scheduleId = getOncallScheduleId(action);
+    if (!scheduleId) continue;
+
+    const schedule = findOncallSchedule(state, scheduleId);
+    const oncall = resolveOncall(state, schedule);
+    if (!oncall?.user) {
+      const record = makeNotificationRecord(null, action, alert, rule, api, "escalation");
+      record.response = schedule ? "oncall_no_responder" : "oncall_schedule_missing";
+      record.lastError = record.response;
+      records.push(record);
+      state.notifications.unshift(record);
+      continue;
+    }
+
+    for (const { action: channelAction, channel } of resolveDispatchTargets(state, schedule.notifyVia || [])) {
+      const record = makeNotificationRecord(channel, channelAction, alert, rule, api, "escalation");
+      // 收件人取当班人在该渠道类型上的联系方式；未登记时不指定，回落到渠道自身配置的收件人。
+      const recipients = getUserChannelRecipients(oncall.user, channel?.type);
+      record.oncall = { scheduleId, userId: oncall.user.id, userName: oncall.user.name };
+      record.payload = {
+        ...record.payload,
+        escalationLevel: escalation.level,
+        escalationAfterMinutes: escalation.afterMinutes,
+        oncallSchedule: schedule.name,
+        assignee: oncall.user.name,
+        ...(recipients.length ? { recipients } : {}),
+      };
+      records.push(record);
+      state.notifications.unshift(record);
+    }
+  }
+
   // 步骤 3：按条件分支处理不同场景，确保每条路径都符合业务约束。
   if (state.notifications.length > MAX_NOTIFICATIONS) {
     state.notifications.length = MAX_NOTIFICATIONS;
@@ -491,14 +828,42 @@ export const dispatchAlertNotifications = (state, alert, rule, api) => {
   updateFlappingStateOnOpen(state, alert, policy);
 
   // 步骤 2：执行当前后端业务子步骤，推进规则评估或告警处理主流程。
-  const decision = shouldSuppressTriggerNotification(state, alert, policy);
-  // 步骤 1：按条件分支处理不同场景，确保每条路径都符合业务约束。
+  const grouped = attachAlertToIncident(state, alert, rule, api);
+
+  const decision = shouldSuppressTriggerNotification(state, alert, rule, api, policy);
+  if (decision.silenceId) {
+    alert.silenceId = decision.silenceId;
+    alert.lastNotificationStatus = "silenced";
+    alert.lastNotificationReason = decision.reason;
+    return [];
+  }
   if (decision.suppress) {
     alert.lastNotificationStatus = "suppressed";
     alert.lastNotificationReason = decision.reason;
     return [];
   }
 
+  if (grouped) {
+    // 同一事件只通知一次：后续成员告警只发给事件还没通知过的渠道；事件级别被拉高时重新通知全部渠道。
+    const { incident, levelRaised } = grouped;
+    const notifiedKeys = getNotifiedKeys(incident);
+    const eventType = notifiedKeys.size ? "incident_update" : "trigger";
+    const targets = planAlertNotificationTargets(state, alert, rule, api, eventType).targets.filter(
+      (target) => levelRaised || !notifiedKeys.has(getTargetKey(target)),
+    );
+    if (!targets.length) {
+      alert.lastNotificationStatus = "grouped";
+      alert.lastNotificationReason = `incident:${incident.id}`;
+      return [];
+    }
+
+    updateFingerprintOnTriggerSend(state, alert);
+    alert.lastNotificationStatus = "sent";
+    alert.lastNotificationReason = null;
+    alert.lastNotifiedAt = nowIso();
+    return dispatchIncidentNotifications(state, incident, alert, rule, api, targets, eventType);
+  }
+
   updateFingerprintOnTriggerSend(state, alert);
   alert.lastNotificationStatus = "sent";
   alert.lastNotificationReason = null;
@@ -516,6 +881,7 @@ export const dispatchAlertNotifications = (state, alert, rule, api) => {
  */
 export const dispatchAlertRecoveryNotifications = (state, alert, rule, api) => {
   updateFingerprintOnResolved(state, alert);
+  const incidentSync = syncIncidentOnAlertResolved(state, alert);
 
   // 步骤 1：执行当前后端业务子步骤，推进规则评估或告警处理主流程。
   const policy = getPolicy(state);
@@ -525,6 +891,20 @@ export const dispatchAlertRecoveryNotifications = (state, alert, rule, api) => {
   }
 
   // 步骤 2：执行当前后端业务子步骤，推进规则评估或告警处理主流程。
+  // 归属事件的告警不单独发恢复通知，等最后一条成员告警恢复后，按事件通知过的渠道统一发一次。
+  if (incidentSync) {
+    const { incident, resolved } = incidentSync;
+    if (!resolved || !incident.notifiedChannels.length) {
+      return [];
+    }
+    const targets = incident.notifiedChannels.map((item) => ({
+      action: item.action,
+      channel: item.channelId ? state.channels.find((channel) => channel.id === item.channelId) ?? null : null,
+    }));
+    updateFingerprintOnRecoverySend(state, alert);
+    return dispatchIncidentNotifications(state, incident, alert, rule, api, targets, "recovery");
+  }
+
   const fingerprintState = getFingerprintState(state, getFingerprint(alert));
   // 步骤 2：按条件分支处理不同场景，确保每条路径都符合业务约束。
   if (!fingerprintState.lastNotifiedAt) {
@@ -580,12 +960,25 @@ export const processEscalationTick = (state, options = {}) => {
       continue;
     }
 
+    // 并入事件后未单独通知的成员告警由事件首条告警代表升级，避免一个事件升级出多份通知。
+    if (alert.lastNotificationStatus === "grouped") {
+      continue;
+    }
+
+    // 静默期内的告警不升级；静默结束后按正常升级策略处理。
+    if (alert.silenceId) {
+      const silence = (state.silences || []).find((item) => item.id === alert.silenceId);
+      if (getActiveSilenceWindow(silence, nowMs)) {
+        continue;
+      }
+    }
+
     const triggeredAtMs = new Date(alert.triggeredAt).getTime();
     if (!Number.isFinite(triggeredAtMs)) continue;
     const ageMinutes = (nowMs - triggeredAtMs) / 60_000;
 
     const rule = state.rules.find((item) => item.id === alert.ruleId);
-    const api = state.apis.find((item) => item.id === alert.apiId);
+    const api = resolveAlertTarget(state, alert);
     if (!rule || !api) continue;
 
     alert.escalations = Array.isArray(alert.escalations) ? alert.escalations : [];
@@ -608,10 +1001,12 @@ export const processEscalationTick = (state, options = {}) => {
       const records = dispatchEscalationNotifications(state, alert, rule, api, escalation);
       if (records.length) {
         const nowIsoStr = nowIso();
+        const responders = [...new Set(records.map((item) => item.oncall?.userId).filter(Boolean))];
         if (entry) {
           entry.lastSentAt = nowIsoStr;
+          entry.responders = responders;
         } else {
-          alert.escalations.push({ level: escalation.level, lastSentAt: nowIsoStr });
+          alert.escalations.push({ level: escalation.level, lastSentAt: nowIsoStr, responders });
         }
         alert.lastEscalationLevel = escalation.level;
         sent += records.length;
@@ -651,7 +1046,7 @@ export const dispatchChannelTest = (state, channel, operator = "manual") => {
     eventType: "test",
     createdAt: nowIso(),
     attempts: 0,
-    maxAttempts: MAX_ATTEMPTS,
+    maxAttempts: getMaxAttempts(channel),
     nextRetryAt: blockedReason ? null : nowIso(),
     lastAttemptAt: null,
     sentAt: null,
@@ -738,6 +1133,357 @@ const shouldMockFail = (channel) => {
   return Math.random() < capped;
 };
 
+/**
+ * 符号：formatRenderedText（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const formatRenderedText = (record) => {
+  if (record.rendered) {
+    return [record.rendered.title, record.rendered.body].filter(Boolean).join("\n");
+  }
+  const payload = record.payload || {};
+  return `[${payload.level || "info"}] ${payload.title || ""} ${payload.message || ""}`.trim();
+};
+
+/**
+ * 符号：buildEmailHtml（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const buildEmailHtml = (title, body) => {
+  const paragraphs = escapeHtml(body)
+    .replace(/https?:\/\/[^\s<]+/g, (url) => `<a href="${url}">${url}</a>`)
+    .replace(/\n/g, "<br>");
+  return [
+    '<!doctype html><html><body style="font-family:sans-serif;font-size:14px;color:#1e293b">',
+    `<h3 style="margin:0 0 12px">${escapeHtml(title)}</h3>`,
+    `<p style="line-height:1.6">${paragraphs}</p>`,
+    "</body></html>",
+  ].join("");
+};
+
+/**
+ * 符号：deliverEmail（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 值班升级等场景在 payload.recipients 中指定了具体收件人，此时只发给这些人，否则发给渠道配置的收件人。
+// 5xx 应答属于永久失败（如收件人被拒），标记 permanent 跳过重试；4xx 与网络错误照常重试。
+const deliverEmail = async (config, record, timeoutMs) => {
+  const payload = record.payload || {};
+  const recipients = (Array.isArray(payload.recipients) && payload.recipients.length ? payload.recipients : config.recipients)
+    .map((item) => extractAddress(item))
+    .filter(Boolean);
+  if (!recipients.length) {
+    return { success: false, response: "invalid_email_recipients", error: "invalid_email_recipients", permanent: true };
+  }
+
+  const passwordRef = String(config.passwordRef || "").trim();
+  const password = passwordRef ? getSecretValue(passwordRef) : null;
+  if (passwordRef && !password) {
+    return { success: false, response: "secret_not_found", error: `secret_not_found:${passwordRef}`, permanent: true };
+  }
+
+  const title = record.rendered?.title || payload.title || "API Alert";
+  const text = record.rendered?.body ?? payload.message ?? "";
+  try {
+    const reply = await sendSmtpMail({
+      host: String(config.smtpHost).trim(),
+      port: config.smtpPort,
+      security: config.security,
+      rejectUnauthorized: config.rejectUnauthorized,
+      heloName: config.heloName,
+      username: config.username,
+      password,
+      from: config.from,
+      to: recipients,
+      subject: title,
+      text,
+      html: buildEmailHtml(title, text),
+      timeoutMs,
+    });
+    return { success: true, response: `smtp_${reply.code} ${reply.message}`.trim() };
+  } catch (error) {
+    if (!error.smtpCode) throw error;
+    return { success: false, response: `smtp_${error.smtpCode}`, error: error.message, permanent: error.smtpCode >= 500 };
+  }
+};
+
+/**
+ * 符号：parseRetryAfterSeconds（arrow-function）
+ * 作用说明：该函数用于输入标准化，先把不稳定入参转为稳定结构。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// Retry-After 既可能是秒数也可能是 HTTP 日期，解析失败时返回 null 走渠道默认重试间隔。
+const parseRetryAfterSeconds = (value) => {
+  const text = String(value ?? "").trim();
+  if (!text) return null;
+  const seconds = /^\d+$/.test(text) ? Number(text) : Math.ceil((Date.parse(text) - Date.now()) / 1_000);
+  if (!Number.isFinite(seconds)) return null;
+  return Math.min(Math.max(seconds, 1), MAX_RETRY_AFTER_SECONDS);
+};
+
+/**
+ * 符号：toHttpFailure（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const toHttpFailure = (response) => {
+  const status = response.status;
+  const retryAfterSeconds = RETRY_AFTER_STATUSES.has(status)
+    ? parseRetryAfterSeconds(response.headers.get("retry-after"))
+    : null;
+  return {
+    success: false,
+    response: `http_${status}`,
+    error: `http_${status}`,
+    permanent: status >= 400 && status < 500 && !RETRYABLE_CLIENT_STATUSES.has(status),
+    retryAfterSeconds,
+  };
+};
+
+/**
+ * 符号：SLACK_PERMANENT_ERRORS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// Slack Web API 返回这些错误时重试也不会成功（凭据或频道配置问题）。
+const SLACK_PERMANENT_ERRORS = new Set([
+  "invalid_auth",
+  "not_authed",
+  "account_inactive",
+  "token_revoked",
+  "missing_scope",
+  "channel_not_found",
+  "not_in_channel",
+  "is_archived",
+  "invalid_blocks",
+  "msg_too_long",
+]);
+
+/**
+ * 符号：postJson（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const postJson = (url, body, timeoutMs, headers = {}) =>
+  fetchWithTimeout(
+    url,
+    { method: "POST", headers: { "Content-Type": "application/json; charset=utf-8", ...headers }, body: JSON.stringify(body) },
+    timeoutMs,
+  );
+
+/**
+ * 符号：callSlackApi（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const callSlackApi = async (config, method, token, body, timeoutMs) => {
+  const baseUrl = normalizeUrlText(config.apiBaseUrl || "https://slack.com/api").replace(/\/+$/, "");
+  const response = await postJson(`${baseUrl}/${method}`, body, timeoutMs, { Authorization: `Bearer ${token}` });
+  if (!response.ok) return { failure: toHttpFailure(response) };
+  const data = await response.json().catch(() => ({}));
+  if (!data.ok) {
+    const error = `slack_${data.error || "unknown_error"}`;
+    return { failure: { success: false, response: error, error, permanent: SLACK_PERMANENT_ERRORS.has(data.error) } };
+  }
+  return { data };
+};
+
+/**
+ * 符号：findSlackRootMessage（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 同一告警在该渠道上第一条发出的 Slack 消息作为线程根，后续升级、事件更新与恢复都回复在线程里。
+const findSlackRootMessage = (state, channel, record) =>
+  record.alertId
+    ? state.notifications.find(
+        (item) =>
+          item !== record &&
+          item.channelId === channel.id &&
+          item.alertId === record.alertId &&
+          item.chatMessage?.ts &&
+          !item.chatMessage.threadTs,
+      )
+    : null;
+
+/**
+ * 符号：deliverSlack（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const deliverSlack = async (state, channel, config, record, timeoutMs) => {
+  const context = buildRecordTemplateContext(state, channel, record);
+  // 汇总通知没有单条告警上下文，统一按纯文本发送。
+  const message =
+    config.messageFormat === "text" || record.eventType === "digest"
+      ? { text: formatRenderedText(record) }
+      : buildSlackMessage(context, record.rendered, { interactive: Boolean(config.interactive) });
+  // 值班升级时 payload.recipients 是当班人的 Slack 成员 ID，写在顶层 text 里才会触发 @ 提醒。
+  const mentions = (record.payload?.recipients || []).map((userId) => `<@${userId}>`).join(" ");
+  if (mentions) message.text = `${mentions} ${message.text}`;
+
+  const botTokenRef = String(config.botTokenRef || "").trim();
+  if (!botTokenRef) {
+    const response = await postJson(normalizeUrlText(config.webhookUrl), message, timeoutMs);
+    if (!response.ok) return toHttpFailure(response);
+    return { success: true, response: `http_${response.status}` };
+  }
+
+  const token = getSecretValue(botTokenRef);
+  if (!token) {
+    return { success: false, response: "secret_not_found", error: `secret_not_found:${botTokenRef}`, permanent: true };
+  }
+
+  const root = findSlackRootMessage(state, channel, record);
+  const posted = await callSlackApi(
+    config,
+    "chat.postMessage",
+    token,
+    { channel: root?.chatMessage.channel || config.channel, ...message, ...(root ? { thread_ts: root.chatMessage.ts } : {}) },
+    timeoutMs,
+  );
+  if (posted.failure) return posted.failure;
+  record.chatMessage = { channel: posted.data.channel, ts: posted.data.ts, threadTs: root?.chatMessage.ts ?? null };
+  if (!root || record.eventType !== "recovery" || config.messageFormat === "text") {
+    return { success: true, response: `slack_ok ${posted.data.ts}` };
+  }
+
+  // 恢复时把线程根消息原地改为已恢复样式（保留原标题与正文），频道里不展开线程也能看到最终状态。
+  // 线程回复已经发出，根消息更新失败只记录在 response 中，不触发重试以免重复回复。
+  const updated = await callSlackApi(
+    config,
+    "chat.update",
+    token,
+    { channel: root.chatMessage.channel, ts: root.chatMessage.ts, ...buildSlackMessage(context, root.rendered) },
+    timeoutMs,
+  );
+  return {
+    success: true,
+    response: updated.failure
+      ? `slack_ok ${posted.data.ts} root_update_failed:${updated.failure.error}`
+      : `slack_ok ${posted.data.ts} root_updated`,
+  };
+};
+
+/**
+ * 符号：deliverWechat（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 企业微信机器人即使失败也返回 HTTP 200，需要检查响应体中的 errcode。
+const deliverWechat = async (state, channel, config, record, timeoutMs) => {
+  const context = buildRecordTemplateContext(state, channel, record);
+  const format = record.eventType === "digest" ? "text" : config.messageFormat || "markdown";
+  const body =
+    format === "card"
+      ? buildWechatCard(context, record.rendered)
+      : format === "markdown"
+        ? buildWechatMarkdown(context, record.rendered)
+        : { msgtype: "text", text: { content: formatRenderedText(record) } };
+  // 值班升级时 payload.recipients 是当班人的企业微信 userid：markdown 用 <@userid>，text 用 mentioned_list；模板卡片不支持提醒。
+  const mentions = record.payload?.recipients || [];
+  if (mentions.length && body.msgtype === "markdown") {
+    body.markdown.content = `${mentions.map((userId) => `<@${userId}>`).join(" ")}\n${body.markdown.content}`;
+  }
+  if (mentions.length && body.msgtype === "text") body.text.mentioned_list = mentions;
+
+  const response = await postJson(normalizeUrlText(config.webhookUrl), body, timeoutMs);
+  if (!response.ok) return toHttpFailure(response);
+  const data = await response.json().catch(() => ({}));
+  if (Number(data.errcode || 0) !== 0) {
+    const error = `wechat_${data.errcode}${data.errmsg ? ` ${data.errmsg}` : ""}`;
+    return { success: false, response: `wechat_${data.errcode}`, error };
+  }
+  return { success: true, response: `http_${response.status}` };
+};
+
+/**
+ * 符号：signWebhookBody（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 签名串为 "<时间戳>.<请求体>"，接收方用同一密钥重算 HMAC-SHA256 并校验时间戳新鲜度以防重放。
+export const signWebhookBody = (secret, timestamp, bodyText) =>
+  `sha256=${createHmac("sha256", secret).update(`${timestamp}.${bodyText}`).digest("hex")}`;
+
+/**
+ * 符号：deliverWebhook（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 请求体默认为 payload + rendered；配置 bodyTemplate 后按模板上下文渲染，额外提供 rendered 与 delivery（通知 ID、第几次投递）。
+// 幂等键固定为通知 ID，重试时不变，接收方据此去重。
+const deliverWebhook = async (state, channel, config, record, timeoutMs) => {
+  let body;
+  try {
+    body = config.bodyTemplate
+      ? renderTemplateValue(config.bodyTemplate, {
+          ...buildRecordTemplateContext(state, channel, record),
+          rendered: record.rendered ?? null,
+          delivery: { id: record.id, attempt: record.attempts },
+        })
+      : { ...(record.payload || {}), rendered: record.rendered ?? null };
+  } catch (error) {
+    const message = `webhook_body_template_error:${error.message}`;
+    return { success: false, response: "webhook_body_template_error", error: message, permanent: true };
+  }
+
+  const bodyText = JSON.stringify(body);
+  const headers = {
+    "Content-Type": "application/json",
+    [config.idempotencyHeader || "Idempotency-Key"]: record.id,
+    ...parseHeaderMap(config.headers),
+  };
+
+  if (config.signing) {
+    const secretRef = String(config.signing.secretRef).trim();
+    const secret = getSecretValue(secretRef);
+    if (!secret) {
+      return { success: false, response: "secret_not_found", error: `secret_not_found:${secretRef}`, permanent: true };
+    }
+    const timestamp = String(Math.floor(Date.now() / 1_000));
+    headers[config.signing.timestampHeader || "X-Signature-Timestamp"] = timestamp;
+    headers[config.signing.header || "X-Signature"] = signWebhookBody(secret, timestamp, bodyText);
+  }
+
+  const response = await fetchWithTimeout(
+    normalizeUrlText(config.url),
+    { method: String(config.method || "POST").toUpperCase(), headers, body: bodyText },
+    timeoutMs,
+  );
+  if (!response.ok) return toHttpFailure(response);
+  return { success: true, response: `http_${response.status}` };
+};
+
 /**
  * 符号：deliverByChannel（arrow-function）
  * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
@@ -745,7 +1491,7 @@ const shouldMockFail = (channel) => {
  * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
  * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
  */
-const deliverByChannel = async (channel, record) => {
+const deliverByChannel = async (channel, record, state) => {
   // 步骤 1：按条件分支处理不同场景，确保每条路径都符合业务约束。
   if (!channel) {
     return { success: false, response: "channel_missing", error: "channel_missing" };
@@ -765,72 +1511,33 @@ const deliverByChannel = async (channel, record) => {
 
   const timeoutMs = Math.max(1_000, Number(config.timeoutMs ?? config.timeout ?? 8_000));
   // 步骤 3：执行当前后端业务子步骤，推进规则评估或告警处理主流程。
-  const payload = record.payload || {};
   const type = String(channel.type || "").toLowerCase();
 
   // 步骤 4：按条件分支处理不同场景，确保每条路径都符合业务约束。
   if (type === "webhook") {
-    const url = normalizeUrlText(config.url);
-    const method = String(config.method || "POST").toUpperCase();
-    const headers = {
-      "Content-Type": "application/json",
-      ...parseHeaderMap(config.headers),
-    };
-    const response = await fetchWithTimeout(
-      url,
-      { method, headers, body: JSON.stringify(payload) },
-      timeoutMs,
-    );
-    if (!response.ok) {
-      return {
-        success: false,
-        response: `http_${response.status}`,
-        error: `http_${response.status}`,
-      };
-    }
-    return { success: true, response: `http_${response.status}` };
+    return deliverWebhook(state, channel, config, record, timeoutMs);
   }
 
   // 步骤 5：按条件分支处理不同场景，确保每条路径都符合业务约束。
-  if (type === "slack" || type === "wechat") {
-    const url = normalizeUrlText(config.webhookUrl);
-    const body =
-      type === "slack"
-        ? {
-            text: `[${payload.level || "info"}] ${payload.title || ""} ${payload.message || ""}`.trim(),
-          }
-        : {
-            msgtype: "text",
-            text: {
-              content: `[${payload.level || "info"}] ${payload.title || ""} ${payload.message || ""}`.trim(),
-            },
-          };
-    const response = await fetchWithTimeout(
-      url,
-      {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(body),
-      },
-      timeoutMs,
-    );
-    if (!response.ok) {
-      return {
-        success: false,
-        response: `http_${response.status}`,
-        error: `http_${response.status}`,
-      };
-    }
-    return { success: true, response: `http_${response.status}` };
+  if (type === "slack") {
+    return deliverSlack(state, channel, config, record, timeoutMs);
+  }
+  if (type === "wechat") {
+    return deliverWechat(state, channel, config, record, timeoutMs);
   }
 
   // 步骤 6：按条件分支处理不同场景，确保每条路径都符合业务约束。
   if (type === "email") {
-    return { success: true, response: "smtp_mock_sent" };
+    return deliverEmail(config, record, timeoutMs);
   }
   // 步骤 7：按条件分支处理不同场景，确保每条路径都符合业务约束。
   if (type === "sms") {
-    return { success: true, response: "sms_mock_sent" };
+    return deliverSmsViaGateway({
+      config,
+      record,
+      credentials: state?.credentials || [],
+      request: (url, options) => fetchWithTimeout(url, options, timeoutMs),
+    });
   }
 
   // 步骤 8：返回当前结果并结束函数，明确本路径的输出语义。
@@ -844,12 +1551,124 @@ const deliverByChannel = async (channel, record) => {
  * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
  * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
  */
-const getRetryDelaySeconds = (attempts) => {
+// 记录的 maxAttempts 在入队时确定；渠道随后把间隔改成空列表时，剩余重试回退到默认间隔。
+const getRetryDelaySeconds = (attempts, delays = RETRY_DELAYS_SECONDS) => {
+  const schedule = delays.length ? delays : RETRY_DELAYS_SECONDS;
   // 步骤 1：按条件分支处理不同场景，确保每条路径都符合业务约束。
-  if (attempts <= 0) return RETRY_DELAYS_SECONDS[0];
+  if (attempts <= 0) return schedule[0];
   // 步骤 1：执行当前后端业务子步骤，推进规则评估或告警处理主流程。
-  const index = Math.min(attempts - 1, RETRY_DELAYS_SECONDS.length - 1);
-  return RETRY_DELAYS_SECONDS[index];
+  const index = Math.min(attempts - 1, schedule.length - 1);
+  return schedule[index];
+};
+
+/**
+ * 符号：enqueueFallback（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 主渠道硬失败（配置错误、永久错误或重试耗尽）后按 config.fallbackChannelId 转投备用渠道。
+// 只转一跳：备用渠道上的记录（fallbackOf）失败后不再继续转投，避免两个渠道互为备用时来回转发。
+const enqueueFallback = (state, channel, record) => {
+  const fallbackChannelId = channel?.config?.fallbackChannelId;
+  if (!fallbackChannelId || record.fallbackOf || record.fallbackRecordId) return null;
+
+  const fallbackChannel = state.channels.find((item) => item.id === fallbackChannelId);
+  if (!fallbackChannel) {
+    record.fallbackError = "fallback_channel_missing";
+    return null;
+  }
+
+  const fallback = cloneRecordForChannel(record, fallbackChannel, { fallbackOf: record.id });
+  record.fallbackRecordId = fallback.id;
+  enqueueRecord(state, fallback);
+  publishNotificationEvent(fallback);
+  return fallback;
+};
+
+/**
+ * 符号：replayNotification（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 死信重放：原渠道重试时复用同一条记录（重置尝试次数，记录 ID 即 Idempotency-Key 保持不变，短信已成功的号码不重发）；
+// 换渠道时新建记录，原记录标记为 replayed 并指向新记录。
+export const replayNotification = (state, record, targetChannel, operator = "manual") => {
+  const replayedAt = nowIso();
+  if (targetChannel.id === record.channelId) {
+    record.status = "queued";
+    record.response = "queued";
+    record.attempts = 0;
+    record.maxAttempts = getMaxAttempts(targetChannel);
+    record.nextRetryAt = replayedAt;
+    record.replayCount = Number(record.replayCount || 0) + 1;
+    record.replayedAt = replayedAt;
+    record.replayedBy = operator;
+    publishNotificationEvent(record);
+    return record;
+  }
+
+  const replay = cloneRecordForChannel(record, targetChannel, { replayOf: record.id, replayedBy: operator });
+  record.status = "replayed";
+  record.replayedTo = replay.id;
+  record.replayedAt = replayedAt;
+  record.replayedBy = operator;
+  enqueueRecord(state, replay);
+  publishNotificationEvent(record);
+  publishNotificationEvent(replay);
+  return replay;
+};
+
+/**
+ * 符号：getFailureReason（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 失败原因取 lastError 的首段（如 http_404、wechat_93000、secret_not_found），便于按类聚合。
+export const getFailureReason = (record) =>
+  String(record.lastError || record.response || "unknown").split(/[\s:]/)[0] || "unknown";
+
+/**
+ * 符号：summarizeDeadLetters（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 死信视图：失败通知按渠道 + 失败原因分组，分组按数量降序，数量相同时最近失败的在前。
+export const summarizeDeadLetters = (state, records) => {
+  const groups = new Map();
+  for (const record of records) {
+    const reason = getFailureReason(record);
+    const key = `${record.channelId ?? record.channelType}|${reason}`;
+    const failedAt = record.lastAttemptAt || record.createdAt;
+    if (!groups.has(key)) {
+      const channel = state.channels.find((item) => item.id === record.channelId);
+      groups.set(key, {
+        channelId: record.channelId ?? null,
+        channelName: channel?.name ?? null,
+        channelType: channel?.type ?? record.channelType,
+        reason,
+        sampleError: record.lastError || record.response || null,
+        count: 0,
+        latestAt: failedAt,
+        ids: [],
+      });
+    }
+    const group = groups.get(key);
+    group.count += 1;
+    group.ids.push(record.id);
+    if (String(failedAt) > String(group.latestAt)) {
+      group.latestAt = failedAt;
+      group.sampleError = record.lastError || record.response || null;
+    }
+  }
+  return [...groups.values()].sort((left, right) => right.count - left.count || String(right.latestAt).localeCompare(String(left.latestAt)));
 };
 
 /**
@@ -864,21 +1683,35 @@ export const processNotificationQueueTick = async (state, options = {}) => {
   const limit = Math.max(1, Math.min(Number(options.limit ?? 20), 200));
   // 步骤 1：执行当前后端业务子步骤，推进规则评估或告警处理主流程。
   const nowMs = Date.now();
+  // 汇总窗口先于限流处理：窗口内的通知本轮挂起，到期后合并成一条汇总通知，只占用一个限流令牌。
+  const { held, digests } = applyDigestWindows(state, nowMs);
+  for (const digest of digests) {
+    enqueueRecord(state, digest);
+  }
   const queued = state.notifications
     .filter((item) => {
-      if (item.status !== "queued") return false;
+      if (item.status !== "queued" || held.has(item)) return false;
       if (!item.channelId) return false;
       const nextRetryMs = item.nextRetryAt ? new Date(item.nextRetryAt).getTime() : 0;
       return !Number.isFinite(nextRetryMs) || nextRetryMs <= nowMs;
     })
     .slice(0, limit);
 
+  const batched = digests.reduce((total, digest) => total + digest.batchedCount, 0);
   const summary = {
-    processed: 0,
+    processed: batched,
     sent: 0,
     failed: 0,
     retried: 0,
+    dropped: 0,
+    deferred: 0,
+    batched,
   };
+  for (const digest of digests) {
+    for (const record of state.notifications.filter((item) => item.digestId === digest.id)) {
+      publishNotificationEvent(record);
+    }
+  }
 
   // 步骤 2：遍历数据集合并逐项处理，累计中间结果或执行批量动作。
   for (const record of queued) {
@@ -893,17 +1726,42 @@ export const processNotificationQueueTick = async (state, options = {}) => {
           : configError;
       record.response = record.lastError;
       record.nextRetryAt = null;
+      // 渠道被停用属于主动操作，不转投备用渠道。
+      if (channel?.enabled) enqueueFallback(state, channel, record);
       summary.failed += 1;
       summary.processed += 1;
+      publishNotificationEvent(record);
       continue;
     }
 
+    // 超出渠道限流时按 overflow 处理：drop 直接丢弃并记为 dropped，defer 顺延到下一个令牌可用时刻。
+    const rate = takeRateToken(channel, Date.now());
+    if (!rate.allowed) {
+      if (getRateLimitOverflow(channel) === "defer") {
+        record.response = `rate_limited_retry_in_${rate.waitSeconds}s`;
+        record.nextRetryAt = new Date(Date.now() + rate.waitSeconds * 1_000).toISOString();
+        summary.deferred += 1;
+      } else {
+        record.status = "dropped";
+        record.response = "rate_limited";
+        record.nextRetryAt = null;
+        summary.dropped += 1;
+      }
+      summary.processed += 1;
+      publishNotificationEvent(record);
+      continue;
+    }
+
+    // 首次投递时按渠道模板渲染正文并保存在记录上，重试沿用同一份内容。
+    if (!record.rendered) {
+      record.rendered = renderNotificationContent(state, channel, record);
+    }
     record.attempts = Number(record.attempts || 0) + 1;
     record.lastAttemptAt = nowIso();
     const startedAt = Date.now();
 
     try {
-      const result = await deliverByChannel(channel, record);
+      const result = await deliverByChannel(channel, record, state);
       record.lastLatencyMs = Date.now() - startedAt;
 
       if (result.success) {
@@ -913,8 +1771,9 @@ export const processNotificationQueueTick = async (state, options = {}) => {
         record.sentAt = nowIso();
         record.nextRetryAt = null;
         summary.sent += 1;
-      } else if (record.attempts < Number(record.maxAttempts || MAX_ATTEMPTS)) {
-        const delaySeconds = getRetryDelaySeconds(record.attempts);
+      } else if (!result.permanent && record.attempts < Number(record.maxAttempts || MAX_ATTEMPTS)) {
+        // 对端通过 Retry-After 指定了等待时间（429/503）时优先遵循，否则按渠道重试间隔。
+        const delaySeconds = result.retryAfterSeconds ?? getRetryDelaySeconds(record.attempts, getRetryDelays(channel));
         record.status = "queued";
         record.lastError = result.error || "delivery_failed";
         record.response = `retry_in_${delaySeconds}s`;
@@ -925,12 +1784,13 @@ export const processNotificationQueueTick = async (state, options = {}) => {
         record.lastError = result.error || "delivery_failed";
         record.response = result.response || "delivery_failed";
         record.nextRetryAt = null;
+        enqueueFallback(state, channel, record);
         summary.failed += 1;
       }
     } catch (error) {
       record.lastLatencyMs = Date.now() - startedAt;
       if (record.attempts < Number(record.maxAttempts || MAX_ATTEMPTS)) {
-        const delaySeconds = getRetryDelaySeconds(record.attempts);
+        const delaySeconds = getRetryDelaySeconds(record.attempts, getRetryDelays(channel));
         record.status = "queued";
         record.lastError = String(error?.message || "delivery_exception");
         record.response = `retry_in_${delaySeconds}s`;
@@ -941,11 +1801,13 @@ export const processNotificationQueueTick = async (state, options = {}) => {
         record.lastError = String(error?.message || "delivery_exception");
         record.response = "delivery_exception";
         record.nextRetryAt = null;
+        enqueueFallback(state, channel, record);
         summary.failed += 1;
       }
     }
 
     summary.processed += 1;
+    publishNotificationEvent(record);
   }
 
   // 步骤 3：返回当前结果并结束函数，明确本路径的输出语义。
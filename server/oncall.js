@@ -0,0 +1,557 @@
+/**
+ * @file server/oncall.js
+ * 文件作用：后端业务模块，参与 API 接入、规则评估、告警流转与通知链路。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import { normalizePhoneNumber } from "./sms-gateway.js";
+import { nowIso, toNumber, uid } from "./utils.js";
+
+/**
+ * 符号：ONCALL_ACTION_PREFIX（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const ONCALL_ACTION_PREFIX = "oncall:";
+
+/**
+ * 符号：DAY_MS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const DAY_MS = 86_400_000;
+/**
+ * 符号：MAX_SCHEDULES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const MAX_SCHEDULES = 200;
+/**
+ * 符号：MAX_OVERRIDES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const MAX_OVERRIDES = 200;
+/**
+ * 符号：DEFAULT_TIME_ZONE（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const DEFAULT_TIME_ZONE = "UTC";
+/**
+ * 符号：TIME_OF_DAY_PATTERN（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+/**
+ * 符号：DATE_PATTERN（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * 符号：zonedFormatters（const）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const zonedFormatters = new Map();
+
+/**
+ * 符号：ensureOncallSchedules（arrow-function）
+ * 作用说明：该函数用于前置校验，尽早拦截非法输入并缩短错误路径。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收入参后会写入状态或外部资源，输出通常是更新后的对象、状态码或副作用结果。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const ensureOncallSchedules = (state) => {
+  if (!Array.isArray(state.oncallSchedules)) {
+    state.oncallSchedules = [];
+  }
+  return state.oncallSchedules;
+};
+
+/**
+ * 符号：findOncallSchedule（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const findOncallSchedule = (state, scheduleId) =>
+  ensureOncallSchedules(state).find((item) => item.id === scheduleId) ?? null;
+
+/**
+ * 符号：isValidTimeZone（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含 try/catch，说明该路径显式处理异常。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * 符号：getZonedFormatter（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const getZonedFormatter = (timeZone) => {
+  if (!zonedFormatters.has(timeZone)) {
+    zonedFormatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      }),
+    );
+  }
+  return zonedFormatters.get(timeZone);
+};
+
+/**
+ * 符号：getZonedParts（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 把某个时刻换算成指定时区的墙上时间；dayNumber 是本地日期距 1970-01-01 的天数，便于按天计算轮转。
+const getZonedParts = (ms, timeZone) => {
+  const parts = {};
+  for (const part of getZonedFormatter(timeZone).formatToParts(new Date(ms))) {
+    parts[part.type] = Number(part.value);
+  }
+  const localAsUtcMs = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return {
+    dayNumber: Math.floor(localAsUtcMs / DAY_MS),
+    minuteOfDay: parts.hour * 60 + parts.minute,
+    weekday: new Date(localAsUtcMs).getUTCDay(),
+    offsetMs: localAsUtcMs - Math.floor(ms / 1_000) * 1_000,
+  };
+};
+
+/**
+ * 符号：zonedTimeToUtcMs（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 本地日期 + 时刻 → UTC 时刻；按目标时刻的偏移再校正一次，夏令时切换日也能落在正确的小时上。
+const zonedTimeToUtcMs = (dayNumber, minuteOfDay, timeZone) => {
+  const localAsUtcMs = dayNumber * DAY_MS + minuteOfDay * 60_000;
+  const firstGuess = localAsUtcMs - getZonedParts(localAsUtcMs, timeZone).offsetMs;
+  return localAsUtcMs - getZonedParts(firstGuess, timeZone).offsetMs;
+};
+
+/**
+ * 符号：parseTimeOfDay（arrow-function）
+ * 作用说明：该函数用于输入标准化，先把不稳定入参转为稳定结构。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const parseTimeOfDay = (text) => {
+  const match = TIME_OF_DAY_PATTERN.exec(String(text || ""));
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+/**
+ * 符号：parseDayNumber（arrow-function）
+ * 作用说明：该函数用于输入标准化，先把不稳定入参转为稳定结构。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const parseDayNumber = (text) =>
+  DATE_PATTERN.test(String(text || "")) ? Math.floor(Date.parse(`${text}T00:00:00.000Z`) / DAY_MS) : null;
+
+/**
+ * 符号：isLayerRestricted（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const isLayerRestricted = (restriction, local) => {
+  if (!restriction) return false;
+  const days = Array.isArray(restriction.daysOfWeek) ? restriction.daysOfWeek : [];
+  const startMinute = parseTimeOfDay(restriction.startTime) ?? 0;
+  const endMinute = parseTimeOfDay(restriction.endTime) ?? 0;
+
+  // 跨零点的时段（如 18:00-09:00）属于开始那一天，凌晨部分要按前一天的星期判断。
+  const overnight = endMinute <= startMinute;
+  const inWindow = overnight
+    ? local.minuteOfDay >= startMinute || local.minuteOfDay < endMinute
+    : local.minuteOfDay >= startMinute && local.minuteOfDay < endMinute;
+  if (!inWindow) return true;
+  if (!days.length) return false;
+  const windowWeekday = overnight && local.minuteOfDay < endMinute ? (local.weekday + 6) % 7 : local.weekday;
+  return !days.includes(windowWeekday);
+};
+
+/**
+ * 符号：resolveLayerShift（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 轮转按本地日历计算：交接时刻之前仍算上一天，shiftDays 为 1 即每日轮换，7 即每周轮换。
+const resolveLayerShift = (layer, atMs, timeZone) => {
+  const users = Array.isArray(layer.users) ? layer.users : [];
+  const startDay = parseDayNumber(layer.startDate);
+  const handoffMinute = parseTimeOfDay(layer.handoffTime) ?? 0;
+  const shiftDays = Math.max(1, Math.trunc(toNumber(layer.shiftDays, 7)));
+  if (!users.length || startDay === null) return null;
+
+  const local = getZonedParts(atMs, timeZone);
+  if (isLayerRestricted(layer.restriction, local)) return null;
+
+  const effectiveDay = local.dayNumber - (local.minuteOfDay < handoffMinute ? 1 : 0);
+  const shiftIndex = Math.floor((effectiveDay - startDay) / shiftDays);
+  if (shiftIndex < 0) return null;
+
+  const shiftStartDay = startDay + shiftIndex * shiftDays;
+  return {
+    userId: users[shiftIndex % users.length],
+    shiftStartsAt: new Date(zonedTimeToUtcMs(shiftStartDay, handoffMinute, timeZone)).toISOString(),
+    shiftEndsAt: new Date(zonedTimeToUtcMs(shiftStartDay + shiftDays, handoffMinute, timeZone)).toISOString(),
+  };
+};
+
+/**
+ * 符号：resolveOncall（const）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 优先级：生效中的 override > 靠后的层 > 靠前的层（与常见值班系统一致，上层覆盖下层）。
+export const resolveOncall = (state, schedule, atMs = Date.now()) => {
+  if (!schedule) return null;
+  const timeZone = schedule.timeZone || DEFAULT_TIME_ZONE;
+  const findUser = (userId) => (state.users || []).find((item) => item.id === userId) ?? null;
+
+  const override = (schedule.overrides || []).find((item) => {
+    const startsAtMs = Date.parse(item.startsAt);
+    const endsAtMs = Date.parse(item.endsAt);
+    return atMs >= startsAtMs && atMs < endsAtMs;
+  });
+  if (override) {
+    return {
+      user: findUser(override.userId),
+      userId: override.userId,
+      source: "override",
+      overrideId: override.id,
+      layerId: null,
+      shiftStartsAt: override.startsAt,
+      shiftEndsAt: override.endsAt,
+    };
+  }
+
+  const layers = Array.isArray(schedule.layers) ? schedule.layers : [];
+  for (let index = layers.length - 1; index >= 0; index -= 1) {
+    const shift = resolveLayerShift(layers[index], atMs, timeZone);
+    if (shift) {
+      return {
+        user: findUser(shift.userId),
+        userId: shift.userId,
+        source: "layer",
+        overrideId: null,
+        layerId: layers[index].id,
+        shiftStartsAt: shift.shiftStartsAt,
+        shiftEndsAt: shift.shiftEndsAt,
+      };
+    }
+  }
+  return null;
+};
+
+/**
+ * 符号：getOncallScheduleId（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const getOncallScheduleId = (action) =>
+  String(action || "").startsWith(ONCALL_ACTION_PREFIX) ? String(action).slice(ONCALL_ACTION_PREFIX.length) : null;
+
+/**
+ * 符号：USER_CONTACT_FIELDS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 用户在各类渠道上的联系方式：邮件用邮箱、短信用手机号，Slack / 企业微信用各自的成员 ID 做 @ 提醒。
+export const USER_CONTACT_FIELDS = { email: "email", sms: "phone", slack: "slackUserId", wechat: "wechatUserId" };
+
+/**
+ * 符号：getUserChannelRecipients（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 返回该渠道类型可直接使用的收件人；渠道没有收件人概念（如 Webhook）或用户未登记时返回空数组。
+export const getUserChannelRecipients = (user, channelType) => {
+  const field = USER_CONTACT_FIELDS[channelType];
+  const value = field ? String(user?.[field] ?? "").trim() : "";
+  return value ? [value] : [];
+};
+
+/**
+ * 符号：normalizeUserContactsInput（arrow-function）
+ * 作用说明：该函数用于输入标准化，先把不稳定入参转为稳定结构。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 规整管理员提交的联系方式，只处理请求中出现的字段，空值表示清除；返回 { contacts } 或 { error }。
+export const normalizeUserContactsInput = (input) => {
+  const body = input && typeof input === "object" ? input : {};
+  const contacts = {};
+  if ("phone" in body) {
+    const raw = String(body.phone ?? "").trim();
+    const phone = raw ? normalizePhoneNumber(raw) : null;
+    if (raw && !phone) return { error: "phone must be 6-15 digits with an optional leading +." };
+    contacts.phone = phone;
+  }
+  if ("slackUserId" in body) {
+    const slackUserId = String(body.slackUserId ?? "").trim();
+    if (slackUserId && !/^[UW][A-Z0-9]{2,}$/.test(slackUserId)) {
+      return { error: "slackUserId must be a Slack member ID such as U012AB3CD." };
+    }
+    contacts.slackUserId = slackUserId || null;
+  }
+  if ("wechatUserId" in body) {
+    const wechatUserId = String(body.wechatUserId ?? "").trim();
+    if (wechatUserId.length > 64 || /\s/.test(wechatUserId)) {
+      return { error: "wechatUserId must be a WeCom userid without spaces (max 64 characters)." };
+    }
+    contacts.wechatUserId = wechatUserId || null;
+  }
+  return { contacts };
+};
+
+/**
+ * 符号：findScheduleReferences（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现中使用 map/filter/reduce 等数组操作，强调声明式数据变换。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const findScheduleReferences = (state, scheduleId) =>
+  (state.alertPolicy?.escalations || [])
+    .filter((escalation) => (escalation.actions || []).some((action) => getOncallScheduleId(action) === scheduleId))
+    .map((escalation) => escalation.level);
+
+/**
+ * 符号：normalizeLayer（arrow-function）
+ * 作用说明：该函数用于输入标准化，先把不稳定入参转为稳定结构。
+ * 实现说明：实现中使用 map/filter/reduce 等数组操作，强调声明式数据变换。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const normalizeLayer = (input, index) => {
+  const source = input && typeof input === "object" ? input : {};
+  const restriction =
+    source.restriction && typeof source.restriction === "object"
+      ? {
+          startTime: String(source.restriction.startTime || "00:00"),
+          endTime: String(source.restriction.endTime || "00:00"),
+          daysOfWeek: Array.isArray(source.restriction.daysOfWeek)
+            ? [...new Set(source.restriction.daysOfWeek.map(Number))].filter((day) => day >= 0 && day <= 6)
+            : [],
+        }
+      : null;
+
+  return {
+    id: String(source.id || uid("layer")),
+    name: String(source.name || `Layer ${index + 1}`).trim(),
+    users: Array.isArray(source.users) ? source.users.map(String).filter(Boolean) : [],
+    startDate: String(source.startDate || "").trim(),
+    handoffTime: String(source.handoffTime || "09:00").trim(),
+    shiftDays: Math.trunc(toNumber(source.shiftDays, 7)),
+    restriction,
+  };
+};
+
+/**
+ * 符号：normalizeScheduleInput（arrow-function）
+ * 作用说明：该函数用于输入标准化，先把不稳定入参转为稳定结构。
+ * 实现说明：实现中使用 map/filter/reduce 等数组操作，强调声明式数据变换。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const normalizeScheduleInput = (input, existing = null) => {
+  const body = input && typeof input === "object" ? input : {};
+  return {
+    name: "name" in body ? String(body.name || "").trim() : existing?.name ?? "",
+    description: "description" in body ? String(body.description || "").trim() : existing?.description ?? "",
+    timeZone: "timeZone" in body ? String(body.timeZone || "").trim() : existing?.timeZone ?? DEFAULT_TIME_ZONE,
+    notifyVia:
+      "notifyVia" in body && Array.isArray(body.notifyVia)
+        ? [...new Set(body.notifyVia.map(String).filter(Boolean))]
+        : existing?.notifyVia ?? ["email"],
+    layers: Array.isArray(body.layers) ? body.layers.map(normalizeLayer) : existing?.layers ?? [],
+  };
+};
+
+/**
+ * 符号：validateSchedule（arrow-function）
+ * 作用说明：该函数用于前置校验，尽早拦截非法输入并缩短错误路径。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const validateSchedule = (state, schedule) => {
+  if (!schedule.name) return "name is required.";
+  if (!isValidTimeZone(schedule.timeZone)) return `Unknown timeZone: ${schedule.timeZone}`;
+  if (!schedule.notifyVia.length) return "notifyVia must contain at least one channel type or id.";
+  if (!schedule.layers.length) return "At least one layer is required.";
+
+  const userIds = new Set((state.users || []).map((user) => user.id));
+  for (const layer of schedule.layers) {
+    if (!layer.users.length) return `Layer ${layer.name} needs at least one user.`;
+    const unknown = layer.users.find((userId) => !userIds.has(userId));
+    if (unknown) return `User not found: ${unknown}`;
+    if (parseDayNumber(layer.startDate) === null) return `Layer ${layer.name}: startDate must be YYYY-MM-DD.`;
+    if (parseTimeOfDay(layer.handoffTime) === null) return `Layer ${layer.name}: handoffTime must be HH:mm.`;
+    if (layer.shiftDays < 1 || layer.shiftDays > 365) return `Layer ${layer.name}: shiftDays must be between 1 and 365.`;
+    if (
+      layer.restriction &&
+      (parseTimeOfDay(layer.restriction.startTime) === null || parseTimeOfDay(layer.restriction.endTime) === null)
+    ) {
+      return `Layer ${layer.name}: restriction times must be HH:mm.`;
+    }
+  }
+  return null;
+};
+
+/**
+ * 符号：createSchedule（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const createSchedule = (state, normalized) => {
+  const timestamp = nowIso();
+  const schedule = {
+    id: uid("schedule"),
+    ...normalized,
+    overrides: [],
+    createdAt: timestamp,
+    updatedAt: timestamp,
+  };
+  const schedules = ensureOncallSchedules(state);
+  schedules.push(schedule);
+  if (schedules.length > MAX_SCHEDULES) {
+    schedules.splice(0, schedules.length - MAX_SCHEDULES);
+  }
+  return schedule;
+};
+
+/**
+ * 符号：addScheduleOverride（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const addScheduleOverride = (state, schedule, input, by) => {
+  const userId = String(input?.userId || "");
+  const startsAtMs = Date.parse(input?.startsAt);
+  const endsAtMs = Date.parse(input?.endsAt);
+  if (!(state.users || []).some((user) => user.id === userId)) {
+    return { error: `User not found: ${userId || "(empty)"}` };
+  }
+  if (!Number.isFinite(startsAtMs) || !Number.isFinite(endsAtMs) || endsAtMs <= startsAtMs) {
+    return { error: "startsAt and endsAt are required and endsAt must be later than startsAt." };
+  }
+
+  const override = {
+    id: uid("override"),
+    userId,
+    startsAt: new Date(startsAtMs).toISOString(),
+    endsAt: new Date(endsAtMs).toISOString(),
+    note: String(input?.note || "").trim(),
+    createdBy: by,
+    createdAt: nowIso(),
+  };
+  // 已结束的覆盖没有继续保留的意义，顺手清理，避免列表无限增长。
+  const nowMs = Date.now();
+  schedule.overrides = (schedule.overrides || []).filter((item) => Date.parse(item.endsAt) > nowMs);
+  schedule.overrides.push(override);
+  if (schedule.overrides.length > MAX_OVERRIDES) {
+    schedule.overrides.splice(0, schedule.overrides.length - MAX_OVERRIDES);
+  }
+  schedule.updatedAt = nowIso();
+  return { override };
+};
+
+/**
+ * 符号：serializeOncallWho（const）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const serializeOncallWho = (state, schedule, atMs = Date.now()) => {
+  const current = resolveOncall(state, schedule, atMs);
+  const layer = current?.layerId ? schedule.layers.find((item) => item.id === current.layerId) : null;
+  return {
+    scheduleId: schedule.id,
+    scheduleName: schedule.name,
+    timeZone: schedule.timeZone,
+    at: new Date(atMs).toISOString(),
+    oncall: current
+      ? {
+          userId: current.userId,
+          name: current.user?.name ?? null,
+          email: current.user?.email ?? null,
+          source: current.source,
+          layerId: current.layerId,
+          layerName: layer?.name ?? null,
+          overrideId: current.overrideId,
+          shiftStartsAt: current.shiftStartsAt,
+          shiftEndsAt: current.shiftEndsAt,
+        }
+      : null,
+  };
+};
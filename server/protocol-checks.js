@@ -0,0 +1,218 @@
+/**
+ * @file server/protocol-checks.js
+ * 文件作用：后端业务模块，参与 API 接入、规则评估、告警流转与通知链路。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import net from "node:net";
+import { Resolver } from "node:dns/promises";
+import { inspectTlsCertificate } from "./tls-certificate.js";
+
+/**
+ * 符号：PROTOCOL_CHECK_KINDS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const PROTOCOL_CHECK_KINDS = ["tcp", "dns", "tls"];
+/**
+ * 符号：DNS_RECORD_TYPES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const DNS_RECORD_TYPES = ["A", "AAAA", "CNAME", "MX", "TXT", "NS", "SRV", "CAA"];
+/**
+ * 符号：MAX_BANNER_BYTES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const MAX_BANNER_BYTES = 4096;
+
+/**
+ * 符号：unescapePayload（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 表单里常直接输入 `PING\r\n`，按转义序列发送。
+const unescapePayload = (text) => String(text || "").replace(/\\r/g, "\r").replace(/\\n/g, "\n").replace(/\\t/g, "\t");
+
+/**
+ * 符号：validateProtocolCheckConfig（arrow-function）
+ * 作用说明：该函数用于前置校验，尽早拦截非法输入并缩短错误路径。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 返回错误文本而不是抛错，由 createPullMonitor 统一抛出，与 validateAssertions 一致。
+export const validateProtocolCheckConfig = (config) => {
+  if (!config.host) return `${config.kind} check requires checkConfig.host`;
+  if (config.kind === "dns") {
+    if (!DNS_RECORD_TYPES.includes(config.recordType)) {
+      return `checkConfig.recordType must be one of: ${DNS_RECORD_TYPES.join(", ")}`;
+    }
+    if (config.resolver) {
+      // 交给 setServers 校验，支持 `8.8.8.8`、`1.1.1.1:53`、`[::1]:53` 这些写法。
+      try {
+        new Resolver().setServers([config.resolver]);
+      } catch {
+        return "checkConfig.resolver must be an IP address (optionally with :port)";
+      }
+    }
+    return null;
+  }
+  if (!Number.isInteger(config.port) || config.port < 1 || config.port > 65535) {
+    return `${config.kind} check requires checkConfig.port between 1 and 65535`;
+  }
+  return null;
+};
+
+/**
+ * 符号：runTcpCheck（arrow-function）
+ * 作用说明：该函数偏流程编排职责，通常伴随状态更新或副作用。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// TCP 探测：连上即成功；配置 expect 时要在超时前收到包含该文本的响应（可先 send 一段请求，如 Redis `PING\r\n`）。
+const runTcpCheck = (config, timeoutMs) =>
+  new Promise((resolve) => {
+    let banner = "";
+    let settled = false;
+    const socket = net.connect({ host: config.host, port: config.port });
+    const finish = (error) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      resolve({ error, responseSnippet: banner ? banner.slice(0, 240) : null });
+    };
+
+    socket.setTimeout(timeoutMs, () => finish(config.expect && banner ? "expect_not_matched" : `timeout_${timeoutMs}ms`));
+    socket.once("connect", () => {
+      if (config.send) socket.write(unescapePayload(config.send));
+      if (!config.expect) finish(null);
+    });
+    socket.on("data", (chunk) => {
+      banner += chunk.toString("utf8");
+      if (banner.includes(unescapePayload(config.expect))) finish(null);
+      else if (banner.length > MAX_BANNER_BYTES) finish("expect_not_matched");
+    });
+    socket.once("end", () => finish(config.expect ? "expect_not_matched" : null));
+    socket.once("error", (error) => finish(`connect_failed:${error.code || error.message}`));
+  });
+
+/**
+ * 符号：formatDnsRecord（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const formatDnsRecord = (record, recordType) => {
+  if (recordType === "MX") return `${record.priority} ${record.exchange}`;
+  if (recordType === "TXT") return record.join("");
+  if (recordType === "SRV") return `${record.priority} ${record.weight} ${record.port} ${record.name}`;
+  if (recordType === "CAA") {
+    const tag = Object.keys(record).find((key) => key !== "critical");
+    return `${record.critical} ${tag} ${record[tag]}`;
+  }
+  return String(record);
+};
+
+/**
+ * 符号：normalizeDnsValue（arrow-function）
+ * 作用说明：该函数用于输入标准化，先把不稳定入参转为稳定结构。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const normalizeDnsValue = (value) => String(value).trim().toLowerCase().replace(/\.$/, "");
+
+/**
+ * 符号：runDnsCheck（arrow-function）
+ * 作用说明：该函数偏流程编排职责，通常伴随状态更新或副作用。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// DNS 探测：按记录类型解析；配置 expectedValues 时每个期望值都必须出现在应答中（忽略大小写与末尾的点）。
+const runDnsCheck = async (config, timeoutMs) => {
+  const resolver = new Resolver({ timeout: timeoutMs, tries: 1 });
+  if (config.resolver) resolver.setServers([config.resolver]);
+
+  let answers;
+  try {
+    const records = await resolver.resolve(config.host, config.recordType);
+    answers = records.map((record) => formatDnsRecord(record, config.recordType));
+  } catch (error) {
+    return { error: `dns_${error.code || "resolve_failed"}`, responseSnippet: null };
+  }
+
+  const actual = new Set(answers.map(normalizeDnsValue));
+  const missing = config.expectedValues.filter((value) => !actual.has(normalizeDnsValue(value)));
+  return {
+    error: missing.length ? `dns_unexpected_answer:${missing.join(",")}` : null,
+    responseSnippet: answers.join(", ").slice(0, 240),
+    answers,
+  };
+};
+
+/**
+ * 符号：runTlsCheck（arrow-function）
+ * 作用说明：该函数偏流程编排职责，通常伴随状态更新或副作用。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// TLS 握手探测：只握手不发数据，证书校验通过即成功，证书信息与 HTTPS 探测一样写入 tls。
+const runTlsCheck = async (config, timeoutMs) => {
+  const host = net.isIPv6(config.host) ? `[${config.host}]` : config.host;
+  try {
+    const tls = await inspectTlsCertificate(`https://${host}:${config.port}`, { timeoutMs });
+    if (!tls) return { error: "tls_no_certificate", responseSnippet: null, tls: null };
+    return {
+      error: tls.authorized ? null : `tls_certificate_invalid:${tls.authorizationError}`,
+      responseSnippet: `${tls.protocol} ${tls.subject}`,
+      tls,
+    };
+  } catch (error) {
+    return { error: `tls_handshake_failed:${error.code || error.message}`, responseSnippet: null, tls: null };
+  }
+};
+
+/**
+ * 符号：PROTOCOL_RUNNERS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const PROTOCOL_RUNNERS = { tcp: runTcpCheck, dns: runDnsCheck, tls: runTlsCheck };
+
+/**
+ * 符号：runProtocolCheck（const）
+ * 作用说明：该函数偏流程编排职责，通常伴随状态更新或副作用。
+ * 实现说明：实现中包含异步等待，调用方需要关注超时、重试和并发控制。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 返回与 HTTP 探测相同形状的结果，statusCode 恒为 null，后续照常走 applyCheckResultToApi / buildMetricFromPullCheck。
+export const runProtocolCheck = async (config, timeoutMs, startedAtMs = Date.now()) => {
+  const outcome = await PROTOCOL_RUNNERS[config.kind](config, timeoutMs);
+  return {
+    success: !outcome.error,
+    checkedAt: new Date(startedAtMs).toISOString(),
+    statusCode: null,
+    latencyMs: Date.now() - startedAtMs,
+    error: outcome.error,
+    responseSnippet: outcome.responseSnippet,
+    ...(outcome.answers ? { answers: outcome.answers } : {}),
+    ...(config.kind === "tls" ? { tls: outcome.tls } : {}),
+  };
+};
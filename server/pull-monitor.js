@@ -4,7 +4,11 @@
  * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
  */
 
-﻿import { round, toNumber } from "./utils.js";
+﻿import { evaluateAssertions, parseJsonBody, readResponseValue, validateAssertions } from "./check-assertions.js";
+import { HTTP_TIMING_FIELDS, requestWithTiming, sumTimings } from "./http-timing.js";
+import { PROTOCOL_CHECK_KINDS, runProtocolCheck, validateProtocolCheckConfig } from "./protocol-checks.js";
+import { inspectTlsCertificate, isCertificateError } from "./tls-certificate.js";
+import { round, toNumber } from "./utils.js";
 
 /**
  * 符号：DEFAULT_EXPECTED_STATUS_CODES（const）
@@ -22,6 +26,30 @@ const DEFAULT_EXPECTED_STATUS_CODES = [200, 201, 202, 204];
  * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
  */
 const WRITE_METHODS = new Set(["POST", "PUT", "PATCH", "DELETE"]);
+/**
+ * 符号：CHECK_KINDS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const CHECK_KINDS = ["http", "script", ...PROTOCOL_CHECK_KINDS];
+/**
+ * 符号：MAX_SCRIPT_STEPS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const MAX_SCRIPT_STEPS = 20;
+/**
+ * 符号：VARIABLE_PATTERN（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const VARIABLE_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
 
 /**
  * 符号：toObjectRecord（arrow-function）
@@ -92,6 +120,37 @@ const normalizeExpectedStatusCodes = (value) => {
   return DEFAULT_EXPECTED_STATUS_CODES;
 };
 
+/**
+ * 符号：toBodyText（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const toBodyText = (body) => (body === undefined || body === null ? "" : typeof body === "string" ? body : JSON.stringify(body));
+
+// 脚本步骤：extract 把 JSON 字段或响应头存为变量，后续步骤的 url/headers/body 用 `{{变量名}}` 引用。
+const normalizeScriptStep = (input, index) => {
+  const source = toObjectRecord(input);
+  return {
+    name: String(source.name || `step${index + 1}`).trim(),
+    method: String(source.method || "GET").toUpperCase(),
+    url: String(source.url || "").trim(),
+    headers: normalizeHeaders(source.headers),
+    body: toBodyText(source.body),
+    expectedStatusCodes: normalizeExpectedStatusCodes(source.expectedStatusCodes),
+    extract: (Array.isArray(source.extract) ? source.extract : [])
+      .map((item) => ({
+        name: String(item?.name || "").trim(),
+        from: item?.from === "header" ? "header" : "json",
+        path: String(item?.path || "").trim(),
+      }))
+      .filter((item) => item.name && item.path),
+    assertions: Array.isArray(source.assertions) ? source.assertions.filter((item) => item && typeof item === "object") : [],
+    useCredential: typeof source.useCredential === "boolean" ? source.useCredential : null,
+  };
+};
+
 /**
  * 符号：normalizeCheckConfig（arrow-function）
  * 作用说明：该函数用于输入标准化，先把不稳定入参转为稳定结构。
@@ -104,9 +163,16 @@ const normalizeCheckConfig = (input, fallback = {}) => {
   const source = toObjectRecord(input);
   // 步骤 1：执行当前后端业务子步骤，推进规则评估或告警处理主流程。
   const previous = toObjectRecord(fallback);
+  const kind = String(source.kind ?? previous.kind ?? "http");
+  const steps = source.steps ?? previous.steps;
+  const assertions = source.assertions ?? previous.assertions;
+  const expectedValues = source.expectedValues ?? previous.expectedValues ?? [];
+  // TLS 握手探测不填端口时按 443。
+  const port = source.port ?? previous.port ?? (kind === "tls" ? 443 : null);
 
   // 步骤 2：返回当前结果并结束函数，明确本路径的输出语义。
   return {
+    kind: CHECK_KINDS.includes(kind) ? kind : "http",
     url: String(source.url ?? previous.url ?? "").trim(),
     method: String(source.method ?? previous.method ?? "GET").toUpperCase(),
     headers: normalizeHeaders(source.headers ?? previous.headers ?? {}),
@@ -133,6 +199,18 @@ const normalizeCheckConfig = (input, fallback = {}) => {
     dryRunParamKey: String(source.dryRunParamKey ?? previous.dryRunParamKey ?? "dryRun"),
     dryRunParamValue: String(source.dryRunParamValue ?? previous.dryRunParamValue ?? "true"),
     allowInProduction: Boolean(source.allowInProduction ?? previous.allowInProduction ?? false),
+    steps: Array.isArray(steps) ? steps.map(normalizeScriptStep) : [],
+    assertions: Array.isArray(assertions) ? assertions : [],
+    variables: normalizeHeaders(source.variables ?? previous.variables ?? {}),
+    host: String(source.host ?? previous.host ?? "").trim(),
+    port: port === null || port === "" ? null : toNumber(port, null),
+    send: String(source.send ?? previous.send ?? ""),
+    expect: String(source.expect ?? previous.expect ?? ""),
+    recordType: String(source.recordType ?? previous.recordType ?? "A").toUpperCase(),
+    expectedValues: (Array.isArray(expectedValues) ? expectedValues : String(expectedValues).split(","))
+      .map((item) => String(item).trim())
+      .filter(Boolean),
+    resolver: String(source.resolver ?? previous.resolver ?? "").trim(),
     credentialId:
       source.credentialId === undefined
         ? previous.credentialId ?? null
@@ -158,7 +236,7 @@ const encodeBasic = (text) => Buffer.from(text).toString("base64");
  * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
  * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
  */
-const applyCredential = (urlInput, headersInput, credential, resolvedSecrets = null) => {
+export const applyCredential = (urlInput, headersInput, credential, resolvedSecrets = null) => {
   // 步骤 1：执行当前后端业务子步骤，推进规则评估或告警处理主流程。
   const headers = { ...headersInput };
   // 步骤 1：执行当前后端业务子步骤，推进规则评估或告警处理主流程。
@@ -271,15 +349,39 @@ export const createPullMonitor = (payload, fallback = {}) => {
   const checkConfig = normalizeCheckConfig(payload?.checkConfig ?? payload, fallback.checkConfig ?? {});
 
   // 步骤 1：按条件分支处理不同场景，确保每条路径都符合业务约束。
-  if (!checkConfig.url) {
+  if (checkConfig.kind === "script") {
+    if (!checkConfig.steps.length || checkConfig.steps.length > MAX_SCRIPT_STEPS) {
+      throw new Error(`script monitor requires 1-${MAX_SCRIPT_STEPS} checkConfig.steps`);
+    }
+    const invalidStep = checkConfig.steps.find((step) => !step.url);
+    if (invalidStep) {
+      throw new Error(`script step ${invalidStep.name} requires url`);
+    }
+    const names = checkConfig.steps.map((step) => step.name);
+    if (new Set(names).size !== names.length) {
+      throw new Error("script step names must be unique");
+    }
+    for (const step of checkConfig.steps) {
+      const assertionError = validateAssertions(step.assertions, `step ${step.name} assertion`);
+      if (assertionError) throw new Error(assertionError);
+    }
+  } else if (PROTOCOL_CHECK_KINDS.includes(checkConfig.kind)) {
+    const protocolError = validateProtocolCheckConfig(checkConfig);
+    if (protocolError) throw new Error(protocolError);
+  } else if (!checkConfig.url) {
     throw new Error("pull monitor requires checkConfig.url");
   }
 
+  const assertionError = validateAssertions(checkConfig.assertions);
+  if (assertionError) {
+    throw new Error(assertionError);
+  }
+
   // 步骤 2：返回当前结果并结束函数，明确本路径的输出语义。
   return {
     mode: "pull",
     enabled: payload?.enabled ?? fallback.enabled ?? true,
-    source: "http-check",
+    source: `${checkConfig.kind}-check`,
     checkConfig,
     lastCheckedAt: fallback.lastCheckedAt ?? null,
     lastStatusCode: fallback.lastStatusCode ?? null,
@@ -287,6 +389,11 @@ export const createPullMonitor = (payload, fallback = {}) => {
     lastError: fallback.lastError ?? null,
     lastSuccess: fallback.lastSuccess ?? null,
     lastResponseSnippet: fallback.lastResponseSnippet ?? null,
+    lastSteps: fallback.lastSteps ?? null,
+    lastFailedStep: fallback.lastFailedStep ?? null,
+    lastAssertionFailures: fallback.lastAssertionFailures ?? null,
+    lastTimings: fallback.lastTimings ?? null,
+    lastTls: fallback.lastTls ?? null,
   };
 };
 
@@ -322,6 +429,13 @@ export const normalizeMonitorConfig = (payload, fallback = null) => {
   });
 };
 
+// 各探测类型的目标字段不同：脚本看步骤，TCP / DNS / TLS 看主机，HTTP 看 URL。
+const hasCheckTarget = (config) => {
+  if (config?.kind === "script") return Boolean(config.steps?.length);
+  if (PROTOCOL_CHECK_KINDS.includes(config?.kind)) return Boolean(config.host);
+  return Boolean(config?.url);
+};
+
 /**
  * 符号：isPullMonitorEnabled（arrow-function）
  * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
@@ -335,7 +449,7 @@ export const isPullMonitorEnabled = (api) => {
     api?.monitor &&
       api.monitor.mode === "pull" &&
       api.monitor.enabled !== false &&
-      api.monitor.checkConfig?.url,
+      hasCheckTarget(api.monitor.checkConfig),
   );
 };
 
@@ -392,6 +506,245 @@ export const listDuePullApis = (state, nowMs = Date.now()) => {
     });
 };
 
+// 写方法的安全策略：readonly 一律拦截；sandbox 在生产环境需显式 allowInProduction。单请求与脚本步骤共用。
+const getWriteGuardError = (method, config, api) => {
+  if (!WRITE_METHODS.has(method)) return null;
+  if (config.safetyMode === "readonly") return "write_method_blocked_readonly_mode";
+  const environment = String(api.environment || "production").toLowerCase();
+  if (config.safetyMode === "sandbox" && environment === "production" && !config.allowInProduction) {
+    return "write_method_blocked_in_production";
+  }
+  return null;
+};
+
+/**
+ * 符号：appendDryRunParam（arrow-function）
+ * 作用说明：该函数偏流程编排职责，通常伴随状态更新或副作用。
+ * 实现说明：实现中包含 try/catch，说明该路径显式处理异常。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const appendDryRunParam = (urlText, config) => {
+  try {
+    const url = new URL(urlText);
+    url.searchParams.set(config.dryRunParamKey || "dryRun", config.dryRunParamValue || "true");
+    return url.toString();
+  } catch {
+    const separator = urlText.includes("?") ? "&" : "?";
+    return `${urlText}${separator}${encodeURIComponent(
+      config.dryRunParamKey || "dryRun",
+    )}=${encodeURIComponent(config.dryRunParamValue || "true")}`;
+  }
+};
+
+/**
+ * 符号：getUrlOrigin（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现中包含 try/catch，说明该路径显式处理异常。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const getUrlOrigin = (urlText) => {
+  try {
+    return new URL(urlText).origin;
+  } catch {
+    return null;
+  }
+};
+
+// `{{name}}` 按原样替换（不做 URL 编码），引用未定义的变量视为该步骤失败。
+const interpolate = (text, variables) =>
+  String(text ?? "").replace(VARIABLE_PATTERN, (_match, name) => {
+    if (!Object.hasOwn(variables, name)) {
+      throw new Error(`missing_variable:${name}`);
+    }
+    return variables[name];
+  });
+
+/**
+ * 符号：describeRequestFailure（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 证书校验失败时请求不会发出；另开一次只握手、不发 HTTP 数据的连接取回证书与校验错误。
+const describeRequestFailure = async (error, url, timeoutMs) => {
+  if (error?.name === "AbortError") return { error: `timeout_${timeoutMs}ms`, tls: null };
+  if (!isCertificateError(error) || !/^https:/i.test(url)) {
+    return { error: String(error?.message || "request_failed"), tls: null };
+  }
+  const tls = await inspectTlsCertificate(url, { timeoutMs }).catch(() => null);
+  return { error: `tls_certificate_invalid:${error.code}`, tls };
+};
+
+/**
+ * 符号：runScriptStep（arrow-function）
+ * 作用说明：该函数偏流程编排职责，通常伴随状态更新或副作用。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const runScriptStep = async (step, context) => {
+  const { config, api, options, variables } = context;
+  const result = {
+    name: step.name,
+    method: step.method,
+    statusCode: null,
+    latencyMs: 0,
+    success: false,
+    error: null,
+    assertionFailures: [],
+    extracted: [],
+    timings: null,
+    tls: null,
+    responseSnippet: null,
+  };
+
+  const guardError = getWriteGuardError(step.method, config, api);
+  if (guardError) {
+    result.error = guardError;
+    return result;
+  }
+
+  let url;
+  let headers;
+  let body;
+  let credentialHeaders = [];
+  try {
+    url = interpolate(step.url, variables);
+    headers = { ...config.headers };
+    // 凭据只注入与监控地址同源的步骤（checkConfig.url，未配置时取第一步的地址），脚本调用第三方接口时不会带上令牌；
+    // 步骤可用 useCredential 显式开启或关闭。
+    context.credentialOrigin ??= getUrlOrigin(config.url || url);
+    const origin = getUrlOrigin(url);
+    const useCredential = step.useCredential ?? (origin !== null && origin === context.credentialOrigin);
+    if (config.credentialId && useCredential) {
+      const injected = applyCredential(url, {}, options.credential, options.resolvedCredentialSecrets || null);
+      url = injected.url;
+      credentialHeaders = Object.keys(injected.headers);
+      Object.assign(headers, injected.headers);
+    }
+    for (const [key, value] of Object.entries(step.headers)) {
+      headers[key] = interpolate(value, variables);
+    }
+    body = interpolate(step.body, variables);
+  } catch (error) {
+    result.error = String(error?.message || "step_prepare_failed");
+    return result;
+  }
+
+  if (WRITE_METHODS.has(step.method) && config.safetyMode === "dry_run") {
+    url = appendDryRunParam(url, config);
+    headers["x-monitor-dry-run"] = "true";
+  }
+
+  const timeoutMs = Math.max(500, Math.min(toNumber(config.timeoutMs, 5_000), 120_000));
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  const startedAtMs = Date.now();
+  let response;
+  try {
+    response = await requestWithTiming(url, {
+      method: step.method,
+      headers,
+      body: body && WRITE_METHODS.has(step.method) ? body : undefined,
+      followRedirect: config.followRedirect,
+      sensitiveHeaders: credentialHeaders,
+      signal: controller.signal,
+    });
+  } catch (error) {
+    clearTimeout(timeout);
+    result.latencyMs = Date.now() - startedAtMs;
+    Object.assign(result, await describeRequestFailure(error, url, timeoutMs));
+    return result;
+  }
+  clearTimeout(timeout);
+
+  const { bodyText } = response;
+  result.latencyMs = Date.now() - startedAtMs;
+  result.statusCode = response.status;
+  result.timings = response.timings;
+  result.tls = response.tls;
+  result.responseSnippet = bodyText.slice(0, 240);
+  if (!step.expectedStatusCodes.includes(response.status)) {
+    result.error = `unexpected_status_${response.status}`;
+    return result;
+  }
+
+  const parsed = {
+    headers: response.headers,
+    bodyText,
+    json: parseJsonBody(bodyText),
+  };
+  // 断言或提取抛错（如旧数据里绕过保存校验的坏正则）只判该步骤失败，整个探测不会 reject。
+  try {
+    result.assertionFailures = evaluateAssertions(step.assertions, parsed);
+    if (result.assertionFailures.length) {
+      result.error = `assertion_failed:${result.assertionFailures[0].target}`;
+      return result;
+    }
+
+    for (const item of step.extract) {
+      const value = readResponseValue(parsed, item.from, item.path);
+      if (value === undefined || value === null) {
+        result.error = `extract_failed:${item.name}`;
+        return result;
+      }
+      variables[item.name] = typeof value === "string" ? value : JSON.stringify(value);
+      result.extracted.push(item.name);
+    }
+  } catch (error) {
+    result.error = String(error?.message || "step_evaluate_failed");
+    return result;
+  }
+
+  result.success = true;
+  return result;
+};
+
+// 脚本模式按顺序执行步骤，任一步失败即停止；总耗时计入 latencyMs，各步耗时随结果返回并写入指标的 stepLatencyMs。
+const runScriptedCheck = async (api, options, startedAtMs) => {
+  const config = api.monitor.checkConfig;
+  const checkedAt = new Date(startedAtMs).toISOString();
+  if (config.credentialId && !options.credential) {
+    return {
+      success: false,
+      checkedAt,
+      statusCode: null,
+      latencyMs: 0,
+      error: `credential_not_found:${config.credentialId}`,
+      responseSnippet: null,
+      steps: [],
+      failedStep: null,
+    };
+  }
+
+  const context = { config, api, options, variables: { ...config.variables } };
+  const steps = [];
+  for (const step of config.steps) {
+    const stepResult = await runScriptStep(step, context);
+    steps.push(stepResult);
+    if (!stepResult.success) break;
+  }
+
+  const lastStep = steps.at(-1);
+  const failedIndex = steps.findIndex((step) => !step.success);
+  return {
+    success: failedIndex === -1,
+    checkedAt,
+    statusCode: lastStep?.statusCode ?? null,
+    latencyMs: steps.reduce((total, step) => total + step.latencyMs, 0),
+    timings: sumTimings(steps.map((step) => step.timings)),
+    // 证书以最后一个 HTTPS 步骤为准，各步骤结果里不再重复保存。
+    tls: steps.findLast((step) => step.tls)?.tls ?? null,
+    error: failedIndex === -1 ? null : `step_${failedIndex + 1}_${steps[failedIndex].name}:${steps[failedIndex].error}`,
+    responseSnippet: lastStep?.responseSnippet ?? null,
+    steps: steps.map(({ responseSnippet: _snippet, tls: _tls, ...step }) => step),
+    failedStep: failedIndex === -1 ? null : { index: failedIndex, name: steps[failedIndex].name },
+  };
+};
+
 /**
  * 符号：runHttpCheck（arrow-function）
  * 作用说明：该函数偏流程编排职责，通常伴随状态更新或副作用。
@@ -418,41 +771,30 @@ export const runHttpCheck = async (api, options = {}) => {
   }
 
   const config = api.monitor.checkConfig;
+  const timeoutMs = Math.max(500, Math.min(toNumber(config.timeoutMs, 5_000), 120_000));
+  if (config.kind === "script") {
+    return runScriptedCheck(api, options, startedAtMs);
+  }
+  if (PROTOCOL_CHECK_KINDS.includes(config.kind)) {
+    return runProtocolCheck(config, timeoutMs, startedAtMs);
+  }
+
   const method = String(config.method || "GET").toUpperCase();
   const isWriteMethod = WRITE_METHODS.has(method);
-  const environment = String(api.environment || "production").toLowerCase();
 
   // 步骤 3：按条件分支处理不同场景，确保每条路径都符合业务约束。
-  if (isWriteMethod && config.safetyMode === "readonly") {
+  const guardError = getWriteGuardError(method, config, api);
+  if (guardError) {
     return {
       success: false,
       checkedAt,
       statusCode: null,
       latencyMs: 0,
-      error: "write_method_blocked_readonly_mode",
+      error: guardError,
       responseSnippet: null,
     };
   }
 
-  // 步骤 4：按条件分支处理不同场景，确保每条路径都符合业务约束。
-  if (
-    isWriteMethod &&
-    config.safetyMode === "sandbox" &&
-    environment === "production" &&
-    !config.allowInProduction
-  ) {
-    return {
-      success: false,
-      checkedAt,
-      statusCode: null,
-      latencyMs: 0,
-      error: "write_method_blocked_in_production",
-      responseSnippet: null,
-    };
-  }
-
-  const timeoutMs = Math.max(500, Math.min(toNumber(config.timeoutMs, 5_000), 120_000));
-
   // 步骤 5：执行当前后端业务子步骤，推进规则评估或告警处理主流程。
   const controller = new AbortController();
   const timeout = setTimeout(() => controller.abort(), timeoutMs);
@@ -460,6 +802,7 @@ export const runHttpCheck = async (api, options = {}) => {
   let finalUrl = config.url;
   const finalHeaders = { ...config.headers };
   let finalBody = config.body;
+  let credentialHeaders = [];
 
   // 步骤 6：按条件分支处理不同场景，确保每条路径都符合业务约束。
   if (config.credentialId) {
@@ -478,11 +821,12 @@ export const runHttpCheck = async (api, options = {}) => {
     try {
       const injected = applyCredential(
         finalUrl,
-        finalHeaders,
+        {},
         credential,
         options.resolvedCredentialSecrets || null,
       );
       finalUrl = injected.url;
+      credentialHeaders = Object.keys(injected.headers);
       Object.assign(finalHeaders, injected.headers);
     } catch (error) {
       return {
@@ -498,69 +842,75 @@ export const runHttpCheck = async (api, options = {}) => {
 
   // 步骤 7：按条件分支处理不同场景，确保每条路径都符合业务约束。
   if (isWriteMethod && config.safetyMode === "dry_run") {
-    try {
-      const url = new URL(finalUrl);
-      url.searchParams.set(config.dryRunParamKey || "dryRun", config.dryRunParamValue || "true");
-      finalUrl = url.toString();
-    } catch {
-      const separator = finalUrl.includes("?") ? "&" : "?";
-      finalUrl = `${finalUrl}${separator}${encodeURIComponent(
-        config.dryRunParamKey || "dryRun",
-      )}=${encodeURIComponent(config.dryRunParamValue || "true")}`;
-    }
-
+    finalUrl = appendDryRunParam(finalUrl, config);
     finalHeaders["x-monitor-dry-run"] = "true";
   }
 
   // 步骤 8：对可能失败的操作进行异常保护，避免单点错误中断整体流程。
   try {
-    const response = await fetch(finalUrl, {
+    // 用 http/https 模块代替 fetch，以便拿到 DNS / 连接 / TLS / 首字节 / 下载各阶段耗时。
+    const response = await requestWithTiming(finalUrl, {
       method,
       headers: finalHeaders,
       body:
         finalBody && WRITE_METHODS.has(method)
           ? finalBody
           : undefined,
-      redirect: config.followRedirect === false ? "manual" : "follow",
+      followRedirect: config.followRedirect,
+      sensitiveHeaders: credentialHeaders,
       signal: controller.signal,
     });
 
     clearTimeout(timeout);
 
-    let responseSnippet = null;
-    if (options.readBody !== false) {
-      try {
-        const text = await response.text();
-        responseSnippet = text.slice(0, 240);
-      } catch {
-        responseSnippet = null;
-      }
-    }
+    // 配置了断言时始终使用响应体，readBody=false 只在无断言时省略 responseSnippet。
+    const assertions = Array.isArray(config.assertions) ? config.assertions : [];
+    const bodyText = options.readBody !== false || assertions.length ? response.bodyText : null;
 
     const statusCode = response.status;
+    const latencyMs = Date.now() - startedAtMs;
     const expectedStatusCodes = normalizeExpectedStatusCodes(config.expectedStatusCodes);
-    const success = expectedStatusCodes.includes(statusCode);
+    const statusMatched = expectedStatusCodes.includes(statusCode);
+    // 状态码不符时不再评估断言，错误仍以状态码为准。
+    const assertionFailures =
+      statusMatched && assertions.length
+        ? evaluateAssertions(assertions, {
+            headers: response.headers,
+            bodyText: response.bodyText,
+            json: parseJsonBody(response.bodyText),
+          })
+        : [];
+    const success = statusMatched && !assertionFailures.length;
 
     return {
       success,
       checkedAt,
       statusCode,
-      latencyMs: Date.now() - startedAtMs,
-      error: success ? null : `unexpected_status_${statusCode}`,
-      responseSnippet,
+      latencyMs,
+      error: !statusMatched
+        ? `unexpected_status_${statusCode}`
+        : assertionFailures.length
+          ? `assertion_failed:${assertionFailures[0].target}`
+          : null,
+      responseSnippet: bodyText === null ? null : bodyText.slice(0, 240),
+      assertionFailures,
+      timings: response.timings,
+      tls: response.tls,
     };
   } catch (error) {
     clearTimeout(timeout);
 
-    const isTimeout = error?.name === "AbortError";
+    const latencyMs = Date.now() - startedAtMs;
+    const failure = await describeRequestFailure(error, finalUrl, timeoutMs);
 
     return {
       success: false,
       checkedAt,
       statusCode: null,
-      latencyMs: Date.now() - startedAtMs,
-      error: isTimeout ? `timeout_${timeoutMs}ms` : String(error?.message || "request_failed"),
+      latencyMs,
+      error: failure.error,
       responseSnippet: null,
+      tls: failure.tls,
     };
   }
 };
@@ -584,6 +934,11 @@ export const applyCheckResultToApi = (api, checkResult) => {
   api.monitor.lastError = checkResult.error;
   api.monitor.lastSuccess = checkResult.success;
   api.monitor.lastResponseSnippet = checkResult.responseSnippet ?? null;
+  api.monitor.lastSteps = checkResult.steps ?? null;
+  api.monitor.lastFailedStep = checkResult.failedStep ?? null;
+  api.monitor.lastAssertionFailures = checkResult.assertionFailures ?? null;
+  api.monitor.lastTimings = checkResult.timings ?? null;
+  api.monitor.lastTls = checkResult.tls ?? null;
 };
 
 /**
@@ -610,6 +965,14 @@ export const buildMetricFromPullCheck = (api, checkResult) => {
     latencyP99: round(Math.max(latency * 1.12, latency + 12), 0),
     availability: checkResult.success ? 100 : 0,
     statusCode5xx: is5xx ? 1 : 0,
+    ...(checkResult.steps?.length
+      ? { stepLatencyMs: Object.fromEntries(checkResult.steps.map((step) => [step.name, step.latencyMs])) }
+      : {}),
+    // 请求未拿到响应（DNS 失败、连接被拒、超时）时没有阶段耗时，不写这些字段，规则按样本不足处理。
+    ...(checkResult.timings
+      ? Object.fromEntries(HTTP_TIMING_FIELDS.map((field) => [field, checkResult.timings[field]]))
+      : {}),
+    ...(checkResult.tls ? { certDaysRemaining: checkResult.tls.daysRemaining } : {}),
   };
 };
 
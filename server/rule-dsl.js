@@ -61,6 +61,13 @@ const METRIC_ALIASES = {
   err: "errorRate",
   availability: "availability",
   qps: "qps",
+  dns: "dnsMs",
+  connect: "connectMs",
+  tls: "tlsMs",
+  ttfb: "ttfbMs",
+  download: "downloadMs",
+  cert: "certDaysRemaining",
+  certdays: "certDaysRemaining",
 };
 
 /**
@@ -78,6 +85,61 @@ const RULE_TYPE_ALIASES = {
   "missing_data": "missing_data",
   burn: "burn_rate",
   "burn_rate": "burn_rate",
+  anomaly: "anomaly",
+  change: "change",
+  delta: "change",
+};
+
+/**
+ * 符号：CHANGE_MODE_ALIASES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const CHANGE_MODE_ALIASES = {
+  percent: "percent",
+  pct: "percent",
+  "%": "percent",
+  absolute: "absolute",
+  abs: "absolute",
+};
+
+/**
+ * 符号：CHANGE_DIRECTION_ALIASES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const CHANGE_DIRECTION_ALIASES = {
+  increase: "increase",
+  up: "increase",
+  rise: "increase",
+  decrease: "decrease",
+  down: "decrease",
+  drop: "decrease",
+  either: "either",
+  both: "either",
+  any: "either",
+};
+
+/**
+ * 符号：SCOPE_AGGREGATION_ALIASES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const SCOPE_AGGREGATION_ALIASES = {
+  per_api: "per_api",
+  each: "per_api",
+  combined: "combined",
+  sum: "combined",
+  total: "combined",
+  breach_ratio: "breach_ratio",
+  ratio: "breach_ratio",
+  breach: "breach_ratio",
 };
 
 /**
@@ -200,7 +262,7 @@ const parseWindowMinutes = (value) => {
   const raw = String(value || "").trim();
   // 步骤 1：按条件分支处理不同场景，确保每条路径都符合业务约束。
   if (!raw) return null;
-  const match = raw.match(/^(\d+(?:\.\d+)?)(s|m|h)?$/i);
+  const match = raw.match(/^(\d+(?:\.\d+)?)(s|m|h|d)?$/i);
   // 步骤 2：按条件分支处理不同场景，确保每条路径都符合业务约束。
   if (!match) return Number(raw);
   const amount = Number(match[1]);
@@ -210,10 +272,25 @@ const parseWindowMinutes = (value) => {
   // 步骤 2：按条件分支处理不同场景，确保每条路径都符合业务约束。
   if (unit === "s") return amount / 60;
   if (unit === "h") return amount * 60;
+  if (unit === "d") return amount * 24 * 60;
   // 步骤 4：返回当前结果并结束函数，明确本路径的输出语义。
   return amount;
 };
 
+/**
+ * 符号：parseThresholdToken（arrow-function）
+ * 作用说明：该函数用于输入标准化，先把不稳定入参转为稳定结构。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 阈值允许写成 `50%`：去掉百分号后按数字解析，并告诉调用方这是一个百分比变化量。
+const parseThresholdToken = (value) => {
+  const raw = String(value || "").trim();
+  const percent = raw.endsWith("%");
+  return { value: Number(percent ? raw.slice(0, -1) : raw), percent };
+};
+
 /**
  * 符号：normalizeOperator（arrow-function）
  * 作用说明：该函数用于输入标准化，先把不稳定入参转为稳定结构。
@@ -357,6 +434,8 @@ export const parseRuleDsl = (dsl) => {
   );
   const conditions = [];
   let logic = "all";
+  let usesPercent = false;
+  let direction = "";
 
   // 步骤 5：遍历数据集合并逐项处理，累计中间结果或执行批量动作。
   for (let index = 0; index < cleanedTokens.length; index += 1) {
@@ -374,9 +453,10 @@ export const parseRuleDsl = (dsl) => {
     if (index + 2 < cleanedTokens.length) {
       const metric = normalizeMetric(cleanedTokens[index]);
       const operator = normalizeOperator(cleanedTokens[index + 1]);
-      const thresholdValue = Number(cleanedTokens[index + 2]);
-      if (Number.isFinite(thresholdValue)) {
-        conditions.push({ metric, operator, threshold: thresholdValue });
+      const parsedThreshold = parseThresholdToken(cleanedTokens[index + 2]);
+      if (Number.isFinite(parsedThreshold.value)) {
+        usesPercent = usesPercent || parsedThreshold.percent;
+        conditions.push({ metric, operator, threshold: parsedThreshold.value });
         index += 2;
         continue;
       }
@@ -400,7 +480,9 @@ export const parseRuleDsl = (dsl) => {
     }
     rule.metric = normalizeMetric(tokens[0]);
     rule.operator = normalizeOperator(tokens[1]);
-    rule.threshold = Number(tokens[2]);
+    const parsedThreshold = parseThresholdToken(tokens[2]);
+    rule.threshold = parsedThreshold.value;
+    usesPercent = parsedThreshold.percent;
     if (!Number.isFinite(rule.threshold)) {
       return { error: "threshold must be a number" };
     }
@@ -426,6 +508,22 @@ export const parseRuleDsl = (dsl) => {
     else if (normalizedKey === "cooldown") rule.cooldownMinutes = Number(normalizedValue);
     else if (normalizedKey === "scope") rule.scope = parseScope(normalizedValue);
     else if (normalizedKey === "actions") rule.actions = parseActions(normalizedValue);
+    else if (normalizedKey === "sensitivity" || normalizedKey === "sigma") rule.sensitivity = Number(normalizedValue);
+    else if (normalizedKey === "baseline") rule.baselineWindowMinutes = parseWindowMinutes(normalizedValue);
+    else if (normalizedKey === "seasonality" || normalizedKey === "season") rule.seasonality = normalizedValue.toLowerCase();
+    else if (normalizedKey === "method") rule.anomalyMethod = normalizedValue.toLowerCase();
+    else if (normalizedKey === "direction") direction = normalizedValue.toLowerCase();
+    else if (normalizedKey === "offset" || normalizedKey === "compare") rule.compareOffsetMinutes = parseWindowMinutes(normalizedValue);
+    else if (normalizedKey === "mode") {
+      rule.changeMode = CHANGE_MODE_ALIASES[normalizedValue.toLowerCase()] || normalizedValue.toLowerCase();
+    }
+    else if (normalizedKey === "across" || normalizedKey === "aggregate") {
+      rule.scopeAggregation = SCOPE_AGGREGATION_ALIASES[normalizedValue.toLowerCase()] || normalizedValue.toLowerCase();
+    }
+    else if (normalizedKey === "breach") {
+      rule.minBreachPercent = Number(normalizedValue.replace(/%$/, ""));
+      rule.scopeAggregation ??= "breach_ratio";
+    }
     else warnings.push(`unknown_token:${normalizedKey}`);
   }
 
@@ -434,9 +532,38 @@ export const parseRuleDsl = (dsl) => {
     return { error: "threshold must be a number" };
   }
 
-  // 步骤 9：按条件分支处理不同场景，确保每条路径都符合业务约束。
+  // direction 在异常检测与变化率规则里含义不同，需等 type 解析完（可能写在 direction 之后）再归位。
+  if (direction) {
+    if (rule.ruleType === "change") {
+      rule.changeDirection = CHANGE_DIRECTION_ALIASES[direction] || direction;
+    } else {
+      rule.anomalyDirection = direction;
+    }
+  }
+
+  // 单条件已同步到 metric/operator/threshold，合并聚合不支持组合条件，这里去掉以免校验误拒。
+  if (rule.scopeAggregation === "combined" && rule.conditions?.length === 1) {
+    delete rule.conditions;
+    delete rule.conditionLogic;
+  }
+
+  if (usesPercent && !rule.changeMode) {
+    if (rule.ruleType === "change") {
+      rule.changeMode = "percent";
+    } else {
+      warnings.push("percent_threshold_ignored");
+    }
+  }
+
   if (!rule.name) {
-    rule.name = `DSL ${rule.metric} ${rule.operator} ${rule.threshold}`;
+    if (rule.ruleType === "anomaly") {
+      rule.name = `DSL anomaly ${rule.metric}`;
+    } else if (rule.ruleType === "change") {
+      const unit = rule.changeMode === "absolute" ? "" : "%";
+      rule.name = `DSL ${rule.metric} change ${rule.operator} ${rule.threshold}${unit}`;
+    } else {
+      rule.name = `DSL ${rule.metric} ${rule.operator} ${rule.threshold}`;
+    }
   }
 
   rule.id = uid("rule");
@@ -4,7 +4,12 @@
  * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
  */
 
-﻿import { avg, compareByOperator, nowIso, round, toNumber, uid } from "./utils.js";
+﻿import { publishAlertEvent, publishEvent, publishMetricEvent } from "./event-bus.js";
+import { HTTP_TIMING_FIELDS } from "./http-timing.js";
+import { getIndexedLatestMetric } from "./metric-index.js";
+import { appendRawMetric, METRIC_ROLLUP_TIERS, queryMetricPoints } from "./metric-store.js";
+import { findActiveSilence, recordSilenceMatch } from "./silences.js";
+import { avg, compareByOperator, nowIso, round, toNumber, uid } from "./utils.js";
 
 /**
  * 符号：METRIC_SELECTORS（const）
@@ -20,6 +25,12 @@ const METRIC_SELECTORS = {
   latencyP99: (metric) => metric.latencyP99,
   availability: (metric) => metric.availability,
   statusCode5xx: (metric) => metric.statusCode5xx,
+  dnsMs: (metric) => metric.dnsMs,
+  connectMs: (metric) => metric.connectMs,
+  tlsMs: (metric) => metric.tlsMs,
+  ttfbMs: (metric) => metric.ttfbMs,
+  downloadMs: (metric) => metric.downloadMs,
+  certDaysRemaining: (metric) => metric.certDaysRemaining,
 };
 
 /**
@@ -30,14 +41,6 @@ const METRIC_SELECTORS = {
  * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
  */
 const ACTIVE_ALERT_STATUSES = new Set(["open", "acknowledged"]);
-/**
- * 符号：MAX_METRICS（const）
- * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
- * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
- * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
- * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
- */
-const MAX_METRICS = 30_000;
 /**
  * 符号：MAX_ALERTS（const）
  * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
@@ -153,17 +156,7 @@ const normalizeRuleType = (rule) => String(rule.ruleType || "threshold");
  * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
  */
 const getMetricsInWindow = (state, apiId, startMs, endMs) =>
-  state.metrics.filter((point) => {
-    // 步骤 1：按条件分支处理不同场景，确保每条路径都符合业务约束。
-    if (point.apiId !== apiId) {
-      return false;
-    }
-
-    // 步骤 2：执行当前后端业务子步骤，推进规则评估或告警处理主流程。
-    const timeMs = new Date(point.timestamp).getTime();
-    // 步骤 1：返回当前结果并结束函数，明确本路径的输出语义。
-    return timeMs >= startMs && timeMs <= endMs;
-  });
+  queryMetricPoints(state, { apiId, startMs, endMs }).points;
 
 /**
  * 符号：getLatestMetricForApi（arrow-function）
@@ -172,17 +165,7 @@ const getMetricsInWindow = (state, apiId, startMs, endMs) =>
  * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
  * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
  */
-export const getLatestMetricForApi = (state, apiId) => {
-  // 步骤 1：遍历数据集合并逐项处理，累计中间结果或执行批量动作。
-  for (let index = state.metrics.length - 1; index >= 0; index -= 1) {
-    const point = state.metrics[index];
-    if (point.apiId === apiId) {
-      return point;
-    }
-  }
-  // 步骤 2：返回当前结果并结束函数，明确本路径的输出语义。
-  return null;
-};
+export const getLatestMetricForApi = (state, apiId) => getIndexedLatestMetric(state, apiId);
 
 /**
  * 符号：computeApiStatus（arrow-function）
@@ -368,13 +351,160 @@ const evaluateThresholdRule = (state, rule, apiId, referenceTimeIso) =>
   evaluateThresholdCondition(state, rule, apiId, referenceTimeIso);
 
 /**
- * 符号：evaluateCompositeThresholdRule（arrow-function）
+ * 符号：CHANGE_MODES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const CHANGE_MODES = ["percent", "absolute"];
+/**
+ * 符号：CHANGE_DIRECTIONS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const CHANGE_DIRECTIONS = ["increase", "decrease", "either"];
+
+/**
+ * 符号：isChangeCondition（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const isChangeCondition = (rule, condition) =>
+  condition.conditionType ? condition.conditionType === "change" : normalizeRuleType(rule) === "change";
+
+/**
+ * 符号：aggregateWindow（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中使用 map/filter/reduce 等数组操作，强调声明式数据变换。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const aggregateWindow = (state, apiId, selector, startMs, endMs, aggregation) => {
+  const values = getMetricsInWindow(state, apiId, startMs, endMs)
+    .map((point) => selector(point))
+    .filter((value) => Number.isFinite(value));
+  return { values, value: aggregateValues(values, aggregation) };
+};
+
+/**
+ * 符号：formatChangeDelta（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const formatChangeDelta = (value, changeMode) => {
+  const normalized = round(value, 3);
+  const signed = normalized > 0 ? `+${normalized}` : String(normalized);
+  return changeMode === "percent" ? `${signed}%` : signed;
+};
+
+/**
+ * 符号：evaluateChangeCondition（arrow-function）
  * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
  * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
  * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
  * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
  */
-const evaluateCompositeThresholdRule = (state, rule, apiId, referenceTimeIso) => {
+// 变化率条件：当前窗口与向前偏移 compareOffsetMinutes 的参考窗口做比较，
+// 按方向折算出「变化量」后再套用 operator/threshold，因此能和阈值条件一起放进组合规则。
+const evaluateChangeCondition = (state, rule, apiId, referenceTimeIso, condition = {}) => {
+  const metric = condition.metric || rule.metric;
+  const selector = METRIC_SELECTORS[metric];
+  const aggregation = condition.aggregation || rule.aggregation || "avg";
+  const operator = condition.operator || rule.operator || ">=";
+  const threshold = toNumber(condition.threshold ?? rule.threshold, 0);
+  const windowMinutes = Math.max(toNumber(condition.windowMinutes ?? rule.windowMinutes, 5), 1);
+  const minSamples = Math.max(toNumber(condition.minSamples ?? rule.minSamples, 1), 1);
+  const compareOffsetMinutes = Math.max(
+    toNumber(condition.compareOffsetMinutes ?? rule.compareOffsetMinutes, windowMinutes),
+    windowMinutes,
+  );
+  const changeMode = CHANGE_MODES.includes(condition.changeMode ?? rule.changeMode)
+    ? condition.changeMode ?? rule.changeMode
+    : "percent";
+  const changeDirection = CHANGE_DIRECTIONS.includes(condition.changeDirection ?? rule.changeDirection)
+    ? condition.changeDirection ?? rule.changeDirection
+    : "increase";
+
+  const base = { aggregation, threshold, metric, operator, changeMode, changeDirection, compareOffsetMinutes };
+  const notEvaluable = (reason, sampleCount, message = reason) => ({
+    ...base,
+    evaluable: false,
+    matched: false,
+    reason,
+    value: null,
+    sampleCount,
+    message,
+  });
+
+  if (!selector) {
+    return notEvaluable("unsupported_metric", 0);
+  }
+
+  const referenceMs = new Date(referenceTimeIso).getTime();
+  const offsetMs = compareOffsetMinutes * 60_000;
+  const windowMs = windowMinutes * 60_000;
+  const current = aggregateWindow(state, apiId, selector, referenceMs - windowMs, referenceMs, aggregation);
+  // 参考窗口右端减 1ms，避免偏移量等于窗口长度时边界点被两个窗口重复统计。
+  const previous = aggregateWindow(
+    state,
+    apiId,
+    selector,
+    referenceMs - offsetMs - windowMs,
+    referenceMs - offsetMs - 1,
+    aggregation,
+  );
+  const sampleCount = current.values.length + previous.values.length;
+
+  if (current.values.length < minSamples || previous.values.length < minSamples) {
+    return notEvaluable(
+      "insufficient_samples",
+      sampleCount,
+      `insufficient_samples(current=${current.values.length}, reference=${previous.values.length}, min=${minSamples})`,
+    );
+  }
+
+  const rawDelta = current.value - previous.value;
+  const directedDelta =
+    changeDirection === "decrease" ? -rawDelta : changeDirection === "either" ? Math.abs(rawDelta) : rawDelta;
+
+  if (changeMode === "percent" && previous.value === 0 && rawDelta !== 0) {
+    return notEvaluable("zero_reference", sampleCount);
+  }
+
+  const value = changeMode === "percent" && previous.value !== 0
+    ? (directedDelta / Math.abs(previous.value)) * 100
+    : directedDelta;
+  const matched = compareByOperator(value, operator, threshold);
+
+  return {
+    ...base,
+    evaluable: true,
+    matched,
+    value,
+    sampleCount,
+    current: round(current.value, 3),
+    reference: round(previous.value, 3),
+    message:
+      `change ${aggregation} ${metric} ${changeDirection} ${formatChangeDelta(value, changeMode)} ` +
+      `vs ${compareOffsetMinutes}m ago (${round(previous.value, 3)} -> ${round(current.value, 3)}) ${operator} ${threshold}`,
+  };
+};
+
+/**
+ * 符号：evaluateCompositeRule（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const evaluateCompositeRule = (state, rule, apiId, referenceTimeIso) => {
   // 步骤 1：执行当前后端业务子步骤，推进规则评估或告警处理主流程。
   const conditions = Array.isArray(rule.conditions) ? rule.conditions : [];
   // 步骤 1：按条件分支处理不同场景，确保每条路径都符合业务约束。
@@ -385,7 +515,9 @@ const evaluateCompositeThresholdRule = (state, rule, apiId, referenceTimeIso) =>
   const logic = rule.conditionLogic === "any" ? "any" : "all";
   // 步骤 2：执行当前后端业务子步骤，推进规则评估或告警处理主流程。
   const evaluations = conditions.map((condition) =>
-    evaluateThresholdCondition(state, rule, apiId, referenceTimeIso, condition),
+    isChangeCondition(rule, condition)
+      ? evaluateChangeCondition(state, rule, apiId, referenceTimeIso, condition)
+      : evaluateThresholdCondition(state, rule, apiId, referenceTimeIso, condition),
   );
 
   // 步骤 3：执行当前后端业务子步骤，推进规则评估或告警处理主流程。
@@ -655,6 +787,276 @@ const evaluateBurnRateRule = (state, rule, apiId, referenceTimeIso) => {
   };
 };
 
+/**
+ * 符号：ANOMALY_DEFAULTS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const ANOMALY_DEFAULTS = {
+  method: "zscore",
+  sensitivity: 3,
+  baselineWindowMinutes: 7 * 24 * 60,
+  seasonality: "none",
+  direction: "both",
+  minBaselineSamples: 10,
+};
+
+/**
+ * 符号：MAD_TO_SIGMA（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// MAD 乘以该系数后在正态分布下与标准差同量纲，两种方法下 sensitivity 都可以按「几个 sigma」理解。
+const MAD_TO_SIGMA = 1.4826;
+
+/**
+ * 符号：anomalyBaselineCache（const）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 基线按分钟缓存：基线窗口在当前窗口之前结束，同一分钟内新到的点不会改变它，没必要每条指标都重算。
+const anomalyBaselineCache = new WeakMap();
+
+/**
+ * 符号：resolveAnomalyConfig（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const resolveAnomalyConfig = (rule, windowMinutes) => ({
+  method: ["zscore", "mad"].includes(rule.anomalyMethod) ? rule.anomalyMethod : ANOMALY_DEFAULTS.method,
+  sensitivity: Math.max(toNumber(rule.sensitivity, ANOMALY_DEFAULTS.sensitivity), 0.5),
+  baselineWindowMinutes: Math.max(
+    toNumber(rule.baselineWindowMinutes, ANOMALY_DEFAULTS.baselineWindowMinutes),
+    windowMinutes * 2,
+  ),
+  seasonality: ["none", "hour_of_day", "day_of_week"].includes(rule.seasonality)
+    ? rule.seasonality
+    : ANOMALY_DEFAULTS.seasonality,
+  direction: ["both", "up", "down"].includes(rule.anomalyDirection)
+    ? rule.anomalyDirection
+    : ANOMALY_DEFAULTS.direction,
+  minBaselineSamples: Math.max(toNumber(rule.minBaselineSamples, ANOMALY_DEFAULTS.minBaselineSamples), 2),
+});
+
+/**
+ * 符号：getSeasonalKey（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const getSeasonalKey = (timeMs, seasonality) => {
+  const date = new Date(timeMs);
+  if (seasonality === "hour_of_day") return date.getUTCHours();
+  if (seasonality === "day_of_week") return date.getUTCDay() * 24 + date.getUTCHours();
+  return 0;
+};
+
+/**
+ * 符号：medianOfSorted（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const medianOfSorted = (sorted) => {
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * 符号：computeBaselineStats（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const computeBaselineStats = (values, method) => {
+  if (method === "mad") {
+    const sorted = [...values].sort((left, right) => left - right);
+    const center = medianOfSorted(sorted);
+    const deviations = sorted.map((value) => Math.abs(value - center)).sort((left, right) => left - right);
+    return { center, spread: medianOfSorted(deviations) * MAD_TO_SIGMA };
+  }
+
+  const center = avg(values);
+  const variance = values.reduce((total, value) => total + (value - center) ** 2, 0) / values.length;
+  return { center, spread: Math.sqrt(variance) };
+};
+
+/**
+ * 符号：getAnomalyBaseline（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const getAnomalyBaseline = (state, apiId, metric, aggregation, config, windowMinutes, referenceMs) => {
+  const minuteKey = Math.floor(referenceMs / 60_000);
+  let cache = anomalyBaselineCache.get(state);
+  if (!cache || cache.minuteKey !== minuteKey) {
+    cache = { minuteKey, entries: new Map() };
+    anomalyBaselineCache.set(state, cache);
+  }
+
+  const cacheKey = [apiId, metric, aggregation, config.method, config.seasonality, config.baselineWindowMinutes, windowMinutes].join("|");
+  const cached = cache.entries.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const selector = METRIC_SELECTORS[metric];
+  const windowMs = windowMinutes * 60_000;
+  const currentStartMs = referenceMs - windowMs;
+  const { tier, points } = queryMetricPoints(state, {
+    apiId,
+    startMs: referenceMs - config.baselineWindowMinutes * 60_000,
+    endMs: currentStartMs - 1,
+  });
+  const seasonalKey = getSeasonalKey(referenceMs, config.seasonality);
+
+  // 当前值是整个评估窗口的聚合值，基线也先按同样长度、同样聚合方式切成窗口，再算中心和离散度；
+  // 直接用单点（或 1m 汇总桶）的离散度会把窗口平均后的波动高估数倍，异常带被撑得过宽。
+  const windows = new Map();
+  for (const point of points) {
+    const timeMs = new Date(point.timestamp).getTime();
+    const value = selector(point);
+    if (getSeasonalKey(timeMs, config.seasonality) !== seasonalKey || !Number.isFinite(value)) continue;
+    const index = Math.floor((currentStartMs - 1 - timeMs) / windowMs);
+    if (!windows.has(index)) windows.set(index, []);
+    windows.get(index).push(value);
+  }
+  const values = [...windows.values()].map((group) => aggregateValues(group, aggregation));
+  const stats = values.length ? computeBaselineStats(values, config.method) : {};
+
+  // 汇总桶比评估窗口还粗时无法再拆分：桶均值覆盖 bucketMs / windowMs 个窗口，离散度按其平方根放大回窗口粒度。
+  const bucketMs = METRIC_ROLLUP_TIERS.find((item) => item.name === tier)?.bucketMs || 0;
+  if (values.length && bucketMs > windowMs) {
+    stats.spread *= Math.sqrt(bucketMs / windowMs);
+  }
+
+  const baseline = { tier, samples: values.length, ...stats };
+  cache.entries.set(cacheKey, baseline);
+  return baseline;
+};
+
+/**
+ * 符号：evaluateAnomalyRule（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const evaluateAnomalyRule = (state, rule, apiId, referenceTimeIso) => {
+  const metric = rule.metric;
+  const selector = METRIC_SELECTORS[metric];
+  const aggregation = rule.aggregation || "avg";
+
+  if (!selector) {
+    return {
+      evaluable: false,
+      matched: false,
+      reason: "unsupported_metric",
+      value: null,
+      sampleCount: 0,
+      message: "unsupported_metric",
+      aggregation,
+      threshold: null,
+      metric,
+      expected: null,
+    };
+  }
+
+  const referenceMs = new Date(referenceTimeIso).getTime();
+  const windowMinutes = Math.max(toNumber(rule.windowMinutes, 5), 1);
+  const minSamples = Math.max(toNumber(rule.minSamples, 1), 1);
+  const config = resolveAnomalyConfig(rule, windowMinutes);
+
+  const values = getMetricsInWindow(state, apiId, referenceMs - windowMinutes * 60_000, referenceMs)
+    .map((point) => selector(point))
+    .filter((value) => Number.isFinite(value));
+
+  if (values.length < minSamples) {
+    return {
+      evaluable: false,
+      matched: false,
+      reason: "insufficient_samples",
+      value: null,
+      sampleCount: values.length,
+      message: `insufficient_samples(${values.length}/${minSamples})`,
+      aggregation,
+      threshold: null,
+      metric,
+      expected: null,
+    };
+  }
+
+  const value = aggregateValues(values, aggregation);
+  const baseline = getAnomalyBaseline(state, apiId, metric, aggregation, config, windowMinutes, referenceMs);
+
+  if (baseline.samples < config.minBaselineSamples) {
+    return {
+      evaluable: false,
+      matched: false,
+      reason: "insufficient_baseline",
+      value,
+      sampleCount: values.length,
+      message: `insufficient_baseline(${baseline.samples}/${config.minBaselineSamples})`,
+      aggregation,
+      threshold: null,
+      metric,
+      expected: null,
+    };
+  }
+
+  // 基线完全平稳时离散度为 0，任何细微波动都会被判为异常，因此按中心值的 1% 设下限。
+  const spread = Math.max(baseline.spread, Math.abs(baseline.center) * 0.01, 0.001);
+  const lower = baseline.center - config.sensitivity * spread;
+  const upper = baseline.center + config.sensitivity * spread;
+  const breachedUp = value > upper && config.direction !== "down";
+  const breachedDown = value < lower && config.direction !== "up";
+  const operator = breachedDown || (!breachedUp && config.direction === "down") ? "<" : ">";
+  const deviation = round((value - baseline.center) / spread, 3);
+
+  const expected = {
+    center: round(baseline.center, 3),
+    lower: round(lower, 3),
+    upper: round(upper, 3),
+    spread: round(spread, 3),
+    deviation,
+    method: config.method,
+    sensitivity: config.sensitivity,
+    seasonality: config.seasonality,
+    direction: config.direction,
+    baselineSamples: baseline.samples,
+    baselineWindowMinutes: config.baselineWindowMinutes,
+    baselineTier: baseline.tier,
+  };
+
+  return {
+    evaluable: true,
+    matched: breachedUp || breachedDown,
+    value,
+    sampleCount: values.length,
+    aggregation,
+    threshold: operator === "<" ? expected.lower : expected.upper,
+    metric,
+    operator,
+    expected,
+    message:
+      `anomaly ${aggregation} ${metric} ${round(value, 3)} expected [${expected.lower}, ${expected.upper}] ` +
+      `deviation=${deviation}σ method=${config.method} seasonality=${config.seasonality}`,
+  };
+};
+
 /**
  * 符号：evaluateRule（arrow-function）
  * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
@@ -681,15 +1083,240 @@ const evaluateRule = (state, rule, apiId, referenceTimeIso) => {
     return evaluateBurnRateRule(state, rule, apiId, referenceTimeIso);
   }
 
+  if (ruleType === "anomaly") {
+    return evaluateAnomalyRule(state, rule, apiId, referenceTimeIso);
+  }
+
   // 步骤 4：按条件分支处理不同场景，确保每条路径都符合业务约束。
   if (Array.isArray(rule.conditions) && rule.conditions.length > 0) {
-    return evaluateCompositeThresholdRule(state, rule, apiId, referenceTimeIso);
+    return evaluateCompositeRule(state, rule, apiId, referenceTimeIso);
+  }
+
+  if (ruleType === "change") {
+    return evaluateChangeCondition(state, rule, apiId, referenceTimeIso);
   }
 
   // 步骤 5：返回当前结果并结束函数，明确本路径的输出语义。
   return evaluateThresholdRule(state, rule, apiId, referenceTimeIso);
 };
 
+/**
+ * 符号：SCOPE_AGGREGATION_MODES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const SCOPE_AGGREGATION_MODES = new Set(["combined", "breach_ratio"]);
+/**
+ * 符号：SUMMED_SCOPE_METRICS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const SUMMED_SCOPE_METRICS = new Set(["qps", "statusCode5xx"]);
+/**
+ * 符号：MAX_SCOPE_CONTRIBUTORS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const MAX_SCOPE_CONTRIBUTORS = 20;
+
+/**
+ * 符号：isScopeAggregateRule（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const isScopeAggregateRule = (rule) =>
+  SCOPE_AGGREGATION_MODES.has(rule.scopeAggregation) && rule.scope?.type !== "api";
+
+/**
+ * 符号：buildScopeTarget（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 服务级告警没有对应的真实 API，用 scope 生成一个伪目标，沿用 apiId/path 等字段参与去重、通知与展示。
+export const buildScopeTarget = (scope) => {
+  if (scope?.type === "service") {
+    const key = `service:${scope.value}`;
+    return { id: key, name: key, path: key, method: "ANY", service: scope.value, scopeTarget: true };
+  }
+  return { id: "global", name: "global", path: "*", method: "ANY", service: null, scopeTarget: true };
+};
+
+/**
+ * 符号：resolveAlertTarget（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const resolveAlertTarget = (state, alert) =>
+  state.apis.find((item) => item.id === alert.apiId) ?? (alert.scope ? buildScopeTarget(alert.scope) : null);
+
+/**
+ * 符号：sortContributors（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const sortContributors = (contributors, operator) => {
+  const lowerIsWorse = String(operator || "").startsWith("<");
+  return [...contributors]
+    .sort((left, right) => (lowerIsWorse ? left.value - right.value : right.value - left.value))
+    .slice(0, MAX_SCOPE_CONTRIBUTORS);
+};
+
+/**
+ * 符号：evaluateCombinedScope（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// combined：逐个 API 按窗口聚合后再跨 API 合并。qps/5xx 直接求和，其余指标按各 API 的平均 qps 加权，
+// 这样流量很小的接口偶发报错不会把整个服务的错误率拉高。
+const evaluateCombinedScope = (state, rule, apis, referenceTimeIso) => {
+  const metric = rule.metric;
+  const selector = METRIC_SELECTORS[metric];
+  const aggregation = rule.aggregation || "avg";
+  const operator = rule.operator;
+  const threshold = toNumber(rule.threshold, 0);
+  const base = { aggregation, threshold, metric, operator, contributors: [] };
+
+  if (!selector) {
+    return { ...base, evaluable: false, matched: false, reason: "unsupported_metric", value: null, sampleCount: 0, message: "unsupported_metric" };
+  }
+
+  const referenceMs = new Date(referenceTimeIso).getTime();
+  const windowMinutes = Math.max(toNumber(rule.windowMinutes, 1), 1);
+  const minSamples = Math.max(toNumber(rule.minSamples, 1), 1);
+  const startMs = referenceMs - windowMinutes * 60_000;
+
+  const contributors = [];
+  let sampleCount = 0;
+  for (const api of apis) {
+    const points = getMetricsInWindow(state, api.id, startMs, referenceMs);
+    const values = points.map((point) => selector(point)).filter((value) => Number.isFinite(value));
+    sampleCount += values.length;
+    if (values.length < minSamples) continue;
+    contributors.push({
+      apiId: api.id,
+      apiPath: api.path,
+      value: aggregateValues(values, aggregation),
+      weight: avg(points.map((point) => toNumber(point.qps, 0))),
+    });
+  }
+
+  if (!contributors.length) {
+    return {
+      ...base,
+      evaluable: false,
+      matched: false,
+      reason: "insufficient_samples",
+      value: null,
+      sampleCount,
+      message: `insufficient_samples(0/${apis.length} apis)`,
+    };
+  }
+
+  const totalWeight = contributors.reduce((total, item) => total + item.weight, 0);
+  const value = SUMMED_SCOPE_METRICS.has(metric)
+    ? contributors.reduce((total, item) => total + item.value, 0)
+    : totalWeight > 0
+      ? contributors.reduce((total, item) => total + item.value * item.weight, 0) / totalWeight
+      : avg(contributors.map((item) => item.value));
+
+  return {
+    ...base,
+    evaluable: true,
+    matched: compareByOperator(value, operator, threshold),
+    value,
+    sampleCount,
+    contributors: sortContributors(contributors, operator).map((item) => ({
+      apiId: item.apiId,
+      apiPath: item.apiPath,
+      value: round(item.value, 3),
+      qps: round(item.weight, 3),
+    })),
+    message:
+      `combined ${aggregation} ${metric} ${round(value, 3)} ${operator} ${threshold} ` +
+      `across ${contributors.length}/${apis.length} apis`,
+  };
+};
+
+/**
+ * 符号：evaluateBreachRatioScope（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// breach_ratio：每个 API 仍按规则本身的类型独立评估，再统计处于触发状态的 API 占比。
+const evaluateBreachRatioScope = (state, rule, apis, referenceTimeIso) => {
+  const minBreachPercent = Math.min(Math.max(toNumber(rule.minBreachPercent, 50), 0), 100);
+  const evaluations = apis
+    .map((api) => ({ api, evaluation: evaluateRule(state, rule, api.id, referenceTimeIso) }))
+    .filter((item) => item.evaluation.evaluable);
+  const sampleCount = evaluations.reduce((total, item) => total + item.evaluation.sampleCount, 0);
+  const base = { aggregation: "breach_ratio", threshold: minBreachPercent, metric: rule.metric, operator: ">=" };
+
+  if (!evaluations.length) {
+    return {
+      ...base,
+      evaluable: false,
+      matched: false,
+      reason: "insufficient_samples",
+      value: null,
+      sampleCount,
+      contributors: [],
+      message: `insufficient_samples(0/${apis.length} apis)`,
+    };
+  }
+
+  const breached = evaluations.filter((item) => item.evaluation.matched);
+  const value = (breached.length / evaluations.length) * 100;
+
+  return {
+    ...base,
+    evaluable: true,
+    matched: breached.length > 0 && value >= minBreachPercent,
+    value: round(value, 3),
+    sampleCount,
+    contributors: breached.slice(0, MAX_SCOPE_CONTRIBUTORS).map(({ api, evaluation }) => ({
+      apiId: api.id,
+      apiPath: api.path,
+      value: round(toNumber(evaluation.value, 0), 3),
+      message: evaluation.message,
+    })),
+    message:
+      `breach_ratio ${round(value, 2)}% apis in breach (${breached.length}/${evaluations.length}) >= ${minBreachPercent}%` +
+      (breached.length ? `: ${breached.slice(0, 5).map((item) => item.api.path).join(", ")}` : ""),
+  };
+};
+
+/**
+ * 符号：evaluateScopeAggregate（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中使用 map/filter/reduce 等数组操作，强调声明式数据变换。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const evaluateScopeAggregate = (state, rule, referenceTimeIso) => {
+  const apis = state.apis.filter((api) => appliesToScope(rule, api));
+  return rule.scopeAggregation === "breach_ratio"
+    ? evaluateBreachRatioScope(state, rule, apis, referenceTimeIso)
+    : evaluateCombinedScope(state, rule, apis, referenceTimeIso);
+};
+
 /**
  * 符号：findActiveAlert（arrow-function）
  * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
@@ -761,7 +1388,14 @@ const getNoiseEntry = (state, ruleId, apiId) => {
  * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
  * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
  */
-const shouldSkipNewAlertByNoise = (state, ruleId, apiId, timestampIso) => {
+const shouldSkipNewAlertByNoise = (state, rule, api, timestampIso) => {
+  // 用户配置的 drop 静默/维护窗口不受降噪总开关影响，命中即不建告警。
+  const silence = findActiveSilence(state, rule, api, timestampIso, "drop");
+  if (silence) {
+    recordSilenceMatch(silence, timestampIso);
+    return true;
+  }
+
   // 步骤 1：执行当前后端业务子步骤，推进规则评估或告警处理主流程。
   const policy = getAlertPolicy(state);
   // 步骤 1：按条件分支处理不同场景，确保每条路径都符合业务约束。
@@ -770,7 +1404,7 @@ const shouldSkipNewAlertByNoise = (state, ruleId, apiId, timestampIso) => {
   }
 
   // 步骤 2：执行当前后端业务子步骤，推进规则评估或告警处理主流程。
-  const entry = getNoiseEntry(state, ruleId, apiId);
+  const entry = getNoiseEntry(state, rule.id, api.id);
   // 步骤 2：执行当前后端业务子步骤，推进规则评估或告警处理主流程。
   const nowMs = new Date(timestampIso).getTime();
   const dedupMs = Math.max(toNumber(policy.dedupWindowSeconds, 180), 0) * 1_000;
@@ -882,6 +1516,7 @@ const createAlert = (rule, api, evaluation, timestampIso, source) => ({
       at: timestampIso,
     },
   ],
+  ...(api.scopeTarget ? { scope: { ...rule.scope }, contributors: evaluation.contributors || [] } : {}),
 });
 
 /**
@@ -892,10 +1527,36 @@ const createAlert = (rule, api, evaluation, timestampIso, source) => ({
  * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
  */
 const evaluateRuleForApi = (state, rule, api, timestampIso, options, results) => {
-  // 步骤 1：执行当前后端业务子步骤，推进规则评估或告警处理主流程。
   const evaluation = evaluateRule(state, rule, api.id, timestampIso);
+  applyRuleEvaluation(state, rule, api, evaluation, timestampIso, options, results);
+};
 
-  // 步骤 1：按条件分支处理不同场景，确保每条路径都符合业务约束。
+/**
+ * 符号：evaluateScopeRule（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 同一次摄入/巡检里，服务级规则可能被范围内的多个 API 触发，只评估一次。
+const evaluateScopeRule = (state, rule, timestampIso, options, results) => {
+  if (results.evaluatedScopeRuleIds.has(rule.id)) {
+    return;
+  }
+  results.evaluatedScopeRuleIds.add(rule.id);
+  const evaluation = evaluateScopeAggregate(state, rule, timestampIso);
+  applyRuleEvaluation(state, rule, buildScopeTarget(rule.scope), evaluation, timestampIso, options, results);
+};
+
+/**
+ * 符号：applyRuleEvaluation（arrow-function）
+ * 作用说明：该函数偏流程编排职责，通常伴随状态更新或副作用。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收入参后会写入状态或外部资源，输出通常是更新后的对象、状态码或副作用结果。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// api 既可以是真实 API，也可以是 buildScopeTarget 生成的服务级伪目标，两者共用同一套告警生命周期。
+const applyRuleEvaluation = (state, rule, api, evaluation, timestampIso, options, results) => {
   if (!evaluation.evaluable) {
     return;
   }
@@ -923,6 +1584,9 @@ const evaluateRuleForApi = (state, rule, api, timestampIso, options, results) =>
     if (activeAlert) {
       activeAlert.observedValue = round(toNumber(evaluation.value, 0), 3);
       activeAlert.message = evaluation.message;
+      if (api.scopeTarget) {
+        activeAlert.contributors = evaluation.contributors || [];
+      }
       activeAlert.updatedAt = timestampIso;
       return;
     }
@@ -931,7 +1595,7 @@ const evaluateRuleForApi = (state, rule, api, timestampIso, options, results) =>
       return;
     }
 
-    if (shouldSkipNewAlertByNoise(state, rule.id, api.id, timestampIso)) {
+    if (shouldSkipNewAlertByNoise(state, rule, api, timestampIso)) {
       return;
     }
 
@@ -953,6 +1617,7 @@ const evaluateRuleForApi = (state, rule, api, timestampIso, options, results) =>
     rule.updatedAt = timestampIso;
 
     results.onAlertCreated(newAlert, rule, api);
+    publishAlertEvent("alert.created", newAlert);
     return;
   }
 
@@ -966,6 +1631,7 @@ const evaluateRuleForApi = (state, rule, api, timestampIso, options, results) =>
     resolvedNoise.lastResolvedAt = timestampIso;
     results.resolvedAlerts.push(activeAlert);
     results.onAlertResolved(activeAlert, rule, api);
+    publishAlertEvent("alert.resolved", activeAlert);
   }
 };
 
@@ -982,13 +1648,33 @@ const evaluateRulesForApi = (state, api, timestampIso, options, results) => {
 
   // 步骤 1：遍历数据集合并逐项处理，累计中间结果或执行批量动作。
   for (const rule of enabledRules) {
+    if (isScopeAggregateRule(rule)) {
+      evaluateScopeRule(state, rule, timestampIso, options, results);
+      continue;
+    }
     evaluateRuleForApi(state, rule, api, timestampIso, options, results);
   }
 
-  api.status = computeApiStatus(state, api.id);
+  updateApiStatus(state, api);
   api.updatedAt = timestampIso;
 };
 
+/**
+ * 符号：updateApiStatus（arrow-function）
+ * 作用说明：该函数偏流程编排职责，通常伴随状态更新或副作用。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const updateApiStatus = (state, api) => {
+  const previousStatus = api.status;
+  api.status = computeApiStatus(state, api.id);
+  if (api.status !== previousStatus) {
+    publishEvent("apis", "api.status_changed", { apiId: api.id, status: api.status, previousStatus });
+  }
+  return api.status;
+};
+
 /**
  * 符号：previewRuleEvaluation（const）
  * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
@@ -999,6 +1685,16 @@ const evaluateRulesForApi = (state, api, timestampIso, options, results) => {
 export const previewRuleEvaluation = (state, rule, apiId, referenceTimeIso = nowIso()) =>
   evaluateRule(state, rule, apiId, referenceTimeIso);
 
+/**
+ * 符号：previewScopeRuleEvaluation（const）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const previewScopeRuleEvaluation = (state, rule, referenceTimeIso = nowIso()) =>
+  evaluateScopeAggregate(state, rule, referenceTimeIso);
+
 /**
  * 符号：ingestMetric（arrow-function）
  * 作用说明：该函数偏流程编排职责，通常伴随状态更新或副作用。
@@ -1042,19 +1738,34 @@ export const ingestMetric = (state, metricInput, options = {}) => {
     availability,
     statusCode5xx,
   };
-
-  state.metrics.push(metric);
-
-  // 步骤 3：按条件分支处理不同场景，确保每条路径都符合业务约束。
-  if (state.metrics.length > MAX_METRICS) {
-    state.metrics.splice(0, state.metrics.length - MAX_METRICS);
+  // HTTP 分阶段耗时只有主动探测（或上报方主动提供）才有，缺省时不写字段，不用基线补齐。
+  for (const field of HTTP_TIMING_FIELDS) {
+    const value = Number(metricInput[field]);
+    if (metricInput[field] !== undefined && metricInput[field] !== null && Number.isFinite(value)) {
+      metric[field] = round(Math.max(value, 0), 1);
+    }
   }
+  // 证书已过期时剩余天数为负，不做下限截断。
+  if (metricInput.certDaysRemaining !== undefined && metricInput.certDaysRemaining !== null) {
+    const days = Number(metricInput.certDaysRemaining);
+    if (Number.isFinite(days)) metric.certDaysRemaining = round(days, 1);
+  }
+  // 脚本探测的分步耗时随原始指标保存，便于定位慢在哪一步；不进入汇总层。
+  if (metricInput.stepLatencyMs && typeof metricInput.stepLatencyMs === "object") {
+    metric.stepLatencyMs = Object.fromEntries(
+      Object.entries(metricInput.stepLatencyMs).map(([name, value]) => [String(name), round(Math.max(toNumber(value, 0), 0), 0)]),
+    );
+  }
+
+  appendRawMetric(state, metric);
+  publishMetricEvent(metric);
 
   const results = {
     metric,
     createdAlerts: [],
     resolvedAlerts: [],
     evaluatedRules: 0,
+    evaluatedScopeRuleIds: new Set(),
     onAlertCreated:
       typeof options.onAlertCreated === "function" ? options.onAlertCreated : () => {},
     onAlertResolved:
@@ -1089,6 +1800,7 @@ export const runRuleEvaluationSweep = (state, options = {}) => {
     evaluatedRules: 0,
     createdAlerts: [],
     resolvedAlerts: [],
+    evaluatedScopeRuleIds: new Set(),
     onAlertCreated:
       typeof options.onAlertCreated === "function" ? options.onAlertCreated : () => {},
     onAlertResolved:
@@ -1121,7 +1833,7 @@ export const runRuleEvaluationSweep = (state, options = {}) => {
 export const refreshAllApiStatuses = (state) => {
   // 步骤 1：遍历数据集合并逐项处理，累计中间结果或执行批量动作。
   for (const api of state.apis) {
-    api.status = computeApiStatus(state, api.id);
+    updateApiStatus(state, api);
   }
 };
 
@@ -0,0 +1,509 @@
+/**
+ * @file server/silences.js
+ * 文件作用：后端业务模块，参与 API 接入、规则评估、告警流转与通知链路。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import { matchesAny, nowIso, toNumber, toTimeMs, uid } from "./utils.js";
+
+/**
+ * 符号：SILENCE_KIND_VALUES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const SILENCE_KIND_VALUES = ["silence", "maintenance"];
+/**
+ * 符号：SILENCE_MODE_VALUES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// drop：窗口内不创建新告警；mute：照常创建告警，但不发首轮通知并标记 silenceId。
+export const SILENCE_MODE_VALUES = ["drop", "mute"];
+/**
+ * 符号：SILENCE_MATCHER_FIELDS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const SILENCE_MATCHER_FIELDS = ["apiId", "service", "tag", "ruleId", "priority", "environment"];
+
+/**
+ * 符号：MAX_SILENCES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const MAX_SILENCES = 500;
+/**
+ * 符号：MAX_WINDOW_MINUTES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const MAX_WINDOW_MINUTES = 7 * 24 * 60;
+/**
+ * 符号：NEXT_WINDOW_LOOKAHEAD_MINUTES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const NEXT_WINDOW_LOOKAHEAD_MINUTES = 7 * 24 * 60;
+/**
+ * 符号：CRON_FIELD_RANGES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const CRON_FIELD_RANGES = [
+  { min: 0, max: 59 },
+  { min: 0, max: 23 },
+  { min: 1, max: 31 },
+  { min: 1, max: 12 },
+  { min: 0, max: 7 },
+];
+
+/**
+ * 符号：ensureSilences（arrow-function）
+ * 作用说明：该函数用于前置校验，尽早拦截非法输入并缩短错误路径。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收入参后会写入状态或外部资源，输出通常是更新后的对象、状态码或副作用结果。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const ensureSilences = (state) => {
+  if (!Array.isArray(state.silences)) {
+    state.silences = [];
+  }
+  return state.silences;
+};
+
+/**
+ * 符号：parseCronField（arrow-function）
+ * 作用说明：该函数用于输入标准化，先把不稳定入参转为稳定结构。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const parseCronField = (text, { min, max }) => {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const match = /^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/.exec(part);
+    if (!match) return null;
+
+    const step = match[2] ? Number(match[2]) : 1;
+    let start = min;
+    let end = max;
+    if (match[1] !== "*") {
+      const [from, to] = match[1].split("-").map(Number);
+      start = from;
+      // `5/15` 这种写法按 cron 习惯视为从 5 开始步进到上限。
+      end = to ?? (match[2] ? max : from);
+    }
+    if (step < 1 || start < min || end > max || start > end) return null;
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+};
+
+/**
+ * 符号：parseCronExpression（arrow-function）
+ * 作用说明：该函数用于输入标准化，先把不稳定入参转为稳定结构。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 五段式 cron：分 时 日 月 周，支持 `*`、列表、区间与步长；周字段 0 和 7 都表示周日。
+export const parseCronExpression = (expression) => {
+  const parts = String(expression || "").trim().split(/\s+/);
+  if (parts.length !== 5) return null;
+
+  const fields = parts.map((part, index) => parseCronField(part, CRON_FIELD_RANGES[index]));
+  if (fields.some((field) => field === null)) return null;
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields;
+  if (daysOfWeek.has(7)) daysOfWeek.add(0);
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    anyDayOfMonth: parts[2] === "*",
+    anyDayOfWeek: parts[4] === "*",
+  };
+};
+
+/**
+ * 符号：matchesCronDay（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const matchesCronDay = (cron, local) => {
+  if (!cron.months.has(local.getUTCMonth() + 1)) return false;
+
+  // 与 crontab 一致：日、周都做了限定时任一命中即可，只限定其一时以该字段为准。
+  const dayOfMonthHit = cron.daysOfMonth.has(local.getUTCDate());
+  const dayOfWeekHit = cron.daysOfWeek.has(local.getUTCDay());
+  if (cron.anyDayOfMonth && cron.anyDayOfWeek) return true;
+  if (cron.anyDayOfMonth) return dayOfWeekHit;
+  if (cron.anyDayOfWeek) return dayOfMonthHit;
+  return dayOfMonthHit || dayOfWeekHit;
+};
+
+/**
+ * 符号：matchesCron（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const matchesCron = (cron, minuteMs, utcOffsetMinutes) => {
+  const local = new Date(minuteMs + utcOffsetMinutes * 60_000);
+  if (!cron.minutes.has(local.getUTCMinutes())) return false;
+  if (!cron.hours.has(local.getUTCHours())) return false;
+  return matchesCronDay(cron, local);
+};
+
+/**
+ * 符号：toIsoOrNull（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const toIsoOrNull = (value) => {
+  const ms = toTimeMs(value);
+  return ms === null ? null : new Date(ms).toISOString();
+};
+
+/**
+ * 符号：normalizeMatcherValues（arrow-function）
+ * 作用说明：该函数用于输入标准化，先把不稳定入参转为稳定结构。
+ * 实现说明：实现中使用 map/filter/reduce 等数组操作，强调声明式数据变换。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const normalizeMatcherValues = (input) => {
+  const values = Array.isArray(input) ? input : typeof input === "string" ? input.split(",") : [];
+  return [...new Set(values.map((item) => String(item).trim()).filter(Boolean))];
+};
+
+/**
+ * 符号：normalizeSilenceMatchers（arrow-function）
+ * 作用说明：该函数用于输入标准化，先把不稳定入参转为稳定结构。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const normalizeSilenceMatchers = (input) => {
+  const source = input && typeof input === "object" ? input : {};
+  const matchers = {};
+  for (const field of SILENCE_MATCHER_FIELDS) {
+    matchers[field] = normalizeMatcherValues(source[field]);
+  }
+  return matchers;
+};
+
+/**
+ * 符号：normalizeSchedule（arrow-function）
+ * 作用说明：该函数用于输入标准化，先把不稳定入参转为稳定结构。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const normalizeSchedule = (input, fallback) => {
+  if (input === null) return null;
+  const source = input && typeof input === "object" ? input : fallback;
+  if (!source) return null;
+  return {
+    cron: String(source.cron || "").trim(),
+    durationMinutes: Math.round(toNumber(source.durationMinutes, 60)),
+    utcOffsetMinutes: Math.round(toNumber(source.utcOffsetMinutes, 0)),
+  };
+};
+
+/**
+ * 符号：normalizeSilenceInput（arrow-function）
+ * 作用说明：该函数用于输入标准化，先把不稳定入参转为稳定结构。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 创建与 PATCH 共用：input 中出现的字段覆盖 existing，其余沿用原值。
+export const normalizeSilenceInput = (input, existing = null) => {
+  const body = input && typeof input === "object" ? input : {};
+  const kind = SILENCE_KIND_VALUES.includes(String(body.kind)) ? String(body.kind) : existing?.kind ?? "silence";
+  const defaultMode = kind === "maintenance" ? "drop" : "mute";
+
+  return {
+    name: "name" in body ? String(body.name || "").trim() : existing?.name ?? "",
+    kind,
+    mode: SILENCE_MODE_VALUES.includes(String(body.mode)) ? String(body.mode) : existing?.mode ?? defaultMode,
+    enabled: "enabled" in body ? Boolean(body.enabled) : existing?.enabled ?? true,
+    matchers: "matchers" in body ? normalizeSilenceMatchers(body.matchers) : existing?.matchers ?? normalizeSilenceMatchers({}),
+    startsAt: "startsAt" in body ? toIsoOrNull(body.startsAt) : existing?.startsAt ?? null,
+    endsAt: "endsAt" in body ? toIsoOrNull(body.endsAt) : existing?.endsAt ?? null,
+    schedule: kind === "maintenance" ? normalizeSchedule(body.schedule, existing?.schedule) : null,
+    comment: "comment" in body ? String(body.comment || "").trim() : existing?.comment ?? "",
+  };
+};
+
+/**
+ * 符号：validateSilence（arrow-function）
+ * 作用说明：该函数用于前置校验，尽早拦截非法输入并缩短错误路径。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const validateSilence = (silence) => {
+  if (!silence.name) {
+    return "name is required.";
+  }
+  if (!SILENCE_MATCHER_FIELDS.some((field) => silence.matchers[field].length > 0)) {
+    return `At least one matcher is required: ${SILENCE_MATCHER_FIELDS.join(", ")}`;
+  }
+
+  const startsAtMs = toTimeMs(silence.startsAt);
+  const endsAtMs = toTimeMs(silence.endsAt);
+  if (startsAtMs !== null && endsAtMs !== null && endsAtMs <= startsAtMs) {
+    return "endsAt must be later than startsAt.";
+  }
+
+  if (silence.kind === "silence") {
+    if (endsAtMs === null) {
+      return "endsAt is required for an ad-hoc silence.";
+    }
+    return null;
+  }
+
+  if (!silence.schedule || !parseCronExpression(silence.schedule.cron)) {
+    return "schedule.cron must be a 5-field cron expression (minute hour day month weekday).";
+  }
+  if (silence.schedule.durationMinutes < 1 || silence.schedule.durationMinutes > MAX_WINDOW_MINUTES) {
+    return `schedule.durationMinutes must be between 1 and ${MAX_WINDOW_MINUTES}.`;
+  }
+  if (Math.abs(silence.schedule.utcOffsetMinutes) > 14 * 60) {
+    return "schedule.utcOffsetMinutes must be between -840 and 840.";
+  }
+  return null;
+};
+
+/**
+ * 符号：findLatestCronStart（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 按天倒推，只在命中的日期里取不晚于当前时刻的最大小时、分钟，最多回看 lookbackMinutes，返回 UTC 毫秒或 null。
+const findLatestCronStart = (cron, atMs, utcOffsetMinutes, lookbackMinutes) => {
+  const offsetMs = utcOffsetMinutes * 60_000;
+  const localNowMs = Math.floor(atMs / 60_000) * 60_000 + offsetMs;
+  const localEarliestMs = localNowMs - (lookbackMinutes - 1) * 60_000;
+  const hours = [...cron.hours].sort((a, b) => b - a);
+  const minutes = [...cron.minutes].sort((a, b) => b - a);
+
+  for (let dayMs = Math.floor(localNowMs / 86_400_000) * 86_400_000; dayMs + 86_400_000 > localEarliestMs; dayMs -= 86_400_000) {
+    if (!matchesCronDay(cron, new Date(dayMs))) continue;
+    for (const hour of hours) {
+      for (const minute of minutes) {
+        const candidateMs = dayMs + hour * 3_600_000 + minute * 60_000;
+        if (candidateMs > localNowMs) continue;
+        return candidateMs >= localEarliestMs ? candidateMs - offsetMs : null;
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * 符号：findRecurringWindow（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 最近一次 cron 命中落在 durationMinutes 之内即为当前窗口；该路径在每次告警评估时都会执行，因此直接由 cron 字段推算，不逐分钟扫描。
+const findRecurringWindow = (silence, atMs) => {
+  const cron = parseCronExpression(silence.schedule?.cron);
+  if (!cron) return null;
+
+  const { durationMinutes, utcOffsetMinutes } = silence.schedule;
+  const startMs = findLatestCronStart(cron, atMs, utcOffsetMinutes, durationMinutes);
+  if (startMs === null) return null;
+  return { startsAt: new Date(startMs).toISOString(), endsAt: new Date(startMs + durationMinutes * 60_000).toISOString() };
+};
+
+/**
+ * 符号：getActiveSilenceWindow（const）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const getActiveSilenceWindow = (silence, atMs = Date.now()) => {
+  if (!silence || silence.enabled === false) return null;
+
+  const startsAtMs = toTimeMs(silence.startsAt);
+  const endsAtMs = toTimeMs(silence.endsAt);
+  if (startsAtMs !== null && atMs < startsAtMs) return null;
+  if (endsAtMs !== null && atMs >= endsAtMs) return null;
+
+  if (silence.kind === "maintenance") {
+    return findRecurringWindow(silence, atMs);
+  }
+  return { startsAt: silence.startsAt, endsAt: silence.endsAt };
+};
+
+/**
+ * 符号：findNextWindowStart（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const findNextWindowStart = (silence, atMs) => {
+  if (silence.enabled === false) return null;
+  const startsAtMs = toTimeMs(silence.startsAt);
+  const endsAtMs = toTimeMs(silence.endsAt);
+
+  if (silence.kind !== "maintenance") {
+    return startsAtMs !== null && startsAtMs > atMs ? silence.startsAt : null;
+  }
+
+  const cron = parseCronExpression(silence.schedule?.cron);
+  if (!cron) return null;
+  const firstMinuteMs = Math.ceil(Math.max(atMs + 1, startsAtMs ?? 0) / 60_000) * 60_000;
+  for (let offset = 0; offset < NEXT_WINDOW_LOOKAHEAD_MINUTES; offset += 1) {
+    const candidateMs = firstMinuteMs + offset * 60_000;
+    if (endsAtMs !== null && candidateMs >= endsAtMs) return null;
+    if (matchesCron(cron, candidateMs, silence.schedule.utcOffsetMinutes)) {
+      return new Date(candidateMs).toISOString();
+    }
+  }
+  return null;
+};
+
+/**
+ * 符号：silenceMatchesTarget（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中使用 map/filter/reduce 等数组操作，强调声明式数据变换。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 各匹配字段之间是“与”，同一字段内多个取值是“或”；空字段不参与过滤。
+export const silenceMatchesTarget = (silence, rule, api) => {
+  const matchers = silence.matchers || {};
+  const tags = Array.isArray(api?.tags) ? api.tags.map(String) : [];
+  return (
+    matchesAny(matchers.apiId || [], [api?.id].filter(Boolean)) &&
+    matchesAny(matchers.service || [], [api?.service].filter(Boolean)) &&
+    matchesAny(matchers.tag || [], tags) &&
+    matchesAny(matchers.ruleId || [], [rule?.id].filter(Boolean)) &&
+    matchesAny(matchers.priority || [], [rule?.priority].filter(Boolean)) &&
+    matchesAny(matchers.environment || [], [api?.environment || "production"])
+  );
+};
+
+/**
+ * 符号：findActiveSilence（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const findActiveSilence = (state, rule, api, timestampIso, mode = null) => {
+  const atMs = toTimeMs(timestampIso) ?? Date.now();
+  return (
+    ensureSilences(state).find(
+      (silence) =>
+        (!mode || silence.mode === mode) &&
+        getActiveSilenceWindow(silence, atMs) !== null &&
+        silenceMatchesTarget(silence, rule, api),
+    ) ?? null
+  );
+};
+
+/**
+ * 符号：recordSilenceMatch（const）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const recordSilenceMatch = (silence, timestampIso = nowIso()) => {
+  silence.matchedCount = toNumber(silence.matchedCount, 0) + 1;
+  silence.lastMatchedAt = timestampIso;
+};
+
+/**
+ * 符号：createSilence（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const createSilence = (state, normalized, by) => {
+  const timestamp = nowIso();
+  const silence = {
+    id: uid("silence"),
+    ...normalized,
+    createdBy: by,
+    createdAt: timestamp,
+    updatedAt: timestamp,
+    matchedCount: 0,
+    lastMatchedAt: null,
+  };
+
+  const silences = ensureSilences(state);
+  silences.unshift(silence);
+  if (silences.length > MAX_SILENCES) {
+    silences.length = MAX_SILENCES;
+  }
+  return silence;
+};
+
+/**
+ * 符号：getSilenceStatus（const）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const getSilenceStatus = (silence, atMs = Date.now()) => {
+  if (silence.enabled === false) return "disabled";
+  if (getActiveSilenceWindow(silence, atMs)) return "active";
+  const endsAtMs = toTimeMs(silence.endsAt);
+  if (endsAtMs !== null && atMs >= endsAtMs) return "expired";
+  return "pending";
+};
+
+/**
+ * 符号：serializeSilence（const）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const serializeSilence = (silence, atMs = Date.now()) => {
+  const activeWindow = getActiveSilenceWindow(silence, atMs);
+  return {
+    ...silence,
+    status: getSilenceStatus(silence, atMs),
+    activeWindow,
+    nextStartsAt: activeWindow ? null : findNextWindowStart(silence, atMs),
+  };
+};
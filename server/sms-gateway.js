@@ -0,0 +1,449 @@
+/**
+ * @file server/sms-gateway.js
+ * 文件作用：后端业务模块，参与 API 接入、规则评估、告警流转与通知链路。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import { resolveCredentialSecrets } from "./credential-secrets.js";
+import { applyCredential } from "./pull-monitor.js";
+import { renderTemplate, renderTemplateValue, validateTemplateValue } from "./templates.js";
+import { nowIso, readJsonPath } from "./utils.js";
+
+/**
+ * 符号：normalizePhoneNumber（arrow-function）
+ * 作用说明：该函数用于输入标准化，先把不稳定入参转为稳定结构。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 手机号：可带 + 前缀的 6-15 位数字（E.164 上限），书写时夹带的空格、短横线与括号会被去掉。
+export const normalizePhoneNumber = (value) => {
+  const text = String(value ?? "").replace(/[\s()-]/g, "");
+  return /^\+?\d{6,15}$/.test(text) ? text : null;
+};
+
+/**
+ * 符号：SMS_GATEWAY_PRESETS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 常见短信网关的请求形状。body 中的字符串叶子按 Mustache 模板渲染，可用变量：
+// recipient、message、from、auth（凭据解析出的 token/username/password/key/value）、notification。
+export const SMS_GATEWAY_PRESETS = {
+  generic_json: {
+    method: "POST",
+    contentType: "json",
+    body: { to: "{{recipient}}", message: "{{message}}" },
+  },
+  generic_form: {
+    method: "POST",
+    contentType: "form",
+    body: { to: "{{recipient}}", message: "{{message}}" },
+  },
+  twilio: {
+    url: "https://api.twilio.com/2010-04-01/Accounts/{{auth.username}}/Messages.json",
+    method: "POST",
+    contentType: "form",
+    body: { To: "{{recipient}}", From: "{{from}}", Body: "{{message}}" },
+    success: { status: [201] },
+  },
+  vonage: {
+    url: "https://rest.nexmo.com/sms/json",
+    method: "POST",
+    contentType: "json",
+    authHeader: false,
+    body: {
+      api_key: "{{auth.username}}",
+      api_secret: "{{auth.password}}",
+      from: "{{from}}",
+      to: "{{recipient}}",
+      text: "{{message}}",
+    },
+    success: { path: "messages.0.status", equals: "0" },
+  },
+  yunpian: {
+    url: "https://sms.yunpian.com/v2/sms/single_send.json",
+    method: "POST",
+    contentType: "form",
+    authHeader: false,
+    body: { apikey: "{{auth.value}}", mobile: "{{recipient}}", text: "{{message}}" },
+    success: { path: "code", equals: "0" },
+  },
+};
+
+/**
+ * 符号：SMS_PROVIDERS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const SMS_PROVIDERS = [...Object.keys(SMS_GATEWAY_PRESETS), "custom"];
+
+/**
+ * 符号：GATEWAY_METHODS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const GATEWAY_METHODS = ["GET", "POST", "PUT"];
+/**
+ * 符号：GATEWAY_CONTENT_TYPES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const GATEWAY_CONTENT_TYPES = ["json", "form"];
+/**
+ * 符号：MAX_SEGMENTS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const MAX_SEGMENTS = 10;
+/**
+ * 符号：MAX_RESPONSE_TEXT（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const MAX_RESPONSE_TEXT = 300;
+
+/**
+ * 符号：GSM7_BASIC（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const GSM7_BASIC =
+  "@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !\"#¤%&'()*+,-./0123456789:;<=>?¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà";
+/**
+ * 符号：GSM7_EXTENDED（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const GSM7_EXTENDED = "\f^{}\\[~]|€";
+
+/**
+ * 符号：toPlainObject（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const toPlainObject = (value) => (value && typeof value === "object" && !Array.isArray(value) ? value : {});
+
+/**
+ * 符号：resolveGatewayConfig（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 预设作为底稿，渠道 config.gateway 中的字段逐项覆盖；body 整体替换，headers/success 合并。
+export const resolveGatewayConfig = (config = {}) => {
+  const preset = SMS_GATEWAY_PRESETS[config.provider || "generic_json"] || {};
+  const custom = toPlainObject(config.gateway);
+  return {
+    ...preset,
+    ...custom,
+    url: String(custom.url ?? preset.url ?? "").trim(),
+    method: String(custom.method ?? preset.method ?? "POST").toUpperCase(),
+    contentType: String(custom.contentType ?? preset.contentType ?? "json").toLowerCase(),
+    headers: { ...toPlainObject(preset.headers), ...toPlainObject(custom.headers) },
+    body: custom.body && typeof custom.body === "object" ? custom.body : preset.body || {},
+    success: { ...toPlainObject(preset.success), ...toPlainObject(custom.success) },
+    authHeader: (custom.authHeader ?? preset.authHeader) !== false,
+  };
+};
+
+/**
+ * 符号：validateSmsGatewayConfig（arrow-function）
+ * 作用说明：该函数用于前置校验，尽早拦截非法输入并缩短错误路径。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 返回错误码（null 表示合法），仅在 http 投递模式下由 validateChannelConfig 调用。
+export const validateSmsGatewayConfig = (config = {}) => {
+  if (config.provider !== undefined && !SMS_PROVIDERS.includes(config.provider)) return "invalid_sms_provider";
+  const gateway = resolveGatewayConfig(config);
+  if (!/^https?:\/\//i.test(gateway.url)) return "invalid_sms_gateway_url";
+  if (!GATEWAY_METHODS.includes(gateway.method)) return "invalid_sms_gateway_method";
+  if (!GATEWAY_CONTENT_TYPES.includes(gateway.contentType)) return "invalid_sms_gateway_content_type";
+
+  if (validateTemplateValue([gateway.url, gateway.headers, gateway.body])) return "invalid_sms_gateway_template";
+
+  if (config.maxSegments !== undefined) {
+    const maxSegments = Number(config.maxSegments);
+    if (!Number.isInteger(maxSegments) || maxSegments < 1 || maxSegments > MAX_SEGMENTS) {
+      return "invalid_sms_max_segments";
+    }
+  }
+  return null;
+};
+
+/**
+ * 符号：measureSmsText（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 全部字符都在 GSM 03.38 字符集内时按 GSM-7 计费（扩展字符占 2 位），否则按 UCS-2 计 UTF-16 码元。
+export const measureSmsText = (text) => {
+  const value = String(text ?? "");
+  let units = 0;
+  for (const char of value) {
+    if (GSM7_BASIC.includes(char)) units += 1;
+    else if (GSM7_EXTENDED.includes(char)) units += 2;
+    else return { encoding: "ucs2", units: value.length, segments: value.length <= 70 ? 1 : Math.ceil(value.length / 67) };
+  }
+  return { encoding: "gsm7", units, segments: units <= 160 ? 1 : Math.ceil(units / 153) };
+};
+
+/**
+ * 符号：getCharUnits（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const getCharUnits = (char, encoding) => {
+  if (encoding === "ucs2") return char.length;
+  return GSM7_EXTENDED.includes(char) ? 2 : 1;
+};
+
+/**
+ * 符号：truncateSmsText（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 超出 maxSegments 条短信的长度时截断并追加省略号；GSM-7 用 "..." 以免整条退化为 UCS-2。
+export const truncateSmsText = (text, maxSegments = 1) => {
+  const value = String(text ?? "");
+  const segments = Math.min(Math.max(Math.trunc(Number(maxSegments) || 1), 1), MAX_SEGMENTS);
+  const measured = measureSmsText(value);
+  const limit =
+    measured.encoding === "gsm7" ? (segments === 1 ? 160 : 153 * segments) : segments === 1 ? 70 : 67 * segments;
+  if (measured.units <= limit) return { text: value, ...measured, truncated: false };
+
+  const suffix = measured.encoding === "gsm7" ? "..." : "…";
+  let used = suffix.length;
+  let output = "";
+  for (const char of value) {
+    const units = getCharUnits(char, measured.encoding);
+    if (used + units > limit) break;
+    used += units;
+    output += char;
+  }
+  const truncatedText = `${output.trimEnd()}${suffix}`;
+  return { text: truncatedText, ...measureSmsText(truncatedText), truncated: true };
+};
+
+/**
+ * 符号：evaluateGatewayResponse（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 成功判定：状态码命中 success.status（默认 2xx），且配置了 success.path 时该 JSON 字段等于 success.equals（未配置 equals 时要求为真值）。
+const evaluateGatewayResponse = (success, status, responseText) => {
+  const statuses = [success.status ?? []].flat().map(Number);
+  const statusOk = statuses.length ? statuses.includes(status) : status >= 200 && status < 300;
+  if (!statusOk) return `http_${status}`;
+  if (!success.path) return null;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(responseText);
+  } catch {
+    return "gateway_invalid_json";
+  }
+  const actual = readJsonPath(parsed, success.path);
+  const matched = success.equals === undefined ? Boolean(actual) : String(actual) === String(success.equals);
+  return matched ? null : `gateway_rejected:${success.path}=${actual === undefined ? "undefined" : JSON.stringify(actual)}`;
+};
+
+/**
+ * 符号：encodeContextValues（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const encodeContextValues = (value) => {
+  if (typeof value === "string") return encodeURIComponent(value);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, encodeContextValues(item)]));
+  }
+  return value;
+};
+
+/**
+ * 符号：toFormParams（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中使用 map/filter/reduce 等数组操作，强调声明式数据变换。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const toFormParams = (body) =>
+  new URLSearchParams(
+    Object.entries(body).map(([key, value]) => [key, value && typeof value === "object" ? JSON.stringify(value) : String(value ?? "")]),
+  );
+
+/**
+ * 符号：buildGatewayRequest（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const buildGatewayRequest = (gateway, context, credential, secrets) => {
+  // URL 中的变量做 URI 编码，避免号码里的 + 等字符破坏路径或查询串。
+  let url = renderTemplate(gateway.url, encodeContextValues(context));
+  let headers = Object.fromEntries(
+    Object.entries(gateway.headers).map(([key, value]) => [key, renderTemplate(String(value ?? ""), context)]),
+  );
+  if (credential && gateway.authHeader) {
+    ({ url, headers } = applyCredential(url, headers, credential, secrets));
+  }
+
+  const body = renderTemplateValue(gateway.body, context);
+  if (gateway.method === "GET") {
+    const target = new URL(url);
+    for (const [key, value] of toFormParams(body)) target.searchParams.set(key, value);
+    return { url: target.toString(), options: { method: "GET", headers } };
+  }
+  if (gateway.contentType === "form") {
+    return {
+      url,
+      options: {
+        method: gateway.method,
+        headers: { "Content-Type": "application/x-www-form-urlencoded", ...headers },
+        body: toFormParams(body).toString(),
+      },
+    };
+  }
+  return {
+    url,
+    options: { method: gateway.method, headers: { "Content-Type": "application/json", ...headers }, body: JSON.stringify(body) },
+  };
+};
+
+/**
+ * 符号：sendToRecipient（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含 try/catch，说明该路径显式处理异常。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const sendToRecipient = async ({ gateway, context, credential, secrets, request }) => {
+  const attemptedAt = nowIso();
+  try {
+    const { url, options } = buildGatewayRequest(gateway, context, credential, secrets);
+    const response = await request(url, options);
+    const responseText = await response.text();
+    const error = evaluateGatewayResponse(gateway.success, response.status, responseText);
+    return {
+      recipient: context.recipient,
+      success: !error,
+      status: response.status,
+      response: responseText.slice(0, MAX_RESPONSE_TEXT),
+      error,
+      attemptedAt,
+    };
+  } catch (error) {
+    return {
+      recipient: context.recipient,
+      success: false,
+      status: null,
+      response: null,
+      error: String(error?.message || "delivery_exception"),
+      attemptedAt,
+    };
+  }
+};
+
+/**
+ * 符号：deliverSmsViaGateway（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 逐个收件人调用网关，结果写入 record.recipientResults；重试时跳过已成功的收件人，避免重复下发。
+// 只发给手机号形态的收件人，邮箱等其它值直接跳过并写进 response，不会原样交给网关。
+// 凭据缺失、停用或密钥未配置属于配置错误，直接标记 permanent。
+export const deliverSmsViaGateway = async ({ config, record, credentials = [], request }) => {
+  const payload = record.payload || {};
+  const requested = (Array.isArray(payload.recipients) && payload.recipients.length ? payload.recipients : config.recipients || [])
+    .map((item) => String(item ?? "").trim())
+    .filter(Boolean);
+  const recipients = [...new Set(requested.map(normalizePhoneNumber).filter(Boolean))];
+  const rejected = requested.filter((item) => !normalizePhoneNumber(item));
+  if (!recipients.length) {
+    const error = rejected.length ? `invalid_sms_recipients:${rejected.join(",")}` : "invalid_sms_recipients";
+    return { success: false, response: "invalid_sms_recipients", error, permanent: true };
+  }
+
+  const credentialId = String(config.credentialId || "").trim();
+  const credential = credentialId ? credentials.find((item) => item.id === credentialId) : null;
+  if (credentialId && !credential) {
+    return { success: false, response: "credential_not_found", error: `credential_not_found:${credentialId}`, permanent: true };
+  }
+  if (credential?.enabled === false) {
+    return { success: false, response: "credential_disabled", error: "credential_disabled", permanent: true };
+  }
+  let secrets = null;
+  try {
+    secrets = credential ? resolveCredentialSecrets(credential) : null;
+  } catch (error) {
+    return { success: false, response: "secret_not_found", error: error.message, permanent: true };
+  }
+
+  const sms = truncateSmsText(record.rendered?.body || payload.title || "", config.maxSegments);
+  record.smsMessage = { encoding: sms.encoding, units: sms.units, segments: sms.segments, truncated: sms.truncated };
+
+  const gateway = resolveGatewayConfig(config);
+  const previous = new Map((record.recipientResults || []).map((item) => [item.recipient, item]));
+  const results = [];
+  for (const recipient of recipients) {
+    if (previous.get(recipient)?.success) {
+      results.push(previous.get(recipient));
+      continue;
+    }
+    const context = {
+      recipient,
+      message: sms.text,
+      from: String(config.from ?? ""),
+      auth: secrets || {},
+      notification: { id: record.id, alertId: record.alertId, eventType: record.eventType },
+    };
+    results.push(await sendToRecipient({ gateway, context, credential, secrets, request }));
+  }
+  record.recipientResults = results;
+
+  const failed = results.filter((item) => !item.success);
+  if (!failed.length) {
+    const skipped = rejected.length ? ` skipped_invalid:${rejected.length}` : "";
+    return { success: true, response: `sms_sent ${results.length}/${results.length}${skipped}` };
+  }
+  return {
+    success: false,
+    response: `sms_failed ${failed.length}/${results.length}`,
+    error: failed.map((item) => `${item.recipient}:${item.error}`).join("; "),
+  };
+};
@@ -0,0 +1,356 @@
+/**
+ * @file server/smtp-client.js
+ * 文件作用：后端业务模块，参与 API 接入、规则评估、告警流转与通知链路。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import net from "node:net";
+import os from "node:os";
+import tls from "node:tls";
+import { randomBytes } from "node:crypto";
+
+/**
+ * 符号：SMTP_SECURITY_VALUES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const SMTP_SECURITY_VALUES = ["starttls", "tls", "none"];
+
+/**
+ * 符号：DEFAULT_TIMEOUT_MS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const DEFAULT_TIMEOUT_MS = 15_000;
+
+/**
+ * 符号：createSmtpError（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 带 SMTP 应答码的错误，调用方据此区分 4xx（可重试）与 5xx（永久失败）。
+const createSmtpError = (reply, stage) => {
+  const error = new Error(`smtp_${reply.code} ${reply.message}`.trim());
+  error.smtpCode = reply.code;
+  error.smtpStage = stage;
+  return error;
+};
+
+/**
+ * 符号：extractAddress（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const extractAddress = (value) => {
+  const text = String(value || "").trim();
+  const match = /<([^<>\s]+@[^<>\s]+)>/.exec(text);
+  return match ? match[1] : /^[^<>\s]+@[^<>\s]+$/.test(text) ? text : null;
+};
+
+/**
+ * 符号：wrapBase64（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const wrapBase64 = (buffer) => buffer.toString("base64").replace(/.{76}(?=.)/g, "$&\r\n");
+
+/**
+ * 符号：encodeHeader（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 非 ASCII 头部按 RFC 2047 编码，并按字符切分保证每段编码后不超过约 75 字节。
+const encodeHeader = (value) => {
+  const text = String(value ?? "").replace(/[\r\n]+/g, " ");
+  if (/^[\x20-\x7e]*$/.test(text)) return text;
+
+  const words = [];
+  let chunk = "";
+  for (const char of text) {
+    if (Buffer.byteLength(chunk + char) > 45) {
+      words.push(chunk);
+      chunk = "";
+    }
+    chunk += char;
+  }
+  if (chunk) words.push(chunk);
+  return words.map((word) => `=?UTF-8?B?${Buffer.from(word).toString("base64")}?=`).join("\r\n ");
+};
+
+/**
+ * 符号：encodeAddressHeader（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 地址头只编码显示名，`<addr>` 原样写出：RFC 2047 编码词里不能包含地址本身。
+const encodeAddressHeader = (value) => {
+  const text = String(value ?? "").replace(/[\r\n]+/g, " ").trim();
+  const address = extractAddress(text);
+  if (!address) return encodeHeader(text);
+  const name = text.replace(/<[^<>]*>/, "").trim().replace(/^"(.*)"$/, "$1");
+  if (!name || name === address) return address;
+  if (!/^[\x20-\x7e]*$/.test(name)) return `${encodeHeader(name)} <${address}>`;
+  return /[()<>@,;:\\".[\]]/.test(name) ? `"${name.replace(/["\\]/g, "\\$&")}" <${address}>` : `${name} <${address}>`;
+};
+
+/**
+ * 符号：buildMimeMessage（const）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const buildMimeMessage = ({ from, to, subject, text, html, date = new Date() }) => {
+  const boundary = `alert_${randomBytes(12).toString("hex")}`;
+  const domain = (extractAddress(from) || "localhost").split("@")[1];
+  const lines = [
+    `From: ${encodeAddressHeader(from)}`,
+    `To: ${to.join(", ")}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString().replace("GMT", "+0000")}`,
+    `Message-ID: <${randomBytes(16).toString("hex")}@${domain}>`,
+    "MIME-Version: 1.0",
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    "",
+    `--${boundary}`,
+    "Content-Type: text/plain; charset=UTF-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    wrapBase64(Buffer.from(String(text ?? ""))),
+    `--${boundary}`,
+    "Content-Type: text/html; charset=UTF-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    wrapBase64(Buffer.from(String(html ?? ""))),
+    `--${boundary}--`,
+    "",
+  ];
+  return lines.join("\r\n");
+};
+
+/**
+ * 符号：createReplyReader（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 把 socket 上的数据切成 SMTP 应答：多行应答以 "250-" 续行，以 "250 " 结束。
+const createReplyReader = (session) => {
+  let buffer = "";
+  let pendingLines = [];
+
+  return (chunk) => {
+    buffer += chunk.toString("utf8");
+    let index;
+    while ((index = buffer.indexOf("\r\n")) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+      pendingLines.push(line.slice(4));
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: Number(line.slice(0, 3)), lines: pendingLines, message: pendingLines.join(" ").trim() };
+        pendingLines = [];
+        const waiter = session.waiters.shift();
+        if (waiter) {
+          waiter.resolve(reply);
+        } else {
+          session.replies.push(reply);
+        }
+      }
+    }
+  };
+};
+
+/**
+ * 符号：attachSocket（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const attachSocket = (session, socket, timeoutMs) => {
+  session.socket = socket;
+  socket.setTimeout(timeoutMs, () => socket.destroy(new Error("smtp_timeout")));
+  socket.on("data", createReplyReader(session));
+  socket.on("error", (error) => {
+    session.error = error;
+    for (const waiter of session.waiters.splice(0)) waiter.reject(error);
+  });
+  socket.on("close", () => {
+    session.error ??= new Error("smtp_connection_closed");
+    for (const waiter of session.waiters.splice(0)) waiter.reject(session.error);
+  });
+};
+
+/**
+ * 符号：readReply（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const readReply = (session) => {
+  if (session.replies.length) return Promise.resolve(session.replies.shift());
+  if (session.error) return Promise.reject(session.error);
+  return new Promise((resolve, reject) => session.waiters.push({ resolve, reject }));
+};
+
+/**
+ * 符号：sendCommand（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const sendCommand = async (session, line, expectedCodes, stage) => {
+  session.socket.write(`${line}\r\n`);
+  const reply = await readReply(session);
+  if (!expectedCodes.includes(reply.code)) {
+    throw createSmtpError(reply, stage);
+  }
+  return reply;
+};
+
+/**
+ * 符号：parseCapabilities（arrow-function）
+ * 作用说明：该函数用于输入标准化，先把不稳定入参转为稳定结构。
+ * 实现说明：实现中使用 map/filter/reduce 等数组操作，强调声明式数据变换。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const parseCapabilities = (reply) => {
+  const capabilities = new Map();
+  for (const line of reply.lines.slice(1)) {
+    const [keyword, ...params] = line.trim().split(/\s+/);
+    capabilities.set(keyword.toUpperCase(), params.map((item) => item.toUpperCase()));
+  }
+  return capabilities;
+};
+
+/**
+ * 符号：upgradeToTls（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const upgradeToTls = (session, options) =>
+  new Promise((resolve, reject) => {
+    const plainSocket = session.socket;
+    plainSocket.removeAllListeners("data");
+    plainSocket.removeAllListeners("error");
+    plainSocket.removeAllListeners("close");
+    plainSocket.setTimeout(0);
+    // 底层 socket 的错误会体现在 TLS socket 上，这里只防止未监听的 error 事件导致进程退出。
+    plainSocket.on("error", () => {});
+
+    const secureSocket = tls.connect(
+      { socket: plainSocket, servername: options.host, rejectUnauthorized: options.rejectUnauthorized },
+      () => resolve(),
+    );
+    secureSocket.once("error", reject);
+    attachSocket(session, secureSocket, options.timeoutMs);
+  });
+
+/**
+ * 符号：authenticate（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const authenticate = async (session, capabilities, username, password) => {
+  const methods = capabilities.get("AUTH") || [];
+  if (!methods.length || methods.includes("PLAIN")) {
+    const token = Buffer.from(`\u0000${username}\u0000${password}`).toString("base64");
+    await sendCommand(session, `AUTH PLAIN ${token}`, [235], "auth");
+    return;
+  }
+  if (methods.includes("LOGIN")) {
+    await sendCommand(session, "AUTH LOGIN", [334], "auth");
+    await sendCommand(session, Buffer.from(username).toString("base64"), [334], "auth");
+    await sendCommand(session, Buffer.from(password).toString("base64"), [235], "auth");
+    return;
+  }
+  throw new Error(`smtp_auth_unsupported:${methods.join(",")}`);
+};
+
+/**
+ * 符号：sendSmtpMail（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 发送一封邮件并返回服务器对 DATA 的最终应答（通常为 250）。
+// security：`starttls`（默认，明文连接后升级）、`tls`（465 端口隐式 TLS）、`none`（仅限内网中继）。
+export const sendSmtpMail = async (options) => {
+  const security = SMTP_SECURITY_VALUES.includes(options.security)
+    ? options.security
+    : Number(options.port) === 465
+      ? "tls"
+      : "starttls";
+  const port = Number(options.port) || (security === "tls" ? 465 : 587);
+  const timeoutMs = Math.max(1_000, Number(options.timeoutMs) || DEFAULT_TIMEOUT_MS);
+  const connectOptions = {
+    host: options.host,
+    timeoutMs,
+    rejectUnauthorized: options.rejectUnauthorized !== false,
+  };
+  const heloName = options.heloName || os.hostname() || "localhost";
+  const session = { socket: null, replies: [], waiters: [], error: null };
+
+  const socket =
+    security === "tls"
+      ? tls.connect({ host: options.host, port, servername: options.host, rejectUnauthorized: connectOptions.rejectUnauthorized })
+      : net.connect({ host: options.host, port });
+  attachSocket(session, socket, timeoutMs);
+
+  try {
+    const greeting = await readReply(session);
+    if (greeting.code !== 220) throw createSmtpError(greeting, "greeting");
+
+    let capabilities = parseCapabilities(await sendCommand(session, `EHLO ${heloName}`, [250], "ehlo"));
+    if (security === "starttls") {
+      if (!capabilities.has("STARTTLS")) {
+        throw new Error("smtp_starttls_unsupported");
+      }
+      await sendCommand(session, "STARTTLS", [220], "starttls");
+      await upgradeToTls(session, connectOptions);
+      capabilities = parseCapabilities(await sendCommand(session, `EHLO ${heloName}`, [250], "ehlo"));
+    }
+
+    if (options.username) {
+      await authenticate(session, capabilities, options.username, options.password ?? "");
+    }
+
+    await sendCommand(session, `MAIL FROM:<${extractAddress(options.from)}>`, [250], "mail_from");
+    for (const recipient of options.to) {
+      await sendCommand(session, `RCPT TO:<${recipient}>`, [250, 251], "rcpt_to");
+    }
+    await sendCommand(session, "DATA", [354], "data");
+
+    // 行首的 "." 需要转义成 ".."，否则会被服务器当作正文结束标记。
+    const message = buildMimeMessage(options).replace(/^\./gm, "..");
+    const accepted = await sendCommand(session, `${message}\r\n.`, [250], "data_end");
+
+    session.socket.write("QUIT\r\n");
+    return accepted;
+  } finally {
+    session.socket.end();
+  }
+};
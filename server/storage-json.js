@@ -0,0 +1,152 @@
+/**
+ * @file server/storage-json.js
+ * 文件作用：后端业务模块，参与 API 接入、规则评估、告警流转与通知链路。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { nowIso } from "./utils.js";
+
+/**
+ * 符号：createJsonStorageAdapter（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收入参后会写入状态或外部资源，输出通常是更新后的对象、状态码或副作用结果。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const createJsonStorageAdapter = (options) => {
+  const {
+    filePath,
+    prettyPrint = false,
+    saveDelayMs = 900,
+    normalizeState,
+    createInitialState,
+  } = options;
+  const dataDir = path.dirname(filePath);
+  const tmpFile = `${filePath}.tmp`;
+
+  let state = null;
+  let pendingSave = null;
+  let persistInFlight = false;
+  let persistQueued = false;
+
+  const ensureDirectory = () => {
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+  };
+
+  const serializeState = () => (
+    prettyPrint
+      ? JSON.stringify(state, null, 2)
+      : JSON.stringify(state)
+  );
+
+  const createPersistSnapshot = () => ({
+    payload: serializeState(),
+    updatedAt: state?.meta?.updatedAt || "",
+  });
+
+  const persistNowSync = () => {
+    ensureDirectory();
+    fs.writeFileSync(filePath, serializeState(), "utf8");
+  };
+
+  const persistNowAsync = async (snapshot) => {
+    ensureDirectory();
+    await fs.promises.writeFile(tmpFile, snapshot.payload, "utf8");
+    if ((state?.meta?.updatedAt || "") !== snapshot.updatedAt) {
+      await fs.promises.rm(tmpFile, { force: true });
+      return;
+    }
+    await fs.promises.rename(tmpFile, filePath);
+  };
+
+  const load = () => {
+    ensureDirectory();
+
+    if (!fs.existsSync(filePath)) {
+      state = createInitialState();
+      persistNowSync();
+      return state;
+    }
+
+    try {
+      const raw = fs.readFileSync(filePath, "utf8");
+      const parsed = JSON.parse(raw);
+
+      if (!parsed || typeof parsed !== "object" || !Array.isArray(parsed.apis)) {
+        throw new Error("Invalid store format.");
+      }
+
+      state = normalizeState(parsed);
+    } catch (error) {
+      console.error("Failed to load store.json, falling back to default data.", error);
+      state = createInitialState();
+      persistNowSync();
+    }
+    return state;
+  };
+
+  const schedulePersist = () => {
+    if (pendingSave) {
+      return;
+    }
+
+    pendingSave = setTimeout(() => {
+      pendingSave = null;
+      if (persistInFlight) {
+        persistQueued = true;
+        return;
+      }
+
+      persistInFlight = true;
+      const snapshot = createPersistSnapshot();
+
+      persistNowAsync(snapshot)
+        .catch((error) => {
+          console.error("Failed to persist store state.", error);
+        })
+        .finally(() => {
+          persistInFlight = false;
+          if (persistQueued) {
+            persistQueued = false;
+            schedulePersist();
+          }
+        });
+    }, saveDelayMs);
+  };
+
+  const mutateState = (mutator, mutateOptions = {}) => {
+    mutator(state);
+
+    if (!mutateOptions.skipTimestamp && state?.meta) {
+      state.meta.updatedAt = nowIso();
+    }
+
+    schedulePersist();
+  };
+
+  const persist = () => {
+    if (pendingSave) {
+      clearTimeout(pendingSave);
+      pendingSave = null;
+    }
+    persistQueued = false;
+    persistNowSync();
+  };
+
+  return {
+    driver: "json",
+    load,
+    getState: () => state,
+    mutateState,
+    persist,
+    resetState: () => {
+      state = createInitialState();
+      persistNowSync();
+      return state;
+    },
+  };
+};
@@ -0,0 +1,464 @@
+/**
+ * @file server/storage-sqlite.js
+ * 文件作用：后端业务模块，参与 API 接入、规则评估、告警流转与通知链路。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { createRequire } from "node:module";
+import { nowIso } from "./utils.js";
+
+/**
+ * 符号：require（const）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const require = createRequire(import.meta.url);
+
+/**
+ * 符号：STATE_DOC_KEY（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const STATE_DOC_KEY = "state";
+
+/**
+ * 符号：TABLE_SPECS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现中使用 map/filter/reduce 等数组操作，强调声明式数据变换。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// order=append 表示新元素 push 到数组尾部，prepend 表示 unshift 到头部；
+// 两种集合都按插入序号 seq 还原顺序，避免每次写盘改写全部行。
+const TABLE_SPECS = [
+  {
+    key: "metrics",
+    table: "metrics",
+    order: "append",
+    immutable: true,
+    columns: {
+      api_id: (item) => item.apiId ?? null,
+      timestamp: (item) => item.timestamp ?? null,
+    },
+    indexes: [["api_id", "timestamp"], ["timestamp"]],
+  },
+  {
+    key: "alerts",
+    table: "alerts",
+    order: "prepend",
+    immutable: false,
+    columns: {
+      id: (item) => item.id ?? null,
+      api_id: (item) => item.apiId ?? null,
+      rule_id: (item) => item.ruleId ?? null,
+      status: (item) => item.status ?? null,
+      triggered_at: (item) => item.triggeredAt ?? null,
+    },
+    indexes: [["api_id", "status"], ["rule_id"], ["triggered_at"]],
+  },
+  {
+    key: "notifications",
+    table: "notifications",
+    order: "prepend",
+    immutable: false,
+    columns: {
+      id: (item) => item.id ?? null,
+      alert_id: (item) => item.alertId ?? null,
+      channel_id: (item) => item.channelId ?? null,
+      status: (item) => item.status ?? null,
+      created_at: (item) => item.createdAt ?? null,
+    },
+    indexes: [["status", "created_at"], ["alert_id"]],
+  },
+  {
+    key: "auditLogs",
+    table: "audit_logs",
+    order: "prepend",
+    immutable: false,
+    columns: {
+      id: (item) => item.id ?? null,
+      action: (item) => item.action ?? null,
+      timestamp: (item) => item.timestamp ?? null,
+    },
+    indexes: [["timestamp"], ["action"]],
+  },
+  // 指标汇总层挂在 state.metricRollups.<tier> 下，用 path 指明嵌套位置；桶会被累加，因此不是 immutable。
+  ...["1m", "5m", "1h"].map((tierName) => ({
+    key: `metricRollups.${tierName}`,
+    path: ["metricRollups", tierName],
+    table: `metric_rollups_${tierName}`,
+    order: "append",
+    immutable: false,
+    columns: {
+      api_id: (item) => item.apiId ?? null,
+      start: (item) => item.start ?? null,
+    },
+    indexes: [["api_id", "start"], ["start"]],
+  })),
+];
+
+/**
+ * 符号：getSpecPath（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const getSpecPath = (spec) => spec.path || [spec.key];
+
+/**
+ * 符号：TABLE_ROOT_KEYS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现中使用 map/filter/reduce 等数组操作，强调声明式数据变换。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const TABLE_ROOT_KEYS = new Set(TABLE_SPECS.map((spec) => getSpecPath(spec)[0]));
+
+/**
+ * 符号：readCollection（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中使用 map/filter/reduce 等数组操作，强调声明式数据变换。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const readCollection = (source, spec) => {
+  const value = getSpecPath(spec).reduce((node, segment) => node?.[segment], source);
+  return Array.isArray(value) ? value : [];
+};
+
+/**
+ * 符号：writeCollection（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const writeCollection = (target, spec, items) => {
+  const segments = getSpecPath(spec);
+  let node = target;
+  for (const segment of segments.slice(0, -1)) {
+    if (!node[segment] || typeof node[segment] !== "object") {
+      node[segment] = {};
+    }
+    node = node[segment];
+  }
+  node[segments[segments.length - 1]] = items;
+};
+
+/**
+ * 符号：isSqliteStorageAvailable（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含 try/catch，说明该路径显式处理异常。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const isSqliteStorageAvailable = () => {
+  try {
+    require("node:sqlite");
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * 符号：openDatabase（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含 try/catch，说明该路径显式处理异常。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const openDatabase = (filePath) => {
+  let sqlite;
+  try {
+    sqlite = require("node:sqlite");
+  } catch (error) {
+    throw new Error(
+      `STORE_DRIVER=sqlite requires Node.js >= 22.5 with node:sqlite enabled (${error.message})`,
+    );
+  }
+  return new sqlite.DatabaseSync(filePath);
+};
+
+/**
+ * 符号：createSchema（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现中使用 map/filter/reduce 等数组操作，强调声明式数据变换。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const createSchema = (db) => {
+  db.exec("PRAGMA journal_mode = WAL");
+  db.exec("PRAGMA synchronous = NORMAL");
+  db.exec("CREATE TABLE IF NOT EXISTS state_doc (key TEXT PRIMARY KEY, data TEXT NOT NULL)");
+
+  for (const spec of TABLE_SPECS) {
+    const columns = Object.keys(spec.columns).map((name) => `${name} TEXT`);
+    db.exec(
+      `CREATE TABLE IF NOT EXISTS ${spec.table} (seq INTEGER PRIMARY KEY AUTOINCREMENT, ${columns.join(", ")}, data TEXT NOT NULL)`,
+    );
+    for (const indexColumns of spec.indexes) {
+      db.exec(
+        `CREATE INDEX IF NOT EXISTS idx_${spec.table}_${indexColumns.join("_")} ON ${spec.table} (${indexColumns.join(", ")})`,
+      );
+    }
+  }
+};
+
+/**
+ * 符号：prepareTableStatements（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中使用 map/filter/reduce 等数组操作，强调声明式数据变换。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const prepareTableStatements = (db, spec) => {
+  const columnNames = Object.keys(spec.columns);
+  return {
+    insert: db.prepare(
+      `INSERT INTO ${spec.table} (${columnNames.join(", ")}, data) VALUES (${columnNames.map(() => "?").join(", ")}, ?)`,
+    ),
+    update: db.prepare(
+      `UPDATE ${spec.table} SET ${columnNames.map((name) => `${name} = ?`).join(", ")}, data = ? WHERE seq = ?`,
+    ),
+    remove: db.prepare(`DELETE FROM ${spec.table} WHERE seq = ?`),
+    selectAll: db.prepare(`SELECT seq, data FROM ${spec.table} ORDER BY seq ${spec.order === "prepend" ? "DESC" : "ASC"}`),
+    clear: db.prepare(`DELETE FROM ${spec.table}`),
+  };
+};
+
+/**
+ * 符号：createSqliteStorageAdapter（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收入参后会写入状态或外部资源，输出通常是更新后的对象、状态码或副作用结果。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const createSqliteStorageAdapter = (options) => {
+  const {
+    filePath,
+    importJsonFile = null,
+    saveDelayMs = 900,
+    normalizeState,
+    createInitialState,
+  } = options;
+
+  let state = null;
+  let pendingSave = null;
+  let db = null;
+  let docStatements = null;
+  const tableStatements = new Map();
+  // 每个集合记录「对象引用 -> 行号/上次写入的 JSON」，写盘时只增量插入、更新、删除变化的行。
+  const trackers = new Map();
+
+  const resetTrackers = () => {
+    for (const spec of TABLE_SPECS) {
+      trackers.set(spec.key, { rows: new WeakMap(), liveSeqs: new Set() });
+    }
+  };
+
+  const ensureDatabase = () => {
+    if (db) return;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    db = openDatabase(filePath);
+    createSchema(db);
+    docStatements = {
+      select: db.prepare("SELECT data FROM state_doc WHERE key = ?"),
+      upsert: db.prepare(
+        "INSERT INTO state_doc (key, data) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET data = excluded.data",
+      ),
+    };
+    for (const spec of TABLE_SPECS) {
+      tableStatements.set(spec.key, prepareTableStatements(db, spec));
+    }
+    resetTrackers();
+  };
+
+  const buildColumnValues = (spec, item) => Object.values(spec.columns).map((read) => {
+    const value = read(item);
+    return value === null || value === undefined ? null : String(value);
+  });
+
+  const syncTable = (spec, items) => {
+    const statements = tableStatements.get(spec.key);
+    const tracker = trackers.get(spec.key);
+    const nextLiveSeqs = new Set();
+    const ordered = spec.order === "prepend" ? [...items].reverse() : items;
+
+    for (const item of ordered) {
+      if (!item || typeof item !== "object") continue;
+      let row = tracker.rows.get(item);
+
+      if (!row) {
+        const json = JSON.stringify(item);
+        const result = statements.insert.run(...buildColumnValues(spec, item), json);
+        row = { seq: Number(result.lastInsertRowid), json };
+        tracker.rows.set(item, row);
+      } else if (!spec.immutable) {
+        const json = JSON.stringify(item);
+        if (json !== row.json) {
+          statements.update.run(...buildColumnValues(spec, item), json, row.seq);
+          row.json = json;
+        }
+      }
+
+      nextLiveSeqs.add(row.seq);
+    }
+
+    for (const seq of tracker.liveSeqs) {
+      if (!nextLiveSeqs.has(seq)) {
+        statements.remove.run(seq);
+      }
+    }
+    tracker.liveSeqs = nextLiveSeqs;
+  };
+
+  const buildStateDoc = () => {
+    const doc = {};
+    for (const [key, value] of Object.entries(state)) {
+      if (!TABLE_ROOT_KEYS.has(key)) {
+        doc[key] = value;
+      }
+    }
+    return JSON.stringify(doc);
+  };
+
+  const persistNowSync = () => {
+    ensureDatabase();
+    db.exec("BEGIN");
+    try {
+      for (const spec of TABLE_SPECS) {
+        syncTable(spec, readCollection(state, spec));
+      }
+      docStatements.upsert.run(STATE_DOC_KEY, buildStateDoc());
+      db.exec("COMMIT");
+    } catch (error) {
+      db.exec("ROLLBACK");
+      throw error;
+    }
+  };
+
+  const clearTables = () => {
+    for (const spec of TABLE_SPECS) {
+      tableStatements.get(spec.key).clear.run();
+    }
+    resetTrackers();
+  };
+
+  const readLegacyJson = () => {
+    if (!importJsonFile || !fs.existsSync(importJsonFile)) {
+      return null;
+    }
+    try {
+      const parsed = JSON.parse(fs.readFileSync(importJsonFile, "utf8"));
+      return parsed && typeof parsed === "object" && Array.isArray(parsed.apis) ? parsed : null;
+    } catch (error) {
+      console.error("Failed to import legacy store.json into SQLite, using default data.", error);
+      return null;
+    }
+  };
+
+  const loadFromDatabase = () => {
+    const docRow = docStatements.select.get(STATE_DOC_KEY);
+    if (!docRow) {
+      return null;
+    }
+
+    const parsed = JSON.parse(docRow.data);
+    for (const spec of TABLE_SPECS) {
+      const tracker = trackers.get(spec.key);
+      const items = tableStatements.get(spec.key).selectAll.all().map((row) => {
+        const item = JSON.parse(row.data);
+        tracker.rows.set(item, { seq: Number(row.seq), json: row.data });
+        tracker.liveSeqs.add(Number(row.seq));
+        return item;
+      });
+      writeCollection(parsed, spec, items);
+    }
+    return parsed;
+  };
+
+  const load = () => {
+    ensureDatabase();
+
+    let parsed = null;
+    try {
+      parsed = loadFromDatabase();
+    } catch (error) {
+      console.error("Failed to load SQLite store, falling back to default data.", error);
+      clearTables();
+    }
+
+    if (parsed) {
+      state = normalizeState(parsed);
+      return state;
+    }
+
+    const legacy = readLegacyJson();
+    state = legacy ? normalizeState(legacy) : createInitialState();
+    persistNowSync();
+    return state;
+  };
+
+  const schedulePersist = () => {
+    if (pendingSave) {
+      return;
+    }
+
+    pendingSave = setTimeout(() => {
+      pendingSave = null;
+      try {
+        persistNowSync();
+      } catch (error) {
+        console.error("Failed to persist store state.", error);
+      }
+    }, saveDelayMs);
+  };
+
+  const mutateState = (mutator, mutateOptions = {}) => {
+    mutator(state);
+
+    if (!mutateOptions.skipTimestamp && state?.meta) {
+      state.meta.updatedAt = nowIso();
+    }
+
+    schedulePersist();
+  };
+
+  const persist = () => {
+    if (pendingSave) {
+      clearTimeout(pendingSave);
+      pendingSave = null;
+    }
+    persistNowSync();
+  };
+
+  const close = () => {
+    if (!db) return;
+    db.close();
+    db = null;
+  };
+
+  return {
+    driver: "sqlite",
+    load,
+    getState: () => state,
+    mutateState,
+    persist,
+    resetState: () => {
+      ensureDatabase();
+      clearTables();
+      state = createInitialState();
+      persistNowSync();
+      return state;
+    },
+    close,
+  };
+};
@@ -4,8 +4,7 @@
  * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
  */
 
-﻿import fs from "node:fs";
-import path from "node:path";
+﻿import path from "node:path";
 import { fileURLToPath } from "node:url";
 import { createDefaultState } from "./default-data.js";
 import {
@@ -16,7 +15,12 @@ import {
 } from "./alert-policy.js";
 import { sanitizeCredentialConfigForStorage } from "./credential-secrets.js";
 import { applyMigrations, CURRENT_SCHEMA_VERSION } from "./migrations.js";
+import { createDefaultNotificationRouting, normalizeNotificationRouting } from "./notification-routes.js";
 import { createPushMonitor, normalizeMonitorConfig } from "./pull-monitor.js";
+import { rebuildMetricIndex } from "./metric-index.js";
+import { normalizeMetricRollups } from "./metric-store.js";
+import { createJsonStorageAdapter } from "./storage-json.js";
+import { createSqliteStorageAdapter } from "./storage-sqlite.js";
 import { nowIso } from "./utils.js";
 
 /**
@@ -54,106 +58,41 @@ const DATA_DIR = path.join(__dirname, "data");
 export const STORE_FILE = path.join(DATA_DIR, "store.json");
 
 /**
- * 符号：SAVE_DELAY_MS（const）
+ * 符号：SQLITE_STORE_FILE（const）
  * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
  * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
  * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
  * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
  */
-const SAVE_DELAY_MS = Math.max(200, Number(process.env.STORE_SAVE_DELAY_MS || 900));
-/**
- * 符号：STORE_PRETTY_PRINT（const）
- * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
- * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
- * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
- * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
- */
-const STORE_PRETTY_PRINT = process.env.STORE_PRETTY_PRINT === "true";
-/**
- * 符号：STORE_TMP_FILE（const）
- * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
- * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
- * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
- * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
- */
-const STORE_TMP_FILE = `${STORE_FILE}.tmp`;
-
-let state = null;
-let pendingSave = null;
-let persistInFlight = false;
-let persistQueued = false;
+export const SQLITE_STORE_FILE = process.env.STORE_SQLITE_FILE
+  ? path.resolve(process.env.STORE_SQLITE_FILE)
+  : path.join(DATA_DIR, "store.sqlite");
 
 /**
- * 符号：ensureDirectory（arrow-function）
- * 作用说明：该函数用于前置校验，尽早拦截非法输入并缩短错误路径。
- * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
- * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
- * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
- */
-const ensureDirectory = () => {
-  // 步骤 1：按条件分支处理不同场景，确保每条路径都符合业务约束。
-  if (!fs.existsSync(DATA_DIR)) {
-    fs.mkdirSync(DATA_DIR, { recursive: true });
-  }
-};
-
-/**
- * 符号：serializeState（arrow-function）
- * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 符号：STORE_DRIVER（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
  * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
  * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
  * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
  */
-const serializeState = () => (
-  STORE_PRETTY_PRINT
-    ? JSON.stringify(state, null, 2)
-    : JSON.stringify(state)
-);
+const STORE_DRIVER = String(process.env.STORE_DRIVER || "json").toLowerCase();
 
 /**
- * 符号：createPersistSnapshot（arrow-function）
- * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 符号：SAVE_DELAY_MS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
  * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
  * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
  * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
  */
-const createPersistSnapshot = () => ({
-  payload: serializeState(),
-  updatedAt: state?.meta?.updatedAt || "",
-});
-
+const SAVE_DELAY_MS = Math.max(200, Number(process.env.STORE_SAVE_DELAY_MS || 900));
 /**
- * 符号：persistNowSync（arrow-function）
- * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 符号：STORE_PRETTY_PRINT（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
  * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
  * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
  * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
  */
-const persistNowSync = () => {
-  ensureDirectory();
-  fs.writeFileSync(STORE_FILE, serializeState(), "utf8");
-};
-
-/**
- * 符号：persistNowAsync（arrow-function）
- * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
- * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
- * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
- * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
- */
-const persistNowAsync = async (snapshot) => {
-  ensureDirectory();
-  // 步骤 1：等待异步步骤完成，确保后续逻辑基于最新结果继续执行。
-  await fs.promises.writeFile(STORE_TMP_FILE, snapshot.payload, "utf8");
-  // 步骤 1：按条件分支处理不同场景，确保每条路径都符合业务约束。
-  if ((state?.meta?.updatedAt || "") !== snapshot.updatedAt) {
-    await fs.promises.rm(STORE_TMP_FILE, { force: true });
-    return;
-  }
-  // 步骤 2：等待异步步骤完成，确保后续逻辑基于最新结果继续执行。
-  await fs.promises.rename(STORE_TMP_FILE, STORE_FILE);
-};
-
+const STORE_PRETTY_PRINT = process.env.STORE_PRETTY_PRINT === "true";
 /**
  * 符号：migrateStateShape（arrow-function）
  * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
@@ -170,6 +109,9 @@ const migrateStateShape = (parsed) => {
     rules: Array.isArray(parsed.rules) ? parsed.rules : [],
     metrics: Array.isArray(parsed.metrics) ? parsed.metrics : [],
     alerts: Array.isArray(parsed.alerts) ? parsed.alerts : [],
+    incidents: Array.isArray(parsed.incidents) ? parsed.incidents : [],
+    silences: Array.isArray(parsed.silences) ? parsed.silences : [],
+    oncallSchedules: Array.isArray(parsed.oncallSchedules) ? parsed.oncallSchedules : [],
     ruleHits: Array.isArray(parsed.ruleHits) ? parsed.ruleHits : [],
     channels: Array.isArray(parsed.channels) ? parsed.channels : [],
     credentials: Array.isArray(parsed.credentials) ? parsed.credentials : [],
@@ -177,6 +119,9 @@ const migrateStateShape = (parsed) => {
     qualityMarkers: Array.isArray(parsed.qualityMarkers) ? parsed.qualityMarkers : [],
     notifications: Array.isArray(parsed.notifications) ? parsed.notifications : [],
     auditLogs: Array.isArray(parsed.auditLogs) ? parsed.auditLogs : [],
+    authSessions: Array.isArray(parsed.authSessions) ? parsed.authSessions : [],
+    apiTokens: Array.isArray(parsed.apiTokens) ? parsed.apiTokens : [],
+    metricRollups: normalizeMetricRollups(parsed.metricRollups),
     simulator:
       parsed.simulator && typeof parsed.simulator === "object"
         ? parsed.simulator
@@ -186,6 +131,7 @@ const migrateStateShape = (parsed) => {
         ? parsed.meta
         : { version: 1, schemaVersion: CURRENT_SCHEMA_VERSION, createdAt: nowIso(), updatedAt: nowIso() },
     alertPolicy: normalizeAlertPolicy(parsed.alertPolicy, createDefaultAlertPolicy()),
+    notificationRouting: normalizeNotificationRouting(parsed.notificationRouting, createDefaultNotificationRouting()),
     alertNoiseState: normalizeAlertNoiseState(
       parsed.alertNoiseState || createDefaultAlertNoiseState(),
     ),
@@ -219,77 +165,57 @@ const migrateStateShape = (parsed) => {
 };
 
 /**
- * 符号：loadFromDisk（arrow-function）
- * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 符号：createStorageAdapter（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
  * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
  * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
  * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
  */
-const loadFromDisk = () => {
-  ensureDirectory();
+const createStorageAdapter = () => {
+  const hooks = {
+    saveDelayMs: SAVE_DELAY_MS,
+    normalizeState: migrateStateShape,
+    createInitialState: createDefaultState,
+  };
 
-  // 步骤 1：按条件分支处理不同场景，确保每条路径都符合业务约束。
-  if (!fs.existsSync(STORE_FILE)) {
-    state = createDefaultState();
-    persistNowSync();
-    return;
+  if (STORE_DRIVER === "sqlite") {
+    return createSqliteStorageAdapter({
+      ...hooks,
+      filePath: SQLITE_STORE_FILE,
+      importJsonFile: STORE_FILE,
+    });
   }
 
-  // 步骤 2：对可能失败的操作进行异常保护，避免单点错误中断整体流程。
-  try {
-    const raw = fs.readFileSync(STORE_FILE, "utf8");
-    const parsed = JSON.parse(raw);
-
-    if (!parsed || typeof parsed !== "object" || !Array.isArray(parsed.apis)) {
-      throw new Error("Invalid store format.");
-    }
-
-    state = migrateStateShape(parsed);
-  } catch (error) {
-    console.error("Failed to load store.json, falling back to default data.", error);
-    state = createDefaultState();
-    persistNowSync();
+  if (STORE_DRIVER !== "json") {
+    console.warn(`Unknown STORE_DRIVER "${STORE_DRIVER}", falling back to json.`);
   }
-};
 
-loadFromDisk();
+  return createJsonStorageAdapter({
+    ...hooks,
+    filePath: STORE_FILE,
+    prettyPrint: STORE_PRETTY_PRINT,
+  });
+};
 
 /**
- * 符号：schedulePersist（arrow-function）
+ * 符号：adapter（const）
  * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
- * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
  * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
  * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
  */
-const schedulePersist = () => {
-  // 步骤 1：按条件分支处理不同场景，确保每条路径都符合业务约束。
-  if (pendingSave) {
-    return;
-  }
-
-  pendingSave = setTimeout(() => {
-    pendingSave = null;
-    if (persistInFlight) {
-      persistQueued = true;
-      return;
-    }
-
-    persistInFlight = true;
-    const snapshot = createPersistSnapshot();
+const adapter = createStorageAdapter();
+// 按 API 分桶的时间索引只存在内存中，加载后立即重建，避免首个请求承担重建开销。
+rebuildMetricIndex(adapter.load());
 
-    persistNowAsync(snapshot)
-      .catch((error) => {
-        console.error("Failed to persist store state.", error);
-      })
-      .finally(() => {
-        persistInFlight = false;
-        if (persistQueued) {
-          persistQueued = false;
-          schedulePersist();
-        }
-      });
-  }, SAVE_DELAY_MS);
-};
+/**
+ * 符号：getStorageDriver（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const getStorageDriver = () => adapter.driver;
 
 /**
  * 符号：getState（arrow-function）
@@ -298,41 +224,28 @@ const schedulePersist = () => {
  * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
  * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
  */
-export const getState = () => state;
+export const getState = () => adapter.getState();
 
 /**
  * 符号：mutateState（arrow-function）
  * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
- * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
- * 输入输出：接收入参后会写入状态或外部资源，输出通常是更新后的对象、状态码或副作用结果。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
  * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
  */
 export const mutateState = (mutator, options = {}) => {
-  mutator(state);
-
-  // 步骤 1：按条件分支处理不同场景，确保每条路径都符合业务约束。
-  if (!options.skipTimestamp && state?.meta) {
-    state.meta.updatedAt = nowIso();
-  }
-
-  schedulePersist();
+  adapter.mutateState(mutator, options);
 };
 
 /**
  * 符号：forcePersist（arrow-function）
  * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
- * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
  * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
  * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
  */
 export const forcePersist = () => {
-  // 步骤 1：按条件分支处理不同场景，确保每条路径都符合业务约束。
-  if (pendingSave) {
-    clearTimeout(pendingSave);
-    pendingSave = null;
-  }
-  persistQueued = false;
-  persistNowSync();
+  adapter.persist();
 };
 
 /**
@@ -343,12 +256,7 @@ export const forcePersist = () => {
  * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
  */
 export const resetState = () => {
-  state = createDefaultState();
-  persistNowSync();
-  // 步骤 1：返回当前结果并结束函数，明确本路径的输出语义。
+  const state = adapter.resetState();
+  rebuildMetricIndex(state);
   return state;
 };
-
-
-
-
@@ -0,0 +1,584 @@
+/**
+ * @file server/templates.js
+ * 文件作用：后端业务模块，参与 API 接入、规则评估、告警流转与通知链路。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import { buildActionTokens, getActionUrl } from "./alert-actions.js";
+import { getIndexedLatestMetric } from "./metric-index.js";
+
+/**
+ * 符号：TEMPLATE_EVENT_TYPES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const TEMPLATE_EVENT_TYPES = ["trigger", "recovery", "escalation", "test"];
+
+/**
+ * 符号：MAX_TEMPLATE_LENGTH（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const MAX_TEMPLATE_LENGTH = 4_000;
+/**
+ * 符号：MAX_OUTPUT_LENGTH（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const MAX_OUTPUT_LENGTH = 8_000;
+/**
+ * 符号：MAX_SECTION_DEPTH（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const MAX_SECTION_DEPTH = 8;
+/**
+ * 符号：MAX_SECTION_ITEMS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const MAX_SECTION_ITEMS = 50;
+/**
+ * 符号：PATH_SEGMENT_PATTERN（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const PATH_SEGMENT_PATTERN = /^[A-Za-z0-9_]+$/;
+/**
+ * 符号：BLOCKED_SEGMENTS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const BLOCKED_SEGMENTS = new Set(["__proto__", "prototype", "constructor"]);
+/**
+ * 符号：DEFAULT_PUBLIC_BASE_URL（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const DEFAULT_PUBLIC_BASE_URL = "http://localhost:5173";
+
+/**
+ * 符号：FULL_TEMPLATES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const FULL_TEMPLATES = {
+  trigger: {
+    title: "[{{notification.level}}] {{notification.title}}",
+    body: [
+      "{{notification.message}}",
+      "",
+      "API: {{api.method}} {{api.path}}（{{api.service}} / {{api.environment}}）",
+      "规则: {{rule.name}}（{{alert.metric}} {{alert.operator}} {{alert.threshold}}，当前值 {{alert.observedValue}}）",
+      "触发时间: {{alert.triggeredAt}}",
+      "{{#incident}}所属事件: {{id}}（{{activeAlertCount}}/{{alertCount}} 条告警未恢复）",
+      "{{/incident}}告警详情: {{links.alert}}",
+      "{{#actions}}",
+      "快速处理:",
+      "确认: {{ack}}",
+      "解决: {{resolve}}",
+      "静默 1 小时: {{silence}}{{/actions}}",
+    ].join("\n"),
+  },
+  recovery: {
+    title: "[已恢复] {{notification.title}}",
+    body: [
+      "{{api.method}} {{api.path}} 已恢复正常。",
+      "规则: {{rule.name}}",
+      "触发时间: {{alert.triggeredAt}}",
+      "恢复时间: {{alert.resolvedAt}}",
+      "告警详情: {{links.alert}}",
+    ].join("\n"),
+  },
+  escalation: {
+    title: "[升级 {{escalation.level}}] {{notification.title}}",
+    body: [
+      "告警已持续 {{escalation.afterMinutes}} 分钟未恢复，请尽快处理。",
+      "{{notification.message}}",
+      "",
+      "API: {{api.method}} {{api.path}}（{{api.service}}）",
+      "{{#oncall}}当前值班: {{assignee}}（{{schedule}}）",
+      "{{/oncall}}告警详情: {{links.alert}}",
+      "{{#actions}}",
+      "确认: {{ack}}",
+      "解决: {{resolve}}{{/actions}}",
+    ].join("\n"),
+  },
+  test: {
+    title: "[测试] {{channel.name}}",
+    body: "这是一条来自 API 告警平台的测试消息，用于验证渠道 {{channel.name}}（{{channel.type}}）连通性。操作人: {{operator}}",
+  },
+};
+
+/**
+ * 符号：CHAT_TEMPLATES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const CHAT_TEMPLATES = {
+  trigger: {
+    title: "[{{notification.level}}] {{notification.title}}",
+    body: [
+      "{{notification.message}}",
+      "{{api.method}} {{api.path}} · {{alert.metric}}={{alert.observedValue}}（阈值 {{alert.threshold}}）",
+      "{{links.alert}}",
+    ].join("\n"),
+  },
+  recovery: {
+    title: "[已恢复] {{notification.title}}",
+    body: "{{api.method}} {{api.path}} 已于 {{alert.resolvedAt}} 恢复\n{{links.alert}}",
+  },
+  escalation: {
+    title: "[升级 {{escalation.level}}] {{notification.title}}",
+    body: "{{notification.message}}{{#oncall}}\n值班: {{assignee}}{{/oncall}}\n{{links.alert}}",
+  },
+  test: FULL_TEMPLATES.test,
+};
+
+/**
+ * 符号：SMS_TEMPLATES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const SMS_TEMPLATES = {
+  trigger: {
+    title: "",
+    body: "[{{notification.level}}] {{notification.title}} {{api.method}} {{api.path}} 当前值 {{alert.observedValue}}",
+  },
+  recovery: {
+    title: "",
+    body: "[已恢复] {{notification.title}} {{api.method}} {{api.path}}",
+  },
+  escalation: {
+    title: "",
+    body: "[升级 {{escalation.level}}] {{notification.title}} {{api.method}} {{api.path}} 已持续 {{escalation.afterMinutes}} 分钟",
+  },
+  test: {
+    title: "",
+    body: "[测试] {{channel.name}} 短信渠道连通性测试",
+  },
+};
+
+/**
+ * 符号：DEFAULT_TEMPLATES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const DEFAULT_TEMPLATES = {
+  email: FULL_TEMPLATES,
+  webhook: FULL_TEMPLATES,
+  slack: CHAT_TEMPLATES,
+  wechat: CHAT_TEMPLATES,
+  sms: SMS_TEMPLATES,
+};
+
+/**
+ * 符号：resolveTemplateEventType（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 事件更新（incident_update）沿用触发模板，其余未知事件类型同样按触发处理。
+export const resolveTemplateEventType = (eventType) =>
+  TEMPLATE_EVENT_TYPES.includes(eventType) ? eventType : "trigger";
+
+/**
+ * 符号：getDefaultTemplates（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const getDefaultTemplates = (channelType) =>
+  DEFAULT_TEMPLATES[String(channelType || "").toLowerCase()] || FULL_TEMPLATES;
+
+/**
+ * 符号：getChannelTemplate（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const getChannelTemplate = (channel, eventType) => {
+  const key = resolveTemplateEventType(eventType);
+  const custom = channel?.templates?.[key];
+  if (custom && typeof custom === "object") {
+    return { eventType: key, title: String(custom.title ?? ""), body: String(custom.body ?? ""), source: "custom" };
+  }
+  const fallback = getDefaultTemplates(channel?.type)[key];
+  return { eventType: key, title: fallback.title, body: fallback.body, source: "default" };
+};
+
+/**
+ * 符号：parseTemplate（arrow-function）
+ * 作用说明：该函数用于输入标准化，先把不稳定入参转为稳定结构。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 只支持 Mustache 的安全子集：{{path}}、{{#path}}…{{/path}}、{{^path}}…{{/path}}、{{! 注释}}，
+// 不执行任何表达式，路径只能逐级读取上下文对象自身的字段。
+const parseTemplate = (source) => {
+  if (source.length > MAX_TEMPLATE_LENGTH) {
+    throw new Error(`Template is longer than ${MAX_TEMPLATE_LENGTH} characters.`);
+  }
+
+  const root = { children: [] };
+  const stack = [root];
+  const tagPattern = /\{\{\s*([#^/!]?)\s*([\s\S]*?)\s*\}\}/g;
+  let cursor = 0;
+  let match;
+
+  while ((match = tagPattern.exec(source))) {
+    const [raw, sigil, name] = match;
+    const current = stack[stack.length - 1];
+    if (match.index > cursor) {
+      current.children.push({ type: "text", value: source.slice(cursor, match.index) });
+    }
+    cursor = match.index + raw.length;
+
+    if (sigil === "!") continue;
+    if (!name.split(".").every((segment) => name === "." || PATH_SEGMENT_PATTERN.test(segment))) {
+      throw new Error(`Invalid variable name: ${name}`);
+    }
+
+    if (sigil === "#" || sigil === "^") {
+      if (stack.length > MAX_SECTION_DEPTH) {
+        throw new Error(`Sections can be nested at most ${MAX_SECTION_DEPTH} levels.`);
+      }
+      const section = { type: sigil === "#" ? "section" : "inverted", name, children: [] };
+      current.children.push(section);
+      stack.push(section);
+    } else if (sigil === "/") {
+      if (stack.length === 1 || current.name !== name) {
+        throw new Error(`Unexpected closing tag: ${name}`);
+      }
+      stack.pop();
+    } else {
+      current.children.push({ type: "variable", name });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed section: ${stack[stack.length - 1].name}`);
+  }
+  if (cursor < source.length) {
+    root.children.push({ type: "text", value: source.slice(cursor) });
+  }
+  return root.children;
+};
+
+/**
+ * 符号：lookupPath（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const lookupPath = (scopes, name) => {
+  if (name === ".") return scopes[scopes.length - 1];
+
+  const segments = name.split(".");
+  for (let index = scopes.length - 1; index >= 0; index -= 1) {
+    const scope = scopes[index];
+    if (!scope || typeof scope !== "object" || !Object.hasOwn(scope, segments[0])) continue;
+
+    let value = scope;
+    for (const segment of segments) {
+      if (BLOCKED_SEGMENTS.has(segment) || !value || typeof value !== "object" || !Object.hasOwn(value, segment)) {
+        return undefined;
+      }
+      value = value[segment];
+    }
+    return value;
+  }
+  return undefined;
+};
+
+/**
+ * 符号：formatValue（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const formatValue = (value) => {
+  if (value === null || value === undefined) return "";
+  if (Array.isArray(value)) return value.map(formatValue).join(", ");
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * 符号：isFalsy（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const isFalsy = (value) => !value || (Array.isArray(value) && value.length === 0);
+
+/**
+ * 符号：renderNodes（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const renderNodes = (nodes, scopes) => {
+  let output = "";
+  for (const node of nodes) {
+    if (node.type === "text") {
+      output += node.value;
+    } else if (node.type === "variable") {
+      output += formatValue(lookupPath(scopes, node.name));
+    } else if (node.type === "inverted") {
+      if (isFalsy(lookupPath(scopes, node.name))) {
+        output += renderNodes(node.children, scopes);
+      }
+    } else {
+      const value = lookupPath(scopes, node.name);
+      if (isFalsy(value)) continue;
+      const items = Array.isArray(value) ? value.slice(0, MAX_SECTION_ITEMS) : [value];
+      for (const item of items) {
+        output += renderNodes(node.children, typeof item === "object" ? [...scopes, item] : scopes);
+      }
+    }
+    if (output.length > MAX_OUTPUT_LENGTH) {
+      return output.slice(0, MAX_OUTPUT_LENGTH);
+    }
+  }
+  return output;
+};
+
+/**
+ * 符号：renderTemplate（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const renderTemplate = (source, context) =>
+  renderNodes(parseTemplate(String(source ?? "")), [context]).trim();
+
+/**
+ * 符号：validateTemplate（arrow-function）
+ * 作用说明：该函数用于前置校验，尽早拦截非法输入并缩短错误路径。
+ * 实现说明：实现中包含 try/catch，说明该路径显式处理异常。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 返回错误信息字符串（null 表示合法），供保存模板前校验语法。
+export const validateTemplate = (input) => {
+  try {
+    parseTemplate(String(input?.title ?? ""));
+    parseTemplate(String(input?.body ?? ""));
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+/**
+ * 符号：renderTemplateValue（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 渲染 JSON 结构中的每个字符串叶子（用于 Webhook 请求体、短信网关参数）。
+// 叶子恰好是单个 {{path}} 时保留原始类型，使数字、布尔、对象在 JSON 中不被转成字符串。
+export const renderTemplateValue = (value, context) => {
+  if (typeof value === "string") {
+    const nodes = parseTemplate(value);
+    if (nodes.length === 1 && nodes[0].type === "variable") {
+      return lookupPath([context], nodes[0].name) ?? null;
+    }
+    return renderNodes(nodes, [context]).trim();
+  }
+  if (Array.isArray(value)) return value.map((item) => renderTemplateValue(item, context));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, renderTemplateValue(item, context)]));
+  }
+  return value;
+};
+
+/**
+ * 符号：validateTemplateValue（arrow-function）
+ * 作用说明：该函数用于前置校验，尽早拦截非法输入并缩短错误路径。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 返回第一个非法字符串叶子的错误信息，结构合法时返回 null。
+export const validateTemplateValue = (value) => {
+  if (typeof value === "string") return validateTemplate({ body: value });
+  if (value && typeof value === "object") {
+    for (const item of Object.values(value)) {
+      const error = validateTemplateValue(item);
+      if (error) return error;
+    }
+  }
+  return null;
+};
+
+/**
+ * 符号：getPublicBaseUrl（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const getPublicBaseUrl = () =>
+  String(process.env.PUBLIC_BASE_URL || DEFAULT_PUBLIC_BASE_URL).replace(/\/+$/, "");
+
+/**
+ * 符号：pickFields（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中使用 map/filter/reduce 等数组操作，强调声明式数据变换。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const pickFields = (source, fields) =>
+  source ? Object.fromEntries(fields.map((field) => [field, source[field] ?? null])) : null;
+
+/**
+ * 符号：buildTemplateContext（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const buildTemplateContext = (state, { channel, eventType, alert, rule, api, payload = {}, operator }) => {
+  const baseUrl = getPublicBaseUrl();
+  const latestMetric = api?.id ? getIndexedLatestMetric(state, api.id) : null;
+  // 恢复通知不再附带处理链接；链接以通知对象（值班人或渠道名）作为操作人。
+  const actionTokens =
+    resolveTemplateEventType(eventType) === "recovery" ? null : buildActionTokens(alert, payload.assignee ?? channel?.name);
+
+  return {
+    event: { type: eventType, templateType: resolveTemplateEventType(eventType) },
+    notification: {
+      title: payload.title ?? alert?.title ?? "",
+      message: payload.message ?? alert?.message ?? "",
+      level: payload.level ?? alert?.level ?? "info",
+    },
+    alert: pickFields(alert, [
+      "id",
+      "title",
+      "message",
+      "level",
+      "status",
+      "metric",
+      "operator",
+      "threshold",
+      "observedValue",
+      "aggregation",
+      "windowMinutes",
+      "triggeredAt",
+      "resolvedAt",
+      "acknowledgedBy",
+    ]),
+    rule: pickFields(rule, ["id", "name", "priority", "ruleType", "metric", "operator", "threshold", "windowMinutes"]),
+    api: pickFields(api, ["id", "name", "method", "path", "service", "environment", "owner"]),
+    metrics: pickFields(latestMetric, ["timestamp", "qps", "errorRate", "latencyP95", "latencyP99", "availability"]),
+    incident: payload.incidentId
+      ? {
+          id: payload.incidentId,
+          status: payload.incidentStatus ?? null,
+          alertCount: payload.alertCount ?? 0,
+          activeAlertCount: payload.activeAlertCount ?? 0,
+        }
+      : null,
+    escalation: payload.escalationLevel
+      ? { level: payload.escalationLevel, afterMinutes: payload.escalationAfterMinutes ?? null }
+      : null,
+    oncall: payload.assignee ? { schedule: payload.oncallSchedule ?? "", assignee: payload.assignee } : null,
+    channel: pickFields(channel, ["id", "name", "type"]),
+    operator: operator ?? payload.operator ?? null,
+    links: {
+      alert: alert?.id ? `${baseUrl}/alerts?alertId=${encodeURIComponent(alert.id)}` : `${baseUrl}/alerts`,
+      api: api?.id ? `${baseUrl}/api-monitor/${encodeURIComponent(api.id)}` : null,
+      incident: payload.incidentId ? `${baseUrl}/incidents?incidentId=${encodeURIComponent(payload.incidentId)}` : null,
+    },
+    actions: actionTokens
+      ? Object.fromEntries(Object.entries(actionTokens).map(([action, token]) => [action, getActionUrl(token)]))
+      : null,
+    actionTokens,
+    now: new Date().toISOString(),
+  };
+};
+
+/**
+ * 符号：renderWithTemplate（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const renderWithTemplate = (template, context) => ({
+  title: renderTemplate(template.title, context),
+  body: renderTemplate(template.body, context),
+});
+
+/**
+ * 符号：buildRecordTemplateContext（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const buildRecordTemplateContext = (state, channel, record) =>
+  buildTemplateContext(state, {
+    channel,
+    eventType: record.eventType,
+    alert: record.alertId ? (state.alerts || []).find((item) => item.id === record.alertId) : null,
+    rule: record.ruleId ? (state.rules || []).find((item) => item.id === record.ruleId) : null,
+    api: record.apiId ? (state.apis || []).find((item) => item.id === record.apiId) : null,
+    payload: record.payload,
+  });
+
+/**
+ * 符号：renderNotificationContent（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含 try/catch，说明该路径显式处理异常。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 渲染失败（例如模板保存后数据结构变化）时回落到默认模板，保证通知仍能送达。
+export const renderNotificationContent = (state, channel, record) => {
+  const context = buildRecordTemplateContext(state, channel, record);
+  const template = getChannelTemplate(channel, record.eventType);
+
+  try {
+    return { ...renderWithTemplate(template, context), template: template.source };
+  } catch (error) {
+    const fallback = getDefaultTemplates(channel?.type)[template.eventType];
+    return { ...renderWithTemplate(fallback, context), template: "default", templateError: error.message };
+  }
+};
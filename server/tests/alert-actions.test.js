@@ -0,0 +1,105 @@
+/**
+ * @file server/tests/alert-actions.test.js
+ * 文件作用：后端单元测试文件，验证规则引擎、通知策略与迁移逻辑的正确性。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+import { createActionToken, verifyActionToken, verifySlackSignature } from "../alert-actions.js";
+import { buildSlackMessage, buildWechatMarkdown } from "../chat-messages.js";
+import { buildTemplateContext, getChannelTemplate, renderWithTemplate } from "../templates.js";
+
+test("action tokens should round-trip, expire and reject tampering; slack signatures should be checked", () => {
+  process.env.ALERT_ACTION_SECRET = "action-test-secret";
+  try {
+    const nowMs = Date.UTC(2026, 0, 1);
+    const token = createActionToken({ alertId: "alert_1", action: "ack", by: "alice", ttlMinutes: 10, nowMs });
+
+    assert.deepEqual(verifyActionToken(token, nowMs + 60_000), {
+      alertId: "alert_1",
+      action: "ack",
+      by: "alice",
+      expiresAt: "2026-01-01T00:10:00.000Z",
+    });
+    assert.throws(() => verifyActionToken(token, nowMs + 11 * 60_000), /action_token_expired/);
+
+    const [body, signature] = token.split(".");
+    const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(body, "base64url")), x: "resolve" })).toString(
+      "base64url",
+    );
+    assert.throws(() => verifyActionToken(`${forged}.${signature}`, nowMs), /invalid_action_token/);
+    assert.throws(() => verifyActionToken("garbage", nowMs), /invalid_action_token/);
+
+    process.env.ALERT_ACTION_SECRET = "rotated-secret";
+    assert.throws(() => verifyActionToken(token, nowMs), /invalid_action_token/);
+  } finally {
+    delete process.env.ALERT_ACTION_SECRET;
+  }
+
+  const rawBody = "payload=%7B%7D";
+  const timestamp = "1767225600";
+  const signature = `v0=${createHmac("sha256", "slack-secret").update(`v0:${timestamp}:${rawBody}`).digest("hex")}`;
+  const nowMs = Number(timestamp) * 1_000;
+  assert.equal(verifySlackSignature({ rawBody, timestamp, signature, secret: "slack-secret", nowMs }), true);
+  assert.equal(verifySlackSignature({ rawBody: `${rawBody}x`, timestamp, signature, secret: "slack-secret", nowMs }), false);
+  assert.equal(
+    verifySlackSignature({ rawBody, timestamp, signature, secret: "slack-secret", nowMs: nowMs + 10 * 60_000 }),
+    false,
+  );
+});
+
+test("notifications for open alerts should embed action links and interactive slack buttons", () => {
+  process.env.ALERT_ACTION_SECRET = "action-test-secret";
+  process.env.PUBLIC_API_BASE_URL = "https://alerts.example.com/";
+  try {
+    const state = {
+      apis: [{ id: "api_pay", name: "Pay", path: "/pay", method: "POST", service: "payment", environment: "production" }],
+      rules: [{ id: "rule_err", name: "Error high", priority: "P1" }],
+      alerts: [],
+      channels: [],
+    };
+    const alert = { id: "alert_1", ruleId: "rule_err", apiId: "api_pay", title: "Error high", level: "P1", status: "open" };
+    const channel = { id: "channel_slack", type: "slack", name: "Slack", config: {} };
+    const context = buildTemplateContext(state, {
+      channel,
+      eventType: "trigger",
+      alert,
+      rule: state.rules[0],
+      api: state.apis[0],
+      payload: { title: "Error high", level: "P1", assignee: "bob" },
+    });
+
+    assert.match(context.actions.ack, /^https:\/\/alerts\.example\.com\/api\/actions\/[\w-]+\.[\w-]+$/);
+    assert.equal(verifyActionToken(context.actionTokens.silence).by, "bob");
+    const email = renderWithTemplate(getChannelTemplate({ type: "email" }, "trigger"), context);
+    assert.ok(email.body.includes(`确认: ${context.actions.ack}`));
+
+    const rendered = renderWithTemplate(getChannelTemplate(channel, "trigger"), context);
+
+    const linkButtons = buildSlackMessage(context, rendered).attachments[0].blocks.at(-1).elements;
+    assert.deepEqual(
+      linkButtons.filter((button) => button.action_id).map((button) => button.url),
+      [context.actions.ack, context.actions.resolve, context.actions.silence],
+    );
+    const interactive = buildSlackMessage(context, rendered, { interactive: true }).attachments[0].blocks.at(-1).elements;
+    const resolveButton = interactive.find((button) => button.action_id === "alert_resolve");
+    assert.equal(resolveButton.value, context.actionTokens.resolve);
+    assert.equal(resolveButton.url, undefined);
+    assert.match(buildWechatMarkdown(context, rendered).markdown.content, /\[确认\]\(https:\/\/alerts\.example\.com/);
+
+    const recovery = buildTemplateContext(state, {
+      channel,
+      eventType: "recovery",
+      alert: { ...alert, status: "resolved" },
+      rule: state.rules[0],
+      api: state.apis[0],
+    });
+    assert.equal(recovery.actions, null);
+    assert.ok(!renderWithTemplate(getChannelTemplate({ type: "email" }, "recovery"), recovery).body.includes("/api/actions/"));
+  } finally {
+    delete process.env.ALERT_ACTION_SECRET;
+    delete process.env.PUBLIC_API_BASE_URL;
+  }
+});
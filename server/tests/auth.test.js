@@ -0,0 +1,182 @@
+/**
+ * @file server/tests/auth.test.js
+ * 文件作用：后端单元测试文件，验证规则引擎、通知策略与迁移逻辑的正确性。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  allowsBeforePasswordChange,
+  assignInitialPassword,
+  authenticateWithPassword,
+  clearLoginFailures,
+  createApiToken,
+  createSession,
+  generateInitialPassword,
+  getLoginLockRemainingMs,
+  hashPassword,
+  hasPermission,
+  isPublicRoute,
+  parseBearerToken,
+  recordLoginFailure,
+  redactAccessToken,
+  refreshPrincipal,
+  resolvePrincipal,
+  resolveRoutePermission,
+  revokeSession,
+  sanitizeUser,
+  verifyPassword,
+} from "../auth.js";
+
+/**
+ * 符号：buildState（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const buildState = () => ({
+  users: [
+    {
+      id: "user_ops",
+      name: "Ops",
+      email: "ops@example.com",
+      role: "ops",
+      status: "active",
+      passwordHash: hashPassword("Secret123"),
+    },
+    {
+      id: "user_dev",
+      name: "Dev",
+      email: "dev@example.com",
+      role: "developer",
+      status: "active",
+      passwordHash: hashPassword("Secret123"),
+    },
+  ],
+  authSessions: [],
+  apiTokens: [],
+});
+
+test("password hash should verify only the original password", () => {
+  const stored = hashPassword("Secret123");
+  assert.equal(verifyPassword("Secret123", stored), true);
+  assert.equal(verifyPassword("secret123", stored), false);
+  assert.equal(verifyPassword("Secret123", "plain-text"), false);
+  assert.equal("passwordHash" in sanitizeUser({ id: "u", passwordHash: stored }), false);
+});
+
+test("session and api token should resolve to the owning user until revoked", () => {
+  const state = buildState();
+  assert.equal(authenticateWithPassword(state, "OPS@example.com", "wrong"), null);
+  const user = authenticateWithPassword(state, "OPS@example.com", "Secret123");
+  assert.equal(user.id, "user_ops");
+
+  const { token, session } = createSession(state, user);
+  const principal = resolvePrincipal(state, parseBearerToken(`Bearer ${token}`));
+  assert.equal(principal.kind, "session");
+  assert.equal(principal.actor, "Ops");
+  assert.equal(state.authSessions[0].tokenHash === token, false);
+
+  revokeSession(state, session.id);
+  assert.equal(resolvePrincipal(state, token), null);
+
+  const issued = createApiToken(state, state.users[1], { name: "ci" });
+  const tokenPrincipal = resolvePrincipal(state, issued.token);
+  assert.equal(tokenPrincipal.kind, "api_token");
+  assert.equal(tokenPrincipal.actor, "Dev (token:ci)");
+
+  issued.item.revokedAt = new Date().toISOString();
+  assert.equal(resolvePrincipal(state, issued.token), null);
+
+  // SSE 查询参数里的令牌不能出现在访问日志中。
+  assert.equal(
+    redactAccessToken(`/api/events?topics=alerts&access_token=${issued.token}&apiId=a1`),
+    "/api/events?topics=alerts&access_token=[redacted]&apiId=a1",
+  );
+});
+
+test("long-lived connections should lose their principal once the session, token or user is no longer valid", () => {
+  const state = buildState();
+  const { token, session } = createSession(state, state.users[0]);
+  const principal = resolvePrincipal(state, token);
+  assert.equal(refreshPrincipal(state, principal).session.id, session.id);
+
+  // 会话过期、被注销、用户被停用都会让已建立的连接失去身份。
+  assert.equal(refreshPrincipal(state, principal, Date.parse(session.expiresAt)), null);
+  state.users[0].status = "disabled";
+  assert.equal(refreshPrincipal(state, principal), null);
+  state.users[0].status = "active";
+  revokeSession(state, session.id);
+  assert.equal(refreshPrincipal(state, principal), null);
+
+  const issued = createApiToken(state, state.users[1], { name: "sse" });
+  const tokenPrincipal = resolvePrincipal(state, issued.token);
+  assert.equal(refreshPrincipal(state, tokenPrincipal).user.id, "user_dev");
+  issued.item.revokedAt = new Date().toISOString();
+  assert.equal(refreshPrincipal(state, tokenPrincipal), null);
+
+  const disabledAuth = { kind: "disabled", user: { id: "system", role: "admin" }, actor: "system" };
+  assert.equal(refreshPrincipal(state, disabledAuth), disabledAuth);
+});
+
+test("route permissions should let developers read but not mutate configuration", () => {
+  assert.equal(isPublicRoute("GET", "/api/health"), true);
+  assert.equal(isPublicRoute("GET", "/api/rules"), false);
+
+  const readRules = resolveRoutePermission("GET", "/api/rules");
+  const createRule = resolveRoutePermission("POST", "/api/rules");
+  const patchPolicy = resolveRoutePermission("PATCH", "/api/alert-policy");
+  const ackAlert = resolveRoutePermission("PATCH", "/api/alerts/alert_1/status");
+  const simulateRule = resolveRoutePermission("POST", "/api/rules/rule_1/simulate");
+
+  assert.equal(hasPermission("developer", readRules), true);
+  assert.equal(hasPermission("developer", createRule), false);
+  assert.equal(hasPermission("developer", patchPolicy), false);
+  assert.equal(hasPermission("developer", resolveRoutePermission("DELETE", "/api/channels/ch_1")), false);
+  assert.equal(hasPermission("developer", resolveRoutePermission("POST", "/api/credentials")), false);
+  assert.equal(hasPermission("developer", ackAlert), true);
+  assert.equal(hasPermission("developer", simulateRule), true);
+  assert.equal(hasPermission("ops", createRule), true);
+  assert.equal(hasPermission("ops", patchPolicy), true);
+  assert.equal(hasPermission("unknown", readRules), false);
+});
+
+test("initial passwords should be random per user and require a change before other routes", () => {
+  const state = buildState();
+  const first = generateInitialPassword();
+  assert.notEqual(first, generateInitialPassword());
+  assert.match(first, /[a-zA-Z]/);
+  assert.match(first, /\d/);
+
+  const password = assignInitialPassword(state.users[0], first);
+  assert.equal(password, first);
+  assert.equal(state.users[0].mustChangePassword, true);
+  assert.equal(authenticateWithPassword(state, "ops@example.com", "Secret123"), null);
+  assert.equal(authenticateWithPassword(state, "ops@example.com", first).id, "user_ops");
+
+  assert.equal(allowsBeforePasswordChange("PATCH", "/api/auth/password"), true);
+  assert.equal(allowsBeforePasswordChange("GET", "/api/auth/me"), true);
+  assert.equal(allowsBeforePasswordChange("GET", "/api/apis"), false);
+  assert.equal(allowsBeforePasswordChange("POST", "/api/auth/password"), false);
+});
+
+test("login throttle should lock an email and ip pair after repeated failures", () => {
+  const nowMs = Date.parse("2026-03-01T00:00:00.000Z");
+  for (let attempt = 1; attempt < 5; attempt += 1) {
+    assert.equal(recordLoginFailure("ops@example.com", "10.0.0.1", nowMs + attempt), false);
+  }
+  assert.equal(getLoginLockRemainingMs("ops@example.com", "10.0.0.1", nowMs), 0);
+  assert.equal(recordLoginFailure("OPS@example.com", "10.0.0.1", nowMs + 5), true);
+  assert.equal(getLoginLockRemainingMs("ops@example.com", "10.0.0.1", nowMs + 5), 15 * 60_000);
+  // 其它来源 IP 不受影响，锁定到期后自动解除。
+  assert.equal(getLoginLockRemainingMs("ops@example.com", "10.0.0.2", nowMs + 5), 0);
+  assert.equal(getLoginLockRemainingMs("ops@example.com", "10.0.0.1", nowMs + 5 + 15 * 60_000), 0);
+
+  recordLoginFailure("dev@example.com", "10.0.0.3", nowMs);
+  clearLoginFailures("dev@example.com", "10.0.0.3");
+  for (let attempt = 1; attempt < 5; attempt += 1) {
+    assert.equal(recordLoginFailure("dev@example.com", "10.0.0.3", nowMs + attempt), false);
+  }
+});
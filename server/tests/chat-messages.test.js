@@ -0,0 +1,145 @@
+/**
+ * @file server/tests/chat-messages.test.js
+ * 文件作用：后端单元测试文件，验证规则引擎、通知策略与迁移逻辑的正确性。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildSlackMessage, buildWechatCard, buildWechatMarkdown } from "../chat-messages.js";
+import { processNotificationQueueTick } from "../notifications.js";
+import { buildNotificationState, makeNotificationRecord, sendJson, startStubServer } from "./helpers.js";
+
+/**
+ * 符号：makeRecord（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const makeRecord = (id, channelId, eventType, payload) =>
+  makeNotificationRecord({ id, channelId, channelType: channelId.replace("channel_", ""), eventType, payload });
+
+/**
+ * 符号：buildState（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现中包含 try/catch，说明该路径显式处理异常。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const buildState = (channel) =>
+  buildNotificationState({
+    rules: [{ id: "rule_err", name: "Error high", priority: "P1", windowMinutes: 5 }],
+    alerts: [
+      {
+        id: "alert_1",
+        ruleId: "rule_err",
+        apiId: "api_pay",
+        title: "Error high",
+        level: "P1",
+        status: "open",
+        metric: "errorRate",
+        operator: ">",
+        threshold: 5,
+        observedValue: 12,
+        windowMinutes: 5,
+      },
+    ],
+    channels: [channel],
+    notifications: [makeRecord("notify_1", channel.id, "trigger", { title: "Error high", level: "P1" })],
+  });
+
+test("chat builders should render priority colour, alert facts and links", () => {
+  const context = {
+    event: { type: "trigger" },
+    notification: { title: "Error high", level: "P1" },
+    alert: { id: "alert_1", status: "open", metric: "errorRate", operator: ">", threshold: 5, observedValue: 12, windowMinutes: 5 },
+    api: { method: "POST", path: "/pay", service: "payment", environment: "production" },
+    links: { alert: "http://ui/alerts?alertId=alert_1", api: "http://ui/api-monitor/api_pay", incident: null },
+  };
+  const rendered = { title: "[P1] Error high", body: "errorRate 12 > 5" };
+
+  const slack = buildSlackMessage(context, rendered);
+  assert.equal(slack.attachments[0].color, "#dc2626");
+  const [header, , facts, , actions] = slack.attachments[0].blocks;
+  assert.equal(header.text.text, "🚨 [P1] Error high");
+  assert.deepEqual(
+    facts.fields.map((field) => field.text),
+    ["*优先级*\nP1", "*API*\nPOST /pay", "*观测值*\nerrorRate 12（阈值 > 5）", "*窗口*\n5 分钟"],
+  );
+  assert.deepEqual(
+    actions.elements.map((button) => button.url),
+    ["http://ui/alerts?alertId=alert_1", "http://ui/api-monitor/api_pay"],
+  );
+
+  const markdown = buildWechatMarkdown(context, rendered).markdown.content;
+  assert.match(markdown, /^### <font color="warning">\[P1\] Error high<\/font>\n> 事件：告警触发/);
+  assert.match(markdown, /> API：POST \/pay/);
+  assert.match(markdown, /\[查看告警\]\(http:\/\/ui\/alerts\?alertId=alert_1\)/);
+
+  const card = buildWechatCard({ ...context, event: { type: "recovery" } }, rendered).template_card;
+  assert.equal(card.source.desc_color, 3);
+  assert.deepEqual(card.emphasis_content, { title: "12", desc: "errorRate > 5" });
+  assert.equal(card.card_action.url, "http://ui/alerts?alertId=alert_1");
+});
+
+test("slack bot delivery should thread follow-ups and update the root message on recovery", async () => {
+  process.env.API_ALERT_SECRET_SLACK_TEST_TOKEN = "xoxb-test";
+  // 假 Slack Web API：chat.postMessage 按请求序号分配 ts。
+  const api = await startStubServer(({ path }, res, requests) =>
+    sendJson(res, 200, path === "/chat.update" ? { ok: true } : { ok: true, channel: "C123", ts: `1700000000.00000${requests.length}` }),
+  );
+  try {
+    const state = buildState({
+      id: "channel_slack",
+      type: "slack",
+      name: "Slack",
+      enabled: true,
+      config: { deliveryMode: "http", botTokenRef: "SLACK_TEST_TOKEN", channel: "#alerts", apiBaseUrl: api.baseUrl },
+    });
+
+    await processNotificationQueueTick(state);
+    assert.deepEqual(state.notifications[0].chatMessage, { channel: "C123", ts: "1700000000.000001", threadTs: null });
+    assert.equal(api.requests[0].headers.authorization, "Bearer xoxb-test");
+    assert.equal(api.requests[0].json.channel, "#alerts");
+
+    state.alerts[0].status = "resolved";
+    state.notifications.unshift(makeRecord("notify_2", "channel_slack", "recovery", { title: "Error high", level: "P1" }));
+    await processNotificationQueueTick(state);
+
+    const [reply, update] = api.requests.slice(1);
+    assert.equal(reply.path, "/chat.postMessage");
+    assert.equal(reply.json.thread_ts, "1700000000.000001");
+    assert.equal(update.path, "/chat.update");
+    assert.equal(update.json.ts, "1700000000.000001");
+    assert.equal(update.json.attachments[0].color, "#16a34a");
+    assert.equal(state.notifications[0].response, "slack_ok 1700000000.000002 root_updated");
+
+    // 值班升级带着当班人的 Slack 成员 ID，在线程回复里 @ 对方。
+    state.notifications.unshift(
+      makeRecord("notify_3", "channel_slack", "escalation", { title: "Error high", level: "P1", recipients: ["U0BOB"] }),
+    );
+    await processNotificationQueueTick(state);
+    assert.match(api.requests.at(-1).json.text, /^<@U0BOB> /);
+  } finally {
+    await api.close();
+    delete process.env.API_ALERT_SECRET_SLACK_TEST_TOKEN;
+  }
+
+  const wechat = await startStubServer((_entry, res) => sendJson(res, 200, { errcode: 93000, errmsg: "invalid webhook url" }));
+  try {
+    const state = buildState({
+      id: "channel_wechat",
+      type: "wechat",
+      name: "WeCom",
+      enabled: true,
+      config: { deliveryMode: "http", webhookUrl: `${wechat.baseUrl}/send`, messageFormat: "card" },
+    });
+    const summary = await processNotificationQueueTick(state);
+    assert.equal(summary.retried, 1);
+    assert.equal(state.notifications[0].lastError, "wechat_93000 invalid webhook url");
+    assert.equal(wechat.requests[0].json.msgtype, "template_card");
+  } finally {
+    await wechat.close();
+  }
+});
@@ -0,0 +1,136 @@
+/**
+ * @file server/tests/check-assertions.test.js
+ * 文件作用：后端单元测试文件，验证规则引擎、通知策略与迁移逻辑的正确性。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { evaluateAssertions, validateAssertions, validateJsonSchema } from "../check-assertions.js";
+import { applyCheckResultToApi, buildMetricFromPullCheck, createPullMonitor, runHttpCheck } from "../pull-monitor.js";
+import { sendJson, startStubServer } from "./helpers.js";
+
+/**
+ * 符号：orderSchema（const）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含 try/catch，说明该路径显式处理异常。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const orderSchema = {
+  type: "object",
+  required: ["status", "items"],
+  properties: {
+    status: { enum: ["ok", "degraded"] },
+    items: { type: "array", minItems: 1, items: { type: "object", required: ["id"], properties: { id: { type: "integer" } } } },
+  },
+};
+
+test("assertions should cover json, regex, header, body size, content-type and schema", () => {
+  const body = JSON.stringify({ status: "ok", version: "2.4.1", items: [{ id: 1 }, { id: 2 }] });
+  const response = {
+    headers: { "Content-Type": "application/json; charset=utf-8", "X-Region": "cn-east" },
+    bodyText: body,
+    json: JSON.parse(body),
+  };
+
+  assert.deepEqual(
+    evaluateAssertions(
+      [
+        { path: "$.status", equals: "ok" },
+        { path: "items[1].id", exists: true },
+        { source: "body", matches: "\"version\":\"2\\.\\d+" },
+        { source: "header", path: "x-region", equals: "cn-east" },
+        { source: "bodySize", min: 10, max: 1024 },
+        { source: "contentType", contains: "application/json" },
+        { schema: orderSchema },
+      ],
+      response,
+    ),
+    [],
+  );
+
+  const failures = evaluateAssertions(
+    [
+      { path: "status", equals: "degraded" },
+      { source: "body", matches: "^<html" },
+      { source: "bodySize", max: 8 },
+      { source: "contentType", equals: "text/html" },
+      { path: "$.items", schema: { type: "array", maxItems: 1 } },
+    ],
+    response,
+  );
+  assert.deepEqual(
+    failures.map((failure) => [failure.target, failure.expected]),
+    [
+      ["json:status", "equals degraded"],
+      ["body", "matches /^<html/"],
+      ["bodySize", "<= 8"],
+      ["contentType", "equals text/html"],
+      ["json:$.items", "matches schema"],
+    ],
+  );
+
+  assert.deepEqual(validateJsonSchema({ status: "down", items: [{ id: "x" }] }, orderSchema), [
+    '$.status should be one of ["ok","degraded"]',
+    "$.items[0].id should be integer, got string",
+  ]);
+  assert.match(validateAssertions([{ source: "cookie", equals: "x" }]), /unknown source: cookie/);
+  assert.match(validateAssertions([{ path: "status" }]), /requires one of/);
+  assert.match(validateAssertions([{ source: "body", matches: "([" }]), /invalid regex/);
+  assert.match(validateAssertions([{ schema: { type: "object", properties: { id: { type: "string", pattern: "(" } } } }]), /invalid regex: \(/);
+  assert.match(validateAssertions([{ schema: { type: "array", items: { additionalProperties: { pattern: "[" } } } }]), /invalid regex: \[/);
+  assert.equal(validateAssertions([{ source: "bodySize", min: 1 }]), null);
+
+  // JSON 路径只读取自有属性：原型链上的 constructor 等不算存在。
+  assert.deepEqual(evaluateAssertions([{ path: "items.0.id", equals: 1 }], response), []);
+  assert.deepEqual(
+    evaluateAssertions([{ path: "constructor", exists: true }, { path: "items[0].toString", exists: true }], response).map((failure) => failure.target),
+    ["json:constructor", "json:items[0].toString"],
+  );
+});
+
+test("pull checks should fail a 200 response whose body breaks assertions", async () => {
+  let payload = { status: "degraded", items: [] };
+  const server = await startStubServer((_entry, res) => sendJson(res, 200, payload));
+
+  try {
+    const api = {
+      id: "api_orders",
+      baseline: {},
+      monitor: createPullMonitor({
+        checkConfig: {
+          url: `${server.baseUrl}/orders`,
+          assertions: [{ path: "status", equals: "ok" }, { schema: orderSchema }],
+        },
+      }),
+    };
+
+    const failed = await runHttpCheck(api, { readBody: false });
+    assert.equal(failed.success, false);
+    assert.equal(failed.statusCode, 200);
+    assert.equal(failed.error, "assertion_failed:json:status");
+    assert.deepEqual(
+      failed.assertionFailures.map((failure) => failure.actual),
+      ["degraded", "$.items should have >= 1 items"],
+    );
+    assert.equal(buildMetricFromPullCheck(api, failed).availability, 0);
+
+    applyCheckResultToApi(api, failed);
+    assert.equal(api.monitor.lastAssertionFailures.length, 2);
+
+    payload = { status: "ok", items: [{ id: 7 }] };
+    const passed = await runHttpCheck(api);
+    assert.equal(passed.success, true);
+    assert.deepEqual(passed.assertionFailures, []);
+    applyCheckResultToApi(api, passed);
+    assert.deepEqual(api.monitor.lastAssertionFailures, []);
+  } finally {
+    await server.close();
+  }
+
+  assert.throws(
+    () => createPullMonitor({ checkConfig: { url: "http://x", assertions: [{ source: "body", matches: "(" }] } }),
+    /invalid regex/,
+  );
+});
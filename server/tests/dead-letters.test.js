@@ -0,0 +1,139 @@
+/**
+ * @file server/tests/dead-letters.test.js
+ * 文件作用：后端单元测试文件，验证规则引擎、通知策略与迁移逻辑的正确性。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { processNotificationQueueTick, replayNotification, summarizeDeadLetters } from "../notifications.js";
+import { buildNotificationState, makeNotificationRecord } from "./helpers.js";
+
+/**
+ * 符号：makeRecord（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const makeRecord = (index, channelId, overrides = {}) =>
+  makeNotificationRecord({
+    id: `notify_${channelId}_${index}`,
+    alertId: `alert_${index}`,
+    channelId,
+    deliveryMode: "mock",
+    payload: { title: `Error high #${index}`, level: "P1" },
+    ...overrides,
+  });
+
+/**
+ * 符号：buildState（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现中包含异步等待，调用方需要关注超时、重试和并发控制。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const buildState = (channels, notifications) => buildNotificationState({ channels, notifications });
+
+test("hard failures should fall back to the secondary channel exactly once", async () => {
+  const state = buildState(
+    [
+      // 缺少 url 属于配置错误，即硬失败。
+      { id: "channel_primary", type: "webhook", name: "Primary", enabled: true, config: { fallbackChannelId: "channel_backup" } },
+      {
+        id: "channel_backup",
+        type: "webhook",
+        name: "Backup",
+        enabled: true,
+        config: { deliveryMode: "mock", url: "http://x", fallbackChannelId: "channel_primary" },
+      },
+      { id: "channel_ok", type: "webhook", name: "Ok", enabled: true, config: { deliveryMode: "mock", url: "http://x" } },
+    ],
+    [makeRecord(1, "channel_primary")],
+  );
+
+  let summary = await processNotificationQueueTick(state);
+  assert.equal(summary.failed, 1);
+  const primary = state.notifications.find((record) => record.id === "notify_channel_primary_1");
+  const fallback = state.notifications.find((record) => record.fallbackOf === primary.id);
+  assert.equal(primary.status, "failed");
+  assert.equal(primary.lastError, "invalid_webhook_url");
+  assert.equal(primary.fallbackRecordId, fallback.id);
+  assert.equal(fallback.channelId, "channel_backup");
+  assert.equal(fallback.alertId, "alert_1");
+  assert.equal(fallback.status, "queued");
+
+  // 备用渠道同样失败时不再转回主渠道。
+  delete state.channels[1].config.url;
+  summary = await processNotificationQueueTick(state);
+  assert.equal(summary.failed, 1);
+  assert.equal(fallback.status, "failed");
+  assert.equal(fallback.fallbackRecordId, undefined);
+  assert.equal(state.notifications.length, 2);
+
+  state.channels[0].config.fallbackChannelId = "channel_gone";
+  state.notifications.push(makeRecord(2, "channel_primary"));
+  await processNotificationQueueTick(state);
+  assert.equal(state.notifications.find((record) => record.id === "notify_channel_primary_2").fallbackError, "fallback_channel_missing");
+
+  state.channels[2].config.fallbackChannelId = "channel_ok";
+  state.notifications.push(makeRecord(3, "channel_ok"));
+  assert.equal((await processNotificationQueueTick(state)).failed, 1);
+  assert.equal(state.notifications.find((record) => record.id === "notify_channel_ok_3").lastError, "invalid_fallback_channel");
+});
+
+test("dead letters should group by channel and reason and replay on the same or another channel", async () => {
+  const channels = [
+    { id: "channel_hook", type: "webhook", name: "Hook", enabled: true, config: { deliveryMode: "mock", url: "http://x" } },
+    { id: "channel_slack", type: "slack", name: "Slack", enabled: true, config: { deliveryMode: "mock", webhookUrl: "http://x" } },
+  ];
+  const failed = (index, lastError, minutesAgo) =>
+    makeRecord(index, "channel_hook", {
+      status: "failed",
+      attempts: 3,
+      lastError,
+      response: lastError,
+      lastAttemptAt: new Date(Date.now() - minutesAgo * 60_000).toISOString(),
+      payload: { title: `Error high #${index}`, level: "P1", recipients: ["oncall@example.com"] },
+      recipientResults: [{ recipient: "oncall@example.com", status: "failed" }],
+      chatMessage: { text: "Error high" },
+    });
+  const state = buildState(channels, [
+    failed(1, "http_404: not found", 5),
+    failed(2, "http_404: gone", 1),
+    failed(3, "secret_not_found:hook_token", 3),
+  ]);
+
+  const groups = summarizeDeadLetters(state, state.notifications);
+  assert.deepEqual(
+    groups.map((group) => [group.channelName, group.reason, group.count, group.sampleError]),
+    [
+      ["Hook", "http_404", 2, "http_404: gone"],
+      ["Hook", "secret_not_found", 1, "secret_not_found:hook_token"],
+    ],
+  );
+  assert.deepEqual(groups[0].ids, ["notify_channel_hook_1", "notify_channel_hook_2"]);
+
+  const [first, second] = state.notifications;
+  const sameChannel = replayNotification(state, first, channels[0], "alice");
+  assert.equal(sameChannel, first);
+  assert.equal(first.status, "queued");
+  assert.equal(first.attempts, 0);
+  assert.equal(first.replayCount, 1);
+
+  const moved = replayNotification(state, second, channels[1], "alice");
+  assert.equal(second.status, "replayed");
+  assert.equal(second.replayedTo, moved.id);
+  assert.equal(moved.replayOf, second.id);
+  assert.equal(moved.channelType, "slack");
+  // 邮箱收件人与原渠道的投递状态不会带到 Slack 渠道。
+  assert.equal(moved.payload.recipients, undefined);
+  assert.equal(moved.payload.title, "Error high #2");
+  assert.equal(moved.recipientResults, undefined);
+  assert.equal(moved.chatMessage, undefined);
+
+  const summary = await processNotificationQueueTick(state);
+  assert.equal(summary.sent, 2);
+  assert.equal(first.status, "sent");
+  assert.equal(moved.status, "sent");
+});
@@ -0,0 +1,51 @@
+/**
+ * @file server/tests/event-bus.test.js
+ * 文件作用：后端单元测试文件，验证规则引擎、通知策略与迁移逻辑的正确性。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  getEventsSince,
+  parseEventTopics,
+  publishEvent,
+  publishMetricEvent,
+  resetEventBus,
+  subscribeEvents,
+} from "../event-bus.js";
+
+test("event bus should deliver by topic and replay after Last-Event-ID", () => {
+  resetEventBus();
+  const received = [];
+  const unsubscribe = subscribeEvents(["alerts"], (event) => received.push(event.type));
+
+  const first = publishEvent("alerts", "alert.created", { id: "alert_1", apiId: "api_a" });
+  publishEvent("apis", "api.status_changed", { apiId: "api_a", status: "warning" });
+  publishEvent("alerts", "alert.resolved", { id: "alert_1", apiId: "api_a" });
+  unsubscribe();
+  publishEvent("alerts", "alert.created", { id: "alert_2", apiId: "api_b" });
+
+  assert.deepEqual(received, ["alert.created", "alert.resolved"]);
+
+  const replay = getEventsSince(first.id, ["alerts"]);
+  assert.equal(replay.resync, false);
+  assert.deepEqual(replay.events.map((event) => event.data.id), ["alert_1", "alert_2"]);
+
+  assert.equal(getEventsSince("deadbeef-1", ["alerts"]).resync, true);
+  assert.equal(getEventsSince("not-an-id", ["alerts"]).resync, true);
+  assert.deepEqual(getEventsSince(null, ["alerts"]), { events: [], resync: false });
+});
+
+test("event bus should throttle metric events per api and validate topics", () => {
+  resetEventBus();
+  const nowMs = 1_000_000;
+  assert.ok(publishMetricEvent({ apiId: "api_a", qps: 1 }, nowMs));
+  assert.equal(publishMetricEvent({ apiId: "api_a", qps: 2 }, nowMs + 500), null);
+  assert.ok(publishMetricEvent({ apiId: "api_b", qps: 3 }, nowMs + 500));
+  assert.ok(publishMetricEvent({ apiId: "api_a", qps: 4 }, nowMs + 5_000));
+
+  assert.deepEqual(parseEventTopics("alerts, metrics,alerts"), { topics: ["alerts", "metrics"], invalid: [] });
+  assert.deepEqual(parseEventTopics("alerts,unknown").invalid, ["unknown"]);
+  assert.equal(parseEventTopics("").topics.length, 4);
+});
@@ -0,0 +1,108 @@
+/**
+ * @file server/tests/helpers.js
+ * 文件作用：后端单元测试文件，验证规则引擎、通知策略与迁移逻辑的正确性。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import http from "node:http";
+import https from "node:https";
+
+/**
+ * 符号：parseJson（arrow-function）
+ * 作用说明：该函数用于输入标准化，先把不稳定入参转为稳定结构。
+ * 实现说明：实现中包含 try/catch，说明该路径显式处理异常。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const parseJson = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * 符号：startStubServer（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含异步等待，调用方需要关注超时、重试和并发控制。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 本地 HTTP(S) 桩服务：收齐请求体后交给 handle(entry, res, requests) 应答，请求按到达顺序记录在 requests 中。
+// entry.body 为原始文本，能按 JSON 解析时同时放在 entry.json；传入 tls（key / cert）时改为 HTTPS。
+export const startStubServer = async (handle, { tls } = {}) => {
+  const requests = [];
+  const onRequest = (req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      const entry = { method: req.method, url: req.url, path: req.url.split("?")[0], headers: req.headers, body, json: parseJson(body) };
+      requests.push(entry);
+      handle(entry, res, requests);
+    });
+  };
+  const server = tls ? https.createServer(tls, onRequest) : http.createServer(onRequest);
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    requests,
+    baseUrl: `${tls ? "https" : "http"}://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
+
+/**
+ * 符号：sendJson（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const sendJson = (res, status, payload, headers = {}) => {
+  res.writeHead(status, { "content-type": "application/json", ...headers });
+  res.end(JSON.stringify(payload));
+};
+
+/**
+ * 符号：buildNotificationState（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 通知测试共用的最小状态：一个支付接口、一条错误率规则，告警、渠道与通知记录按用例传入。
+export const buildNotificationState = (overrides = {}) => ({
+  apis: [{ id: "api_pay", name: "Pay", path: "/pay", method: "POST", service: "payment", environment: "production" }],
+  rules: [{ id: "rule_err", name: "Error high", priority: "P1" }],
+  alerts: [],
+  channels: [],
+  notifications: [],
+  ...overrides,
+});
+
+/**
+ * 符号：makeNotificationRecord（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const makeNotificationRecord = (overrides = {}) => ({
+  id: "notify_1",
+  alertId: "alert_1",
+  ruleId: "rule_err",
+  apiId: "api_pay",
+  channelId: "channel_webhook",
+  channelType: "webhook",
+  status: "queued",
+  eventType: "trigger",
+  createdAt: new Date().toISOString(),
+  attempts: 0,
+  maxAttempts: 3,
+  nextRetryAt: null,
+  payload: { title: "Error high", level: "P1" },
+  ...overrides,
+});
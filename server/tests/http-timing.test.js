@@ -0,0 +1,169 @@
+/**
+ * @file server/tests/http-timing.test.js
+ * 文件作用：后端单元测试文件，验证规则引擎、通知策略与迁移逻辑的正确性。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { HTTP_TIMING_FIELDS, requestWithTiming } from "../http-timing.js";
+import { applyCheckResultToApi, buildMetricFromPullCheck, createPullMonitor, runHttpCheck } from "../pull-monitor.js";
+import { ingestMetric } from "../rule-engine.js";
+import { sendJson, startStubServer } from "./helpers.js";
+
+/**
+ * 符号：startServer（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 假服务：/slow 首字节前等待 60ms；/form 以 303 跳到 /done；/moved 以 302 跳到 /slow。
+const startServer = () =>
+  startStubServer(({ url }, res) => {
+    if (url === "/form" || url === "/moved") {
+      res.writeHead(url === "/form" ? 303 : 302, { location: url === "/form" ? "/done" : "/slow" });
+      res.end();
+      return;
+    }
+    setTimeout(() => sendJson(res, 200, { ok: true, path: url }, { "set-cookie": ["a=1", "b=2"] }), url === "/slow" ? 60 : 0);
+  });
+
+test("requestWithTiming should report phase timings and follow redirects", async () => {
+  const server = await startServer();
+  try {
+    const slow = await requestWithTiming(`${server.baseUrl}/slow`);
+    assert.equal(slow.status, 200);
+    assert.equal(JSON.parse(slow.bodyText).path, "/slow");
+    assert.equal(slow.headers["set-cookie"], "a=1, b=2");
+    assert.deepEqual(Object.keys(slow.timings), [...HTTP_TIMING_FIELDS, "totalMs"]);
+    // IP 字面量不做 DNS 解析，也没有 TLS。
+    assert.equal(slow.timings.dnsMs, 0);
+    assert.equal(slow.timings.tlsMs, 0);
+    assert.ok(slow.timings.ttfbMs >= 50, `ttfb ${slow.timings.ttfbMs}`);
+    assert.ok(slow.timings.totalMs >= slow.timings.ttfbMs);
+
+    const form = await requestWithTiming(`${server.baseUrl}/form`, { method: "POST", body: "x=1" });
+    assert.equal(form.status, 200);
+    assert.equal(form.redirects, 1);
+    assert.deepEqual(
+      server.requests.slice(-2).map(({ method, url }) => `${method} ${url}`),
+      ["POST /form", "GET /done"],
+    );
+
+    const manual = await requestWithTiming(`${server.baseUrl}/moved`, { followRedirect: false });
+    assert.equal(manual.status, 302);
+    assert.equal(manual.headers.location, "/slow");
+
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 10);
+    await assert.rejects(requestWithTiming(`${server.baseUrl}/slow`, { signal: controller.signal }), {
+      name: "AbortError",
+    });
+  } finally {
+    await server.close();
+  }
+});
+
+test("requestWithTiming should drop credential headers when a redirect leaves the origin", async () => {
+  // 端口不同即为不同的源：/away 跳到 other 的 /back，再跳回本服务的 /landing。
+  const other = await startStubServer(({ path }, res) => {
+    res.writeHead(path === "/back" ? 302 : 200, path === "/back" ? { location: `${server.baseUrl}/landing` } : {});
+    res.end();
+  });
+  const server = await startStubServer(({ path }, res) => {
+    if (path === "/stay") res.writeHead(302, { location: "/landing" });
+    else if (path === "/away") res.writeHead(302, { location: `${other.baseUrl}/back` });
+    else res.writeHead(200);
+    res.end();
+  });
+  const headers = { Authorization: "Bearer secret", Cookie: "sid=1", "X-Api-Key": "k-1", "X-Trace": "t-1" };
+  const pick = ({ headers: received }) => [received.authorization, received.cookie, received["x-api-key"], received["x-trace"]];
+
+  try {
+    await requestWithTiming(`${server.baseUrl}/stay`, { headers, sensitiveHeaders: ["x-api-key"] });
+    assert.deepEqual(server.requests.map(pick), [
+      ["Bearer secret", "sid=1", "k-1", "t-1"],
+      ["Bearer secret", "sid=1", "k-1", "t-1"],
+    ]);
+
+    // 跨源后去掉认证头、Cookie 与调用方声明的凭据头，跳回原来的源也不再恢复。
+    const away = await requestWithTiming(`${server.baseUrl}/away`, { headers, sensitiveHeaders: ["x-api-key"] });
+    assert.equal(away.redirects, 2);
+    assert.deepEqual([server.requests[2], other.requests[0], server.requests[3]].map(pick), [
+      ["Bearer secret", "sid=1", "k-1", "t-1"],
+      [undefined, undefined, undefined, "t-1"],
+      [undefined, undefined, undefined, "t-1"],
+    ]);
+  } finally {
+    await server.close();
+    await other.close();
+  }
+});
+
+test("pull check timings should reach api.monitor, metrics and rules", async () => {
+  const server = await startServer();
+  try {
+    const api = {
+      id: "api_slow",
+      name: "Slow",
+      path: "/slow",
+      method: "GET",
+      service: "svc",
+      environment: "test",
+      baseline: { qps: 10, errorRate: 1, latencyP95: 100, latencyP99: 150, availability: 99.9 },
+      monitor: createPullMonitor({ checkConfig: { url: `${server.baseUrl}/slow` } }),
+    };
+
+    const result = await runHttpCheck(api);
+    assert.equal(result.success, true);
+    assert.ok(result.timings.ttfbMs >= 50);
+    applyCheckResultToApi(api, result);
+    assert.deepEqual(api.monitor.lastTimings, result.timings);
+
+    const metric = buildMetricFromPullCheck(api, result);
+    assert.equal(metric.ttfbMs, result.timings.ttfbMs);
+
+    const state = {
+      apis: [api],
+      rules: [
+        {
+          id: "rule_ttfb",
+          ruleType: "threshold",
+          name: "TTFB high",
+          enabled: true,
+          priority: "P2",
+          scope: { type: "global" },
+          metric: "ttfbMs",
+          operator: ">",
+          threshold: 40,
+          aggregation: "latest",
+          windowMinutes: 5,
+          minSamples: 1,
+          cooldownMinutes: 0,
+          actions: [],
+          lastTriggeredByApi: {},
+        },
+      ],
+      metrics: [],
+      alerts: [],
+      ruleHits: [],
+      notifications: [],
+      alertPolicy: { enabled: true, dedupWindowSeconds: 0, suppressWindowSeconds: 0 },
+      alertNoiseState: { byFingerprint: {} },
+    };
+    const ingested = ingestMetric(state, metric);
+    assert.equal(ingested.metric.ttfbMs, metric.ttfbMs);
+    assert.equal(ingested.createdAlerts.length, 1);
+
+    // 推送指标不带阶段耗时，字段不写入，规则因样本不足不触发。
+    const pushed = ingestMetric(state, { apiId: api.id, timestamp: new Date(Date.now() + 1000).toISOString(), qps: 5 });
+    assert.equal("ttfbMs" in pushed.metric, false);
+
+    const refused = await runHttpCheck({ ...api, monitor: createPullMonitor({ checkConfig: { url: "http://127.0.0.1:1/" } }) });
+    assert.equal(refused.success, false);
+    assert.equal("dnsMs" in buildMetricFromPullCheck(api, refused), false);
+  } finally {
+    await server.close();
+  }
+});
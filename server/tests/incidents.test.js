@@ -0,0 +1,141 @@
+/**
+ * @file server/tests/incidents.test.js
+ * 文件作用：后端单元测试文件，验证规则引擎、通知策略与迁移逻辑的正确性。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildIncidentKey } from "../incidents.js";
+import { dispatchAlertNotifications, dispatchAlertRecoveryNotifications } from "../notifications.js";
+
+/**
+ * 符号：buildState（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现中使用 map/filter/reduce 等数组操作，强调声明式数据变换。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const buildState = (incidentGrouping = {}) => ({
+  apis: [
+    { id: "api_pay", path: "/pay", service: "payment", environment: "production", tags: ["core"] },
+    { id: "api_refund", path: "/refund", service: "payment", environment: "production", tags: ["core"] },
+    { id: "api_login", path: "/login", service: "auth", environment: "production", tags: ["auth"] },
+  ],
+  rules: [],
+  alerts: [],
+  incidents: [],
+  channels: [
+    {
+      id: "channel_email",
+      type: "email",
+      name: "Email",
+      enabled: true,
+      config: { recipients: ["ops@example.com"], deliveryMode: "mock" },
+    },
+    {
+      id: "channel_webhook",
+      type: "webhook",
+      name: "Webhook",
+      enabled: true,
+      config: { url: "https://example.com/hook", deliveryMode: "mock" },
+    },
+  ],
+  notifications: [],
+  alertPolicy: {
+    enabled: false,
+    sendRecovery: true,
+    incidentGrouping: { enabled: true, groupBy: ["service"], windowMinutes: 30, ...incidentGrouping },
+  },
+  alertNoiseState: { byFingerprint: {} },
+});
+
+const raiseAlert = (state, { id, apiId, ruleId = "rule_error", level = "P2", actions = ["email"], at }) => {
+  const alert = {
+    id,
+    ruleId,
+    apiId,
+    title: `${ruleId} on ${apiId}`,
+    message: "error rate high",
+    level,
+    status: "open",
+    triggeredAt: at,
+    notifications: [],
+  };
+  state.alerts.unshift(alert);
+  const api = state.apis.find((item) => item.id === apiId);
+  const records = dispatchAlertNotifications(state, alert, { id: ruleId, name: ruleId, actions }, api);
+  return { alert, api, records };
+};
+
+const recoverAlert = (state, alert, actions = ["email"]) => {
+  alert.status = "resolved";
+  const api = state.apis.find((item) => item.id === alert.apiId);
+  return dispatchAlertRecoveryNotifications(state, alert, { id: alert.ruleId, actions }, api);
+};
+
+test("alerts of one service should share an incident and notify once", () => {
+  const state = buildState();
+  const at = "2026-03-01T10:00:00.000Z";
+
+  const first = raiseAlert(state, { id: "alert_1", apiId: "api_pay", at });
+  const second = raiseAlert(state, { id: "alert_2", apiId: "api_refund", at });
+  const other = raiseAlert(state, { id: "alert_3", apiId: "api_login", at });
+
+  assert.equal(state.incidents.length, 2);
+  const [payment] = state.incidents.filter((item) => item.service === "payment");
+  assert.deepEqual(payment.alertIds, ["alert_1", "alert_2"]);
+  assert.equal(first.records.length, 1);
+  assert.equal(first.records[0].incidentId, payment.id);
+  assert.equal(first.records[0].payload.title, `[Incident] ${payment.title}`);
+  assert.equal(second.records.length, 0);
+  assert.equal(second.alert.lastNotificationStatus, "grouped");
+  assert.equal(other.alert.incidentId === payment.id, false);
+
+  // 新规则带来还没通知过的渠道时只补发给这些渠道。
+  const widened = raiseAlert(state, {
+    id: "alert_4",
+    apiId: "api_pay",
+    ruleId: "rule_latency",
+    actions: ["email", "webhook"],
+    at,
+  });
+  assert.deepEqual(
+    widened.records.map((item) => [item.channelId, item.eventType]),
+    [["channel_webhook", "incident_update"]],
+  );
+
+  // 级别被拉高时重新通知全部渠道。
+  const escalated = raiseAlert(state, { id: "alert_5", apiId: "api_refund", level: "P1", at });
+  assert.equal(payment.level, "P1");
+  assert.equal(escalated.records.length, 1);
+  assert.equal(payment.timeline.some((event) => event.type === "level_raised"), true);
+
+  for (const alert of state.alerts.filter((item) => item.incidentId === payment.id && item !== first.alert)) {
+    assert.equal(recoverAlert(state, alert).length, 0);
+  }
+  assert.equal(payment.status, "open");
+  const recovery = recoverAlert(state, first.alert);
+  assert.equal(payment.status, "resolved");
+  assert.deepEqual(recovery.map((item) => [item.channelId, item.eventType]), [
+    ["channel_email", "recovery"],
+    ["channel_webhook", "recovery"],
+  ]);
+});
+
+test("incident grouping should respect the time window and configured keys", () => {
+  const state = buildState({ windowMinutes: 10 });
+  raiseAlert(state, { id: "alert_1", apiId: "api_pay", at: "2026-03-01T10:00:00.000Z" });
+  raiseAlert(state, { id: "alert_2", apiId: "api_refund", at: "2026-03-01T10:30:00.000Z" });
+  assert.equal(state.incidents.length, 2);
+
+  const api = { id: "api_pay", service: "payment", tags: ["money", "core"] };
+  const alert = { ruleId: "rule_error", apiId: "api_pay" };
+  assert.equal(buildIncidentKey(["service", "rule"], alert, { id: "rule_error" }, api), "service=payment|rule=rule_error");
+  assert.equal(buildIncidentKey(["tag"], alert, null, api), "tag=core,money");
+
+  const disabled = buildState({ enabled: false });
+  const { records } = raiseAlert(disabled, { id: "alert_1", apiId: "api_pay", at: "2026-03-01T10:00:00.000Z" });
+  assert.equal(disabled.incidents.length, 0);
+  assert.equal(records[0].incidentId, undefined);
+});
@@ -0,0 +1,172 @@
+/**
+ * @file server/tests/metric-index.test.js
+ * 文件作用：后端单元测试文件，验证规则引擎、通知策略与迁移逻辑的正确性。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { performance } from "node:perf_hooks";
+import {
+  getIndexedLatestMetric,
+  getIndexedMetricsInRange,
+  indexAppendedMetric,
+  indexEvictedMetrics,
+  rebuildMetricIndex,
+} from "../metric-index.js";
+import { ingestMetric } from "../rule-engine.js";
+
+/**
+ * 符号：BASE_MS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 基准时间取近一小时，避免基准测试中的历史点被原始数据保留期裁掉。
+const BASE_MS = Date.now() - 3_600_000;
+
+/**
+ * 符号：buildPoint（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const buildPoint = (apiId, offsetMs, errorRate = 1) => ({
+  apiId,
+  timestamp: new Date(BASE_MS + offsetMs).toISOString(),
+  qps: 100,
+  errorRate,
+  latencyP95: 200,
+  latencyP99: 300,
+  availability: 99.9,
+  statusCode5xx: 0,
+});
+
+/**
+ * 符号：linearRange（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中存在状态写入，属于有副作用函数，测试时应关注前后状态变化。
+ * 输入输出：接收入参后会写入状态或外部资源，输出通常是更新后的对象、状态码或副作用结果。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const linearRange = (state, apiId, startMs, endMs) =>
+  state.metrics
+    .filter((metric) => {
+      const timeMs = new Date(metric.timestamp).getTime();
+      return metric.apiId === apiId && timeMs >= startMs && timeMs <= endMs;
+    })
+    .sort((left, right) => new Date(left.timestamp).getTime() - new Date(right.timestamp).getTime());
+
+test("metric index should answer range queries like a linear scan", () => {
+  const state = { metrics: [] };
+  rebuildMetricIndex(state);
+
+  for (let step = 0; step < 300; step += 1) {
+    const apiId = `api_${step % 3}`;
+    // 每 7 个点插入一个乱序点，覆盖按时间插入的分支。
+    const offsetMs = step % 7 === 6 ? (step - 5) * 1_000 + 500 : step * 1_000;
+    const metric = buildPoint(apiId, offsetMs, step);
+    state.metrics.push(metric);
+    indexAppendedMetric(state, metric);
+  }
+
+  for (const apiId of ["api_0", "api_1", "api_2"]) {
+    for (const [startMs, endMs] of [[-Infinity, Infinity], [BASE_MS + 10_000, BASE_MS + 90_000], [BASE_MS + 200_500, BASE_MS + 200_500]]) {
+      assert.deepEqual(getIndexedMetricsInRange(state, apiId, startMs, endMs), linearRange(state, apiId, startMs, endMs));
+    }
+  }
+  assert.equal(getIndexedLatestMetric(state, "api_2").errorRate, 299);
+  assert.equal(getIndexedLatestMetric(state, "api_missing"), null);
+});
+
+test("metric index should follow evictions and rebuild after external changes", () => {
+  const state = { metrics: [] };
+  for (let step = 0; step < 10; step += 1) {
+    const metric = buildPoint(step % 2 ? "api_b" : "api_a", step * 1_000, step);
+    state.metrics.push(metric);
+    indexAppendedMetric(state, metric);
+  }
+
+  indexEvictedMetrics(state, state.metrics.splice(0, 4));
+  assert.deepEqual(getIndexedMetricsInRange(state, "api_a").map((item) => item.errorRate), [4, 6, 8]);
+  assert.deepEqual(getIndexedMetricsInRange(state, "api_b").map((item) => item.errorRate), [5, 7, 9]);
+
+  state.metrics = state.metrics.filter((item) => item.apiId !== "api_a");
+  assert.deepEqual(getIndexedMetricsInRange(state, "api_a"), []);
+  assert.equal(getIndexedLatestMetric(state, "api_b").errorRate, 9);
+});
+
+test("ingest benchmark with 200 apis and 100 rules", () => {
+  const apiCount = 200;
+  const ruleCount = 100;
+  const seedPointsPerApi = 60;
+  const measuredPoints = 4_000;
+
+  const apis = Array.from({ length: apiCount }, (_, index) => ({
+    id: `api_${index}`,
+    name: `API ${index}`,
+    path: `/bench/${index}`,
+    method: "GET",
+    service: `svc_${index % 20}`,
+    owner: "bench",
+    environment: "test",
+    baseline: { qps: 100, errorRate: 1, latencyP95: 200, latencyP99: 300, availability: 99.9 },
+    monitor: { mode: "push", enabled: true, source: "bench", checkConfig: null },
+    status: "healthy",
+    updatedAt: new Date(BASE_MS).toISOString(),
+  }));
+
+  const rules = Array.from({ length: ruleCount }, (_, index) => ({
+    id: `rule_${index}`,
+    ruleType: "threshold",
+    name: `Bench rule ${index}`,
+    enabled: true,
+    priority: "P3",
+    scope: index % 2 ? { type: "service", value: `svc_${index % 20}` } : { type: "global" },
+    metric: index % 3 ? "latencyP95" : "errorRate",
+    operator: ">",
+    threshold: 1_000_000,
+    aggregation: index % 4 ? "avg" : "max",
+    windowMinutes: 5 + (index % 10),
+    minSamples: 1,
+    cooldownMinutes: 0,
+    actions: [],
+    lastTriggeredByApi: {},
+  }));
+
+  const state = {
+    apis,
+    rules,
+    metrics: [],
+    alerts: [],
+    ruleHits: [],
+    notifications: [],
+    alertPolicy: { enabled: true, dedupWindowSeconds: 0, suppressWindowSeconds: 0 },
+    alertNoiseState: { byFingerprint: {} },
+  };
+
+  for (let round = 0; round < seedPointsPerApi; round += 1) {
+    for (const api of apis) {
+      state.metrics.push(buildPoint(api.id, round * 15_000));
+    }
+  }
+  rebuildMetricIndex(state);
+
+  const startedAt = performance.now();
+  for (let step = 0; step < measuredPoints; step += 1) {
+    const api = apis[step % apiCount];
+    ingestMetric(state, buildPoint(api.id, (seedPointsPerApi + Math.floor(step / apiCount)) * 15_000));
+  }
+  const elapsedMs = performance.now() - startedAt;
+  const pointsPerSecond = Math.round((measuredPoints / elapsedMs) * 1_000);
+
+  console.log(
+    `ingest benchmark: ${measuredPoints} points, ${apiCount} apis, ${ruleCount} rules, ` +
+      `${state.metrics.length} stored -> ${pointsPerSecond} points/s`,
+  );
+  assert.equal(state.alerts.length, 0);
+  // 阈值故意放得很宽，只用于拦截退化回全量线性扫描这类数量级回退，避免在慢机器上误报。
+  assert.ok(pointsPerSecond > 200, `ingest throughput too low: ${pointsPerSecond} points/s`);
+});
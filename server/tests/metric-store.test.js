@@ -0,0 +1,104 @@
+/**
+ * @file server/tests/metric-store.test.js
+ * 文件作用：后端单元测试文件，验证规则引擎、通知策略与迁移逻辑的正确性。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  appendRawMetric,
+  pruneMetricStore,
+  queryMetricPoints,
+  rebuildMetricRollups,
+  removeApiMetrics,
+  selectMetricTier,
+} from "../metric-store.js";
+
+/**
+ * 符号：BASE_MS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const BASE_MS = Date.parse("2026-03-01T00:00:00.000Z");
+
+/**
+ * 符号：buildMetric（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现中使用 map/filter/reduce 等数组操作，强调声明式数据变换。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const buildMetric = (apiId, offsetMs, errorRate) => ({
+  apiId,
+  timestamp: new Date(BASE_MS + offsetMs).toISOString(),
+  qps: 100,
+  errorRate,
+  latencyP95: 200,
+  latencyP99: 300,
+  availability: 99.9,
+  statusCode5xx: 0,
+});
+
+test("appendRawMetric should aggregate samples into every rollup tier", () => {
+  const state = { metrics: [] };
+  appendRawMetric(state, buildMetric("api_a", 0, 1), BASE_MS);
+  appendRawMetric(state, buildMetric("api_a", 20_000, 3), BASE_MS);
+  appendRawMetric(state, buildMetric("api_a", 70_000, 5), BASE_MS);
+
+  assert.equal(state.metricRollups["1m"].length, 2);
+  assert.equal(state.metricRollups["5m"].length, 1);
+  assert.equal(state.metricRollups["1h"].length, 1);
+
+  const [firstMinute] = queryMetricPoints(state, { apiId: "api_a", tier: "1m" }).points;
+  assert.equal(firstMinute.sampleCount, 2);
+  assert.equal(firstMinute.errorRate, 2);
+  assert.equal(firstMinute.min.errorRate, 1);
+  assert.equal(firstMinute.max.errorRate, 3);
+
+  const [hour] = queryMetricPoints(state, { apiId: "api_a", tier: "1h" }).points;
+  assert.equal(hour.sampleCount, 3);
+  assert.equal(hour.errorRate, 3);
+
+  const rebuilt = rebuildMetricRollups({ metrics: state.metrics });
+  assert.deepEqual(rebuilt, state.metricRollups);
+});
+
+test("pruneMetricStore should drop expired raw points but keep coarser history", () => {
+  const state = { metrics: [] };
+  appendRawMetric(state, buildMetric("api_a", 0, 1), BASE_MS);
+  appendRawMetric(state, buildMetric("api_a", 30 * 3_600_000, 2), BASE_MS + 30 * 3_600_000);
+
+  assert.equal(state.metrics.length, 1);
+  assert.equal(state.metricRollups["1m"].length, 2);
+  assert.equal(state.metricRollups["1h"].length, 2);
+
+  const nowMs = BASE_MS + 3 * 24 * 3_600_000;
+  const result = pruneMetricStore(state, nowMs);
+  assert.equal(result.removedRaw, 1);
+  assert.equal(state.metrics.length, 0);
+  assert.equal(state.metricRollups["1m"].length, 1);
+  assert.equal(state.metricRollups["5m"].length, 2);
+
+  const windowStartMs = BASE_MS;
+  assert.equal(selectMetricTier(state, windowStartMs), "5m");
+  assert.equal(selectMetricTier(state, windowStartMs, { prefer: "coarsest" }), "1h");
+
+  const { tier, points } = queryMetricPoints(state, { apiId: "api_a", startMs: windowStartMs, endMs: nowMs });
+  assert.equal(tier, "5m");
+  assert.deepEqual(points.map((point) => point.errorRate), [1, 2]);
+});
+
+test("removeApiMetrics should clear raw points and rollups for one api only", () => {
+  const state = { metrics: [] };
+  appendRawMetric(state, buildMetric("api_a", 0, 1), BASE_MS);
+  appendRawMetric(state, buildMetric("api_b", 0, 2), BASE_MS);
+
+  assert.equal(removeApiMetrics(state, "api_a"), 1);
+  assert.deepEqual(state.metrics.map((item) => item.apiId), ["api_b"]);
+  for (const tierName of ["1m", "5m", "1h"]) {
+    assert.deepEqual(state.metricRollups[tierName].map((bucket) => bucket.apiId), ["api_b"]);
+  }
+});
@@ -6,6 +6,7 @@
 
 import test from "node:test";
 import assert from "node:assert/strict";
+import { hashPassword } from "../auth.js";
 import { applyMigrations, CURRENT_SCHEMA_VERSION } from "../migrations.js";
 
 test("migrations should upgrade schema and normalize notifications", () => {
@@ -23,3 +24,15 @@ test("migrations should upgrade schema and normalize notifications", () => {
 
 
 
+
+test("migrations should force users still on the legacy shared password to change it", () => {
+  const migrated = applyMigrations({
+    meta: { version: 1, schemaVersion: 10, createdAt: new Date().toISOString(), updatedAt: new Date().toISOString() },
+    users: [
+      { id: "user_legacy", email: "legacy@example.com", passwordHash: hashPassword("ChangeMe123!") },
+      { id: "user_rotated", email: "rotated@example.com", passwordHash: hashPassword("Rotated123") },
+    ],
+  });
+  assert.equal(migrated.users[0].mustChangePassword, true);
+  assert.equal(migrated.users[1].mustChangePassword, undefined);
+});
@@ -0,0 +1,137 @@
+/**
+ * @file server/tests/notification-routes.test.js
+ * 文件作用：后端单元测试文件，验证规则引擎、通知策略与迁移逻辑的正确性。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildRouteSubject,
+  normalizeNotificationRouting,
+  planNotificationRoutes,
+  validateNotificationRouting,
+} from "../notification-routes.js";
+import { dispatchAlertNotifications, dispatchAlertRecoveryNotifications } from "../notifications.js";
+
+/**
+ * 符号：channels（const）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中使用 map/filter/reduce 等数组操作，强调声明式数据变换。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const channels = [
+  { id: "channel_pay_slack", type: "slack", name: "Pay Slack", enabled: true, config: { deliveryMode: "mock", webhookUrl: "http://x" } },
+  { id: "channel_sms", type: "sms", name: "SMS", enabled: true, config: { deliveryMode: "mock", recipients: ["13800000000"] } },
+  { id: "channel_email", type: "email", name: "Email", enabled: true, config: { deliveryMode: "mock", recipients: ["ops@x.com"] } },
+];
+
+const routing = normalizeNotificationRouting({
+  enabled: true,
+  routes: [
+    { id: "route_pay", name: "支付", matchers: { service: ["payment"] }, channels: ["channel_pay_slack"], continue: true },
+    {
+      id: "route_night_p1",
+      name: "夜间 P1",
+      matchers: { priority: ["P1"], eventType: ["trigger"] },
+      activeTime: { start: "22:00", end: "08:00", utcOffsetMinutes: 480 },
+      channels: ["channel_sms", "channel_pay_slack"],
+    },
+    { id: "route_prod", name: "生产", matchers: { environment: ["production"] }, channels: ["channel_email"] },
+  ],
+  defaultRoute: { channels: [] },
+});
+
+test("routes should match top-down with continue/stop, time windows and default fallback", () => {
+  assert.equal(validateNotificationRouting(routing, { channels }), null);
+
+  const payment = { service: "payment", environment: "production", tags: ["core"] };
+  // 北京时间 23:00，命中支付（continue）后再命中夜间 P1 并停止，不再落到“生产”。
+  const night = Date.UTC(2026, 0, 1, 15);
+  const plan = planNotificationRoutes(routing, buildRouteSubject({ level: "P1" }, null, payment, "trigger"), night);
+  assert.deepEqual(
+    plan.matchedRoutes.map((route) => route.id),
+    ["route_pay", "route_night_p1"],
+  );
+
+  const day = Date.UTC(2026, 0, 1, 3);
+  assert.deepEqual(
+    planNotificationRoutes(routing, buildRouteSubject({ level: "P1" }, null, payment, "trigger"), day).matchedRoutes.map(
+      (route) => route.id,
+    ),
+    ["route_pay", "route_prod"],
+  );
+  assert.deepEqual(
+    planNotificationRoutes(routing, buildRouteSubject({ level: "P1" }, null, payment, "recovery"), night).matchedRoutes.map(
+      (route) => route.id,
+    ),
+    ["route_pay", "route_prod"],
+  );
+
+  const staging = { service: "order", environment: "staging" };
+  const fallback = planNotificationRoutes(routing, buildRouteSubject({ level: "P3" }, null, staging, "trigger"), day);
+  assert.equal(fallback.usedDefault, true);
+  assert.equal(fallback.useRuleActions, true);
+  assert.equal(planNotificationRoutes({ ...routing, enabled: false }, {}, day).useRuleActions, true);
+
+  const invalid = (patch) => validateNotificationRouting(normalizeNotificationRouting(patch, routing), { channels });
+  assert.match(invalid({ routes: [{ id: "r", channels: [] }] }), /requires at least one channel/);
+  assert.match(invalid({ routes: [{ id: "r", channels: ["pagerduty"] }] }), /Unknown channel: pagerduty/);
+  assert.match(invalid({ routes: [{ id: "r", channels: ["sms"], activeTime: { start: "9:00" } }] }), /HH:mm/);
+  assert.match(invalid({ routes: [{ id: "r", channels: ["sms"], matchers: { eventType: "digest" } }] }), /eventType/);
+});
+
+test("alert dispatch should follow the routing tree instead of rule actions", () => {
+  const api = { id: "api_pay", name: "Pay", path: "/pay", method: "POST", service: "payment", environment: "production" };
+  const rule = { id: "rule_err", name: "Error high", priority: "P1", actions: ["channel_email"] };
+  const state = {
+    apis: [api],
+    rules: [rule],
+    alerts: [],
+    incidents: [],
+    channels,
+    notifications: [],
+    alertPolicy: {
+      enabled: true,
+      dedupWindowSeconds: 0,
+      suppressWindowSeconds: 0,
+      sendRecovery: true,
+      incidentGrouping: { enabled: false, groupBy: ["service"], windowMinutes: 30 },
+    },
+    alertNoiseState: { byFingerprint: {} },
+    notificationRouting: normalizeNotificationRouting({
+      enabled: true,
+      routes: [{ id: "route_pay", matchers: { service: ["payment"], eventType: ["trigger"] }, channels: ["slack", "sms"] }],
+      defaultRoute: { channels: ["channel_sms"] },
+    }),
+  };
+  const alert = {
+    id: "alert_1",
+    ruleId: rule.id,
+    apiId: api.id,
+    title: "Error high",
+    message: "errorRate 30",
+    level: "P1",
+    status: "open",
+    createdAt: new Date().toISOString(),
+  };
+  state.alerts.push(alert);
+
+  const records = dispatchAlertNotifications(state, alert, rule, api);
+  assert.deepEqual(
+    records.map((record) => [record.channelId, record.routeId]),
+    [
+      ["channel_pay_slack", "route_pay"],
+      ["channel_sms", "route_pay"],
+    ],
+  );
+
+  // 恢复通知不匹配仅限 trigger 的路由，走默认路由。
+  alert.status = "resolved";
+  const recovery = dispatchAlertRecoveryNotifications(state, alert, rule, api);
+  assert.deepEqual(
+    recovery.map((record) => [record.channelId, record.routeId]),
+    [["channel_sms", "default"]],
+  );
+});
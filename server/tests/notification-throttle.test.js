@@ -0,0 +1,128 @@
+/**
+ * @file server/tests/notification-throttle.test.js
+ * 文件作用：后端单元测试文件，验证规则引擎、通知策略与迁移逻辑的正确性。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { getChannelDeliveryStats } from "../notification-throttle.js";
+import { dispatchChannelTest, processNotificationQueueTick } from "../notifications.js";
+import { buildNotificationState, makeNotificationRecord } from "./helpers.js";
+
+/**
+ * 符号：makeRecord（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const makeRecord = (index, channelId, eventType = "trigger", ageSeconds = 0) =>
+  makeNotificationRecord({
+    id: `notify_${channelId}_${index}`,
+    alertId: `alert_${index}`,
+    channelId,
+    channelType: "slack",
+    eventType,
+    createdAt: new Date(Date.now() - ageSeconds * 1_000).toISOString(),
+    deliveryMode: "mock",
+    payload: { title: `Error high #${index}`, level: index === 2 ? "P1" : "P2" },
+  });
+
+/**
+ * 符号：buildState（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现中包含异步等待，调用方需要关注超时、重试和并发控制。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const buildState = (channels, notifications) =>
+  buildNotificationState({ rules: [{ id: "rule_err", name: "Error high", priority: "P2" }], channels, notifications });
+
+test("rate limit should drop or defer notifications beyond the channel burst", async () => {
+  const state = buildState(
+    [
+      {
+        id: "channel_rl_drop",
+        type: "slack",
+        name: "Drop",
+        enabled: true,
+        config: { deliveryMode: "mock", webhookUrl: "http://x", rateLimit: { perMinute: 1, burst: 2 } },
+      },
+      {
+        id: "channel_rl_defer",
+        type: "slack",
+        name: "Defer",
+        enabled: true,
+        config: { deliveryMode: "mock", webhookUrl: "http://x", rateLimit: { perMinute: 2, burst: 1, overflow: "defer" } },
+      },
+    ],
+    [1, 2, 3, 4].map((index) => makeRecord(index, "channel_rl_drop")).concat(
+      [1, 2].map((index) => makeRecord(index, "channel_rl_defer")),
+    ),
+  );
+
+  const summary = await processNotificationQueueTick(state);
+  assert.equal(summary.sent, 3);
+  assert.equal(summary.dropped, 2);
+  assert.equal(summary.deferred, 1);
+
+  const dropped = state.notifications.filter((record) => record.status === "dropped");
+  assert.deepEqual(
+    dropped.map((record) => record.response),
+    ["rate_limited", "rate_limited"],
+  );
+  const deferred = state.notifications.find((record) => record.channelId === "channel_rl_defer" && record.status === "queued");
+  assert.equal(deferred.response, "rate_limited_retry_in_30s");
+  assert.equal(deferred.attempts, 0);
+
+  assert.deepEqual(getChannelDeliveryStats(state.notifications, "channel_rl_drop", 0), {
+    sent: 2,
+    failed: 0,
+    queued: 0,
+    dropped: 2,
+    batched: 0,
+    digests: 0,
+  });
+
+  state.channels[0].config.rateLimit = { perMinute: 0 };
+  assert.equal(dispatchChannelTest(state, state.channels[0], "tester").lastError, "invalid_rate_limit");
+});
+
+test("digest mode should hold notifications for the window and send one summary", async () => {
+  const channel = {
+    id: "channel_digest",
+    type: "slack",
+    name: "Digest",
+    enabled: true,
+    config: { deliveryMode: "mock", webhookUrl: "http://x", digest: { windowSeconds: 60, maxItems: 2 } },
+  };
+  const state = buildState([channel], [makeRecord(1, "channel_digest"), makeRecord(2, "channel_digest", "escalation")]);
+  dispatchChannelTest(state, channel, "tester");
+
+  let summary = await processNotificationQueueTick(state);
+  assert.equal(summary.sent, 1, "test messages skip the digest window");
+  assert.equal(state.notifications.filter((record) => record.status === "queued").length, 2);
+
+  state.notifications.push(makeRecord(3, "channel_digest", "recovery", 90));
+  summary = await processNotificationQueueTick(state);
+  assert.equal(summary.batched, 3);
+  assert.equal(summary.sent, 1);
+
+  const digest = state.notifications.find((record) => record.eventType === "digest");
+  assert.equal(digest.status, "sent");
+  assert.equal(digest.batchedCount, 3);
+  assert.equal(digest.rendered.title, "[P1] [汇总] 3 条告警通知");
+  assert.equal(
+    digest.rendered.body,
+    [
+      "60 秒内共 3 条通知（触发 1 / 恢复 1 / 升级 1）：",
+      "- [P2] Error high #3（恢复）",
+      "- [P2] Error high #1（触发）",
+      "…另有 1 条，详见通知记录",
+    ].join("\n"),
+  );
+  const members = state.notifications.filter((record) => record.digestId === digest.id);
+  assert.equal(members.length, 3);
+  assert.ok(members.every((record) => record.status === "batched" && record.response === `batched:${digest.id}`));
+});
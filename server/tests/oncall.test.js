@@ -0,0 +1,212 @@
+/**
+ * @file server/tests/oncall.test.js
+ * 文件作用：后端单元测试文件，验证规则引擎、通知策略与迁移逻辑的正确性。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { processEscalationTick } from "../notifications.js";
+import {
+  addScheduleOverride,
+  normalizeScheduleInput,
+  normalizeUserContactsInput,
+  resolveOncall,
+  validateSchedule,
+} from "../oncall.js";
+
+/**
+ * 符号：USERS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const USERS = [
+  { id: "user_a", name: "Alice", email: "alice@example.com", role: "ops", status: "active" },
+  { id: "user_b", name: "Bob", email: "bob@example.com", role: "ops", status: "active" },
+  { id: "user_c", name: "Carol", email: "carol@example.com", role: "dev", status: "active" },
+];
+
+/**
+ * 符号：buildSchedule（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const buildSchedule = (input) => ({
+  id: "schedule_pay",
+  ...normalizeScheduleInput({ name: "Payment on-call", timeZone: "Asia/Shanghai", ...input }),
+  overrides: [],
+});
+
+test("weekly rotation should hand off at local time and honor overrides and restrictions", () => {
+  const state = { users: USERS };
+  // 2026-03-02 是周一，每周一 09:00（UTC+8）交接，即 UTC 周一 01:00。
+  const schedule = buildSchedule({
+    layers: [{ name: "primary", users: ["user_a", "user_b"], startDate: "2026-03-02", handoffTime: "09:00", shiftDays: 7 }],
+  });
+  assert.equal(validateSchedule(state, schedule), null);
+
+  const firstWeek = resolveOncall(state, schedule, Date.parse("2026-03-09T00:59:00.000Z"));
+  assert.equal(firstWeek.userId, "user_a");
+  assert.equal(firstWeek.shiftStartsAt, "2026-03-02T01:00:00.000Z");
+  assert.equal(firstWeek.shiftEndsAt, "2026-03-09T01:00:00.000Z");
+  assert.equal(resolveOncall(state, schedule, Date.parse("2026-03-09T01:00:00.000Z")).userId, "user_b");
+  assert.equal(resolveOncall(state, schedule, Date.parse("2026-03-16T02:00:00.000Z")).userId, "user_a");
+  assert.equal(resolveOncall(state, schedule, Date.parse("2026-03-01T12:00:00.000Z")), null);
+
+  const { override } = addScheduleOverride(
+    state,
+    schedule,
+    { userId: "user_c", startsAt: "2099-03-10T00:00:00Z", endsAt: "2099-03-11T00:00:00Z" },
+    "tester",
+  );
+  const overridden = resolveOncall(state, schedule, Date.parse("2099-03-10T12:00:00.000Z"));
+  assert.equal(overridden.source, "override");
+  assert.equal(overridden.overrideId, override.id);
+  assert.equal(overridden.user.email, "carol@example.com");
+  assert.match(addScheduleOverride(state, schedule, { userId: "user_x" }, "tester").error, /User not found/);
+
+  // 夜间层只在工作日 18:00-09:00 生效，并覆盖主值班层。
+  const withNightLayer = buildSchedule({
+    layers: [
+      ...schedule.layers,
+      {
+        name: "night",
+        users: ["user_c"],
+        startDate: "2026-03-02",
+        handoffTime: "18:00",
+        shiftDays: 1,
+        restriction: { startTime: "18:00", endTime: "09:00", daysOfWeek: [1, 2, 3, 4, 5] },
+      },
+    ],
+  });
+  // 周二 20:00 与周三 08:00（本地）属于周二夜班；周六 20:00 不在限制内，回落到主值班层。
+  assert.equal(resolveOncall(state, withNightLayer, Date.parse("2026-03-03T12:00:00.000Z")).userId, "user_c");
+  assert.equal(resolveOncall(state, withNightLayer, Date.parse("2026-03-04T00:00:00.000Z")).userId, "user_c");
+  assert.equal(resolveOncall(state, withNightLayer, Date.parse("2026-03-04T03:00:00.000Z")).userId, "user_a");
+  assert.equal(resolveOncall(state, withNightLayer, Date.parse("2026-03-07T12:00:00.000Z")).userId, "user_a");
+
+  assert.match(validateSchedule(state, buildSchedule({ timeZone: "Mars/Base", layers: schedule.layers })), /timeZone/);
+  assert.match(
+    validateSchedule(state, buildSchedule({ layers: [{ ...schedule.layers[0], users: ["user_x"] }] })),
+    /User not found/,
+  );
+});
+
+test("escalation to an on-call schedule should notify the current responder", () => {
+  const triggeredAt = new Date(Date.now() - 20 * 60_000).toISOString();
+  const state = {
+    users: USERS,
+    oncallSchedules: [
+      buildSchedule({
+        timeZone: "UTC",
+        layers: [{ name: "primary", users: ["user_b"], startDate: "2026-01-01", handoffTime: "00:00", shiftDays: 7 }],
+      }),
+    ],
+    apis: [{ id: "api_pay", name: "Pay", path: "/pay", method: "POST", service: "payment", environment: "production" }],
+    rules: [{ id: "rule_err", name: "Error high", priority: "P1", metric: "errorRate", actions: ["email"] }],
+    alerts: [
+      {
+        id: "alert_1",
+        ruleId: "rule_err",
+        apiId: "api_pay",
+        status: "open",
+        triggeredAt,
+        lastNotifiedAt: triggeredAt,
+        lastNotificationStatus: "sent",
+      },
+    ],
+    channels: [
+      {
+        id: "channel_email",
+        type: "email",
+        name: "Email",
+        enabled: true,
+        config: { recipients: ["ops@example.com"], deliveryMode: "mock" },
+      },
+    ],
+    notifications: [],
+    alertPolicy: {
+      enabled: true,
+      escalationEnabled: true,
+      escalations: [
+        { level: "E1", afterMinutes: 10, repeatMinutes: 0, actions: ["oncall:schedule_pay", "oncall:schedule_gone"] },
+      ],
+    },
+  };
+
+  const result = processEscalationTick(state);
+  assert.equal(result.sent, 2);
+
+  const delivered = state.notifications.find((item) => item.oncall);
+  assert.equal(delivered.oncall.userId, "user_b");
+  assert.deepEqual(delivered.payload.recipients, ["bob@example.com"]);
+  assert.equal(delivered.payload.escalationLevel, "E1");
+
+  const missing = state.notifications.find((item) => item.channelType === "oncall:schedule_gone");
+  assert.equal(missing.status, "failed");
+  assert.equal(missing.response, "oncall_schedule_missing");
+
+  assert.deepEqual(state.alerts[0].escalations[0].responders, ["user_b"]);
+});
+
+test("on-call escalation should address the responder through each channel's own contact", () => {
+  const triggeredAt = new Date(Date.now() - 20 * 60_000).toISOString();
+  const channel = (type, config = {}) => ({
+    id: `channel_${type}`,
+    type,
+    name: type,
+    enabled: true,
+    config: { deliveryMode: "mock", ...config },
+  });
+  const state = {
+    users: [{ ...USERS[1], phone: "+8613800000001", slackUserId: "U0BOB" }],
+    oncallSchedules: [
+      buildSchedule({
+        timeZone: "UTC",
+        notifyVia: ["email", "sms", "slack", "wechat", "webhook"],
+        layers: [{ name: "primary", users: ["user_b"], startDate: "2026-01-01", handoffTime: "00:00", shiftDays: 7 }],
+      }),
+    ],
+    apis: [{ id: "api_pay", name: "Pay", path: "/pay", method: "POST", service: "payment", environment: "production" }],
+    rules: [{ id: "rule_err", name: "Error high", priority: "P1", metric: "errorRate", actions: ["email"] }],
+    alerts: [
+      { id: "alert_1", ruleId: "rule_err", apiId: "api_pay", status: "open", triggeredAt, lastNotifiedAt: triggeredAt },
+    ],
+    channels: [
+      channel("email", { recipients: ["ops@example.com"] }),
+      channel("sms", { recipients: ["+10000000000"] }),
+      channel("slack", { webhookUrl: "https://hooks.slack.test/x" }),
+      channel("wechat", { webhookUrl: "https://qyapi.wechat.test/x" }),
+      channel("webhook", { url: "https://hooks.example.test/alert" }),
+    ],
+    notifications: [],
+    alertPolicy: {
+      enabled: true,
+      escalationEnabled: true,
+      escalations: [{ level: "E1", afterMinutes: 10, repeatMinutes: 0, actions: ["oncall:schedule_pay"] }],
+    },
+  };
+
+  processEscalationTick(state);
+  const recipientsByType = Object.fromEntries(
+    state.notifications.filter((item) => item.oncall).map((item) => [item.channelType, item.payload.recipients]),
+  );
+  assert.deepEqual(recipientsByType, {
+    email: ["bob@example.com"],
+    sms: ["+8613800000001"],
+    slack: ["U0BOB"],
+    // 未登记企业微信账号时不指定收件人，回落到渠道配置；Webhook 没有收件人概念。
+    wechat: undefined,
+    webhook: undefined,
+  });
+
+  assert.deepEqual(normalizeUserContactsInput({ phone: "+86 138-0000-0001", wechatUserId: "" }), {
+    contacts: { phone: "+8613800000001", wechatUserId: null },
+  });
+  assert.match(normalizeUserContactsInput({ phone: "bob@example.com" }).error, /phone must be/);
+  assert.match(normalizeUserContactsInput({ slackUserId: "bob" }).error, /Slack member ID/);
+});
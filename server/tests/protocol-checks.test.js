@@ -0,0 +1,168 @@
+/**
+ * @file server/tests/protocol-checks.test.js
+ * 文件作用：后端单元测试文件，验证规则引擎、通知策略与迁移逻辑的正确性。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import dgram from "node:dgram";
+import net from "node:net";
+import {
+  applyCheckResultToApi,
+  buildMetricFromPullCheck,
+  createPullMonitor,
+  isPullMonitorEnabled,
+  runHttpCheck,
+} from "../pull-monitor.js";
+import { ingestMetric } from "../rule-engine.js";
+
+/**
+ * 符号：startTcpServer（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 假 Redis：收到 PING 回 +PONG，其它输入不回应。
+const startTcpServer = async () => {
+  const server = net.createServer((socket) => {
+    socket.on("data", (chunk) => {
+      if (chunk.toString("utf8") === "PING\r\n") socket.write("+PONG\r\n");
+    });
+    socket.on("error", () => {});
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return { port: server.address().port, close: () => new Promise((resolve) => server.close(resolve)) };
+};
+
+/**
+ * 符号：startDnsServer（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含 try/catch，说明该路径显式处理异常。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 极简 DNS 服务：只回答 A 记录查询，应答区直接用指针引用问题区的域名。
+const startDnsServer = async (records) => {
+  const socket = dgram.createSocket("udp4");
+  socket.on("message", (query, remote) => {
+    let offset = 12;
+    const labels = [];
+    while (query[offset]) {
+      labels.push(query.subarray(offset + 1, offset + 1 + query[offset]).toString("ascii"));
+      offset += query[offset] + 1;
+    }
+    const question = query.subarray(12, offset + 5);
+    const answers = query.readUInt16BE(offset + 1) === 1 ? records[labels.join(".").toLowerCase()] ?? [] : [];
+
+    const header = Buffer.alloc(12);
+    query.copy(header, 0, 0, 2);
+    header.writeUInt16BE(answers.length ? 0x8180 : 0x8183, 2);
+    header.writeUInt16BE(1, 4);
+    header.writeUInt16BE(answers.length, 6);
+    const body = answers.map((ip) => {
+      const record = Buffer.alloc(16);
+      record.writeUInt16BE(0xc00c, 0);
+      record.writeUInt16BE(1, 2);
+      record.writeUInt16BE(1, 4);
+      record.writeUInt32BE(60, 6);
+      record.writeUInt16BE(4, 10);
+      ip.split(".").forEach((part, index) => record.writeUInt8(Number(part), 12 + index));
+      return record;
+    });
+    socket.send(Buffer.concat([header, question, ...body]), remote.port, remote.address);
+  });
+  await new Promise((resolve) => socket.bind(0, "127.0.0.1", resolve));
+  return {
+    resolver: `127.0.0.1:${socket.address().port}`,
+    close: () => new Promise((resolve) => socket.close(resolve)),
+  };
+};
+
+test("tcp and tls checks should report availability through the pull metric path", async () => {
+  const server = await startTcpServer();
+  const closed = await startTcpServer();
+  await closed.close();
+
+  try {
+    const api = {
+      id: "api_redis",
+      baseline: { latencyP95: 50 },
+      monitor: createPullMonitor({
+        checkConfig: { kind: "tcp", host: "127.0.0.1", port: server.port, send: "PING\\r\\n", expect: "+PONG", timeoutMs: 500 },
+      }),
+    };
+    assert.equal(api.monitor.source, "tcp-check");
+    assert.equal(isPullMonitorEnabled(api), true);
+
+    const passed = await runHttpCheck(api);
+    assert.equal(passed.success, true);
+    assert.equal(passed.statusCode, null);
+    assert.equal(passed.responseSnippet, "+PONG\r\n");
+    applyCheckResultToApi(api, passed);
+    assert.equal(api.monitor.lastSuccess, true);
+
+    const state = { apis: [api], rules: [], metrics: [], alerts: [], ruleHits: [], notifications: [] };
+    const ingested = ingestMetric(state, buildMetricFromPullCheck(api, passed));
+    assert.equal(ingested.metric.availability, 100);
+
+    const silent = await runHttpCheck({
+      ...api,
+      monitor: createPullMonitor({ checkConfig: { ...api.monitor.checkConfig, send: "INFO\\r\\n" } }),
+    });
+    assert.equal(silent.error, "timeout_500ms");
+
+    const refused = await runHttpCheck({
+      ...api,
+      monitor: createPullMonitor({ checkConfig: { kind: "tcp", host: "127.0.0.1", port: closed.port } }),
+    });
+    assert.equal(refused.error, "connect_failed:ECONNREFUSED");
+    assert.equal(buildMetricFromPullCheck(api, refused).availability, 0);
+
+    // 对明文端口做 TLS 握手：握手不会完成，按超时判定失败，也不产出证书指标。
+    const handshake = await runHttpCheck({
+      ...api,
+      monitor: createPullMonitor({ checkConfig: { kind: "tls", host: "127.0.0.1", port: server.port, timeoutMs: 500 } }),
+    });
+    assert.match(handshake.error, /^tls_handshake_failed:/);
+    assert.equal(handshake.tls, null);
+    assert.equal("certDaysRemaining" in buildMetricFromPullCheck(api, handshake), false);
+  } finally {
+    await server.close();
+  }
+
+  assert.equal(createPullMonitor({ checkConfig: { kind: "tls", host: "example.com" } }).checkConfig.port, 443);
+  assert.throws(() => createPullMonitor({ checkConfig: { kind: "tcp", host: "db.internal" } }), /port between 1 and 65535/);
+  assert.throws(() => createPullMonitor({ checkConfig: { kind: "tcp", port: 5432 } }), /requires checkConfig.host/);
+});
+
+test("dns checks should resolve through the configured resolver and verify expected values", async () => {
+  const dnsServer = await startDnsServer({ "api.probe.test": ["203.0.113.10", "203.0.113.11"] });
+  const buildApi = (checkConfig) => ({
+    id: "api_dns",
+    baseline: {},
+    monitor: createPullMonitor({ checkConfig: { kind: "dns", resolver: dnsServer.resolver, timeoutMs: 1000, ...checkConfig } }),
+  });
+
+  try {
+    const passed = await runHttpCheck(buildApi({ host: "api.probe.test", expectedValues: "203.0.113.11" }));
+    assert.equal(passed.success, true);
+    assert.deepEqual(passed.answers, ["203.0.113.10", "203.0.113.11"]);
+    assert.equal(passed.responseSnippet, "203.0.113.10, 203.0.113.11");
+
+    const drifted = await runHttpCheck(buildApi({ host: "api.probe.test", expectedValues: ["203.0.113.10", "198.51.100.7"] }));
+    assert.equal(drifted.success, false);
+    assert.equal(drifted.error, "dns_unexpected_answer:198.51.100.7");
+
+    const missing = await runHttpCheck(buildApi({ host: "gone.probe.test" }));
+    assert.equal(missing.error, "dns_ENOTFOUND");
+    assert.equal(buildMetricFromPullCheck(buildApi({ host: "gone.probe.test" }), missing).errorRate, 100);
+  } finally {
+    await dnsServer.close();
+  }
+
+  assert.equal(buildApi({ host: "api.probe.test" }).monitor.checkConfig.recordType, "A");
+  assert.throws(() => buildApi({ host: "api.probe.test", recordType: "PTR" }), /recordType must be one of/);
+  assert.throws(() => buildApi({ host: "api.probe.test", resolver: "dns.google" }), /resolver must be an IP/);
+});
@@ -0,0 +1,197 @@
+/**
+ * @file server/tests/pull-monitor.test.js
+ * 文件作用：后端单元测试文件，验证规则引擎、通知策略与迁移逻辑的正确性。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildMetricFromPullCheck, createPullMonitor, runHttpCheck } from "../pull-monitor.js";
+import { sendJson, startStubServer } from "./helpers.js";
+
+/**
+ * 符号：startShop（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 假购物流程服务：登录下发 token，购物车与下单校验 token，订单查询返回订单状态。
+const startShop = ({ orderStatus = "created" } = {}) =>
+  startStubServer(({ path, url, headers }, res) => {
+    if (path === "/login") return sendJson(res, 200, { data: { token: "tok-1" } }, { "x-session": "sess-9" });
+    if (headers.authorization !== "Bearer tok-1") return sendJson(res, 401, { error: "unauthorized" });
+    if (path === "/cart") return sendJson(res, 201, { cart: { id: "cart-7" } });
+    if (path === "/checkout") return sendJson(res, 200, { orderId: "order-3", dryRun: url.includes("dryRun=true") });
+    if (path === "/orders/order-3") return sendJson(res, 200, { status: orderStatus });
+    return sendJson(res, 404, {});
+  });
+
+/**
+ * 符号：buildApi（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现中包含 try/catch，说明该路径显式处理异常。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const buildApi = (baseUrl, overrides = {}) => ({
+  id: "api_checkout",
+  environment: "production",
+  baseline: { latencyP95: 300 },
+  monitor: createPullMonitor({
+    checkConfig: {
+      kind: "script",
+      safetyMode: "dry_run",
+      variables: { baseUrl },
+      steps: [
+        {
+          name: "login",
+          method: "POST",
+          url: "{{baseUrl}}/login",
+          body: { user: "probe" },
+          extract: [
+            { name: "token", path: "$.data.token" },
+            { name: "session", from: "header", path: "X-Session" },
+          ],
+        },
+        {
+          name: "cart",
+          method: "POST",
+          url: "{{baseUrl}}/cart",
+          headers: { Authorization: "Bearer {{token}}" },
+          body: '{"session":"{{session}}"}',
+          extract: [{ name: "cartId", path: "cart.id" }],
+        },
+        {
+          name: "checkout",
+          method: "POST",
+          url: "{{baseUrl}}/checkout",
+          headers: { Authorization: "Bearer {{token}}" },
+          body: '{"cartId":"{{cartId}}"}',
+          assertions: [{ path: "dryRun", equals: true }],
+          extract: [{ name: "orderId", path: "orderId" }],
+        },
+        {
+          name: "order",
+          url: "{{baseUrl}}/orders/{{orderId}}",
+          headers: { Authorization: "Bearer {{token}}" },
+          assertions: [{ path: "status", equals: "created" }],
+        },
+      ],
+      ...overrides,
+    },
+  }),
+});
+
+test("scripted monitors should chain extracted variables through ordered steps", async () => {
+  const shop = await startShop();
+  try {
+    const api = buildApi(shop.baseUrl);
+    const result = await runHttpCheck(api);
+
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.statusCode, 200);
+    assert.deepEqual(
+      result.steps.map((step) => [step.name, step.statusCode, step.extracted]),
+      [
+        ["login", 200, ["token", "session"]],
+        ["cart", 201, ["cartId"]],
+        ["checkout", 200, ["orderId"]],
+        ["order", 200, []],
+      ],
+    );
+    assert.equal(shop.requests[1].body, '{"session":"sess-9"}');
+    assert.equal(shop.requests[2].url, "/checkout?dryRun=true");
+    assert.equal(shop.requests[2].headers["x-monitor-dry-run"], "true");
+
+    const metric = buildMetricFromPullCheck(api, result);
+    assert.deepEqual(Object.keys(metric.stepLatencyMs), ["login", "cart", "checkout", "order"]);
+    assert.equal(metric.availability, 100);
+  } finally {
+    await shop.close();
+  }
+});
+
+test("scripted monitors should stop at and report the failing step", async () => {
+  const shop = await startShop({ orderStatus: "cancelled" });
+  try {
+    const failed = await runHttpCheck(buildApi(shop.baseUrl));
+    assert.equal(failed.success, false);
+    assert.deepEqual(failed.failedStep, { index: 3, name: "order" });
+    assert.equal(failed.error, "step_4_order:assertion_failed:json:status");
+    assert.deepEqual(failed.steps[3].assertionFailures, [
+      { target: "json:status", expected: "equals created", actual: "cancelled" },
+    ]);
+    assert.equal(buildMetricFromPullCheck({ baseline: {} }, failed).errorRate, 100);
+
+    // 只读模式下写步骤被拦截，后续步骤不再执行。
+    const readonly = await runHttpCheck(buildApi(shop.baseUrl, { safetyMode: "readonly" }));
+    assert.equal(readonly.error, "step_1_login:write_method_blocked_readonly_mode");
+    assert.equal(readonly.steps.length, 1);
+
+    const missing = await runHttpCheck(buildApi(shop.baseUrl, { variables: {} }));
+    assert.equal(missing.error, "step_1_login:missing_variable:baseUrl");
+
+    // 绕过保存校验的坏正则只让该步骤失败，探测本身不会 reject。
+    const broken = buildApi(shop.baseUrl);
+    broken.monitor.checkConfig.steps[0].assertions = [{ schema: { properties: { data: { properties: { token: { pattern: "(" } } } } } }];
+    const brokenResult = await runHttpCheck(broken);
+    assert.equal(brokenResult.success, false);
+    assert.deepEqual(brokenResult.failedStep, { index: 0, name: "login" });
+    assert.match(brokenResult.error, /^step_1_login:Invalid regular expression/);
+  } finally {
+    await shop.close();
+  }
+
+  assert.throws(() => createPullMonitor({ checkConfig: { kind: "script", steps: [] } }), /requires 1-20 checkConfig.steps/);
+  assert.throws(
+    () => createPullMonitor({ checkConfig: { kind: "script", steps: [{ name: "a", url: "http://x" }, { name: "a", url: "http://y" }] } }),
+    /unique/,
+  );
+});
+
+test("scripted monitors should only send the credential to steps on the monitored origin", async () => {
+  const app = await startStubServer((_entry, res) => sendJson(res, 200, { ok: true }));
+  const partner = await startStubServer((_entry, res) => sendJson(res, 200, { ok: true }));
+  const buildScript = (overrides = {}) => ({
+    id: "api_app",
+    environment: "production",
+    baseline: {},
+    monitor: createPullMonitor({
+      checkConfig: {
+        kind: "script",
+        credentialId: "cred_app",
+        steps: [
+          { name: "home", url: `${app.baseUrl}/home` },
+          { name: "rates", url: `${partner.baseUrl}/rates` },
+          { name: "partnerAuth", url: `${partner.baseUrl}/auth`, useCredential: true },
+          { name: "public", url: `${app.baseUrl}/public`, useCredential: false },
+        ],
+        ...overrides,
+      },
+    }),
+  });
+  const options = { credential: { id: "cred_app", type: "bearer", config: { token: "secret-1" } } };
+
+  try {
+    const result = await runHttpCheck(buildScript(), options);
+    assert.equal(result.success, true);
+    assert.deepEqual(
+      [...app.requests, ...partner.requests].map(({ path, headers }) => [path, headers.authorization]),
+      [
+        ["/home", "Bearer secret-1"],
+        ["/public", undefined],
+        ["/rates", undefined],
+        ["/auth", "Bearer secret-1"],
+      ],
+    );
+
+    // 配置了 checkConfig.url 时以它的源为准，而不是第一步的地址。
+    await runHttpCheck(buildScript({ url: `${partner.baseUrl}/` }), options);
+    assert.equal(app.requests[2].headers.authorization, undefined);
+    assert.equal(partner.requests[2].headers.authorization, "Bearer secret-1");
+  } finally {
+    await app.close();
+    await partner.close();
+  }
+});
@@ -6,7 +6,14 @@
 
 import test from "node:test";
 import assert from "node:assert/strict";
-import { ingestMetric } from "../rule-engine.js";
+import {
+  ingestMetric,
+  previewRuleEvaluation,
+  previewScopeRuleEvaluation,
+  resolveAlertTarget,
+  runRuleEvaluationSweep,
+} from "../rule-engine.js";
+import { rebuildMetricIndex } from "../metric-index.js";
 
 /**
  * 符号：baseState（arrow-function）
@@ -139,4 +146,349 @@ test("rule engine should evaluate composite threshold conditions", () => {
   assert.equal(resolved.resolvedAlerts.length, 1);
 });
 
+/**
+ * 符号：buildAnomalyRule（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现中存在状态写入，属于有副作用函数，测试时应关注前后状态变化。
+ * 输入输出：接收入参后会写入状态或外部资源，输出通常是更新后的对象、状态码或副作用结果。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const buildAnomalyRule = (overrides = {}) => ({
+  id: "rule_anomaly",
+  ruleType: "anomaly",
+  name: "Latency anomaly",
+  enabled: true,
+  priority: "P2",
+  scope: { type: "global" },
+  metric: "latencyP95",
+  aggregation: "avg",
+  windowMinutes: 5,
+  minSamples: 1,
+  cooldownMinutes: 0,
+  anomalyMethod: "zscore",
+  sensitivity: 3,
+  baselineWindowMinutes: 360,
+  seasonality: "none",
+  anomalyDirection: "both",
+  minBaselineSamples: 10,
+  actions: ["email"],
+  lastTriggeredByApi: {},
+  ...overrides,
+});
+
+test("anomaly rule should return the expected band and fire on deviation", () => {
+  const state = baseState();
+  state.rules = [buildAnomalyRule()];
+  const startMs = Date.now() - 360 * 60_000;
+
+  // 单点抖动 ±6，但连续 5 分钟内正负抵消；窗口之间只有 ±2 的缓慢起伏。
+  for (let minute = 0; minute < 360; minute += 1) {
+    ingestMetric(state, {
+      apiId: "api_test",
+      timestamp: new Date(startMs + minute * 60_000).toISOString(),
+      qps: 10,
+      errorRate: 1,
+      latencyP95: 100 + ((minute % 5) - 2) * 3 + ((Math.floor(minute / 5) % 3) - 1) * 2,
+      latencyP99: 150,
+      availability: 99.9,
+      statusCode5xx: 0,
+    });
+  }
+  assert.equal(state.alerts.length, 0);
+
+  const lastIso = new Date(startMs + 359 * 60_000).toISOString();
+  const normal = previewRuleEvaluation(state, state.rules[0], "api_test", lastIso);
+  assert.equal(normal.evaluable, true);
+  assert.equal(normal.matched, false);
+  assert.ok(Math.abs(normal.expected.center - 100) < 0.5);
+  // 离散度取自 5 分钟窗口均值之间的起伏（约 1.2），而不是单点抖动（约 4.5），异常带不会被撑宽。
+  assert.ok(normal.expected.spread < 2);
+  assert.ok(normal.expected.lower > 95 && normal.expected.upper < 105);
+  assert.equal(normal.expected.baselineSamples, 71);
 
+  for (let step = 1; step <= 5; step += 1) {
+    ingestMetric(state, {
+      apiId: "api_test",
+      timestamp: new Date(startMs + (359 + step) * 60_000).toISOString(),
+      qps: 10,
+      errorRate: 1,
+      latencyP95: 200,
+      latencyP99: 250,
+      availability: 99.9,
+      statusCode5xx: 0,
+    });
+  }
+  assert.equal(state.alerts.length, 1);
+  assert.equal(state.alerts[0].operator, ">");
+  assert.ok(state.alerts[0].threshold < 110);
+  assert.match(state.alerts[0].message, /^anomaly avg latencyP95/);
+});
+
+test("anomaly rule should compare against seasonal baselines with MAD", () => {
+  const referenceMs = Date.UTC(2026, 0, 5, 12, 30);
+  const state = baseState();
+  // 连续三天每 10 分钟一个点：UTC 12 点是固定的流量高峰，其余时段平稳。
+  for (let offset = 3 * 24 * 60; offset > 0; offset -= 10) {
+    const timeMs = referenceMs - offset * 60_000;
+    state.metrics.push({
+      apiId: "api_test",
+      timestamp: new Date(timeMs).toISOString(),
+      qps: new Date(timeMs).getUTCHours() === 12 ? 1_000 : 100,
+      errorRate: 1,
+      latencyP95: 100,
+      latencyP99: 150,
+      availability: 99.9,
+      statusCode5xx: 0,
+    });
+  }
+  state.metrics.push({ ...state.metrics.at(-1), timestamp: new Date(referenceMs).toISOString(), qps: 1_000 });
+  rebuildMetricIndex(state);
+
+  const referenceIso = new Date(referenceMs).toISOString();
+  const flat = previewRuleEvaluation(
+    state,
+    buildAnomalyRule({ metric: "qps", anomalyMethod: "mad", baselineWindowMinutes: 3 * 24 * 60 }),
+    "api_test",
+    referenceIso,
+  );
+  assert.equal(flat.matched, true);
+  assert.equal(flat.expected.center, 100);
+
+  const seasonal = previewRuleEvaluation(
+    state,
+    buildAnomalyRule({ metric: "qps", anomalyMethod: "mad", baselineWindowMinutes: 3 * 24 * 60, seasonality: "hour_of_day" }),
+    "api_test",
+    referenceIso,
+  );
+  assert.equal(seasonal.matched, false);
+  assert.equal(seasonal.expected.center, 1_000);
+  assert.equal(seasonal.expected.seasonality, "hour_of_day");
+
+  const weekly = previewRuleEvaluation(
+    state,
+    buildAnomalyRule({ metric: "qps", baselineWindowMinutes: 3 * 24 * 60, seasonality: "day_of_week" }),
+    "api_test",
+    referenceIso,
+  );
+  assert.equal(weekly.evaluable, false);
+  assert.equal(weekly.reason, "insufficient_baseline");
+});
+
+test("change rule should compare a window with an offset reference window", () => {
+  const referenceMs = Date.UTC(2026, 0, 6, 10, 0);
+  const state = baseState();
+  // 昨天同一时段 qps=100，今天跌到 50；最近 30 分钟内延迟从 100 升到 180。
+  for (const [offsetMinutes, qps, latencyP95] of [
+    [24 * 60 + 10, 100, 100],
+    [24 * 60 + 5, 100, 100],
+    [25, 60, 100],
+    [20, 60, 100],
+    [10, 50, 180],
+    [5, 50, 180],
+  ]) {
+    state.metrics.push({
+      apiId: "api_test",
+      timestamp: new Date(referenceMs - offsetMinutes * 60_000).toISOString(),
+      qps,
+      errorRate: 1,
+      latencyP95,
+      latencyP99: 200,
+      availability: 99.9,
+      statusCode5xx: 0,
+    });
+  }
+  rebuildMetricIndex(state);
+  const referenceIso = new Date(referenceMs).toISOString();
+
+  const changeRule = {
+    id: "rule_change",
+    ruleType: "change",
+    name: "QPS drop vs yesterday",
+    enabled: true,
+    priority: "P2",
+    scope: { type: "global" },
+    metric: "qps",
+    operator: ">=",
+    threshold: 40,
+    aggregation: "avg",
+    windowMinutes: 15,
+    minSamples: 1,
+    changeMode: "percent",
+    changeDirection: "decrease",
+    compareOffsetMinutes: 24 * 60,
+    cooldownMinutes: 0,
+    actions: ["email"],
+    lastTriggeredByApi: {},
+  };
+
+  const dropped = previewRuleEvaluation(state, changeRule, "api_test", referenceIso);
+  assert.equal(dropped.matched, true);
+  assert.equal(dropped.value, 50);
+  assert.equal(dropped.reference, 100);
+
+  const rising = previewRuleEvaluation(
+    state,
+    { ...changeRule, changeDirection: "increase", threshold: 10 },
+    "api_test",
+    referenceIso,
+  );
+  assert.equal(rising.matched, false);
+  assert.equal(rising.value, -50);
+
+  const composite = previewRuleEvaluation(
+    state,
+    {
+      ...changeRule,
+      ruleType: "threshold",
+      conditionLogic: "all",
+      conditions: [
+        { metric: "errorRate", operator: ">=", threshold: 1 },
+        {
+          conditionType: "change",
+          metric: "latencyP95",
+          operator: ">",
+          threshold: 50,
+          changeMode: "percent",
+          changeDirection: "increase",
+          compareOffsetMinutes: 15,
+        },
+      ],
+    },
+    "api_test",
+    referenceIso,
+  );
+  assert.equal(composite.matched, true);
+  assert.match(composite.message, /change avg latencyP95 increase \+80%/);
+
+  const missingReference = previewRuleEvaluation(
+    state,
+    { ...changeRule, compareOffsetMinutes: 7 * 24 * 60 },
+    "api_test",
+    referenceIso,
+  );
+  assert.equal(missingReference.evaluable, false);
+  assert.equal(missingReference.reason, "insufficient_samples");
+});
+
+/**
+ * 符号：buildServiceState（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现中存在状态写入，属于有副作用函数，测试时应关注前后状态变化。
+ * 输入输出：接收入参后会写入状态或外部资源，输出通常是更新后的对象、状态码或副作用结果。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const buildServiceState = (apiCount) => {
+  const state = baseState();
+  state.apis = Array.from({ length: apiCount }, (_, index) => ({
+    ...state.apis[0],
+    id: `api_pay_${index}`,
+    path: `/pay/${index}`,
+    service: "payment",
+  }));
+  return state;
+};
+
+/**
+ * 符号：pushServiceMetric（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中存在状态写入，属于有副作用函数，测试时应关注前后状态变化。
+ * 输入输出：接收入参后会写入状态或外部资源，输出通常是更新后的对象、状态码或副作用结果。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const pushServiceMetric = (state, apiId, timestampMs, fields) => {
+  state.metrics.push({
+    apiId,
+    timestamp: new Date(timestampMs).toISOString(),
+    qps: 10,
+    errorRate: 0,
+    latencyP95: 100,
+    latencyP99: 150,
+    availability: 100,
+    statusCode5xx: 0,
+    ...fields,
+  });
+};
+
+test("combined scope rule should weight error rate by qps and raise one service alert", () => {
+  const referenceMs = Date.UTC(2026, 0, 7, 8, 0);
+  const state = buildServiceState(3);
+  // 小流量接口错误率 50%，但按 qps 加权后整个服务只有约 1.7%。
+  pushServiceMetric(state, "api_pay_0", referenceMs - 60_000, { qps: 1_000, errorRate: 1, statusCode5xx: 10 });
+  pushServiceMetric(state, "api_pay_1", referenceMs - 60_000, { qps: 1_000, errorRate: 1, statusCode5xx: 10 });
+  pushServiceMetric(state, "api_pay_2", referenceMs - 60_000, { qps: 30, errorRate: 50, statusCode5xx: 15 });
+  rebuildMetricIndex(state);
+  state.rules = [
+    {
+      id: "rule_service_error",
+      ruleType: "threshold",
+      name: "Payment error rate",
+      enabled: true,
+      priority: "P1",
+      scope: { type: "service", value: "payment" },
+      scopeAggregation: "combined",
+      metric: "errorRate",
+      operator: ">",
+      threshold: 3,
+      aggregation: "avg",
+      windowMinutes: 5,
+      minSamples: 1,
+      cooldownMinutes: 0,
+      actions: ["email"],
+      lastTriggeredByApi: {},
+    },
+  ];
+  const referenceIso = new Date(referenceMs).toISOString();
+
+  const quiet = runRuleEvaluationSweep(state, { timestamp: referenceIso });
+  assert.equal(quiet.createdAlerts.length, 0);
+  assert.equal(quiet.evaluatedRules, 1);
+
+  const summed = previewScopeRuleEvaluation(state, { ...state.rules[0], metric: "statusCode5xx", threshold: 30 }, referenceIso);
+  assert.equal(summed.value, 35);
+  assert.equal(summed.matched, true);
+
+  state.rules[0].threshold = 1.5;
+  const fired = runRuleEvaluationSweep(state, { timestamp: referenceIso });
+  assert.equal(fired.createdAlerts.length, 1);
+  const [alert] = fired.createdAlerts;
+  assert.equal(alert.apiId, "service:payment");
+  assert.deepEqual(alert.scope, { type: "service", value: "payment" });
+  assert.deepEqual(alert.contributors.map((item) => item.apiId), ["api_pay_2", "api_pay_0", "api_pay_1"]);
+  assert.equal(resolveAlertTarget(state, alert).path, "service:payment");
+  assert.ok(state.apis.every((api) => api.status !== "critical"));
+});
+
+test("breach ratio scope rule should fire when enough apis are in breach", () => {
+  const referenceMs = Date.UTC(2026, 0, 7, 9, 0);
+  const state = buildServiceState(10);
+  state.apis.forEach((api, index) => {
+    pushServiceMetric(state, api.id, referenceMs - 60_000, { errorRate: index < 3 ? 20 : 1 });
+  });
+  rebuildMetricIndex(state);
+  const rule = {
+    id: "rule_service_breach",
+    ruleType: "threshold",
+    name: "Payment apis failing",
+    enabled: true,
+    priority: "P2",
+    scope: { type: "service", value: "payment" },
+    scopeAggregation: "breach_ratio",
+    minBreachPercent: 30,
+    metric: "errorRate",
+    operator: ">",
+    threshold: 10,
+    aggregation: "latest",
+    windowMinutes: 5,
+    minSamples: 1,
+    cooldownMinutes: 0,
+    actions: ["email"],
+    lastTriggeredByApi: {},
+  };
+  const referenceIso = new Date(referenceMs).toISOString();
+
+  const evaluation = previewScopeRuleEvaluation(state, rule, referenceIso);
+  assert.equal(evaluation.value, 30);
+  assert.equal(evaluation.matched, true);
+  assert.deepEqual(evaluation.contributors.map((item) => item.apiId), ["api_pay_0", "api_pay_1", "api_pay_2"]);
+  assert.equal(previewScopeRuleEvaluation(state, { ...rule, minBreachPercent: 40 }, referenceIso).matched, false);
+});
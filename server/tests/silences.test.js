@@ -0,0 +1,199 @@
+/**
+ * @file server/tests/silences.test.js
+ * 文件作用：后端单元测试文件，验证规则引擎、通知策略与迁移逻辑的正确性。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { dispatchAlertNotifications } from "../notifications.js";
+import { ingestMetric } from "../rule-engine.js";
+import {
+  getActiveSilenceWindow,
+  normalizeSilenceInput,
+  parseCronExpression,
+  serializeSilence,
+  validateSilence,
+} from "../silences.js";
+
+/**
+ * 符号：buildState（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const buildState = (silences) => ({
+  apis: [
+    {
+      id: "api_pay",
+      name: "Pay",
+      path: "/pay",
+      method: "POST",
+      service: "payment",
+      environment: "production",
+      tags: ["core"],
+      baseline: { qps: 10, errorRate: 1, latencyP95: 100, latencyP99: 150, availability: 99.9 },
+      monitor: { mode: "push", enabled: true, source: "test", checkConfig: null },
+      status: "healthy",
+    },
+  ],
+  rules: [
+    {
+      id: "rule_err",
+      ruleType: "threshold",
+      name: "Error high",
+      enabled: true,
+      priority: "P1",
+      scope: { type: "global" },
+      metric: "errorRate",
+      operator: ">",
+      threshold: 10,
+      aggregation: "latest",
+      windowMinutes: 5,
+      minSamples: 1,
+      cooldownMinutes: 0,
+      actions: ["email"],
+      lastTriggeredByApi: {},
+    },
+  ],
+  metrics: [],
+  alerts: [],
+  ruleHits: [],
+  incidents: [],
+  silences,
+  channels: [
+    {
+      id: "channel_email",
+      type: "email",
+      name: "Email",
+      enabled: true,
+      config: { recipients: ["ops@example.com"], deliveryMode: "mock" },
+    },
+  ],
+  notifications: [],
+  alertPolicy: {
+    enabled: true,
+    dedupWindowSeconds: 0,
+    suppressWindowSeconds: 0,
+    incidentGrouping: { enabled: false, groupBy: ["service"], windowMinutes: 30 },
+  },
+  alertNoiseState: { byFingerprint: {} },
+});
+
+/**
+ * 符号：buildSilence（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const buildSilence = (input) => ({ id: `silence_${input.mode}`, ...normalizeSilenceInput(input), matchedCount: 0 });
+
+/**
+ * 符号：ingestError（arrow-function）
+ * 作用说明：该函数偏流程编排职责，通常伴随状态更新或副作用。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const ingestError = (state, timestamp) =>
+  ingestMetric(
+    state,
+    { apiId: "api_pay", timestamp, qps: 10, errorRate: 30, latencyP95: 100, latencyP99: 120, availability: 99 },
+    { onAlertCreated: (alert, rule, api) => dispatchAlertNotifications(state, alert, rule, api) },
+  );
+
+test("recurring maintenance window should follow cron in its utc offset", () => {
+  // 每周六 02:00（UTC+8）开始，持续 2 小时，即 UTC 周五 18:00-20:00。
+  const maintenance = normalizeSilenceInput({
+    name: "weekly db maintenance",
+    kind: "maintenance",
+    matchers: { service: ["payment"] },
+    schedule: { cron: "0 2 * * 6", durationMinutes: 120, utcOffsetMinutes: 480 },
+  });
+  assert.equal(maintenance.mode, "drop");
+  assert.equal(validateSilence(maintenance), null);
+
+  assert.deepEqual(getActiveSilenceWindow(maintenance, Date.parse("2026-03-06T19:30:00.000Z")), {
+    startsAt: "2026-03-06T18:00:00.000Z",
+    endsAt: "2026-03-06T20:00:00.000Z",
+  });
+  assert.equal(getActiveSilenceWindow(maintenance, Date.parse("2026-03-06T20:00:00.000Z")), null);
+
+  const pending = serializeSilence(maintenance, Date.parse("2026-03-06T12:00:00.000Z"));
+  assert.equal(pending.status, "pending");
+  assert.equal(pending.nextStartsAt, "2026-03-06T18:00:00.000Z");
+
+  assert.equal(parseCronExpression("61 * * * *"), null);
+  assert.equal(parseCronExpression("0 2 * *"), null);
+  assert.ok(parseCronExpression("*/15 8-18 1,15 * 1-5"));
+  assert.match(validateSilence({ ...maintenance, schedule: { ...maintenance.schedule, cron: "bad" } }), /cron/);
+  assert.match(validateSilence(normalizeSilenceInput({ name: "x", matchers: { tag: ["core"] } })), /endsAt/);
+  assert.match(validateSilence(normalizeSilenceInput({ name: "x", endsAt: "2026-03-07T00:00:00Z" })), /matcher/);
+});
+
+test("recurring maintenance window should reach back across days up to its duration", () => {
+  // 每周五 22:00（UTC）开始，持续 3 天：周日查询时窗口起点在两天前，到下周一 22:00 截止。
+  const maintenance = normalizeSilenceInput({
+    name: "weekend freeze",
+    kind: "maintenance",
+    matchers: { service: ["payment"] },
+    schedule: { cron: "0 22 * * 5", durationMinutes: 3 * 24 * 60, utcOffsetMinutes: 0 },
+  });
+  assert.equal(validateSilence(maintenance), null);
+
+  assert.deepEqual(getActiveSilenceWindow(maintenance, Date.parse("2026-03-08T10:15:30.000Z")), {
+    startsAt: "2026-03-06T22:00:00.000Z",
+    endsAt: "2026-03-09T22:00:00.000Z",
+  });
+  assert.equal(getActiveSilenceWindow(maintenance, Date.parse("2026-03-06T21:59:00.000Z")), null);
+  assert.equal(getActiveSilenceWindow(maintenance, Date.parse("2026-03-09T21:59:59.000Z"))?.startsAt, "2026-03-06T22:00:00.000Z");
+  assert.equal(getActiveSilenceWindow(maintenance, Date.parse("2026-03-09T22:00:00.000Z")), null);
+
+  // 多个小时、分钟命中时取不晚于当前时刻的最近一次。
+  const shifts = normalizeSilenceInput({
+    name: "shift handover",
+    kind: "maintenance",
+    matchers: { service: ["payment"] },
+    schedule: { cron: "0,30 8,20 * * *", durationMinutes: 10, utcOffsetMinutes: 480 },
+  });
+  assert.equal(getActiveSilenceWindow(shifts, Date.parse("2026-03-06T12:35:00.000Z"))?.startsAt, "2026-03-06T12:30:00.000Z");
+  assert.equal(getActiveSilenceWindow(shifts, Date.parse("2026-03-06T12:45:00.000Z")), null);
+});
+
+test("drop silences should skip alerts and mute silences should mark them", () => {
+  // 原始指标按当前时间裁剪保留期，所以时间点都以“现在”为基准往前推。
+  const nowMs = Date.now();
+  const at = new Date(nowMs - 60 * 60_000).toISOString();
+  const window = {
+    startsAt: new Date(nowMs - 2 * 60 * 60_000).toISOString(),
+    endsAt: new Date(nowMs - 30 * 60_000).toISOString(),
+  };
+
+  const dropState = buildState([
+    buildSilence({ name: "deploy", mode: "drop", matchers: { tag: ["core"], priority: ["P1"] }, ...window }),
+  ]);
+  const dropped = ingestError(dropState, at);
+  assert.equal(dropped.createdAlerts.length, 0);
+  assert.equal(dropState.silences[0].matchedCount, 1);
+
+  // 匹配字段之间是“与”：环境不符时静默不生效。
+  const otherEnvState = buildState([
+    buildSilence({ name: "staging", mode: "drop", matchers: { tag: ["core"], environment: ["staging"] }, ...window }),
+  ]);
+  assert.equal(ingestError(otherEnvState, at).createdAlerts.length, 1);
+
+  const muteState = buildState([buildSilence({ name: "noisy", mode: "mute", matchers: { apiId: ["api_pay"] }, ...window })]);
+  const muted = ingestError(muteState, at);
+  assert.equal(muted.createdAlerts.length, 1);
+  assert.equal(muted.createdAlerts[0].silenceId, "silence_mute");
+  assert.equal(muted.createdAlerts[0].lastNotificationStatus, "silenced");
+  assert.equal(muteState.notifications.length, 0);
+
+  // 窗口结束后的新告警照常通知。
+  muteState.alerts = [];
+  const afterWindow = ingestError(muteState, new Date(nowMs).toISOString());
+  assert.equal(afterWindow.createdAlerts[0].lastNotificationStatus, "sent");
+  assert.equal(muteState.notifications.length, 1);
+});
@@ -0,0 +1,188 @@
+/**
+ * @file server/tests/sms-gateway.test.js
+ * 文件作用：后端单元测试文件，验证规则引擎、通知策略与迁移逻辑的正确性。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { processEscalationTick, processNotificationQueueTick } from "../notifications.js";
+import { measureSmsText, truncateSmsText, validateSmsGatewayConfig } from "../sms-gateway.js";
+import { buildNotificationState, makeNotificationRecord, sendJson, startStubServer } from "./helpers.js";
+
+/**
+ * 符号：startFakeGateway（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 假短信网关：按请求决定应答，供 JSON 与表单两种预设复用。
+const startFakeGateway = (respond) =>
+  startStubServer((entry, res) => {
+    const { status, json } = respond(entry);
+    sendJson(res, status, json);
+  });
+
+/**
+ * 符号：buildState（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现中包含 try/catch，说明该路径显式处理异常。
+ * 输入输出：接收入参后会写入状态或外部资源，输出通常是更新后的对象、状态码或副作用结果。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const buildState = (config, credentials = []) =>
+  buildNotificationState({
+    alerts: [{ id: "alert_1", ruleId: "rule_err", apiId: "api_pay", title: "Error high", level: "P1", status: "open", observedValue: 12 }],
+    credentials,
+    channels: [{ id: "channel_sms", type: "sms", name: "SMS", enabled: true, config: { deliveryMode: "http", ...config } }],
+    notifications: [
+      makeNotificationRecord({
+        channelId: "channel_sms",
+        channelType: "sms",
+        payload: { title: "Error high", message: "errorRate 12 > 5", level: "P1" },
+      }),
+    ],
+  });
+
+test("sms gateway should record per-recipient results and only retry failed recipients", async () => {
+  process.env.API_ALERT_SECRET_SMS_TEST_TOKEN = "tok";
+  let failSecond = true;
+  const gateway = await startFakeGateway(({ json }) =>
+    failSecond && json.to === "+8613800000002" ? { status: 503, json: { error: "busy" } } : { status: 200, json: { id: "m1" } },
+  );
+  try {
+    const state = buildState(
+      {
+        provider: "generic_json",
+        gateway: { url: `${gateway.baseUrl}/send`, body: { to: "{{recipient}}", text: "{{message}}", sender: "{{from}}" } },
+        credentialId: "cred_sms",
+        from: "ALERT",
+        recipients: ["+8613800000001", "+8613800000002"],
+      },
+      [{ id: "cred_sms", type: "bearer", name: "SMS token", enabled: true, config: { tokenRef: "SMS_TEST_TOKEN" } }],
+    );
+
+    let summary = await processNotificationQueueTick(state);
+    assert.equal(summary.retried, 1);
+    const [record] = state.notifications;
+    assert.equal(record.lastError, "+8613800000002:http_503");
+    assert.deepEqual(
+      record.recipientResults.map((item) => [item.recipient, item.success, item.status]),
+      [
+        ["+8613800000001", true, 200],
+        ["+8613800000002", false, 503],
+      ],
+    );
+    assert.equal(gateway.requests[0].headers.authorization, "Bearer tok");
+    assert.deepEqual(gateway.requests[0].json, {
+      to: "+8613800000001",
+      text: "[P1] Error high POST /pay 当前值 12",
+      sender: "ALERT",
+    });
+
+    failSecond = false;
+    record.nextRetryAt = null;
+    summary = await processNotificationQueueTick(state);
+    assert.equal(summary.sent, 1);
+    assert.equal(record.response, "sms_sent 2/2");
+    assert.equal(gateway.requests.length, 3);
+    assert.equal(gateway.requests[2].json.to, "+8613800000002");
+  } finally {
+    await gateway.close();
+    delete process.env.API_ALERT_SECRET_SMS_TEST_TOKEN;
+  }
+});
+
+test("sms gateway should apply json success predicates, form presets and length-aware truncation", async () => {
+  const gateway = await startFakeGateway(({ body }) => {
+    const params = new URLSearchParams(body);
+    return { status: 200, json: { code: params.get("mobile") === "13800000009" ? 2 : 0, msg: "ok" } };
+  });
+  try {
+    const state = buildState({
+      provider: "yunpian",
+      gateway: { url: `${gateway.baseUrl}/v2/sms/single_send.json`, body: { mobile: "{{recipient}}", text: "{{message}}" } },
+      recipients: ["13800000001", "13800000009"],
+    });
+    state.channels[0].templates = { trigger: { title: "", body: "【告警】{{alert.title}} " + "详".repeat(80) } };
+
+    await processNotificationQueueTick(state);
+    const [record] = state.notifications;
+    assert.deepEqual(
+      record.recipientResults.map((item) => [item.success, item.error]),
+      [
+        [true, null],
+        [false, "gateway_rejected:code=2"],
+      ],
+    );
+    assert.equal(gateway.requests[0].headers["content-type"], "application/x-www-form-urlencoded");
+    const text = new URLSearchParams(gateway.requests[0].body).get("text");
+    assert.equal(text.length, 70);
+    assert.ok(text.endsWith("…"));
+    assert.deepEqual(record.smsMessage, { encoding: "ucs2", units: 70, segments: 1, truncated: true });
+  } finally {
+    await gateway.close();
+  }
+
+  assert.deepEqual(measureSmsText("a".repeat(161)), { encoding: "gsm7", units: 161, segments: 2 });
+  assert.equal(measureSmsText("{}€").units, 6);
+  const truncated = truncateSmsText("x".repeat(400), 2);
+  assert.equal(truncated.text.length, 306);
+  assert.ok(truncated.text.endsWith("..."));
+
+  assert.equal(validateSmsGatewayConfig({ provider: "unknown" }), "invalid_sms_provider");
+  assert.equal(validateSmsGatewayConfig({ provider: "generic_json" }), "invalid_sms_gateway_url");
+  assert.equal(validateSmsGatewayConfig({ provider: "twilio", maxSegments: 20 }), "invalid_sms_max_segments");
+  assert.equal(validateSmsGatewayConfig({ provider: "vonage" }), null);
+});
+
+test("sms escalation should text the on-call phone number and never pass emails to the gateway", async () => {
+  const gateway = await startFakeGateway(() => ({ status: 200, json: { id: "m1" } }));
+  try {
+    const triggeredAt = new Date(Date.now() - 20 * 60_000).toISOString();
+    const state = buildState({
+      provider: "generic_json",
+      gateway: { url: `${gateway.baseUrl}/send`, body: { to: "{{recipient}}", text: "{{message}}" } },
+      recipients: ["+8613800000001"],
+    });
+    state.notifications = [];
+    state.alerts[0] = { ...state.alerts[0], triggeredAt, lastNotifiedAt: triggeredAt };
+    state.users = [
+      { id: "user_bob", name: "Bob", email: "bob@example.com", phone: "+8613900000002", role: "ops", status: "active" },
+    ];
+    state.oncallSchedules = [
+      {
+        id: "schedule_pay",
+        name: "Payment on-call",
+        timeZone: "UTC",
+        notifyVia: ["sms"],
+        layers: [{ name: "primary", users: ["user_bob"], startDate: "2026-01-01", handoffTime: "00:00", shiftDays: 7 }],
+        overrides: [],
+      },
+    ];
+    state.alertPolicy = {
+      enabled: true,
+      escalationEnabled: true,
+      escalations: [{ level: "E1", afterMinutes: 10, repeatMinutes: 0, actions: ["oncall:schedule_pay"] }],
+    };
+
+    processEscalationTick(state);
+    const [record] = state.notifications;
+    assert.deepEqual(record.payload.recipients, ["+8613900000002"]);
+    await processNotificationQueueTick(state);
+    assert.equal(record.response, "sms_sent 1/1");
+    assert.deepEqual(gateway.requests.map((item) => item.json.to), ["+8613900000002"]);
+
+    // 旧记录里残留的邮箱收件人不会交给网关，没有可用号码时直接判定为永久失败。
+    record.status = "queued";
+    record.payload = { ...record.payload, recipients: ["bob@example.com"] };
+    record.recipientResults = [];
+    await processNotificationQueueTick(state);
+    assert.equal(record.status, "failed");
+    assert.equal(record.lastError, "invalid_sms_recipients:bob@example.com");
+    assert.equal(gateway.requests.length, 1);
+  } finally {
+    await gateway.close();
+  }
+});
@@ -0,0 +1,188 @@
+/**
+ * @file server/tests/smtp.test.js
+ * 文件作用：后端单元测试文件，验证规则引擎、通知策略与迁移逻辑的正确性。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import net from "node:net";
+import { processNotificationQueueTick } from "../notifications.js";
+import { buildMimeMessage } from "../smtp-client.js";
+
+/**
+ * 符号：startFakeSmtpServer（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 最小化的假 SMTP 服务：只支持 AUTH LOGIN，拒绝 blocked@ 开头的收件人，记录收到的会话内容。
+const startFakeSmtpServer = async () => {
+  const sessions = [];
+  const server = net.createServer((socket) => {
+    const session = { auth: [], rcpt: [], data: "" };
+    sessions.push(session);
+    let buffer = "";
+    let mode = "command";
+
+    socket.write("220 fake.smtp ESMTP ready\r\n");
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+      if (mode === "data") {
+        const end = buffer.indexOf("\r\n.\r\n");
+        if (end === -1) return;
+        session.data = buffer.slice(0, end);
+        buffer = buffer.slice(end + 5);
+        mode = "command";
+        socket.write("250 2.0.0 Ok: queued as FAKE123\r\n");
+      }
+
+      let index;
+      while (mode !== "data" && (index = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        if (mode === "auth") {
+          session.auth.push(Buffer.from(line, "base64").toString("utf8"));
+          socket.write(session.auth.length === 1 ? "334 UGFzc3dvcmQ6\r\n" : "235 2.7.0 Authentication successful\r\n");
+          if (session.auth.length === 2) mode = "command";
+        } else if (line.startsWith("EHLO")) {
+          socket.write("250-fake.smtp\r\n250-AUTH LOGIN\r\n250 8BITMIME\r\n");
+        } else if (line === "AUTH LOGIN") {
+          mode = "auth";
+          socket.write("334 VXNlcm5hbWU6\r\n");
+        } else if (line.startsWith("MAIL FROM:")) {
+          session.from = line.slice(10);
+          socket.write("250 2.1.0 Ok\r\n");
+        } else if (line.startsWith("RCPT TO:")) {
+          const address = line.slice(8);
+          session.rcpt.push(address);
+          socket.write(address.startsWith("<blocked@") ? "550 5.1.1 Recipient rejected\r\n" : "250 2.1.5 Ok\r\n");
+        } else if (line === "DATA") {
+          mode = "data";
+          socket.write("354 End data with <CR><LF>.<CR><LF>\r\n");
+        } else if (line === "QUIT") {
+          socket.end("221 2.0.0 Bye\r\n");
+        } else {
+          socket.write("502 5.5.2 Command not recognized\r\n");
+        }
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return { sessions, port: server.address().port, close: () => new Promise((resolve) => server.close(resolve)) };
+};
+
+/**
+ * 符号：buildState（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现中包含 try/catch，说明该路径显式处理异常。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const buildState = (port, recipients) => ({
+  apis: [{ id: "api_pay", name: "Pay", path: "/pay", method: "POST", service: "payment", environment: "production" }],
+  rules: [{ id: "rule_err", name: "Error high", priority: "P1" }],
+  alerts: [{ id: "alert_1", ruleId: "rule_err", apiId: "api_pay", title: "支付错误率过高", level: "P1", status: "open" }],
+  channels: [
+    {
+      id: "channel_email",
+      type: "email",
+      name: "Email",
+      enabled: true,
+      config: {
+        deliveryMode: "http",
+        smtpHost: "127.0.0.1",
+        smtpPort: port,
+        security: "none",
+        username: "alerts",
+        passwordRef: "SMTP_TEST_PASSWORD",
+        from: "API Alerts <alerts@example.com>",
+        recipients,
+      },
+      templates: { trigger: { title: "{{alert.title}}", body: "{{api.method}} {{api.path}}\n.dot line" } },
+    },
+  ],
+  notifications: [
+    {
+      id: "notify_1",
+      alertId: "alert_1",
+      ruleId: "rule_err",
+      apiId: "api_pay",
+      channelId: "channel_email",
+      channelType: "email",
+      status: "queued",
+      eventType: "trigger",
+      attempts: 0,
+      maxAttempts: 3,
+      nextRetryAt: null,
+      payload: { title: "支付错误率过高", message: "errorRate 12 > 5", level: "P1" },
+    },
+  ],
+});
+
+test("email channel should deliver multipart mail over smtp with secretRef credentials", async () => {
+  process.env.API_ALERT_SECRET_SMTP_TEST_PASSWORD = "s3cret";
+  const smtp = await startFakeSmtpServer();
+  try {
+    const state = buildState(smtp.port, ["ops@example.com", "Dev <dev@example.com>"]);
+    const summary = await processNotificationQueueTick(state);
+    assert.equal(summary.sent, 1);
+
+    const [record] = state.notifications;
+    assert.equal(record.response, "smtp_250 2.0.0 Ok: queued as FAKE123");
+
+    const [session] = smtp.sessions;
+    assert.deepEqual(session.auth, ["alerts", "s3cret"]);
+    assert.equal(session.from, "<alerts@example.com>");
+    assert.deepEqual(session.rcpt, ["<ops@example.com>", "<dev@example.com>"]);
+    assert.match(session.data, /Subject: =\?UTF-8\?B\?/);
+    assert.match(session.data, /Content-Type: multipart\/alternative/);
+    assert.match(session.data, /Content-Type: text\/html; charset=UTF-8/);
+
+    const textPart = /text\/plain; charset=UTF-8\r\nContent-Transfer-Encoding: base64\r\n\r\n([\s\S]+?)\r\n--/.exec(session.data);
+    assert.equal(Buffer.from(textPart[1].replace(/\r\n/g, ""), "base64").toString("utf8"), "POST /pay\n.dot line");
+  } finally {
+    await smtp.close();
+    delete process.env.API_ALERT_SECRET_SMTP_TEST_PASSWORD;
+  }
+});
+
+test("smtp rejections should fail the record without retrying", async () => {
+  const smtp = await startFakeSmtpServer();
+  try {
+    const state = buildState(smtp.port, ["blocked@example.com"]);
+    state.notifications[0].payload.recipients = ["blocked@example.com"];
+
+    // 密钥缺失属于配置错误，不会连接服务器。
+    let summary = await processNotificationQueueTick(state);
+    assert.equal(summary.failed, 1);
+    assert.equal(state.notifications[0].lastError, "secret_not_found:SMTP_TEST_PASSWORD");
+    assert.equal(smtp.sessions.length, 0);
+
+    process.env.API_ALERT_SECRET_SMTP_TEST_PASSWORD = "s3cret";
+    Object.assign(state.notifications[0], { status: "queued", attempts: 0, rendered: null });
+    summary = await processNotificationQueueTick(state);
+    assert.equal(summary.failed, 1);
+    assert.equal(state.notifications[0].response, "smtp_550");
+    assert.equal(state.notifications[0].lastError, "smtp_550 5.1.1 Recipient rejected");
+    assert.equal(state.notifications[0].attempts, 1);
+  } finally {
+    await smtp.close();
+    delete process.env.API_ALERT_SECRET_SMTP_TEST_PASSWORD;
+  }
+});
+
+test("mime From header should encode only the display name and keep the address literal", () => {
+  const header = (from) => /^From: (.*)$/m.exec(buildMimeMessage({ from, to: ["ops@example.com"], subject: "s", text: "t", html: "h" }))[1];
+
+  const encoded = header("告警平台 <alert@example.com>");
+  assert.match(encoded, /^=\?UTF-8\?B\?[A-Za-z0-9+/=]+\?= <alert@example\.com>$/);
+  assert.equal(Buffer.from(/\?B\?(.+)\?=/.exec(encoded)[1], "base64").toString("utf8"), "告警平台");
+  assert.equal(header('"告警平台" <alert@example.com>'), encoded);
+
+  assert.equal(header("Alerts <alert@example.com>"), "Alerts <alert@example.com>");
+  assert.equal(header("Ops, Team <alert@example.com>"), '"Ops, Team" <alert@example.com>');
+  assert.equal(header("alert@example.com"), "alert@example.com");
+});
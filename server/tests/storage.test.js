@@ -0,0 +1,115 @@
+/**
+ * @file server/tests/storage.test.js
+ * 文件作用：后端单元测试文件，验证规则引擎、通知策略与迁移逻辑的正确性。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createJsonStorageAdapter } from "../storage-json.js";
+import { createSqliteStorageAdapter, isSqliteStorageAvailable } from "../storage-sqlite.js";
+
+/**
+ * 符号：buildInitialState（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const buildInitialState = () => ({
+  meta: { version: 1, schemaVersion: 5, createdAt: "2026-01-01T00:00:00.000Z", updatedAt: "2026-01-01T00:00:00.000Z" },
+  apis: [{ id: "api_a", path: "/a" }],
+  rules: [],
+  metrics: [
+    { apiId: "api_a", timestamp: "2026-01-01T00:00:00.000Z", errorRate: 1 },
+    { apiId: "api_a", timestamp: "2026-01-01T00:01:00.000Z", errorRate: 2 },
+  ],
+  alerts: [{ id: "alert_2", apiId: "api_a", status: "open" }, { id: "alert_1", apiId: "api_a", status: "resolved" }],
+  notifications: [],
+  auditLogs: [{ id: "audit_1", action: "seed", timestamp: "2026-01-01T00:00:00.000Z" }],
+});
+
+/**
+ * 符号：createTempFile（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const createTempFile = (name) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "api-alert-store-"));
+  return { dir, filePath: path.join(dir, name) };
+};
+
+/**
+ * 符号：exerciseAdapter（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含 try/catch，说明该路径显式处理异常。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const exerciseAdapter = (createAdapter) => {
+  const first = createAdapter();
+  first.load();
+  first.mutateState((state) => {
+    state.metrics.push({ apiId: "api_a", timestamp: "2026-01-01T00:02:00.000Z", errorRate: 3 });
+    state.metrics.splice(0, 1);
+    state.alerts.unshift({ id: "alert_3", apiId: "api_a", status: "open" });
+    state.alerts[1].status = "acknowledged";
+    state.auditLogs.unshift({ id: "audit_2", action: "alert_created", timestamp: "2026-01-01T00:02:00.000Z" });
+  });
+  first.persist();
+  first.close?.();
+
+  const second = createAdapter();
+  const reloaded = second.load();
+  second.close?.();
+  return reloaded;
+};
+
+test("json storage adapter should round-trip mutations through disk", () => {
+  const { dir, filePath } = createTempFile("store.json");
+  try {
+    const reloaded = exerciseAdapter(() =>
+      createJsonStorageAdapter({
+        filePath,
+        normalizeState: (parsed) => parsed,
+        createInitialState: buildInitialState,
+      }),
+    );
+
+    assert.deepEqual(reloaded.metrics.map((item) => item.errorRate), [2, 3]);
+    assert.deepEqual(reloaded.alerts.map((item) => item.id), ["alert_3", "alert_2", "alert_1"]);
+    assert.equal(reloaded.alerts[1].status, "acknowledged");
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test(
+  "sqlite storage adapter should keep table order and incremental updates",
+  { skip: isSqliteStorageAvailable() ? false : "node:sqlite is not available in this Node.js runtime" },
+  () => {
+    const { dir, filePath } = createTempFile("store.sqlite");
+    try {
+      const reloaded = exerciseAdapter(() =>
+        createSqliteStorageAdapter({
+          filePath,
+          normalizeState: (parsed) => parsed,
+          createInitialState: buildInitialState,
+        }),
+      );
+
+      assert.deepEqual(reloaded.metrics.map((item) => item.errorRate), [2, 3]);
+      assert.deepEqual(reloaded.alerts.map((item) => item.id), ["alert_3", "alert_2", "alert_1"]);
+      assert.equal(reloaded.alerts[1].status, "acknowledged");
+      assert.deepEqual(reloaded.auditLogs.map((item) => item.id), ["audit_2", "audit_1"]);
+      assert.deepEqual(reloaded.apis, [{ id: "api_a", path: "/a" }]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  },
+);
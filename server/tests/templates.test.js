@@ -0,0 +1,101 @@
+/**
+ * @file server/tests/templates.test.js
+ * 文件作用：后端单元测试文件，验证规则引擎、通知策略与迁移逻辑的正确性。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { processNotificationQueueTick } from "../notifications.js";
+import { getChannelTemplate, renderTemplate, validateTemplate } from "../templates.js";
+
+test("template renderer should support sections and refuse anything beyond plain lookups", () => {
+  const context = {
+    alert: { title: "Error high", observedValue: 12.5, tags: ["core", "pay"] },
+    incident: { id: "incident_1", alertCount: 3 },
+    oncall: null,
+    contributors: [{ apiId: "api_a" }, { apiId: "api_b" }],
+  };
+
+  assert.equal(
+    renderTemplate(
+      "{{alert.title}}={{alert.observedValue}} [{{alert.tags}}]{{#incident}} in {{id}}({{alertCount}}){{/incident}}",
+      context,
+    ),
+    "Error high=12.5 [core, pay] in incident_1(3)",
+  );
+  assert.equal(renderTemplate("{{#contributors}}{{apiId}};{{/contributors}}{{^oncall}}no one{{/oncall}}", context), "api_a;api_b;no one");
+  assert.equal(renderTemplate("{{! hidden }}{{missing.value}}{{alert.constructor}}{{alert.__proto__}}", context), "");
+
+  assert.match(validateTemplate({ body: "{{alert.title.toString()}}" }), /Invalid variable/);
+  assert.match(validateTemplate({ body: "{{#incident}}open" }), /Unclosed section/);
+  assert.match(validateTemplate({ title: "{{#a}}{{/b}}", body: "" }), /Unexpected closing tag/);
+  assert.match(validateTemplate({ body: "x".repeat(5_000) }), /longer than/);
+  assert.equal(validateTemplate({ title: "{{alert.title}}", body: "{{#incident}}{{id}}{{/incident}}" }), null);
+});
+
+test("notification worker should render channel templates and fall back to defaults", async () => {
+  const state = {
+    apis: [{ id: "api_pay", name: "Pay", path: "/pay", method: "POST", service: "payment", environment: "production" }],
+    rules: [{ id: "rule_err", name: "Error high", priority: "P1" }],
+    alerts: [
+      {
+        id: "alert_1",
+        ruleId: "rule_err",
+        apiId: "api_pay",
+        title: "Error high",
+        message: "errorRate 12 > 5",
+        level: "P1",
+        status: "open",
+        metric: "errorRate",
+        operator: ">",
+        threshold: 5,
+        observedValue: 12,
+        triggeredAt: "2026-03-06T10:00:00.000Z",
+      },
+    ],
+    channels: [
+      {
+        id: "channel_slack",
+        type: "slack",
+        name: "Slack",
+        enabled: true,
+        config: { webhookUrl: "https://hooks.example.com/slack", deliveryMode: "mock" },
+        templates: {
+          trigger: { title: "{{rule.priority}} {{api.service}}", body: "{{alert.metric}} is {{alert.observedValue}}" },
+        },
+      },
+      {
+        id: "channel_sms",
+        type: "sms",
+        name: "SMS",
+        enabled: true,
+        config: { recipients: ["13800000000"], deliveryMode: "mock" },
+      },
+    ],
+    notifications: ["channel_slack", "channel_sms"].map((channelId, index) => ({
+      id: `notify_${index}`,
+      alertId: "alert_1",
+      ruleId: "rule_err",
+      apiId: "api_pay",
+      channelId,
+      channelType: channelId.replace("channel_", ""),
+      status: "queued",
+      eventType: "incident_update",
+      attempts: 0,
+      maxAttempts: 3,
+      nextRetryAt: null,
+      payload: { title: "Error high", message: "errorRate 12 > 5", level: "P1" },
+    })),
+  };
+
+  const summary = await processNotificationQueueTick(state);
+  assert.equal(summary.sent, 2);
+
+  const [slackRecord, smsRecord] = state.notifications;
+  assert.deepEqual(slackRecord.rendered, { title: "P1 payment", body: "errorRate is 12", template: "custom" });
+  assert.equal(smsRecord.rendered.template, "default");
+  assert.equal(smsRecord.rendered.body, "[P1] Error high POST /pay 当前值 12");
+
+  assert.equal(getChannelTemplate(state.channels[0], "recovery").source, "default");
+});
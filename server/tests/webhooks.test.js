@@ -0,0 +1,115 @@
+/**
+ * @file server/tests/webhooks.test.js
+ * 文件作用：后端单元测试文件，验证规则引擎、通知策略与迁移逻辑的正确性。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { dispatchChannelTest, processNotificationQueueTick, signWebhookBody } from "../notifications.js";
+import { buildNotificationState, makeNotificationRecord, startStubServer } from "./helpers.js";
+
+/**
+ * 符号：startReceiver（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 假 Webhook 接收端：按请求序号返回预设应答。
+const startReceiver = (replies) =>
+  startStubServer((_entry, res, requests) => {
+    const reply = replies[Math.min(requests.length - 1, replies.length - 1)];
+    res.writeHead(reply.status, reply.headers || {});
+    res.end("{}");
+  });
+
+/**
+ * 符号：buildState（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现中包含 try/catch，说明该路径显式处理异常。
+ * 输入输出：接收入参后会写入状态或外部资源，输出通常是更新后的对象、状态码或副作用结果。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const buildState = (config) =>
+  buildNotificationState({
+    alerts: [
+      { id: "alert_1", ruleId: "rule_err", apiId: "api_pay", title: "Error high", level: "P1", status: "open", observedValue: 12.5 },
+    ],
+    channels: [{ id: "channel_webhook", type: "webhook", name: "Hook", enabled: true, config: { deliveryMode: "http", ...config } }],
+    notifications: [makeNotificationRecord({ payload: { title: "Error high", message: "errorRate 12.5 > 5", level: "P1" } })],
+  });
+
+test("webhook should sign the templated body and send the notification id as idempotency key", async () => {
+  process.env.API_ALERT_SECRET_HOOK_TEST_SECRET = "whsec";
+  const receiver = await startReceiver([{ status: 200 }]);
+  try {
+    const state = buildState({
+      url: `${receiver.baseUrl}/hook`,
+      signing: { secretRef: "HOOK_TEST_SECRET" },
+      bodyTemplate: {
+        summary: "{{rule.priority}} {{alert.title}}",
+        value: "{{alert.observedValue}}",
+        service: { name: "{{api.service}}" },
+        attempt: "{{delivery.attempt}}",
+      },
+    });
+
+    const summary = await processNotificationQueueTick(state);
+    assert.equal(summary.sent, 1);
+
+    const [request] = receiver.requests;
+    assert.deepEqual(request.json, {
+      summary: "P1 Error high",
+      value: 12.5,
+      service: { name: "payment" },
+      attempt: 1,
+    });
+    assert.equal(request.headers["idempotency-key"], "notify_1");
+    const timestamp = request.headers["x-signature-timestamp"];
+    assert.match(timestamp, /^\d+$/);
+    assert.equal(request.headers["x-signature"], signWebhookBody("whsec", timestamp, request.body));
+  } finally {
+    await receiver.close();
+    delete process.env.API_ALERT_SECRET_HOOK_TEST_SECRET;
+  }
+});
+
+test("webhook retries should honour Retry-After, channel retry delays and permanent 4xx failures", async () => {
+  const receiver = await startReceiver([
+    { status: 429, headers: { "Retry-After": "120" } },
+    { status: 500 },
+    { status: 404 },
+  ]);
+  try {
+    const state = buildState({ url: `${receiver.baseUrl}/hook`, retryDelaysSeconds: [5, 30, 60] });
+    state.notifications = [];
+    const record = dispatchChannelTest(state, state.channels[0], "tester");
+    assert.equal(record.maxAttempts, 4);
+
+    await processNotificationQueueTick(state);
+    assert.equal(record.response, "retry_in_120s");
+    assert.equal(record.lastError, "http_429");
+    const waitMs = new Date(record.nextRetryAt).getTime() - Date.now();
+    assert.ok(waitMs > 110_000 && waitMs <= 120_000);
+
+    record.nextRetryAt = null;
+    await processNotificationQueueTick(state);
+    assert.equal(record.response, "retry_in_30s");
+
+    record.nextRetryAt = null;
+    const summary = await processNotificationQueueTick(state);
+    assert.equal(summary.failed, 1);
+    assert.equal(record.status, "failed");
+    assert.equal(record.response, "http_404");
+    assert.equal(record.attempts, 3);
+    assert.equal(receiver.requests[0].headers["idempotency-key"], receiver.requests[2].headers["idempotency-key"]);
+
+    state.channels[0].config.retryDelaysSeconds = [0];
+    const blocked = dispatchChannelTest(state, state.channels[0], "tester");
+    assert.equal(blocked.status, "failed");
+    assert.equal(blocked.lastError, "invalid_retry_delays");
+  } finally {
+    await receiver.close();
+  }
+});
@@ -0,0 +1,157 @@
+/**
+ * @file server/tls-certificate.js
+ * 文件作用：后端业务模块，参与 API 接入、规则评估、告警流转与通知链路。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import net from "node:net";
+import tls from "node:tls";
+import { round } from "./utils.js";
+
+/**
+ * 符号：DAY_MS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const DAY_MS = 86_400_000;
+/**
+ * 符号：MAX_CHAIN_LENGTH（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const MAX_CHAIN_LENGTH = 5;
+/**
+ * 符号：CERTIFICATE_ERROR_PATTERN（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const CERTIFICATE_ERROR_PATTERN = /CERT|SELF_SIGNED|UNABLE_TO_(GET|VERIFY)/;
+
+/**
+ * 符号：formatName（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// Node 证书对象里 subject / issuer 是字段字典，优先展示 CN，没有 CN 时退回 O。
+const formatName = (name) => {
+  if (!name) return null;
+  const value = name.CN ?? name.O;
+  if (value) return Array.isArray(value) ? value.join(", ") : String(value);
+  return (
+    Object.entries(name)
+      .map(([key, item]) => `${key}=${item}`)
+      .join(", ") || null
+  );
+};
+
+/**
+ * 符号：parseSubjectAltNames（arrow-function）
+ * 作用说明：该函数用于输入标准化，先把不稳定入参转为稳定结构。
+ * 实现说明：实现中使用 map/filter/reduce 等数组操作，强调声明式数据变换。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const parseSubjectAltNames = (text) =>
+  String(text || "")
+    .split(",")
+    .map((item) => item.trim().replace(/^(DNS|IP Address):/, ""))
+    .filter(Boolean);
+
+/**
+ * 符号：certDaysRemaining（const）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const certDaysRemaining = (validTo, nowMs = Date.now()) =>
+  round((new Date(validTo).getTime() - nowMs) / DAY_MS, 1);
+
+/**
+ * 符号：isCertificateError（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+export const isCertificateError = (error) => CERTIFICATE_ERROR_PATTERN.test(String(error?.code || ""));
+
+/**
+ * 符号：describeCertificate（const）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 从已完成握手的 TLS socket 读取证书摘要；自签证书的 issuerCertificate 指向自身，按指纹判断链尾。
+export const describeCertificate = (socket, nowMs = Date.now()) => {
+  const peer = socket.getPeerCertificate(true);
+  if (!peer || !peer.valid_to) return null;
+
+  const chain = [];
+  for (let cert = peer; cert?.valid_to && chain.length < MAX_CHAIN_LENGTH; ) {
+    chain.push({
+      subject: formatName(cert.subject),
+      issuer: formatName(cert.issuer),
+      validTo: new Date(cert.valid_to).toISOString(),
+    });
+    const next = cert.issuerCertificate;
+    cert = next && next.fingerprint256 !== cert.fingerprint256 ? next : null;
+  }
+
+  const validTo = new Date(peer.valid_to).toISOString();
+  return {
+    subject: formatName(peer.subject),
+    issuer: formatName(peer.issuer),
+    subjectAltNames: parseSubjectAltNames(peer.subjectaltname),
+    validFrom: new Date(peer.valid_from).toISOString(),
+    validTo,
+    daysRemaining: certDaysRemaining(validTo, nowMs),
+    serialNumber: peer.serialNumber ?? null,
+    fingerprint256: peer.fingerprint256 ?? null,
+    protocol: socket.getProtocol?.() ?? null,
+    authorized: Boolean(socket.authorized),
+    authorizationError: socket.authorizationError ? String(socket.authorizationError) : null,
+    chain,
+    checkedAt: new Date(nowMs).toISOString(),
+  };
+};
+
+/**
+ * 符号：inspectTlsCertificate（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 只做 TLS 握手、不发送任何 HTTP 数据，用于证书校验失败后取回证书与校验错误。
+// rejectUnauthorized=false 只为读取证书，校验结果体现在 authorized / authorizationError。
+export const inspectTlsCertificate = (urlText, options = {}) =>
+  new Promise((resolve, reject) => {
+    const url = new URL(urlText);
+    const host = url.hostname.replace(/^\[|\]$/g, "");
+    const timeoutMs = options.timeoutMs ?? 5_000;
+    const socket = tls.connect({
+      host,
+      port: Number(url.port || 443),
+      servername: net.isIP(host) ? undefined : host,
+      rejectUnauthorized: false,
+      ca: options.ca,
+    });
+
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`timeout_${timeoutMs}ms`)));
+    socket.once("secureConnect", () => {
+      const info = describeCertificate(socket);
+      socket.end();
+      resolve(info);
+    });
+    socket.once("error", reject);
+  });
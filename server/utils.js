@@ -102,6 +102,19 @@ export const compareByOperator = (left, operator, right) => {
   }
 };
 
+/**
+ * 符号：toTimeMs（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 时间字段统一转毫秒：缺失或无法解析时返回 null，由调用方决定兜底值。
+export const toTimeMs = (value) => {
+  const ms = new Date(value ?? "").getTime();
+  return Number.isFinite(ms) ? ms : null;
+};
+
 /**
  * 符号：minutesAgoIso（arrow-function）
  * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
@@ -144,6 +157,57 @@ export const pick = (items) => items[Math.floor(Math.random() * items.length)];
 export const safeSortByTimeDesc = (items, getter = (item) => item.timestamp) =>
   [...items].sort((a, b) => new Date(getter(b)).getTime() - new Date(getter(a)).getTime());
 
+/**
+ * 符号：matchesAny（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 匹配器取值为空表示不限制，否则与候选值有交集即命中；静默规则与通知路由共用。
+export const matchesAny = (values, candidates) => values.length === 0 || candidates.some((item) => values.includes(item));
+
+/**
+ * 符号：escapeHtml（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 渲染 HTML（邮件正文、操作落地页）前转义用户可控文本，单双引号都转义以便用于属性值。
+export const escapeHtml = (text) =>
+  String(text ?? "").replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]);
+
+/**
+ * 符号：JSON_PATH_TOKEN（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+const JSON_PATH_TOKEN = /[^.[\]]+|\[(\d+)\]/g;
+
+/**
+ * 符号：readJsonPath（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与 store、rule-engine、notifications 等后端模块协作，构成告警闭环。
+ */
+// 简化版 JSONPath：支持 `$.data.items[0].id` 与 `data.items.0.id` 两种写法，只读取自有属性，取不到时返回 undefined。
+export const readJsonPath = (value, path) => {
+  const text = String(path ?? "").trim().replace(/^\$\.?/, "");
+  if (!text) return value;
+
+  let current = value;
+  for (const match of text.matchAll(JSON_PATH_TOKEN)) {
+    const key = match[1] ?? match[0];
+    if (current === null || current === undefined || !Object.hasOwn(Object(current), key)) return undefined;
+    current = current[key];
+  }
+  return current;
+};
+
 
 
 
@@ -0,0 +1,175 @@
+/**
+ * @file src/app/components/channels/ChannelTemplateEditor.tsx
+ * 文件作用：前端业务组件文件，用于页面内可复用的展示或交互模块。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import { useCallback, useEffect, useState } from "react";
+import { Eye, RotateCcw, Save } from "lucide-react";
+import { Button } from "../ui/button";
+import { Input } from "../ui/input";
+import { Label } from "../ui/label";
+import { Textarea } from "../ui/textarea";
+import { apiClient } from "../../lib/api";
+import type { ChannelItem, NotificationTemplateItem, TemplateEventType, TemplatePreview } from "../../lib/types";
+
+/**
+ * 符号：ChannelTemplateEditorProps（interface）
+ * 作用说明：该类型声明用于约束数据形状，提高可读性和类型安全。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：类型层声明，不直接执行运行时逻辑，作用是约束其它代码的输入输出格式。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+interface ChannelTemplateEditorProps {
+  channel: ChannelItem;
+  onMessage: (message: string) => void;
+  onError: (message: string) => void;
+}
+
+const EVENT_TYPE_TEXT: Record<TemplateEventType, string> = {
+  trigger: "触发",
+  recovery: "恢复",
+  escalation: "升级",
+  test: "测试",
+};
+
+/**
+ * 符号：VARIABLE_HINTS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+const VARIABLE_HINTS = [
+  "notification.title / message / level",
+  "alert.metric / observedValue / threshold / triggeredAt / resolvedAt",
+  "rule.name / priority",
+  "api.method / path / service / environment",
+  "metrics.qps / errorRate / latencyP95 / availability",
+  "links.alert / api / incident",
+  "{{#incident}}…{{/incident}}  {{#escalation}}…{{/escalation}}  {{#oncall}}{{assignee}}{{/oncall}}",
+];
+
+/**
+ * 符号：ChannelTemplateEditor（function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含 try/catch，说明该路径显式处理异常。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+export function ChannelTemplateEditor({ channel, onMessage, onError }: ChannelTemplateEditorProps) {
+  const [templates, setTemplates] = useState<NotificationTemplateItem[]>([]);
+  const [eventType, setEventType] = useState<TemplateEventType>("trigger");
+  const [title, setTitle] = useState("");
+  const [body, setBody] = useState("");
+  const [preview, setPreview] = useState<TemplatePreview | null>(null);
+
+  const current = templates.find((item) => item.eventType === eventType);
+
+  const loadTemplates = useCallback(async () => {
+    try {
+      const result = await apiClient.listNotificationTemplates(channel.id);
+      setTemplates(result.items);
+    } catch (requestError) {
+      onError(requestError instanceof Error ? requestError.message : "加载通知模板失败");
+    }
+  }, [channel.id, onError]);
+
+  useEffect(() => {
+    loadTemplates();
+  }, [loadTemplates]);
+
+  useEffect(() => {
+    setTitle(current?.title ?? "");
+    setBody(current?.body ?? "");
+    setPreview(null);
+  }, [current]);
+
+  const handlePreview = async () => {
+    try {
+      const result = await apiClient.previewNotificationTemplate({ channelId: channel.id, eventType, title, body });
+      setPreview(result.item);
+    } catch (requestError) {
+      onError(requestError instanceof Error ? requestError.message : "模板预览失败");
+    }
+  };
+
+  const handleSave = async () => {
+    try {
+      await apiClient.saveChannelTemplate(channel.id, eventType, { title, body });
+      onMessage(`${channel.name} 的${EVENT_TYPE_TEXT[eventType]}模板已保存`);
+      await loadTemplates();
+    } catch (requestError) {
+      onError(requestError instanceof Error ? requestError.message : "保存模板失败");
+    }
+  };
+
+  const handleReset = async () => {
+    try {
+      await apiClient.resetChannelTemplate(channel.id, eventType);
+      onMessage(`${channel.name} 的${EVENT_TYPE_TEXT[eventType]}模板已恢复默认`);
+      await loadTemplates();
+    } catch (requestError) {
+      onError(requestError instanceof Error ? requestError.message : "恢复默认模板失败");
+    }
+  };
+
+  return (
+    <div className="space-y-3 border-t pt-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <Label>消息模板</Label>
+        <div className="flex gap-1">
+          {(Object.keys(EVENT_TYPE_TEXT) as TemplateEventType[]).map((type) => (
+            <Button
+              key={type}
+              size="sm"
+              variant={type === eventType ? "default" : "outline"}
+              onClick={() => setEventType(type)}
+            >
+              {EVENT_TYPE_TEXT[type]}
+              {templates.find((item) => item.eventType === type)?.source === "custom" && " *"}
+            </Button>
+          ))}
+        </div>
+      </div>
+
+      {channel.type !== "sms" && (
+        <Input value={title} onChange={(event) => setTitle(event.target.value)} placeholder="标题模板" />
+      )}
+      <Textarea
+        rows={7}
+        value={body}
+        onChange={(event) => setBody(event.target.value)}
+        className="font-mono text-xs"
+      />
+      <p className="text-xs text-slate-500">
+        Mustache 语法，仅支持变量与区块，不执行表达式。可用变量：{VARIABLE_HINTS.join("；")}
+      </p>
+
+      {preview && (
+        <div className="rounded-md border border-slate-200 bg-slate-50 p-3 text-sm">
+          <p className="mb-1 text-xs text-slate-500">预览（告警 {preview.alertId ?? "无"}）</p>
+          {preview.title && <p className="font-medium">{preview.title}</p>}
+          <pre className="whitespace-pre-wrap font-sans text-slate-700">{preview.body}</pre>
+        </div>
+      )}
+
+      <div className="flex flex-wrap justify-end gap-2">
+        {current?.source === "custom" && (
+          <Button variant="outline" className="gap-2" onClick={handleReset}>
+            <RotateCcw className="h-4 w-4" />
+            恢复默认
+          </Button>
+        )}
+        <Button variant="outline" className="gap-2" onClick={handlePreview}>
+          <Eye className="h-4 w-4" />
+          预览
+        </Button>
+        <Button className="gap-2" onClick={handleSave}>
+          <Save className="h-4 w-4" />
+          保存模板
+        </Button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,257 @@
+/**
+ * @file src/app/components/settings/DeadLetterPanel.tsx
+ * 文件作用：前端业务组件文件，用于页面内可复用的展示或交互模块。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { RotateCcw, Send } from "lucide-react";
+import { Card } from "../ui/card";
+import { Button } from "../ui/button";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "../ui/table";
+import { apiClient } from "../../lib/api";
+import type { ChannelItem, DeadLetterGroup, NotificationRecord } from "../../lib/types";
+import { formatDateTime } from "../../lib/format";
+
+/**
+ * 符号：DeadLetterPanelProps（interface）
+ * 作用说明：该类型声明用于约束数据形状，提高可读性和类型安全。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：类型层声明，不直接执行运行时逻辑，作用是约束其它代码的输入输出格式。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+interface DeadLetterPanelProps {
+  onMessage: (message: string) => void;
+  onError: (message: string) => void;
+}
+
+/**
+ * 符号：DeadLetterPanel（function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+export function DeadLetterPanel({ onMessage, onError }: DeadLetterPanelProps) {
+  const [items, setItems] = useState<NotificationRecord[]>([]);
+  const [groups, setGroups] = useState<DeadLetterGroup[]>([]);
+  const [channels, setChannels] = useState<ChannelItem[]>([]);
+  const [filter, setFilter] = useState<{ channelId?: string; reason?: string }>({});
+  const [selectedIds, setSelectedIds] = useState<string[]>([]);
+  const [targetChannelId, setTargetChannelId] = useState("");
+  const [loading, setLoading] = useState(true);
+
+  const loadDeadLetters = useCallback(async () => {
+    try {
+      const [deadLetters, channelResult] = await Promise.all([
+        apiClient.listDeadLetters({ ...filter, limit: 500 }),
+        apiClient.listChannels(),
+      ]);
+      setItems(deadLetters.items);
+      setGroups(deadLetters.groups);
+      setChannels(channelResult.items);
+      setSelectedIds((prev) => prev.filter((id) => deadLetters.items.some((item) => item.id === id)));
+    } catch (requestError) {
+      onError(requestError instanceof Error ? requestError.message : "加载死信失败");
+    } finally {
+      setLoading(false);
+    }
+  }, [filter, onError]);
+
+  useEffect(() => {
+    loadDeadLetters();
+  }, [loadDeadLetters]);
+
+  const selectedIdSet = useMemo(() => new Set(selectedIds), [selectedIds]);
+  const channelNameById = useMemo(
+    () => new Map(channels.map((channel) => [channel.id, `${channel.name} (${channel.type})`])),
+    [channels],
+  );
+
+  const toggleSelect = (id: string, checked: boolean) => {
+    setSelectedIds((prev) => (checked ? [...prev.filter((item) => item !== id), id] : prev.filter((item) => item !== id)));
+  };
+
+  const replay = async (channelId?: string) => {
+    if (!selectedIds.length) return;
+    try {
+      const result = await apiClient.replayNotifications({
+        ids: selectedIds,
+        channelId,
+        actor: localStorage.getItem("api_alert_user") || "admin",
+      });
+      const skippedText = result.skipped.length ? `，跳过 ${result.skipped.length} 条` : "";
+      const target = channelId ? `改投 ${channelNameById.get(channelId) ?? channelId}` : "原渠道重试";
+      onMessage(`${target}：已重新入队 ${result.replayedCount}/${result.requested}${skippedText}`);
+      setSelectedIds([]);
+      await loadDeadLetters();
+    } catch (requestError) {
+      onError(requestError instanceof Error ? requestError.message : "重放失败");
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <Card className="border-blue-100 bg-blue-50/60 p-3 text-sm text-blue-700">
+        重试耗尽或永久失败的通知进入死信。可在原渠道立即重试，或改投其他渠道；渠道配置 fallbackChannelId
+        后，主渠道硬失败会自动转投备用渠道一次。
+      </Card>
+
+      <Card className="overflow-hidden">
+        <div className="flex items-center justify-between border-b p-4">
+          <h3 className="font-semibold">失败原因分组</h3>
+          {(filter.channelId || filter.reason) && (
+            <Button variant="outline" size="sm" onClick={() => setFilter({})}>
+              清除筛选
+            </Button>
+          )}
+        </div>
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>渠道</TableHead>
+              <TableHead>失败原因</TableHead>
+              <TableHead>数量</TableHead>
+              <TableHead>最近失败</TableHead>
+              <TableHead className="text-right">操作</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {!loading && groups.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={5} className="py-8 text-center text-slate-500">
+                  暂无死信
+                </TableCell>
+              </TableRow>
+            )}
+            {groups.map((group) => (
+              <TableRow key={`${group.channelId}-${group.reason}`}>
+                <TableCell>
+                  <p className="text-sm font-medium">{group.channelName ?? group.channelId ?? "-"}</p>
+                  <p className="text-xs text-slate-500">{group.channelType}</p>
+                </TableCell>
+                <TableCell>
+                  <p className="font-mono text-xs">{group.reason}</p>
+                  {group.sampleError && group.sampleError !== group.reason && (
+                    <p className="max-w-md truncate text-xs text-slate-500">{group.sampleError}</p>
+                  )}
+                </TableCell>
+                <TableCell>{group.count}</TableCell>
+                <TableCell className="text-xs text-slate-500">{formatDateTime(group.latestAt)}</TableCell>
+                <TableCell className="text-right">
+                  <div className="flex justify-end gap-2">
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => setFilter({ channelId: group.channelId ?? undefined, reason: group.reason })}
+                    >
+                      查看
+                    </Button>
+                    <Button variant="outline" size="sm" onClick={() => setSelectedIds(group.ids)}>
+                      全选该组
+                    </Button>
+                  </div>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </Card>
+
+      <Card className="p-3">
+        <div className="flex flex-wrap items-center gap-2">
+          <Button
+            variant="outline"
+            size="sm"
+            className="gap-1"
+            onClick={() => replay()}
+            disabled={selectedIds.length === 0}
+          >
+            <RotateCcw className="h-4 w-4" />
+            原渠道立即重试
+          </Button>
+          <select
+            className="h-9 rounded-md border border-slate-200 px-3 text-sm"
+            value={targetChannelId}
+            onChange={(event) => setTargetChannelId(event.target.value)}
+          >
+            <option value="">选择改投渠道</option>
+            {channels.map((channel) => (
+              <option key={channel.id} value={channel.id}>
+                {channel.name} ({channel.type})
+              </option>
+            ))}
+          </select>
+          <Button
+            variant="outline"
+            size="sm"
+            className="gap-1"
+            onClick={() => replay(targetChannelId)}
+            disabled={selectedIds.length === 0 || !targetChannelId}
+          >
+            <Send className="h-4 w-4" />
+            改投该渠道
+          </Button>
+          <span className="text-xs text-slate-500">
+            已选 {selectedIds.length} 条{filter.reason ? ` · 筛选 ${filter.reason}` : ""}
+          </span>
+        </div>
+      </Card>
+
+      <Card className="overflow-hidden">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead className="w-10">选择</TableHead>
+              <TableHead>失败时间</TableHead>
+              <TableHead>渠道</TableHead>
+              <TableHead>事件</TableHead>
+              <TableHead>告警</TableHead>
+              <TableHead>尝试</TableHead>
+              <TableHead>错误</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {items.map((record) => (
+              <TableRow key={record.id}>
+                <TableCell>
+                  <input
+                    type="checkbox"
+                    aria-label={`select-dead-letter-${record.id}`}
+                    checked={selectedIdSet.has(record.id)}
+                    onChange={(event) => toggleSelect(record.id, event.target.checked)}
+                  />
+                </TableCell>
+                <TableCell className="text-xs text-slate-500">
+                  {formatDateTime(record.lastAttemptAt || record.createdAt)}
+                </TableCell>
+                <TableCell className="text-xs">
+                  {record.channelId ? channelNameById.get(record.channelId) ?? record.channelId : record.channelType}
+                </TableCell>
+                <TableCell className="text-xs">{record.eventType || "trigger"}</TableCell>
+                <TableCell className="font-mono text-xs">{record.alertId || "-"}</TableCell>
+                <TableCell className="text-xs">
+                  {record.attempts ?? 0}/{record.maxAttempts ?? "-"}
+                  {record.replayCount ? <span className="ml-1 text-slate-500">重放 {record.replayCount} 次</span> : null}
+                </TableCell>
+                <TableCell className="max-w-md text-xs text-slate-500">
+                  <p className="truncate">{record.lastError || record.response}</p>
+                  {record.fallbackRecordId && <p className="text-blue-600">已转投备用渠道 {record.fallbackRecordId}</p>}
+                  {record.fallbackError && <p className="text-amber-600">{record.fallbackError}</p>}
+                  {record.fallbackOf && <p>备用渠道转投自 {record.fallbackOf}</p>}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </Card>
+    </div>
+  );
+}
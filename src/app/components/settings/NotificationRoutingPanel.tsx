@@ -0,0 +1,249 @@
+/**
+ * @file src/app/components/settings/NotificationRoutingPanel.tsx
+ * 文件作用：前端业务组件文件，用于页面内可复用的展示或交互模块。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import { useCallback, useEffect, useState } from "react";
+import { Route, Save } from "lucide-react";
+import { Card } from "../ui/card";
+import { Input } from "../ui/input";
+import { Label } from "../ui/label";
+import { Button } from "../ui/button";
+import { Textarea } from "../ui/textarea";
+import { apiClient } from "../../lib/api";
+import type {
+  AlertItem,
+  ChannelItem,
+  NotificationRoute,
+  NotificationRouteEventType,
+  NotificationRoutingDryRun,
+} from "../../lib/types";
+import { formatDateTime } from "../../lib/format";
+
+/**
+ * 符号：NotificationRoutingPanelProps（interface）
+ * 作用说明：该类型声明用于约束数据形状，提高可读性和类型安全。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：类型层声明，不直接执行运行时逻辑，作用是约束其它代码的输入输出格式。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+interface NotificationRoutingPanelProps {
+  onMessage: (message: string) => void;
+  onError: (message: string) => void;
+}
+
+const EVENT_TYPE_OPTIONS: Array<{ value: NotificationRouteEventType; label: string }> = [
+  { value: "trigger", label: "触发" },
+  { value: "recovery", label: "恢复" },
+  { value: "incident_update", label: "事件更新" },
+];
+
+const ROUTES_EXAMPLE: Array<Partial<NotificationRoute>> = [
+  {
+    name: "支付 P1 夜间",
+    matchers: { priority: ["P1"], service: ["payment"], environment: [], tag: [], eventType: ["trigger"] },
+    activeTime: { days: [], start: "22:00", end: "08:00", utcOffsetMinutes: 480 },
+    channels: ["sms", "slack"],
+    continue: false,
+  },
+];
+
+/**
+ * 符号：splitList（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中使用 map/filter/reduce 等数组操作，强调声明式数据变换。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+const splitList = (text: string) =>
+  text
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * 符号：NotificationRoutingPanel（function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+export function NotificationRoutingPanel({ onMessage, onError }: NotificationRoutingPanelProps) {
+  const [enabled, setEnabled] = useState(false);
+  const [routesText, setRoutesText] = useState("[]");
+  const [defaultChannelsText, setDefaultChannelsText] = useState("");
+  const [channels, setChannels] = useState<ChannelItem[]>([]);
+  const [alerts, setAlerts] = useState<AlertItem[]>([]);
+  const [dryRunAlertId, setDryRunAlertId] = useState("");
+  const [dryRunEventType, setDryRunEventType] = useState<NotificationRouteEventType>("trigger");
+  const [dryRunAt, setDryRunAt] = useState("");
+  const [dryRun, setDryRun] = useState<NotificationRoutingDryRun | null>(null);
+  const [saving, setSaving] = useState(false);
+
+  const loadRouting = useCallback(async () => {
+    try {
+      const [routing, channelResult, alertResult] = await Promise.all([
+        apiClient.getNotificationRouting(),
+        apiClient.listChannels(),
+        apiClient.listAlerts({ limit: 50 }),
+      ]);
+      setEnabled(routing.item.enabled);
+      setRoutesText(JSON.stringify(routing.item.routes, null, 2));
+      setDefaultChannelsText(routing.item.defaultRoute.channels.join(", "));
+      setChannels(channelResult.items);
+      setAlerts(alertResult.items);
+      setDryRunAlertId((prev) => prev || alertResult.items[0]?.id || "");
+    } catch (requestError) {
+      onError(requestError instanceof Error ? requestError.message : "加载通知路由失败");
+    }
+  }, [onError]);
+
+  useEffect(() => {
+    loadRouting();
+  }, [loadRouting]);
+
+  // 保存与试算都以编辑中的内容为准，试算可在保存前验证草稿。
+  const readDraft = () => {
+    const routes = JSON.parse(routesText || "[]") as NotificationRoute[];
+    if (!Array.isArray(routes)) {
+      throw new Error("路由必须是 JSON 数组");
+    }
+    return { enabled, routes, defaultRoute: { channels: splitList(defaultChannelsText) } };
+  };
+
+  const saveRouting = async () => {
+    setSaving(true);
+    try {
+      const result = await apiClient.updateNotificationRouting({
+        ...readDraft(),
+        actor: localStorage.getItem("api_alert_user") || "admin",
+      });
+      setRoutesText(JSON.stringify(result.item.routes, null, 2));
+      onMessage(`通知路由已保存（${result.item.enabled ? "已启用" : "未启用"}，${result.item.routes.length} 条路由）`);
+    } catch (requestError) {
+      onError(requestError instanceof Error ? requestError.message : "保存通知路由失败");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const runDryRun = async () => {
+    if (!dryRunAlertId) return;
+    try {
+      const result = await apiClient.dryRunNotificationRouting({
+        alertId: dryRunAlertId,
+        eventType: dryRunEventType,
+        at: dryRunAt ? new Date(dryRunAt).toISOString() : undefined,
+        routing: readDraft(),
+      });
+      setDryRun(result.item);
+    } catch (requestError) {
+      onError(requestError instanceof Error ? requestError.message : "路由试算失败");
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <Card className="border-blue-100 bg-blue-50/60 p-3 text-sm text-blue-700">
+        启用后告警通知由路由决定发往哪些渠道：按顺序匹配优先级、服务、环境、标签、事件类型与生效时段，命中且
+        continue=false 的路由停止向下匹配；都未命中时走默认路由，默认路由为空则沿用规则自身的通知渠道。升级通知仍按升级策略发送。
+      </Card>
+
+      <Card className="space-y-4 p-4">
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={enabled} onChange={(event) => setEnabled(event.target.checked)} />
+          启用通知路由
+        </label>
+        <div className="space-y-2">
+          <Label>路由（JSON 数组，自上而下匹配）</Label>
+          <Textarea
+            rows={14}
+            className="font-mono text-xs"
+            value={routesText}
+            placeholder={JSON.stringify(ROUTES_EXAMPLE, null, 2)}
+            onChange={(event) => setRoutesText(event.target.value)}
+          />
+          <p className="text-xs text-slate-500">
+            channels 填渠道 ID 或渠道类型；activeTime.days 取 0-6（0 为周日），start 晚于 end 表示跨零点。可用渠道：
+            {channels.map((channel) => `${channel.name}(${channel.id})`).join("、") || "无"}
+          </p>
+        </div>
+        <div className="space-y-2">
+          <Label>默认路由渠道（逗号分隔，留空沿用规则渠道）</Label>
+          <Input value={defaultChannelsText} onChange={(event) => setDefaultChannelsText(event.target.value)} />
+        </div>
+        <Button className="gap-2" onClick={saveRouting} disabled={saving}>
+          <Save className="h-4 w-4" />
+          保存路由
+        </Button>
+      </Card>
+
+      <Card className="space-y-3 p-4">
+        <h3 className="font-semibold">路由试算</h3>
+        <div className="flex flex-wrap items-end gap-2">
+          <div className="space-y-1">
+            <Label>告警</Label>
+            <select
+              className="h-9 max-w-md rounded-md border border-slate-200 px-3 text-sm"
+              value={dryRunAlertId}
+              onChange={(event) => setDryRunAlertId(event.target.value)}
+            >
+              {alerts.map((alert) => (
+                <option key={alert.id} value={alert.id}>
+                  [{alert.level}] {alert.title} · {alert.apiName ?? alert.apiId}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="space-y-1">
+            <Label>事件类型</Label>
+            <select
+              className="h-9 rounded-md border border-slate-200 px-3 text-sm"
+              value={dryRunEventType}
+              onChange={(event) => setDryRunEventType(event.target.value as NotificationRouteEventType)}
+            >
+              {EVENT_TYPE_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="space-y-1">
+            <Label>发生时间（留空为当前）</Label>
+            <Input type="datetime-local" value={dryRunAt} onChange={(event) => setDryRunAt(event.target.value)} />
+          </div>
+          <Button variant="outline" className="gap-2" onClick={runDryRun} disabled={!dryRunAlertId}>
+            <Route className="h-4 w-4" />
+            试算
+          </Button>
+        </div>
+
+        {dryRun && (
+          <div className="space-y-2 text-sm">
+            <p className="text-slate-600">
+              {formatDateTime(dryRun.at)} ·{" "}
+              {!dryRun.routingEnabled
+                ? "路由未启用，沿用规则渠道"
+                : dryRun.matchedRoutes.length
+                  ? `命中路由：${dryRun.matchedRoutes.map((route) => route.name || route.id).join(" → ")}`
+                  : dryRun.useRuleActions
+                    ? "未命中任何路由，默认路由为空，沿用规则渠道"
+                    : "未命中任何路由，走默认路由"}
+            </p>
+            {dryRun.targets.length === 0 && <p className="text-slate-500">不会发送任何通知</p>}
+            {dryRun.targets.map((target) => (
+              <div key={`${target.action}-${target.channelId}`} className="rounded border border-slate-200 px-3 py-2 text-xs">
+                <span className="font-medium">{target.channelName ?? target.action}</span>
+                <span className="ml-2 text-slate-500">{target.channelType ?? "渠道不存在"}</span>
+                {target.routeId && <span className="ml-2 text-slate-500">路由 {target.routeId}</span>}
+                {target.channelId && !target.channelEnabled && <span className="ml-2 text-amber-600">渠道已停用</span>}
+              </div>
+            ))}
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+}
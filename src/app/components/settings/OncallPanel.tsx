@@ -0,0 +1,370 @@
+/**
+ * @file src/app/components/settings/OncallPanel.tsx
+ * 文件作用：前端业务组件文件，用于页面内可复用的展示或交互模块。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import { useCallback, useEffect, useState } from "react";
+import { Card } from "../ui/card";
+import { Input } from "../ui/input";
+import { Label } from "../ui/label";
+import { Button } from "../ui/button";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "../ui/table";
+import { apiClient } from "../../lib/api";
+import type { OncallSchedule, UserItem } from "../../lib/types";
+import { formatDateTime } from "../../lib/format";
+
+/**
+ * 符号：OncallPanelProps（interface）
+ * 作用说明：该类型声明用于约束数据形状，提高可读性和类型安全。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：类型层声明，不直接执行运行时逻辑，作用是约束其它代码的输入输出格式。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+interface OncallPanelProps {
+  users: UserItem[];
+  onMessage: (message: string) => void;
+  onError: (message: string) => void;
+}
+
+/**
+ * 符号：NOTIFY_OPTIONS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+const NOTIFY_OPTIONS = ["email", "sms", "webhook", "slack", "wechat"];
+
+/**
+ * 符号：browserTimeZone（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+const browserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+/**
+ * 符号：todayText（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+const todayText = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * 符号：toIsoFromLocalInput（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+const toIsoFromLocalInput = (value: string) => (value ? new Date(value).toISOString() : "");
+
+/**
+ * 符号：OncallPanel（function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+export function OncallPanel({ users, onMessage, onError }: OncallPanelProps) {
+  const [schedules, setSchedules] = useState<OncallSchedule[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [name, setName] = useState("");
+  const [timeZone, setTimeZone] = useState(browserTimeZone);
+  const [notifyVia, setNotifyVia] = useState<string[]>(["email"]);
+  const [layerUsers, setLayerUsers] = useState<string[]>([]);
+  const [startDate, setStartDate] = useState(todayText);
+  const [handoffTime, setHandoffTime] = useState("09:00");
+  const [shiftDays, setShiftDays] = useState(7);
+  const [overrideScheduleId, setOverrideScheduleId] = useState("");
+  const [overrideUserId, setOverrideUserId] = useState("");
+  const [overrideStartsAt, setOverrideStartsAt] = useState("");
+  const [overrideEndsAt, setOverrideEndsAt] = useState("");
+
+  const userName = (userId: string) => users.find((user) => user.id === userId)?.name ?? userId;
+
+  const loadSchedules = useCallback(async () => {
+    try {
+      const result = await apiClient.listOncallSchedules();
+      setSchedules(result.items);
+    } catch (requestError) {
+      onError(requestError instanceof Error ? requestError.message : "加载值班表失败");
+    } finally {
+      setLoading(false);
+    }
+  }, [onError]);
+
+  useEffect(() => {
+    loadSchedules();
+  }, [loadSchedules]);
+
+  const toggleInList = (list: string[], value: string) =>
+    list.includes(value) ? list.filter((item) => item !== value) : [...list, value];
+
+  const createSchedule = async () => {
+    try {
+      await apiClient.createOncallSchedule({
+        name: name.trim(),
+        timeZone: timeZone.trim(),
+        notifyVia,
+        layers: [
+          {
+            name: "主值班",
+            users: layerUsers,
+            startDate,
+            handoffTime,
+            shiftDays,
+            restriction: null,
+          },
+        ],
+      });
+      setName("");
+      setLayerUsers([]);
+      onMessage("值班表已创建");
+      await loadSchedules();
+    } catch (requestError) {
+      onError(requestError instanceof Error ? requestError.message : "创建值班表失败");
+    }
+  };
+
+  const addOverride = async () => {
+    try {
+      await apiClient.addOncallOverride(overrideScheduleId, {
+        userId: overrideUserId,
+        startsAt: toIsoFromLocalInput(overrideStartsAt),
+        endsAt: toIsoFromLocalInput(overrideEndsAt),
+      });
+      setOverrideStartsAt("");
+      setOverrideEndsAt("");
+      onMessage(`已安排 ${userName(overrideUserId)} 临时替班`);
+      await loadSchedules();
+    } catch (requestError) {
+      onError(requestError instanceof Error ? requestError.message : "添加替班失败");
+    }
+  };
+
+  const deleteOverride = async (schedule: OncallSchedule, overrideId: string) => {
+    try {
+      await apiClient.deleteOncallOverride(schedule.id, overrideId);
+      onMessage("替班已取消");
+      await loadSchedules();
+    } catch (requestError) {
+      onError(requestError instanceof Error ? requestError.message : "取消替班失败");
+    }
+  };
+
+  const deleteSchedule = async (schedule: OncallSchedule) => {
+    const force = schedule.referencedBy.length > 0;
+    const prompt = force
+      ? `${schedule.name} 正被升级层级 ${schedule.referencedBy.join("/")} 引用，删除后会一并移除这些升级目标，确认？`
+      : `确认删除 ${schedule.name}？`;
+    if (!window.confirm(prompt)) return;
+
+    try {
+      await apiClient.deleteOncallSchedule(schedule.id, force);
+      onMessage("值班表已删除");
+      await loadSchedules();
+    } catch (requestError) {
+      onError(requestError instanceof Error ? requestError.message : "删除值班表失败");
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <Card className="border-blue-100 bg-blue-50/60 p-3 text-sm text-blue-700">
+        轮转按值班表时区的本地日历计算，每到交接时刻切换到下一位；临时替班优先于轮转。在告警策略的升级层级
+        actions 中填写 <span className="font-mono">oncall:&lt;值班表 ID&gt;</span>，升级时会通知当时的值班人。
+      </Card>
+
+      <Card className="space-y-4 p-4">
+        <div className="grid grid-cols-1 gap-3 md:grid-cols-4">
+          <div className="space-y-2">
+            <Label>名称</Label>
+            <Input value={name} onChange={(event) => setName(event.target.value)} placeholder="支付值班" />
+          </div>
+          <div className="space-y-2">
+            <Label>时区</Label>
+            <Input value={timeZone} onChange={(event) => setTimeZone(event.target.value)} placeholder="Asia/Shanghai" />
+          </div>
+          <div className="space-y-2">
+            <Label>首轮开始日期</Label>
+            <Input type="date" value={startDate} onChange={(event) => setStartDate(event.target.value)} />
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <div className="space-y-2">
+              <Label>交接时刻</Label>
+              <Input type="time" value={handoffTime} onChange={(event) => setHandoffTime(event.target.value)} />
+            </div>
+            <div className="space-y-2">
+              <Label>每班天数</Label>
+              <Input type="number" value={shiftDays} onChange={(event) => setShiftDays(Number(event.target.value))} />
+            </div>
+          </div>
+        </div>
+
+        <div className="space-y-2">
+          <Label>轮值顺序（按勾选顺序轮换）</Label>
+          <div className="flex flex-wrap gap-3 text-sm">
+            {users.map((user) => (
+              <label key={user.id} className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={layerUsers.includes(user.id)}
+                  onChange={() => setLayerUsers((prev) => toggleInList(prev, user.id))}
+                />
+                {user.name}
+                {layerUsers.includes(user.id) && (
+                  <span className="text-xs text-slate-400">#{layerUsers.indexOf(user.id) + 1}</span>
+                )}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div className="space-y-2">
+          <Label>通知方式</Label>
+          <div className="flex flex-wrap gap-3 text-sm">
+            {NOTIFY_OPTIONS.map((option) => (
+              <label key={option} className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={notifyVia.includes(option)}
+                  onChange={() => setNotifyVia((prev) => toggleInList(prev, option))}
+                />
+                {option}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <Button onClick={createSchedule}>创建值班表</Button>
+      </Card>
+
+      <Card className="space-y-3 p-4">
+        <p className="text-sm font-medium">临时替班</p>
+        <div className="grid grid-cols-1 gap-3 md:grid-cols-5">
+          <select
+            className="h-10 w-full rounded-md border border-slate-200 px-3 text-sm"
+            value={overrideScheduleId}
+            onChange={(event) => setOverrideScheduleId(event.target.value)}
+          >
+            <option value="">选择值班表</option>
+            {schedules.map((schedule) => (
+              <option key={schedule.id} value={schedule.id}>
+                {schedule.name}
+              </option>
+            ))}
+          </select>
+          <select
+            className="h-10 w-full rounded-md border border-slate-200 px-3 text-sm"
+            value={overrideUserId}
+            onChange={(event) => setOverrideUserId(event.target.value)}
+          >
+            <option value="">替班人</option>
+            {users.map((user) => (
+              <option key={user.id} value={user.id}>
+                {user.name}
+              </option>
+            ))}
+          </select>
+          <Input
+            type="datetime-local"
+            value={overrideStartsAt}
+            onChange={(event) => setOverrideStartsAt(event.target.value)}
+          />
+          <Input type="datetime-local" value={overrideEndsAt} onChange={(event) => setOverrideEndsAt(event.target.value)} />
+          <Button variant="outline" onClick={addOverride} disabled={!overrideScheduleId || !overrideUserId}>
+            添加替班
+          </Button>
+        </div>
+      </Card>
+
+      <Card className="overflow-hidden">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>值班表</TableHead>
+              <TableHead>轮值</TableHead>
+              <TableHead>当前值班</TableHead>
+              <TableHead>替班</TableHead>
+              <TableHead className="text-right">操作</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {!loading && schedules.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={5} className="py-8 text-center text-slate-500">
+                  暂无值班表
+                </TableCell>
+              </TableRow>
+            )}
+            {schedules.map((schedule) => (
+              <TableRow key={schedule.id}>
+                <TableCell>
+                  <p className="font-medium">{schedule.name}</p>
+                  <p className="font-mono text-xs text-slate-500">oncall:{schedule.id}</p>
+                  <p className="text-xs text-slate-500">
+                    {schedule.timeZone} · {schedule.notifyVia.join("/")}
+                    {schedule.referencedBy.length > 0 && ` · 升级 ${schedule.referencedBy.join("/")}`}
+                  </p>
+                </TableCell>
+                <TableCell className="text-xs text-slate-600">
+                  {schedule.layers.map((layer) => (
+                    <p key={layer.id}>
+                      {layer.name}: {layer.users.map(userName).join(" → ")}（每 {layer.shiftDays} 天 {layer.handoffTime}{" "}
+                      交接）
+                    </p>
+                  ))}
+                </TableCell>
+                <TableCell className="text-xs">
+                  {schedule.current ? (
+                    <>
+                      <p className="font-medium text-slate-800">
+                        {schedule.current.name ?? schedule.current.userId}
+                        {schedule.current.source === "override" && " (替班)"}
+                      </p>
+                      <p className="text-slate-500">至 {formatDateTime(schedule.current.shiftEndsAt)}</p>
+                    </>
+                  ) : (
+                    <span className="text-slate-400">无人值班</span>
+                  )}
+                </TableCell>
+                <TableCell className="text-xs text-slate-500">
+                  {schedule.overrides.map((override) => (
+                    <p key={override.id}>
+                      {userName(override.userId)} {formatDateTime(override.startsAt)} ~ {formatDateTime(override.endsAt)}{" "}
+                      <button className="text-red-600" onClick={() => deleteOverride(schedule, override.id)}>
+                        取消
+                      </button>
+                    </p>
+                  ))}
+                </TableCell>
+                <TableCell className="text-right">
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    className="text-red-600 hover:text-red-700"
+                    onClick={() => deleteSchedule(schedule)}
+                  >
+                    删除
+                  </Button>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </Card>
+    </div>
+  );
+}
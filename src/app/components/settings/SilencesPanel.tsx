@@ -0,0 +1,364 @@
+/**
+ * @file src/app/components/settings/SilencesPanel.tsx
+ * 文件作用：前端业务组件文件，用于页面内可复用的展示或交互模块。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import { useCallback, useEffect, useState } from "react";
+import { Card } from "../ui/card";
+import { Input } from "../ui/input";
+import { Label } from "../ui/label";
+import { Button } from "../ui/button";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "../ui/table";
+import { apiClient } from "../../lib/api";
+import type { SilenceItem } from "../../lib/types";
+import { formatDateTime } from "../../lib/format";
+
+/**
+ * 符号：SilencesPanelProps（interface）
+ * 作用说明：该类型声明用于约束数据形状，提高可读性和类型安全。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：类型层声明，不直接执行运行时逻辑，作用是约束其它代码的输入输出格式。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+interface SilencesPanelProps {
+  onMessage: (message: string) => void;
+  onError: (message: string) => void;
+}
+
+const MATCHER_FIELDS: Array<{ key: keyof SilenceItem["matchers"]; label: string; placeholder: string }> = [
+  { key: "service", label: "服务", placeholder: "payment,order" },
+  { key: "apiId", label: "API ID", placeholder: "api_payment_create" },
+  { key: "tag", label: "标签", placeholder: "core" },
+  { key: "ruleId", label: "规则 ID", placeholder: "rule_error_rate" },
+  { key: "priority", label: "级别", placeholder: "P2,P3" },
+  { key: "environment", label: "环境", placeholder: "staging" },
+];
+
+const STATUS_TEXT: Record<SilenceItem["status"], string> = {
+  active: "生效中",
+  pending: "未开始",
+  expired: "已过期",
+  disabled: "已停用",
+};
+
+const STATUS_CLASS: Record<SilenceItem["status"], string> = {
+  active: "bg-amber-100 text-amber-700",
+  pending: "bg-blue-100 text-blue-700",
+  expired: "bg-slate-100 text-slate-500",
+  disabled: "bg-slate-100 text-slate-500",
+};
+
+/**
+ * 符号：splitValues（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中使用 map/filter/reduce 等数组操作，强调声明式数据变换。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+const splitValues = (text: string) =>
+  text
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * 符号：describeMatchers（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中使用 map/filter/reduce 等数组操作，强调声明式数据变换。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+const describeMatchers = (matchers: SilenceItem["matchers"]) =>
+  MATCHER_FIELDS.filter((field) => matchers[field.key].length > 0)
+    .map((field) => `${field.label}=${matchers[field.key].join("|")}`)
+    .join(" & ");
+
+/**
+ * 符号：toIsoFromLocalInput（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+const toIsoFromLocalInput = (value: string) => (value ? new Date(value).toISOString() : null);
+
+/**
+ * 符号：SilencesPanel（function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+export function SilencesPanel({ onMessage, onError }: SilencesPanelProps) {
+  const [silences, setSilences] = useState<SilenceItem[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [name, setName] = useState("");
+  const [kind, setKind] = useState<SilenceItem["kind"]>("silence");
+  const [mode, setMode] = useState<SilenceItem["mode"]>("mute");
+  const [matcherText, setMatcherText] = useState<Record<keyof SilenceItem["matchers"], string>>({
+    apiId: "",
+    service: "",
+    tag: "",
+    ruleId: "",
+    priority: "",
+    environment: "",
+  });
+  const [startsAt, setStartsAt] = useState("");
+  const [endsAt, setEndsAt] = useState("");
+  const [cron, setCron] = useState("0 2 * * 6");
+  const [durationMinutes, setDurationMinutes] = useState(120);
+  const [comment, setComment] = useState("");
+
+  const loadSilences = useCallback(async () => {
+    try {
+      const result = await apiClient.listSilences();
+      setSilences(result.items);
+    } catch (requestError) {
+      onError(requestError instanceof Error ? requestError.message : "加载静默规则失败");
+    } finally {
+      setLoading(false);
+    }
+  }, [onError]);
+
+  useEffect(() => {
+    loadSilences();
+  }, [loadSilences]);
+
+  const changeKind = (nextKind: SilenceItem["kind"]) => {
+    setKind(nextKind);
+    setMode(nextKind === "maintenance" ? "drop" : "mute");
+  };
+
+  const createSilence = async () => {
+    const matchers = Object.fromEntries(
+      MATCHER_FIELDS.map((field) => [field.key, splitValues(matcherText[field.key])]),
+    ) as SilenceItem["matchers"];
+
+    try {
+      await apiClient.createSilence({
+        name: name.trim(),
+        kind,
+        mode,
+        matchers,
+        startsAt: toIsoFromLocalInput(startsAt),
+        endsAt: toIsoFromLocalInput(endsAt),
+        schedule:
+          kind === "maintenance"
+            ? { cron: cron.trim(), durationMinutes, utcOffsetMinutes: -new Date().getTimezoneOffset() }
+            : null,
+        comment,
+      });
+      setName("");
+      setComment("");
+      onMessage(kind === "maintenance" ? "维护窗口已创建" : "静默已创建");
+      await loadSilences();
+    } catch (requestError) {
+      onError(requestError instanceof Error ? requestError.message : "创建静默失败");
+    }
+  };
+
+  const toggleSilence = async (silence: SilenceItem) => {
+    try {
+      await apiClient.updateSilence(silence.id, { enabled: !silence.enabled });
+      onMessage(silence.enabled ? `已停用 ${silence.name}` : `已启用 ${silence.name}`);
+      await loadSilences();
+    } catch (requestError) {
+      onError(requestError instanceof Error ? requestError.message : "更新静默失败");
+    }
+  };
+
+  const expireSilence = async (silence: SilenceItem) => {
+    try {
+      await apiClient.updateSilence(silence.id, { endsAt: new Date().toISOString() });
+      onMessage(`已提前结束 ${silence.name}`);
+      await loadSilences();
+    } catch (requestError) {
+      onError(requestError instanceof Error ? requestError.message : "结束静默失败");
+    }
+  };
+
+  const deleteSilence = async (silence: SilenceItem) => {
+    if (!window.confirm(`确认删除 ${silence.name}？`)) return;
+
+    try {
+      await apiClient.deleteSilence(silence.id);
+      onMessage("静默规则已删除");
+      await loadSilences();
+    } catch (requestError) {
+      onError(requestError instanceof Error ? requestError.message : "删除静默失败");
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <Card className="border-blue-100 bg-blue-50/60 p-3 text-sm text-blue-700">
+        匹配条件之间为“且”，同一条件内逗号分隔的多个值为“或”。drop 模式在窗口内不创建告警；mute
+        模式照常创建告警但不发送首轮通知。维护窗口按浏览器所在时区解释 cron。
+      </Card>
+
+      <Card className="space-y-4 p-4">
+        <div className="grid grid-cols-1 gap-3 md:grid-cols-4">
+          <div className="space-y-2">
+            <Label>名称</Label>
+            <Input value={name} onChange={(event) => setName(event.target.value)} placeholder="发布静默" />
+          </div>
+          <div className="space-y-2">
+            <Label>类型</Label>
+            <select
+              className="h-10 w-full rounded-md border border-slate-200 px-3 text-sm"
+              value={kind}
+              onChange={(event) => changeKind(event.target.value as SilenceItem["kind"])}
+            >
+              <option value="silence">临时静默</option>
+              <option value="maintenance">周期维护窗口</option>
+            </select>
+          </div>
+          <div className="space-y-2">
+            <Label>处理方式</Label>
+            <select
+              className="h-10 w-full rounded-md border border-slate-200 px-3 text-sm"
+              value={mode}
+              onChange={(event) => setMode(event.target.value as SilenceItem["mode"])}
+            >
+              <option value="mute">mute（建告警不通知）</option>
+              <option value="drop">drop（不建告警）</option>
+            </select>
+          </div>
+          <div className="space-y-2">
+            <Label>备注</Label>
+            <Input value={comment} onChange={(event) => setComment(event.target.value)} />
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 gap-3 md:grid-cols-3">
+          {MATCHER_FIELDS.map((field) => (
+            <div key={field.key} className="space-y-2">
+              <Label>{field.label}</Label>
+              <Input
+                value={matcherText[field.key]}
+                placeholder={field.placeholder}
+                onChange={(event) =>
+                  setMatcherText((prev) => ({ ...prev, [field.key]: event.target.value }))
+                }
+              />
+            </div>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-1 gap-3 md:grid-cols-4">
+          <div className="space-y-2">
+            <Label>{kind === "maintenance" ? "生效开始（可选）" : "开始时间（留空为立即）"}</Label>
+            <Input type="datetime-local" value={startsAt} onChange={(event) => setStartsAt(event.target.value)} />
+          </div>
+          <div className="space-y-2">
+            <Label>{kind === "maintenance" ? "生效结束（可选）" : "结束时间"}</Label>
+            <Input type="datetime-local" value={endsAt} onChange={(event) => setEndsAt(event.target.value)} />
+          </div>
+          {kind === "maintenance" && (
+            <>
+              <div className="space-y-2">
+                <Label>cron（分 时 日 月 周）</Label>
+                <Input value={cron} onChange={(event) => setCron(event.target.value)} className="font-mono" />
+              </div>
+              <div className="space-y-2">
+                <Label>持续时长(分钟)</Label>
+                <Input
+                  type="number"
+                  value={durationMinutes}
+                  onChange={(event) => setDurationMinutes(Number(event.target.value))}
+                />
+              </div>
+            </>
+          )}
+        </div>
+
+        <Button onClick={createSilence}>{kind === "maintenance" ? "创建维护窗口" : "创建静默"}</Button>
+      </Card>
+
+      <Card className="overflow-hidden">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>名称</TableHead>
+              <TableHead>匹配条件</TableHead>
+              <TableHead>时间</TableHead>
+              <TableHead>状态</TableHead>
+              <TableHead>命中</TableHead>
+              <TableHead className="text-right">操作</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {!loading && silences.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={6} className="py-8 text-center text-slate-500">
+                  暂无静默或维护窗口
+                </TableCell>
+              </TableRow>
+            )}
+            {silences.map((silence) => (
+              <TableRow key={silence.id}>
+                <TableCell>
+                  <p className="font-medium">{silence.name}</p>
+                  <p className="text-xs text-slate-500">
+                    {silence.kind === "maintenance" ? "维护窗口" : "临时静默"} · {silence.mode}
+                  </p>
+                </TableCell>
+                <TableCell className="max-w-xs text-xs text-slate-600">{describeMatchers(silence.matchers)}</TableCell>
+                <TableCell className="text-xs text-slate-500">
+                  {silence.schedule ? (
+                    <>
+                      <p className="font-mono">
+                        {silence.schedule.cron} · {silence.schedule.durationMinutes}m
+                      </p>
+                      {silence.nextStartsAt && <p>下次: {formatDateTime(silence.nextStartsAt)}</p>}
+                    </>
+                  ) : (
+                    <p>
+                      {silence.startsAt ? formatDateTime(silence.startsAt) : "立即"} ~ {formatDateTime(silence.endsAt)}
+                    </p>
+                  )}
+                  {silence.activeWindow?.endsAt && <p>本次至: {formatDateTime(silence.activeWindow.endsAt)}</p>}
+                </TableCell>
+                <TableCell>
+                  <span className={`rounded px-2 py-0.5 text-xs ${STATUS_CLASS[silence.status]}`}>
+                    {STATUS_TEXT[silence.status]}
+                  </span>
+                </TableCell>
+                <TableCell className="text-xs text-slate-500">
+                  {silence.matchedCount}
+                  {silence.lastMatchedAt && <p>{formatDateTime(silence.lastMatchedAt)}</p>}
+                </TableCell>
+                <TableCell className="space-x-2 text-right">
+                  {silence.kind === "silence" && silence.status === "active" && (
+                    <Button variant="outline" size="sm" onClick={() => expireSilence(silence)}>
+                      提前结束
+                    </Button>
+                  )}
+                  <Button variant="outline" size="sm" onClick={() => toggleSilence(silence)}>
+                    {silence.enabled ? "停用" : "启用"}
+                  </Button>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    className="text-red-600 hover:text-red-700"
+                    onClick={() => deleteSilence(silence)}
+                  >
+                    删除
+                  </Button>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </Card>
+    </div>
+  );
+}
@@ -4,7 +4,7 @@
  * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
  */
 
-import { Link, Outlet, useLocation } from "react-router";
+import { Link, Outlet, useLocation, useNavigate } from "react-router";
 import {
   Activity,
   AlertTriangle,
@@ -13,7 +13,9 @@ import {
   ChevronDown,
   ChevronLeft,
   ChevronRight,
+  Layers,
   LayoutDashboard,
+  LogOut,
   Menu,
   Settings,
   User,
@@ -22,6 +24,9 @@ import {
 } from "lucide-react";
 import { useEffect, useMemo, useState } from "react";
 import { Button } from "../components/ui/button";
+import { apiClient, clearAuthToken, getAuthToken } from "../lib/api";
+import { closeServerEvents } from "../lib/events";
+import type { AuthSession } from "../lib/types";
 
 /**
  * 符号：TEXT（const）
@@ -35,15 +40,14 @@ const TEXT = {
   apiMonitor: "API \u76D1\u63A7",
   rules: "\u89C4\u5219\u5F15\u64CE",
   alerts: "\u544A\u8B66\u4E2D\u5FC3",
+  incidents: "\u4E8B\u4EF6\u4E2D\u5FC3",
   channels: "\u901A\u77E5\u6E20\u9053",
   quality: "\u8D28\u91CF\u62A5\u8868",
   settings: "\u7CFB\u7EDF\u8BBE\u7F6E",
   appTitle: "\u89C4\u5219\u5F15\u64CE\u544A\u8B66\u5E73\u53F0",
   appSubTitle: "Node Full Stack",
   defaultTitle: "API \u9884\u8B66\u7CFB\u7EDF",
-  switchActorPrompt: "\u8BF7\u8F93\u5165\u64CD\u4F5C\u4EBA\u540D\u79F0\uFF08\u7528\u4E8E\u5BA1\u8BA1\u8BB0\u5F55\uFF09",
-  actorIdentity: "\u64CD\u4F5C\u4EBA\u8EAB\u4EFD\uFF08\u5BA1\u8BA1\u7528\u9014\uFF09",
-  switchActor: "\u5207\u6362\u64CD\u4F5C\u4EBA",
+  logout: "\u9000\u51FA\u767B\u5F55",
   serviceRunning: "\u670D\u52A1\u8FD0\u884C\u4E2D",
   core: "Core",
   advanced: "Advanced",
@@ -64,6 +68,7 @@ const coreNavItems = [
   { path: "/api-monitor", label: TEXT.apiMonitor, icon: Activity },
   { path: "/rules", label: TEXT.rules, icon: Zap },
   { path: "/alerts", label: TEXT.alerts, icon: AlertTriangle },
+  { path: "/incidents", label: TEXT.incidents, icon: Layers },
   { path: "/notification-channels", label: TEXT.channels, icon: Bell },
 ];
 
@@ -88,6 +93,12 @@ const advancedNavItems = [
  */
 const allNavItems = [...coreNavItems, ...advancedNavItems];
 
+const ROLE_LABELS: Record<string, string> = {
+  admin: "\u7BA1\u7406\u5458",
+  ops: "\u8FD0\u7EF4",
+  developer: "\u5F00\u53D1",
+};
+
 /**
  * 符号：DashboardLayout（function）
  * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
@@ -98,15 +109,14 @@ const allNavItems = [...coreNavItems, ...advancedNavItems];
 export function DashboardLayout() {
   // 步骤 1：执行当前前端业务子步骤，推进页面状态和交互流程。
   const location = useLocation();
+  const navigate = useNavigate();
   // 步骤 1：执行当前前端业务子步骤，推进页面状态和交互流程。
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
   const [isDesktopSidebarCollapsed, setIsDesktopSidebarCollapsed] = useState(() => {
     const raw = localStorage.getItem("api_alert_sidebar_collapsed");
     return raw === "true";
   });
-  const [username, setUsername] = useState(
-    () => localStorage.getItem("api_alert_user") || "operator",
-  );
+  const [session, setSession] = useState<AuthSession | null>(null);
   const [showAdvanced, setShowAdvanced] = useState(() => {
     const raw = localStorage.getItem("api_alert_show_advanced");
     if (raw === "true") return true;
@@ -121,6 +131,27 @@ export function DashboardLayout() {
     }
   }, [location.pathname]);
 
+  useEffect(() => {
+    if (!getAuthToken()) {
+      navigate(`/login?redirect=${encodeURIComponent(window.location.pathname)}`, { replace: true });
+      return;
+    }
+
+    let cancelled = false;
+    apiClient
+      .me()
+      .then((result) => {
+        if (cancelled) return;
+        setSession(result);
+        localStorage.setItem("api_alert_user", result.user.name);
+      })
+      .catch(() => undefined);
+
+    return () => {
+      cancelled = true;
+    };
+  }, [navigate]);
+
   useEffect(() => {
     localStorage.setItem("api_alert_sidebar_collapsed", String(isDesktopSidebarCollapsed));
   }, [isDesktopSidebarCollapsed]);
@@ -132,12 +163,15 @@ export function DashboardLayout() {
     return current?.label ?? TEXT.defaultTitle;
   }, [location.pathname]);
 
-  const handleSwitchActor = () => {
-    const next = window.prompt(TEXT.switchActorPrompt, username) || "";
-    const value = next.trim();
-    if (!value) return;
-    localStorage.setItem("api_alert_user", value);
-    setUsername(value);
+  const handleLogout = async () => {
+    try {
+      await apiClient.logout();
+    } catch {
+      // 会话可能已失效，忽略错误并继续清理本地登录态。
+    }
+    closeServerEvents();
+    clearAuthToken();
+    navigate("/login", { replace: true });
   };
 
   const toggleAdvanced = () => {
@@ -243,19 +277,21 @@ export function DashboardLayout() {
             </div>
             {!isDesktopSidebarCollapsed && (
               <div className="min-w-0 flex-1">
-                <p className="truncate text-base font-medium">{username}</p>
-                <p className="truncate text-sm text-slate-500">{TEXT.actorIdentity}</p>
+                <p className="truncate text-base font-medium">{session?.user.name ?? "-"}</p>
+                <p className="truncate text-sm text-slate-500">
+                  {session ? ROLE_LABELS[session.user.role] ?? session.user.role : "-"}
+                </p>
               </div>
             )}
           </div>
           <Button
             variant="outline"
-            title={TEXT.switchActor}
+            title={TEXT.logout}
             className={isDesktopSidebarCollapsed ? "w-full justify-center px-0" : "w-full gap-2"}
-            onClick={handleSwitchActor}
+            onClick={handleLogout}
           >
-            <User className="h-4 w-4" />
-            {!isDesktopSidebarCollapsed && <span>{TEXT.switchActor}</span>}
+            <LogOut className="h-4 w-4" />
+            {!isDesktopSidebarCollapsed && <span>{TEXT.logout}</span>}
           </Button>
         </div>
       </aside>
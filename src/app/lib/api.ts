@@ -10,20 +10,40 @@
   AlertQualityReport,
   AlertQualityTrendReport,
   AlertPolicy,
+  NotificationRouteEventType,
+  NotificationRouting,
+  NotificationRoutingDryRun,
+  AnomalyExpectedBand,
+  ApiTokenItem,
+  AuthSession,
   AutoCreateRulesResult,
   ApiItem,
   AuditLogItem,
   ChannelItem,
   CredentialItem,
+  IncidentItem,
   DashboardSummary,
   MarkerCompareReport,
   MetricSample,
   NotificationRecord,
+  DeadLetterGroup,
   QualityMarkerItem,
   RuleDraftItem,
   RuleDraftImpactEstimate,
   RuleItem,
   RuleTuningSuggestionsReport,
+  ScopeContributor,
+  SilenceItem,
+  NotificationTemplateItem,
+  TemplateEventType,
+  TemplatePreview,
+  OncallLayer,
+  OncallSchedule,
+  OncallWhoItem,
+  DnsRecordType,
+  PullCheckAssertion,
+  PullCheckKind,
+  PullScriptStep,
   TrendPoint,
   UserItem,
 } from "./types";
@@ -48,6 +68,17 @@ type ApiMutationPayload = {
     enabled?: boolean;
     source?: string;
     checkConfig?: {
+      kind?: PullCheckKind;
+      steps?: Array<Partial<PullScriptStep>>;
+      variables?: Record<string, string>;
+      assertions?: PullCheckAssertion[];
+      host?: string;
+      port?: number | null;
+      send?: string;
+      expect?: string;
+      recordType?: DnsRecordType;
+      expectedValues?: string[];
+      resolver?: string;
       url?: string;
       method?: string;
       headers?: Record<string, string>;
@@ -66,6 +97,40 @@ type ApiMutationPayload = {
   actor?: string;
 };
 
+/**
+ * 符号：SilencePayload（type）
+ * 作用说明：该类型声明用于约束数据形状，提高可读性和类型安全。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：类型层声明，不直接执行运行时逻辑，作用是约束其它代码的输入输出格式。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+type SilencePayload = {
+  name: string;
+  kind?: SilenceItem["kind"];
+  mode?: SilenceItem["mode"];
+  enabled?: boolean;
+  matchers: Partial<SilenceItem["matchers"]>;
+  startsAt?: string | null;
+  endsAt?: string | null;
+  schedule?: SilenceItem["schedule"];
+  comment?: string;
+};
+
+/**
+ * 符号：OncallSchedulePayload（type）
+ * 作用说明：该类型声明用于约束数据形状，提高可读性和类型安全。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：类型层声明，不直接执行运行时逻辑，作用是约束其它代码的输入输出格式。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+type OncallSchedulePayload = {
+  name: string;
+  description?: string;
+  timeZone: string;
+  notifyVia: string[];
+  layers: Array<Omit<OncallLayer, "id"> & { id?: string }>;
+};
+
 /**
  * 符号：API_BASE（const）
  * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
@@ -75,6 +140,42 @@ type ApiMutationPayload = {
  */
 const API_BASE = import.meta.env.VITE_API_BASE ?? "/api";
 
+/**
+ * 符号：AUTH_TOKEN_KEY（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+const AUTH_TOKEN_KEY = "api_alert_token";
+
+/**
+ * 符号：getAuthToken（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+export const getAuthToken = () => localStorage.getItem(AUTH_TOKEN_KEY);
+
+/**
+ * 符号：setAuthToken（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+export const setAuthToken = (token: string) => localStorage.setItem(AUTH_TOKEN_KEY, token);
+
+/**
+ * 符号：clearAuthToken（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+export const clearAuthToken = () => localStorage.removeItem(AUTH_TOKEN_KEY);
+
 /**
  * 符号：toQueryString（arrow-function）
  * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
@@ -100,6 +201,17 @@ const toQueryString = (query?: Record<string, string | number | boolean | undefi
   return text ? `?${text}` : "";
 };
 
+/**
+ * 符号：buildEventStreamUrl（arrow-function）
+ * 作用说明：该函数用于构造对象或派生数据，保证字段完整和默认值统一。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+// EventSource 不能携带 Authorization 头，令牌通过 access_token 查询参数传给 /api/events。
+export const buildEventStreamUrl = (query: { topics: string; apiId?: string }) =>
+  `${API_BASE}/events${toQueryString({ ...query, access_token: getAuthToken() })}`;
+
 /**
  * 符号：request（const）
  * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
@@ -111,12 +223,14 @@ const request = async <T>(
   path: string,
   options: RequestInit = {},
 ): Promise<T> => {
+  const token = getAuthToken();
   const response = await fetch(`${API_BASE}${path}`, {
+    ...options,
     headers: {
       "Content-Type": "application/json",
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
       ...(options.headers || {}),
     },
-    ...options,
   });
 
   const parseBody = async () => {
@@ -129,6 +243,13 @@ const request = async <T>(
     }
   };
 
+  if (response.status === 401 && path !== "/auth/login") {
+    clearAuthToken();
+    if (window.location.pathname !== "/login") {
+      window.location.assign(`/login?redirect=${encodeURIComponent(window.location.pathname)}`);
+    }
+  }
+
   if (!response.ok) {
     const payload = await parseBody();
 
@@ -137,6 +258,11 @@ const request = async <T>(
         ? String((payload as { error: string }).error)
         : `Request failed with status ${response.status}`;
 
+    // 初始密码或被重置的密码未修改前，后端只放行改密码相关接口，统一引导到登录页的改密码步骤。
+    if (response.status === 403 && message === "password_change_required" && window.location.pathname !== "/login") {
+      window.location.assign(`/login?changePassword=1&redirect=${encodeURIComponent(window.location.pathname)}`);
+    }
+
     throw new Error(message);
   }
 
@@ -153,6 +279,35 @@ const request = async <T>(
  */
 export const apiClient = {
   health: () => request<{ ok: boolean; timestamp: string }>("/health"),
+  login: (payload: { email: string; password: string }) =>
+    request<{ token: string; expiresAt: string; user: UserItem; permissions: string[] }>("/auth/login", {
+      method: "POST",
+      body: JSON.stringify(payload),
+    }),
+  logout: () => request<{ ok: boolean }>("/auth/logout", { method: "POST" }),
+  me: () => request<AuthSession>("/auth/me"),
+  changePassword: (payload: { currentPassword: string; newPassword: string }) =>
+    request<{ ok: boolean }>("/auth/password", {
+      method: "PATCH",
+      body: JSON.stringify(payload),
+    }),
+  resetUserPassword: (userId: string) =>
+    request<{ ok: boolean; temporaryPassword: string; user: UserItem }>(`/settings/users/${userId}/reset-password`, {
+      method: "POST",
+    }),
+  updateUserContacts: (userId: string, payload: Pick<UserItem, "phone" | "slackUserId" | "wechatUserId">) =>
+    request<{ ok: boolean; user: UserItem }>(`/settings/users/${userId}/contacts`, {
+      method: "PATCH",
+      body: JSON.stringify(payload),
+    }),
+  listApiTokens: () => request<{ items: ApiTokenItem[]; total: number }>("/auth/tokens"),
+  createApiToken: (payload: { name: string; expiresInDays?: number }) =>
+    request<{ token: string; item: ApiTokenItem }>("/auth/tokens", {
+      method: "POST",
+      body: JSON.stringify(payload),
+    }),
+  revokeApiToken: (tokenId: string) =>
+    request<{ item: ApiTokenItem }>(`/auth/tokens/${tokenId}`, { method: "DELETE" }),
   bootstrap: () =>
     request<{
       apis: number;
@@ -341,7 +496,7 @@ export const apiClient = {
       method: "POST",
       body: JSON.stringify(payload),
     }),
-  createRuleDsl: (payload: { dsl: string; actor?: string }) =>
+  createRuleDsl: (payload: { dsl: string }) =>
     request<{ item: RuleItem; warnings: string[] }>("/rules/create-dsl", {
       method: "POST",
       body: JSON.stringify(payload),
@@ -406,13 +561,16 @@ export const apiClient = {
         value: number | null;
         sampleCount: number;
         reason: string | null;
+        message: string | null;
+        expected: AnomalyExpectedBand | null;
+        contributors?: ScopeContributor[];
       }>;
     }>(`/rules/${ruleId}/simulate`, {
       method: "POST",
       body: JSON.stringify({ apiId }),
     }),
 
-  listAlerts: (query?: { status?: string; level?: string; apiId?: string; limit?: number }) =>
+  listAlerts: (query?: { status?: string; level?: string; apiId?: string; incidentId?: string; limit?: number }) =>
     request<{ items: AlertItem[]; total: number }>(`/alerts${toQueryString(query)}`),
   getAlertDetail: (alertId: string) =>
     request<{ item: AlertItem; notifications: NotificationRecord[] }>(`/alerts/${alertId}`),
@@ -470,6 +628,81 @@ export const apiClient = {
       body: JSON.stringify(payload),
     }),
 
+  listIncidents: (query?: { status?: string; level?: string; service?: string; limit?: number }) =>
+    request<{ items: IncidentItem[]; total: number }>(`/incidents${toQueryString(query)}`),
+  getIncidentDetail: (incidentId: string) =>
+    request<{ item: IncidentItem; alerts: AlertItem[]; notifications: NotificationRecord[] }>(
+      `/incidents/${incidentId}`,
+    ),
+  createIncident: (payload: { alertIds: string[]; title?: string; owner?: string; note?: string }) =>
+    request<{ item: IncidentItem }>("/incidents", {
+      method: "POST",
+      body: JSON.stringify(payload),
+    }),
+  updateIncident: (
+    incidentId: string,
+    payload: {
+      title?: string;
+      owner?: string | null;
+      status?: IncidentItem["status"];
+      note?: string;
+      addAlertIds?: string[];
+    },
+  ) =>
+    request<{ item: IncidentItem }>(`/incidents/${incidentId}`, {
+      method: "PATCH",
+      body: JSON.stringify(payload),
+    }),
+  deleteIncident: (incidentId: string) =>
+    request<{ item: IncidentItem }>(`/incidents/${incidentId}`, {
+      method: "DELETE",
+    }),
+
+  listSilences: (query?: { status?: string; kind?: string }) =>
+    request<{ items: SilenceItem[]; total: number }>(`/silences${toQueryString(query)}`),
+  createSilence: (payload: SilencePayload) =>
+    request<{ item: SilenceItem }>("/silences", {
+      method: "POST",
+      body: JSON.stringify(payload),
+    }),
+  updateSilence: (silenceId: string, payload: Partial<SilencePayload>) =>
+    request<{ item: SilenceItem }>(`/silences/${silenceId}`, {
+      method: "PATCH",
+      body: JSON.stringify(payload),
+    }),
+  deleteSilence: (silenceId: string) =>
+    request<{ item: SilenceItem }>(`/silences/${silenceId}`, {
+      method: "DELETE",
+    }),
+
+  listOncallSchedules: () => request<{ items: OncallSchedule[]; total: number }>("/oncall/schedules"),
+  getOncallWho: (query?: { scheduleId?: string; at?: string }) =>
+    request<{ items: OncallWhoItem[]; total: number }>(`/oncall/who${toQueryString(query)}`),
+  createOncallSchedule: (payload: OncallSchedulePayload) =>
+    request<{ item: OncallSchedule }>("/oncall/schedules", {
+      method: "POST",
+      body: JSON.stringify(payload),
+    }),
+  updateOncallSchedule: (scheduleId: string, payload: Partial<OncallSchedulePayload>) =>
+    request<{ item: OncallSchedule }>(`/oncall/schedules/${scheduleId}`, {
+      method: "PATCH",
+      body: JSON.stringify(payload),
+    }),
+  deleteOncallSchedule: (scheduleId: string, force = false) =>
+    request<{ item: OncallSchedule }>(`/oncall/schedules/${scheduleId}`, {
+      method: "DELETE",
+      body: JSON.stringify({ force }),
+    }),
+  addOncallOverride: (scheduleId: string, payload: { userId: string; startsAt: string; endsAt: string; note?: string }) =>
+    request<{ item: OncallSchedule["overrides"][number] }>(`/oncall/schedules/${scheduleId}/overrides`, {
+      method: "POST",
+      body: JSON.stringify(payload),
+    }),
+  deleteOncallOverride: (scheduleId: string, overrideId: string) =>
+    request<{ item: OncallSchedule["overrides"][number] }>(`/oncall/schedules/${scheduleId}/overrides/${overrideId}`, {
+      method: "DELETE",
+    }),
+
   listChannels: () => request<{ items: ChannelItem[]; total: number }>("/channels"),
   createChannel: (payload: {
     type: string;
@@ -500,6 +733,30 @@ export const apiClient = {
       method: "DELETE",
       body: JSON.stringify(payload || {}),
     }),
+  listNotificationTemplates: (channelId?: string) =>
+    request<{ items: NotificationTemplateItem[]; total: number; eventTypes: TemplateEventType[] }>(
+      `/notification-templates${toQueryString({ channelId })}`,
+    ),
+  previewNotificationTemplate: (payload: {
+    channelId: string;
+    eventType: TemplateEventType;
+    title?: string;
+    body?: string;
+    alertId?: string;
+  }) =>
+    request<{ item: TemplatePreview }>("/notification-templates/preview", {
+      method: "POST",
+      body: JSON.stringify(payload),
+    }),
+  saveChannelTemplate: (channelId: string, eventType: TemplateEventType, payload: { title: string; body: string }) =>
+    request<{ item: ChannelItem }>(`/channels/${channelId}/templates/${eventType}`, {
+      method: "PUT",
+      body: JSON.stringify(payload),
+    }),
+  resetChannelTemplate: (channelId: string, eventType: TemplateEventType) =>
+    request<{ item: ChannelItem }>(`/channels/${channelId}/templates/${eventType}`, {
+      method: "DELETE",
+    }),
   bulkToggleChannels: (payload: { ids: string[]; enabled: boolean; actor?: string }) =>
     request<{
       requested: number;
@@ -549,7 +806,7 @@ export const apiClient = {
       body: JSON.stringify(payload),
     }),
   deleteCredential: (credentialId: string, payload?: { force?: boolean; actor?: string }) =>
-    request<{ item: CredentialItem; detachedApis: number }>(`/credentials/${credentialId}`, {
+    request<{ item: CredentialItem; detachedApis: number; detachedChannels: number }>(`/credentials/${credentialId}`, {
       method: "DELETE",
       body: JSON.stringify(payload || {}),
     }),
@@ -572,10 +829,12 @@ export const apiClient = {
       deletedIds: string[];
       notFoundIds: string[];
       detachedApis: number;
+      detachedChannels: number;
       conflicts: Array<{
         id: string;
         reason: string;
         referencedByApis?: Array<{ id: string; name: string; path: string }>;
+        referencedByChannels?: Array<{ id: string; name: string; type: string }>;
       }>;
     }>("/credentials/bulk-delete", {
       method: "POST",
@@ -670,13 +929,37 @@ export const apiClient = {
       alertPolicy: { item: AlertPolicy };
     }>(`/settings/overview${toQueryString(query)}`),
   dispatchNotificationsNow: (limit?: number) =>
-    request<{ processed: number; sent: number; failed: number; retried: number; queued: number }>(
+    request<{
+      processed: number;
+      sent: number;
+      failed: number;
+      retried: number;
+      dropped: number;
+      deferred: number;
+      batched: number;
+      queued: number;
+    }>(
       "/notifications/dispatch-now",
       {
         method: "POST",
         body: JSON.stringify({ limit }),
       },
     ),
+  listDeadLetters: (query?: { channelId?: string; reason?: string; limit?: number }) =>
+    request<{ items: NotificationRecord[]; total: number; groups: DeadLetterGroup[] }>(
+      `/notifications/dead-letters${toQueryString(query)}`,
+    ),
+  replayNotifications: (payload: { ids: string[]; channelId?: string; actor?: string }) =>
+    request<{
+      requested: number;
+      replayedCount: number;
+      items: NotificationRecord[];
+      skipped: Array<{ id: string; reason: string }>;
+      notFoundIds: string[];
+    }>("/notifications/replay", {
+      method: "POST",
+      body: JSON.stringify(payload),
+    }),
   deleteNotification: (notificationId: string, actor?: string) =>
     request<{ item: NotificationRecord }>(`/notifications/${notificationId}`, {
       method: "DELETE",
@@ -698,6 +981,25 @@ export const apiClient = {
       method: "PATCH",
       body: JSON.stringify(payload),
     }),
+  getNotificationRouting: () => request<{ item: NotificationRouting }>("/notification-routing"),
+  updateNotificationRouting: (payload: Partial<NotificationRouting> & { actor?: string }) =>
+    request<{ item: NotificationRouting }>("/notification-routing", {
+      method: "PATCH",
+      body: JSON.stringify(payload),
+    }),
+  dryRunNotificationRouting: (payload: {
+    alertId?: string;
+    ruleId?: string;
+    apiId?: string;
+    priority?: string;
+    eventType?: NotificationRouteEventType;
+    at?: string;
+    routing?: Partial<NotificationRouting>;
+  }) =>
+    request<{ item: NotificationRoutingDryRun }>("/notification-routing/dry-run", {
+      method: "POST",
+      body: JSON.stringify(payload),
+    }),
 
   demoReset: () => request<{ ok: boolean; updatedAt: string }>("/demo/reset", { method: "POST" }),
   demoTick: () =>
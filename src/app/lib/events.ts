@@ -0,0 +1,182 @@
+/**
+ * @file src/app/lib/events.ts
+ * 文件作用：前端基础库文件，封装 API 客户端、轮询、格式化和类型约束。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import { buildEventStreamUrl } from "./api";
+import { startVisibilityAwarePolling } from "./polling";
+
+/**
+ * 符号：ServerEventTopic（type）
+ * 作用说明：该类型声明用于约束数据形状，提高可读性和类型安全。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：类型层声明，不直接执行运行时逻辑，作用是约束其它代码的输入输出格式。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+export type ServerEventTopic = "alerts" | "metrics" | "notifications" | "apis";
+
+/**
+ * 符号：ServerEvent（type）
+ * 作用说明：该类型声明用于约束数据形状，提高可读性和类型安全。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：类型层声明，不直接执行运行时逻辑，作用是约束其它代码的输入输出格式。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+export type ServerEvent = {
+  id: string;
+  topic: ServerEventTopic;
+  type: string;
+  at: string;
+  data: Record<string, unknown>;
+};
+
+/**
+ * 符号：SERVER_EVENT_TYPES（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+const SERVER_EVENT_TYPES = [
+  "alert.created",
+  "alert.resolved",
+  "alert.status_changed",
+  "incident.created",
+  "incident.updated",
+  "incident.resolved",
+  "metric.ingested",
+  "notification.status_changed",
+  "api.status_changed",
+];
+
+/**
+ * 符号：FALLBACK_POLLING_MS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+// 连接彻底断开（例如令牌失效）或浏览器不支持 EventSource 时，退回低频轮询兜底。
+const FALLBACK_POLLING_MS = 30_000;
+
+/**
+ * 符号：openSources（const）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+// 当前打开的事件流连接；登出时统一关闭，避免旧令牌的长连接继续推送。
+const openSources = new Set<EventSource>();
+
+/**
+ * 符号：subscribeServerEvents（const）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+export const subscribeServerEvents = (options: {
+  topics: ServerEventTopic[];
+  apiId?: string;
+  onEvent: (event: ServerEvent) => void;
+  onResync?: () => void;
+  onClosed?: () => void;
+}) => {
+  const source = new EventSource(
+    buildEventStreamUrl({ topics: options.topics.join(","), apiId: options.apiId }),
+  );
+  openSources.add(source);
+
+  const handleMessage = (message: MessageEvent<string>) => {
+    try {
+      options.onEvent(JSON.parse(message.data) as ServerEvent);
+    } catch {
+      // 忽略无法解析的消息，不影响后续事件。
+    }
+  };
+
+  for (const type of SERVER_EVENT_TYPES) {
+    source.addEventListener(type, handleMessage);
+  }
+  source.addEventListener("resync", () => options.onResync?.());
+  source.onerror = () => {
+    if (source.readyState === EventSource.CLOSED) {
+      options.onClosed?.();
+    }
+  };
+
+  return () => {
+    source.close();
+    openSources.delete(source);
+  };
+};
+
+/**
+ * 符号：closeServerEvents（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+export const closeServerEvents = () => {
+  for (const source of openSources) {
+    source.close();
+  }
+  openSources.clear();
+};
+
+/**
+ * 符号：startLiveRefresh（const）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+export const startLiveRefresh = (
+  callback: () => void | Promise<void>,
+  options: { topics: ServerEventTopic[]; apiId?: string; debounceMs?: number },
+) => {
+  if (typeof EventSource === "undefined") {
+    return startVisibilityAwarePolling(callback, FALLBACK_POLLING_MS);
+  }
+
+  const debounceMs = options.debounceMs ?? 1_000;
+  let timer: number | null = null;
+  let stopFallback: (() => void) | null = null;
+
+  // 一批告警或指标往往集中到达，合并成一次刷新，避免连续打满接口。
+  const scheduleRefresh = () => {
+    if (timer !== null) return;
+    timer = window.setTimeout(() => {
+      timer = null;
+      if (document.visibilityState === "hidden") return;
+      void callback();
+    }, debounceMs);
+  };
+
+  const unsubscribe = subscribeServerEvents({
+    topics: options.topics,
+    apiId: options.apiId,
+    onEvent: scheduleRefresh,
+    onResync: scheduleRefresh,
+    onClosed: () => {
+      stopFallback ??= startVisibilityAwarePolling(callback, FALLBACK_POLLING_MS);
+    },
+  });
+
+  const handleVisibilityChange = () => {
+    if (document.visibilityState === "visible") {
+      void callback();
+    }
+  };
+  document.addEventListener("visibilitychange", handleVisibilityChange);
+
+  return () => {
+    unsubscribe();
+    stopFallback?.();
+    if (timer !== null) window.clearTimeout(timer);
+    document.removeEventListener("visibilitychange", handleVisibilityChange);
+  };
+};
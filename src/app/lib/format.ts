@@ -4,6 +4,8 @@
  * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
  */
 
+import type { ApiMonitorInfo } from "./types";
+
 ﻿/**
 ﻿ * 符号：formatDateTime（arrow-function）
 ﻿ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
@@ -145,6 +147,20 @@ export const getApiStatusClass = (status: string) => {
   return "bg-gray-100 text-gray-700";
 };
 
+/**
+ * 符号：getPullTargetText（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+// 探测目标的展示文本：HTTP 显示 URL，TCP / TLS 显示 host:port，DNS 显示域名与记录类型。
+export const getPullTargetText = (config?: ApiMonitorInfo["checkConfig"]) => {
+  if (!config) return "";
+  if (config.kind === "dns") return config.host ? `dns://${config.host} ${config.recordType ?? "A"}` : "";
+  if (config.kind === "tcp" || config.kind === "tls") return config.host ? `${config.kind}://${config.host}:${config.port ?? ""}` : "";
+  return config.url || "";
+};
 
 
 
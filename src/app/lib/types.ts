@@ -30,6 +30,141 @@ export interface MetricSample {
   latencyP99: number;
   availability: number;
   statusCode5xx: number;
+  dnsMs?: number;
+  connectMs?: number;
+  tlsMs?: number;
+  ttfbMs?: number;
+  downloadMs?: number;
+  certDaysRemaining?: number;
+}
+
+/**
+ * 符号：HttpTimingField（type）
+ * 作用说明：该类型声明用于约束数据形状，提高可读性和类型安全。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：类型层声明，不直接执行运行时逻辑，作用是约束其它代码的输入输出格式。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+export type HttpTimingField = "dnsMs" | "connectMs" | "tlsMs" | "ttfbMs" | "downloadMs";
+
+/**
+ * 符号：HttpTimings（type）
+ * 作用说明：该类型声明用于约束数据形状，提高可读性和类型安全。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：类型层声明，不直接执行运行时逻辑，作用是约束其它代码的输入输出格式。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+export type HttpTimings = Record<HttpTimingField | "totalMs", number>;
+
+/**
+ * 符号：PullCheckKind（type）
+ * 作用说明：该类型声明用于约束数据形状，提高可读性和类型安全。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：类型层声明，不直接执行运行时逻辑，作用是约束其它代码的输入输出格式。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+export type PullCheckKind = "http" | "script" | "tcp" | "dns" | "tls";
+
+/**
+ * 符号：DnsRecordType（type）
+ * 作用说明：该类型声明用于约束数据形状，提高可读性和类型安全。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：类型层声明，不直接执行运行时逻辑，作用是约束其它代码的输入输出格式。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+export type DnsRecordType = "A" | "AAAA" | "CNAME" | "MX" | "TXT" | "NS" | "SRV" | "CAA";
+
+/**
+ * 符号：TlsCertificateInfo（interface）
+ * 作用说明：该类型声明用于约束数据形状，提高可读性和类型安全。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：类型层声明，不直接执行运行时逻辑，作用是约束其它代码的输入输出格式。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+export interface TlsCertificateInfo {
+  subject: string | null;
+  issuer: string | null;
+  subjectAltNames: string[];
+  validFrom: string;
+  validTo: string;
+  daysRemaining: number;
+  serialNumber: string | null;
+  fingerprint256: string | null;
+  protocol: string | null;
+  authorized: boolean;
+  authorizationError: string | null;
+  chain: Array<{ subject: string | null; issuer: string | null; validTo: string }>;
+  checkedAt: string;
+}
+
+/**
+ * 符号：PullCheckAssertion（interface）
+ * 作用说明：该类型声明用于约束数据形状，提高可读性和类型安全。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：类型层声明，不直接执行运行时逻辑，作用是约束其它代码的输入输出格式。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+export interface PullCheckAssertion {
+  source?: "json" | "header" | "body" | "bodySize" | "contentType";
+  path?: string;
+  equals?: unknown;
+  contains?: string;
+  exists?: boolean;
+  matches?: string;
+  min?: number;
+  max?: number;
+  schema?: Record<string, unknown>;
+}
+
+/**
+ * 符号：PullAssertionFailure（interface）
+ * 作用说明：该类型声明用于约束数据形状，提高可读性和类型安全。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：类型层声明，不直接执行运行时逻辑，作用是约束其它代码的输入输出格式。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+export interface PullAssertionFailure {
+  target: string;
+  expected: string;
+  actual?: string;
+}
+
+/**
+ * 符号：PullScriptStep（interface）
+ * 作用说明：该类型声明用于约束数据形状，提高可读性和类型安全。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：类型层声明，不直接执行运行时逻辑，作用是约束其它代码的输入输出格式。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+export interface PullScriptStep {
+  name: string;
+  method: string;
+  url: string;
+  headers: Record<string, string>;
+  body: string;
+  expectedStatusCodes: number[];
+  extract: Array<{ name: string; from: "json" | "header"; path: string }>;
+  assertions: PullCheckAssertion[];
+  useCredential?: boolean | null;
+}
+
+/**
+ * 符号：PullScriptStepResult（interface）
+ * 作用说明：该类型声明用于约束数据形状，提高可读性和类型安全。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：类型层声明，不直接执行运行时逻辑，作用是约束其它代码的输入输出格式。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+export interface PullScriptStepResult {
+  name: string;
+  method: string;
+  statusCode: number | null;
+  latencyMs: number;
+  success: boolean;
+  error: string | null;
+  assertionFailures: PullAssertionFailure[];
+  extracted: string[];
+  timings?: HttpTimings | null;
 }
 
 /**
@@ -44,6 +179,17 @@ export interface ApiMonitorInfo {
   enabled: boolean;
   source: string;
   checkConfig: null | {
+    kind?: PullCheckKind;
+    steps?: PullScriptStep[];
+    variables?: Record<string, string>;
+    assertions?: PullCheckAssertion[];
+    host?: string;
+    port?: number | null;
+    send?: string;
+    expect?: string;
+    recordType?: DnsRecordType;
+    expectedValues?: string[];
+    resolver?: string;
     url: string;
     method: string;
     headers: Record<string, string>;
@@ -64,6 +210,11 @@ export interface ApiMonitorInfo {
   lastError: string | null;
   lastSuccess: boolean | null;
   lastResponseSnippet: string | null;
+  lastSteps?: PullScriptStepResult[] | null;
+  lastFailedStep?: { index: number; name: string } | null;
+  lastAssertionFailures?: PullAssertionFailure[] | null;
+  lastTimings?: HttpTimings | null;
+  lastTls?: TlsCertificateInfo | null;
 }
 
 /**
@@ -118,12 +269,24 @@ export interface RuleScope {
  * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
  */
 export interface RuleCondition {
-  metric: "qps" | "errorRate" | "latencyP95" | "latencyP99" | "availability" | "statusCode5xx";
+  metric:
+    | "qps"
+    | "errorRate"
+    | "latencyP95"
+    | "latencyP99"
+    | "availability"
+    | "statusCode5xx"
+    | HttpTimingField
+    | "certDaysRemaining";
   operator: ">" | ">=" | "<" | "<=" | "==" | "!=";
   threshold: number;
   aggregation?: "avg" | "max" | "min" | "latest";
   windowMinutes?: number;
   minSamples?: number;
+  conditionType?: "threshold" | "change";
+  changeMode?: "percent" | "absolute";
+  changeDirection?: "increase" | "decrease" | "either";
+  compareOffsetMinutes?: number;
 }
 
 /**
@@ -135,13 +298,21 @@ export interface RuleCondition {
  */
 export interface RuleItem {
   id: string;
-  ruleType?: "threshold" | "consecutive_failures" | "missing_data" | "burn_rate";
+  ruleType?: "threshold" | "consecutive_failures" | "missing_data" | "burn_rate" | "anomaly" | "change";
   name: string;
   description: string;
   enabled: boolean;
   priority: "P1" | "P2" | "P3";
   scope: RuleScope;
-  metric: "qps" | "errorRate" | "latencyP95" | "latencyP99" | "availability" | "statusCode5xx";
+  metric:
+    | "qps"
+    | "errorRate"
+    | "latencyP95"
+    | "latencyP99"
+    | "availability"
+    | "statusCode5xx"
+    | HttpTimingField
+    | "certDaysRemaining";
   operator: ">" | ">=" | "<" | "<=" | "==" | "!=";
   threshold: number;
   aggregation: "avg" | "max" | "min" | "latest";
@@ -152,6 +323,17 @@ export interface RuleItem {
   longWindowMinutes?: number;
   burnRateThreshold?: number;
   sloTarget?: number;
+  anomalyMethod?: "zscore" | "mad";
+  sensitivity?: number;
+  baselineWindowMinutes?: number;
+  seasonality?: "none" | "hour_of_day" | "day_of_week";
+  anomalyDirection?: "both" | "up" | "down";
+  minBaselineSamples?: number;
+  changeMode?: "percent" | "absolute";
+  changeDirection?: "increase" | "decrease" | "either";
+  compareOffsetMinutes?: number;
+  scopeAggregation?: "per_api" | "combined" | "breach_ratio";
+  minBreachPercent?: number;
   cooldownMinutes: number;
   conditions?: RuleCondition[];
   conditionLogic?: "all" | "any";
@@ -161,6 +343,43 @@ export interface RuleItem {
   updatedAt: string;
 }
 
+/**
+ * 符号：AnomalyExpectedBand（interface）
+ * 作用说明：该类型声明用于约束数据形状，提高可读性和类型安全。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：类型层声明，不直接执行运行时逻辑，作用是约束其它代码的输入输出格式。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+export interface AnomalyExpectedBand {
+  center: number;
+  lower: number;
+  upper: number;
+  spread: number;
+  deviation: number;
+  method: "zscore" | "mad";
+  sensitivity: number;
+  seasonality: "none" | "hour_of_day" | "day_of_week";
+  direction: "both" | "up" | "down";
+  baselineSamples: number;
+  baselineWindowMinutes: number;
+  baselineTier: string;
+}
+
+/**
+ * 符号：ScopeContributor（interface）
+ * 作用说明：该类型声明用于约束数据形状，提高可读性和类型安全。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：类型层声明，不直接执行运行时逻辑，作用是约束其它代码的输入输出格式。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+export interface ScopeContributor {
+  apiId: string;
+  apiPath: string;
+  value: number | null;
+  qps?: number;
+  message?: string | null;
+}
+
 /**
  * 符号：AlertItem（interface）
  * 作用说明：该类型声明用于约束数据形状，提高可读性和类型安全。
@@ -190,6 +409,11 @@ export interface AlertItem {
   updatedAt: string;
   resolvedAt: string | null;
   acknowledgedBy: string | null;
+  scope?: { type: "service" | "global"; value?: string };
+  contributors?: ScopeContributor[];
+  incidentId?: string;
+  silenceId?: string;
+  lastNotificationStatus?: "sent" | "suppressed" | "grouped" | "silenced";
   events: Array<{
     id: string;
     type: string;
@@ -221,7 +445,8 @@ export interface NotificationRecord {
   channelId: string | null;
   status: string;
   response: string;
-  eventType?: "trigger" | "recovery" | "test" | string;
+  eventType?: "trigger" | "recovery" | "incident_update" | "escalation" | "test" | "digest" | string;
+  incidentId?: string;
   attempts?: number;
   maxAttempts?: number;
   nextRetryAt?: string | null;
@@ -232,6 +457,57 @@ export interface NotificationRecord {
   deliveryMode?: "mock" | "http" | string;
   createdAt: string;
   payload: Record<string, unknown>;
+  rendered?: { title: string; body: string; template: "custom" | "default"; templateError?: string } | null;
+  recipientResults?: SmsRecipientResult[];
+  smsMessage?: { encoding: "gsm7" | "ucs2"; units: number; segments: number; truncated: boolean };
+  chatMessage?: { channel: string; ts: string; threadTs: string | null };
+  digestId?: string;
+  digestOf?: string[];
+  batchedCount?: number;
+  fallbackOf?: string;
+  fallbackRecordId?: string;
+  fallbackError?: string;
+  replayOf?: string;
+  replayedTo?: string;
+  replayedAt?: string;
+  replayedBy?: string;
+  replayCount?: number;
+  failureReason?: string;
+  routeId?: string;
+}
+
+/**
+ * 符号：DeadLetterGroup（interface）
+ * 作用说明：该类型声明用于约束数据形状，提高可读性和类型安全。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：类型层声明，不直接执行运行时逻辑，作用是约束其它代码的输入输出格式。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+export interface DeadLetterGroup {
+  channelId: string | null;
+  channelName: string | null;
+  channelType: string;
+  reason: string;
+  sampleError: string | null;
+  count: number;
+  latestAt: string;
+  ids: string[];
+}
+
+/**
+ * 符号：SmsRecipientResult（interface）
+ * 作用说明：该类型声明用于约束数据形状，提高可读性和类型安全。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：类型层声明，不直接执行运行时逻辑，作用是约束其它代码的输入输出格式。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+export interface SmsRecipientResult {
+  recipient: string;
+  success: boolean;
+  status: number | null;
+  response: string | null;
+  error: string | null;
+  attemptedAt: string;
 }
 
 /**
@@ -257,8 +533,247 @@ export interface AlertPolicy {
     repeatMinutes: number;
     actions: string[];
   }>;
+  incidentGrouping?: {
+    enabled: boolean;
+    groupBy: Array<"service" | "rule" | "api" | "environment" | "tag">;
+    windowMinutes: number;
+  };
 }
 
+/**
+ * 符号：NotificationRouteEventType（type）
+ * 作用说明：该类型声明用于约束数据形状，提高可读性和类型安全。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：类型层声明，不直接执行运行时逻辑，作用是约束其它代码的输入输出格式。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+export type NotificationRouteEventType = "trigger" | "recovery" | "incident_update";
+
+/**
+ * 符号：NotificationRoute（interface）
+ * 作用说明：该类型声明用于约束数据形状，提高可读性和类型安全。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：类型层声明，不直接执行运行时逻辑，作用是约束其它代码的输入输出格式。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+export interface NotificationRoute {
+  id: string;
+  name: string;
+  enabled: boolean;
+  matchers: {
+    priority: string[];
+    service: string[];
+    environment: string[];
+    tag: string[];
+    eventType: NotificationRouteEventType[];
+  };
+  activeTime: { days: number[]; start: string; end: string; utcOffsetMinutes: number } | null;
+  channels: string[];
+  continue: boolean;
+}
+
+/**
+ * 符号：NotificationRouting（interface）
+ * 作用说明：该类型声明用于约束数据形状，提高可读性和类型安全。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：类型层声明，不直接执行运行时逻辑，作用是约束其它代码的输入输出格式。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+export interface NotificationRouting {
+  enabled: boolean;
+  routes: NotificationRoute[];
+  defaultRoute: { channels: string[] };
+}
+
+/**
+ * 符号：NotificationRoutingDryRun（interface）
+ * 作用说明：该类型声明用于约束数据形状，提高可读性和类型安全。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：类型层声明，不直接执行运行时逻辑，作用是约束其它代码的输入输出格式。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+export interface NotificationRoutingDryRun {
+  eventType: NotificationRouteEventType;
+  at: string;
+  alertId: string | null;
+  ruleId: string | null;
+  apiId: string | null;
+  routingEnabled: boolean;
+  matchedRoutes: Array<{ id: string; name: string; continue: boolean }>;
+  usedDefault: boolean;
+  useRuleActions: boolean;
+  targets: Array<{
+    action: string;
+    routeId: string | null;
+    channelId: string | null;
+    channelName: string | null;
+    channelType: string | null;
+    channelEnabled: boolean;
+  }>;
+}
+
+/**
+ * 符号：SilenceItem（interface）
+ * 作用说明：该类型声明用于约束数据形状，提高可读性和类型安全。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：类型层声明，不直接执行运行时逻辑，作用是约束其它代码的输入输出格式。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+export interface SilenceItem {
+  id: string;
+  name: string;
+  kind: "silence" | "maintenance";
+  mode: "drop" | "mute";
+  enabled: boolean;
+  matchers: {
+    apiId: string[];
+    service: string[];
+    tag: string[];
+    ruleId: string[];
+    priority: string[];
+    environment: string[];
+  };
+  startsAt: string | null;
+  endsAt: string | null;
+  schedule: { cron: string; durationMinutes: number; utcOffsetMinutes: number } | null;
+  comment: string;
+  createdBy: string;
+  createdAt: string;
+  updatedAt: string;
+  matchedCount: number;
+  lastMatchedAt: string | null;
+  status: "active" | "pending" | "expired" | "disabled";
+  activeWindow: { startsAt: string | null; endsAt: string | null } | null;
+  nextStartsAt: string | null;
+}
+
+/**
+ * 符号：OncallLayer（interface）
+ * 作用说明：该类型声明用于约束数据形状，提高可读性和类型安全。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：类型层声明，不直接执行运行时逻辑，作用是约束其它代码的输入输出格式。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+export interface OncallLayer {
+  id: string;
+  name: string;
+  users: string[];
+  startDate: string;
+  handoffTime: string;
+  shiftDays: number;
+  restriction: { startTime: string; endTime: string; daysOfWeek: number[] } | null;
+}
+
+/**
+ * 符号：OncallAssignment（interface）
+ * 作用说明：该类型声明用于约束数据形状，提高可读性和类型安全。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：类型层声明，不直接执行运行时逻辑，作用是约束其它代码的输入输出格式。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+export interface OncallAssignment {
+  userId: string;
+  name: string | null;
+  email: string | null;
+  source: "layer" | "override";
+  layerId: string | null;
+  layerName: string | null;
+  overrideId: string | null;
+  shiftStartsAt: string;
+  shiftEndsAt: string;
+}
+
+/**
+ * 符号：OncallSchedule（interface）
+ * 作用说明：该类型声明用于约束数据形状，提高可读性和类型安全。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：类型层声明，不直接执行运行时逻辑，作用是约束其它代码的输入输出格式。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+export interface OncallSchedule {
+  id: string;
+  name: string;
+  description: string;
+  timeZone: string;
+  notifyVia: string[];
+  layers: OncallLayer[];
+  overrides: Array<{
+    id: string;
+    userId: string;
+    startsAt: string;
+    endsAt: string;
+    note: string;
+    createdBy: string;
+    createdAt: string;
+  }>;
+  createdAt: string;
+  updatedAt: string;
+  current: OncallAssignment | null;
+  referencedBy: string[];
+}
+
+/**
+ * 符号：OncallWhoItem（interface）
+ * 作用说明：该类型声明用于约束数据形状，提高可读性和类型安全。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：类型层声明，不直接执行运行时逻辑，作用是约束其它代码的输入输出格式。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+export interface OncallWhoItem {
+  scheduleId: string;
+  scheduleName: string;
+  timeZone: string;
+  at: string;
+  oncall: OncallAssignment | null;
+}
+
+/**
+ * 符号：IncidentItem（interface）
+ * 作用说明：该类型声明用于约束数据形状，提高可读性和类型安全。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：类型层声明，不直接执行运行时逻辑，作用是约束其它代码的输入输出格式。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+export interface IncidentItem {
+  id: string;
+  key: string;
+  groupBy: string[];
+  title: string;
+  status: "open" | "acknowledged" | "resolved" | "closed";
+  level: "P1" | "P2" | "P3";
+  owner: string | null;
+  service: string | null;
+  alertIds: string[];
+  apiIds: string[];
+  ruleIds: string[];
+  alertCount: number;
+  activeAlertCount: number;
+  summary: string;
+  notifiedChannels: Array<{ action: string; channelId: string | null }>;
+  notifications: string[];
+  timeline: Array<{
+    id: string;
+    type: string;
+    by: string;
+    note: string;
+    at: string;
+  }>;
+  createdAt: string;
+  updatedAt: string;
+  lastAlertAt: string;
+  acknowledgedAt: string | null;
+  resolvedAt: string | null;
+}
+
+/**
+ * 符号：TemplateEventType（type）
+ * 作用说明：该类型声明用于约束数据形状，提高可读性和类型安全。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：类型层声明，不直接执行运行时逻辑，作用是约束其它代码的输入输出格式。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+export type TemplateEventType = "trigger" | "recovery" | "escalation" | "test";
+
 /**
  * 符号：ChannelItem（interface）
  * 作用说明：该类型声明用于约束数据形状，提高可读性和类型安全。
@@ -272,6 +787,57 @@ export interface ChannelItem {
   name: string;
   enabled: boolean;
   config: Record<string, unknown>;
+  templates?: Partial<Record<TemplateEventType, { title: string; body: string; updatedAt: string }>>;
+  deliveryStats?: ChannelDeliveryStats;
+}
+
+/**
+ * 符号：ChannelDeliveryStats（interface）
+ * 作用说明：该类型声明用于约束数据形状，提高可读性和类型安全。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：类型层声明，不直接执行运行时逻辑，作用是约束其它代码的输入输出格式。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+export interface ChannelDeliveryStats {
+  sent: number;
+  failed: number;
+  queued: number;
+  dropped: number;
+  batched: number;
+  digests: number;
+}
+
+/**
+ * 符号：NotificationTemplateItem（interface）
+ * 作用说明：该类型声明用于约束数据形状，提高可读性和类型安全。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：类型层声明，不直接执行运行时逻辑，作用是约束其它代码的输入输出格式。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+export interface NotificationTemplateItem {
+  channelId: string;
+  channelName: string;
+  channelType: string;
+  eventType: TemplateEventType;
+  title: string;
+  body: string;
+  source: "custom" | "default";
+  defaultTitle: string;
+  defaultBody: string;
+}
+
+/**
+ * 符号：TemplatePreview（interface）
+ * 作用说明：该类型声明用于约束数据形状，提高可读性和类型安全。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：类型层声明，不直接执行运行时逻辑，作用是约束其它代码的输入输出格式。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+export interface TemplatePreview {
+  title: string;
+  body: string;
+  alertId: string | null;
+  context: Record<string, unknown>;
 }
 
 /**
@@ -322,6 +888,42 @@ export interface UserItem {
   role: string;
   status: string;
   lastLoginAt: string;
+  mustChangePassword?: boolean;
+  phone?: string | null;
+  slackUserId?: string | null;
+  wechatUserId?: string | null;
+}
+
+/**
+ * 符号：AuthSession（interface）
+ * 作用说明：该类型声明用于约束数据形状，提高可读性和类型安全。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：类型层声明，不直接执行运行时逻辑，作用是约束其它代码的输入输出格式。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+export interface AuthSession {
+  authEnabled: boolean;
+  kind: "session" | "api_token" | "disabled";
+  user: UserItem;
+  permissions: string[];
+}
+
+/**
+ * 符号：ApiTokenItem（interface）
+ * 作用说明：该类型声明用于约束数据形状，提高可读性和类型安全。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：类型层声明，不直接执行运行时逻辑，作用是约束其它代码的输入输出格式。
+ * 关联关系：与同目录/同层模块协同，建议结合 import 列表理解依赖方向。
+ */
+export interface ApiTokenItem {
+  id: string;
+  name: string;
+  userId: string;
+  tokenPreview: string;
+  createdAt: string;
+  lastUsedAt: string | null;
+  expiresAt: string | null;
+  revokedAt: string | null;
 }
 
 /**
@@ -42,7 +42,7 @@ import {
 } from "../components/ui/sheet";
 import { Textarea } from "../components/ui/textarea";
 import { apiClient } from "../lib/api";
-import { startVisibilityAwarePolling } from "../lib/polling";
+import { startLiveRefresh } from "../lib/events";
 import type { AlertItem } from "../lib/types";
 import {
   formatDateTime,
@@ -51,15 +51,6 @@ import {
   getLevelBadgeClass,
 } from "../lib/format";
 
-/**
- * 符号：POLLING_MS（const）
- * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
- * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
- * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
- * 关联关系：通过 apiClient 调用后端接口，并驱动页面组件状态更新。
- */
-const POLLING_MS = 15_000;
-
 /**
  * 符号：ALERT_COLUMN_OPTIONS（const）
  * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
@@ -215,7 +206,7 @@ export function AlertsPage() {
 
   useEffect(() => {
     loadData();
-    return startVisibilityAwarePolling(loadData, POLLING_MS);
+    return startLiveRefresh(loadData, { topics: ["alerts", "notifications"] });
   }, [loadData]);
 
   const filtered = useMemo(() => {
@@ -402,6 +393,21 @@ export function AlertsPage() {
     }
   };
 
+  const handleBulkIncident = async () => {
+    if (!selectedAlertIds.length) return;
+    if (!window.confirm(`确认将 ${selectedAlertIds.length} 条告警合并为一个事件？`)) return;
+
+    try {
+      const result = await apiClient.createIncident({ alertIds: selectedAlertIds, note: operatorNote });
+      setOperatorNote("");
+      setSelectedAlertIds([]);
+      setMessage(`已合并为事件 ${result.item.title}`);
+      await loadData();
+    } catch (requestError) {
+      setError(requestError instanceof Error ? requestError.message : "合并事件失败");
+    }
+  };
+
   const handleBulkDelete = async () => {
     if (!selectedAlertIds.length) return;
     if (!window.confirm(`确认批量删除 ${selectedAlertIds.length} 条告警？`)) return;
@@ -513,6 +519,14 @@ export function AlertsPage() {
               <Check className="h-4 w-4" />
               批量已恢复
             </Button>
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={handleBulkIncident}
+              disabled={selectedAlertIds.length === 0}
+            >
+              合并为事件
+            </Button>
             <Button
               variant="outline"
               size="sm"
@@ -696,9 +710,25 @@ export function AlertsPage() {
                                 <p>规则: {selectedAlert.ruleName || selectedAlert.ruleId}</p>
                                 <p>触发: {formatDateTime(selectedAlert.triggeredAt)}</p>
                                 <p>状态: {getAlertStatusText(selectedAlert.status)}</p>
+                                {selectedAlert.incidentId && <p>所属事件: {selectedAlert.incidentId}</p>}
+                                {selectedAlert.silenceId && <p>静默: {selectedAlert.silenceId}（未发送通知）</p>}
                               </div>
                             </Card>
 
+                            {selectedAlert.contributors && selectedAlert.contributors.length > 0 && (
+                              <Card className="p-4">
+                                <p className="text-sm font-medium">涉及 API（{selectedAlert.contributors.length}）</p>
+                                <div className="mt-2 space-y-1 text-xs text-slate-600">
+                                  {selectedAlert.contributors.map((contributor) => (
+                                    <div key={contributor.apiId} className="flex items-center justify-between gap-2">
+                                      <span className="truncate">{contributor.apiPath || contributor.apiId}</span>
+                                      <span className="shrink-0 text-slate-500">{contributor.value ?? "-"}</span>
+                                    </div>
+                                  ))}
+                                </div>
+                              </Card>
+                            )}
+
                             <Card className="p-4">
                               <p className="mb-2 text-sm font-medium">处理备注</p>
                               <Textarea
@@ -6,7 +6,7 @@
 
 ﻿import { useCallback, useEffect, useMemo, useState } from "react";
 import { Link, useNavigate, useParams } from "react-router";
-import { ArrowLeft, LineChartIcon, ShieldAlert, Trash2 } from "lucide-react";
+import { ArrowLeft, LineChartIcon, ShieldAlert, ShieldCheck, Trash2 } from "lucide-react";
 import {
   CartesianGrid,
   Line,
@@ -27,8 +27,8 @@ import {
   TableRow,
 } from "../components/ui/table";
 import { apiClient } from "../lib/api";
-import { startVisibilityAwarePolling } from "../lib/polling";
-import type { AlertItem, ApiItem, MetricSample, RuleItem } from "../lib/types";
+import { startLiveRefresh } from "../lib/events";
+import type { AlertItem, ApiItem, HttpTimingField, MetricSample, RuleItem } from "../lib/types";
 import {
   formatDateTime,
   formatNumber,
@@ -38,17 +38,9 @@ import {
   getApiStatusClass,
   getApiStatusText,
   getLevelBadgeClass,
+  getPullTargetText,
 } from "../lib/format";
 
-/**
- * 符号：POLLING_MS（const）
- * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
- * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
- * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
- * 关联关系：通过 apiClient 调用后端接口，并驱动页面组件状态更新。
- */
-const POLLING_MS = 15_000;
-
 /**
  * 符号：ApiDetailPayload（interface）
  * 作用说明：该类型声明用于约束数据形状，提高可读性和类型安全。
@@ -75,6 +67,29 @@ interface ApiDetailPayload {
   rules: RuleItem[];
 }
 
+/**
+ * 符号：getCertDaysClass（arrow-function）
+ * 作用说明：该函数偏查询/计算职责，重点在读取数据并输出结果。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：通过 apiClient 调用后端接口，并驱动页面组件状态更新。
+ */
+// 证书剩余 14 天内标红、30 天内标黄，与常见的续期提醒节奏一致。
+const getCertDaysClass = (days: number) => {
+  if (days < 14) return "text-red-600";
+  if (days < 30) return "text-amber-600";
+  return "text-emerald-600";
+};
+
+// 分阶段耗时条的顺序与请求实际发生顺序一致。
+const TIMING_PHASES: Array<{ field: HttpTimingField; label: string; color: string }> = [
+  { field: "dnsMs", label: "DNS", color: "bg-sky-400" },
+  { field: "connectMs", label: "连接", color: "bg-indigo-400" },
+  { field: "tlsMs", label: "TLS", color: "bg-violet-400" },
+  { field: "ttfbMs", label: "首字节", color: "bg-amber-400" },
+  { field: "downloadMs", label: "下载", color: "bg-emerald-400" },
+];
+
 /**
  * 符号：ApiDetailPage（function）
  * 作用说明：该组件是页面级入口，负责拼装子组件与组织页面状态。
@@ -107,8 +122,8 @@ export function ApiDetailPage() {
 
   useEffect(() => {
     loadData();
-    return startVisibilityAwarePolling(loadData, POLLING_MS);
-  }, [loadData]);
+    return startLiveRefresh(loadData, { topics: ["alerts", "apis", "metrics"], apiId: id });
+  }, [loadData, id]);
 
   const chartData = useMemo(() => {
     if (!data) return [];
@@ -170,6 +185,8 @@ export function ApiDetailPage() {
   }
 
   const latest = data.item.latestMetrics;
+  const lastTimings = data.item.monitor?.lastTimings ?? null;
+  const lastTls = data.item.monitor?.lastTls ?? null;
 
   // 步骤 4：返回当前结果并结束函数，明确本路径的输出语义。
   return (
@@ -210,9 +227,11 @@ export function ApiDetailPage() {
             </p>
             <p className="mt-1 text-xs text-slate-500">
               监控模式：{data.item.monitor?.mode || "push"}
-              {data.item.monitor?.mode === "pull" && data.item.monitor?.checkConfig?.url
-                ? ` ｜目标：${data.item.monitor.checkConfig.url}`
-                : ""}
+              {data.item.monitor?.mode === "pull" && data.item.monitor?.checkConfig?.kind === "script"
+                ? ` ｜脚本：${data.item.monitor.checkConfig.steps?.length ?? 0} 步`
+                : data.item.monitor?.mode === "pull" && getPullTargetText(data.item.monitor.checkConfig)
+                  ? ` ｜目标：${getPullTargetText(data.item.monitor.checkConfig)}`
+                  : ""}
             </p>
             <p className="text-xs text-slate-500">
               环境：{data.item.environment}
@@ -245,6 +264,155 @@ export function ApiDetailPage() {
         </div>
       </Card>
 
+      {lastTimings && (
+        <Card className="p-5">
+          <h3 className="mb-3 text-base font-semibold">
+            最近一次探测耗时分解
+            <span className="ml-2 text-sm font-normal text-slate-500">
+              合计 {formatNumber(lastTimings.totalMs, 1)} ms
+            </span>
+          </h3>
+          <div className="flex h-3 overflow-hidden rounded bg-slate-100">
+            {TIMING_PHASES.map((phase) => (
+              <div
+                key={phase.field}
+                className={phase.color}
+                style={{
+                  width: `${(lastTimings[phase.field] / Math.max(lastTimings.totalMs, 1)) * 100}%`,
+                }}
+              />
+            ))}
+          </div>
+          <div className="mt-3 grid grid-cols-2 gap-2 text-sm md:grid-cols-5">
+            {TIMING_PHASES.map((phase) => (
+              <div key={phase.field} className="flex items-center gap-2">
+                <span className={`h-2.5 w-2.5 rounded-sm ${phase.color}`} />
+                <span className="text-slate-500">{phase.label}</span>
+                <span className="font-medium">{formatNumber(lastTimings[phase.field], 1)} ms</span>
+              </div>
+            ))}
+          </div>
+        </Card>
+      )}
+
+      {lastTls && (
+        <Card className="p-5">
+          <h3 className="mb-3 flex items-center gap-2 text-base font-semibold">
+            <ShieldCheck className="h-4 w-4" />
+            TLS 证书
+            <span className={`ml-1 text-sm font-normal ${getCertDaysClass(lastTls.daysRemaining)}`}>
+              {lastTls.daysRemaining < 0
+                ? `已过期 ${formatNumber(-lastTls.daysRemaining, 1)} 天`
+                : `剩余 ${formatNumber(lastTls.daysRemaining, 1)} 天`}
+            </span>
+            {lastTls.authorizationError && (
+              <span className="rounded bg-red-50 px-2 py-0.5 text-xs font-normal text-red-600">
+                校验失败：{lastTls.authorizationError}
+              </span>
+            )}
+          </h3>
+          <div className="grid grid-cols-1 gap-x-6 gap-y-2 text-sm md:grid-cols-2">
+            <p>
+              <span className="text-slate-500">主体：</span>
+              {lastTls.subject ?? "-"}
+            </p>
+            <p>
+              <span className="text-slate-500">签发者：</span>
+              {lastTls.issuer ?? "-"}
+            </p>
+            <p>
+              <span className="text-slate-500">有效期：</span>
+              {formatDateTime(lastTls.validFrom)} ~ {formatDateTime(lastTls.validTo)}
+            </p>
+            <p>
+              <span className="text-slate-500">协议：</span>
+              {lastTls.protocol ?? "-"}
+            </p>
+            <p className="md:col-span-2 break-all">
+              <span className="text-slate-500">SAN：</span>
+              {lastTls.subjectAltNames.join(", ") || "-"}
+            </p>
+            <p className="md:col-span-2">
+              <span className="text-slate-500">证书链：</span>
+              {lastTls.chain.map((cert) => cert.subject ?? "-").join(" → ")}
+            </p>
+            <p className="md:col-span-2 break-all font-mono text-xs text-slate-400">{lastTls.fingerprint256}</p>
+          </div>
+        </Card>
+      )}
+
+      {!!data.item.monitor?.lastAssertionFailures?.length && (
+        <Card className="border-red-200 p-5">
+          <h3 className="mb-3 text-base font-semibold text-red-700">
+            响应断言未通过（{data.item.monitor.lastAssertionFailures.length} 项）
+          </h3>
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>断言对象</TableHead>
+                <TableHead>期望</TableHead>
+                <TableHead>实际</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {data.item.monitor.lastAssertionFailures.map((failure, index) => (
+                <TableRow key={`${failure.target}-${index}`}>
+                  <TableCell className="font-mono text-xs">{failure.target}</TableCell>
+                  <TableCell>{failure.expected}</TableCell>
+                  <TableCell className="break-all text-xs text-slate-600">{failure.actual ?? "-"}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </Card>
+      )}
+
+      {!!data.item.monitor?.lastSteps?.length && (
+        <Card className="p-5">
+          <h3 className="mb-3 text-base font-semibold">
+            脚本步骤
+            {data.item.monitor.lastFailedStep ? (
+              <span className="ml-2 text-sm font-normal text-red-600">
+                失败于第 {data.item.monitor.lastFailedStep.index + 1} 步：{data.item.monitor.lastFailedStep.name}
+              </span>
+            ) : (
+              <span className="ml-2 text-sm font-normal text-emerald-600">全部通过</span>
+            )}
+          </h3>
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>步骤</TableHead>
+                <TableHead>状态码</TableHead>
+                <TableHead>耗时</TableHead>
+                <TableHead>提取变量</TableHead>
+                <TableHead>结果</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {data.item.monitor.lastSteps.map((step, index) => (
+                <TableRow key={step.name}>
+                  <TableCell>
+                    {index + 1}. {step.method} {step.name}
+                  </TableCell>
+                  <TableCell>{step.statusCode ?? "-"}</TableCell>
+                  <TableCell>{formatNumber(step.latencyMs, 0)} ms</TableCell>
+                  <TableCell className="text-xs text-slate-500">{step.extracted.join(", ") || "-"}</TableCell>
+                  <TableCell className={step.success ? "text-emerald-600" : "text-red-600"}>
+                    {step.success ? "通过" : step.error}
+                    {step.assertionFailures.map((failure, failureIndex) => (
+                      <p key={`${failure.target}-${failureIndex}`} className="text-xs text-slate-500">
+                        {failure.target}：期望 {failure.expected}，实际 {failure.actual ?? "-"}
+                      </p>
+                    ))}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </Card>
+      )}
+
       <div className="grid grid-cols-1 gap-6 xl:grid-cols-2">
         <Card className="p-5">
           <h3 className="mb-3 flex items-center gap-2 text-base font-semibold">
@@ -56,7 +56,7 @@ import {
 import { Switch } from "../components/ui/switch";
 import { apiClient } from "../lib/api";
 import { startVisibilityAwarePolling } from "../lib/polling";
-import type { ApiItem, CredentialItem } from "../lib/types";
+import type { ApiItem, CredentialItem, DnsRecordType, PullCheckAssertion, PullScriptStep } from "../lib/types";
 import {
   formatDateTime,
   formatNumber,
@@ -64,6 +64,7 @@ import {
   getApiStatusClass,
   getApiStatusText,
   getLevelBadgeClass,
+  getPullTargetText,
 } from "../lib/format";
 
 /**
@@ -97,6 +98,16 @@ interface ApiFormState {
   expectedStatusCodes: string;
   headersJson: string;
   requestBody: string;
+  stepsJson: string;
+  assertionsJson: string;
+  checkKind: "http" | "tcp" | "dns" | "tls";
+  host: string;
+  port: string;
+  send: string;
+  expect: string;
+  recordType: DnsRecordType;
+  expectedValues: string;
+  resolver: string;
   safetyMode: "readonly" | "dry_run" | "sandbox";
   dryRunParamKey: string;
   dryRunParamValue: string;
@@ -104,6 +115,53 @@ interface ApiFormState {
   credentialId: string;
 }
 
+/**
+ * 符号：SCRIPT_STEPS_PLACEHOLDER（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：通过 apiClient 调用后端接口，并驱动页面组件状态更新。
+ */
+const SCRIPT_STEPS_PLACEHOLDER = JSON.stringify(
+  [
+    {
+      name: "login",
+      method: "POST",
+      url: "https://api.example.com/login",
+      body: { user: "probe" },
+      extract: [{ name: "token", path: "$.data.token" }],
+    },
+    {
+      name: "order",
+      url: "https://api.example.com/orders",
+      headers: { Authorization: "Bearer {{token}}" },
+      assertions: [{ path: "$.items", exists: true }],
+    },
+  ],
+  null,
+  2,
+);
+
+/**
+ * 符号：ASSERTIONS_PLACEHOLDER（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：通过 apiClient 调用后端接口，并驱动页面组件状态更新。
+ */
+const ASSERTIONS_PLACEHOLDER = JSON.stringify(
+  [
+    { path: "$.status", equals: "ok" },
+    { source: "contentType", contains: "application/json" },
+    { source: "bodySize", max: 102400 },
+    { schema: { type: "object", required: ["status"] } },
+  ],
+  null,
+  2,
+);
+
+const DNS_RECORD_TYPES: DnsRecordType[] = ["A", "AAAA", "CNAME", "MX", "TXT", "NS", "SRV", "CAA"];
+
 const DEFAULT_FORM: ApiFormState = {
   name: "",
   path: "",
@@ -119,6 +177,16 @@ const DEFAULT_FORM: ApiFormState = {
   expectedStatusCodes: "200,204",
   headersJson: "{}",
   requestBody: "",
+  stepsJson: "",
+  assertionsJson: "",
+  checkKind: "http",
+  host: "",
+  port: "",
+  send: "",
+  expect: "",
+  recordType: "A",
+  expectedValues: "",
+  resolver: "",
   safetyMode: "readonly",
   dryRunParamKey: "dryRun",
   dryRunParamValue: "true",
@@ -344,7 +412,7 @@ export function ApiMonitorPage() {
           item.name.toLowerCase().includes(text) ||
           item.path.toLowerCase().includes(text) ||
           item.service.toLowerCase().includes(text) ||
-          (item.monitor?.checkConfig?.url || "").toLowerCase().includes(text);
+          getPullTargetText(item.monitor?.checkConfig).toLowerCase().includes(text);
         if (!matched) return false;
       }
 
@@ -427,13 +495,49 @@ export function ApiMonitorPage() {
       return;
     }
 
-    if (form.mode === "pull" && !form.url.trim()) {
+    // TCP / DNS / TLS 探测只用主机与端口等字段，HTTP 相关输入一律忽略。
+    const isHttpCheck = form.mode === "pull" && form.checkKind === "http";
+    if (form.mode === "pull" && !isHttpCheck && !form.host.trim()) {
+      setError("TCP / DNS / TLS 探测必须填写主机");
+      return;
+    }
+
+    // 填写了脚本步骤则按脚本模式探测，此时目标 URL 可留空。
+    let scriptSteps: Array<Partial<PullScriptStep>> = [];
+    if (isHttpCheck && form.stepsJson.trim()) {
+      try {
+        scriptSteps = JSON.parse(form.stepsJson) as Array<Partial<PullScriptStep>>;
+      } catch {
+        setError("脚本步骤 JSON 格式不正确");
+        return;
+      }
+      if (!Array.isArray(scriptSteps) || !scriptSteps.length) {
+        setError("脚本步骤必须是非空 JSON 数组");
+        return;
+      }
+    }
+
+    let assertions: PullCheckAssertion[] = [];
+    if (isHttpCheck && form.assertionsJson.trim()) {
+      try {
+        assertions = JSON.parse(form.assertionsJson) as PullCheckAssertion[];
+      } catch {
+        setError("响应断言 JSON 格式不正确");
+        return;
+      }
+      if (!Array.isArray(assertions)) {
+        setError("响应断言必须是 JSON 数组");
+        return;
+      }
+    }
+
+    if (isHttpCheck && !scriptSteps.length && !form.url.trim()) {
       setError("pull 模式必须填写目标 URL");
       return;
     }
 
     let parsedHeaders: Record<string, string> = {};
-    if (form.mode === "pull") {
+    if (isHttpCheck) {
       try {
         const raw = JSON.parse(form.headersJson || "{}") as Record<string, unknown>;
         parsedHeaders = Object.fromEntries(
@@ -458,11 +562,34 @@ export function ApiMonitorPage() {
           .map((item) => item.trim())
           .filter(Boolean),
         monitor:
-          form.mode === "pull"
+          form.mode === "pull" && !isHttpCheck
+            ? {
+                mode: "pull",
+                enabled: true,
+                checkConfig: {
+                  kind: form.checkKind,
+                  host: form.host.trim(),
+                  port: form.port.trim() ? Number(form.port) : null,
+                  send: form.send,
+                  expect: form.expect,
+                  recordType: form.recordType,
+                  expectedValues: form.expectedValues
+                    .split(",")
+                    .map((item) => item.trim())
+                    .filter(Boolean),
+                  resolver: form.resolver.trim(),
+                  intervalSeconds: Number(form.intervalSeconds),
+                  timeoutMs: Number(form.timeoutMs),
+                },
+              }
+            : form.mode === "pull"
             ? {
                 mode: "pull",
                 enabled: true,
                 checkConfig: {
+                  kind: scriptSteps.length ? "script" : "http",
+                  steps: scriptSteps,
+                  assertions,
                   url: form.url.trim(),
                   method: form.method,
                   intervalSeconds: Number(form.intervalSeconds),
@@ -756,27 +883,20 @@ export function ApiMonitorPage() {
 
                   {form.mode === "pull" && (
                     <>
-                      <div className="space-y-2 md:col-span-2">
-                        <Label>目标 URL</Label>
-                        <Input
-                          value={form.url}
-                          onChange={(event) => setForm((prev) => ({ ...prev, url: event.target.value }))}
-                          placeholder="https://api.example.com/health"
-                        />
-                      </div>
                       <div className="space-y-2">
-                        <Label>方法</Label>
-                        <Select value={form.method} onValueChange={(value) => setForm((prev) => ({ ...prev, method: value }))}>
+                        <Label>探测类型</Label>
+                        <Select
+                          value={form.checkKind}
+                          onValueChange={(value) => setForm((prev) => ({ ...prev, checkKind: value as ApiFormState["checkKind"] }))}
+                        >
                           <SelectTrigger>
                             <SelectValue />
                           </SelectTrigger>
                           <SelectContent>
-                            <SelectItem value="GET">GET</SelectItem>
-                            <SelectItem value="POST">POST</SelectItem>
-                            <SelectItem value="PUT">PUT</SelectItem>
-                            <SelectItem value="PATCH">PATCH</SelectItem>
-                            <SelectItem value="DELETE">DELETE</SelectItem>
-                            <SelectItem value="HEAD">HEAD</SelectItem>
+                            <SelectItem value="http">HTTP / 多步脚本</SelectItem>
+                            <SelectItem value="tcp">TCP 连接</SelectItem>
+                            <SelectItem value="dns">DNS 解析</SelectItem>
+                            <SelectItem value="tls">TLS 握手</SelectItem>
                           </SelectContent>
                         </Select>
                       </div>
@@ -796,6 +916,127 @@ export function ApiMonitorPage() {
                           onChange={(event) => setForm((prev) => ({ ...prev, timeoutMs: event.target.value }))}
                         />
                       </div>
+                    </>
+                  )}
+
+                  {form.mode === "pull" && form.checkKind !== "http" && (
+                    <>
+                      <div className="space-y-2">
+                        <Label>主机</Label>
+                        <Input
+                          value={form.host}
+                          onChange={(event) => setForm((prev) => ({ ...prev, host: event.target.value }))}
+                          placeholder={form.checkKind === "dns" ? "api.example.com" : "redis.internal"}
+                        />
+                      </div>
+                      {form.checkKind === "dns" ? (
+                        <div className="space-y-2">
+                          <Label>记录类型</Label>
+                          <Select
+                            value={form.recordType}
+                            onValueChange={(value) => setForm((prev) => ({ ...prev, recordType: value as DnsRecordType }))}
+                          >
+                            <SelectTrigger>
+                              <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent>
+                              {DNS_RECORD_TYPES.map((recordType) => (
+                                <SelectItem key={recordType} value={recordType}>
+                                  {recordType}
+                                </SelectItem>
+                              ))}
+                            </SelectContent>
+                          </Select>
+                        </div>
+                      ) : (
+                        <div className="space-y-2">
+                          <Label>端口</Label>
+                          <Input
+                            type="number"
+                            value={form.port}
+                            onChange={(event) => setForm((prev) => ({ ...prev, port: event.target.value }))}
+                            placeholder={form.checkKind === "tls" ? "443" : "6379"}
+                          />
+                        </div>
+                      )}
+                      {form.checkKind === "tcp" && (
+                        <>
+                          <div className="space-y-2">
+                            <Label>发送内容（可选）</Label>
+                            <Input
+                              value={form.send}
+                              onChange={(event) => setForm((prev) => ({ ...prev, send: event.target.value }))}
+                              className="font-mono"
+                              placeholder="PING\r\n"
+                            />
+                          </div>
+                          <div className="space-y-2">
+                            <Label>期望响应包含（可选）</Label>
+                            <Input
+                              value={form.expect}
+                              onChange={(event) => setForm((prev) => ({ ...prev, expect: event.target.value }))}
+                              className="font-mono"
+                              placeholder="+PONG"
+                            />
+                          </div>
+                        </>
+                      )}
+                      {form.checkKind === "dns" && (
+                        <>
+                          <div className="space-y-2">
+                            <Label>DNS 服务器（可选）</Label>
+                            <Input
+                              value={form.resolver}
+                              onChange={(event) => setForm((prev) => ({ ...prev, resolver: event.target.value }))}
+                              placeholder="8.8.8.8 或 10.0.0.2:53"
+                            />
+                          </div>
+                          <div className="space-y-2">
+                            <Label>期望解析结果（可选，逗号分隔）</Label>
+                            <Input
+                              value={form.expectedValues}
+                              onChange={(event) => setForm((prev) => ({ ...prev, expectedValues: event.target.value }))}
+                              placeholder="203.0.113.10,203.0.113.11"
+                            />
+                          </div>
+                        </>
+                      )}
+                      <p className="text-xs text-slate-500 md:col-span-2">
+                        {form.checkKind === "tcp"
+                          ? "连上端口即成功；填写期望响应时需在超时前收到包含该文本的数据，发送内容支持 \\r \\n \\t 转义。"
+                          : form.checkKind === "dns"
+                            ? "解析失败或期望值未全部出现在应答中时判定失败；不填 DNS 服务器则使用系统配置。"
+                            : "只做 TLS 握手不发送数据，证书校验失败即判定失败，并产出证书剩余天数指标。"}
+                      </p>
+                    </>
+                  )}
+
+                  {form.mode === "pull" && form.checkKind === "http" && (
+                    <>
+                      <div className="space-y-2 md:col-span-2">
+                        <Label>目标 URL</Label>
+                        <Input
+                          value={form.url}
+                          onChange={(event) => setForm((prev) => ({ ...prev, url: event.target.value }))}
+                          placeholder="https://api.example.com/health"
+                        />
+                      </div>
+                      <div className="space-y-2">
+                        <Label>方法</Label>
+                        <Select value={form.method} onValueChange={(value) => setForm((prev) => ({ ...prev, method: value }))}>
+                          <SelectTrigger>
+                            <SelectValue />
+                          </SelectTrigger>
+                          <SelectContent>
+                            <SelectItem value="GET">GET</SelectItem>
+                            <SelectItem value="POST">POST</SelectItem>
+                            <SelectItem value="PUT">PUT</SelectItem>
+                            <SelectItem value="PATCH">PATCH</SelectItem>
+                            <SelectItem value="DELETE">DELETE</SelectItem>
+                            <SelectItem value="HEAD">HEAD</SelectItem>
+                          </SelectContent>
+                        </Select>
+                      </div>
                       <div className="space-y-2">
                         <Label>期望状态码</Label>
                         <Input
@@ -903,6 +1144,33 @@ export function ApiMonitorPage() {
                           className="font-mono text-xs"
                         />
                       </div>
+                      <div className="space-y-2 md:col-span-2">
+                        <Label>响应断言 JSON（可选，状态码符合后逐条校验）</Label>
+                        <Textarea
+                          value={form.assertionsJson}
+                          onChange={(event) => setForm((prev) => ({ ...prev, assertionsJson: event.target.value }))}
+                          rows={4}
+                          className="font-mono text-xs"
+                          placeholder={ASSERTIONS_PLACEHOLDER}
+                        />
+                        <p className="text-xs text-slate-500">
+                          source 可选 json / header / body / bodySize / contentType；判定条件支持
+                          equals、contains、exists、matches（正则）、min/max 与 schema（JSON Schema）。
+                        </p>
+                      </div>
+                      <div className="space-y-2 md:col-span-2">
+                        <Label>脚本步骤 JSON（可选，填写后按顺序执行多步请求）</Label>
+                        <Textarea
+                          value={form.stepsJson}
+                          onChange={(event) => setForm((prev) => ({ ...prev, stepsJson: event.target.value }))}
+                          rows={5}
+                          className="font-mono text-xs"
+                          placeholder={SCRIPT_STEPS_PLACEHOLDER}
+                        />
+                        <p className="text-xs text-slate-500">
+                          脚本步骤的 assertions 写法与下方响应断言相同。extract 将 JSON 字段或响应头存为变量，后续步骤用 {"{{变量名}}"} 引用；请求头与安全策略对每一步生效。
+                        </p>
+                      </div>
                     </>
                   )}
                 </div>
@@ -1092,8 +1360,8 @@ export function ApiMonitorPage() {
                     <div>
                       <p className="font-medium">{item.name}</p>
                       <p className="font-mono text-xs text-slate-500">{item.path}</p>
-                      {item.monitor?.mode === "pull" && item.monitor?.checkConfig?.url && (
-                        <p className="mt-1 line-clamp-1 text-xs text-slate-400">{item.monitor.checkConfig.url}</p>
+                      {item.monitor?.mode === "pull" && getPullTargetText(item.monitor.checkConfig) && (
+                        <p className="mt-1 line-clamp-1 text-xs text-slate-400">{getPullTargetText(item.monitor.checkConfig)}</p>
                       )}
                     </div>
                   </TableCell>
@@ -9,7 +9,7 @@ import { Activity, AlertTriangle, Bell, ShieldAlert } from "lucide-react";
 import { Card } from "../components/ui/card";
 import { Button } from "../components/ui/button";
 import { apiClient } from "../lib/api";
-import { startVisibilityAwarePolling } from "../lib/polling";
+import { startLiveRefresh } from "../lib/events";
 import type { DashboardSummary, TrendPoint } from "../lib/types";
 import {
   formatDateTime,
@@ -22,14 +22,6 @@ import {
   getLevelBadgeClass,
 } from "../lib/format";
 
-/**
- * 符号：POLLING_MS（const）
- * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
- * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
- * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
- * 关联关系：通过 apiClient 调用后端接口，并驱动页面组件状态更新。
- */
-const POLLING_MS = 15_000;
 /**
  * 符号：DashboardCharts（const）
  * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
@@ -76,7 +68,7 @@ export function DashboardPage() {
 
   useEffect(() => {
     loadData();
-    return startVisibilityAwarePolling(loadData, POLLING_MS);
+    return startLiveRefresh(loadData, { topics: ["alerts", "apis", "metrics"], debounceMs: 2_000 });
   }, [loadData]);
 
   const kpis = useMemo(() => {
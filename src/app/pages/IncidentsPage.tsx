@@ -0,0 +1,410 @@
+/**
+ * @file src/app/pages/IncidentsPage.tsx
+ * 文件作用：前端业务页面，负责状态管理、接口调用与交互渲染。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { Check, Clock3, Filter, RefreshCw, Trash2 } from "lucide-react";
+import { Button } from "../components/ui/button";
+import { Card } from "../components/ui/card";
+import { Input } from "../components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "../components/ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "../components/ui/table";
+import {
+  Sheet,
+  SheetContent,
+  SheetDescription,
+  SheetHeader,
+  SheetTitle,
+  SheetTrigger,
+} from "../components/ui/sheet";
+import { Textarea } from "../components/ui/textarea";
+import { apiClient } from "../lib/api";
+import { startLiveRefresh } from "../lib/events";
+import type { AlertItem, IncidentItem, NotificationRecord } from "../lib/types";
+import {
+  formatDateTime,
+  getAlertStatusClass,
+  getAlertStatusText,
+  getLevelBadgeClass,
+} from "../lib/format";
+
+/**
+ * 符号：IncidentsPage（function）
+ * 作用说明：该组件是页面级入口，负责拼装子组件与组织页面状态。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：通过 apiClient 调用后端接口，并驱动页面组件状态更新。
+ */
+export function IncidentsPage() {
+  const [incidents, setIncidents] = useState<IncidentItem[]>([]);
+  const [statusFilter, setStatusFilter] = useState("active");
+  const [levelFilter, setLevelFilter] = useState("all");
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+  const [selectedIncident, setSelectedIncident] = useState<IncidentItem | null>(null);
+  const [memberAlerts, setMemberAlerts] = useState<AlertItem[]>([]);
+  const [incidentNotifications, setIncidentNotifications] = useState<NotificationRecord[]>([]);
+  const [ownerInput, setOwnerInput] = useState("");
+  const [operatorNote, setOperatorNote] = useState("");
+
+  const loadData = useCallback(async () => {
+    try {
+      const result = await apiClient.listIncidents({ limit: 300 });
+      setIncidents(result.items);
+      setError(null);
+    } catch (requestError) {
+      setError(requestError instanceof Error ? requestError.message : "加载失败");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadData();
+    return startLiveRefresh(loadData, { topics: ["alerts"] });
+  }, [loadData]);
+
+  const filtered = useMemo(() => {
+    return incidents.filter((incident) => {
+      if (statusFilter === "active" && incident.status !== "open" && incident.status !== "acknowledged") {
+        return false;
+      }
+      if (statusFilter !== "all" && statusFilter !== "active" && incident.status !== statusFilter) {
+        return false;
+      }
+      if (levelFilter !== "all" && incident.level !== levelFilter) {
+        return false;
+      }
+      return true;
+    });
+  }, [incidents, levelFilter, statusFilter]);
+
+  const stats = useMemo(() => {
+    return {
+      open: incidents.filter((item) => item.status === "open").length,
+      acknowledged: incidents.filter((item) => item.status === "acknowledged").length,
+      groupedAlerts: incidents
+        .filter((item) => item.status === "open" || item.status === "acknowledged")
+        .reduce((total, item) => total + item.activeAlertCount, 0),
+      resolved: incidents.filter((item) => item.status === "resolved" || item.status === "closed").length,
+    };
+  }, [incidents]);
+
+  const openDetail = async (incident: IncidentItem) => {
+    setSelectedIncident(incident);
+    setOwnerInput(incident.owner || "");
+    setMemberAlerts([]);
+    setIncidentNotifications([]);
+    try {
+      const detail = await apiClient.getIncidentDetail(incident.id);
+      setSelectedIncident(detail.item);
+      setMemberAlerts(detail.alerts);
+      setIncidentNotifications(detail.notifications);
+    } catch (requestError) {
+      setError(requestError instanceof Error ? requestError.message : "加载事件详情失败");
+    }
+  };
+
+  const updateIncident = async (
+    payload: { status?: IncidentItem["status"]; owner?: string | null; note?: string },
+    successText: string,
+  ) => {
+    if (!selectedIncident) return;
+
+    try {
+      await apiClient.updateIncident(selectedIncident.id, payload);
+      setOperatorNote("");
+      setMessage(successText);
+      await loadData();
+      await openDetail(selectedIncident);
+    } catch (requestError) {
+      setError(requestError instanceof Error ? requestError.message : "更新失败");
+    }
+  };
+
+  const deleteIncident = async () => {
+    if (!selectedIncident) return;
+    if (!window.confirm(`确认删除事件 ${selectedIncident.id} ？成员告警会保留。`)) return;
+
+    try {
+      await apiClient.deleteIncident(selectedIncident.id);
+      setSelectedIncident(null);
+      setMessage("事件已删除");
+      await loadData();
+    } catch (requestError) {
+      setError(requestError instanceof Error ? requestError.message : "删除失败");
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-2 gap-3 md:grid-cols-4">
+        <Card className="p-4">
+          <p className="text-xs text-slate-500">待处理事件</p>
+          <p className="mt-1 text-2xl font-semibold text-red-600">{stats.open}</p>
+        </Card>
+        <Card className="p-4">
+          <p className="text-xs text-slate-500">处理中事件</p>
+          <p className="mt-1 text-2xl font-semibold text-blue-600">{stats.acknowledged}</p>
+        </Card>
+        <Card className="p-4">
+          <p className="text-xs text-slate-500">活跃事件内告警</p>
+          <p className="mt-1 text-2xl font-semibold text-amber-600">{stats.groupedAlerts}</p>
+        </Card>
+        <Card className="p-4">
+          <p className="text-xs text-slate-500">已恢复/关闭</p>
+          <p className="mt-1 text-2xl font-semibold text-emerald-600">{stats.resolved}</p>
+        </Card>
+      </div>
+
+      <Card className="p-4">
+        <div className="flex flex-col gap-3 lg:flex-row lg:items-center lg:justify-between">
+          <div className="flex flex-wrap gap-3">
+            <Select value={levelFilter} onValueChange={setLevelFilter}>
+              <SelectTrigger className="w-[160px]">
+                <SelectValue placeholder="级别" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">全部级别</SelectItem>
+                <SelectItem value="P1">P1</SelectItem>
+                <SelectItem value="P2">P2</SelectItem>
+                <SelectItem value="P3">P3</SelectItem>
+              </SelectContent>
+            </Select>
+
+            <Select value={statusFilter} onValueChange={setStatusFilter}>
+              <SelectTrigger className="w-[180px]">
+                <SelectValue placeholder="状态" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="active">未结束</SelectItem>
+                <SelectItem value="all">全部状态</SelectItem>
+                <SelectItem value="open">待处理</SelectItem>
+                <SelectItem value="acknowledged">处理中</SelectItem>
+                <SelectItem value="resolved">已恢复</SelectItem>
+                <SelectItem value="closed">已关闭</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+
+          <Button variant="outline" className="gap-2" onClick={loadData}>
+            <RefreshCw className="h-4 w-4" />
+            刷新
+          </Button>
+        </div>
+      </Card>
+
+      {message && <Card className="border-emerald-200 bg-emerald-50 p-3 text-sm text-emerald-700">{message}</Card>}
+      {error && <Card className="border-red-200 bg-red-50 p-3 text-sm text-red-700">{error}</Card>}
+
+      <Card className="overflow-hidden">
+        <Table className="min-w-[960px]">
+          <TableHeader>
+            <TableRow>
+              <TableHead>级别</TableHead>
+              <TableHead>事件</TableHead>
+              <TableHead>告警数</TableHead>
+              <TableHead>负责人</TableHead>
+              <TableHead>状态</TableHead>
+              <TableHead>最后更新</TableHead>
+              <TableHead className="text-right">操作</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {!loading && filtered.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={7} className="py-8 text-center text-slate-500">
+                  暂无事件
+                </TableCell>
+              </TableRow>
+            )}
+
+            {filtered.map((incident) => (
+              <TableRow key={incident.id}>
+                <TableCell>
+                  <span className={`rounded px-2 py-0.5 text-xs font-medium ${getLevelBadgeClass(incident.level)}`}>
+                    {incident.level}
+                  </span>
+                </TableCell>
+                <TableCell className="max-w-md">
+                  <p className="text-sm font-medium text-slate-800">{incident.title}</p>
+                  <p className="mt-1 truncate text-xs text-slate-500">{incident.summary}</p>
+                </TableCell>
+                <TableCell className="text-sm">
+                  {incident.activeAlertCount}/{incident.alertCount}
+                </TableCell>
+                <TableCell className="text-sm">{incident.owner || "-"}</TableCell>
+                <TableCell>
+                  <span className={`rounded border px-2 py-0.5 text-xs ${getAlertStatusClass(incident.status)}`}>
+                    {getAlertStatusText(incident.status)}
+                  </span>
+                </TableCell>
+                <TableCell className="text-xs text-slate-500">{formatDateTime(incident.updatedAt)}</TableCell>
+                <TableCell className="text-right">
+                  <Sheet>
+                    <SheetTrigger asChild>
+                      <Button variant="ghost" size="sm" className="gap-1" onClick={() => openDetail(incident)}>
+                        <Filter className="h-4 w-4" />
+                        详情
+                      </Button>
+                    </SheetTrigger>
+                    <SheetContent className="w-[600px] overflow-y-auto sm:max-w-[600px]">
+                      {selectedIncident && (
+                        <>
+                          <SheetHeader>
+                            <SheetTitle className="flex items-center gap-2">
+                              <span className={`rounded px-2 py-1 text-xs ${getLevelBadgeClass(selectedIncident.level)}`}>
+                                {selectedIncident.level}
+                              </span>
+                              {selectedIncident.title}
+                            </SheetTitle>
+                            <SheetDescription>{selectedIncident.summary}</SheetDescription>
+                          </SheetHeader>
+
+                          <div className="mt-6 space-y-5">
+                            <Card className="p-4">
+                              <div className="space-y-1 text-xs text-slate-500">
+                                <p>状态: {getAlertStatusText(selectedIncident.status)}</p>
+                                <p>分组: {selectedIncident.key}</p>
+                                <p>开始: {formatDateTime(selectedIncident.createdAt)}</p>
+                                {selectedIncident.resolvedAt && <p>结束: {formatDateTime(selectedIncident.resolvedAt)}</p>}
+                              </div>
+                              <div className="mt-3 flex gap-2">
+                                <Input
+                                  value={ownerInput}
+                                  onChange={(event) => setOwnerInput(event.target.value)}
+                                  placeholder="负责人"
+                                />
+                                <Button
+                                  variant="outline"
+                                  onClick={() => updateIncident({ owner: ownerInput.trim() || null }, "负责人已更新")}
+                                >
+                                  指派
+                                </Button>
+                              </div>
+                            </Card>
+
+                            <Card className="p-4">
+                              <p className="mb-2 text-sm font-medium">处理备注</p>
+                              <Textarea
+                                value={operatorNote}
+                                onChange={(event) => setOperatorNote(event.target.value)}
+                                placeholder="填写处理说明，会记录到事件时间线"
+                                rows={3}
+                              />
+                              <div className="mt-3 grid grid-cols-2 gap-2">
+                                <Button
+                                  variant="outline"
+                                  className="gap-1"
+                                  onClick={() =>
+                                    updateIncident({ status: "acknowledged", note: operatorNote }, "事件已标记处理中")
+                                  }
+                                >
+                                  <Clock3 className="h-4 w-4" />
+                                  标记处理中
+                                </Button>
+                                <Button
+                                  variant="outline"
+                                  className="gap-1"
+                                  onClick={() => updateIncident({ status: "resolved", note: operatorNote }, "事件已恢复")}
+                                >
+                                  <Check className="h-4 w-4" />
+                                  标记已恢复
+                                </Button>
+                                <Button
+                                  variant="outline"
+                                  onClick={() => updateIncident({ status: "closed", note: operatorNote }, "事件已关闭")}
+                                >
+                                  关闭
+                                </Button>
+                                <Button
+                                  variant="outline"
+                                  disabled={!operatorNote.trim()}
+                                  onClick={() => updateIncident({ note: operatorNote }, "备注已记录")}
+                                >
+                                  仅记录备注
+                                </Button>
+                              </div>
+                              <Button
+                                variant="outline"
+                                className="mt-3 w-full gap-2 text-red-600 hover:text-red-700"
+                                onClick={deleteIncident}
+                              >
+                                <Trash2 className="h-4 w-4" />
+                                删除事件
+                              </Button>
+                            </Card>
+
+                            <Card className="p-4">
+                              <p className="text-sm font-medium">成员告警（{memberAlerts.length}）</p>
+                              <div className="mt-2 space-y-2">
+                                {memberAlerts.map((alert) => (
+                                  <div key={alert.id} className="flex items-center justify-between gap-2 text-xs">
+                                    <div className="min-w-0">
+                                      <p className="truncate font-mono text-slate-700">{alert.apiPath || alert.apiId}</p>
+                                      <p className="truncate text-slate-500">{alert.ruleName || alert.title}</p>
+                                    </div>
+                                    <span className={`shrink-0 rounded border px-2 py-0.5 ${getAlertStatusClass(alert.status)}`}>
+                                      {getAlertStatusText(alert.status)}
+                                    </span>
+                                  </div>
+                                ))}
+                              </div>
+                            </Card>
+
+                            <Card className="p-4">
+                              <p className="text-sm font-medium">通知记录（{incidentNotifications.length}）</p>
+                              <div className="mt-2 space-y-1 text-xs text-slate-600">
+                                {incidentNotifications.map((record) => (
+                                  <p key={record.id}>
+                                    {formatDateTime(record.createdAt)} · {record.eventType || "trigger"} · {record.channelType} ·{" "}
+                                    {record.status}
+                                  </p>
+                                ))}
+                              </div>
+                            </Card>
+
+                            <Card className="p-4">
+                              <p className="text-sm font-medium">时间线</p>
+                              <div className="mt-2 space-y-2">
+                                {[...selectedIncident.timeline].reverse().map((event) => (
+                                  <div key={event.id} className="text-xs">
+                                    <p className="text-slate-700">
+                                      {event.type} · {event.by}
+                                    </p>
+                                    <p className="text-slate-500">{event.note}</p>
+                                    <p className="text-slate-400">{formatDateTime(event.at)}</p>
+                                  </div>
+                                ))}
+                              </div>
+                            </Card>
+                          </div>
+                        </>
+                      )}
+                    </SheetContent>
+                  </Sheet>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,167 @@
+/**
+ * @file src/app/pages/LoginPage.tsx
+ * 文件作用：前端业务页面，负责状态管理、接口调用与交互渲染。
+ * 维护建议：修改本文件逻辑后，请同步检查关联测试与文档，保证实现与说明一致。
+ */
+
+import { useState, type FormEvent } from "react";
+import { useNavigate, useSearchParams } from "react-router";
+import { KeyRound, LogIn, Zap } from "lucide-react";
+import { Button } from "../components/ui/button";
+import { Card } from "../components/ui/card";
+import { Input } from "../components/ui/input";
+import { Label } from "../components/ui/label";
+import { apiClient, getAuthToken, setAuthToken } from "../lib/api";
+
+/**
+ * 符号：LoginPage（function）
+ * 作用说明：该组件是页面级入口，负责拼装子组件与组织页面状态。
+ * 实现说明：实现中包含 try/catch，说明该路径显式处理异常。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：通过 apiClient 调用后端接口，并驱动页面组件状态更新。
+ */
+export function LoginPage() {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  // 初始密码或被管理员重置的密码登录后，需先设置新密码才能进入系统。
+  const [mustChangePassword, setMustChangePassword] = useState(() => searchParams.get("changePassword") === "1" && Boolean(getAuthToken()));
+  const [newPassword, setNewPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const finishLogin = () => {
+    const redirect = searchParams.get("redirect");
+    navigate(redirect && redirect.startsWith("/") && redirect !== "/login" ? redirect : "/", { replace: true });
+  };
+
+  const handleSubmit = async (event: FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      const result = await apiClient.login({ email: email.trim(), password });
+      setAuthToken(result.token);
+      if (result.user.mustChangePassword) {
+        setMustChangePassword(true);
+        return;
+      }
+      finishLogin();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "登录失败");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleChangePassword = async (event: FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    if (newPassword !== confirmPassword) {
+      setError("两次输入的新密码不一致");
+      return;
+    }
+
+    setSubmitting(true);
+    setError(null);
+    try {
+      await apiClient.changePassword({ currentPassword: password, newPassword });
+      finishLogin();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "修改密码失败");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="flex min-h-screen items-center justify-center bg-slate-50 p-6">
+      <Card className="w-full max-w-sm space-y-6 p-6">
+        <div className="flex items-center gap-3">
+          <div className="flex h-10 w-10 items-center justify-center rounded-xl bg-blue-600 text-white shadow-sm">
+            <Zap className="h-5 w-5" />
+          </div>
+          <div>
+            <p className="text-base font-semibold">规则引擎告警平台</p>
+            <p className="text-sm text-slate-500">{mustChangePassword ? "首次登录或密码已被重置，请先设置新密码" : "请使用账号密码登录"}</p>
+          </div>
+        </div>
+
+        {mustChangePassword ? (
+          <form className="space-y-4" onSubmit={handleChangePassword}>
+            <div className="space-y-2">
+              <Label htmlFor="current-password">当前密码</Label>
+              <Input
+                id="current-password"
+                type="password"
+                autoComplete="current-password"
+                value={password}
+                onChange={(event) => setPassword(event.target.value)}
+                required
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="new-password">新密码（至少 8 位，包含字母和数字）</Label>
+              <Input
+                id="new-password"
+                type="password"
+                autoComplete="new-password"
+                value={newPassword}
+                onChange={(event) => setNewPassword(event.target.value)}
+                required
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="confirm-password">确认新密码</Label>
+              <Input
+                id="confirm-password"
+                type="password"
+                autoComplete="new-password"
+                value={confirmPassword}
+                onChange={(event) => setConfirmPassword(event.target.value)}
+                required
+              />
+            </div>
+            {error && <p className="text-sm text-red-600">{error}</p>}
+            <Button type="submit" className="w-full gap-2" disabled={submitting}>
+              <KeyRound className="h-4 w-4" />
+              {submitting ? "提交中..." : "设置新密码并进入"}
+            </Button>
+          </form>
+        ) : (
+          <form className="space-y-4" onSubmit={handleSubmit}>
+            <div className="space-y-2">
+              <Label htmlFor="login-email">邮箱</Label>
+              <Input
+                id="login-email"
+                type="email"
+                autoComplete="username"
+                value={email}
+                onChange={(event) => setEmail(event.target.value)}
+                required
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="login-password">密码</Label>
+              <Input
+                id="login-password"
+                type="password"
+                autoComplete="current-password"
+                value={password}
+                onChange={(event) => setPassword(event.target.value)}
+                required
+              />
+            </div>
+            {error && <p className="text-sm text-red-600">{error}</p>}
+            <Button type="submit" className="w-full gap-2" disabled={submitting}>
+              <LogIn className="h-4 w-4" />
+              {submitting ? "登录中..." : "登录"}
+            </Button>
+          </form>
+        )}
+      </Card>
+    </div>
+  );
+}
@@ -21,6 +21,7 @@ import {
   DialogTitle,
   DialogTrigger,
 } from "../components/ui/dialog";
+import { ChannelTemplateEditor } from "../components/channels/ChannelTemplateEditor";
 import { apiClient } from "../lib/api";
 import type { ChannelItem } from "../lib/types";
 import { formatDateTime } from "../lib/format";
@@ -33,6 +34,33 @@ const iconByType: Record<string, typeof BellRing> = {
   wechat: MessageSquare,
 };
 
+/**
+ * 符号：formatRateLimit（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现中包含条件分支，用于按业务场景走不同处理路径。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：通过 apiClient 调用后端接口，并驱动页面组件状态更新。
+ */
+// 限流与汇总配置来自自由编辑的 JSON，展示前只做宽松读取。
+const formatRateLimit = (value: unknown) => {
+  const rateLimit = value as { perMinute?: number; burst?: number; overflow?: string } | null | undefined;
+  if (!rateLimit?.perMinute) return "未开启";
+  const burst = rateLimit.burst ?? Math.max(1, Math.ceil(rateLimit.perMinute));
+  return `${rateLimit.perMinute} 条/分钟，突发 ${burst}，超出${rateLimit.overflow === "defer" ? "顺延" : "丢弃"}`;
+};
+
+/**
+ * 符号：formatDigest（arrow-function）
+ * 作用说明：该符号承载局部核心逻辑，建议从输入、处理、输出三个维度理解。
+ * 实现说明：实现路径较直线，主要按顺序执行语句并返回结果。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：通过 apiClient 调用后端接口，并驱动页面组件状态更新。
+ */
+const formatDigest = (value: unknown) => {
+  const digest = value as { windowSeconds?: number } | null | undefined;
+  return digest?.windowSeconds ? `${digest.windowSeconds} 秒窗口合并` : "未开启";
+};
+
 /**
  * 符号：NotificationChannelsPage（function）
  * 作用说明：该组件是页面级入口，负责拼装子组件与组织页面状态。
@@ -89,6 +117,7 @@ export function NotificationChannelsPage() {
           {
             deliveryMode: "mock",
             webhookUrl: "https://hooks.slack.com/services/EXAMPLE",
+            messageFormat: "blocks",
           },
           null,
           2,
@@ -102,6 +131,7 @@ export function NotificationChannelsPage() {
           {
             deliveryMode: "mock",
             webhookUrl: "https://qyapi.weixin.qq.com/cgi-bin/webhook/send?key=EXAMPLE",
+            messageFormat: "markdown",
           },
           null,
           2,
@@ -115,6 +145,10 @@ export function NotificationChannelsPage() {
           {
             deliveryMode: "mock",
             recipients: ["+10000000000"],
+            provider: "generic_json",
+            gateway: { url: "https://sms.example.com/send" },
+            credentialId: null,
+            maxSegments: 1,
           },
           null,
           2,
@@ -466,6 +500,12 @@ export function NotificationChannelsPage() {
                       ) : (
                         <span className="text-slate-500">已禁用</span>
                       )}
+                      {channel.deliveryStats &&
+                        (channel.deliveryStats.dropped > 0 || channel.deliveryStats.batched > 0) && (
+                          <span className="ml-2 text-amber-600">
+                            24h 限流丢弃 {channel.deliveryStats.dropped} · 汇总合并 {channel.deliveryStats.batched}
+                          </span>
+                        )}
                     </div>
                   </button>
                 </div>
@@ -493,6 +533,34 @@ export function NotificationChannelsPage() {
                 </span>
               </div>
 
+              {selectedChannel.deliveryStats && (
+                <div className="grid grid-cols-3 gap-2 text-xs md:grid-cols-6">
+                  {(
+                    [
+                      ["已发送", selectedChannel.deliveryStats.sent],
+                      ["失败", selectedChannel.deliveryStats.failed],
+                      ["排队中", selectedChannel.deliveryStats.queued],
+                      ["限流丢弃", selectedChannel.deliveryStats.dropped],
+                      ["并入汇总", selectedChannel.deliveryStats.batched],
+                      ["汇总消息", selectedChannel.deliveryStats.digests],
+                    ] as const
+                  ).map(([label, value]) => (
+                    <div key={label} className="rounded border border-slate-200 p-2">
+                      <p className="text-slate-500">{label}</p>
+                      <p className="text-base font-semibold">{value}</p>
+                    </div>
+                  ))}
+                  <p className="col-span-full text-slate-500">
+                    近 24 小时统计。限流：{formatRateLimit(selectedChannel.config.rateLimit)}；汇总：
+                    {formatDigest(selectedChannel.config.digest)}；备用渠道：
+                    {typeof selectedChannel.config.fallbackChannelId === "string"
+                      ? channels.find((channel) => channel.id === selectedChannel.config.fallbackChannelId)?.name ??
+                        `${selectedChannel.config.fallbackChannelId}（不存在）`
+                      : "未配置"}
+                  </p>
+                </div>
+              )}
+
               <div className="space-y-2">
                 <Label>配置 JSON</Label>
                 <Textarea
@@ -521,6 +589,8 @@ export function NotificationChannelsPage() {
                   保存配置
                 </Button>
               </div>
+
+              <ChannelTemplateEditor channel={selectedChannel} onMessage={setMessage} onError={setError} />
             </div>
           )}
         </Card>
@@ -29,7 +29,7 @@ import {
 } from "../components/ui/dialog";
 import { Textarea } from "../components/ui/textarea";
 import { apiClient } from "../lib/api";
-import type { ApiItem, ChannelItem, RuleItem } from "../lib/types";
+import type { ApiItem, ChannelItem, RuleCondition, RuleItem } from "../lib/types";
 import { formatDateTime, getLevelBadgeClass } from "../lib/format";
 
 /**
@@ -40,7 +40,7 @@ import { formatDateTime, getLevelBadgeClass } from "../lib/format";
  * 关联关系：通过 apiClient 调用后端接口，并驱动页面组件状态更新。
  */
 interface RuleForm {
-  ruleType: "threshold" | "consecutive_failures" | "missing_data" | "burn_rate";
+  ruleType: NonNullable<RuleItem["ruleType"]>;
   name: string;
   description: string;
   priority: RuleItem["priority"];
@@ -57,7 +57,14 @@ interface RuleForm {
   windowMinutes: string;
   minSamples: string;
   cooldownMinutes: string;
+  sensitivity: string;
+  seasonality: NonNullable<RuleItem["seasonality"]>;
+  changeMode: NonNullable<RuleItem["changeMode"]>;
+  changeDirection: NonNullable<RuleItem["changeDirection"]>;
+  compareOffsetMinutes: string;
   scopeType: "global" | "service" | "api";
+  scopeAggregation: NonNullable<RuleItem["scopeAggregation"]>;
+  minBreachPercent: string;
   scopeValue: string;
   actions: string[];
 }
@@ -115,8 +122,29 @@ const metricLabelMap: Record<string, string> = {
   latencyP99: "99 分位延迟(P99)",
   availability: "可用性",
   statusCode5xx: "5xx 错误数",
+  dnsMs: "DNS 解析耗时",
+  connectMs: "TCP 连接耗时",
+  tlsMs: "TLS 握手耗时",
+  ttfbMs: "首字节耗时(TTFB)",
+  downloadMs: "响应下载耗时",
+  certDaysRemaining: "证书剩余天数",
 };
 
+/**
+ * 符号：PULL_PROBE_METRIC_OPTIONS（const）
+ * 作用说明：该常量用于集中管理配置值或枚举项，避免魔法值散落。
+ * 实现说明：实现中使用 map/filter/reduce 等数组操作，强调声明式数据变换。
+ * 输入输出：接收函数参数并返回计算结果，建议答辩时明确返回值如何被上游使用。
+ * 关联关系：通过 apiClient 调用后端接口，并驱动页面组件状态更新。
+ */
+// 分阶段耗时与证书剩余天数只来自 pull 探测（证书仅 HTTPS 目标），push 上报的 API 没有这些样本。
+const PULL_PROBE_METRIC_OPTIONS = (
+  ["dnsMs", "connectMs", "tlsMs", "ttfbMs", "downloadMs", "certDaysRemaining"] as const
+).map((value) => ({
+  value,
+  label: `${metricLabelMap[value]}（pull 探测）`,
+}));
+
 const aggregationLabelMap: Record<string, string> = {
   avg: "平均值",
   max: "最大值",
@@ -132,12 +160,16 @@ const aggregationLabelMap: Record<string, string> = {
  * 关联关系：通过 apiClient 调用后端接口，并驱动页面组件状态更新。
  */
 const formatRuleCondition = (
-  condition: { metric: string; operator: string; threshold: number; aggregation?: string },
-  defaultAggregation: string,
+  condition: Pick<RuleCondition, "metric" | "operator" | "threshold" | "aggregation" | "conditionType" | "changeMode">,
+  rule: Pick<RuleItem, "aggregation" | "ruleType" | "changeMode">,
 ) => {
   const metricLabel = metricLabelMap[condition.metric] || condition.metric;
-  const aggregation = condition.aggregation || defaultAggregation;
+  const aggregation = condition.aggregation || rule.aggregation;
   const aggregationLabel = aggregationLabelMap[aggregation] || aggregation;
+  if ((condition.conditionType || rule.ruleType) === "change") {
+    const unit = (condition.changeMode || rule.changeMode) === "absolute" ? "" : "%";
+    return `${aggregationLabel}(${metricLabel}) 变化量 ${condition.operator} ${condition.threshold}${unit}`;
+  }
   return `${aggregationLabel}(${metricLabel}) ${condition.operator} ${condition.threshold}`;
 };
 
@@ -155,7 +187,14 @@ const DEFAULT_FORM: RuleForm = {
   windowMinutes: "5",
   minSamples: "2",
   cooldownMinutes: "10",
+  sensitivity: "3",
+  seasonality: "none",
+  changeMode: "percent",
+  changeDirection: "increase",
+  compareOffsetMinutes: "5",
   scopeType: "global",
+  scopeAggregation: "per_api",
+  minBreachPercent: "50",
   scopeValue: "",
   actions: [],
 };
@@ -196,6 +235,8 @@ const buildDslFromForm = (form: RuleForm) => {
       .map((condition) => `${condition.metric} ${condition.operator} ${condition.threshold || "0"}`)
       .join(joiner);
     parts.push(conditionText);
+  } else if (form.ruleType === "anomaly") {
+    parts.push(`metric=${form.metric}`);
   } else {
     parts.push(form.metric, form.operator, String(form.threshold || "0"));
   }
@@ -214,12 +255,26 @@ const buildDslFromForm = (form: RuleForm) => {
   // 步骤 4：按条件分支处理不同场景，确保每条路径都符合业务约束。
   if (form.minSamples) parts.push(`min=${form.minSamples}`);
   if (form.cooldownMinutes) parts.push(`cooldown=${form.cooldownMinutes}`);
+  if (form.ruleType === "anomaly") {
+    parts.push(`sensitivity=${form.sensitivity || "3"}`, `seasonality=${form.seasonality}`);
+  }
+  if (form.ruleType === "change") {
+    parts.push(
+      `mode=${form.changeMode}`,
+      `direction=${form.changeDirection}`,
+      `offset=${form.compareOffsetMinutes || form.windowMinutes}m`,
+    );
+  }
   // 步骤 5：按条件分支处理不同场景，确保每条路径都符合业务约束。
   if (form.scopeType === "global") {
     parts.push("scope=global");
   } else if (form.scopeValue) {
     parts.push(`scope=${form.scopeType}:${form.scopeValue}`);
   }
+  if (form.scopeType !== "api" && form.scopeAggregation === "combined") parts.push("across=combined");
+  if (form.scopeType !== "api" && form.scopeAggregation === "breach_ratio") {
+    parts.push(`breach=${form.minBreachPercent || "50"}%`);
+  }
   // 步骤 6：按条件分支处理不同场景，确保每条路径都符合业务约束。
   if (form.actions.length) parts.push(`actions=${form.actions.join(",")}`);
   // 步骤 5：返回当前结果并结束函数，明确本路径的输出语义。
@@ -257,8 +312,15 @@ const mapRuleToForm = (rule: RuleItem): RuleForm => {
     windowMinutes: String(firstCondition?.windowMinutes ?? rule.windowMinutes ?? "5"),
     minSamples: String(firstCondition?.minSamples ?? rule.minSamples ?? "2"),
     cooldownMinutes: String(rule.cooldownMinutes ?? "10"),
+    sensitivity: String(rule.sensitivity ?? "3"),
+    seasonality: rule.seasonality || "none",
+    changeMode: rule.changeMode || "percent",
+    changeDirection: rule.changeDirection || "increase",
+    compareOffsetMinutes: String(rule.compareOffsetMinutes ?? rule.windowMinutes ?? "5"),
     scopeType,
     scopeValue: rule.scope?.value ?? "",
+    scopeAggregation: scopeType === "api" ? "per_api" : rule.scopeAggregation || "per_api",
+    minBreachPercent: String(rule.minBreachPercent ?? "50"),
     actions: Array.isArray(rule.actions) ? rule.actions : [],
   };
 };
@@ -419,6 +481,13 @@ export function RulesPage() {
         longWindowMinutes: Math.max(Number(form.windowMinutes) * 12, 60),
         burnRateThreshold: 2,
         sloTarget: 99.9,
+        sensitivity: Number(form.sensitivity),
+        seasonality: form.seasonality,
+        changeMode: form.changeMode,
+        changeDirection: form.changeDirection,
+        compareOffsetMinutes: Number(form.compareOffsetMinutes),
+        scopeAggregation: form.scopeType === "api" ? "per_api" : form.scopeAggregation,
+        minBreachPercent: Number(form.minBreachPercent),
         conditions:
           form.conditions.length > 0
             ? form.conditions.map((condition) => ({
@@ -477,10 +546,7 @@ export function RulesPage() {
     }
     setDslParsing(true);
     try {
-      const result = await apiClient.createRuleDsl({
-        dsl: text,
-        actor: localStorage.getItem("api_alert_user") || "admin",
-      });
+      const result = await apiClient.createRuleDsl({ dsl: text });
       setDslWarnings(result.warnings || []);
       setIsCreateOpen(false);
       setMessage("规则已创建");
@@ -534,6 +600,13 @@ export function RulesPage() {
         longWindowMinutes: Math.max(Number(editForm.windowMinutes) * 12, 60),
         burnRateThreshold: 2,
         sloTarget: 99.9,
+        sensitivity: Number(editForm.sensitivity),
+        seasonality: editForm.seasonality,
+        changeMode: editForm.changeMode,
+        changeDirection: editForm.changeDirection,
+        compareOffsetMinutes: Number(editForm.compareOffsetMinutes),
+        scopeAggregation: editForm.scopeType === "api" ? "per_api" : editForm.scopeAggregation,
+        minBreachPercent: Number(editForm.minBreachPercent),
         conditions:
           editForm.conditions.length > 0
             ? editForm.conditions.map((condition) => ({
@@ -591,6 +664,13 @@ export function RulesPage() {
         longWindowMinutes: Math.max(Number(nextForm.windowMinutes) * 12, 60),
         burnRateThreshold: 2,
         sloTarget: 99.9,
+        sensitivity: Number(nextForm.sensitivity),
+        seasonality: nextForm.seasonality,
+        changeMode: nextForm.changeMode,
+        changeDirection: nextForm.changeDirection,
+        compareOffsetMinutes: Number(nextForm.compareOffsetMinutes),
+        scopeAggregation: nextForm.scopeType === "api" ? "per_api" : nextForm.scopeAggregation,
+        minBreachPercent: Number(nextForm.minBreachPercent),
         conditions:
           nextForm.conditions.length > 0
             ? nextForm.conditions.map((condition) => ({
@@ -705,6 +785,16 @@ export function RulesPage() {
         if (!item.evaluable) {
           return `${item.apiPath}: 无法评估 (${item.reason || "unknown"})`;
         }
+        if (item.contributors) {
+          const detail = item.contributors
+            .map((contributor) => `  - ${contributor.apiPath}: value=${contributor.value}`)
+            .join("\n");
+          return `${item.apiPath}: value=${item.value} matched=${item.matched}\n${item.message || ""}\n${detail}`;
+        }
+        if (item.expected) {
+          const { lower, upper, deviation } = item.expected;
+          return `${item.apiPath}: value=${item.value} 期望区间=[${lower}, ${upper}] 偏离=${deviation}σ matched=${item.matched}`;
+        }
         return `${item.apiPath}: value=${item.value} matched=${item.matched}`;
       });
       setSimulateText(lines.join("\n"));
@@ -939,7 +1029,7 @@ export function RulesPage() {
                     updateForm((prev) => ({
                       ...prev,
                       ruleType: value as RuleForm["ruleType"],
-                      conditions: value === "threshold" ? prev.conditions : [],
+                      conditions: value === "threshold" || value === "change" ? prev.conditions : [],
                     }))
                   }
                 >
@@ -951,6 +1041,8 @@ export function RulesPage() {
                     <SelectItem value="consecutive_failures">连续失败</SelectItem>
                     <SelectItem value="missing_data">缺失数据</SelectItem>
                     <SelectItem value="burn_rate">SLO 消耗率</SelectItem>
+                    <SelectItem value="anomaly">基线异常检测</SelectItem>
+                    <SelectItem value="change">变化率 / 同环比</SelectItem>
                   </SelectContent>
                 </Select>
               </div>
@@ -974,7 +1066,7 @@ export function RulesPage() {
                 </Select>
               </div>
 
-              {form.ruleType === "threshold" && (
+              {(form.ruleType === "threshold" || form.ruleType === "change") && (
                 <div className="space-y-2 md:col-span-2">
                   <div className="flex flex-wrap items-center justify-between gap-2">
                     <Label>条件设置</Label>
@@ -1057,6 +1149,11 @@ export function RulesPage() {
                               <SelectItem value="latencyP99">99 分位延迟(P99)</SelectItem>
                               <SelectItem value="availability">可用性</SelectItem>
                               <SelectItem value="statusCode5xx">5xx 错误数</SelectItem>
+                              {PULL_PROBE_METRIC_OPTIONS.map((option) => (
+                                <SelectItem key={option.value} value={option.value}>
+                                  {option.label}
+                                </SelectItem>
+                              ))}
                             </SelectContent>
                           </Select>
                           <Select
@@ -1143,6 +1240,11 @@ export function RulesPage() {
                             <SelectItem value="latencyP99">99 分位延迟(P99)</SelectItem>
                             <SelectItem value="availability">可用性</SelectItem>
                             <SelectItem value="statusCode5xx">5xx 错误数</SelectItem>
+                            {PULL_PROBE_METRIC_OPTIONS.map((option) => (
+                              <SelectItem key={option.value} value={option.value}>
+                                {option.label}
+                              </SelectItem>
+                            ))}
                           </SelectContent>
                         </Select>
                       </div>
@@ -1182,6 +1284,117 @@ export function RulesPage() {
                 </div>
               )}
 
+              {form.ruleType === "change" && (
+                <div className="grid grid-cols-1 gap-3 md:col-span-2 md:grid-cols-3">
+                  <div className="space-y-2">
+                    <Label>变化量计算</Label>
+                    <Select
+                      value={form.changeMode}
+                      onValueChange={(value) =>
+                        updateForm((prev) => ({ ...prev, changeMode: value as RuleForm["changeMode"] }))
+                      }
+                    >
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="percent">百分比(%)</SelectItem>
+                        <SelectItem value="absolute">绝对值</SelectItem>
+                      </SelectContent>
+                    </Select>
+                  </div>
+
+                  <div className="space-y-2">
+                    <Label>变化方向</Label>
+                    <Select
+                      value={form.changeDirection}
+                      onValueChange={(value) =>
+                        updateForm((prev) => ({ ...prev, changeDirection: value as RuleForm["changeDirection"] }))
+                      }
+                    >
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="increase">上升</SelectItem>
+                        <SelectItem value="decrease">下降</SelectItem>
+                        <SelectItem value="either">任意方向</SelectItem>
+                      </SelectContent>
+                    </Select>
+                  </div>
+
+                  <div className="space-y-2">
+                    <Label>对比偏移(分钟)</Label>
+                    <Input
+                      type="number"
+                      value={form.compareOffsetMinutes}
+                      onChange={(event) => updateForm((prev) => ({ ...prev, compareOffsetMinutes: event.target.value }))}
+                    />
+                    <p className="text-xs text-slate-500">等于窗口分钟即环比上一窗口，1440 为对比昨日同一时段；阈值按变化量解释。</p>
+                  </div>
+                </div>
+              )}
+
+              {form.ruleType === "anomaly" && (
+                <div className="grid grid-cols-1 gap-3 md:col-span-2 md:grid-cols-3">
+                  <div className="space-y-2">
+                    <Label>指标</Label>
+                    <Select
+                      value={form.metric}
+                      onValueChange={(value) =>
+                        updateForm((prev) => ({ ...prev, metric: value as RuleItem["metric"] }))
+                      }
+                    >
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="qps">每秒请求量</SelectItem>
+                        <SelectItem value="errorRate">错误率</SelectItem>
+                        <SelectItem value="latencyP95">95 分位延迟(P95)</SelectItem>
+                        <SelectItem value="latencyP99">99 分位延迟(P99)</SelectItem>
+                        <SelectItem value="availability">可用性</SelectItem>
+                        <SelectItem value="statusCode5xx">5xx 错误数</SelectItem>
+                        {PULL_PROBE_METRIC_OPTIONS.map((option) => (
+                          <SelectItem key={option.value} value={option.value}>
+                            {option.label}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+
+                  <div className="space-y-2">
+                    <Label>灵敏度(σ 倍数)</Label>
+                    <Input
+                      type="number"
+                      step="0.5"
+                      value={form.sensitivity}
+                      onChange={(event) => updateForm((prev) => ({ ...prev, sensitivity: event.target.value }))}
+                    />
+                  </div>
+
+                  <div className="space-y-2">
+                    <Label>季节性基线</Label>
+                    <Select
+                      value={form.seasonality}
+                      onValueChange={(value) =>
+                        updateForm((prev) => ({ ...prev, seasonality: value as RuleForm["seasonality"] }))
+                      }
+                    >
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="none">不区分时段</SelectItem>
+                        <SelectItem value="hour_of_day">同一小时(UTC)</SelectItem>
+                        <SelectItem value="day_of_week">同一星期几同一小时(UTC)</SelectItem>
+                      </SelectContent>
+                    </Select>
+                  </div>
+                </div>
+              )}
+
               <div className="space-y-2">
                 <Label>聚合方式</Label>
                 <Select
@@ -1266,6 +1479,38 @@ export function RulesPage() {
                           </SelectItem>
                         ),
                       )}
+
+              {form.scopeType !== "api" && (
+                <div className="space-y-2">
+                  <Label>聚合方式</Label>
+                  <Select
+                    value={form.scopeAggregation}
+                    onValueChange={(value) =>
+                      updateForm((prev) => ({ ...prev, scopeAggregation: value as RuleForm["scopeAggregation"] }))
+                    }
+                  >
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="per_api">逐个 API 告警</SelectItem>
+                      <SelectItem value="combined">合并为服务级指标</SelectItem>
+                      <SelectItem value="breach_ratio">按越线 API 占比</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
+              )}
+
+              {form.scopeType !== "api" && form.scopeAggregation === "breach_ratio" && (
+                <div className="space-y-2">
+                  <Label>越线占比阈值（%）</Label>
+                  <Input
+                    type="number"
+                    value={form.minBreachPercent}
+                    onChange={(event) => updateForm((prev) => ({ ...prev, minBreachPercent: event.target.value }))}
+                  />
+                </div>
+              )}
                     </SelectContent>
                   </Select>
                 </div>
@@ -1437,7 +1682,7 @@ export function RulesPage() {
                   <p className="line-clamp-1 text-xs text-slate-500">
                     {Array.isArray(rule.conditions) && rule.conditions.length > 0
                       ? `${rule.conditionLogic === "any" ? "任一" : "全部"}满足：${rule.conditions
-                          .map((condition) => formatRuleCondition(condition, rule.aggregation))
+                          .map((condition) => formatRuleCondition(condition, rule))
                           .join("；")}`
                       : `${rule.metric} ${rule.operator} ${rule.threshold}`}
                   </p>
@@ -1487,7 +1732,7 @@ export function RulesPage() {
                       </p>
                       {selectedRule.conditions.map((condition, index) => (
                         <p key={`${condition.metric}-${condition.operator}-${condition.threshold}-${index}`} className="font-mono">
-                          {formatRuleCondition(condition, selectedRule.aggregation)}
+                          {formatRuleCondition(condition, selectedRule)}
                         </p>
                       ))}
                     </div>
@@ -1572,7 +1817,7 @@ export function RulesPage() {
                             updateEditForm((prev) => ({
                               ...prev,
                               ruleType: value as RuleForm["ruleType"],
-                              conditions: value === "threshold" ? prev.conditions : [],
+                              conditions: value === "threshold" || value === "change" ? prev.conditions : [],
                             }))
                           }
                         >
@@ -1584,6 +1829,8 @@ export function RulesPage() {
                             <SelectItem value="consecutive_failures">连续失败</SelectItem>
                             <SelectItem value="missing_data">缺失数据</SelectItem>
                             <SelectItem value="burn_rate">SLO 消耗率</SelectItem>
+                            <SelectItem value="anomaly">基线异常检测</SelectItem>
+                            <SelectItem value="change">变化率 / 同环比</SelectItem>
                           </SelectContent>
                         </Select>
                       </div>
@@ -1607,7 +1854,7 @@ export function RulesPage() {
                         </Select>
                       </div>
 
-                      {editForm.ruleType === "threshold" && (
+                      {(editForm.ruleType === "threshold" || editForm.ruleType === "change") && (
                         <div className="space-y-2 md:col-span-2">
                           <div className="flex flex-wrap items-center justify-between gap-2">
                             <Label>条件设置</Label>
@@ -1690,6 +1937,11 @@ export function RulesPage() {
                                       <SelectItem value="latencyP99">99 分位延迟(P99)</SelectItem>
                                       <SelectItem value="availability">可用性</SelectItem>
                                       <SelectItem value="statusCode5xx">5xx 错误数</SelectItem>
+                                      {PULL_PROBE_METRIC_OPTIONS.map((option) => (
+                                        <SelectItem key={option.value} value={option.value}>
+                                          {option.label}
+                                        </SelectItem>
+                                      ))}
                                     </SelectContent>
                                   </Select>
                                   <Select
@@ -1776,6 +2028,11 @@ export function RulesPage() {
                                     <SelectItem value="latencyP99">99 分位延迟(P99)</SelectItem>
                                     <SelectItem value="availability">可用性</SelectItem>
                                     <SelectItem value="statusCode5xx">5xx 错误数</SelectItem>
+                                    {PULL_PROBE_METRIC_OPTIONS.map((option) => (
+                                      <SelectItem key={option.value} value={option.value}>
+                                        {option.label}
+                                      </SelectItem>
+                                    ))}
                                   </SelectContent>
                                 </Select>
                               </div>
@@ -1815,6 +2072,117 @@ export function RulesPage() {
                         </div>
                       )}
 
+                      {editForm.ruleType === "change" && (
+                        <div className="grid grid-cols-1 gap-3 md:col-span-2 md:grid-cols-3">
+                          <div className="space-y-2">
+                            <Label>变化量计算</Label>
+                            <Select
+                              value={editForm.changeMode}
+                              onValueChange={(value) =>
+                                updateEditForm((prev) => ({ ...prev, changeMode: value as RuleForm["changeMode"] }))
+                              }
+                            >
+                              <SelectTrigger>
+                                <SelectValue />
+                              </SelectTrigger>
+                              <SelectContent>
+                                <SelectItem value="percent">百分比(%)</SelectItem>
+                                <SelectItem value="absolute">绝对值</SelectItem>
+                              </SelectContent>
+                            </Select>
+                          </div>
+
+                          <div className="space-y-2">
+                            <Label>变化方向</Label>
+                            <Select
+                              value={editForm.changeDirection}
+                              onValueChange={(value) =>
+                                updateEditForm((prev) => ({ ...prev, changeDirection: value as RuleForm["changeDirection"] }))
+                              }
+                            >
+                              <SelectTrigger>
+                                <SelectValue />
+                              </SelectTrigger>
+                              <SelectContent>
+                                <SelectItem value="increase">上升</SelectItem>
+                                <SelectItem value="decrease">下降</SelectItem>
+                                <SelectItem value="either">任意方向</SelectItem>
+                              </SelectContent>
+                            </Select>
+                          </div>
+
+                          <div className="space-y-2">
+                            <Label>对比偏移(分钟)</Label>
+                            <Input
+                              type="number"
+                              value={editForm.compareOffsetMinutes}
+                              onChange={(event) => updateEditForm((prev) => ({ ...prev, compareOffsetMinutes: event.target.value }))}
+                            />
+                            <p className="text-xs text-slate-500">等于窗口分钟即环比上一窗口，1440 为对比昨日同一时段；阈值按变化量解释。</p>
+                          </div>
+                        </div>
+                      )}
+
+                      {editForm.ruleType === "anomaly" && (
+                        <div className="grid grid-cols-1 gap-3 md:col-span-2 md:grid-cols-3">
+                          <div className="space-y-2">
+                            <Label>指标</Label>
+                            <Select
+                              value={editForm.metric}
+                              onValueChange={(value) =>
+                                updateEditForm((prev) => ({ ...prev, metric: value as RuleItem["metric"] }))
+                              }
+                            >
+                              <SelectTrigger>
+                                <SelectValue />
+                              </SelectTrigger>
+                              <SelectContent>
+                                <SelectItem value="qps">每秒请求量</SelectItem>
+                                <SelectItem value="errorRate">错误率</SelectItem>
+                                <SelectItem value="latencyP95">95 分位延迟(P95)</SelectItem>
+                                <SelectItem value="latencyP99">99 分位延迟(P99)</SelectItem>
+                                <SelectItem value="availability">可用性</SelectItem>
+                                <SelectItem value="statusCode5xx">5xx 错误数</SelectItem>
+                                {PULL_PROBE_METRIC_OPTIONS.map((option) => (
+                                  <SelectItem key={option.value} value={option.value}>
+                                    {option.label}
+                                  </SelectItem>
+                                ))}
+                              </SelectContent>
+                            </Select>
+                          </div>
+
+                          <div className="space-y-2">
+                            <Label>灵敏度(σ 倍数)</Label>
+                            <Input
+                              type="number"
+                              step="0.5"
+                              value={editForm.sensitivity}
+                              onChange={(event) => updateEditForm((prev) => ({ ...prev, sensitivity: event.target.value }))}
+                            />
+                          </div>
+
+                          <div className="space-y-2">
+                            <Label>季节性基线</Label>
+                            <Select
+                              value={editForm.seasonality}
+                              onValueChange={(value) =>
+                                updateEditForm((prev) => ({ ...prev, seasonality: value as RuleForm["seasonality"] }))
+                              }
+                            >
+                              <SelectTrigger>
+                                <SelectValue />
+                              </SelectTrigger>
+                              <SelectContent>
+                                <SelectItem value="none">不区分时段</SelectItem>
+                                <SelectItem value="hour_of_day">同一小时(UTC)</SelectItem>
+                                <SelectItem value="day_of_week">同一星期几同一小时(UTC)</SelectItem>
+                              </SelectContent>
+                            </Select>
+                          </div>
+                        </div>
+                      )}
+
                       <div className="space-y-2">
                         <Label>聚合方式</Label>
                         <Select
@@ -1899,6 +2267,38 @@ export function RulesPage() {
                                   </SelectItem>
                                 ),
                               )}
+
+                      {editForm.scopeType !== "api" && (
+                        <div className="space-y-2">
+                          <Label>聚合方式</Label>
+                          <Select
+                            value={editForm.scopeAggregation}
+                            onValueChange={(value) =>
+                              updateEditForm((prev) => ({ ...prev, scopeAggregation: value as RuleForm["scopeAggregation"] }))
+                            }
+                          >
+                            <SelectTrigger>
+                              <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent>
+                              <SelectItem value="per_api">逐个 API 告警</SelectItem>
+                              <SelectItem value="combined">合并为服务级指标</SelectItem>
+                              <SelectItem value="breach_ratio">按越线 API 占比</SelectItem>
+                            </SelectContent>
+                          </Select>
+                        </div>
+                      )}
+
+                      {editForm.scopeType !== "api" && editForm.scopeAggregation === "breach_ratio" && (
+                        <div className="space-y-2">
+                          <Label>越线占比阈值（%）</Label>
+                          <Input
+                            type="number"
+                            value={editForm.minBreachPercent}
+                            onChange={(event) => updateEditForm((prev) => ({ ...prev, minBreachPercent: event.target.value }))}
+                          />
+                        </div>
+                      )}
                             </SelectContent>
                           </Select>
                         </div>
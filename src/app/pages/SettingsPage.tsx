@@ -5,7 +5,7 @@
  */
 
 import { useCallback, useEffect, useState } from "react";
-import { BellRing, ClipboardList, KeyRound, ShieldCheck, Trash2, Users } from "lucide-react";
+import { BellOff, BellRing, CalendarClock, ClipboardList, GitFork, Inbox, KeyRound, ShieldCheck, Trash2, Users } from "lucide-react";
 import { Card } from "../components/ui/card";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "../components/ui/tabs";
 import { Input } from "../components/ui/input";
@@ -19,6 +19,18 @@ import {
   TableRow,
 } from "../components/ui/table";
 import { Button } from "../components/ui/button";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "../components/ui/dialog";
+import { SilencesPanel } from "../components/settings/SilencesPanel";
+import { OncallPanel } from "../components/settings/OncallPanel";
+import { DeadLetterPanel } from "../components/settings/DeadLetterPanel";
+import { NotificationRoutingPanel } from "../components/settings/NotificationRoutingPanel";
 import { apiClient } from "../lib/api";
 import type { AlertPolicy, AuditLogItem, CredentialItem, NotificationRecord, UserItem } from "../lib/types";
 import { formatDateTime } from "../lib/format";
@@ -37,6 +49,8 @@ export function SettingsPage() {
   const [auditLogs, setAuditLogs] = useState<AuditLogItem[]>([]);
   const [notifications, setNotifications] = useState<NotificationRecord[]>([]);
   const [credentials, setCredentials] = useState<CredentialItem[]>([]);
+  const [contactUser, setContactUser] = useState<UserItem | null>(null);
+  const [contactForm, setContactForm] = useState({ phone: "", slackUserId: "", wechatUserId: "" });
   const [alertPolicy, setAlertPolicy] = useState<AlertPolicy | null>(null);
   const [credentialName, setCredentialName] = useState("");
   const [credentialType, setCredentialType] = useState<CredentialItem["type"]>("bearer");
@@ -189,7 +203,7 @@ export function SettingsPage() {
 
   const deleteCredential = async (credential: CredentialItem) => {
     if (!window.confirm(`确认删除凭据 ${credential.name} ?`)) return;
-    const force = window.confirm("若被 API 引用，是否强制解绑并删除？");
+    const force = window.confirm("若被 API 或短信渠道引用，是否强制解绑并删除？");
     try {
       await apiClient.deleteCredential(credential.id, {
         force,
@@ -203,6 +217,35 @@ export function SettingsPage() {
     }
   };
 
+  const openContactEditor = (user: UserItem) => {
+    setContactUser(user);
+    setContactForm({ phone: user.phone ?? "", slackUserId: user.slackUserId ?? "", wechatUserId: user.wechatUserId ?? "" });
+  };
+
+  const saveUserContacts = async () => {
+    if (!contactUser) return;
+    try {
+      await apiClient.updateUserContacts(contactUser.id, contactForm);
+      setMessage(`已更新 ${contactUser.name} 的联系方式`);
+      setContactUser(null);
+      await loadData();
+    } catch (requestError) {
+      setError(requestError instanceof Error ? requestError.message : "更新联系方式失败");
+    }
+  };
+
+  const resetUserPassword = async (user: UserItem) => {
+    if (!window.confirm(`确认重置 ${user.name} 的密码？该账号的现有会话会全部失效。`)) return;
+    try {
+      const result = await apiClient.resetUserPassword(user.id);
+      // 临时密码只在这里展示一次，对方登录后必须修改。
+      setMessage(`已重置 ${user.name} 的密码，临时密码：${result.temporaryPassword}`);
+      await loadData();
+    } catch (requestError) {
+      setError(requestError instanceof Error ? requestError.message : "重置密码失败");
+    }
+  };
+
   const verifyCredential = async (credential: CredentialItem) => {
     try {
       const result = await apiClient.verifyCredential(credential.id);
@@ -328,7 +371,7 @@ export function SettingsPage() {
       <div className="flex items-center justify-between">
         <div>
           <h2 className="text-2xl font-semibold">系统设置</h2>
-          <p className="mt-1 text-sm text-slate-500">责任人目录、审计日志、通知记录管理</p>
+          <p className="mt-1 text-sm text-slate-500">责任人目录、审计日志、通知记录、静默与维护窗口管理</p>
         </div>
         <Button variant="outline" onClick={loadData}>
           刷新数据
@@ -364,6 +407,22 @@ export function SettingsPage() {
             <BellRing className="h-4 w-4" />
             告警降噪
           </TabsTrigger>
+          <TabsTrigger value="silences" className="gap-2">
+            <BellOff className="h-4 w-4" />
+            静默与维护
+          </TabsTrigger>
+          <TabsTrigger value="oncall" className="gap-2">
+            <CalendarClock className="h-4 w-4" />
+            值班表
+          </TabsTrigger>
+          <TabsTrigger value="routing" className="gap-2">
+            <GitFork className="h-4 w-4" />
+            通知路由
+          </TabsTrigger>
+          <TabsTrigger value="deadletters" className="gap-2">
+            <Inbox className="h-4 w-4" />
+            死信队列
+          </TabsTrigger>
         </TabsList>
 
         <TabsContent value="users">
@@ -378,13 +437,15 @@ export function SettingsPage() {
                   <TableHead>邮箱</TableHead>
                   <TableHead>角色</TableHead>
                   <TableHead>状态</TableHead>
+                  <TableHead>联系方式</TableHead>
                   <TableHead>最后登录</TableHead>
+                  <TableHead className="text-right">操作</TableHead>
                 </TableRow>
               </TableHeader>
               <TableBody>
                 {!loading && users.length === 0 && (
                   <TableRow>
-                    <TableCell colSpan={5} className="py-8 text-center text-slate-500">
+                    <TableCell colSpan={7} className="py-8 text-center text-slate-500">
                       暂无责任人数据
                     </TableCell>
                   </TableRow>
@@ -402,13 +463,79 @@ export function SettingsPage() {
                       >
                         {user.status === "active" ? "启用" : "停用"}
                       </span>
+                      {user.mustChangePassword && (
+                        <span className="ml-1 rounded bg-amber-100 px-2 py-0.5 text-xs text-amber-700">待改密</span>
+                      )}
+                    </TableCell>
+                    <TableCell className="text-xs text-slate-500">
+                      {[
+                        user.phone && `短信 ${user.phone}`,
+                        user.slackUserId && `Slack ${user.slackUserId}`,
+                        user.wechatUserId && `企业微信 ${user.wechatUserId}`,
+                      ]
+                        .filter(Boolean)
+                        .join(" · ") || "-"}
                     </TableCell>
                     <TableCell className="text-xs text-slate-500">{formatDateTime(user.lastLoginAt)}</TableCell>
+                    <TableCell className="text-right">
+                      <Button variant="ghost" size="sm" onClick={() => openContactEditor(user)}>
+                        联系方式
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        className="text-blue-600 hover:text-blue-700"
+                        onClick={() => resetUserPassword(user)}
+                      >
+                        <KeyRound className="h-4 w-4" />
+                        重置密码
+                      </Button>
+                    </TableCell>
                   </TableRow>
                 ))}
               </TableBody>
             </Table>
           </Card>
+
+          <Dialog open={Boolean(contactUser)} onOpenChange={(open) => !open && setContactUser(null)}>
+            <DialogContent>
+              <DialogHeader>
+                <DialogTitle>{contactUser?.name} 的联系方式</DialogTitle>
+                <DialogDescription>值班升级按渠道类型使用：短信发到手机号，Slack / 企业微信按成员 ID @ 当班人，留空则使用渠道默认收件人。</DialogDescription>
+              </DialogHeader>
+              <div className="space-y-4 py-2">
+                <div className="space-y-2">
+                  <Label>手机号</Label>
+                  <Input
+                    value={contactForm.phone}
+                    onChange={(event) => setContactForm((prev) => ({ ...prev, phone: event.target.value }))}
+                    placeholder="例如 +8613800000000"
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label>Slack 成员 ID</Label>
+                  <Input
+                    value={contactForm.slackUserId}
+                    onChange={(event) => setContactForm((prev) => ({ ...prev, slackUserId: event.target.value }))}
+                    placeholder="例如 U012AB3CD"
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label>企业微信 userid</Label>
+                  <Input
+                    value={contactForm.wechatUserId}
+                    onChange={(event) => setContactForm((prev) => ({ ...prev, wechatUserId: event.target.value }))}
+                  />
+                </div>
+              </div>
+              <DialogFooter>
+                <Button variant="outline" onClick={() => setContactUser(null)}>
+                  取消
+                </Button>
+                <Button onClick={saveUserContacts}>保存</Button>
+              </DialogFooter>
+            </DialogContent>
+          </Dialog>
         </TabsContent>
 
         <TabsContent value="audit">
@@ -534,7 +661,9 @@ export function SettingsPage() {
                             ? "bg-emerald-100 text-emerald-700"
                             : record.status === "queued"
                               ? "bg-amber-100 text-amber-700"
-                              : "bg-red-100 text-red-700"
+                              : record.status === "batched" || record.status === "replayed"
+                                ? "bg-slate-100 text-slate-600"
+                                : "bg-red-100 text-red-700"
                         }`}
                       >
                         {record.status}
@@ -547,7 +676,18 @@ export function SettingsPage() {
                       {record.nextRetryAt ? formatDateTime(record.nextRetryAt) : "-"}
                     </TableCell>
                     <TableCell className="font-mono text-xs">{record.alertId || "-"}</TableCell>
-                    <TableCell className="text-xs text-slate-500">{record.response}</TableCell>
+                    <TableCell className="text-xs text-slate-500">
+                      {record.response}
+                      {record.batchedCount ? <div>合并 {record.batchedCount} 条通知</div> : null}
+                      {record.replayedTo ? <div>已重放为 {record.replayedTo}</div> : null}
+                      {record.routeId ? <div>路由 {record.routeId}</div> : null}
+                      {record.fallbackRecordId ? <div>已转投备用渠道 {record.fallbackRecordId}</div> : null}
+                      {record.recipientResults?.map((result) => (
+                        <div key={result.recipient} className={result.success ? "text-emerald-600" : "text-red-600"}>
+                          {result.recipient}: {result.success ? "ok" : result.error}
+                        </div>
+                      ))}
+                    </TableCell>
                     <TableCell className="text-right">
                       <Button
                         variant="ghost"
@@ -920,6 +1060,22 @@ export function SettingsPage() {
             )}
           </Card>
         </TabsContent>
+
+        <TabsContent value="silences">
+          <SilencesPanel onMessage={setMessage} onError={setError} />
+        </TabsContent>
+
+        <TabsContent value="oncall">
+          <OncallPanel users={users} onMessage={setMessage} onError={setError} />
+        </TabsContent>
+
+        <TabsContent value="routing">
+          <NotificationRoutingPanel onMessage={setMessage} onError={setError} />
+        </TabsContent>
+
+        <TabsContent value="deadletters">
+          <DeadLetterPanel onMessage={setMessage} onError={setError} />
+        </TabsContent>
       </Tabs>
     </div>
   );
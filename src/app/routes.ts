@@ -56,6 +56,13 @@ export const router = createBrowserRouter([
           return { Component: module.AlertsPage };
         },
       },
+      {
+        path: "incidents",
+        lazy: async () => {
+          const module = await import("./pages/IncidentsPage");
+          return { Component: module.IncidentsPage };
+        },
+      },
       {
         path: "alert-quality",
         lazy: async () => {
@@ -79,6 +86,13 @@ export const router = createBrowserRouter([
       },
     ],
   },
+  {
+    path: "/login",
+    lazy: async () => {
+      const module = await import("./pages/LoginPage");
+      return { Component: module.LoginPage };
+    },
+  },
   {
     path: "*",
     lazy: async () => {